@@ -5,46 +5,60 @@
  * Command-line interface for GitHub Activity API
  */
 
-import { program } from 'commander';
+import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import { config } from 'dotenv';
+import { registerLoginCommand, registerProfilesCommand, addProfileOption, addOutputOptions, addDryRunOption, addAuditOption, registerAuditCommand, registerCompletionCommand, COMPLETION_COMMANDS, isMachineOutput, selectProfile, resolveBaseUrl, isMainModule } from '@thinkeloquent/github-sdk-core';
 import { createClient } from '../src/index.mjs';
 import { setupCommands } from '../src/cli/commands.mjs';
 import { displayBanner, displayError } from '../src/cli/formatters.mjs';
 
-// Load environment variables
-config();
-
-// Display banner
-displayBanner();
+/**
+ * Build the program and run it. Commands need a client, and the client
+ * needs the global options, so the program is built per run.
+ *
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  // Load environment variables
+  config();
 
-// Main CLI program
-program
-  .name('github-activity')
-  .alias('gha')
-  .description('GitHub Activity API CLI - Manage events, notifications, stars, and watching')
-  .version('1.0.0')
-  .option('-t, --token <token>', 'GitHub personal access token')
-  .option('-b, --base-url <url>', 'GitHub API base URL', 'https://api.github.com')
-  .option('-c, --config <path>', 'Path to configuration file')
-  .option('-o, --output <format>', 'Output format (json, table, csv)', 'table')
-  .option('-q, --quiet', 'Suppress non-error output')
-  .option('-v, --verbose', 'Verbose output')
-  .option('--no-color', 'Disable colored output')
-  .option('--debug', 'Enable debug mode');
+  // Main CLI program
+  const program = new Command();
+  program
+    .name(name || 'github-activity')
+    .alias('gha')
+    .description('GitHub Activity API CLI - Manage events, notifications, stars, and watching')
+    .version('1.0.0')
+    .option('-t, --token <token>', 'GitHub personal access token')
+    .option('-b, --base-url <url>', 'GitHub API base URL', 'https://api.github.com')
+    .option('-c, --config <path>', 'Path to configuration file')
+    .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)', 'table')
+    .option('-q, --quiet', 'Suppress non-error output')
+    .option('-v, --verbose', 'Verbose output')
+    .option('--no-color', 'Disable colored output')
+    .option('--debug', 'Enable debug mode');
 
-// Global error handler
-process.on('unhandledRejection', (error) => {
-  displayError(error);
-  process.exit(1);
-});
+  addOutputOptions(program);
+  addDryRunOption(program);
+  addAuditOption(program);
+  addProfileOption(program);
 
-// Initialize client and setup commands
-async function main() {
   try {
-    // Get global options
+    // Global options are needed before the commands exist to build the client
+    const { operands } = program.parseOptions(argv.slice(2));
     const options = program.opts();
+    const completing = COMPLETION_COMMANDS.includes(operands[0]);
+    const managesProfiles = ['login', 'profiles'].includes(operands[0]) || completing;
+
+    // Display banner, unless stdout is meant for another program
+    if (!options.quiet && !isMachineOutput(options) && !completing) {
+      displayBanner();
+    }
     
     // Disable colors if requested
     if (options.noColor) {
@@ -56,10 +70,15 @@ async function main() {
       process.env.DEBUG = 'true';
     }
     
-    // Create client
+    if (!managesProfiles) {
+      await selectProfile(options);
+    }
+
+    // Create client; a profile supplies the base URL unless --base-url is given
     const clientOptions = {
-      token: options.token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN,
-      baseURL: options.baseUrl,
+      token: options.token,
+      profile: managesProfiles ? undefined : options.profile,
+      baseURL: managesProfiles ? options.baseUrl : resolveBaseUrl(program),
       debug: options.debug
     };
     
@@ -71,12 +90,16 @@ async function main() {
     
     // Setup commands with client
     setupCommands(program, client, options);
+    registerLoginCommand(program, { scopes: ['notifications', 'repo', 'read:user'] });
+    registerProfilesCommand(program);
+    registerAuditCommand(program);
+    registerCompletionCommand(program);
     
     // Parse arguments
-    await program.parseAsync(process.argv);
+    await program.parseAsync(argv);
     
     // Show help if no command provided
-    if (process.argv.length < 3) {
+    if (argv.length < 3) {
       program.help();
     }
     
@@ -86,5 +109,13 @@ async function main() {
   }
 }
 
-// Run CLI
-main();
\ No newline at end of file
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  // Global error handler
+  process.on('unhandledRejection', (error) => {
+    displayError(error);
+    process.exit(1);
+  });
+
+  run();
+}
@@ -4,6 +4,19 @@
  */
 
 import { buildPaginationParams, Paginator } from '../utils/pagination.mjs';
+import { USER_FIELDS, toRestUser, requireGraphQL } from '../utils/graphql.mjs';
+
+const STAR_HISTORY_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String, $direction: OrderDirection!) {
+    repository(owner: $owner, name: $repo) {
+      stargazers(first: 100, after: $cursor, orderBy: { field: STARRED_AT, direction: $direction }) {
+        pageInfo { hasNextPage endCursor }
+        edges { starredAt node { ...UserFields } }
+      }
+    }
+  }
+  ${USER_FIELDS}
+`;
 
 /**
  * Stars API endpoints
@@ -11,9 +24,11 @@ import { buildPaginationParams, Paginator } from '../utils/pagination.mjs';
 export class StarsAPI {
   /**
    * @param {HttpClient} http - HTTP client instance
+   * @param {GraphQLClient} [graphql] - GraphQL client for the GraphQL-backed helpers
    */
-  constructor(http) {
+  constructor(http, graphql = null) {
     this.http = http;
+    this.graphql = graphql;
   }
 
   /**
@@ -35,9 +50,10 @@ export class StarsAPI {
       headers['Accept'] = 'application/vnd.github.star+json';
     }
     
-    const response = await this.http.client.get(
+    const response = await this.http.get(
       `/repos/${owner}/${repo}/stargazers`,
-      { params, headers }
+      params,
+      { headers }
     );
     
     return {
@@ -67,9 +83,10 @@ export class StarsAPI {
       headers['Accept'] = 'application/vnd.github.star+json';
     }
     
-    const response = await this.http.client.get(
+    const response = await this.http.get(
       `/users/${username}/starred`,
-      { params, headers }
+      params,
+      { headers }
     );
     
     return {
@@ -98,9 +115,10 @@ export class StarsAPI {
       headers['Accept'] = 'application/vnd.github.star+json';
     }
     
-    const response = await this.http.client.get(
+    const response = await this.http.get(
       '/user/starred',
-      { params, headers }
+      params,
+      { headers }
     );
     
     return {
@@ -254,6 +272,40 @@ export class StarsAPI {
     );
   }
 
+  /**
+   * Get star history for a repository over GraphQL: 100 stargazers per
+   * request, and with `since` only the stars after it are fetched
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} [options] - Query options
+   * @param {string|Date} [options.since] - Only stars after this time
+   * @returns {Promise<Array>} Star history with timestamps, oldest first, shaped like getStarHistory()
+   */
+  async getStarHistoryGraphQL(owner, repo, options = {}) {
+    requireGraphQL(this.graphql, 'getStarHistoryGraphQL');
+
+    const since = options.since ? new Date(options.since) : null;
+    const stargazers = [];
+    // Newest first when there is a cut-off, so paging stops once it is passed
+    const edges = this.graphql.paginate(
+      STAR_HISTORY_QUERY,
+      { owner, repo, direction: since ? 'DESC' : 'ASC' },
+      { path: 'repository.stargazers' }
+    );
+
+    for await (const edge of edges) {
+      if (since && new Date(edge.starredAt) <= since) {
+        break;
+      }
+      stargazers.push({
+        user: toRestUser(edge.node),
+        starred_at: edge.starredAt
+      });
+    }
+
+    return since ? stargazers.reverse() : stargazers;
+  }
+
   /**
    * Get star statistics for a repository
    * @param {string} owner - Repository owner
@@ -4,6 +4,29 @@
  */
 
 import { buildPaginationParams, Paginator } from '../utils/pagination.mjs';
+import { USER_FIELDS, toRestUser, requireGraphQL } from '../utils/graphql.mjs';
+
+// Pages through the watchers of two repositories at once; a finished side is skipped
+const MUTUAL_WATCHERS_QUERY = `
+  query(
+    $owner1: String!, $repo1: String!, $cursor1: String, $done1: Boolean!,
+    $owner2: String!, $repo2: String!, $cursor2: String, $done2: Boolean!
+  ) {
+    first: repository(owner: $owner1, name: $repo1) @skip(if: $done1) {
+      watchers(first: 100, after: $cursor1) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ...UserFields }
+      }
+    }
+    second: repository(owner: $owner2, name: $repo2) @skip(if: $done2) {
+      watchers(first: 100, after: $cursor2) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ...UserFields }
+      }
+    }
+  }
+  ${USER_FIELDS}
+`;
 
 /**
  * Watching API endpoints
@@ -11,9 +34,11 @@ import { buildPaginationParams, Paginator } from '../utils/pagination.mjs';
 export class WatchingAPI {
   /**
    * @param {HttpClient} http - HTTP client instance
+   * @param {GraphQLClient} [graphql] - GraphQL client for the GraphQL-backed helpers
    */
-  constructor(http) {
+  constructor(http, graphql = null) {
     this.http = http;
+    this.graphql = graphql;
   }
 
   /**
@@ -322,6 +347,40 @@ export class WatchingAPI {
     
     return mutual;
   }
+
+  /**
+   * Find mutual watchers between repositories over GraphQL. Both lists are
+   * paged in the same requests, 100 watchers each.
+   * @param {Object} repo1 - First repository {owner, repo}
+   * @param {Object} repo2 - Second repository {owner, repo}
+   * @returns {Promise<Array>} Mutual watchers, shaped like findMutualWatchers()
+   */
+  async findMutualWatchersGraphQL(repo1, repo2) {
+    requireGraphQL(this.graphql, 'findMutualWatchersGraphQL');
+
+    const watchers = { first: [], second: [] };
+    const variables = {
+      owner1: repo1.owner, repo1: repo1.repo, cursor1: null, done1: false,
+      owner2: repo2.owner, repo2: repo2.repo, cursor2: null, done2: false
+    };
+
+    while (!variables.done1 || !variables.done2) {
+      const data = await this.graphql.query(MUTUAL_WATCHERS_QUERY, variables);
+
+      [['first', 1], ['second', 2]].forEach(([side, n]) => {
+        if (variables[`done${n}`]) {
+          return;
+        }
+        const { nodes, pageInfo } = data[side].watchers;
+        watchers[side].push(...nodes);
+        variables[`cursor${n}`] = pageInfo.endCursor;
+        variables[`done${n}`] = !pageInfo.hasNextPage;
+      });
+    }
+
+    const users1 = new Set(watchers.first.map(w => w.login));
+    return watchers.second.filter(w => users1.has(w.login)).map(toRestUser);
+  }
 }
 
 export default WatchingAPI;
\ No newline at end of file
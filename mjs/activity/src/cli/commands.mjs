@@ -6,6 +6,7 @@
 import { Command } from 'commander';
 import ora from 'ora';
 import inquirer from 'inquirer';
+import { isDryRun } from '@thinkeloquent/github-sdk-core';
 import {
   displayEvents,
   displayNotifications,
@@ -69,7 +70,7 @@ function setupEventsCommands(program, client, globalOptions) {
           events = client.events.filterByType(events, options.type);
         }
         
-        displayEvents(events, globalOptions.output);
+        displayEvents(events, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch events');
         displayError(error);
@@ -86,7 +87,7 @@ function setupEventsCommands(program, client, globalOptions) {
       try {
         const response = await client.events.listForRepo(owner, repo, options);
         spinner.succeed('Events fetched successfully');
-        displayEvents(response.data, globalOptions.output);
+        displayEvents(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch events');
         displayError(error);
@@ -106,7 +107,7 @@ function setupEventsCommands(program, client, globalOptions) {
           ? await client.events.listPublicForUser(username, options)
           : await client.events.listForUser(username, options);
         spinner.succeed('Events fetched successfully');
-        displayEvents(response.data, globalOptions.output);
+        displayEvents(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch events');
         displayError(error);
@@ -123,7 +124,7 @@ function setupEventsCommands(program, client, globalOptions) {
       try {
         const response = await client.events.listForOrg(org, options);
         spinner.succeed('Events fetched successfully');
-        displayEvents(response.data, globalOptions.output);
+        displayEvents(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch events');
         displayError(error);
@@ -143,7 +144,7 @@ function setupEventsCommands(program, client, globalOptions) {
           interval: options.interval,
           onEvent: (event) => {
             if (!options.type || event.type === options.type) {
-              displayEvents([event], 'compact');
+              displayEvents([event], globalOptions);
             }
           }
         });
@@ -180,7 +181,7 @@ function setupNotificationsCommands(program, client, globalOptions) {
       try {
         const response = await client.notifications.list(options);
         spinner.succeed(`Fetched ${response.data.length} notifications`);
-        displayNotifications(response.data, globalOptions.output);
+        displayNotifications(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch notifications');
         displayError(error);
@@ -192,7 +193,7 @@ function setupNotificationsCommands(program, client, globalOptions) {
     .description('Mark all notifications as read')
     .option('--last-read-at <date>', 'Mark as read up to this date')
     .action(async (options) => {
-      const confirm = await inquirer.prompt([{
+      const confirm = isDryRun() ? { proceed: true } : await inquirer.prompt([{
         type: 'confirm',
         name: 'proceed',
         message: 'Mark all notifications as read?',
@@ -222,7 +223,7 @@ function setupNotificationsCommands(program, client, globalOptions) {
       try {
         const thread = await client.notifications.getThread(threadId);
         spinner.succeed('Thread fetched successfully');
-        formatOutput([thread], globalOptions.output);
+        formatOutput([thread], globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch thread');
         displayError(error);
@@ -294,7 +295,7 @@ function setupStarsCommands(program, client, globalOptions) {
       try {
         const response = await client.stars.listStargazers(owner, repo, options);
         spinner.succeed(`Fetched ${response.data.length} stargazers`);
-        displayStars(response.data, globalOptions.output, options.withTimestamps);
+        displayStars(response.data, globalOptions, options.withTimestamps);
       } catch (error) {
         spinner.fail('Failed to fetch stargazers');
         displayError(error);
@@ -315,7 +316,7 @@ function setupStarsCommands(program, client, globalOptions) {
           ? await client.stars.listStarredByUser(username, options)
           : await client.stars.listStarredByAuthUser(options);
         spinner.succeed(`Fetched ${response.data.length} starred repositories`);
-        formatOutput(response.data, globalOptions.output);
+        formatOutput(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch starred repositories');
         displayError(error);
@@ -377,7 +378,7 @@ function setupStarsCommands(program, client, globalOptions) {
       try {
         const stats = await client.stars.getStarStatistics(owner, repo);
         spinner.succeed('Statistics fetched successfully');
-        formatOutput(stats, globalOptions.output);
+        formatOutput(stats, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch statistics');
         displayError(error);
@@ -403,7 +404,7 @@ function setupWatchingCommands(program, client, globalOptions) {
       try {
         const response = await client.watching.listWatchers(owner, repo, options);
         spinner.succeed(`Fetched ${response.data.length} watchers`);
-        displayWatchers(response.data, globalOptions.output);
+        displayWatchers(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch watchers');
         displayError(error);
@@ -422,7 +423,7 @@ function setupWatchingCommands(program, client, globalOptions) {
           ? await client.watching.listWatchedByUser(username, options)
           : await client.watching.listWatchedByAuthUser(options);
         spinner.succeed(`Fetched ${response.data.length} watched repositories`);
-        formatOutput(response.data, globalOptions.output);
+        formatOutput(response.data, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch watched repositories');
         displayError(error);
@@ -437,7 +438,7 @@ function setupWatchingCommands(program, client, globalOptions) {
       try {
         const subscription = await client.watching.getRepoSubscription(owner, repo);
         spinner.stop();
-        formatOutput(subscription, globalOptions.output);
+        formatOutput(subscription, globalOptions);
       } catch (error) {
         spinner.fail('Failed to check subscription');
         displayError(error);
@@ -503,7 +504,7 @@ function setupFeedsCommands(program, client, globalOptions) {
       try {
         const availableFeeds = await client.feeds.getAllAvailableFeeds();
         spinner.succeed(`Found ${availableFeeds.length} available feeds`);
-        displayFeeds(availableFeeds, globalOptions.output);
+        displayFeeds(availableFeeds, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch feeds');
         displayError(error);
@@ -518,7 +519,7 @@ function setupFeedsCommands(program, client, globalOptions) {
       try {
         const feedData = await client.feeds.getFeeds();
         spinner.succeed('Feeds fetched successfully');
-        formatOutput(feedData, globalOptions.output);
+        formatOutput(feedData, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch feeds');
         displayError(error);
@@ -533,7 +534,7 @@ function setupFeedsCommands(program, client, globalOptions) {
       try {
         const metadata = await client.feeds.getFeedMetadata();
         spinner.succeed('Metadata fetched successfully');
-        formatOutput(metadata, globalOptions.output);
+        formatOutput(metadata, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch metadata');
         displayError(error);
@@ -553,7 +554,7 @@ function setupUtilityCommands(program, client, globalOptions) {
       try {
         const rateLimit = await client.getRateLimit();
         spinner.succeed('Rate limit fetched successfully');
-        formatOutput(rateLimit, globalOptions.output);
+        formatOutput(rateLimit, globalOptions);
       } catch (error) {
         spinner.fail('Failed to check rate limit');
         displayError(error);
@@ -568,7 +569,7 @@ function setupUtilityCommands(program, client, globalOptions) {
       try {
         const user = await client.getAuthenticatedUser();
         spinner.succeed(`Authenticated as ${user.login}`);
-        formatOutput(user, globalOptions.output);
+        formatOutput(user, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch user information');
         displayError(error);
@@ -583,7 +584,7 @@ function setupUtilityCommands(program, client, globalOptions) {
       try {
         const meta = await client.getMeta();
         spinner.succeed('Meta information fetched successfully');
-        formatOutput(meta, globalOptions.output);
+        formatOutput(meta, globalOptions);
       } catch (error) {
         spinner.fail('Failed to fetch meta information');
         displayError(error);
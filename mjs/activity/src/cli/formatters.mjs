@@ -5,6 +5,7 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Display banner
@@ -57,24 +58,28 @@ export function displayWarning(message) {
   console.log(chalk.yellow('⚠'), message);
 }
 
+/**
+ * Normalize a format name or the parsed global options
+ * @param {string|Object} options
+ * @returns {Object}
+ */
+function outputOptions(options) {
+  return typeof options === 'string' ? { output: options } : options || {};
+}
+
 /**
  * Format output based on format type
  * @param {any} data - Data to format
- * @param {string} format - Output format (json, table, csv)
+ * @param {string|Object} options - Output format (json, yaml, csv, ndjson, table)
+ *   or the global options, which also carry `fields`, `jq` and `template`
  */
-export function formatOutput(data, format = 'table') {
-  switch (format) {
-    case 'json':
-      console.log(JSON.stringify(data, null, 2));
-      break;
-    case 'csv':
-      displayCSV(data);
-      break;
-    case 'table':
-    default:
-      displayTable(data);
-      break;
-  }
+export function formatOutput(data, options = 'table') {
+  writeOutput(data, outputOptions(options), {
+    table: (value) => {
+      displayTable(value);
+      return '';
+    }
+  }, 'table');
 }
 
 /**
@@ -113,50 +118,14 @@ function displayTable(data) {
   console.log(table.toString());
 }
 
-/**
- * Display data as CSV
- * @param {Array|Object} data
- */
-function displayCSV(data) {
-  if (!data || (Array.isArray(data) && data.length === 0)) {
-    return;
-  }
-
-  if (!Array.isArray(data)) {
-    data = [data];
-  }
-
-  // Header
-  console.log(Object.keys(data[0]).join(','));
-
-  // Rows
-  for (const item of data) {
-    const row = Object.values(item).map(value => {
-      if (value === null || value === undefined) {
-        return '';
-      }
-      if (typeof value === 'object') {
-        return JSON.stringify(value);
-      }
-      const str = String(value);
-      // Escape quotes and wrap in quotes if contains comma
-      if (str.includes(',') || str.includes('"')) {
-        return `"${str.replace(/"/g, '""')}"`;
-      }
-      return str;
-    });
-    console.log(row.join(','));
-  }
-}
-
 /**
  * Display events
  * @param {Array} events
- * @param {string} format
+ * @param {string|Object} options - Output format or global options
  */
-export function displayEvents(events, format = 'table') {
-  if (format === 'json') {
-    formatOutput(events, 'json');
+export function displayEvents(events, options = 'table') {
+  if (isMachineOutput(outputOptions(options))) {
+    formatOutput(events, options);
     return;
   }
 
@@ -192,11 +161,11 @@ export function displayEvents(events, format = 'table') {
 /**
  * Display notifications
  * @param {Array} notifications
- * @param {string} format
+ * @param {string|Object} options - Output format or global options
  */
-export function displayNotifications(notifications, format = 'table') {
-  if (format === 'json') {
-    formatOutput(notifications, 'json');
+export function displayNotifications(notifications, options = 'table') {
+  if (isMachineOutput(outputOptions(options))) {
+    formatOutput(notifications, options);
     return;
   }
 
@@ -234,12 +203,12 @@ export function displayNotifications(notifications, format = 'table') {
 /**
  * Display stars/stargazers
  * @param {Array} stars
- * @param {string} format
+ * @param {string|Object} options - Output format or global options
  * @param {boolean} withTimestamps
  */
-export function displayStars(stars, format = 'table', withTimestamps = false) {
-  if (format === 'json') {
-    formatOutput(stars, 'json');
+export function displayStars(stars, options = 'table', withTimestamps = false) {
+  if (isMachineOutput(outputOptions(options))) {
+    formatOutput(stars, options);
     return;
   }
 
@@ -279,11 +248,11 @@ export function displayStars(stars, format = 'table', withTimestamps = false) {
 /**
  * Display watchers
  * @param {Array} watchers
- * @param {string} format
+ * @param {string|Object} options - Output format or global options
  */
-export function displayWatchers(watchers, format = 'table') {
-  if (format === 'json') {
-    formatOutput(watchers, 'json');
+export function displayWatchers(watchers, options = 'table') {
+  if (isMachineOutput(outputOptions(options))) {
+    formatOutput(watchers, options);
     return;
   }
 
@@ -317,11 +286,11 @@ export function displayWatchers(watchers, format = 'table') {
 /**
  * Display feeds
  * @param {Array} feeds
- * @param {string} format
+ * @param {string|Object} options - Output format or global options
  */
-export function displayFeeds(feeds, format = 'table') {
-  if (format === 'json') {
-    formatOutput(feeds, 'json');
+export function displayFeeds(feeds, options = 'table') {
+  if (isMachineOutput(outputOptions(options))) {
+    formatOutput(feeds, options);
     return;
   }
 
@@ -3,6 +3,7 @@
  * @module client/ActivityClient
  */
 
+import { resolveCredentials, GraphQLClient } from '@thinkeloquent/github-sdk-core';
 import { HttpClient } from './http.mjs';
 import { createAuthConfig } from './auth.mjs';
 import { EventsAPI } from '../api/events.mjs';
@@ -19,13 +20,24 @@ export class ActivityClient {
    * @param {Object} options - Client configuration options
    * @param {string} [options.token] - GitHub personal access token
    * @param {string} [options.baseURL] - Base URL for GitHub API
+   * @param {string} [options.profile] - Stored credential profile, supplies the token and base URL
    * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {string|Object} [options.cassette] - Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE)
+   * @param {string} [options.validate] - Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE)
+   * @param {boolean|Object} [options.dryRun] - Print write requests instead of sending them (default: GITHUB_DRY_RUN)
+   * @param {boolean|string|Object} [options.audit] - Log write requests to the audit log (default: GITHUB_AUDIT_LOG)
+   * @param {boolean|Object} [options.scheduler] - Request scheduler options, or `false` to opt out (default: shared per credential)
+   * @param {Object|Object[]} [options.instrumentation] - Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones
    * @param {number} [options.perPage] - Default items per page
    * @param {boolean} [options.debug] - Enable debug mode
    */
   constructor(options = {}) {
+    const profile = options.profile && !options.token
+      ? resolveCredentials({ profile: options.profile })
+      : null;
+
     this.options = {
-      baseURL: options.baseURL || process.env.GITHUB_API_URL || 'https://api.github.com',
+      baseURL: options.baseURL || profile?.baseUrl || process.env.GITHUB_API_URL || 'https://api.github.com',
       timeout: options.timeout || 30000,
       perPage: options.perPage || 30,
       debug: options.debug || process.env.DEBUG === 'true',
@@ -39,16 +51,25 @@ export class ActivityClient {
     // Initialize HTTP client
     this.http = new HttpClient({
       baseURL: this.options.baseURL,
-      token: this.options.token,
-      timeout: this.options.timeout
+      token: this.options.token || profile?.token,
+      timeout: this.options.timeout,
+      cassette: this.options.cassette,
+      validate: this.options.validate,
+      dryRun: this.options.dryRun,
+      audit: this.options.audit,
+      scheduler: this.options.scheduler,
+      instrumentation: this.options.instrumentation
     });
 
+    // GraphQL shares the REST transport, and with it the token and rate limits
+    this.graphql = new GraphQLClient({ transport: this.http.transport });
+
     // Initialize API modules
     this.events = new EventsAPI(this.http);
     this.notifications = new NotificationsAPI(this.http);
     this.feeds = new FeedsAPI(this.http);
-    this.stars = new StarsAPI(this.http);
-    this.watching = new WatchingAPI(this.http);
+    this.stars = new StarsAPI(this.http, this.graphql);
+    this.watching = new WatchingAPI(this.http, this.graphql);
   }
 
   /**
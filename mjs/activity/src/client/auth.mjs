@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { resolveToken, hasScopes } from '@thinkeloquent/github-sdk-core';
 import { ConfigurationError } from '../utils/errors.mjs';
 
 /**
@@ -17,12 +18,15 @@ export class AuthConfig {
    * @param {string} [options.token] - GitHub personal access token
    * @param {string} [options.tokenFile] - Path to file containing token
    * @param {string} [options.tokenEnv] - Environment variable name for token
+   * @param {string} [options.profile] - Stored credential profile (default: GITHUB_PROFILE)
+   * @param {string} [options.baseURL] - API base URL, selects the stored credential's host
    */
   constructor(options = {}) {
     this.token = null;
     this.tokenSource = null;
+    this.baseUrl = null;
     
-    // Priority: direct token > env var > file > config file
+    // Priority: direct token > env var > file > profile > GITHUB_TOKEN/GH_TOKEN > shared credential store
     if (options.token) {
       this.token = options.token;
       this.tokenSource = 'direct';
@@ -32,10 +36,22 @@ export class AuthConfig {
       this.tokenFile = options.tokenFile;
       this.tokenSource = 'file';
     } else {
-      this.loadFromEnv('GITHUB_TOKEN');
-      if (!this.token) {
-        this.loadFromEnv('GH_TOKEN');
-      }
+      this.loadFromStore(options.profile, options.baseURL || options.baseUrl);
+    }
+  }
+
+  /**
+   * Resolve a token from a profile, the environment or the shared
+   * credential store written by `login`
+   * @param {string} [profile] - Profile name
+   * @param {string} [host] - Hostname or API base URL
+   */
+  loadFromStore(profile, host) {
+    const credential = resolveToken({ profile, baseUrl: host });
+    if (credential?.token) {
+      this.token = credential.token;
+      this.tokenSource = credential.source;
+      this.baseUrl = credential.profile ? credential.baseUrl : null;
     }
   }
 
@@ -217,9 +233,7 @@ export class AuthConfig {
    */
   async hasScopes(requiredScopes, httpClient) {
     const scopes = await this.getScopes(httpClient);
-    return requiredScopes.every(required => 
-      scopes.some(scope => scope === required || scope === 'repo')
-    );
+    return hasScopes(scopes, requiredScopes);
   }
 }
 
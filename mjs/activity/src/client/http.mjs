@@ -3,7 +3,7 @@
  * @module client/http
  */
 
-import axios from 'axios';
+import { Transport, GitHubError, RateLimitError as TransportRateLimitError } from '@thinkeloquent/github-sdk-core';
 import { parseLinkHeader } from '../utils/pagination.mjs';
 import { APIError, RateLimitError } from '../utils/errors.mjs';
 
@@ -17,59 +17,33 @@ export class HttpClient {
    * @param {string} [config.token] - GitHub personal access token
    * @param {number} [config.timeout] - Request timeout in ms
    * @param {Object} [config.headers] - Additional headers
+   * @param {string|Object} [config.cassette] - Record/replay cassette (see core Cassette)
+   * @param {string} [config.validate] - OpenAPI validation mode, 'warn' or 'strict'
+   * @param {boolean|Object} [config.dryRun] - Print write requests instead of sending them (see core DryRun)
+   * @param {boolean|string|Object} [config.audit] - Log write requests to the audit log (see core AuditLog)
+   * @param {boolean|Object} [config.scheduler] - Request scheduler (see core RequestScheduler)
+   * @param {Object|Object[]} [config.instrumentation] - Request lifecycle hooks (see core Instrumentation)
    */
   constructor(config = {}) {
-    this.client = axios.create({
-      baseURL: config.baseURL || 'https://api.github.com',
+    this.transport = new Transport({
+      baseUrl: config.baseURL || 'https://api.github.com',
       timeout: config.timeout || 30000,
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'GitHub-Activity-SDK/1.0.0',
-        ...config.headers
-      }
+      accept: 'application/vnd.github.v3+json',
+      userAgent: 'GitHub-Activity-SDK/1.0.0',
+      headers: config.headers,
+      cassette: config.cassette,
+      validate: config.validate,
+      dryRun: config.dryRun,
+      audit: config.audit,
+      scheduler: config.scheduler,
+      instrumentation: config.instrumentation,
+      mapError: (error) => this.handleError(error)
     });
 
     // Set authorization header if token provided
     if (config.token) {
       this.setAuthToken(config.token);
     }
-
-    // Request interceptor
-    this.client.interceptors.request.use(
-      (request) => {
-        // Log request in debug mode
-        if (process.env.DEBUG === 'true') {
-          console.log(`[HTTP] ${request.method?.toUpperCase()} ${request.url}`);
-        }
-        return request;
-      },
-      (error) => Promise.reject(error)
-    );
-
-    // Response interceptor
-    this.client.interceptors.response.use(
-      (response) => {
-        // Add pagination info to response
-        if (response.headers.link) {
-          response.pagination = parseLinkHeader(response.headers.link);
-        }
-
-        // Add rate limit info
-        response.rateLimit = {
-          limit: parseInt(response.headers['x-ratelimit-limit']) || 0,
-          remaining: parseInt(response.headers['x-ratelimit-remaining']) || 0,
-          reset: parseInt(response.headers['x-ratelimit-reset']) || 0,
-          used: parseInt(response.headers['x-ratelimit-used']) || 0,
-          resource: response.headers['x-ratelimit-resource'] || 'core'
-        };
-
-        return response;
-      },
-      async (error) => {
-        return this.handleError(error);
-      }
-    );
   }
 
   /**
@@ -77,62 +51,82 @@ export class HttpClient {
    * @param {string} token - GitHub personal access token
    */
   setAuthToken(token) {
-    if (token) {
-      this.client.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    } else {
-      delete this.client.defaults.headers.common['Authorization'];
-    }
+    this.transport.setAuth(token || null);
   }
 
   /**
-   * Handle API errors
-   * @param {Error} error - Axios error
-   * @returns {Promise}
+   * Convert transport errors into Activity API errors
+   * @param {Error} error - Transport error
+   * @returns {Error}
    */
-  async handleError(error) {
-    if (error.response) {
-      const { status, data, headers } = error.response;
-
-      // Rate limit exceeded
-      if (status === 403 && headers['x-ratelimit-remaining'] === '0') {
-        const resetTime = parseInt(headers['x-ratelimit-reset']) * 1000;
-        const retryAfter = resetTime - Date.now();
-        
-        throw new RateLimitError(
-          `Rate limit exceeded. Resets at ${new Date(resetTime).toISOString()}`,
-          retryAfter,
-          resetTime
-        );
-      }
+  handleError(error) {
+    // Rate limit exceeded; secondary limits say when to retry instead of a reset time
+    if (error instanceof TransportRateLimitError) {
+      const retryAfter = error.getRetryAfter();
+      const resetTime = error.reset && error.retryAfter === null ? error.reset * 1000 : Date.now() + retryAfter;
+
+      return new RateLimitError(
+        `Rate limit exceeded. Resets at ${new Date(resetTime).toISOString()}`,
+        retryAfter,
+        resetTime
+      );
+    }
 
-      // Other API errors
-      throw new APIError(
-        data.message || `Request failed with status ${status}`,
-        status,
-        data.errors || [],
-        data.documentation_url
+    // Other API errors
+    if (error instanceof GitHubError && error.status) {
+      return new APIError(
+        error.body?.message || `Request failed with status ${error.status}`,
+        error.status,
+        error.errors,
+        error.documentationUrl
       );
     }
 
     // Network or other errors
-    throw error;
+    return error;
   }
 
   /**
-   * Make GET request
+   * Send a request and shape the response for the API modules
+   * @param {string} method - HTTP method
    * @param {string} path - API endpoint path
-   * @param {Object} [params] - Query parameters
-   * @returns {Promise<Object>} Response data with pagination info
+   * @param {Object} [options] - Request options (params, body, headers)
+   * @returns {Promise<Object>} Response data with headers, pagination and rate limit info
    */
-  async get(path, params = {}) {
-    const response = await this.client.get(path, { params });
+  async request(method, path, options = {}) {
+    // Log request in debug mode
+    if (process.env.DEBUG === 'true') {
+      console.log(`[HTTP] ${method} ${path}`);
+    }
+
+    const response = await this.transport.request({ method, url: path, ...options });
+    const { headers } = response;
+
     return {
       data: response.data,
-      pagination: response.pagination,
-      rateLimit: response.rateLimit
+      headers,
+      pagination: headers.link ? parseLinkHeader(headers.link) : undefined,
+      rateLimit: {
+        limit: parseInt(headers['x-ratelimit-limit']) || 0,
+        remaining: parseInt(headers['x-ratelimit-remaining']) || 0,
+        reset: parseInt(headers['x-ratelimit-reset']) || 0,
+        used: parseInt(headers['x-ratelimit-used']) || 0,
+        resource: headers['x-ratelimit-resource'] || 'core'
+      }
     };
   }
 
+  /**
+   * Make GET request
+   * @param {string} path - API endpoint path
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options] - Extra request options (e.g. headers)
+   * @returns {Promise<Object>} Response data with pagination info
+   */
+  async get(path, params = {}, options = {}) {
+    return this.request('GET', path, { ...options, params });
+  }
+
   /**
    * Make POST request
    * @param {string} path - API endpoint path
@@ -141,11 +135,8 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async post(path, data = {}, params = {}) {
-    const response = await this.client.post(path, data, { params });
-    return {
-      data: response.data,
-      rateLimit: response.rateLimit
-    };
+    const { data: body, rateLimit } = await this.request('POST', path, { body: data, params });
+    return { data: body, rateLimit };
   }
 
   /**
@@ -156,11 +147,8 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async put(path, data = {}, params = {}) {
-    const response = await this.client.put(path, data, { params });
-    return {
-      data: response.data,
-      rateLimit: response.rateLimit
-    };
+    const { data: body, rateLimit } = await this.request('PUT', path, { body: data, params });
+    return { data: body, rateLimit };
   }
 
   /**
@@ -171,11 +159,8 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async patch(path, data = {}, params = {}) {
-    const response = await this.client.patch(path, data, { params });
-    return {
-      data: response.data,
-      rateLimit: response.rateLimit
-    };
+    const { data: body, rateLimit } = await this.request('PATCH', path, { body: data, params });
+    return { data: body, rateLimit };
   }
 
   /**
@@ -185,11 +170,8 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async delete(path, params = {}) {
-    const response = await this.client.delete(path, { params });
-    return {
-      data: response.data,
-      rateLimit: response.rateLimit
-    };
+    const { data: body, rateLimit } = await this.request('DELETE', path, { params });
+    return { data: body, rateLimit };
   }
 
   /**
@@ -200,26 +182,7 @@ export class HttpClient {
    * @returns {AsyncGenerator} Yields items from each page
    */
   async *getAllPages(path, params = {}, maxPages = Infinity) {
-    let page = params.page || 1;
-    let pagesRetrieved = 0;
-
-    while (pagesRetrieved < maxPages) {
-      const response = await this.get(path, { ...params, page });
-      
-      // Yield items from current page
-      for (const item of response.data) {
-        yield item;
-      }
-
-      pagesRetrieved++;
-
-      // Check if there are more pages
-      if (!response.pagination?.next || pagesRetrieved >= maxPages) {
-        break;
-      }
-
-      page++;
-    }
+    yield* this.transport.paginate(path, { params: { per_page: 30, ...params }, maxPages });
   }
 
   /**
@@ -238,4 +201,4 @@ export class HttpClient {
   }
 }
 
-export default HttpClient;
\ No newline at end of file
+export default HttpClient;
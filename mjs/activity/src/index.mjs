@@ -3,20 +3,23 @@
  * @module github-activity-sdk
  */
 
+import { ActivityClient } from './client/ActivityClient.mjs';
+import { EventsAPI } from './api/events.mjs';
+import { NotificationsAPI } from './api/notifications.mjs';
+import { FeedsAPI } from './api/feeds.mjs';
+import { StarsAPI } from './api/stars.mjs';
+import { WatchingAPI } from './api/watching.mjs';
+import { Types } from './models/types.mjs';
+
 // Main client
-export { ActivityClient } from './client/ActivityClient.mjs';
-export { default as ActivityClient } from './client/ActivityClient.mjs';
+export { ActivityClient };
 
 // HTTP client and auth
 export { HttpClient } from './client/http.mjs';
 export { AuthConfig, createAuthConfig } from './client/auth.mjs';
 
 // API modules
-export { EventsAPI } from './api/events.mjs';
-export { NotificationsAPI } from './api/notifications.mjs';
-export { FeedsAPI } from './api/feeds.mjs';
-export { StarsAPI } from './api/stars.mjs';
-export { WatchingAPI } from './api/watching.mjs';
+export { EventsAPI, NotificationsAPI, FeedsAPI, StarsAPI, WatchingAPI };
 
 // Utilities
 export { Paginator, parseLinkHeader, buildPaginationParams } from './utils/pagination.mjs';
@@ -33,7 +36,7 @@ export {
 } from './utils/errors.mjs';
 
 // Types
-export { Types } from './models/types.mjs';
+export { Types };
 
 // Factory function for quick client creation
 export async function createClient(options = {}) {
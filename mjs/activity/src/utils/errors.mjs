@@ -3,10 +3,12 @@
  * @module utils/errors
  */
 
+import { GitHubError } from '@thinkeloquent/github-sdk-core';
+
 /**
  * Base error class for API errors
  */
-export class APIError extends Error {
+export class APIError extends GitHubError {
   /**
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
@@ -14,9 +16,8 @@ export class APIError extends Error {
    * @param {string} documentationUrl - URL to documentation
    */
   constructor(message, statusCode, errors = [], documentationUrl = null) {
-    super(message);
+    super(message, { status: statusCode });
     this.name = 'APIError';
-    this.statusCode = statusCode;
     this.errors = errors;
     this.documentationUrl = documentationUrl;
   }
@@ -0,0 +1,38 @@
+/**
+ * GraphQL helpers shared by the API modules
+ * @module utils/graphql
+ */
+
+import { ConfigurationError } from './errors.mjs';
+
+/**
+ * User fields selected wherever a REST user object is rebuilt
+ */
+export const USER_FIELDS = 'fragment UserFields on User { id databaseId login avatarUrl url }';
+
+/**
+ * Shape a GraphQL user like the REST API's simple user
+ * @param {Object} node - User selected with USER_FIELDS
+ * @returns {Object} `{ login, id, node_id, avatar_url, html_url, type }`
+ */
+export function toRestUser(node) {
+  return {
+    login: node.login,
+    id: node.databaseId,
+    node_id: node.id,
+    avatar_url: node.avatarUrl,
+    html_url: node.url,
+    type: 'User'
+  };
+}
+
+/**
+ * Fail fast when an API module was built without a GraphQL client
+ * @param {Object|null} graphql - GraphQL client
+ * @param {string} method - Method that needs it
+ */
+export function requireGraphQL(graphql, method) {
+  if (!graphql) {
+    throw new ConfigurationError(`${method} needs a GraphQL client; construct the API with one or use ActivityClient`);
+  }
+}
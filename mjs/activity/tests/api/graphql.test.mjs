@@ -0,0 +1,98 @@
+/**
+ * Tests for the GraphQL-backed Stars and Watching helpers
+ */
+
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import { StarsAPI } from '../../src/api/stars.mjs';
+import { WatchingAPI } from '../../src/api/watching.mjs';
+import { ConfigurationError } from '../../src/utils/errors.mjs';
+
+function user(login, n) {
+  return { id: `U_${n}`, databaseId: n, login, avatarUrl: `https://avatars/${n}`, url: `https://github.com/${login}` };
+}
+
+function connection(items, endCursor, hasNextPage) {
+  return { pageInfo: { hasNextPage, endCursor }, ...items };
+}
+
+describe('StarsAPI.getStarHistoryGraphQL', () => {
+  test('pages stargazers oldest first and shapes them like the REST history', async () => {
+    const edges = [
+      { starredAt: '2024-01-01T00:00:00Z', node: user('a', 1) },
+      { starredAt: '2024-02-01T00:00:00Z', node: user('b', 2) }
+    ];
+    const graphql = {
+      paginate: mock.fn(async function* () {
+        yield* edges;
+      })
+    };
+
+    const history = await new StarsAPI({}, graphql).getStarHistoryGraphQL('octocat', 'demo');
+
+    assert.deepEqual(graphql.paginate.mock.calls[0].arguments.slice(1), [
+      { owner: 'octocat', repo: 'demo', direction: 'ASC' },
+      { path: 'repository.stargazers' }
+    ]);
+    assert.deepEqual(history[0], {
+      user: { login: 'a', id: 1, node_id: 'U_1', avatar_url: 'https://avatars/1', html_url: 'https://github.com/a', type: 'User' },
+      starred_at: '2024-01-01T00:00:00Z'
+    });
+    assert.equal(history.length, 2);
+  });
+
+  test('stops paging at since', async () => {
+    let yielded = 0;
+    const graphql = {
+      paginate: mock.fn(async function* () {
+        for (const [login, starredAt] of [['c', '2024-03-01T00:00:00Z'], ['b', '2024-02-01T00:00:00Z'], ['a', '2024-01-01T00:00:00Z']]) {
+          yielded++;
+          yield { starredAt, node: user(login, yielded) };
+        }
+      })
+    };
+
+    const history = await new StarsAPI({}, graphql).getStarHistoryGraphQL('octocat', 'demo', { since: '2024-01-15T00:00:00Z' });
+
+    assert.equal(graphql.paginate.mock.calls[0].arguments[1].direction, 'DESC');
+    assert.deepEqual(history.map(star => star.user.login), ['b', 'c']);
+    assert.equal(yielded, 3);
+  });
+
+  test('needs a GraphQL client', async () => {
+    await assert.rejects(new StarsAPI({}).getStarHistoryGraphQL('octocat', 'demo'), ConfigurationError);
+  });
+});
+
+describe('WatchingAPI.findMutualWatchersGraphQL', () => {
+  test('pages both repositories in the same requests', async () => {
+    const pages = [
+      {
+        first: { watchers: connection({ nodes: [user('a', 1), user('b', 2)] }, 'f1', true) },
+        second: { watchers: connection({ nodes: [user('b', 2)] }, 's1', false) }
+      },
+      {
+        first: { watchers: connection({ nodes: [user('c', 3)] }, 'f2', false) }
+      }
+    ];
+    const calls = [];
+    const graphql = {
+      query: mock.fn(async (query, variables) => {
+        calls.push({ ...variables });
+        return pages.shift();
+      })
+    };
+
+    const mutual = await new WatchingAPI({}, graphql).findMutualWatchersGraphQL(
+      { owner: 'octocat', repo: 'one' },
+      { owner: 'octocat', repo: 'two' }
+    );
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[1], {
+      owner1: 'octocat', repo1: 'one', cursor1: 'f1', done1: false,
+      owner2: 'octocat', repo2: 'two', cursor2: 's1', done2: true
+    });
+    assert.deepEqual(mutual.map(watcher => watcher.login), ['b']);
+  });
+});
@@ -4,7 +4,9 @@
 
 import { test, describe, beforeEach, mock } from 'node:test';
 import assert from 'node:assert';
+import { SecondaryRateLimitError } from '@thinkeloquent/github-sdk-core';
 import { ActivityClient } from '../src/client/ActivityClient.mjs';
+import { RateLimitError } from '../src/utils/errors.mjs';
 
 describe('ActivityClient', () => {
   let client;
@@ -78,6 +80,17 @@ describe('ActivityClient', () => {
     });
   });
 
+  describe('rate limits', () => {
+    test('should map secondary rate limits with their Retry-After', () => {
+      const before = Date.now();
+      const error = client.http.handleError(new SecondaryRateLimitError('slow down', { retryAfter: 30 }));
+
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 30000);
+      assert.ok(error.resetTime >= before + 30000);
+    });
+  });
+
   describe('factory methods', () => {
     test('fromEnvironment should create client from env vars', async () => {
       process.env.GITHUB_TOKEN = 'env_token';
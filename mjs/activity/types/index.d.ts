@@ -0,0 +1,2139 @@
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-activity
+ * GitHub Activity API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+/** What the HTTP helpers resolve to: the response body plus request metadata */
+export interface ApiResponse<T> {
+  data: T;
+  headers: Record<string, string>;
+  pagination: Record<string, string> | undefined;
+  rateLimit: { limit: number; remaining: number; reset: number; used: number; resource: string };
+}
+
+/** Client configuration options */
+export interface ActivityClientOptions {
+  /** GitHub personal access token */
+  token?: string;
+  /** Base URL for GitHub API */
+  baseURL?: string;
+  /** Stored credential profile, supplies the token and base URL */
+  profile?: string;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE) */
+  cassette?: string | Record<string, any>;
+  /** Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE) */
+  validate?: string;
+  /** Print write requests instead of sending them (default: GITHUB_DRY_RUN) */
+  dryRun?: boolean | Record<string, any>;
+  /** Log write requests to the audit log (default: GITHUB_AUDIT_LOG) */
+  audit?: boolean | string | Record<string, any>;
+  /** Request scheduler options, or `false` to opt out (default: shared per credential) */
+  scheduler?: boolean | Record<string, any>;
+  /** Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones */
+  instrumentation?: Record<string, any> | Record<string, any>[];
+  /** Default items per page */
+  perPage?: number;
+  /** Enable debug mode */
+  debug?: boolean;
+  [key: string]: any;
+}
+
+/** Main client for GitHub Activity API */
+export class ActivityClient {
+  constructor(options?: ActivityClientOptions);
+  options: Record<string, any>;
+  authConfig: any;
+  http: HttpClient;
+  graphql: any;
+  events: EventsAPI;
+  notifications: NotificationsAPI;
+  feeds: FeedsAPI;
+  stars: StarsAPI;
+  watching: WatchingAPI;
+  /** Initialize authentication */
+  initAuth(options: Record<string, any>): Promise<void>;
+  /** Set authentication token */
+  setToken(token: string): void;
+  /**
+   * Get current rate limit status
+   *
+   * `GET /rate_limit`
+   * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+   */
+  getRateLimit(): Promise<RateLimitGetResponse>;
+  /**
+   * Get authenticated user
+   *
+   * `GET /user`
+   * @see https://docs.github.com/rest/users/users#get-the-authenticated-user
+   */
+  getAuthenticatedUser(): Promise<UsersGetAuthenticatedResponse>;
+  /** Check if client is authenticated */
+  isAuthenticated(): boolean;
+  /**
+   * Get API meta information
+   *
+   * `GET /meta`
+   * @see https://docs.github.com/rest/meta/meta#get-apiname-meta-information
+   */
+  getMeta(): Promise<MetaGetResponse>;
+  /** Create a new client with different configuration */
+  withOptions(options: Record<string, any>): ActivityClient;
+  /** Factory method to create client from environment */
+  static fromEnvironment(options?: Record<string, any>): Promise<ActivityClient>;
+  /** Factory method to create client from config file */
+  static fromConfig(configPath: string, options?: Record<string, any>): Promise<ActivityClient>;
+}
+
+/** Configuration options */
+export interface HttpClientOptions {
+  /** Base URL for API */
+  baseURL?: string;
+  /** GitHub personal access token */
+  token?: string;
+  /** Request timeout in ms */
+  timeout?: number;
+  /** Additional headers */
+  headers?: Record<string, any>;
+  /** Record/replay cassette (see core Cassette) */
+  cassette?: string | Record<string, any>;
+  /** OpenAPI validation mode, 'warn' or 'strict' */
+  validate?: string;
+  /** Print write requests instead of sending them (see core DryRun) */
+  dryRun?: boolean | Record<string, any>;
+  /** Log write requests to the audit log (see core AuditLog) */
+  audit?: boolean | string | Record<string, any>;
+  /** Request scheduler (see core RequestScheduler) */
+  scheduler?: boolean | Record<string, any>;
+  /** Request lifecycle hooks (see core Instrumentation) */
+  instrumentation?: Record<string, any> | Record<string, any>[];
+  [key: string]: any;
+}
+
+/** HTTP Client class for making API requests */
+export class HttpClient {
+  constructor(config?: HttpClientOptions);
+  transport: any;
+  /** Set authentication token */
+  setAuthToken(token: string): void;
+  /** Convert transport errors into Activity API errors */
+  handleError(error: Error): Error;
+  /** Send a request and shape the response for the API modules */
+  request(method: string, path: string, options?: Record<string, any>): Promise<Record<string, any>>;
+  /** Make GET request */
+  get(path: string, params?: Record<string, any>, options?: Record<string, any>): Promise<Record<string, any>>;
+  /** Make POST request */
+  post(path: string, data?: Record<string, any>, params?: Record<string, any>): Promise<Record<string, any>>;
+  /** Make PUT request */
+  put(path: string, data?: Record<string, any>, params?: Record<string, any>): Promise<Record<string, any>>;
+  /** Make PATCH request */
+  patch(path: string, data?: Record<string, any>, params?: Record<string, any>): Promise<Record<string, any>>;
+  /** Make DELETE request */
+  delete(path: string, params?: Record<string, any>): Promise<Record<string, any>>;
+  /** Get all pages of a paginated endpoint */
+  getAllPages(path: string, params?: Record<string, any>, maxPages?: number): AsyncGenerator<any>;
+  /** Fetch all items from a paginated endpoint */
+  fetchAllPages(path: string, params?: Record<string, any>, maxPages?: number): Promise<any[]>;
+}
+
+/** Authentication options */
+export interface AuthConfigOptions {
+  /** GitHub personal access token */
+  token?: string;
+  /** Path to file containing token */
+  tokenFile?: string;
+  /** Environment variable name for token */
+  tokenEnv?: string;
+  /** Stored credential profile (default: GITHUB_PROFILE) */
+  profile?: string;
+  /** API base URL, selects the stored credential's host */
+  baseURL?: string;
+  [key: string]: any;
+}
+
+/** Authentication configuration */
+export class AuthConfig {
+  constructor(options?: AuthConfigOptions);
+  token: any;
+  tokenSource: any;
+  baseUrl: any;
+  tokenFile: AuthConfigOptions["tokenFile"];
+  /**
+   * Resolve a token from a profile, the environment or the shared
+   * credential store written by `login`
+   */
+  loadFromStore(profile?: string, host?: string): void;
+  /** Load token from environment variable */
+  loadFromEnv(envName: string): void;
+  /** Load token from file */
+  loadFromFile(): Promise<string>;
+  /** Load configuration from config file */
+  static loadConfig(configPath?: string): Promise<Record<string, any>>;
+  /** Get token */
+  getToken(): Promise<string | null>;
+  /** Check if authenticated */
+  isAuthenticated(): boolean;
+  /** Get token source description */
+  getTokenSource(): string;
+  /** Validate token format */
+  static validateToken(token: string): boolean;
+  /** Create auth header */
+  createAuthHeader(): Promise<Record<string, any>>;
+  /**
+   * Get scopes from token
+   *
+   * `GET /user`
+   * @see https://docs.github.com/rest/users/users#get-the-authenticated-user
+   */
+  getScopes(httpClient: Record<string, any>): Promise<any[]>;
+  /** Check if token has required scopes */
+  hasScopes(requiredScopes: string[], httpClient: Record<string, any>): Promise<boolean>;
+}
+
+/** Create auth config from various sources */
+export function createAuthConfig(options?: Record<string, any>): Promise<AuthConfig>;
+
+/** Events API endpoints */
+export class EventsAPI {
+  constructor(http: HttpClient);
+  http: HttpClient;
+  /**
+   * List public events
+   *
+   * `GET /events`
+   * @see https://docs.github.com/rest/activity/events#list-public-events
+   */
+  listPublic(options?: ActivityListPublicEventsParams): Promise<ApiResponse<ActivityListPublicEventsResponse>>;
+  /**
+   * List repository events
+   *
+   * `GET /repos/{owner}/{repo}/events`
+   * @see https://docs.github.com/rest/activity/events#list-repository-events
+   */
+  listForRepo(owner: string, repo: string, options?: ActivityListRepoEventsParams): Promise<ApiResponse<ActivityListRepoEventsResponse>>;
+  /**
+   * List public events for a network of repositories
+   *
+   * `GET /networks/{owner}/{repo}/events`
+   * @see https://docs.github.com/rest/activity/events#list-public-events-for-a-network-of-repositories
+   */
+  listForRepoNetwork(owner: string, repo: string, options?: ActivityListPublicEventsForRepoNetworkParams): Promise<ApiResponse<ActivityListPublicEventsForRepoNetworkResponse>>;
+  /**
+   * List organization events
+   *
+   * `GET /orgs/{org}/events`
+   * @see https://docs.github.com/rest/activity/events#list-public-organization-events
+   */
+  listForOrg(org: string, options?: ActivityListPublicOrgEventsParams): Promise<ApiResponse<ActivityListPublicOrgEventsResponse>>;
+  /**
+   * List events for a user
+   *
+   * `GET /users/{username}/events`
+   * @see https://docs.github.com/rest/activity/events#list-events-for-the-authenticated-user
+   */
+  listForUser(username: string, options?: ActivityListEventsForAuthenticatedUserParams): Promise<ApiResponse<ActivityListEventsForAuthenticatedUserResponse>>;
+  /**
+   * List public events for a user
+   *
+   * `GET /users/{username}/events/public`
+   * @see https://docs.github.com/rest/activity/events#list-public-events-for-a-user
+   */
+  listPublicForUser(username: string, options?: ActivityListPublicEventsForUserParams): Promise<ApiResponse<ActivityListPublicEventsForUserResponse>>;
+  /**
+   * List events for a user's organization
+   *
+   * `GET /users/{username}/events/orgs/{org}`
+   * @see https://docs.github.com/rest/activity/events#list-organization-events-for-the-authenticated-user
+   */
+  listForUserOrg(username: string, org: string, options?: ActivityListOrgEventsForAuthenticatedUserParams): Promise<ApiResponse<ActivityListOrgEventsForAuthenticatedUserResponse>>;
+  /**
+   * List events received by a user
+   *
+   * `GET /users/{username}/received_events`
+   * @see https://docs.github.com/rest/activity/events#list-events-received-by-the-authenticated-user
+   */
+  listReceivedByUser(username: string, options?: ActivityListReceivedEventsForUserParams): Promise<ApiResponse<ActivityListReceivedEventsForUserResponse>>;
+  /**
+   * List public events received by a user
+   *
+   * `GET /users/{username}/received_events/public`
+   * @see https://docs.github.com/rest/activity/events#list-public-events-received-by-a-user
+   */
+  listPublicReceivedByUser(username: string, options?: ActivityListReceivedPublicEventsForUserParams): Promise<ApiResponse<ActivityListReceivedPublicEventsForUserResponse>>;
+  /** Get paginator for public events */
+  getPublicPaginator(options?: Record<string, any>): Paginator;
+  /** Get paginator for repository events */
+  getRepoPaginator(owner: string, repo: string, options?: Record<string, any>): Paginator;
+  /** Get paginator for user events */
+  getUserPaginator(username: string, options?: Record<string, any>): Paginator;
+  /** Stream public events */
+  streamPublic(options?: { interval?: number; onEvent?: (...args: any[]) => any; [key: string]: any }): AsyncGenerator<any>;
+  /** Filter events by type */
+  filterByType(events: any[], types: string | string[]): any[];
+  /** Filter events by repository */
+  filterByRepo(events: any[], repoFullName: string): any[];
+  /** Filter events by actor */
+  filterByActor(events: any[], username: string): any[];
+  /** Group events by type */
+  groupByType(events: any[]): Record<string, any>;
+  /** Get event statistics */
+  getStatistics(events: any[]): Record<string, any>;
+}
+
+/** Notifications API endpoints */
+export class NotificationsAPI {
+  constructor(http: HttpClient);
+  http: HttpClient;
+  /**
+   * List notifications for authenticated user
+   *
+   * `GET /notifications`
+   * @see https://docs.github.com/rest/activity/notifications#list-notifications-for-the-authenticated-user
+   */
+  list(options?: ActivityListNotificationsForAuthenticatedUserParams): Promise<ApiResponse<ActivityListNotificationsForAuthenticatedUserResponse>>;
+  /**
+   * List repository notifications for authenticated user
+   *
+   * `GET /repos/{owner}/{repo}/notifications`
+   * @see https://docs.github.com/rest/activity/notifications#list-repository-notifications-for-the-authenticated-user
+   */
+  listForRepo(owner: string, repo: string, options?: ActivityListRepoNotificationsForAuthenticatedUserParams): Promise<ApiResponse<ActivityListRepoNotificationsForAuthenticatedUserResponse>>;
+  /**
+   * Mark notifications as read
+   *
+   * `PUT /notifications`
+   * @see https://docs.github.com/rest/activity/notifications#mark-notifications-as-read
+   */
+  markAsRead(options?: ActivityMarkNotificationsAsReadRequest): Promise<ApiResponse<ActivityMarkNotificationsAsReadResponse>>;
+  /**
+   * Mark repository notifications as read
+   *
+   * `PUT /repos/{owner}/{repo}/notifications`
+   * @see https://docs.github.com/rest/activity/notifications#mark-repository-notifications-as-read
+   */
+  markRepoAsRead(owner: string, repo: string, options?: ActivityMarkRepoNotificationsAsReadRequest): Promise<ApiResponse<ActivityMarkRepoNotificationsAsReadResponse>>;
+  /**
+   * Get a thread
+   *
+   * `GET /notifications/threads/{thread_id}`
+   * @see https://docs.github.com/rest/activity/notifications#get-a-thread
+   */
+  getThread(threadId: number): Promise<ActivityGetThreadResponse>;
+  /**
+   * Mark a thread as read
+   *
+   * `PATCH /notifications/threads/{thread_id}`
+   * @see https://docs.github.com/rest/activity/notifications#mark-a-thread-as-read
+   */
+  markThreadAsRead(threadId: number): Promise<ApiResponse<void>>;
+  /**
+   * Mark a thread as done
+   *
+   * `DELETE /notifications/threads/{thread_id}`
+   * @see https://docs.github.com/rest/activity/notifications#mark-a-thread-as-done
+   */
+  markThreadAsDone(threadId: number): Promise<ApiResponse<void>>;
+  /**
+   * Get thread subscription
+   *
+   * `GET /notifications/threads/{thread_id}/subscription`
+   * @see https://docs.github.com/rest/activity/notifications#get-a-thread-subscription-for-the-authenticated-user
+   */
+  getThreadSubscription(threadId: number): Promise<ActivityGetThreadSubscriptionForAuthenticatedUserResponse>;
+  /**
+   * Set thread subscription
+   *
+   * `PUT /notifications/threads/{thread_id}/subscription`
+   * @see https://docs.github.com/rest/activity/notifications#set-a-thread-subscription
+   */
+  setThreadSubscription(threadId: number, options?: ActivitySetThreadSubscriptionRequest): Promise<ActivitySetThreadSubscriptionResponse>;
+  /**
+   * Delete thread subscription
+   *
+   * `DELETE /notifications/threads/{thread_id}/subscription`
+   * @see https://docs.github.com/rest/activity/notifications#delete-a-thread-subscription
+   */
+  deleteThreadSubscription(threadId: number): Promise<ApiResponse<void>>;
+  /** Get paginator for notifications */
+  getPaginator(options?: Record<string, any>): Paginator;
+  /** Get paginator for repository notifications */
+  getRepoPaginator(owner: string, repo: string, options?: Record<string, any>): Paginator;
+  /** Get all unread notifications */
+  getAllUnread(options?: Record<string, any>): Promise<any[]>;
+  /** Get all participating notifications */
+  getAllParticipating(options?: Record<string, any>): Promise<any[]>;
+  /** Group notifications by repository */
+  groupByRepository(notifications: any[]): Record<string, any>;
+  /** Group notifications by reason */
+  groupByReason(notifications: any[]): Record<string, any>;
+  /** Filter notifications by subject type */
+  filterBySubjectType(notifications: any[], types: string | string[]): any[];
+  /** Filter unread notifications */
+  filterUnread(notifications: any[]): any[];
+  /** Get notification statistics */
+  getStatistics(notifications: any[]): Record<string, any>;
+  /** Mark multiple threads as read */
+  markMultipleAsRead(threadIds: number[]): Promise<any[]>;
+  /** Subscribe to multiple threads */
+  subscribeToMultiple(threadIds: number[], options?: Record<string, any>): Promise<any[]>;
+}
+
+/** Feeds API endpoints */
+export class FeedsAPI {
+  constructor(http: HttpClient);
+  http: HttpClient;
+  /**
+   * Get feeds
+   * Lists the feeds available to the authenticated user
+   *
+   * `GET /feeds`
+   * @see https://docs.github.com/rest/activity/feeds#get-feeds
+   */
+  getFeeds(): Promise<ActivityGetFeedsResponse>;
+  /** Get timeline feed URL */
+  getTimelineFeedUrl(): Promise<string>;
+  /** Get user feed URL template */
+  getUserFeedUrl(): Promise<string>;
+  /** Get current user public feed URL */
+  getCurrentUserPublicFeedUrl(): Promise<string>;
+  /** Get current user feed URL (private) */
+  getCurrentUserFeedUrl(): Promise<string>;
+  /** Get current user actor feed URL */
+  getCurrentUserActorFeedUrl(): Promise<string>;
+  /** Get current user organization feed URLs */
+  getCurrentUserOrganizationFeedUrls(): Promise<string[]>;
+  /** Get security advisories feed URL */
+  getSecurityAdvisoriesFeedUrl(): Promise<string>;
+  /** Get repository discussions feed URL template */
+  getRepositoryDiscussionsFeedUrl(): Promise<string>;
+  /** Get repository discussions category feed URL template */
+  getRepositoryDiscussionsCategoryFeedUrl(): Promise<string>;
+  /** Get all feed links */
+  getAllFeedLinks(): Promise<Record<string, any>>;
+  /** Generate user feed URL for a specific user */
+  generateUserFeedUrl(username: string): Promise<string>;
+  /** Generate repository discussions feed URL */
+  generateRepositoryDiscussionsFeedUrl(owner: string, repo: string): Promise<string>;
+  /** Generate repository discussions category feed URL */
+  generateRepositoryDiscussionsCategoryFeedUrl(owner: string, repo: string, category: string): Promise<string>;
+  /** Check if authenticated user has private feeds */
+  hasPrivateFeeds(): Promise<boolean>;
+  /** Get feed metadata */
+  getFeedMetadata(): Promise<Record<string, any>>;
+  /** Get all available feed URLs */
+  getAllAvailableFeeds(): Promise<any[]>;
+}
+
+/** Stars API endpoints */
+export class StarsAPI {
+  constructor(http: HttpClient, graphql?: any);
+  http: HttpClient;
+  graphql: any;
+  /**
+   * List stargazers for a repository
+   *
+   * `GET /repos/{owner}/{repo}/stargazers`
+   * @see https://docs.github.com/rest/activity/starring#list-stargazers
+   */
+  listStargazers(owner: string, repo: string, options?: ActivityListStargazersForRepoParams): Promise<Record<string, any>>;
+  /**
+   * List repositories starred by a user
+   *
+   * `GET /users/{username}/starred`
+   * @see https://docs.github.com/rest/activity/starring#list-repositories-starred-by-a-user
+   */
+  listStarredByUser(username: string, options?: ActivityListReposStarredByUserParams): Promise<Record<string, any>>;
+  /**
+   * List repositories starred by authenticated user
+   *
+   * `GET /user/starred`
+   * @see https://docs.github.com/rest/activity/starring#list-repositories-starred-by-the-authenticated-user
+   */
+  listStarredByAuthUser(options?: ActivityListReposStarredByAuthenticatedUserParams): Promise<Record<string, any>>;
+  /**
+   * Check if a repository is starred by authenticated user
+   *
+   * `GET /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#check-if-a-repository-is-starred-by-the-authenticated-user
+   */
+  checkIfStarred(owner: string, repo: string): Promise<boolean>;
+  /**
+   * Star a repository for authenticated user
+   *
+   * `PUT /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#star-a-repository-for-the-authenticated-user
+   */
+  starRepo(owner: string, repo: string): Promise<ApiResponse<void>>;
+  /**
+   * Unstar a repository for authenticated user
+   *
+   * `DELETE /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#unstar-a-repository-for-the-authenticated-user
+   */
+  unstarRepo(owner: string, repo: string): Promise<ApiResponse<void>>;
+  /** Get paginator for stargazers */
+  getStargazersPaginator(owner: string, repo: string, options?: Record<string, any>): Paginator;
+  /** Get paginator for starred repositories by user */
+  getStarredPaginator(username: string, options?: Record<string, any>): Paginator;
+  /** Get paginator for starred repositories by authenticated user */
+  getAuthStarredPaginator(options?: Record<string, any>): Paginator;
+  /** Star multiple repositories */
+  starMultiple(repos: Record<string, any>[]): Promise<any[]>;
+  /** Unstar multiple repositories */
+  unstarMultiple(repos: Record<string, any>[]): Promise<any[]>;
+  /**
+   * Get star count for a repository
+   *
+   * `GET /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#get-a-repository
+   */
+  getStarCount(owner: string, repo: string): Promise<number>;
+  /** Get star history for a repository */
+  getStarHistory(owner: string, repo: string, options?: Record<string, any>): Promise<any[]>;
+  /**
+   * Get star history for a repository over GraphQL: 100 stargazers per
+   * request, and with `since` only the stars after it are fetched
+   */
+  getStarHistoryGraphQL(owner: string, repo: string, options?: { since?: string | Date; [key: string]: any }): Promise<any[]>;
+  /** Get star statistics for a repository */
+  getStarStatistics(owner: string, repo: string): Promise<Record<string, any>>;
+  /**
+   * Find mutual stargazers between repositories
+   *
+   * `GET /repos/{owner}/{repo}/stargazers`
+   * @see https://docs.github.com/rest/activity/starring#list-stargazers
+   */
+  findMutualStargazers(repo1: Record<string, any>, repo2: Record<string, any>): Promise<any[]>;
+}
+
+/** Watching API endpoints */
+export class WatchingAPI {
+  constructor(http: HttpClient, graphql?: any);
+  http: HttpClient;
+  graphql: any;
+  /**
+   * List watchers for a repository
+   *
+   * `GET /repos/{owner}/{repo}/subscribers`
+   * @see https://docs.github.com/rest/activity/watching#list-watchers
+   */
+  listWatchers(owner: string, repo: string, options?: ActivityListWatchersForRepoParams): Promise<ApiResponse<ActivityListWatchersForRepoResponse>>;
+  /**
+   * List repositories watched by a user
+   *
+   * `GET /users/{username}/subscriptions`
+   * @see https://docs.github.com/rest/activity/watching#list-repositories-watched-by-a-user
+   */
+  listWatchedByUser(username: string, options?: ActivityListReposWatchedByUserParams): Promise<ApiResponse<ActivityListReposWatchedByUserResponse>>;
+  /**
+   * List repositories watched by authenticated user
+   *
+   * `GET /user/subscriptions`
+   * @see https://docs.github.com/rest/activity/watching#list-repositories-watched-by-the-authenticated-user
+   */
+  listWatchedByAuthUser(options?: ActivityListWatchedReposForAuthenticatedUserParams): Promise<ApiResponse<ActivityListWatchedReposForAuthenticatedUserResponse>>;
+  /**
+   * Get repository subscription for authenticated user
+   *
+   * `GET /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#get-a-repository-subscription
+   */
+  getRepoSubscription(owner: string, repo: string): Promise<ActivityGetRepoSubscriptionResponse>;
+  /**
+   * Set repository subscription
+   *
+   * `PUT /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#set-a-repository-subscription
+   */
+  setRepoSubscription(owner: string, repo: string, options?: ActivitySetRepoSubscriptionRequest): Promise<ActivitySetRepoSubscriptionResponse>;
+  /**
+   * Delete repository subscription
+   *
+   * `DELETE /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#delete-a-repository-subscription
+   */
+  deleteRepoSubscription(owner: string, repo: string): Promise<ApiResponse<void>>;
+  /** Watch a repository (subscribe) */
+  watchRepo(owner: string, repo: string): Promise<Record<string, any>>;
+  /** Unwatch a repository (unsubscribe) */
+  unwatchRepo(owner: string, repo: string): Promise<Record<string, any>>;
+  /** Ignore a repository */
+  ignoreRepo(owner: string, repo: string): Promise<Record<string, any>>;
+  /** Check if watching a repository */
+  isWatching(owner: string, repo: string): Promise<boolean>;
+  /** Check if ignoring a repository */
+  isIgnoring(owner: string, repo: string): Promise<boolean>;
+  /** Get paginator for watchers */
+  getWatchersPaginator(owner: string, repo: string, options?: Record<string, any>): Paginator;
+  /** Get paginator for watched repositories by user */
+  getWatchedPaginator(username: string, options?: Record<string, any>): Paginator;
+  /** Get paginator for watched repositories by authenticated user */
+  getAuthWatchedPaginator(options?: Record<string, any>): Paginator;
+  /** Watch multiple repositories */
+  watchMultiple(repos: Record<string, any>[]): Promise<any[]>;
+  /** Unwatch multiple repositories */
+  unwatchMultiple(repos: Record<string, any>[]): Promise<any[]>;
+  /**
+   * Get watcher count for a repository
+   *
+   * `GET /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#get-a-repository
+   */
+  getWatcherCount(owner: string, repo: string): Promise<number>;
+  /**
+   * Get all watchers for a repository
+   *
+   * `GET /repos/{owner}/{repo}/subscribers`
+   * @see https://docs.github.com/rest/activity/watching#list-watchers
+   */
+  getAllWatchers(owner: string, repo: string, options?: ActivityListWatchersForRepoParams): Promise<ActivityListWatchersForRepoResponse>;
+  /**
+   * Get all watched repositories for authenticated user
+   *
+   * `GET /user/subscriptions`
+   * @see https://docs.github.com/rest/activity/watching#list-repositories-watched-by-the-authenticated-user
+   */
+  getAllWatched(options?: ActivityListWatchedReposForAuthenticatedUserParams): Promise<ActivityListWatchedReposForAuthenticatedUserResponse>;
+  /** Get watch statistics for repositories */
+  getWatchStatistics(repos: Record<string, any>[]): Promise<Record<string, any>>;
+  /** Find mutual watchers between repositories */
+  findMutualWatchers(repo1: Record<string, any>, repo2: Record<string, any>): Promise<any[]>;
+  /**
+   * Find mutual watchers between repositories over GraphQL. Both lists are
+   * paged in the same requests, 100 watchers each.
+   */
+  findMutualWatchersGraphQL(repo1: Record<string, any>, repo2: Record<string, any>): Promise<any[]>;
+}
+
+/** Paginator class for iterating through pages */
+export class Paginator {
+  constructor(fetchFunction: (...args: any[]) => any, options?: Record<string, any>);
+  fetchFunction: (...args: any[]) => any;
+  options: Record<string, any>;
+  currentPage: any;
+  perPage: any;
+  hasMore: boolean;
+  items: any[];
+  totalFetched: number;
+  /** Fetch next page */
+  fetchNextPage(): Promise<Record<string, any>>;
+  /** Fetch all items */
+  fetchAll(maxItems?: number): Promise<any[]>;
+  /** Reset paginator to first page */
+  reset(): void;
+}
+
+/** Parse GitHub Link header for pagination */
+export function parseLinkHeader(linkHeader: string): Record<string, any>;
+
+/** Build pagination query parameters */
+export function buildPaginationParams(options?: { page?: number; per_page?: number; sort?: string; direction?: string; since?: string; before?: string; [key: string]: any }): Record<string, any>;
+
+/** Base error class for API errors */
+export class APIError extends Error {
+  constructor(message: string, statusCode: number, errors?: any[], documentationUrl?: string);
+  errors: any[];
+  documentationUrl: string;
+  /** Get formatted error message */
+  toString(): string;
+}
+
+/** Rate limit error */
+export class RateLimitError extends APIError {
+  constructor(message: string, retryAfter: number, resetTime: number);
+  retryAfter: number;
+  resetTime: number;
+  /** Get seconds until rate limit resets */
+  getSecondsUntilReset(): number;
+  /** Get formatted time until reset */
+  getTimeUntilReset(): string;
+}
+
+/** Authentication error */
+export class AuthenticationError extends APIError {
+  constructor(message?: any);
+}
+
+/** Not found error */
+export class NotFoundError extends APIError {
+  constructor(message?: any);
+}
+
+/** Validation error */
+export class ValidationError extends APIError {
+  constructor(message: any, errors?: any);
+}
+
+/** Configuration error */
+export class ConfigurationError extends Error {
+  constructor(message: any);
+}
+
+/** Check if error is retryable */
+export function isRetryableError(error: Error): boolean;
+
+/** Retry a function with exponential backoff */
+export function retryWithBackoff(fn: (...args: any[]) => any, maxRetries?: number, baseDelay?: number): Promise<any>;
+
+/** Sleep for specified milliseconds */
+export function sleep(ms: number): Promise<any>;
+
+export const Types: Record<string, any>;
+
+export function createClient(options?: any): Promise<ActivityClient>;
+
+declare const _default: {
+  ActivityClient: typeof ActivityClient;
+  createClient: typeof createClient;
+  EventsAPI: typeof EventsAPI;
+  NotificationsAPI: typeof NotificationsAPI;
+  FeedsAPI: typeof FeedsAPI;
+  StarsAPI: typeof StarsAPI;
+  WatchingAPI: typeof WatchingAPI;
+  Types: typeof Types;
+};
+
+export default _default;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Response body for rate-limit/get */
+export type RateLimitGetResponse = RateLimitOverview;
+
+/** Response body for users/get-authenticated */
+export type UsersGetAuthenticatedResponse = PrivateUser | PublicUser;
+
+/** Response body for meta/get */
+export type MetaGetResponse = ApiOverview;
+
+/** Query parameters for activity/list-public-events */
+export interface ActivityListPublicEventsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-public-events */
+export type ActivityListPublicEventsResponse = Event[];
+
+/** Query parameters for activity/list-repo-events */
+export interface ActivityListRepoEventsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-repo-events */
+export type ActivityListRepoEventsResponse = Event[];
+
+/** Query parameters for activity/list-public-events-for-repo-network */
+export interface ActivityListPublicEventsForRepoNetworkParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-public-events-for-repo-network */
+export type ActivityListPublicEventsForRepoNetworkResponse = Event[];
+
+/** Query parameters for activity/list-public-org-events */
+export interface ActivityListPublicOrgEventsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-public-org-events */
+export type ActivityListPublicOrgEventsResponse = Event[];
+
+/** Query parameters for activity/list-events-for-authenticated-user */
+export interface ActivityListEventsForAuthenticatedUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-events-for-authenticated-user */
+export type ActivityListEventsForAuthenticatedUserResponse = Event[];
+
+/** Query parameters for activity/list-public-events-for-user */
+export interface ActivityListPublicEventsForUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-public-events-for-user */
+export type ActivityListPublicEventsForUserResponse = Event[];
+
+/** Query parameters for activity/list-org-events-for-authenticated-user */
+export interface ActivityListOrgEventsForAuthenticatedUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-org-events-for-authenticated-user */
+export type ActivityListOrgEventsForAuthenticatedUserResponse = Event[];
+
+/** Query parameters for activity/list-received-events-for-user */
+export interface ActivityListReceivedEventsForUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-received-events-for-user */
+export type ActivityListReceivedEventsForUserResponse = Event[];
+
+/** Query parameters for activity/list-received-public-events-for-user */
+export interface ActivityListReceivedPublicEventsForUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-received-public-events-for-user */
+export type ActivityListReceivedPublicEventsForUserResponse = Event[];
+
+/** Query parameters for activity/list-notifications-for-authenticated-user */
+export interface ActivityListNotificationsForAuthenticatedUserParams {
+  /** If `true`, show notifications marked as read. */
+  all?: boolean;
+  /** If `true`, only shows notifications in which the user is directly participating or mentioned. */
+  participating?: boolean;
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** Only show notifications updated before the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  before?: string;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** The number of results per page (max 50). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+}
+
+/** Response body for activity/list-notifications-for-authenticated-user */
+export type ActivityListNotificationsForAuthenticatedUserResponse = Thread[];
+
+/** Query parameters for activity/list-repo-notifications-for-authenticated-user */
+export interface ActivityListRepoNotificationsForAuthenticatedUserParams {
+  /** If `true`, show notifications marked as read. */
+  all?: boolean;
+  /** If `true`, only shows notifications in which the user is directly participating or mentioned. */
+  participating?: boolean;
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** Only show notifications updated before the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  before?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-repo-notifications-for-authenticated-user */
+export type ActivityListRepoNotificationsForAuthenticatedUserResponse = Thread[];
+
+/** Request body for activity/mark-notifications-as-read */
+export interface ActivityMarkNotificationsAsReadRequest {
+  /** Describes the last point that notifications were checked. Anything updated since this time will not be marked as read. If you omit this parameter, all notifications are marked as read. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. Default: The current timestamp. */
+  last_read_at?: string;
+  /** Whether the notification has been read. */
+  read?: boolean;
+}
+
+/** Response body for activity/mark-notifications-as-read */
+export type ActivityMarkNotificationsAsReadResponse = {
+  message?: string;
+};
+
+/** Request body for activity/mark-repo-notifications-as-read */
+export interface ActivityMarkRepoNotificationsAsReadRequest {
+  /** Describes the last point that notifications were checked. Anything updated since this time will not be marked as read. If you omit this parameter, all notifications are marked as read. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. Default: The current timestamp. */
+  last_read_at?: string;
+}
+
+/** Response body for activity/mark-repo-notifications-as-read */
+export type ActivityMarkRepoNotificationsAsReadResponse = {
+  message?: string;
+  url?: string;
+};
+
+/** Response body for activity/get-thread */
+export type ActivityGetThreadResponse = Thread;
+
+/** Response body for activity/get-thread-subscription-for-authenticated-user */
+export type ActivityGetThreadSubscriptionForAuthenticatedUserResponse = ThreadSubscription;
+
+/** Request body for activity/set-thread-subscription */
+export interface ActivitySetThreadSubscriptionRequest {
+  /** Whether to block all notifications from a thread. */
+  ignored?: boolean;
+}
+
+/** Response body for activity/set-thread-subscription */
+export type ActivitySetThreadSubscriptionResponse = ThreadSubscription;
+
+/** Response body for activity/get-feeds */
+export type ActivityGetFeedsResponse = Feed;
+
+/** Query parameters for activity/list-stargazers-for-repo */
+export interface ActivityListStargazersForRepoParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-stargazers-for-repo */
+export type ActivityListStargazersForRepoResponse = SimpleUser[] | Stargazer[];
+
+/** Query parameters for activity/list-repos-starred-by-user */
+export interface ActivityListReposStarredByUserParams {
+  /** The property to sort the results by. `created` means when the repository was starred. `updated` means when the repository was last pushed to. */
+  sort?: 'created' | 'updated';
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-repos-starred-by-user */
+export type ActivityListReposStarredByUserResponse = StarredRepository[] | Repository[];
+
+/** Query parameters for activity/list-repos-starred-by-authenticated-user */
+export interface ActivityListReposStarredByAuthenticatedUserParams {
+  /** The property to sort the results by. `created` means when the repository was starred. `updated` means when the repository was last pushed to. */
+  sort?: 'created' | 'updated';
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-repos-starred-by-authenticated-user */
+export type ActivityListReposStarredByAuthenticatedUserResponse = Repository[];
+
+/** Response body for repos/get */
+export type ReposGetResponse = FullRepository;
+
+/** Query parameters for activity/list-watchers-for-repo */
+export interface ActivityListWatchersForRepoParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-watchers-for-repo */
+export type ActivityListWatchersForRepoResponse = SimpleUser[];
+
+/** Query parameters for activity/list-repos-watched-by-user */
+export interface ActivityListReposWatchedByUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-repos-watched-by-user */
+export type ActivityListReposWatchedByUserResponse = MinimalRepository[];
+
+/** Query parameters for activity/list-watched-repos-for-authenticated-user */
+export interface ActivityListWatchedReposForAuthenticatedUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for activity/list-watched-repos-for-authenticated-user */
+export type ActivityListWatchedReposForAuthenticatedUserResponse = MinimalRepository[];
+
+/** Response body for activity/get-repo-subscription */
+export type ActivityGetRepoSubscriptionResponse = RepositorySubscription;
+
+/** Request body for activity/set-repo-subscription */
+export interface ActivitySetRepoSubscriptionRequest {
+  /** Determines if notifications should be received from this repository. */
+  subscribed?: boolean;
+  /** Determines if all notifications should be blocked from this repository. */
+  ignored?: boolean;
+}
+
+/** Response body for activity/set-repo-subscription */
+export type ActivitySetRepoSubscriptionResponse = RepositorySubscription;
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Rate Limit Overview */
+export interface RateLimitOverview {
+  resources: {
+    core: RateLimit;
+    graphql?: RateLimit;
+    search: RateLimit;
+    code_search?: RateLimit;
+    source_import?: RateLimit;
+    integration_manifest?: RateLimit;
+    code_scanning_upload?: RateLimit;
+    actions_runner_registration?: RateLimit;
+    scim?: RateLimit;
+    dependency_snapshots?: RateLimit;
+    dependency_sbom?: RateLimit;
+    code_scanning_autofix?: RateLimit;
+  };
+  rate: RateLimit;
+}
+
+/** Rate Limit */
+export interface RateLimit {
+  limit: number;
+  remaining: number;
+  reset: number;
+  used: number;
+}
+
+/** Private User */
+export interface PrivateUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  private_gists: number;
+  total_private_repos: number;
+  owned_private_repos: number;
+  disk_usage: number;
+  collaborators: number;
+  two_factor_authentication: boolean;
+  plan?: {
+    collaborators: number;
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  business_plus?: boolean;
+  ldap_dn?: string;
+}
+
+/** Public User */
+export interface PublicUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  plan?: {
+    collaborators: number;
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  private_gists?: number;
+  total_private_repos?: number;
+  owned_private_repos?: number;
+  disk_usage?: number;
+  collaborators?: number;
+}
+
+/** Api Overview */
+export interface ApiOverview {
+  verifiable_password_authentication: boolean;
+  ssh_key_fingerprints?: {
+    SHA256_RSA?: string;
+    SHA256_DSA?: string;
+    SHA256_ECDSA?: string;
+    SHA256_ED25519?: string;
+  };
+  ssh_keys?: string[];
+  hooks?: string[];
+  github_enterprise_importer?: string[];
+  web?: string[];
+  api?: string[];
+  git?: string[];
+  packages?: string[];
+  pages?: string[];
+  importer?: string[];
+  actions?: string[];
+  actions_macos?: string[];
+  codespaces?: string[];
+  dependabot?: string[];
+  copilot?: string[];
+  domains?: {
+    website?: string[];
+    codespaces?: string[];
+    copilot?: string[];
+    packages?: string[];
+    actions?: string[];
+    actions_inbound?: {
+      full_domains?: string[];
+      wildcard_domains?: string[];
+    };
+    artifact_attestations?: {
+      trust_domain?: string;
+      services?: string[];
+    };
+  };
+}
+
+/** Event */
+export interface Event {
+  id: string;
+  type: string | null;
+  actor: Actor;
+  repo: {
+    id: number;
+    name: string;
+    url: string;
+  };
+  org?: Actor;
+  payload: {
+    action?: string;
+    issue?: Issue;
+    comment?: IssueComment;
+    pages?: {
+      page_name?: string;
+      title?: string;
+      summary?: string | null;
+      action?: string;
+      sha?: string;
+      html_url?: string;
+    }[];
+  };
+  public: boolean;
+  created_at: string | null;
+}
+
+/** Actor */
+export interface Actor {
+  id: number;
+  login: string;
+  display_login?: string;
+  gravatar_id: string | null;
+  url: string;
+  avatar_url: string;
+}
+
+/** Issues are a great way to keep track of tasks, enhancements, and bugs for your projects. */
+export interface Issue {
+  id: number;
+  node_id: string;
+  /** URL for the issue */
+  url: string;
+  repository_url: string;
+  labels_url: string;
+  comments_url: string;
+  events_url: string;
+  html_url: string;
+  /** Number uniquely identifying the issue within its repository */
+  number: number;
+  /** State of the issue; either 'open' or 'closed' */
+  state: string;
+  /** The reason for the current state */
+  state_reason?: 'completed' | 'reopened' | 'not_planned' | 'duplicate' | null;
+  /** Title of the issue */
+  title: string;
+  /** Contents of the issue */
+  body?: string | null;
+  user: NullableSimpleUser;
+  /** Labels to associate with this issue; pass one or more label names to replace the set of labels on this issue; send an empty array to clear all labels from the issue; note that the labels are silently dropped for users without push access to the repository */
+  labels: (string | {
+    id?: number;
+    node_id?: string;
+    url?: string;
+    name?: string;
+    description?: string | null;
+    color?: string | null;
+    default?: boolean;
+  })[];
+  assignee: NullableSimpleUser;
+  assignees?: SimpleUser[] | null;
+  milestone: NullableMilestone;
+  locked: boolean;
+  active_lock_reason?: string | null;
+  comments: number;
+  pull_request?: {
+    merged_at?: string | null;
+    diff_url: string | null;
+    html_url: string | null;
+    patch_url: string | null;
+    url: string | null;
+  };
+  closed_at: string | null;
+  created_at: string;
+  updated_at: string;
+  draft?: boolean;
+  closed_by?: NullableSimpleUser;
+  body_html?: string;
+  body_text?: string;
+  timeline_url?: string;
+  type?: IssueType;
+  repository?: Repository;
+  performed_via_github_app?: NullableIntegration;
+  author_association: AuthorAssociation;
+  reactions?: ReactionRollup;
+  sub_issues_summary?: SubIssuesSummary;
+  issue_dependencies_summary?: IssueDependenciesSummary;
+  issue_field_values?: IssueFieldValue[];
+}
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** A collection of related issues and pull requests. */
+export type NullableMilestone = {
+  url: string;
+  html_url: string;
+  labels_url: string;
+  id: number;
+  node_id: string;
+  /** The number of the milestone. */
+  number: number;
+  /** The state of the milestone. */
+  state: 'open' | 'closed';
+  /** The title of the milestone. */
+  title: string;
+  description: string | null;
+  creator: NullableSimpleUser;
+  open_issues: number;
+  closed_issues: number;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  due_on: string | null;
+} | null;
+
+/** The type of issue. */
+export type IssueType = {
+  /** The unique identifier of the issue type. */
+  id: number;
+  /** The node identifier of the issue type. */
+  node_id: string;
+  /** The name of the issue type. */
+  name: string;
+  /** The description of the issue type. */
+  description: string | null;
+  /** The color of the issue type. */
+  color?: 'gray' | 'blue' | 'green' | 'yellow' | 'orange' | 'red' | 'pink' | 'purple' | null;
+  /** The time the issue type created. */
+  created_at?: string;
+  /** The time the issue type last updated. */
+  updated_at?: string;
+  /** The enabled state of the issue type. */
+  is_enabled?: boolean;
+} | null;
+
+/** A repository on GitHub. */
+export interface Repository {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+}
+
+/** License Simple */
+export type NullableLicenseSimple = {
+  key: string;
+  name: string;
+  url: string | null;
+  spdx_id: string | null;
+  node_id: string;
+  html_url?: string;
+} | null;
+
+/** GitHub apps are a new way to extend GitHub. They can be installed directly on organizations and user accounts and granted access to specific repositories. They come with granular permissions and built-in webhooks. GitHub apps are first class actors within GitHub. */
+export type NullableIntegration = {
+  /** Unique identifier of the GitHub app */
+  id: number;
+  /** The slug name of the GitHub app */
+  slug?: string;
+  node_id: string;
+  client_id?: string;
+  owner: SimpleUser | Enterprise;
+  /** The name of the GitHub app */
+  name: string;
+  description: string | null;
+  external_url: string;
+  html_url: string;
+  created_at: string;
+  updated_at: string;
+  /** The set of permissions for the GitHub app */
+  permissions: {
+    issues?: string;
+    checks?: string;
+    metadata?: string;
+    contents?: string;
+    deployments?: string;
+    [key: string]: any;
+  };
+  /** The list of events for the GitHub app. Note that the `installation_target`, `security_advisory`, and `meta` events are not included because they are global events and not specific to an installation. */
+  events: string[];
+  /** The number of installations associated with the GitHub app. Only returned when the integration is requesting details about itself. */
+  installations_count?: number;
+} | null;
+
+/** An enterprise on GitHub. */
+export interface Enterprise {
+  /** A short description of the enterprise. */
+  description?: string | null;
+  html_url: string;
+  /** The enterprise's website URL. */
+  website_url?: string | null;
+  /** Unique identifier of the enterprise */
+  id: number;
+  node_id: string;
+  /** The name of the enterprise. */
+  name: string;
+  /** The slug url identifier for the enterprise. */
+  slug: string;
+  created_at: string | null;
+  updated_at: string | null;
+  avatar_url: string;
+}
+
+/** How the author is associated with the repository. */
+export type AuthorAssociation = 'COLLABORATOR' | 'CONTRIBUTOR' | 'FIRST_TIMER' | 'FIRST_TIME_CONTRIBUTOR' | 'MANNEQUIN' | 'MEMBER' | 'NONE' | 'OWNER';
+
+/** Reaction Rollup */
+export interface ReactionRollup {
+  url: string;
+  total_count: number;
+  "+1": number;
+  "-1": number;
+  laugh: number;
+  confused: number;
+  heart: number;
+  hooray: number;
+  eyes: number;
+  rocket: number;
+}
+
+/** Sub-issues Summary */
+export interface SubIssuesSummary {
+  total: number;
+  completed: number;
+  percent_completed: number;
+}
+
+/** Issue Dependencies Summary */
+export interface IssueDependenciesSummary {
+  blocked_by: number;
+  blocking: number;
+  total_blocked_by: number;
+  total_blocking: number;
+}
+
+/** A value assigned to an issue field */
+export interface IssueFieldValue {
+  /** Unique identifier for the issue field. */
+  issue_field_id: number;
+  node_id: string;
+  /** The data type of the issue field */
+  data_type: 'text' | 'single_select' | 'number' | 'date';
+  /** The value of the issue field */
+  value: string | number | null;
+  /** Details about the selected option (only present for single_select fields) */
+  single_select_option?: {
+    /** Unique identifier for the option. */
+    id: number;
+    /** The name of the option */
+    name: string;
+    /** The color of the option */
+    color: string;
+  } | null;
+}
+
+/** Comments provide a way for people to collaborate on an issue. */
+export interface IssueComment {
+  /** Unique identifier of the issue comment */
+  id: number;
+  node_id: string;
+  /** URL for the issue comment */
+  url: string;
+  /** Contents of the issue comment */
+  body?: string;
+  body_text?: string;
+  body_html?: string;
+  html_url: string;
+  user: NullableSimpleUser;
+  created_at: string;
+  updated_at: string;
+  issue_url: string;
+  author_association: AuthorAssociation;
+  performed_via_github_app?: NullableIntegration;
+  reactions?: ReactionRollup;
+}
+
+/** Thread */
+export interface Thread {
+  id: string;
+  repository: MinimalRepository;
+  subject: {
+    title: string;
+    url: string;
+    latest_comment_url: string;
+    type: string;
+  };
+  reason: string;
+  unread: boolean;
+  updated_at: string;
+  last_read_at: string | null;
+  url: string;
+  subscription_url: string;
+}
+
+/** Minimal Repository */
+export interface MinimalRepository {
+  id: number;
+  node_id: string;
+  name: string;
+  full_name: string;
+  owner: SimpleUser;
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url?: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url?: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url?: string;
+  mirror_url?: string | null;
+  hooks_url: string;
+  svn_url?: string;
+  homepage?: string | null;
+  language?: string | null;
+  forks_count?: number;
+  stargazers_count?: number;
+  watchers_count?: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size?: number;
+  default_branch?: string;
+  open_issues_count?: number;
+  is_template?: boolean;
+  topics?: string[];
+  has_issues?: boolean;
+  has_projects?: boolean;
+  has_wiki?: boolean;
+  has_pages?: boolean;
+  has_downloads?: boolean;
+  has_discussions?: boolean;
+  archived?: boolean;
+  disabled?: boolean;
+  visibility?: string;
+  pushed_at?: string | null;
+  created_at?: string | null;
+  updated_at?: string | null;
+  permissions?: {
+    admin?: boolean;
+    maintain?: boolean;
+    push?: boolean;
+    triage?: boolean;
+    pull?: boolean;
+  };
+  role_name?: string;
+  temp_clone_token?: string;
+  delete_branch_on_merge?: boolean;
+  subscribers_count?: number;
+  network_count?: number;
+  code_of_conduct?: CodeOfConduct;
+  license?: {
+    key?: string;
+    name?: string;
+    spdx_id?: string;
+    url?: string;
+    node_id?: string;
+  } | null;
+  forks?: number;
+  open_issues?: number;
+  watchers?: number;
+  allow_forking?: boolean;
+  web_commit_signoff_required?: boolean;
+  security_and_analysis?: SecurityAndAnalysis;
+  /** The custom properties that were defined for the repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** Code Of Conduct */
+export interface CodeOfConduct {
+  key: string;
+  name: string;
+  url: string;
+  body?: string;
+  html_url: string | null;
+}
+
+export type SecurityAndAnalysis = {
+  /** Enable or disable GitHub Advanced Security for the repository. */
+  advanced_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  code_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  /** Enable or disable Dependabot security updates for the repository. */
+  dependabot_security_updates?: {
+    /** The enablement status of Dependabot security updates for the repository. */
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_push_protection?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_non_provider_patterns?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_ai_detection?: {
+    status?: 'enabled' | 'disabled';
+  };
+} | null;
+
+/** Thread Subscription */
+export interface ThreadSubscription {
+  subscribed: boolean;
+  ignored: boolean;
+  reason: string | null;
+  created_at: string | null;
+  url: string;
+  thread_url?: string;
+  repository_url?: string;
+}
+
+/** Feed */
+export interface Feed {
+  timeline_url: string;
+  user_url: string;
+  current_user_public_url?: string;
+  current_user_url?: string;
+  current_user_actor_url?: string;
+  current_user_organization_url?: string;
+  current_user_organization_urls?: string[];
+  security_advisories_url?: string;
+  /** A feed of discussions for a given repository. */
+  repository_discussions_url?: string;
+  /** A feed of discussions for a given repository and category. */
+  repository_discussions_category_url?: string;
+  _links: {
+    timeline: LinkWithType;
+    user: LinkWithType;
+    security_advisories?: LinkWithType;
+    current_user?: LinkWithType;
+    current_user_public?: LinkWithType;
+    current_user_actor?: LinkWithType;
+    current_user_organization?: LinkWithType;
+    current_user_organizations?: LinkWithType[];
+    repository_discussions?: LinkWithType;
+    repository_discussions_category?: LinkWithType;
+  };
+}
+
+/** Hypermedia Link with Type */
+export interface LinkWithType {
+  href: string;
+  type: string;
+}
+
+/** Stargazer */
+export interface Stargazer {
+  starred_at: string;
+  user: NullableSimpleUser;
+}
+
+/** Starred Repository */
+export interface StarredRepository {
+  starred_at: string;
+  repo: Repository;
+}
+
+/** Full Repository */
+export interface FullRepository {
+  id: number;
+  node_id: string;
+  name: string;
+  full_name: string;
+  owner: SimpleUser;
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  default_branch: string;
+  open_issues_count: number;
+  is_template?: boolean;
+  topics?: string[];
+  has_issues: boolean;
+  has_projects: boolean;
+  has_wiki: boolean;
+  has_pages: boolean;
+  has_downloads?: boolean;
+  has_discussions: boolean;
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string;
+  created_at: string;
+  updated_at: string;
+  permissions?: {
+    admin: boolean;
+    maintain?: boolean;
+    push: boolean;
+    triage?: boolean;
+    pull: boolean;
+  };
+  allow_rebase_merge?: boolean;
+  template_repository?: NullableRepository;
+  temp_clone_token?: string | null;
+  allow_squash_merge?: boolean;
+  allow_auto_merge?: boolean;
+  delete_branch_on_merge?: boolean;
+  allow_merge_commit?: boolean;
+  allow_update_branch?: boolean;
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  allow_forking?: boolean;
+  web_commit_signoff_required?: boolean;
+  subscribers_count: number;
+  network_count: number;
+  license: NullableLicenseSimple;
+  organization?: NullableSimpleUser;
+  parent?: Repository;
+  source?: Repository;
+  forks: number;
+  master_branch?: string;
+  open_issues: number;
+  watchers: number;
+  /** Whether anonymous git access is allowed. */
+  anonymous_access_enabled?: boolean;
+  code_of_conduct?: CodeOfConductSimple;
+  security_and_analysis?: SecurityAndAnalysis;
+  /** The custom properties that were defined for the repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** A repository on GitHub. */
+export type NullableRepository = {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+} | null;
+
+/** Code of Conduct Simple */
+export interface CodeOfConductSimple {
+  url: string;
+  key: string;
+  name: string;
+  html_url: string | null;
+}
+
+/** Repository invitations let you manage who you collaborate with. */
+export interface RepositorySubscription {
+  /** Determines if notifications should be received from this repository. */
+  subscribed: boolean;
+  /** Determines if all notifications should be blocked from this repository. */
+  ignored: boolean;
+  reason: string | null;
+  created_at: string;
+  url: string;
+  repository_url: string;
+}
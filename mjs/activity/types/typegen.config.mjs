@@ -0,0 +1,15 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-activity, see `gh-typegen`
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-activity',
+  description: 'GitHub Activity API SDK and CLI',
+  entry: 'src/index.mjs',
+  // HttpClient resolves to { data, headers, pagination, rateLimit }
+  response: 'envelope',
+  envelope: {
+    headers: 'Record<string, string>',
+    pagination: 'Record<string, string> | undefined',
+    rateLimit: '{ limit: number; remaining: number; reset: number; used: number; resource: string }'
+  }
+};
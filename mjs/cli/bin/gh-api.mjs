@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview gh-api - one binary for every package's commands
+ */
+
+import { createProgram } from '../src/program.mjs';
+
+createProgram().parseAsync(process.argv).catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Umbrella CLI mounting every package's commands as gh-api groups
+ * @module @github-api/cli
+ * @version 1.0.0
+ */
+
+import { createProgram } from './src/program.mjs';
+import { GROUPS, findGroup } from './src/groups.mjs';
+import { registerBulkCommand, listOperations, toReport } from './src/bulk.mjs';
+import { registerGroupCompletion } from './src/completion.mjs';
+import { OPERATIONS, parseColumn, prepareRow } from './src/operations.mjs';
+import { OUTPUT_FORMATS, normalizeOptions, groupEnv, buildInvocation } from './src/options.mjs';
+
+/**
+ * Default export - createProgram
+ */
+export default createProgram;
+
+export {
+  // Program
+  createProgram,
+
+  // Groups
+  GROUPS,
+  findGroup,
+
+  // Global options
+  OUTPUT_FORMATS,
+  normalizeOptions,
+  groupEnv,
+  buildInvocation,
+
+  // Bulk operations
+  registerBulkCommand,
+  listOperations,
+  toReport,
+  OPERATIONS,
+  parseColumn,
+  prepareRow,
+
+  // Shell completion
+  registerGroupCompletion
+};
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview `gh-api bulk`: run one SDK operation for every row of a
+ * manifest, with bounded concurrency, retries and a resumable checkpoint
+ * @module bulk
+ */
+
+import { InvalidArgumentError } from 'commander';
+import {
+  BulkRunner,
+  BULK_DEFAULTS,
+  formatSummary,
+  formatTable,
+  loadManifest,
+  resolveToken,
+  selectProfile,
+  writeOutput
+} from '@thinkeloquent/github-sdk-core';
+import { findGroup } from './groups.mjs';
+import { OPERATIONS, prepareRow } from './operations.mjs';
+import { groupEnv, normalizeOptions } from './options.mjs';
+
+// Manifest problems listed before giving up
+const MAX_ROW_ERRORS = 10;
+
+function parseCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError('Expected a whole number');
+  }
+  return count;
+}
+
+/**
+ * Operations as rows for `gh-api bulk` with no arguments
+ * @returns {Object[]}
+ */
+export function listOperations() {
+  return Object.entries(OPERATIONS).map(([name, operation]) => ({
+    operation: name,
+    columns: operation.columns.join(', ')
+  }));
+}
+
+/**
+ * Summary with errors as messages, ready to print in any format
+ * @param {Object} summary - BulkRunner summary
+ * @returns {Object}
+ */
+export function toReport(summary) {
+  return {
+    ...summary,
+    results: summary.results.map(({ error, result, ...rest }) => (error ? { ...rest, error: error.message } : rest))
+  };
+}
+
+/**
+ * Add the `bulk` command
+ *
+ * @param {import('commander').Command} program - gh-api program
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment the operations run with
+ * @param {Function} [options.loadSdk] - Imports an SDK package by name
+ * @returns {import('commander').Command} The bulk command
+ */
+export function registerBulkCommand(program, { env = process.env, loadSdk = specifier => import(specifier) } = {}) {
+  return program
+    .command('bulk')
+    .description('Run one SDK operation for every row of a CSV, JSON or YAML manifest')
+    .argument('[operation]', 'Operation such as issues.addLabels; omit to list them')
+    .argument('[manifest]', 'Manifest of rows (.csv, .json, .yaml)')
+    .option('-c, --concurrency <n>', 'Rows run at once', parseCount, BULK_DEFAULTS.concurrency)
+    .option('--retries <n>', 'Retries per row after rate limits, server and network errors', parseCount, BULK_DEFAULTS.retries)
+    .option('--checkpoint <file>', 'Rows already done, for resuming (default: <manifest>.checkpoint.jsonl)')
+    .option('--restart', 'Forget the checkpoint and run every row again')
+    .action(async (name, manifest, options, command) => {
+      let globals;
+      try {
+        globals = normalizeOptions(program.opts(), env);
+      } catch (error) {
+        command.error(`error: ${error.message}`);
+      }
+
+      if (!name) {
+        writeOutput(listOperations(), { output: globals.output }, { text: data => formatTable(data) }, 'text');
+        return;
+      }
+
+      const operation = OPERATIONS[name];
+      if (!operation) {
+        command.error(`error: unknown operation '${name}'; run \`${program.name()} bulk\` to list them`);
+      }
+      if (!manifest) {
+        command.error(`error: ${name} needs a manifest of rows with columns: ${operation.columns.join(', ')}`);
+      }
+
+      const group = findGroup(operation.group);
+      if (globals.dryRun && !group.flags.dryRun) {
+        command.error(`error: ${name} does not support --dry-run`);
+      }
+
+      let rows;
+      try {
+        rows = loadManifest(manifest);
+      } catch (error) {
+        command.error(`error: ${manifest}: ${error.message}`);
+      }
+
+      // Check every row before the first write, so a bad manifest changes nothing
+      const problems = [];
+      rows = rows.map((row, index) => {
+        try {
+          return prepareRow(operation, row);
+        } catch (error) {
+          problems.push(`  row ${index + 1}: ${error.message}`);
+          return row;
+        }
+      });
+      if (problems.length > 0) {
+        const more = problems.length > MAX_ROW_ERRORS ? [`  ...and ${problems.length - MAX_ROW_ERRORS} more`] : [];
+        command.error([`error: ${manifest} does not fit ${name} (columns: ${operation.columns.join(', ')})`, ...problems.slice(0, MAX_ROW_ERRORS), ...more].join('\n'));
+      }
+
+      Object.assign(env, groupEnv(globals));
+
+      await selectProfile(globals);
+      const credential = resolveToken({ token: globals.token, profile: globals.profile, baseUrl: globals.baseUrl });
+      if (!credential?.token) {
+        command.error('error: a GitHub token is required; use --token, --profile or set GITHUB_TOKEN');
+      }
+
+      let sdk;
+      try {
+        sdk = await loadSdk(operation.module);
+      } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND' || !error.message.includes(`'${operation.module}`)) {
+          throw error;
+        }
+        command.error(`error: ${name} needs ${operation.module}; install it next to gh-api`);
+      }
+      const client = await operation.client(sdk, { token: credential.token, baseUrl: credential.baseUrl || globals.baseUrl });
+
+      const runner = new BulkRunner({
+        concurrency: options.concurrency,
+        retries: options.retries,
+        // A dry run sends nothing, so it must not mark rows done for the real run
+        checkpoint: globals.dryRun ? null : options.checkpoint || `${manifest}.checkpoint.jsonl`,
+        operation: name,
+        onResult: (result) => {
+          if (result.status === 'succeeded') {
+            process.stderr.write(`✓ row ${result.index + 1}\n`);
+          } else if (result.status === 'failed') {
+            process.stderr.write(`✗ row ${result.index + 1}: ${result.error.message}\n`);
+          }
+        }
+      });
+      if (options.restart) {
+        runner.checkpoint?.clear();
+      }
+
+      const stop = () => {
+        process.stderr.write('Stopping after the rows in progress; run again to resume\n');
+        runner.stop();
+      };
+      process.once('SIGINT', stop);
+
+      let summary;
+      try {
+        summary = await runner.run(rows, row => operation.call(client, row));
+      } finally {
+        process.removeListener('SIGINT', stop);
+      }
+
+      writeOutput(toReport(summary), { output: globals.output }, { text: formatSummary }, 'text');
+      if (summary.failed > 0 || summary.pending > 0) {
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview `gh-api completion`: gh-api completes its own global options
+ * and group names, and hands the rest of the line to the group's CLI
+ * @module completion
+ */
+
+import { complete, registerCompletionCommand, resolveCommand } from '@thinkeloquent/github-sdk-core';
+import { buildInvocation, normalizeOptions } from './options.mjs';
+
+/**
+ * Add `completion <shell>` and the hidden `__complete` command to gh-api.
+ * Words after a group name are completed by that group's own `__complete`,
+ * so its commands and dynamic hooks apply unchanged.
+ *
+ * @param {import('commander').Command} program - gh-api program
+ * @param {Object} options
+ * @param {import('./groups.mjs').CommandGroup[]} options.groups - Mounted groups
+ * @param {Function} options.load - Loads a group's CLI module
+ * @returns {import('commander').Command} The completion command
+ */
+export function registerGroupCompletion(program, { groups, load }) {
+  const isGroup = command => groups.some(group => group.name === command.name());
+
+  async function resolve(root, words, context) {
+    const current = words.length > 0 ? words[words.length - 1] : '';
+    const { command, rest } = resolveCommand(root, words.slice(0, -1), { stop: isGroup });
+
+    if (rest === null) {
+      return complete(root, words, context);
+    }
+
+    const group = groups.find(candidate => candidate.name === command.name());
+    let cli;
+    try {
+      cli = await load(group);
+    } catch {
+      // An uninstalled group has nothing to complete
+      return [];
+    }
+
+    // Global options stay out of the group's argv, so one the group does
+    // not support cannot fail the completion
+    const { argv } = buildInvocation(group, rest, normalizeOptions({}, {}));
+    await cli.run([...argv.slice(0, 2), '__complete', '--', ...argv.slice(2), current], {
+      name: `${root.name()} ${group.name}`
+    });
+  }
+
+  return registerCompletionCommand(program, { resolve });
+}
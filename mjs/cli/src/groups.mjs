@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Command groups mounted by gh-api, and how each package CLI
+ * spells the global options
+ * @module groups
+ */
+
+/**
+ * @typedef {Object} OutputFlag
+ * @property {string} flag - Option the package CLI reads
+ * @property {string[]} formats - Formats it accepts; a boolean flag such as
+ *   `--json` lists only the format it switches on
+ * @property {string[]} [defaults] - Formats the CLI prints without the flag
+ */
+
+/**
+ * @typedef {Object} CommandGroup
+ * @property {string} name - Group name (`gh-api <name> ...`)
+ * @property {string[]} aliases - Other names for the group
+ * @property {string} description - Help text
+ * @property {string} module - Module exporting `run(argv, { name })`
+ * @property {string} bin - Standalone binary the group replaces
+ * @property {Object} flags - Native spelling of the global options; a missing
+ *   entry means the option reaches the group through the environment only
+ * @property {string} [flags.token] - Token option
+ * @property {string} [flags.baseUrl] - API base URL option
+ * @property {OutputFlag} [flags.output] - Output format option
+ * @property {string} [flags.noColor] - Option that disables color
+ * @property {string} [flags.dryRun] - Option that plans writes instead of sending
+ *   them; groups without one refuse `--dry-run`
+ * @property {Object} [defaultCommand] - Subcommand inserted when the first
+ *   argument is not one of the package's other top-level commands
+ * @property {string} defaultCommand.name - Subcommand to insert
+ * @property {string[]} defaultCommand.except - Top-level commands left alone
+ */
+
+/**
+ * Every package CLI, in help order
+ * @type {CommandGroup[]}
+ */
+export const GROUPS = [
+  {
+    name: 'activity',
+    aliases: [],
+    description: 'Events, notifications, stars and watching',
+    module: '@thinkeloquent/github-sdk-activity/cli',
+    bin: 'github-activity',
+    flags: {
+      token: '--token',
+      baseUrl: '--base-url',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table'] },
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    }
+  },
+  {
+    name: 'clone',
+    aliases: [],
+    description: 'Clone, pull and push local repositories',
+    module: '@thinkeloquent/github-sdk-clone/cli',
+    bin: 'gh-clone',
+    flags: {
+      token: '--token',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table'], defaults: ['text'] },
+      noColor: '--no-color'
+    }
+  },
+  {
+    name: 'gist',
+    aliases: ['gists'],
+    description: 'Gists, comments, stars, forks and commits',
+    module: '@thinkeloquent/github-sdk-gist/cli.mjs',
+    bin: 'gist',
+    flags: {
+      token: '--token',
+      output: { flag: '--format', formats: ['json', 'yaml', 'table'] },
+      noColor: '--no-color'
+    }
+  },
+  {
+    name: 'git',
+    aliases: [],
+    description: 'Git database: blobs, commits, refs, tags and trees',
+    module: '@thinkeloquent/github-sdk-git/cli.mjs',
+    bin: 'github-git',
+    flags: {
+      token: '--token',
+      baseUrl: '--api-url',
+      dryRun: '--dry-run'
+    }
+  },
+  {
+    name: 'issue',
+    aliases: ['issues'],
+    description: 'Issues, comments, labels and milestones',
+    module: '@thinkeloquent/github-sdk-issues/cli.mjs',
+    bin: 'gh-issues',
+    flags: {
+      token: '--token',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table', 'text'] },
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    }
+  },
+  {
+    name: 'pr',
+    aliases: ['pulls'],
+    description: 'Pull requests, reviews and review comments',
+    module: '@thinkeloquent/github-sdk-pulls/cli.mjs',
+    bin: 'gh-pr',
+    flags: {
+      token: '--token',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table', 'text'] },
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    }
+  },
+  {
+    name: 'reaction',
+    aliases: ['reactions'],
+    description: 'Reactions on issues, comments, releases and team discussions',
+    module: '@thinkeloquent/github-sdk-reactions/cli',
+    bin: 'github-reactions',
+    flags: {
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    }
+  },
+  {
+    name: 'repo',
+    aliases: ['repos'],
+    description: 'Repositories, branches and collaborators',
+    module: '@thinkeloquent/github-sdk-repos/cli',
+    bin: 'gh-repo',
+    flags: {
+      token: '--token',
+      baseUrl: '--base-url',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table'], defaults: ['text'] },
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    },
+    defaultCommand: {
+      name: 'repo',
+      except: ['repo', 'branch', 'collaborator', 'config', 'login', 'profiles', 'help']
+    }
+  },
+  {
+    name: 'team',
+    aliases: ['teams'],
+    description: 'Organization teams, members and team repositories',
+    module: '@thinkeloquent/github-sdk-teams/cli.mjs',
+    bin: 'github-teams',
+    flags: {
+      token: '--token',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table'], defaults: ['text'] },
+      dryRun: '--dry-run'
+    },
+    defaultCommand: {
+      name: 'teams',
+      except: ['teams', 'login', 'profiles', 'help']
+    }
+  },
+  {
+    name: 'user',
+    aliases: ['users'],
+    description: 'Users, your profile, emails and hovercard context',
+    module: '@thinkeloquent/github-sdk-users/cli',
+    bin: 'gh-users',
+    flags: {
+      token: '--token',
+      baseUrl: '--base-url',
+      output: { flag: '--output', formats: ['json', 'yaml', 'csv', 'ndjson', 'table'], defaults: ['text'] },
+      noColor: '--no-color',
+      dryRun: '--dry-run'
+    },
+    defaultCommand: {
+      name: 'user',
+      except: ['user', 'profile', 'email', 'context', 'auth-test', 'login', 'profiles', 'help']
+    }
+  }
+];
+
+/**
+ * Find a group by name or alias
+ * @param {string} name - Group name or alias
+ * @param {CommandGroup[]} [groups] - Registry to search
+ * @returns {CommandGroup|undefined}
+ */
+export function findGroup(name, groups = GROUPS) {
+  return groups.find(group => group.name === name || group.aliases.includes(name));
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Operations `gh-api bulk` can run: each maps manifest columns
+ * onto an existing SDK method
+ * @module operations
+ */
+
+/**
+ * @typedef {Object} BulkOperation
+ * @property {string} group - gh-api group whose package provides the method
+ * @property {string} module - Package to import
+ * @property {string[]} columns - Manifest columns in argument order. `name?`
+ *   is optional, `name:number` is converted to a number and `name:list` to a
+ *   list (a comma-separated cell in CSV)
+ * @property {Function} client - `(sdk, { token, baseUrl }) => client`, called once per run
+ * @property {Function} call - `(client, row) => Promise`, called for every row
+ */
+
+// The issues helpers build a client per repository from these options
+const issuesClient = (sdk, { token, baseUrl }) => ({ sdk, options: { auth: token, baseUrl } });
+const teamsClient = (sdk, { token, baseUrl }) => sdk.createClient({ token, baseURL: baseUrl });
+const reposClient = (sdk, { token, baseUrl }) => sdk.createClient({ token, baseUrl });
+// ActivityClient spreads its options over its defaults, so leave baseURL out rather than undefined
+const activityClient = (sdk, { token, baseUrl }) => sdk.createClient({ token, ...(baseUrl && { baseURL: baseUrl }) });
+
+const ISSUES = { group: 'issue', module: '@thinkeloquent/github-sdk-issues', client: issuesClient };
+const TEAMS = { group: 'team', module: '@thinkeloquent/github-sdk-teams', client: teamsClient };
+const REPOS = { group: 'repo', module: '@thinkeloquent/github-sdk-repos', client: reposClient };
+const ACTIVITY = { group: 'activity', module: '@thinkeloquent/github-sdk-activity', client: activityClient };
+
+/**
+ * Every bulk operation by name (`<package>.<method>`)
+ * @type {Object<string, BulkOperation>}
+ */
+export const OPERATIONS = {
+  'issues.addLabels': {
+    ...ISSUES,
+    columns: ['owner', 'repo', 'issue_number:number', 'labels:list'],
+    call: ({ sdk, options }, row) => sdk.addLabels(row.owner, row.repo, row.issue_number, row.labels, options)
+  },
+  'issues.removeLabel': {
+    ...ISSUES,
+    columns: ['owner', 'repo', 'issue_number:number', 'label'],
+    call: ({ sdk, options }, row) => sdk.removeLabel(row.owner, row.repo, row.issue_number, row.label, options)
+  },
+  'issues.addAssignees': {
+    ...ISSUES,
+    columns: ['owner', 'repo', 'issue_number:number', 'assignees:list'],
+    call: ({ sdk, options }, row) => sdk.addAssignees(row.owner, row.repo, row.issue_number, row.assignees, options)
+  },
+  'issues.addComment': {
+    ...ISSUES,
+    columns: ['owner', 'repo', 'issue_number:number', 'body'],
+    call: ({ sdk, options }, row) => sdk.addComment(row.owner, row.repo, row.issue_number, row.body, options)
+  },
+  'issues.closeIssue': {
+    ...ISSUES,
+    columns: ['owner', 'repo', 'issue_number:number'],
+    call: ({ sdk, options }, row) => sdk.closeIssue(row.owner, row.repo, row.issue_number, options)
+  },
+  'teams.addTeamMember': {
+    ...TEAMS,
+    columns: ['org', 'team_slug', 'username', 'role?'],
+    call: (client, row) => client.addTeamMember(row.org, row.team_slug, row.username, row.role ? { role: row.role } : {})
+  },
+  'teams.removeTeamMember': {
+    ...TEAMS,
+    columns: ['org', 'team_slug', 'username'],
+    call: (client, row) => client.removeTeamMember(row.org, row.team_slug, row.username)
+  },
+  'teams.addTeamRepo': {
+    ...TEAMS,
+    columns: ['org', 'team_slug', 'owner', 'repo', 'permission?'],
+    call: (client, row) => client.addTeamRepo(row.org, row.team_slug, row.owner, row.repo, row.permission ? { permission: row.permission } : {})
+  },
+  'repos.replaceAllTopics': {
+    ...REPOS,
+    columns: ['owner', 'repo', 'topics:list'],
+    call: (client, row) => client.repositories.replaceAllTopics(row.owner, row.repo, row.topics)
+  },
+  'repos.addCollaborator': {
+    ...REPOS,
+    columns: ['owner', 'repo', 'username', 'permission?'],
+    call: (client, row) => client.collaborators.add(row.owner, row.repo, row.username, row.permission ? { permission: row.permission } : {})
+  },
+  'repos.removeCollaborator': {
+    ...REPOS,
+    columns: ['owner', 'repo', 'username'],
+    call: (client, row) => client.collaborators.remove(row.owner, row.repo, row.username)
+  },
+  'activity.starRepo': {
+    ...ACTIVITY,
+    columns: ['owner', 'repo'],
+    call: (client, row) => client.stars.starRepo(row.owner, row.repo)
+  },
+  'activity.unstarRepo': {
+    ...ACTIVITY,
+    columns: ['owner', 'repo'],
+    call: (client, row) => client.stars.unstarRepo(row.owner, row.repo)
+  },
+  'activity.watchRepo': {
+    ...ACTIVITY,
+    columns: ['owner', 'repo'],
+    call: (client, row) => client.watching.watchRepo(row.owner, row.repo)
+  }
+};
+
+/**
+ * Parse a column spec such as `issue_number:number` or `role?`
+ * @param {string} spec - Column spec
+ * @returns {{ name: string, type: string, optional: boolean }}
+ */
+export function parseColumn(spec) {
+  const [column, type = 'string'] = spec.split(':');
+  const optional = column.endsWith('?');
+  return { name: optional ? column.slice(0, -1) : column, type, optional };
+}
+
+/**
+ * Check a row against an operation's columns and convert its values
+ *
+ * @param {BulkOperation} operation - Operation
+ * @param {Object} row - Manifest row
+ * @returns {Object} Row with numbers and lists converted
+ * @throws {Error} Naming the first missing or invalid column
+ */
+export function prepareRow(operation, row) {
+  const prepared = { ...row };
+
+  for (const { name, type, optional } of operation.columns.map(parseColumn)) {
+    const value = row[name];
+    if (value === undefined || value === null || value === '') {
+      if (optional) continue;
+      throw new Error(`missing "${name}"`);
+    }
+
+    if (type === 'number') {
+      prepared[name] = Number(value);
+      if (!Number.isInteger(prepared[name])) {
+        throw new Error(`"${name}" must be a whole number, got "${value}"`);
+      }
+    } else if (type === 'list') {
+      prepared[name] = Array.isArray(value) ? value.map(String) : String(value).split(',').map(item => item.trim()).filter(Boolean);
+    } else {
+      prepared[name] = String(value);
+    }
+  }
+
+  return prepared;
+}
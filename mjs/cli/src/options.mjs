@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Normalize gh-api global options and translate them into each
+ * package CLI's own flags and environment
+ * @module options
+ */
+
+import { InvalidArgumentError } from 'commander';
+
+/**
+ * Output formats gh-api accepts; each group supports a subset
+ */
+export const OUTPUT_FORMATS = ['json', 'yaml', 'csv', 'ndjson', 'table', 'text'];
+
+/**
+ * Whether an on/off environment variable is on
+ * @param {string} [value]
+ * @returns {boolean}
+ */
+function isEnabled(value) {
+  return Boolean(value) && !['0', 'false', 'no', 'off'].includes(value.toLowerCase());
+}
+
+/**
+ * Global options in one shape, whatever the group calls them
+ *
+ * @param {Object} [options] - Parsed gh-api options
+ * @param {string} [options.token] - Token
+ * @param {string} [options.profile] - Stored credential profile
+ * @param {string} [options.output] - Output format
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {boolean} [options.color] - False for `--no-color`
+ * @param {boolean} [options.dryRun] - Plan writes instead of sending them
+ * @param {Object} [env] - Environment supplying defaults
+ * @returns {{ token?: string, profile?: string, output?: string, baseUrl?: string, color: boolean, dryRun: boolean }}
+ */
+export function normalizeOptions(options = {}, env = process.env) {
+  const output = options.output || env.GH_API_OUTPUT;
+
+  if (output && !OUTPUT_FORMATS.includes(output)) {
+    throw new InvalidArgumentError(`Unknown output format '${output}' (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  return {
+    token: options.token || undefined,
+    profile: options.profile || undefined,
+    output: output || undefined,
+    baseUrl: options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : undefined,
+    color: options.color !== false && !env.NO_COLOR,
+    dryRun: Boolean(options.dryRun) || isEnabled(env.GITHUB_DRY_RUN)
+  };
+}
+
+/**
+ * Flags for a group's own root options
+ *
+ * @param {import('./groups.mjs').CommandGroup} group - Target group
+ * @param {ReturnType<typeof normalizeOptions>} options - Normalized options
+ * @returns {string[]}
+ */
+function nativeFlags(group, options) {
+  const { flags } = group;
+  const args = [];
+
+  if (options.token && flags.token) {
+    args.push(flags.token, options.token);
+  }
+  if (options.profile) {
+    args.push('--profile', options.profile);
+  }
+  if (options.baseUrl && flags.baseUrl) {
+    args.push(flags.baseUrl, options.baseUrl);
+  }
+  if (options.output) {
+    args.push(...outputFlags(group, options.output));
+  }
+  if (!options.color && flags.noColor) {
+    args.push(flags.noColor);
+  }
+  if (options.dryRun) {
+    // A group that would send its writes anyway must not look like it is dry-running
+    if (!flags.dryRun) {
+      throw new InvalidArgumentError(`${group.name} commands do not support --dry-run`);
+    }
+    args.push(flags.dryRun);
+  }
+
+  return args;
+}
+
+/**
+ * Flags selecting an output format in a group
+ *
+ * @param {import('./groups.mjs').CommandGroup} group - Target group
+ * @param {string} format - Requested format
+ * @returns {string[]}
+ * @throws {InvalidArgumentError} When the group cannot print the format
+ */
+function outputFlags(group, format) {
+  const output = group.flags.output;
+
+  if (output?.defaults?.includes(format)) {
+    return [];
+  }
+  if (!output || !output.formats.includes(format)) {
+    const supported = output ? [...output.formats, ...(output.defaults || [])] : [];
+    throw new InvalidArgumentError(supported.length
+      ? `${group.name} commands cannot print ${format} (supported: ${supported.join(', ')})`
+      : `${group.name} commands do not support --output`);
+  }
+
+  return output.formats.length === 1 ? [output.flag] : [output.flag, format];
+}
+
+/**
+ * Environment shared by every group, for groups that take an option from
+ * the environment rather than a flag (the credential store reads
+ * `GITHUB_TOKEN`/`GITHUB_PROFILE`, chalk reads `FORCE_COLOR`)
+ *
+ * @param {ReturnType<typeof normalizeOptions>} options - Normalized options
+ * @returns {Object<string, string>}
+ */
+export function groupEnv(options) {
+  const env = {};
+
+  if (options.token) {
+    env.GITHUB_TOKEN = options.token;
+  }
+  if (options.profile) {
+    env.GITHUB_PROFILE = options.profile;
+  }
+  if (options.baseUrl) {
+    env.GITHUB_API_URL = options.baseUrl;
+  }
+  if (!options.color) {
+    env.NO_COLOR = '1';
+    env.FORCE_COLOR = '0';
+  }
+  if (options.dryRun) {
+    env.GITHUB_DRY_RUN = '1';
+  }
+
+  return env;
+}
+
+/**
+ * Arguments and environment for running a group's CLI
+ *
+ * @param {import('./groups.mjs').CommandGroup} group - Target group
+ * @param {string[]} args - Arguments after the group name
+ * @param {ReturnType<typeof normalizeOptions>} options - Normalized options
+ * @returns {{ argv: string[], env: Object<string, string> }} argv in
+ *   process.argv form
+ */
+export function buildInvocation(group, args, options) {
+  const operands = [...args];
+  const first = operands[0];
+
+  if (group.defaultCommand && first && !first.startsWith('-') && !group.defaultCommand.except.includes(first)) {
+    operands.unshift(group.defaultCommand.name);
+  }
+
+  return {
+    argv: [process.argv[0], group.bin, ...nativeFlags(group, options), ...operands],
+    env: groupEnv(options)
+  };
+}
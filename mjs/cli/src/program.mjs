@@ -0,0 +1,97 @@
+/**
+ * @fileoverview The gh-api program: global options plus one command group
+ * per package CLI
+ * @module program
+ */
+
+import { Command, Option } from 'commander';
+import { registerBulkCommand } from './bulk.mjs';
+import { registerGroupCompletion } from './completion.mjs';
+import { GROUPS } from './groups.mjs';
+import { OUTPUT_FORMATS, normalizeOptions, buildInvocation } from './options.mjs';
+
+/**
+ * Import a group's CLI module
+ * @param {import('./groups.mjs').CommandGroup} group - Group to load
+ * @returns {Promise<{ run: Function }>}
+ */
+function loadGroup(group) {
+  return import(group.module);
+}
+
+/**
+ * Build the gh-api program
+ *
+ * @param {Object} [options]
+ * @param {import('./groups.mjs').CommandGroup[]} [options.groups] - Groups to mount
+ * @param {Function} [options.load] - Loads a group's CLI module; modules are
+ *   only imported when their group runs
+ * @param {Object} [options.env] - Environment the groups run with
+ * @param {Function} [options.loadSdk] - Imports an SDK package for `bulk`
+ * @returns {Command}
+ */
+export function createProgram({ groups = GROUPS, load = loadGroup, env = process.env, loadSdk } = {}) {
+  const program = new Command();
+
+  program
+    .name('gh-api')
+    .description('GitHub API CLI - every package\'s commands under one binary')
+    .version('1.0.0')
+    .enablePositionalOptions()
+    .option('-t, --token <token>', 'GitHub personal access token (default: GITHUB_TOKEN)')
+    .option('--profile <name>', 'Stored credential profile to use (default: GITHUB_PROFILE)')
+    .addOption(new Option('-o, --output <format>', 'Output format (default: GH_API_OUTPUT or the command\'s own)').choices(OUTPUT_FORMATS))
+    .option('--base-url <url>', 'GitHub API base URL, for GitHub Enterprise Server')
+    .option('--dry-run', 'Print write requests instead of sending them (default: GITHUB_DRY_RUN)')
+    .option('--no-color', 'Disable colored output');
+
+  for (const group of groups) {
+    program
+      .command(group.name)
+      .aliases(group.aliases)
+      .description(`${group.description} (was ${group.bin})`)
+      .argument('[args...]', `${group.name} command and its options`)
+      .helpOption(false)
+      .allowUnknownOption()
+      .passThroughOptions()
+      .action(async (args, _options, command) => {
+        let invocation;
+        try {
+          invocation = buildInvocation(group, args, normalizeOptions(program.opts(), env));
+        } catch (error) {
+          command.error(`error: ${error.message}`);
+        }
+
+        // Set before loading, so libraries that read it on import (chalk) see it
+        Object.assign(env, invocation.env);
+
+        let cli;
+        try {
+          cli = await load(group);
+        } catch (error) {
+          const packageName = group.module.split('/').slice(0, 2).join('/');
+          if (error.code !== 'ERR_MODULE_NOT_FOUND' || !error.message.includes(`'${packageName}`)) {
+            throw error;
+          }
+          command.error(`error: ${group.name} commands need ${packageName}; install it next to gh-api`);
+        }
+
+        await cli.run(invocation.argv, { name: `${program.name()} ${group.name}` });
+      });
+  }
+
+  registerBulkCommand(program, { env, loadSdk });
+  registerGroupCompletion(program, { groups, load });
+
+  program.addHelpText('after', `
+Global options are passed to every group in the form it understands, e.g.
+  gh-api -o json pr list --repo octocat/Hello-World
+  gh-api --profile work repo get octocat Hello-World
+  gh-api --dry-run repo delete octocat Hello-World
+  gh-api --base-url https://ghe.example.com/api/v3 git tree get -o octocat -r Hello-World -s main
+  gh-api bulk issues.addLabels issues.csv --concurrency 8
+  source <(gh-api completion bash)
+`);
+
+  return program;
+}
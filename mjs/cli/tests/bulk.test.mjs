@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Tests for gh-api bulk
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProgram } from '../src/program.mjs';
+import { OPERATIONS, prepareRow } from '../src/operations.mjs';
+
+function createBulkProgram({ env = {}, sdk } = {}) {
+  const loadSdk = jest.fn(async () => sdk);
+  const program = createProgram({ load: jest.fn(), env, loadSdk });
+  program.exitOverride().configureOutput({ writeErr: () => {}, writeOut: () => {} });
+  for (const command of program.commands) {
+    command.exitOverride();
+  }
+  return { program, loadSdk, env };
+}
+
+describe('gh-api bulk', () => {
+  let dir;
+  let manifest;
+  let log;
+  let stderr;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-api-bulk-'));
+    manifest = path.join(dir, 'members.csv');
+    fs.writeFileSync(manifest, 'org,team_slug,username,role\nacme,core,octocat,maintainer\nacme,core,hubot,\nacme,core,ghost,\n');
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    log.mockRestore();
+    stderr.mockRestore();
+    process.exitCode = undefined;
+  });
+
+  test('runs the SDK method for every row, then resumes with only the failed rows', async () => {
+    const addTeamMember = jest.fn(async (org, team, username) => {
+      if (username === 'ghost') throw Object.assign(new Error('Not Found'), { status: 404 });
+      return { state: 'active' };
+    });
+    const sdk = { createClient: jest.fn(() => ({ addTeamMember })) };
+    const { program, loadSdk, env } = createBulkProgram({ sdk });
+
+    await program.parseAsync(['node', 'gh-api', '-t', 'ghp_x', 'bulk', 'teams.addTeamMember', manifest, '-c', '2']);
+
+    expect(loadSdk).toHaveBeenCalledWith('@thinkeloquent/github-sdk-teams');
+    expect(sdk.createClient).toHaveBeenCalledWith({ token: 'ghp_x', baseURL: undefined });
+    expect(addTeamMember.mock.calls).toEqual([
+      ['acme', 'core', 'octocat', { role: 'maintainer' }],
+      ['acme', 'core', 'hubot', {}],
+      ['acme', 'core', 'ghost', {}]
+    ]);
+    expect(log.mock.calls[0][0]).toMatch(/^teams\.addTeamMember: 2 succeeded, 1 failed, 0 skipped/);
+    expect(log.mock.calls[0][0]).toContain('row 3 (1 attempt): Not Found');
+    expect(process.exitCode).toBe(1);
+
+    addTeamMember.mockClear();
+    await createBulkProgram({ sdk }).program.parseAsync(['node', 'gh-api', '-t', 'ghp_x', '-o', 'json', 'bulk', 'teams.addTeamMember', manifest]);
+
+    expect(addTeamMember.mock.calls.map(call => call[2])).toEqual(['ghost']);
+    expect(JSON.parse(log.mock.calls[1][0])).toMatchObject({ succeeded: 0, failed: 1, skipped: 2 });
+  });
+
+  test('checks every row before writing anything', async () => {
+    fs.writeFileSync(manifest, 'org,team_slug\nacme,core\n');
+    const sdk = { createClient: jest.fn() };
+    const { program } = createBulkProgram({ sdk });
+
+    await expect(program.parseAsync(['node', 'gh-api', '-t', 'ghp_x', 'bulk', 'teams.addTeamMember', manifest]))
+      .rejects.toThrow('row 1: missing "username"');
+    expect(sdk.createClient).not.toHaveBeenCalled();
+  });
+
+  test('refuses unknown operations', async () => {
+    const { program } = createBulkProgram();
+
+    await expect(program.parseAsync(['node', 'gh-api', 'bulk', 'teams.dance', manifest]))
+      .rejects.toThrow("unknown operation 'teams.dance'");
+  });
+
+  test('dry runs issue operations without writing a checkpoint', async () => {
+    const labels = path.join(dir, 'labels.csv');
+    fs.writeFileSync(labels, 'owner,repo,issue_number,labels\noctocat,Hello-World,12,bug\n');
+    const sdk = { addLabels: jest.fn(async () => []) };
+    const { program, env } = createBulkProgram({ sdk });
+
+    await program.parseAsync(['node', 'gh-api', '-t', 'ghp_x', '--dry-run', 'bulk', 'issues.addLabels', labels]);
+
+    expect(env.GITHUB_DRY_RUN).toBe('1');
+    expect(sdk.addLabels).toHaveBeenCalledWith('octocat', 'Hello-World', 12, ['bug'], { auth: 'ghp_x', baseUrl: undefined });
+    expect(fs.existsSync(`${labels}.checkpoint.jsonl`)).toBe(false);
+  });
+
+  test('lists the operations when none is given', async () => {
+    await createBulkProgram().program.parseAsync(['node', 'gh-api', 'bulk']);
+
+    expect(log.mock.calls[0][0]).toContain('issues.addLabels');
+    expect(log.mock.calls[0][0]).toContain('owner, repo, issue_number:number, labels:list');
+  });
+});
+
+describe('prepareRow', () => {
+  test('converts numbers and lists and skips optional columns', () => {
+    expect(prepareRow(OPERATIONS['issues.addLabels'], { owner: 'octocat', repo: 'Hello-World', issue_number: '12', labels: 'bug, help wanted' }))
+      .toEqual({ owner: 'octocat', repo: 'Hello-World', issue_number: 12, labels: ['bug', 'help wanted'] });
+    expect(prepareRow(OPERATIONS['repos.replaceAllTopics'], { owner: 'o', repo: 'r', topics: ['a', 'b'] }).topics).toEqual(['a', 'b']);
+    expect(() => prepareRow(OPERATIONS['issues.addLabels'], { owner: 'o', repo: 'r', issue_number: 'twelve', labels: 'bug' }))
+      .toThrow('"issue_number" must be a whole number');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Tests for the gh-api program and global option normalization
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { createProgram } from '../src/program.mjs';
+import { GROUPS, findGroup } from '../src/groups.mjs';
+import { normalizeOptions, buildInvocation } from '../src/options.mjs';
+
+function createFakeProgram({ env = {}, run = jest.fn(async () => {}), load = jest.fn(async () => ({ run })) } = {}) {
+  const program = createProgram({ load, env });
+  program.exitOverride().configureOutput({ writeErr: () => {}, writeOut: () => {} });
+  for (const command of program.commands) {
+    command.exitOverride();
+  }
+  return { program, run, load, env };
+}
+
+describe('gh-api program', () => {
+  test('mounts a group per package with plural aliases', () => {
+    const { program } = createFakeProgram();
+
+    expect(program.commands.map(command => command.name())).toEqual([...GROUPS.map(group => group.name), 'bulk', '__complete', 'completion']);
+    expect(findGroup('pulls').name).toBe('pr');
+    expect(findGroup('repos').name).toBe('repo');
+  });
+
+  test('runs the group CLI with its own spelling of the global options', async () => {
+    const { program, run, load } = createFakeProgram();
+
+    await program.parseAsync(['node', 'gh-api', '-t', 'ghp_x', '-o', 'json', '--profile', 'work', 'pr', 'list', '--state', 'closed']);
+
+    expect(load).toHaveBeenCalledWith(findGroup('pr'));
+    expect(run).toHaveBeenCalledWith(
+      [process.argv[0], 'gh-pr', '--token', 'ghp_x', '--profile', 'work', '--output', 'json', 'list', '--state', 'closed'],
+      { name: 'gh-api pr' }
+    );
+  });
+
+  test('passes group options and help through untouched', async () => {
+    const { program, run } = createFakeProgram();
+
+    await program.parseAsync(['node', 'gh-api', 'git', 'tree', 'get', '-o', 'octocat', '--help']);
+
+    expect(run.mock.calls[0][0].slice(2)).toEqual(['tree', 'get', '-o', 'octocat', '--help']);
+  });
+
+  test('exports options a group has no flag for through the environment', async () => {
+    const { program, run, env } = createFakeProgram();
+
+    await program.parseAsync(['node', 'gh-api', '--token', 'ghp_x', '--base-url', 'https://ghe.example.com/api/v3/', '--no-color', 'reaction', 'list']);
+
+    expect(run.mock.calls[0][0].slice(2)).toEqual(['--no-color', 'list']);
+    expect(env).toEqual({
+      GITHUB_TOKEN: 'ghp_x',
+      GITHUB_API_URL: 'https://ghe.example.com/api/v3',
+      NO_COLOR: '1',
+      FORCE_COLOR: '0'
+    });
+  });
+
+  test('passes --dry-run to groups that plan writes and refuses the others', async () => {
+    const { program, run, env } = createFakeProgram();
+
+    await program.parseAsync(['node', 'gh-api', '--dry-run', 'repo', 'delete', 'octocat', 'demo']);
+    expect(run.mock.calls[0][0].slice(2)).toEqual(['--dry-run', 'repo', 'delete', 'octocat', 'demo']);
+    expect(env.GITHUB_DRY_RUN).toBe('1');
+
+    const merge = createFakeProgram();
+    await merge.program.parseAsync(['node', 'gh-api', '--dry-run', 'pr', 'merge', '12']);
+    expect(merge.run.mock.calls[0][0].slice(2)).toEqual(['--dry-run', 'merge', '12']);
+
+    const other = createFakeProgram({ env: { GITHUB_DRY_RUN: 'true' } });
+    await expect(other.program.parseAsync(['node', 'gh-api', 'gist', 'delete', 'aa5a315d61ae9438b18d']))
+      .rejects.toThrow('gist commands do not support --dry-run');
+    expect(other.run).not.toHaveBeenCalled();
+  });
+
+  test('rejects an output format the group cannot print', async () => {
+    const { program, run } = createFakeProgram();
+
+    await expect(program.parseAsync(['node', 'gh-api', '-o', 'csv', 'gist', 'list']))
+      .rejects.toThrow('gist commands cannot print csv (supported: json, yaml, table)');
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('reports a group whose package is not installed', async () => {
+    const missing = Object.assign(new Error("Cannot find package '@thinkeloquent/github-sdk-users' imported from gh-api"), { code: 'ERR_MODULE_NOT_FOUND' });
+    const { program } = createFakeProgram({ load: jest.fn(async () => { throw missing; }) });
+
+    await expect(program.parseAsync(['node', 'gh-api', 'user', 'get', 'octocat']))
+      .rejects.toThrow('user commands need @thinkeloquent/github-sdk-users; install it next to gh-api');
+  });
+});
+
+describe('gh-api completion', () => {
+  test('completes group names itself and hands the words after a group to its CLI', async () => {
+    const { program, run, load } = createFakeProgram();
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await program.parseAsync(['node', 'gh-api', '__complete', '--', '--profile', 'work', 're']);
+      expect(log.mock.lastCall[0].split('\n').map(line => line.split('\t')[0])).toEqual(['reaction', 'repo']);
+      expect(load).not.toHaveBeenCalled();
+
+      await program.parseAsync(['node', 'gh-api', '__complete', '--', '-o', 'json', 'repos', 'get', 'oct']);
+      expect(load).toHaveBeenCalledWith(findGroup('repo'));
+      expect(run).toHaveBeenCalledWith(
+        [process.argv[0], 'gh-repo', '__complete', '--', 'repo', 'get', 'oct'],
+        { name: 'gh-api repo' }
+      );
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('completes nothing for a group whose package is not installed', async () => {
+    const { program } = createFakeProgram({ load: jest.fn(async () => { throw new Error('missing'); }) });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await program.parseAsync(['node', 'gh-api', '__complete', '--', 'user', '']);
+      expect(log).not.toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe('buildInvocation', () => {
+  const options = normalizeOptions({}, {});
+
+  test('inserts the default subcommand for bare resource commands', () => {
+    expect(buildInvocation(findGroup('repo'), ['get', 'octocat', 'demo'], options).argv.slice(2))
+      .toEqual(['repo', 'get', 'octocat', 'demo']);
+    expect(buildInvocation(findGroup('repo'), ['branch', 'list', 'octocat', 'demo'], options).argv.slice(2))
+      .toEqual(['branch', 'list', 'octocat', 'demo']);
+    expect(buildInvocation(findGroup('team'), ['list'], options).argv.slice(2)).toEqual(['teams', 'list']);
+    expect(buildInvocation(findGroup('team'), ['--help'], options).argv.slice(2)).toEqual(['--help']);
+  });
+
+  test('passes the format to the group\'s output option, maps json onto boolean flags and leaves default formats alone', () => {
+    const repo = findGroup('repo');
+    const legacy = { ...repo, flags: { output: { flag: '--json', formats: ['json'], defaults: ['table', 'text'] } } };
+
+    expect(buildInvocation(repo, ['list'], normalizeOptions({ output: 'ndjson' }, {})).argv.slice(2)).toEqual(['--output', 'ndjson', 'repo', 'list']);
+    expect(buildInvocation(repo, ['list'], normalizeOptions({ output: 'text' }, {})).argv.slice(2)).toEqual(['repo', 'list']);
+    expect(buildInvocation(legacy, ['list'], normalizeOptions({ output: 'json' }, {})).argv.slice(2)).toEqual(['--json', 'repo', 'list']);
+    expect(buildInvocation(legacy, ['list'], normalizeOptions({ output: 'table' }, {})).argv.slice(2)).toEqual(['repo', 'list']);
+    expect(buildInvocation(findGroup('gist'), ['list'], normalizeOptions({ output: 'yaml' }, {})).argv.slice(2)).toEqual(['--format', 'yaml', 'list']);
+  });
+
+  test('uses the group\'s own base URL option name', () => {
+    const { argv } = buildInvocation(findGroup('git'), ['ref', 'list'], normalizeOptions({ baseUrl: 'http://localhost:3000' }, {}));
+
+    expect(argv.slice(2)).toEqual(['--api-url', 'http://localhost:3000', 'ref', 'list']);
+  });
+});
+
+describe('normalizeOptions', () => {
+  test('takes the output format and color from the environment', () => {
+    expect(normalizeOptions({}, { GH_API_OUTPUT: 'json', NO_COLOR: '1' })).toEqual({
+      token: undefined, profile: undefined, output: 'json', baseUrl: undefined, color: false, dryRun: false
+    });
+    expect(() => normalizeOptions({}, { GH_API_OUTPUT: 'xml' })).toThrow("Unknown output format 'xml'");
+  });
+});
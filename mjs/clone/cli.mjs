@@ -9,10 +9,21 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import dotenv from 'dotenv';
-import { existsSync } from 'fs';
+import { existsSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
+import {
+  getStoredToken,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  writeOutput,
+  isMachineOutput,
+  isMainModule,
+  registerCompletionCommand
+} from '@thinkeloquent/github-sdk-core';
 import { GitClient } from './src/client/GitClient.mjs';
 import { GitError, AuthError } from './src/utils/errors.mjs';
 import { setupConfig, loadConfig } from './src/cli/config.mjs';
@@ -46,17 +57,21 @@ program
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-q, --quiet', 'Suppress output except errors')
   .option('--json', 'Output results as JSON')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)')
   .option('--no-color', 'Disable colored output');
 
+addOutputOptions(program);
+addProfileOption(program);
+
 /**
  * Create GitClient from global options
  */
 function createClient(options) {
-  const config = loadConfig();
+  const config = loadConfig({ profile: options.profile });
   
   return new GitClient({
     baseDir: options.baseDir || config.baseDir || './repositories',
-    token: options.token || config.token || process.env.GITHUB_TOKEN,
+    token: options.token || config.token || process.env.GITHUB_TOKEN || getStoredToken(),
     verbose: options.verbose || config.verbose || false,
     timeout: parseInt(options.timeout || config.timeout || '300000')
   });
@@ -70,8 +85,9 @@ function formatOutput(data, options) {
     return;
   }
 
-  if (options.json) {
-    console.log(JSON.stringify(data, null, 2));
+  if (isMachineOutput(options)) {
+    // Errors keep their shape so scripts can still detect them
+    writeOutput(data, data.error ? { json: true } : options);
     return;
   }
 
@@ -176,7 +192,7 @@ program
         }
       }
 
-      if (globalOptions.json) {
+      if (isMachineOutput(globalOptions)) {
         formatOutput(result, globalOptions);
       }
 
@@ -223,7 +239,7 @@ program
         }
       }
 
-      if (globalOptions.json) {
+      if (isMachineOutput(globalOptions)) {
         formatOutput(result, globalOptions);
       }
 
@@ -265,7 +281,7 @@ program
         console.log(chalk.cyan('Status:'), result.status.current);
       }
 
-      if (globalOptions.json) {
+      if (isMachineOutput(globalOptions)) {
         formatOutput(result, globalOptions);
       }
 
@@ -288,7 +304,7 @@ program
       const client = createClient(globalOptions);
       const result = await client.status(repoName);
       
-      if (!globalOptions.quiet && !globalOptions.json) {
+      if (!globalOptions.quiet && !isMachineOutput(globalOptions)) {
         console.log(chalk.green(`Repository: ${result.name}`));
         console.log(chalk.cyan('Path:'), result.path);
         console.log(chalk.cyan('Branch:'), result.branch);
@@ -327,7 +343,7 @@ program
       const client = createClient(globalOptions);
       const repositories = await client.listRepositories();
       
-      if (!globalOptions.quiet && !globalOptions.json) {
+      if (!globalOptions.quiet && !isMachineOutput(globalOptions)) {
         if (repositories.length === 0) {
           console.log(chalk.yellow('No repositories found'));
           return;
@@ -376,7 +392,7 @@ program
         console.log(chalk.cyan('Type:'), result.bare ? 'bare' : 'regular');
       }
 
-      if (globalOptions.json) {
+      if (isMachineOutput(globalOptions)) {
         formatOutput(result, globalOptions);
       }
 
@@ -441,7 +457,7 @@ program
         syncedAt: new Date().toISOString()
       };
 
-      if (globalOptions.json) {
+      if (isMachineOutput(globalOptions)) {
         formatOutput(result, globalOptions);
       }
 
@@ -468,6 +484,28 @@ program
     }
   });
 
+/**
+ * Login command
+ */
+registerLoginCommand(program, { scopes: ['repo'] });
+registerProfilesCommand(program);
+
+/**
+ * Completion command
+ */
+registerCompletionCommand(program, {
+  hooks: {
+    // Repositories in the configured base directory
+    'repo-name': ({ options }) => {
+      const baseDir = options.baseDir || loadConfig().baseDir || './repositories';
+      if (!existsSync(baseDir)) {
+        return [];
+      }
+      return readdirSync(baseDir).filter(entry => existsSync(join(baseDir, entry, '.git')));
+    }
+  }
+});
+
 // Handle unknown commands
 program.on('command:*', (operands) => {
   console.error(chalk.red(`Unknown command: ${operands[0]}`));
@@ -475,9 +513,30 @@ program.on('command:*', (operands) => {
   process.exit(1);
 });
 
-// Parse arguments
-if (process.argv.length < 3) {
-  program.help();
-} else {
-  program.parse(process.argv);
-}
\ No newline at end of file
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  // Parse arguments
+  if (argv.length < 3) {
+    program.help();
+  } else {
+    await program.parseAsync(argv);
+  }
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  run();
+}
+
+export { program };
+export default program;
\ No newline at end of file
@@ -10,6 +10,7 @@ import { fileURLToPath } from 'url';
 import inquirer from 'inquirer';
 import yaml from 'yaml';
 import chalk from 'chalk';
+import { CredentialStore, resolveCredentials, ensurePassphrase, DEFAULT_PROFILE } from '@thinkeloquent/github-sdk-core';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -41,10 +42,10 @@ const DEFAULT_CONFIG = {
 };
 
 /**
- * Load configuration from file
+ * Read the configuration file without applying a credential profile
  * @returns {Object} Configuration object
  */
-export function loadConfig() {
+function readConfigFile() {
   const configPath = getConfigPath();
   
   if (!existsSync(configPath)) {
@@ -74,6 +75,29 @@ export function loadConfig() {
   }
 }
 
+/**
+ * Load configuration from file.
+ *
+ * When a credential profile is selected (`options.profile` or
+ * `GITHUB_PROFILE`) its host and token replace the file's token.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Stored credential profile
+ * @returns {Object} Configuration object
+ */
+export function loadConfig(options = {}) {
+  const config = readConfigFile();
+
+  if (options.profile || process.env.GITHUB_PROFILE) {
+    const credential = resolveCredentials({ profile: options.profile });
+    config.profile = credential.profile;
+    config.host = credential.host;
+    config.token = credential.token;
+  }
+
+  return config;
+}
+
 /**
  * Save configuration to file
  * @param {Object} config - Configuration object
@@ -107,7 +131,7 @@ export async function setupConfig() {
   console.log(chalk.cyan('Git Repository Management CLI Configuration'));
   console.log(chalk.gray('Configure your default settings for gh-clone\n'));
 
-  const currentConfig = loadConfig();
+  const currentConfig = readConfigFile();
 
   const answers = await inquirer.prompt([
     {
@@ -176,10 +200,20 @@ export async function setupConfig() {
     }
   ]);
 
+  let token = answers.token ? answers.token.trim() : currentConfig.token;
+
+  // Prefer the encrypted credential store over a plain-text token
+  if (answers.token && await ensurePassphrase({ create: true })) {
+    const profile = process.env.GITHUB_PROFILE || DEFAULT_PROFILE;
+    new CredentialStore().setProfile(profile, { token });
+    console.log(chalk.green(`✓ Token saved to encrypted credential profile "${profile}"`));
+    token = null;
+  }
+
   // Build new configuration
   const newConfig = {
     baseDir: answers.baseDir.trim(),
-    token: answers.token ? answers.token.trim() : currentConfig.token,
+    token,
     verbose: answers.verbose,
     timeout: answers.timeout,
     git: {
@@ -201,7 +235,7 @@ export async function setupConfig() {
   // Show summary
   console.log(chalk.cyan('\nConfiguration summary:'));
   console.log(`Base directory: ${chalk.white(newConfig.baseDir)}`);
-  console.log(`Token configured: ${chalk.white(newConfig.token ? 'Yes' : 'No')}`);
+  console.log(`Token configured: ${chalk.white(newConfig.token || answers.token ? 'Yes' : 'No')}`);
   console.log(`Timeout: ${chalk.white(newConfig.timeout)}ms`);
   console.log(`Verbose: ${chalk.white(newConfig.verbose ? 'Yes' : 'No')}`);
   console.log(`Colored output: ${chalk.white(newConfig.ui.color ? 'Yes' : 'No')}`);
@@ -215,7 +249,7 @@ export async function setupConfig() {
  * @returns {*} Configuration value
  */
 export function getConfig(key) {
-  const config = loadConfig();
+  const config = readConfigFile();
   
   if (!key) {
     return config;
@@ -242,7 +276,7 @@ export function getConfig(key) {
  * @param {*} value - Value to set
  */
 export function setConfig(key, value) {
-  const config = loadConfig();
+  const config = readConfigFile();
   
   // Support dot notation (e.g., 'git.timeout')
   const keys = key.split('.');
@@ -271,7 +305,7 @@ export function resetConfig() {
  * Show current configuration
  */
 export function showConfig() {
-  const config = loadConfig();
+  const config = readConfigFile();
   const configPath = getConfigPath();
   
   console.log(chalk.cyan('Current Configuration:'));
@@ -291,7 +325,7 @@ export function showConfig() {
  * @returns {Array} Array of validation errors
  */
 export function validateConfig(config = null) {
-  const cfg = config || loadConfig();
+  const cfg = config || readConfigFile();
   const errors = [];
 
   // Validate baseDir
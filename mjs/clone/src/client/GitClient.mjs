@@ -42,6 +42,7 @@ export class GitClient {
    * @param {Object} [options.gitOptions] - Additional simple-git options
    * @param {boolean} [options.verbose] - Enable verbose logging
    * @param {number} [options.timeout] - Operation timeout in milliseconds
+   * @param {boolean} [options.configureCredentials=true] - Set up git's credential store (turn off in an existing clone)
    */
   constructor(options = {}) {
     this.baseDir = resolve(options.baseDir || './repositories');
@@ -66,7 +67,7 @@ export class GitClient {
     });
 
     // Configure authentication if token is provided
-    if (this.token) {
+    if (this.token && options.configureCredentials !== false) {
       this._configureAuth();
     }
   }
@@ -126,7 +127,7 @@ export class GitClient {
    * @param {Function} [options.onProgress] - Progress event callback
    * @param {Function} [options.onStageChange] - Stage change event callback
    * @param {Function} [options.onComplete] - Completion event callback
-   * @returns {Promise<Object>} Repository information
+   * @returns {Promise<RepositoryInfo>} Repository information
    * 
    * @example
    * ```javascript
@@ -255,7 +256,7 @@ export class GitClient {
    * @param {string} [options.remote='origin'] - Remote name
    * @param {string} [options.branch] - Branch name (defaults to current)
    * @param {boolean} [options.rebase=false] - Use rebase instead of merge
-   * @returns {Promise<Object>} Pull result
+   * @returns {Promise<PullResultInfo>} Pull result
    */
   async pull(repoName, options = {}) {
     try {
@@ -303,7 +304,7 @@ export class GitClient {
    * @param {string} [options.branch] - Branch name (defaults to current)
    * @param {boolean} [options.force=false] - Force push
    * @param {boolean} [options.setUpstream=false] - Set upstream tracking
-   * @returns {Promise<Object>} Push result
+   * @returns {Promise<PushResultInfo>} Push result
    */
   async push(repoName, options = {}) {
     try {
@@ -349,7 +350,7 @@ export class GitClient {
    * Get repository status
    * 
    * @param {string} repoName - Repository name or path
-   * @returns {Promise<Object>} Repository status and information
+   * @returns {Promise<StatusResultInfo>} Repository status and information
    */
   async status(repoName) {
     try {
@@ -384,7 +385,7 @@ export class GitClient {
   /**
    * List all managed repositories
    * 
-   * @returns {Promise<Array>} Array of repository information
+   * @returns {Promise<StatusResultInfo[]>} Array of repository information
    */
   async listRepositories() {
     try {
@@ -429,7 +430,7 @@ export class GitClient {
    * @param {string} repoName - Repository name
    * @param {Object} [options] - Init options
    * @param {boolean} [options.bare=false] - Create bare repository
-   * @returns {Promise<Object>} Repository information
+   * @returns {Promise<InitResultInfo>} Repository information
    */
   async init(repoName, options = {}) {
     try {
@@ -461,4 +462,142 @@ export class GitClient {
       throw new GitError(`Init failed: ${error.message}`, error);
     }
   }
+
+  /**
+   * Fetch refs from a remote
+   *
+   * @param {string} repoName - Repository name or path
+   * @param {Object} [options] - Fetch options
+   * @param {string} [options.remote='origin'] - Remote name or URL
+   * @param {string[]} [options.refspecs] - Refspecs to fetch (defaults to the remote's configured ones)
+   * @returns {Promise<FetchResultInfo>} Fetch result
+   *
+   * @example
+   * ```javascript
+   * // Fetch a pull request's head into a remote-tracking ref
+   * await client.fetch('hello-world', { refspecs: ['+refs/pull/12/head:refs/remotes/origin/pr/12'] });
+   * ```
+   */
+  async fetch(repoName, options = {}) {
+    try {
+      const repoPath = this._getRepoPath(repoName);
+      validatePath(repoPath);
+
+      const repoGit = simpleGit(repoPath);
+      const remote = options.remote || 'origin';
+      const refspecs = options.refspecs || [];
+
+      if (this.verbose) {
+        console.log(`Fetching ${refspecs.join(' ') || 'refs'} from ${remote}...`);
+      }
+
+      const result = await repoGit.fetch([remote, ...refspecs]);
+
+      return {
+        name: basename(repoPath),
+        path: repoPath,
+        remote: remote,
+        result: result,
+        fetchedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw new GitError(`Fetch failed: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Add a remote, or reuse one that already points at the same URL
+   *
+   * @param {string} repoName - Repository name or path
+   * @param {string} remoteName - Remote name
+   * @param {string} url - Remote URL
+   * @returns {Promise<RemoteResultInfo>} Remote information
+   * @throws {GitError} When the name is taken by a remote with another URL
+   */
+  async addRemote(repoName, remoteName, url) {
+    try {
+      const repoPath = this._getRepoPath(repoName);
+      validatePath(repoPath);
+
+      const repoGit = simpleGit(repoPath);
+      const existing = (await repoGit.getRemotes(true)).find(remote => remote.name === remoteName);
+
+      if (existing && existing.refs.fetch !== url) {
+        throw new ValidationError(`Remote '${remoteName}' already exists with URL ${existing.refs.fetch}`);
+      }
+      if (!existing) {
+        await repoGit.addRemote(remoteName, url);
+      }
+
+      return {
+        name: basename(repoPath),
+        path: repoPath,
+        remote: remoteName,
+        url: url,
+        added: !existing
+      };
+
+    } catch (error) {
+      throw new GitError(`Adding remote failed: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Check out a branch, creating it at a start point when it does not exist.
+   * An existing branch is fast-forwarded to the start point, or reset to it
+   * with `force`.
+   *
+   * @param {string} repoName - Repository name or path
+   * @param {string} branch - Local branch name
+   * @param {Object} [options] - Checkout options
+   * @param {string} [options.startPoint] - Commit or ref the branch should point at
+   * @param {boolean} [options.force=false] - Reset an existing branch and discard local changes
+   * @param {Object} [options.track] - Upstream to record: `{ remote, merge }`, e.g.
+   *   `{ remote: 'origin', merge: 'refs/heads/feature' }`
+   * @returns {Promise<CheckoutResultInfo>} Checkout result
+   */
+  async checkout(repoName, branch, options = {}) {
+    try {
+      const repoPath = this._getRepoPath(repoName);
+      validatePath(repoPath);
+
+      const repoGit = simpleGit(repoPath);
+      const { startPoint, force = false, track } = options;
+      const exists = (await repoGit.branchLocal()).all.includes(branch);
+
+      if (this.verbose) {
+        console.log(`Checking out ${branch}${startPoint ? ` at ${startPoint}` : ''}...`);
+      }
+
+      if (!exists || (force && startPoint)) {
+        // -B resets an existing branch, -f drops local changes in the way
+        await repoGit.raw(['checkout', ...(force ? ['-f'] : []), exists ? '-B' : '-b', branch, ...(startPoint ? [startPoint] : [])]);
+      } else {
+        await repoGit.raw(['checkout', ...(force ? ['-f'] : []), branch]);
+        if (startPoint) {
+          await repoGit.raw(['merge', '--ff-only', startPoint]);
+        }
+      }
+
+      if (track) {
+        await repoGit.addConfig(`branch.${branch}.remote`, track.remote);
+        await repoGit.addConfig(`branch.${branch}.merge`, track.merge);
+      }
+
+      const status = await repoGit.status();
+
+      return {
+        name: basename(repoPath),
+        path: repoPath,
+        branch: status.current,
+        created: !exists,
+        status: status,
+        checkedOutAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw new GitError(`Checkout failed: ${error.message}`, error);
+    }
+  }
 }
\ No newline at end of file
@@ -6,8 +6,9 @@ import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globa
 import { GitClient } from '../src/client/GitClient.mjs';
 import { GitError, ValidationError } from '../src/utils/errors.mjs';
 import { createSilentProgressManager } from '../src/utils/progress.mjs';
-import { existsSync, rmSync, mkdirSync } from 'fs';
+import { existsSync, rmSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
 import { join } from 'path';
+import simpleGit from 'simple-git';
 
 // Test setup
 const TEST_BASE_DIR = './test-repos';
@@ -217,6 +218,73 @@ describe('GitClient', () => {
 
     // Note: Actual clone tests would require network access and are typically run in integration tests
   });
+
+  describe('fetch, addRemote and checkout', () => {
+    let upstream;
+
+    // Commit a new README to the upstream repository and publish it as refs/pull/7/head
+    async function pushPullRequest(content) {
+      const upstreamGit = simpleGit(upstream.path);
+      writeFileSync(join(upstream.path, 'README.md'), content);
+      await upstreamGit.add('.');
+      await upstreamGit.commit(content.trim());
+      await upstreamGit.raw(['update-ref', 'refs/pull/7/head', 'HEAD']);
+    }
+
+    beforeEach(async () => {
+      upstream = await client.init('upstream');
+      await simpleGit(upstream.path)
+        .addConfig('user.name', 'Test')
+        .addConfig('user.email', 'test@example.com');
+      await pushPullRequest('v1\n');
+      await client.init(TEST_REPO_NAME);
+    });
+
+    test('adds a remote once and rejects a clashing URL', async () => {
+      const added = await client.addRemote(TEST_REPO_NAME, 'origin', upstream.path);
+      expect(added).toMatchObject({ remote: 'origin', url: upstream.path, added: true });
+
+      expect((await client.addRemote(TEST_REPO_NAME, 'origin', upstream.path)).added).toBe(false);
+      await expect(client.addRemote(TEST_REPO_NAME, 'origin', '/elsewhere')).rejects.toThrow(GitError);
+    });
+
+    test('checks out a fetched ref on a tracking branch and fast-forwards it later', async () => {
+      await client.addRemote(TEST_REPO_NAME, 'origin', upstream.path);
+      const refspecs = ['+refs/pull/7/head:refs/remotes/origin/pr/7'];
+      const track = { remote: 'origin', merge: 'refs/pull/7/head' };
+
+      await client.fetch(TEST_REPO_NAME, { refspecs });
+      const result = await client.checkout(TEST_REPO_NAME, 'pr-7', { startPoint: 'origin/pr/7', track });
+
+      expect(result).toMatchObject({ branch: 'pr-7', created: true });
+      expect((await simpleGit(result.path).getConfig('branch.pr-7.merge')).value).toBe('refs/pull/7/head');
+
+      await pushPullRequest('v2\n');
+      await client.fetch(TEST_REPO_NAME, { refspecs });
+      const again = await client.checkout(TEST_REPO_NAME, 'pr-7', { startPoint: 'origin/pr/7', track });
+
+      expect(again.created).toBe(false);
+      expect(readFileSync(join(result.path, 'README.md'), 'utf8')).toBe('v2\n');
+    });
+
+    test('resets a diverged branch only when forced', async () => {
+      await client.addRemote(TEST_REPO_NAME, 'origin', upstream.path);
+      const refspecs = ['+refs/pull/7/head:refs/remotes/origin/pr/7'];
+      await client.fetch(TEST_REPO_NAME, { refspecs });
+      await client.checkout(TEST_REPO_NAME, 'pr-7', { startPoint: 'origin/pr/7' });
+
+      // Rewrite the pull request's history
+      await simpleGit(upstream.path).raw(['commit', '--amend', '-m', 'rewritten']);
+      await simpleGit(upstream.path).raw(['update-ref', 'refs/pull/7/head', 'HEAD']);
+      await client.fetch(TEST_REPO_NAME, { refspecs });
+
+      await expect(client.checkout(TEST_REPO_NAME, 'pr-7', { startPoint: 'origin/pr/7' })).rejects.toThrow(GitError);
+      const forced = await client.checkout(TEST_REPO_NAME, 'pr-7', { startPoint: 'origin/pr/7', force: true });
+
+      expect(forced.created).toBe(false);
+      expect((await simpleGit(forced.path).log({ maxCount: 1 })).latest.message).toBe('rewritten');
+    });
+  });
 });
 
 describe('Error Handling', () => {
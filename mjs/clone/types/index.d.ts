@@ -1,214 +1,35 @@
 /**
- * TypeScript definitions for @thinkeloquent/clone
+ * TypeScript definitions for @thinkeloquent/github-sdk-clone
+ * Git repository management SDK and CLI
  */
 
-import { SimpleGit, SimpleGitOptions, PullResult, PushResult, StatusResult, BranchSummary, RemoteWithRefs, DefaultLogFields } from 'simple-git';
-
-// ============================================================================
-// Error Types
-// ============================================================================
-
-export interface ErrorContext {
-  [key: string]: any;
-}
-
-export interface ErrorDetails {
-  name: string;
-  message: string;
-  stack?: string;
-}
-
-export interface GitErrorJSON {
-  name: string;
-  message: string;
-  stack?: string;
-  timestamp: string;
-  context: ErrorContext;
-  originalError?: ErrorDetails | null;
-}
-
-export class GitError extends Error {
-  name: 'GitError';
-  originalError?: Error;
-  context: ErrorContext;
-  timestamp: string;
-  
-  constructor(message: string, originalError?: Error, context?: ErrorContext);
-  toJSON(): GitErrorJSON;
-}
-
-export class AuthError extends GitError {
-  name: 'AuthError';
-  constructor(message: string, originalError?: Error, context?: ErrorContext);
-}
-
-export interface ValidationDetails {
-  field?: string;
-  value?: any;
-  type?: string;
-  [key: string]: any;
-}
-
-export class ValidationError extends GitError {
-  name: 'ValidationError';
-  validationDetails: ValidationDetails;
-  
-  constructor(message: string, validationDetails?: ValidationDetails, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { validationDetails: ValidationDetails };
-}
-
-export class RepositoryError extends GitError {
-  name: 'RepositoryError';
-  repoName?: string;
-  operation?: string;
-  
-  constructor(message: string, repoName?: string, operation?: string, originalError?: Error, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { repoName?: string; operation?: string };
-}
-
-export class CloneError extends RepositoryError {
-  name: 'CloneError';
-  repoUrl?: string;
-  targetDir?: string;
-  
-  constructor(message: string, repoUrl?: string, targetDir?: string, originalError?: Error, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { repoName?: string; operation?: string; repoUrl?: string; targetDir?: string };
-}
-
-export class NetworkError extends GitError {
-  name: 'NetworkError';
-  url?: string;
-  statusCode?: number;
-  
-  constructor(message: string, url?: string, statusCode?: number, originalError?: Error, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { url?: string; statusCode?: number };
-}
-
-export class FileSystemError extends GitError {
-  name: 'FileSystemError';
-  path?: string;
-  operation?: string;
-  
-  constructor(message: string, path?: string, operation?: string, originalError?: Error, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { path?: string; operation?: string };
-}
-
-export class ConfigError extends GitError {
-  name: 'ConfigError';
-  configKey?: string;
-  configValue?: any;
-  
-  constructor(message: string, configKey?: string, configValue?: any, context?: ErrorContext);
-  toJSON(): GitErrorJSON & { configKey?: string; configValue?: any };
-}
-
-// ============================================================================
-// Validation Types
-// ============================================================================
-
-export interface RepositoryValidationOptions {
-  allowSSH?: boolean;
-  allowHTTPS?: boolean;
-  requireGitHub?: boolean;
-}
-
-export interface RepositoryValidationResult {
-  url: string;
-  isSSH: boolean;
-  isHTTPS: boolean;
-  isGitHub: boolean;
-  owner?: string;
-  repo?: string;
-}
-
-export interface PathValidationOptions {
-  mustExist?: boolean;
-  mustBeDirectory?: boolean;
-  mustBeFile?: boolean;
-  checkWritable?: boolean;
-}
-
-export interface PathValidationResult {
-  originalPath: string;
-  resolvedPath: string;
-  exists: boolean;
-  isAbsolute: boolean;
-  isDirectory?: boolean;
-  isFile?: boolean;
-  size?: number;
-  modified?: Date;
-  isGitRepository?: boolean;
-}
-
-export interface DirectoryNameValidationOptions {
-  maxLength?: number;
-  allowDots?: boolean;
-}
-
-export interface DirectoryNameValidationResult {
-  name: string;
-  isValid: boolean;
-  length: number;
-}
-
-export interface GitRefValidationOptions {
-  type?: 'branch' | 'tag';
-}
-
-export interface GitRefValidationResult {
-  ref: string;
-  type: string;
-  isValid: boolean;
-}
-
-export interface GitHubTokenValidationResult {
-  isValid: boolean;
-  type: 'personal' | 'oauth' | 'user' | 'server' | 'classic';
-}
-
-export interface CloneOptionsValidation {
-  branch?: string;
-  depth?: number;
-  bare?: boolean;
-}
-
-export interface RepositoryOperationParams {
-  repoUrl: string;
-  targetDir?: string;
-  options?: CloneOptionsValidation;
-}
-
-export interface RepositoryOperationValidationResult {
-  repository: RepositoryValidationResult;
-  directory?: DirectoryNameValidationResult;
-  options?: CloneOptionsValidation;
-}
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
 
-// ============================================================================
-// Client Types
-// ============================================================================
-
-export interface GitClientOptions {
-  baseDir?: string;
-  token?: string;
-  gitOptions?: SimpleGitOptions;
-  verbose?: boolean;
-  timeout?: number;
-}
+import { FetchResult, PullResult, PushResult, StatusResult, BranchSummary, RemoteWithRefs, DefaultLogFields } from 'simple-git';
 
+/** Options for GitClient#clone */
 export interface CloneOptions {
   bare?: boolean;
   branch?: string;
   depth?: number;
   progress?: (progress: any) => void;
+  progressManager?: GitProgressManager;
+  onProgress?: (data: any) => void;
+  onStageChange?: (data: any) => void;
+  onComplete?: (data: any) => void;
 }
 
+/** Options for GitClient#pull */
 export interface PullOptions {
   remote?: string;
   branch?: string;
   rebase?: boolean;
 }
 
+/** Options for GitClient#push */
 export interface PushOptions {
   remote?: string;
   branch?: string;
@@ -216,10 +37,12 @@ export interface PushOptions {
   setUpstream?: boolean;
 }
 
+/** Options for GitClient#init */
 export interface InitOptions {
   bare?: boolean;
 }
 
+/** Repository returned by GitClient#clone */
 export interface RepositoryInfo {
   name: string;
   path: string;
@@ -234,6 +57,7 @@ export interface RepositoryInfo {
   lastUpdated?: string;
 }
 
+/** Result of GitClient#pull */
 export interface PullResultInfo {
   name: string;
   path: string;
@@ -242,6 +66,7 @@ export interface PullResultInfo {
   pulledAt: string;
 }
 
+/** Result of GitClient#push */
 export interface PushResultInfo {
   name: string;
   path: string;
@@ -250,6 +75,7 @@ export interface PushResultInfo {
   pushedAt: string;
 }
 
+/** Result of GitClient#status */
 export interface StatusResultInfo {
   name: string;
   path: string;
@@ -261,6 +87,7 @@ export interface StatusResultInfo {
   lastUpdated: string;
 }
 
+/** Result of GitClient#init */
 export interface InitResultInfo {
   name: string;
   path: string;
@@ -268,176 +95,343 @@ export interface InitResultInfo {
   initializedAt: string;
 }
 
-export class GitClient {
-  readonly baseDir: string;
-  readonly token?: string;
-  readonly verbose: boolean;
-  readonly timeout: number;
-  readonly git: SimpleGit;
-  
-  constructor(options?: GitClientOptions);
-  
-  clone(repoUrl: string, targetDir?: string, options?: CloneOptions): Promise<RepositoryInfo>;
-  pull(repoName: string, options?: PullOptions): Promise<PullResultInfo>;
-  push(repoName: string, options?: PushOptions): Promise<PushResultInfo>;
-  status(repoName: string): Promise<StatusResultInfo>;
-  listRepositories(): Promise<StatusResultInfo[]>;
-  init(repoName: string, options?: InitOptions): Promise<InitResultInfo>;
+/** Result of GitClient#fetch */
+export interface FetchResultInfo {
+  name: string;
+  path: string;
+  remote: string;
+  result: FetchResult;
+  fetchedAt: string;
+}
+
+/** Result of GitClient#addRemote */
+export interface RemoteResultInfo {
+  name: string;
+  path: string;
+  remote: string;
+  url: string;
+  added: boolean;
 }
 
-// ============================================================================
-// Operations API Types
-// ============================================================================
+/** Result of GitClient#checkout */
+export interface CheckoutResultInfo {
+  name: string;
+  path: string;
+  branch: string | null;
+  created: boolean;
+  status: StatusResult;
+  checkedOutAt: string;
+}
 
-export interface OperationClientOptions {
-  token?: string;
+export namespace operations {
+  /** Clone a repository with progress tracking and error handling */
+  export function cloneRepository(repoUrl: string, targetDir?: string, options?: { client?: Record<string, any>; clone?: Record<string, any>; onProgress?: (...args: any[]) => any; onStageChange?: (...args: any[]) => any; onComplete?: (...args: any[]) => any; showProgress?: boolean; progressManager?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** Pull updates for a repository */
+  export function pullRepository(repoName: string, options?: { client?: Record<string, any>; pull?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** Push changes for a repository */
+  export function pushRepository(repoName: string, options?: { client?: Record<string, any>; push?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** Get repository status and information */
+  export function getRepositoryStatus(repoName: string, options?: { client?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** List all managed repositories */
+  export function listRepositories(options?: { client?: Record<string, any>; [key: string]: any }): Promise<any[]>;
+
+  /** Initialize a new repository */
+  export function initRepository(repoName: string, options?: { client?: Record<string, any>; init?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** Sync repository (pull then optionally push) */
+  export function syncRepository(repoName: string, options?: { client?: Record<string, any>; pull?: Record<string, any>; push?: Record<string, any>; autoPush?: boolean; [key: string]: any }): Promise<Record<string, any>>;
+
+  /** Batch clone multiple repositories */
+  export function batchClone(repoUrls: string[], options?: { client?: Record<string, any>; clone?: Record<string, any>; onProgress?: (...args: any[]) => any; onComplete?: (...args: any[]) => any; concurrency?: number; [key: string]: any }): Promise<any[]>;
+
+  /** Batch sync multiple repositories */
+  export function batchSync(repoNames: string[], options?: { client?: Record<string, any>; pull?: Record<string, any>; push?: Record<string, any>; autoPush?: boolean; onComplete?: (...args: any[]) => any; concurrency?: number; [key: string]: any }): Promise<any[]>;
+
+  /** Get repository health check */
+  export function getRepositoryHealth(repoName: string, options?: { client?: Record<string, any>; [key: string]: any }): Promise<Record<string, any>>;
+}
+
+/** Create a new Git Repository Management client */
+export function createClient(options?: { baseDir?: string; token?: string; gitOptions?: Record<string, any>; verbose?: boolean; timeout?: number; [key: string]: any }): GitClient;
+
+/** Configuration options */
+export interface GitClientOptions {
+  /** Base directory for repositories */
   baseDir?: string;
+  /** GitHub personal access token for private repos */
+  token?: string;
+  /** Additional simple-git options */
+  gitOptions?: Record<string, any>;
+  /** Enable verbose logging */
   verbose?: boolean;
+  /** Operation timeout in milliseconds */
   timeout?: number;
+  /** Set up git's credential store (turn off in an existing clone) */
+  configureCredentials?: boolean;
+  [key: string]: any;
 }
 
-export interface CloneOperationOptions {
-  client?: OperationClientOptions;
-  clone?: CloneOptions;
-  onProgress?: (progress: number) => void;
+/** Main Git Repository Management Client */
+export class GitClient {
+  /** Create a new Git repository management client */
+  constructor(options?: GitClientOptions);
+  baseDir: any;
+  token: NonNullable<GitClientOptions["token"]>;
+  verbose: NonNullable<GitClientOptions["verbose"]>;
+  timeout: NonNullable<GitClientOptions["timeout"]>;
+  git: any;
+  /** Clone a repository */
+  clone(repoUrl: string, targetDir?: string, options?: { bare?: boolean; branch?: string; depth?: number; progress?: (...args: any[]) => any; progressManager?: Record<string, any>; onProgress?: (...args: any[]) => any; onStageChange?: (...args: any[]) => any; onComplete?: (...args: any[]) => any; [key: string]: any }): Promise<RepositoryInfo>;
+  /** Pull latest changes from remote */
+  pull(repoName: string, options?: { remote?: string; branch?: string; rebase?: boolean; [key: string]: any }): Promise<PullResultInfo>;
+  /** Push changes to remote */
+  push(repoName: string, options?: { remote?: string; branch?: string; force?: boolean; setUpstream?: boolean; [key: string]: any }): Promise<PushResultInfo>;
+  /** Get repository status */
+  status(repoName: string): Promise<StatusResultInfo>;
+  /** List all managed repositories */
+  listRepositories(): Promise<StatusResultInfo[]>;
+  /** Initialize a new repository */
+  init(repoName: string, options?: { bare?: boolean; [key: string]: any }): Promise<InitResultInfo>;
+  /** Fetch refs from a remote */
+  fetch(repoName: string, options?: { remote?: string; refspecs?: string[]; [key: string]: any }): Promise<FetchResultInfo>;
+  /** Add a remote, or reuse one that already points at the same URL */
+  addRemote(repoName: string, remoteName: string, url: string): Promise<RemoteResultInfo>;
+  /**
+   * Check out a branch, creating it at a start point when it does not exist.
+   * An existing branch is fast-forwarded to the start point, or reset to it
+   * with `force`.
+   */
+  checkout(repoName: string, branch: string, options?: { startPoint?: string; force?: boolean; track?: Record<string, any>; [key: string]: any }): Promise<CheckoutResultInfo>;
+}
+
+/** Configuration options */
+export interface GitProgressManagerOptions {
+  /** Whether to suppress all output by default */
+  silent?: boolean;
+  /** Progress callback function */
+  onProgress?: (...args: any[]) => any;
+  /** Stage change callback */
+  onStageChange?: (...args: any[]) => any;
+  /** Completion callback */
+  onComplete?: (...args: any[]) => any;
+  /** Enable CLI progress display */
+  enableCLI?: boolean;
+  [key: string]: any;
 }
 
-export interface PullOperationOptions {
-  client?: OperationClientOptions;
-  pull?: PullOptions;
+/**
+ * Progress Manager for Git Operations
+ * Provides a clean interface for consuming applications to control progress display
+ */
+export class GitProgressManager {
+  /** Create a new progress manager */
+  constructor(options?: GitProgressManagerOptions);
+  silent: any;
+  onProgress: GitProgressManagerOptions["onProgress"];
+  onStageChange: GitProgressManagerOptions["onStageChange"];
+  onComplete: GitProgressManagerOptions["onComplete"];
+  enableCLI: NonNullable<GitProgressManagerOptions["enableCLI"]>;
+  currentStage: any;
+  totalSteps: number;
+  currentStep: number;
+  progressBar: any;
+  operationId: any;
+  /** Start a new progress tracking operation */
+  start(operationId: string, description: string, totalSteps?: number): void;
+  /** Update progress to a specific step */
+  update(step: number, message?: string): void;
+  /** Advance progress by a number of steps */
+  advance(steps?: number, message?: string): void;
+  /** Change the current operation stage */
+  setStage(stage: string, description?: string): void;
+  /** Mark the operation as complete */
+  complete(result?: Record<string, any>): void;
+  /** Handle an error during progress tracking */
+  error(error: Error): void;
+  /** Create a progress callback function for simple-git operations */
+  createGitProgressCallback(): (...args: any[]) => any;
+}
+
+/** Create a progress manager with common configurations */
+export function createProgressManager(options?: Record<string, any>): GitProgressManager;
+
+/**
+ * Helper function to create a silent progress manager (no output)
+ * Only fires callbacks if provided
+ */
+export function createSilentProgressManager(callbacks?: Record<string, any>): GitProgressManager;
+
+/**
+ * Helper function to create a CLI-enabled progress manager
+ * Shows progress in terminal
+ */
+export function createCLIProgressManager(options?: Record<string, any>): GitProgressManager;
+
+/** Progress stages for git clone operations */
+export const CLONE_STAGES: Record<string, any>;
+
+/** Base error class for all Git-related errors */
+export class GitError extends Error {
+  /** Create a GitError */
+  constructor(message: string, originalError?: Error, context?: Record<string, any>);
+  originalError: Error;
+  context: Record<string, any>;
+  timestamp: Date;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface PushOperationOptions {
-  client?: OperationClientOptions;
-  push?: PushOptions;
+/** Error thrown when authentication fails */
+export class AuthError extends GitError {
+  /** Create an AuthError */
+  constructor(message: string, originalError?: Error, context?: Record<string, any>);
 }
 
-export interface StatusOperationOptions {
-  client?: OperationClientOptions;
+/** Error thrown when validation fails */
+export class ValidationError extends GitError {
+  /** Create a ValidationError */
+  constructor(message: string, validationDetails?: Record<string, any>, context?: Record<string, any>);
+  validationDetails: Record<string, any>;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface ListOperationOptions {
-  client?: OperationClientOptions;
+/** Error thrown when a repository operation fails */
+export class RepositoryError extends GitError {
+  /** Create a RepositoryError */
+  constructor(message: string, repoName?: string, operation?: string, originalError?: Error, context?: Record<string, any>);
+  repoName: string;
+  operation: string;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface InitOperationOptions {
-  client?: OperationClientOptions;
-  init?: InitOptions;
+/** Error thrown when a clone operation fails */
+export class CloneError extends RepositoryError {
+  /** Create a CloneError */
+  constructor(message: string, repoUrl?: string, targetDir?: string, originalError?: Error, context?: Record<string, any>);
+  repoUrl: string;
+  targetDir: string;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface SyncOperationOptions {
-  client?: OperationClientOptions;
-  pull?: PullOptions;
-  push?: PushOptions;
-  autoPush?: boolean;
+/** Error thrown when network operations fail */
+export class NetworkError extends GitError {
+  /** Create a NetworkError */
+  constructor(message: string, url?: string, statusCode?: number, originalError?: Error, context?: Record<string, any>);
+  url: string;
+  statusCode: number;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface SyncResult {
-  name: string;
+/** Error thrown when file system operations fail */
+export class FileSystemError extends GitError {
+  /** Create a FileSystemError */
+  constructor(message: string, path?: string, operation?: string, originalError?: Error, context?: Record<string, any>);
   path: string;
-  pull: PullResultInfo;
-  push?: PushResultInfo;
-  syncedAt: string;
+  operation: string;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface BatchResult<T> {
-  successful: T[];
-  failed: Array<{ repoUrl?: string; repoName?: string; error: string }>;
-  total: number;
-  successCount: number;
-  errorCount: number;
+/** Error thrown when configuration is invalid */
+export class ConfigError extends GitError {
+  /** Create a ConfigError */
+  constructor(message: string, configKey?: string, configValue?: any, context?: Record<string, any>);
+  configKey: string;
+  configValue: any;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
 }
 
-export interface BatchCloneOptions {
-  client?: OperationClientOptions;
-  clone?: CloneOptions;
-  onProgress?: (repoUrl: string, progress: number) => void;
-  onComplete?: (repoUrl: string, result: RepositoryInfo | null, error: Error | null) => void;
-  concurrency?: number;
-}
+/** Utility function to handle and wrap errors */
+export function wrapError(error: Error, operation: string, context?: Record<string, any>): GitError;
 
-export interface BatchSyncOptions {
-  client?: OperationClientOptions;
-  pull?: PullOptions;
-  push?: PushOptions;
-  autoPush?: boolean;
-  onComplete?: (repoName: string, result: SyncResult | null, error: Error | null) => void;
-  concurrency?: number;
-}
+/** Utility function to check if an error is of a specific type */
+export function isErrorType(error: Error, errorClass: (...args: any[]) => any): boolean;
 
-export interface RepositoryHealth {
-  name: string;
-  path: string;
-  healthy: boolean;
-  issues: string[];
-  recommendations: string[];
-  lastChecked: string;
-}
+/** Extract useful information from an error for logging */
+export function getErrorInfo(error: Error): Record<string, any>;
 
-// ============================================================================
-// Main Module Types
-// ============================================================================
+/** Validate a repository URL */
+export function validateRepository(repoUrl: string, options?: { allowSSH?: boolean; allowHTTPS?: boolean; requireGitHub?: boolean; [key: string]: any }): Record<string, any>;
 
-export interface ConvenienceOptions extends OperationClientOptions {
-  branch?: string;
-  depth?: number;
-  bare?: boolean;
-  remote?: string;
-  rebase?: boolean;
-  force?: boolean;
-  setUpstream?: boolean;
-  onProgress?: (progress: number) => void;
-  autoPush?: boolean;
-}
+/** Validate a file system path */
+export function validatePath(path: string, options?: { mustExist?: boolean; mustBeDirectory?: boolean; mustBeFile?: boolean; checkWritable?: boolean; [key: string]: any }): Record<string, any>;
 
-export interface PackageInfo {
-  name: string;
-  version: string;
-  description: string;
-  homepage: string;
-}
+/** Validate a directory name for safety */
+export function validateDirectoryName(name: string, options?: { maxLength?: number; allowDots?: boolean; [key: string]: any }): Record<string, any>;
 
-// ============================================================================
-// Function Declarations
-// ============================================================================
-
-// Error utilities
-export function wrapError(error: Error, operation: string, context?: ErrorContext): GitError;
-export function isErrorType(error: Error, errorClass: new (...args: any[]) => Error): boolean;
-export function getErrorInfo(error: Error): GitErrorJSON | { name: string; message: string; stack?: string; timestamp: string };
-
-// Validation functions
-export function validateRepository(repoUrl: string, options?: RepositoryValidationOptions): RepositoryValidationResult;
-export function validatePath(path: string, options?: PathValidationOptions): PathValidationResult;
-export function validateDirectoryName(name: string, options?: DirectoryNameValidationOptions): DirectoryNameValidationResult;
-export function validateGitRef(ref: string, options?: GitRefValidationOptions): GitRefValidationResult;
-export function validateGitHubToken(token: string): GitHubTokenValidationResult;
-export function validateCloneOptions(options?: CloneOptions): CloneOptionsValidation;
-export function validateRepositoryOperation(params: RepositoryOperationParams): RepositoryOperationValidationResult;
-
-// Operations API
-export function cloneRepository(repoUrl: string, targetDir?: string, options?: CloneOperationOptions): Promise<RepositoryInfo>;
-export function pullRepository(repoName: string, options?: PullOperationOptions): Promise<PullResultInfo>;
-export function pushRepository(repoName: string, options?: PushOperationOptions): Promise<PushResultInfo>;
-export function getRepositoryStatus(repoName: string, options?: StatusOperationOptions): Promise<StatusResultInfo>;
-export function listRepositories(options?: ListOperationOptions): Promise<StatusResultInfo[]>;
-export function initRepository(repoName: string, options?: InitOperationOptions): Promise<InitResultInfo>;
-export function syncRepository(repoName: string, options?: SyncOperationOptions): Promise<SyncResult>;
-export function batchClone(repoUrls: string[], options?: BatchCloneOptions): Promise<BatchResult<RepositoryInfo>>;
-export function batchSync(repoNames: string[], options?: BatchSyncOptions): Promise<BatchResult<SyncResult>>;
-export function getRepositoryHealth(repoName: string, options?: StatusOperationOptions): Promise<RepositoryHealth>;
-
-// Main exports
-export function createClient(options?: GitClientOptions): GitClient;
-export default GitClient;
+/** Validate a Git branch or tag reference */
+export function validateGitRef(ref: string, options?: { type?: string; [key: string]: any }): Record<string, any>;
 
-// Convenience functions
-export function clone(repoUrl: string, targetDir?: string, options?: ConvenienceOptions): Promise<RepositoryInfo>;
-export function pull(repoName: string, options?: ConvenienceOptions): Promise<PullResultInfo>;
-export function push(repoName: string, options?: ConvenienceOptions): Promise<PushResultInfo>;
-export function status(repoName: string, options?: ConvenienceOptions): Promise<StatusResultInfo>;
-export function list(options?: ConvenienceOptions): Promise<StatusResultInfo[]>;
-export function init(repoName: string, options?: ConvenienceOptions): Promise<InitResultInfo>;
-export function sync(repoName: string, options?: ConvenienceOptions): Promise<SyncResult>;
+/** Validate GitHub token format */
+export function validateGitHubToken(token: string): Record<string, any>;
 
-export const packageInfo: PackageInfo;
\ No newline at end of file
+/** Validate clone options */
+export function validateCloneOptions(options?: Record<string, any>): Record<string, any>;
+
+/** Comprehensive validation for repository operation */
+export function validateRepositoryOperation(params: { repoUrl: string; targetDir?: string; options?: Record<string, any>; [key: string]: any }): Record<string, any>;
+
+/** Re-export high-level operations for convenience */
+export const cloneRepository: typeof operations.cloneRepository;
+
+/** Re-export high-level operations for convenience */
+export const pullRepository: typeof operations.pullRepository;
+
+/** Re-export high-level operations for convenience */
+export const pushRepository: typeof operations.pushRepository;
+
+/** Re-export high-level operations for convenience */
+export const getRepositoryStatus: typeof operations.getRepositoryStatus;
+
+/** Re-export high-level operations for convenience */
+export const listRepositories: typeof operations.listRepositories;
+
+/** Re-export high-level operations for convenience */
+export const initRepository: typeof operations.initRepository;
+
+/** Re-export high-level operations for convenience */
+export const syncRepository: typeof operations.syncRepository;
+
+/** Re-export high-level operations for convenience */
+export const batchClone: typeof operations.batchClone;
+
+/** Re-export high-level operations for convenience */
+export const batchSync: typeof operations.batchSync;
+
+/** Re-export high-level operations for convenience */
+export const getRepositoryHealth: typeof operations.getRepositoryHealth;
+
+/** Convenience method to quickly clone a repository */
+export function clone(repoUrl: string, targetDir?: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to quickly pull repository updates */
+export function pull(repoName: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to quickly push repository changes */
+export function push(repoName: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to get repository status */
+export function status(repoName: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to list all repositories */
+export function list(options?: Record<string, any>): Promise<any[]>;
+
+/** Convenience method to initialize a new repository */
+export function init(repoName: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to sync repository (pull + optional push) */
+export function sync(repoName: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Package metadata */
+export const packageInfo: Record<string, any>;
+
+export default GitClient;
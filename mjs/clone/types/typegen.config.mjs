@@ -0,0 +1,123 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-clone, see `gh-typegen`
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-clone',
+  description: 'Git repository management SDK and CLI',
+  entry: 'index.mjs',
+  // GitClient results wrap simple-git's; the sources only describe them as Object
+  declarations: `import { FetchResult, PullResult, PushResult, StatusResult, BranchSummary, RemoteWithRefs, DefaultLogFields } from 'simple-git';
+
+/** Options for GitClient#clone */
+export interface CloneOptions {
+  bare?: boolean;
+  branch?: string;
+  depth?: number;
+  progress?: (progress: any) => void;
+  progressManager?: GitProgressManager;
+  onProgress?: (data: any) => void;
+  onStageChange?: (data: any) => void;
+  onComplete?: (data: any) => void;
+}
+
+/** Options for GitClient#pull */
+export interface PullOptions {
+  remote?: string;
+  branch?: string;
+  rebase?: boolean;
+}
+
+/** Options for GitClient#push */
+export interface PushOptions {
+  remote?: string;
+  branch?: string;
+  force?: boolean;
+  setUpstream?: boolean;
+}
+
+/** Options for GitClient#init */
+export interface InitOptions {
+  bare?: boolean;
+}
+
+/** Repository returned by GitClient#clone */
+export interface RepositoryInfo {
+  name: string;
+  path: string;
+  url?: string;
+  branch?: string;
+  status?: StatusResult;
+  remotes?: RemoteWithRefs[];
+  branches?: BranchSummary;
+  recentCommits?: DefaultLogFields[];
+  clonedAt?: string;
+  initializedAt?: string;
+  lastUpdated?: string;
+}
+
+/** Result of GitClient#pull */
+export interface PullResultInfo {
+  name: string;
+  path: string;
+  result: PullResult;
+  status: StatusResult;
+  pulledAt: string;
+}
+
+/** Result of GitClient#push */
+export interface PushResultInfo {
+  name: string;
+  path: string;
+  result: PushResult;
+  status: StatusResult;
+  pushedAt: string;
+}
+
+/** Result of GitClient#status */
+export interface StatusResultInfo {
+  name: string;
+  path: string;
+  branch?: string;
+  status: StatusResult;
+  remotes: RemoteWithRefs[];
+  branches: BranchSummary;
+  recentCommits: DefaultLogFields[];
+  lastUpdated: string;
+}
+
+/** Result of GitClient#init */
+export interface InitResultInfo {
+  name: string;
+  path: string;
+  bare: boolean;
+  initializedAt: string;
+}
+
+/** Result of GitClient#fetch */
+export interface FetchResultInfo {
+  name: string;
+  path: string;
+  remote: string;
+  result: FetchResult;
+  fetchedAt: string;
+}
+
+/** Result of GitClient#addRemote */
+export interface RemoteResultInfo {
+  name: string;
+  path: string;
+  remote: string;
+  url: string;
+  added: boolean;
+}
+
+/** Result of GitClient#checkout */
+export interface CheckoutResultInfo {
+  name: string;
+  path: string;
+  branch: string | null;
+  created: boolean;
+  status: StatusResult;
+  checkedOutAt: string;
+}`
+};
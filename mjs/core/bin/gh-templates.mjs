@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Generate src/openapi/templates.json, the endpoint templates
+ * transports report to instrumentation, from the OpenAPI specs
+ *
+ * Usage: gh-templates [--check] [--spec-dir <dir>]
+ *
+ * --check writes nothing and exits 1 when the table is stale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadSpecs } from '../src/openapi/spec.mjs';
+import { TEMPLATES_PATH, buildTemplateTable, serializeTemplateTable } from '../src/openapi/templates.mjs';
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      check: { type: 'boolean', default: false },
+      'spec-dir': { type: 'string' }
+    }
+  });
+
+  const table = buildTemplateTable(loadSpecs({ dir: values['spec-dir'] }));
+  const text = serializeTemplateTable(table);
+  const relative = path.relative(process.cwd(), TEMPLATES_PATH);
+
+  if (values.check) {
+    if (!fs.existsSync(TEMPLATES_PATH) || fs.readFileSync(TEMPLATES_PATH, 'utf8') !== text) {
+      console.error(`Out of date, run npm run templates:\n  ${relative}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  fs.writeFileSync(TEMPLATES_PATH, text);
+  console.log(`Wrote ${relative} (${Object.keys(table).length} templates)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
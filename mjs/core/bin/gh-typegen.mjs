@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Generate types/index.d.ts for SDK packages from the OpenAPI
+ * specs and the package sources
+ *
+ * Usage: gh-typegen [package-dir...] [--check] [--spec-dir <dir>]
+ *
+ * Without package directories every workspace with a types/typegen.config.mjs
+ * is generated. --check writes nothing and exits 1 when a file is stale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { loadSpecs, OperationIndex } from '../src/openapi/spec.mjs';
+import { generateDeclarations } from '../src/openapi/typegen.mjs';
+
+const CONFIG_PATH = path.join('types', 'typegen.config.mjs');
+const OUTPUT_PATH = path.join('types', 'index.d.ts');
+
+function workspaceDirs(cwd) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+  return (manifest.workspaces || [])
+    .map(dir => path.join(cwd, dir))
+    .filter(dir => fs.existsSync(path.join(dir, CONFIG_PATH)));
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      check: { type: 'boolean', default: false },
+      'spec-dir': { type: 'string' }
+    }
+  });
+
+  const cwd = process.cwd();
+  const dirs = positionals.length > 0 ? positionals.map(dir => path.resolve(cwd, dir)) : workspaceDirs(cwd);
+  if (dirs.length === 0) {
+    console.error(`No packages with ${CONFIG_PATH} found`);
+    process.exit(1);
+  }
+
+  const index = new OperationIndex(loadSpecs({ dir: values['spec-dir'] }));
+  const stale = [];
+
+  for (const root of dirs) {
+    const { default: config } = await import(pathToFileURL(path.join(root, CONFIG_PATH)).href);
+    const output = path.join(root, OUTPUT_PATH);
+    const text = generateDeclarations({ index, root, config });
+    const relative = path.relative(cwd, output);
+
+    if (values.check) {
+      if (!fs.existsSync(output) || fs.readFileSync(output, 'utf8') !== text) {
+        stale.push(relative);
+      }
+      continue;
+    }
+
+    fs.writeFileSync(output, text);
+    console.log(`Wrote ${relative} (${text.split('\n').length} lines)`);
+  }
+
+  if (stale.length > 0) {
+    console.error(`Out of date, run npm run types:\n  ${stale.join('\n  ')}`);
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview GitHub SDK core - shared transport used by every package
+ * @module @github-api/core
+ * @version 1.0.0
+ */
+
+import { Transport, createTransport, DEFAULT_CONFIG, normalizeHeaders } from './src/client/transport.mjs';
+import { createAuthStrategy, toAuthHeader } from './src/client/auth.mjs';
+import { GraphQLClient, GraphQLError, createGraphQLClient, graphqlUrl, withRateLimit } from './src/client/graphql.mjs';
+import {
+  Cassette,
+  CassetteError,
+  resolveCassette,
+  resetCassettes,
+  scrubSecrets,
+  CASSETTE_ENV,
+  CASSETTE_MODES
+} from './src/client/cassette.mjs';
+import {
+  RequestScheduler,
+  resolveScheduler,
+  resourceForUrl,
+  getSchedulerMetrics,
+  resetSchedulers,
+  SCHEDULER_DEFAULTS
+} from './src/client/scheduler.mjs';
+import {
+  Instrumentation,
+  resolveInstrumentation,
+  addInstrumentation,
+  resetInstrumentation,
+  endpointTemplate,
+  INSTRUMENTATION_EVENTS
+} from './src/client/instrumentation.mjs';
+import { SpanAdapter, SPAN_KIND_CLIENT, SPAN_STATUS } from './src/telemetry/spans.mjs';
+import { PrometheusExporter, PROMETHEUS_BUCKETS, PROMETHEUS_CONTENT_TYPE } from './src/telemetry/prometheus.mjs';
+import { DryRun, resolveDryRun, isDryRun, applyDryRun, syntheticData, describeRequest, DRY_RUN_ENV } from './src/client/dryRun.mjs';
+import {
+  AuditLog,
+  resolveAuditLog,
+  getAuditLogPath,
+  filterEntries,
+  parseTime,
+  redactBody,
+  AUDIT_ENV,
+  AUDIT_DEFAULTS
+} from './src/client/audit.mjs';
+import {
+  GitHubError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  RateLimitError,
+  SecondaryRateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  OutputError,
+  ErrorFactory,
+  errorUtils,
+  isRateLimitResponse,
+  isSecondaryRateLimitResponse,
+  parseRetryAfter
+} from './src/utils/errors.mjs';
+import {
+  loadSpec,
+  loadSpecs,
+  listSpecGroups,
+  getSpecDir,
+  resolveRef,
+  resolvePointer,
+  OperationIndex,
+  SPEC_DIR_ENV
+} from './src/openapi/spec.mjs';
+import {
+  SpecValidator,
+  SchemaValidationError,
+  validateValue,
+  resolveValidator,
+  VALIDATE_ENV,
+  VALIDATE_MODES
+} from './src/openapi/validator.mjs';
+import { generateDeclarations, DeclarationGenerator, TypeRegistry, findEndpointCalls } from './src/openapi/typegen.mjs';
+import { parseLinkHeader, getPageFromUrl, extractItems } from './src/utils/pagination.mjs';
+import { RateLimitTracker, parseRateLimitHeaders } from './src/utils/rateLimit.mjs';
+import { computeBackoff, sleep } from './src/utils/retry.mjs';
+import {
+  CredentialStore,
+  CredentialError,
+  getCredentialsPath,
+  getStoredToken,
+  resolveCredentials,
+  resolveToken,
+  normalizeHost,
+  apiBaseUrlForHost,
+  webUrlForHost,
+  DEFAULT_HOST,
+  DEFAULT_PROFILE,
+  TOKEN_ENV_VARS
+} from './src/auth/credentials.mjs';
+import { DeviceFlowError, requestDeviceCode, pollForToken, deviceFlowLogin, parseScopes } from './src/auth/deviceFlow.mjs';
+import { hasScopes, missingScopes, expandScopes, getTokenScopes } from './src/auth/scopes.mjs';
+import { login, registerLoginCommand, DEFAULT_LOGIN_SCOPES } from './src/cli/login.mjs';
+import { addProfileOption, registerProfilesCommand, selectProfile, resolveBaseUrl, ensurePassphrase, promptPassphrase } from './src/cli/profile.mjs';
+import { isMainModule } from './src/cli/entry.mjs';
+import { addOutputOptions, writeOutput, isMachineOutput } from './src/cli/output.mjs';
+import { addDryRunOption } from './src/cli/dryRun.mjs';
+import { addAuditOption, registerAuditCommand } from './src/cli/audit.mjs';
+import {
+  registerCompletionCommand,
+  complete,
+  resolveCommand,
+  completionScript,
+  formatCompletions,
+  readCompletionCache,
+  writeCompletionCache,
+  getCompletionCachePath,
+  COMPLETION_SHELLS,
+  COMPLETION_COMMANDS,
+  DEFAULT_COMPLETION_HOOKS
+} from './src/cli/completion.mjs';
+import {
+  renderOutput,
+  selectFields,
+  parseFields,
+  formatJson,
+  formatYaml,
+  formatCsv,
+  formatNdjson,
+  formatTable,
+  OUTPUT_FORMATS
+} from './src/output/format.mjs';
+import { runJq } from './src/output/jq.mjs';
+import { renderTemplate, TEMPLATE_HELPERS } from './src/output/template.mjs';
+import { loadManifest, parseManifest, parseCsv, MANIFEST_FORMATS } from './src/bulk/manifest.mjs';
+import { BulkRunner, Checkpoint, rowKey, isRetryableError, formatSummary, BULK_DEFAULTS } from './src/bulk/runner.mjs';
+
+/**
+ * Default export - Transport class
+ */
+export default Transport;
+
+export {
+  // Transport
+  Transport,
+  createTransport,
+  DEFAULT_CONFIG,
+  normalizeHeaders,
+
+  // GraphQL
+  GraphQLClient,
+  GraphQLError,
+  createGraphQLClient,
+  graphqlUrl,
+  withRateLimit,
+
+  // Auth
+  createAuthStrategy,
+  toAuthHeader,
+
+  // Record/replay
+  Cassette,
+  CassetteError,
+  resolveCassette,
+  resetCassettes,
+  scrubSecrets,
+  CASSETTE_ENV,
+  CASSETTE_MODES,
+
+  // Request scheduling
+  RequestScheduler,
+  resolveScheduler,
+  resourceForUrl,
+  getSchedulerMetrics,
+  resetSchedulers,
+  SCHEDULER_DEFAULTS,
+
+  // Instrumentation
+  Instrumentation,
+  resolveInstrumentation,
+  addInstrumentation,
+  resetInstrumentation,
+  endpointTemplate,
+  INSTRUMENTATION_EVENTS,
+  SpanAdapter,
+  SPAN_KIND_CLIENT,
+  SPAN_STATUS,
+  PrometheusExporter,
+  PROMETHEUS_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE,
+
+  // Dry run
+  DryRun,
+  resolveDryRun,
+  isDryRun,
+  applyDryRun,
+  syntheticData,
+  describeRequest,
+  DRY_RUN_ENV,
+
+  // Audit log
+  AuditLog,
+  resolveAuditLog,
+  getAuditLogPath,
+  filterEntries,
+  parseTime,
+  redactBody,
+  AUDIT_ENV,
+  AUDIT_DEFAULTS,
+
+  // OpenAPI specs
+  loadSpec,
+  loadSpecs,
+  listSpecGroups,
+  getSpecDir,
+  resolveRef,
+  resolvePointer,
+  OperationIndex,
+  SPEC_DIR_ENV,
+
+  // OpenAPI validation
+  SpecValidator,
+  SchemaValidationError,
+  validateValue,
+  resolveValidator,
+  VALIDATE_ENV,
+  VALIDATE_MODES,
+
+  // Type generation
+  generateDeclarations,
+  DeclarationGenerator,
+  TypeRegistry,
+  findEndpointCalls,
+
+  // Errors
+  GitHubError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  RateLimitError,
+  SecondaryRateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  OutputError,
+  ErrorFactory,
+  errorUtils,
+  isRateLimitResponse,
+  isSecondaryRateLimitResponse,
+  parseRetryAfter,
+
+  // Pagination
+  parseLinkHeader,
+  getPageFromUrl,
+  extractItems,
+
+  // Rate limits
+  RateLimitTracker,
+  parseRateLimitHeaders,
+
+  // Retry
+  computeBackoff,
+  sleep,
+
+  // Credentials
+  CredentialStore,
+  CredentialError,
+  getCredentialsPath,
+  getStoredToken,
+  resolveCredentials,
+  resolveToken,
+  normalizeHost,
+  apiBaseUrlForHost,
+  webUrlForHost,
+  DEFAULT_HOST,
+  DEFAULT_PROFILE,
+  TOKEN_ENV_VARS,
+
+  // Device flow and scopes
+  DeviceFlowError,
+  requestDeviceCode,
+  pollForToken,
+  deviceFlowLogin,
+  parseScopes,
+  hasScopes,
+  missingScopes,
+  expandScopes,
+  getTokenScopes,
+
+  // CLI
+  login,
+  registerLoginCommand,
+  DEFAULT_LOGIN_SCOPES,
+  addProfileOption,
+  registerProfilesCommand,
+  selectProfile,
+  resolveBaseUrl,
+  ensurePassphrase,
+  promptPassphrase,
+  isMainModule,
+  addOutputOptions,
+  writeOutput,
+  isMachineOutput,
+  addDryRunOption,
+  addAuditOption,
+  registerAuditCommand,
+  registerCompletionCommand,
+  complete,
+  resolveCommand,
+  completionScript,
+  formatCompletions,
+  readCompletionCache,
+  writeCompletionCache,
+  getCompletionCachePath,
+  COMPLETION_SHELLS,
+  COMPLETION_COMMANDS,
+  DEFAULT_COMPLETION_HOOKS,
+
+  // Output
+  renderOutput,
+  selectFields,
+  parseFields,
+  formatJson,
+  formatYaml,
+  formatCsv,
+  formatNdjson,
+  formatTable,
+  OUTPUT_FORMATS,
+  runJq,
+  renderTemplate,
+  TEMPLATE_HELPERS,
+
+  // Bulk operations
+  BulkRunner,
+  Checkpoint,
+  rowKey,
+  isRetryableError,
+  formatSummary,
+  BULK_DEFAULTS,
+  loadManifest,
+  parseManifest,
+  parseCsv,
+  MANIFEST_FORMATS
+};
@@ -0,0 +1,484 @@
+/**
+ * @fileoverview Shared, encrypted credential store read by every package
+ * @module credentials
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GitHubError } from '../utils/errors.mjs';
+
+export const DEFAULT_HOST = 'github.com';
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Environment variables consulted for tokens, in priority order
+ */
+export const TOKEN_ENV_VARS = ['GITHUB_TOKEN', 'GH_TOKEN'];
+
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KDF_MAXMEM = 64 * 1024 * 1024;
+const CHECK_VALUE = 'github-api-credentials';
+
+// scrypt is deliberately slow, so derived keys are reused within a process
+const keyCache = new Map();
+
+/**
+ * Error raised for locked, corrupt or unknown credentials
+ */
+export class CredentialError extends GitHubError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code (passphrase_required, bad_passphrase, unknown_profile)
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'CredentialError';
+    this.code = code;
+  }
+}
+
+/**
+ * Default location of the shared credential file.
+ * `GITHUB_API_CREDENTIALS` overrides it, otherwise `$XDG_CONFIG_HOME` is honoured.
+ * @returns {string}
+ */
+export function getCredentialsPath() {
+  if (process.env.GITHUB_API_CREDENTIALS) {
+    return process.env.GITHUB_API_CREDENTIALS;
+  }
+
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'github-api', 'credentials.json');
+}
+
+/**
+ * Normalize a hostname or URL to a bare host (`github.com`, `ghe.example.com`)
+ * @param {string} [host] - Hostname, web URL or API URL
+ * @returns {string}
+ */
+export function normalizeHost(host) {
+  if (!host) {
+    return DEFAULT_HOST;
+  }
+
+  const name = /^https?:\/\//.test(host) ? new URL(host).host : host.split('/')[0];
+  return name === 'api.github.com' ? DEFAULT_HOST : name.toLowerCase();
+}
+
+/**
+ * REST API base URL for a host
+ * @param {string} [host] - Hostname
+ * @returns {string}
+ */
+export function apiBaseUrlForHost(host) {
+  const name = normalizeHost(host);
+  return name === DEFAULT_HOST ? 'https://api.github.com' : `https://${name}/api/v3`;
+}
+
+/**
+ * Web URL for a host, used by the OAuth device flow
+ * @param {string} [host] - Hostname
+ * @returns {string}
+ */
+export function webUrlForHost(host) {
+  return `https://${normalizeHost(host)}`;
+}
+
+/**
+ * Derive the AES key for a passphrase and salt
+ */
+function deriveKey(passphrase, encryption) {
+  const cacheKey = `${encryption.salt}:${passphrase}`;
+
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.scryptSync(passphrase, Buffer.from(encryption.salt, 'base64'), 32, {
+      N: encryption.N,
+      r: encryption.r,
+      p: encryption.p,
+      maxmem: KDF_MAXMEM
+    }));
+  }
+
+  return keyCache.get(cacheKey);
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(key, sealed) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Convert the v1 per-host layout into profiles
+ */
+function migrate(data) {
+  if (data.profiles) {
+    return data;
+  }
+
+  const profiles = {};
+  for (const [host, entry] of Object.entries(data.hosts || {})) {
+    const name = host === DEFAULT_HOST ? DEFAULT_PROFILE : host;
+    profiles[name] = { host, baseUrl: apiBaseUrlForHost(host), ...entry };
+  }
+
+  return { version: 2, defaultProfile: DEFAULT_PROFILE, profiles };
+}
+
+/**
+ * File-backed credential store with named profiles.
+ *
+ * Each profile records a host, its API base URL and a token. Tokens are
+ * encrypted with AES-256-GCM using a key derived from a passphrase with
+ * scrypt; the salt and a check value live in the file, the passphrase
+ * comes from the constructor or `GITHUB_API_PASSPHRASE`.
+ *
+ * ```json
+ * {
+ *   "version": 2,
+ *   "defaultProfile": "work",
+ *   "encryption": { "kdf": "scrypt", "salt": "...", "N": 32768, "r": 8, "p": 1, "check": { ... } },
+ *   "profiles": {
+ *     "work": { "host": "github.com", "baseUrl": "https://api.github.com", "user": "octocat", "token": { "iv": "...", "tag": "...", "data": "..." } },
+ *     "ghes-prod": { "host": "ghe.example.com", "baseUrl": "https://ghe.example.com/api/v3", "token": { ... } }
+ *   }
+ * }
+ * ```
+ *
+ * The file is written with 0600 permissions.
+ */
+export class CredentialStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Credential file (default: getCredentialsPath())
+   * @param {string} [options.passphrase] - Passphrase (default: GITHUB_API_PASSPHRASE)
+   */
+  constructor(options = {}) {
+    this.path = options.path || getCredentialsPath();
+    this.passphrase = options.passphrase ?? process.env.GITHUB_API_PASSPHRASE;
+  }
+
+  /**
+   * Read the store from disk, upgrading older layouts
+   * @returns {Object}
+   */
+  read() {
+    try {
+      return migrate(JSON.parse(fs.readFileSync(this.path, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: 2, defaultProfile: DEFAULT_PROFILE, profiles: {} };
+      }
+      throw new CredentialError(`Unable to read credentials from ${this.path}: ${error.message}`, 'corrupt');
+    }
+  }
+
+  /**
+   * Write the store to disk
+   * @param {Object} data
+   */
+  write(data) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.path, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  }
+
+  /**
+   * Whether the store holds encrypted tokens
+   * @returns {boolean}
+   */
+  isEncrypted() {
+    return !!this.read().encryption;
+  }
+
+  /**
+   * Whether reading tokens needs a passphrase that has not been provided
+   * @returns {boolean}
+   */
+  isLocked() {
+    return !this.passphrase && this.isEncrypted();
+  }
+
+  /**
+   * Resolve the AES key, creating encryption parameters on first use
+   */
+  key(data, { create = false } = {}) {
+    if (!this.passphrase) {
+      throw new CredentialError(
+        'A passphrase is required to unlock stored credentials (set GITHUB_API_PASSPHRASE)',
+        'passphrase_required'
+      );
+    }
+
+    if (!data.encryption) {
+      if (!create) {
+        return null;
+      }
+      data.encryption = {
+        kdf: 'scrypt',
+        salt: crypto.randomBytes(16).toString('base64'),
+        ...KDF_PARAMS
+      };
+      data.encryption.check = encrypt(deriveKey(this.passphrase, data.encryption), CHECK_VALUE);
+    }
+
+    const key = deriveKey(this.passphrase, data.encryption);
+
+    try {
+      if (decrypt(key, data.encryption.check) !== CHECK_VALUE) {
+        throw new Error('check mismatch');
+      }
+    } catch {
+      throw new CredentialError('Incorrect passphrase for stored credentials', 'bad_passphrase');
+    }
+
+    return key;
+  }
+
+  /**
+   * List profiles without decrypting tokens
+   * @returns {Array<Object>} `{ name, host, baseUrl, user, scopes, isDefault }`
+   */
+  listProfiles() {
+    const data = this.read();
+
+    return Object.entries(data.profiles).map(([name, profile]) => ({
+      name,
+      host: profile.host,
+      baseUrl: profile.baseUrl,
+      user: profile.user,
+      scopes: profile.scopes || [],
+      isDefault: name === data.defaultProfile
+    }));
+  }
+
+  /**
+   * Name of the default profile
+   * @returns {string}
+   */
+  getDefaultProfile() {
+    return this.read().defaultProfile || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Get a profile with its decrypted token
+   * @param {string} [name] - Profile name (default profile when omitted)
+   * @returns {Object|null} `{ profile, host, baseUrl, token, user, scopes }`
+   */
+  getProfile(name) {
+    const data = this.read();
+    const profileName = name || data.defaultProfile || DEFAULT_PROFILE;
+    const entry = data.profiles[profileName];
+
+    if (!entry) {
+      return null;
+    }
+
+    // v1 files stored tokens in plain text until they are rewritten
+    const token = typeof entry.token === 'string'
+      ? entry.token
+      : decrypt(this.key(data), entry.token);
+
+    return {
+      profile: profileName,
+      host: entry.host,
+      baseUrl: entry.baseUrl || apiBaseUrlForHost(entry.host),
+      token,
+      user: entry.user,
+      scopes: entry.scopes || []
+    };
+  }
+
+  /**
+   * Find the profile for a host, preferring the default profile
+   * @param {string} [host] - Hostname or URL
+   * @returns {string|null} Profile name
+   */
+  findProfileByHost(host) {
+    const name = normalizeHost(host);
+    const data = this.read();
+    const matches = Object.keys(data.profiles).filter(profile => data.profiles[profile].host === name);
+
+    if (matches.includes(data.defaultProfile)) {
+      return data.defaultProfile;
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Create or replace a profile, encrypting its token
+   * @param {string} name - Profile name
+   * @param {Object} profile - `{ host, baseUrl, token, user, scopes }`
+   * @returns {Object} Stored profile
+   */
+  setProfile(name, profile) {
+    const data = this.read();
+    const key = this.key(data, { create: true });
+    const host = normalizeHost(profile.host || profile.baseUrl);
+
+    // Seal any plain-text tokens left over from the v1 layout
+    for (const entry of Object.values(data.profiles)) {
+      if (typeof entry.token === 'string') {
+        entry.token = encrypt(key, entry.token);
+      }
+    }
+
+    data.profiles[name] = {
+      host,
+      baseUrl: profile.baseUrl || apiBaseUrlForHost(host),
+      user: profile.user,
+      scopes: profile.scopes || [],
+      token: encrypt(key, profile.token),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!data.profiles[data.defaultProfile]) {
+      data.defaultProfile = name;
+    }
+
+    data.version = 2;
+    this.write(data);
+    return this.getProfile(name);
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} name - Profile name
+   * @returns {boolean} Whether a profile was removed
+   */
+  removeProfile(name) {
+    const data = this.read();
+    if (!data.profiles[name]) {
+      return false;
+    }
+
+    delete data.profiles[name];
+    if (data.defaultProfile === name) {
+      data.defaultProfile = Object.keys(data.profiles)[0] || DEFAULT_PROFILE;
+    }
+
+    this.write(data);
+    return true;
+  }
+
+  /**
+   * Make a profile the default
+   * @param {string} name - Profile name
+   */
+  setDefaultProfile(name) {
+    const data = this.read();
+    if (!data.profiles[name]) {
+      throw new CredentialError(`Unknown profile: ${name}`, 'unknown_profile');
+    }
+
+    data.defaultProfile = name;
+    this.write(data);
+  }
+}
+
+/**
+ * Resolve stored credentials: profile → host → token.
+ *
+ * - An explicit profile (`options.profile` or `GITHUB_PROFILE`) must exist
+ *   and its host and base URL win.
+ * - Otherwise the profile matching the requested host is used, falling
+ *   back to the default profile when no host was requested.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile name
+ * @param {string} [options.host] - Hostname or API base URL
+ * @param {string} [options.path] - Credential file
+ * @param {string} [options.passphrase] - Passphrase
+ * @returns {Object|null} `{ profile, host, baseUrl, token, user, scopes, explicit }`
+ */
+export function resolveCredentials(options = {}) {
+  const store = new CredentialStore(options);
+  const profile = options.profile || process.env.GITHUB_PROFILE;
+
+  if (profile) {
+    const credential = store.getProfile(profile);
+    if (!credential) {
+      throw new CredentialError(`Unknown profile: ${profile}`, 'unknown_profile');
+    }
+    return { ...credential, explicit: true };
+  }
+
+  const name = options.host ? store.findProfileByHost(options.host) : store.getDefaultProfile();
+  const credential = name ? store.getProfile(name) : null;
+  return credential ? { ...credential, explicit: false } : null;
+}
+
+/**
+ * Resolve a token for a config loader.
+ *
+ * Priority: explicit token, explicitly selected profile, environment
+ * variables, then the stored profile for the requested host. Implicit
+ * lookups never throw, so a locked store simply yields nothing.
+ *
+ * @param {Object} [options] - `resolveCredentials()` options plus:
+ * @param {string} [options.token] - Explicit token
+ * @param {string[]} [options.env] - Environment variables to check
+ * @returns {Object|null} `{ token, baseUrl, host, profile, source }`
+ */
+export function resolveToken(options = {}) {
+  if (options.token) {
+    return { token: options.token, baseUrl: options.baseUrl, source: 'option' };
+  }
+
+  const explicit = options.profile || process.env.GITHUB_PROFILE;
+  const host = options.host || options.baseUrl;
+
+  if (explicit) {
+    const credential = resolveCredentials({ ...options, host });
+    return { ...credential, source: `profile:${credential.profile}` };
+  }
+
+  for (const name of options.env || TOKEN_ENV_VARS) {
+    if (process.env[name]) {
+      return { token: process.env[name], baseUrl: options.baseUrl, source: `env:${name}` };
+    }
+  }
+
+  try {
+    const credential = resolveCredentials({ ...options, host });
+    return credential ? { ...credential, source: `profile:${credential.profile}` } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look up a stored token for a config loader (profile → host → token).
+ * Throws only when an explicitly selected profile cannot be used.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile name (default: GITHUB_PROFILE)
+ * @param {string} [options.host] - Hostname or API base URL
+ * @param {string} [options.path] - Credential file
+ * @returns {string|null}
+ */
+export function getStoredToken(options = {}) {
+  if (options.profile || process.env.GITHUB_PROFILE) {
+    return resolveCredentials(options).token;
+  }
+
+  try {
+    return resolveCredentials(options)?.token || null;
+  } catch {
+    return null;
+  }
+}
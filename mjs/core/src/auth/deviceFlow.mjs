@@ -0,0 +1,169 @@
+/**
+ * @fileoverview OAuth device authorization flow
+ * @module deviceFlow
+ */
+
+import { GitHubError } from '../utils/errors.mjs';
+import { sleep } from '../utils/retry.mjs';
+import { webUrlForHost } from './credentials.mjs';
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Error raised when the device flow cannot complete
+ */
+export class DeviceFlowError extends GitHubError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - OAuth error code (expired_token, access_denied, ...)
+   */
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * POST a form to a GitHub OAuth endpoint and return the JSON reply
+ */
+async function postForm(url, params, fetchImpl) {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new DeviceFlowError(
+      data.error_description || `OAuth request failed with status ${response.status}`,
+      data.error || 'http_error'
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Request a device and user code
+ * @param {Object} options
+ * @param {string} options.clientId - OAuth app client ID
+ * @param {string[]} [options.scopes] - Requested scopes
+ * @param {string} [options.host] - GitHub host (github.com or a GHES hostname)
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<Object>} `{ device_code, user_code, verification_uri, expires_in, interval }`
+ */
+export async function requestDeviceCode(options) {
+  const { clientId, scopes = [], host } = options;
+  const fetchImpl = options.fetch || globalThis.fetch;
+
+  if (!clientId) {
+    throw new DeviceFlowError('An OAuth app client ID is required for device login', 'missing_client_id');
+  }
+
+  const data = await postForm(`${webUrlForHost(host)}/login/device/code`, {
+    client_id: clientId,
+    scope: scopes.join(' ')
+  }, fetchImpl);
+
+  if (data.error) {
+    throw new DeviceFlowError(data.error_description || data.error, data.error);
+  }
+
+  return data;
+}
+
+/**
+ * Poll for the access token until the user approves the device.
+ * Honours `interval` and backs off by five seconds on `slow_down`.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - OAuth app client ID
+ * @param {Object} options.deviceCode - Reply from requestDeviceCode()
+ * @param {string} [options.host] - GitHub host
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {Function} [options.sleep] - Delay function (ms), for tests
+ * @param {AbortSignal} [options.signal] - Cancels polling
+ * @returns {Promise<Object>} `{ access_token, token_type, scope }`
+ */
+export async function pollForToken(options) {
+  const { clientId, deviceCode, host, signal } = options;
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const wait = options.sleep || sleep;
+
+  let interval = (deviceCode.interval || 5) * 1000;
+  const deadline = Date.now() + (deviceCode.expires_in || 900) * 1000;
+
+  while (Date.now() < deadline) {
+    await wait(interval);
+
+    if (signal?.aborted) {
+      throw new DeviceFlowError('Device login was cancelled', 'cancelled');
+    }
+
+    const data = await postForm(`${webUrlForHost(host)}/login/oauth/access_token`, {
+      client_id: clientId,
+      device_code: deviceCode.device_code,
+      grant_type: DEVICE_GRANT_TYPE
+    }, fetchImpl);
+
+    if (data.access_token) {
+      return data;
+    }
+
+    switch (data.error) {
+      case 'authorization_pending':
+        break;
+
+      case 'slow_down':
+        interval = data.interval ? data.interval * 1000 : interval + 5000;
+        break;
+
+      case 'expired_token':
+        throw new DeviceFlowError('The device code expired before it was approved', data.error);
+
+      case 'access_denied':
+        throw new DeviceFlowError('Device login was denied', data.error);
+
+      default:
+        throw new DeviceFlowError(data.error_description || data.error || 'Unexpected OAuth response', data.error);
+    }
+  }
+
+  throw new DeviceFlowError('The device code expired before it was approved', 'expired_token');
+}
+
+/**
+ * Run the full device flow
+ * @param {Object} options - Same as requestDeviceCode() and pollForToken()
+ * @param {Function} [options.onVerification] - Called with `{ user_code, verification_uri, expires_in }`
+ * @returns {Promise<Object>} `{ token, scopes, tokenType }`
+ */
+export async function deviceFlowLogin(options) {
+  const deviceCode = await requestDeviceCode(options);
+
+  if (options.onVerification) {
+    await options.onVerification(deviceCode);
+  }
+
+  const result = await pollForToken({ ...options, deviceCode });
+
+  return {
+    token: result.access_token,
+    tokenType: result.token_type,
+    scopes: parseScopes(result.scope)
+  };
+}
+
+/**
+ * Split a scope string (`"repo,read:org"` or `"repo read:org"`)
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+export function parseScopes(value) {
+  return (value || '').split(/[\s,]+/).map(scope => scope.trim()).filter(Boolean);
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview OAuth scope checks
+ * @module scopes
+ */
+
+import { Transport } from '../client/transport.mjs';
+import { parseScopes } from './deviceFlow.mjs';
+
+/**
+ * Scopes granted implicitly by a broader scope
+ * @see https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/scopes-for-oauth-apps
+ */
+const IMPLIED_SCOPES = {
+  'repo': ['repo:status', 'repo_deployment', 'public_repo', 'repo:invite', 'security_events', 'notifications'],
+  'admin:org': ['write:org', 'read:org'],
+  'write:org': ['read:org'],
+  'admin:public_key': ['write:public_key', 'read:public_key'],
+  'write:public_key': ['read:public_key'],
+  'admin:repo_hook': ['write:repo_hook', 'read:repo_hook'],
+  'write:repo_hook': ['read:repo_hook'],
+  'admin:gpg_key': ['write:gpg_key', 'read:gpg_key'],
+  'write:gpg_key': ['read:gpg_key'],
+  'user': ['read:user', 'user:email', 'user:follow'],
+  'project': ['read:project'],
+  'write:packages': ['read:packages'],
+  'delete:packages': ['read:packages']
+};
+
+/**
+ * Expand granted scopes with everything they imply
+ * @param {string[]} scopes
+ * @returns {Set<string>}
+ */
+export function expandScopes(scopes) {
+  const expanded = new Set();
+  const queue = [...scopes];
+
+  while (queue.length) {
+    const scope = queue.pop();
+    if (!expanded.has(scope)) {
+      expanded.add(scope);
+      queue.push(...(IMPLIED_SCOPES[scope] || []));
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Check that granted scopes cover every required scope
+ * @param {string[]|string} granted - Granted scopes (array or header value)
+ * @param {string[]} required - Required scopes
+ * @returns {boolean}
+ */
+export function hasScopes(granted, required = []) {
+  const expanded = expandScopes(Array.isArray(granted) ? granted : parseScopes(granted));
+  return required.every(scope => expanded.has(scope));
+}
+
+/**
+ * Required scopes not covered by the granted ones
+ * @param {string[]|string} granted
+ * @param {string[]} required
+ * @returns {string[]}
+ */
+export function missingScopes(granted, required = []) {
+  const expanded = expandScopes(Array.isArray(granted) ? granted : parseScopes(granted));
+  return required.filter(scope => !expanded.has(scope));
+}
+
+/**
+ * Fetch the authenticated user and the scopes granted to a token.
+ * Fine-grained tokens and installation tokens send no `x-oauth-scopes`
+ * header, so `scopes` is null for them.
+ *
+ * @param {string} token - Token to inspect
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<{ user: Object, scopes: string[]|null }>}
+ */
+export async function getTokenScopes(token, options = {}) {
+  const transport = new Transport({ auth: token, baseUrl: options.baseUrl, fetch: options.fetch, retries: 0 });
+  const response = await transport.get('/user');
+  const header = response.headers['x-oauth-scopes'];
+
+  return {
+    user: response.data,
+    scopes: header === undefined ? null : parseScopes(header)
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Bulk manifests: CSV, JSON or YAML files of rows to run an
+ * operation against
+ * @module bulk/manifest
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Manifest formats, by file extension
+ */
+export const MANIFEST_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+/**
+ * Parse RFC 4180 CSV with a header row into objects keyed by column
+ *
+ * @param {string} text - CSV text
+ * @returns {Object<string, string>[]}
+ * @throws {Error} On an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Drop a byte order mark, as spreadsheets like to write one
+  const input = text.replace(/^\uFEFF/, '');
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(cell => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+}
+
+/**
+ * Parse manifest text. JSON and YAML manifests are a list of rows, or an
+ * object with a `rows` list.
+ *
+ * @param {string} text - Manifest contents
+ * @param {string} format - 'csv', 'json' or 'yaml'
+ * @returns {Object[]} Rows
+ * @throws {Error} When the manifest is not a list of objects
+ */
+export function parseManifest(text, format) {
+  let data;
+  if (format === 'csv') {
+    data = parseCsv(text);
+  } else if (format === 'json') {
+    data = JSON.parse(text);
+  } else if (format === 'yaml') {
+    data = yaml.load(text);
+  } else {
+    throw new Error(`Unknown manifest format "${format}", expected one of: csv, json, yaml`);
+  }
+
+  const rows = Array.isArray(data) ? data : data?.rows;
+  if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('A manifest must be a list of rows, each an object of column values');
+  }
+  return rows;
+}
+
+/**
+ * Read a manifest file
+ *
+ * @param {string} file - Manifest path
+ * @param {Object} [options]
+ * @param {string} [options.format] - Format (default: from the extension)
+ * @returns {Object[]} Rows
+ */
+export function loadManifest(file, options = {}) {
+  const format = options.format || MANIFEST_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot tell the format of ${file}; use a .csv, .json, .yaml or .yml file`);
+  }
+  return parseManifest(fs.readFileSync(file, 'utf8'), format);
+}
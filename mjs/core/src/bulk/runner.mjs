@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Bulk runner: one operation over many rows with bounded
+ * concurrency, retries and a checkpoint to resume from
+ * @module bulk/runner
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { errorUtils } from '../utils/errors.mjs';
+import { computeBackoff, sleep } from '../utils/retry.mjs';
+
+/**
+ * Default runner settings
+ */
+export const BULK_DEFAULTS = {
+  concurrency: 4,
+  retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 30000
+};
+
+/**
+ * Whether a failed row is worth another attempt: network trouble, rate
+ * limits and server errors are; validation and permission errors are not
+ *
+ * @param {Error} error - Row failure
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (errorUtils.isRetryable(error)) {
+    return true;
+  }
+  // Package errors extend GitHubError but not the core subclasses, so go by status and name
+  const status = error.status ?? error.statusCode;
+  return status === 408 || status === 429 || status >= 500
+    || ['NetworkError', 'TimeoutError', 'RateLimitError', 'ServerError'].includes(error.name);
+}
+
+/**
+ * Stable key of a row, so a resumed run recognises rows however the
+ * manifest was reordered
+ *
+ * @param {Object} row - Manifest row
+ * @param {string} [operation] - Operation name, so one manifest can feed several operations
+ * @returns {string}
+ */
+export function rowKey(row, operation = '') {
+  const canonical = JSON.stringify(Object.keys(row).sort().map(key => [key, row[key]]));
+  return crypto.createHash('sha1').update(`${operation}\n${canonical}`).digest('hex');
+}
+
+/**
+ * Append-only JSONL record of finished rows. Rows that succeeded are skipped
+ * when a run is resumed; rows that failed are tried again.
+ */
+export class Checkpoint {
+  /**
+   * @param {string} file - Checkpoint file
+   */
+  constructor(file) {
+    this.path = file;
+  }
+
+  /**
+   * Keys of the rows that already succeeded
+   * @returns {Set<string>}
+   */
+  completed() {
+    const status = new Map();
+    if (!fs.existsSync(this.path)) {
+      return new Set();
+    }
+
+    for (const line of fs.readFileSync(this.path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        status.set(record.key, record.status);
+      } catch {
+        // The last line of an interrupted run may be cut short
+      }
+    }
+    return new Set([...status].filter(([, value]) => value === 'succeeded').map(([key]) => key));
+  }
+
+  /**
+   * Record a finished row
+   * @param {Object} record - `{ key, index, status, attempts, error? }`
+   */
+  append(record) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.appendFileSync(this.path, `${JSON.stringify({ time: new Date().toISOString(), ...record })}\n`);
+  }
+
+  /**
+   * Forget every finished row
+   */
+  clear() {
+    fs.rmSync(this.path, { force: true });
+  }
+}
+
+/**
+ * Runs a task for every row of a manifest.
+ *
+ * Up to `concurrency` rows run at once. A row whose task throws a retryable
+ * error is tried again with exponential backoff, up to `retries` times.
+ * Every finished row is written to the checkpoint as it completes, so an
+ * interrupted run picks up where it stopped.
+ *
+ * @example
+ * ```javascript
+ * import { BulkRunner, loadManifest } from '@github-api/core';
+ *
+ * const runner = new BulkRunner({ concurrency: 8, checkpoint: 'stars.checkpoint.jsonl' });
+ * const summary = await runner.run(loadManifest('repos.csv'), row => stars.starRepo(row.owner, row.repo));
+ * console.log(`${summary.succeeded} starred, ${summary.failed} failed`);
+ * ```
+ */
+export class BulkRunner {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Rows run at once
+   * @param {number} [options.retries] - Retries per row after the first attempt
+   * @param {number} [options.retryDelay] - Base backoff delay (ms)
+   * @param {number} [options.maxRetryDelay] - Backoff ceiling (ms)
+   * @param {string|Checkpoint} [options.checkpoint] - Checkpoint file or instance
+   * @param {string} [options.operation] - Operation name, part of each row's checkpoint key
+   * @param {Function} [options.isRetryable] - Decides whether an error is retried
+   *   (default: {@link isRetryableError})
+   * @param {Function} [options.onResult] - Called with each row result as it finishes
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency ?? BULK_DEFAULTS.concurrency);
+    this.retries = options.retries ?? BULK_DEFAULTS.retries;
+    this.retryDelay = options.retryDelay ?? BULK_DEFAULTS.retryDelay;
+    this.maxRetryDelay = options.maxRetryDelay ?? BULK_DEFAULTS.maxRetryDelay;
+    this.checkpoint = typeof options.checkpoint === 'string' ? new Checkpoint(options.checkpoint) : options.checkpoint || null;
+    this.operation = options.operation || '';
+    this.isRetryable = options.isRetryable || isRetryableError;
+    this.onResult = options.onResult || null;
+    this.stopped = false;
+  }
+
+  /**
+   * Stop starting new rows; rows already running finish and are recorded
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Run the task for every row
+   *
+   * @param {Object[]} rows - Manifest rows
+   * @param {Function} task - `(row, index) => Promise<*>`
+   * @returns {Promise<Object>} Summary: `{ operation, total, succeeded, failed,
+   *   skipped, pending, durationMs, results }`; each result is
+   *   `{ index, row, status, attempts, result?, error? }`
+   */
+  async run(rows, task) {
+    const started = Date.now();
+    const done = this.checkpoint ? this.checkpoint.completed() : new Set();
+    const results = new Array(rows.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (!this.stopped && next < rows.length) {
+        const index = next++;
+        const row = rows[index];
+        const key = rowKey(row, this.operation);
+
+        if (done.has(key)) {
+          results[index] = { index, row, status: 'skipped', attempts: 0 };
+        } else {
+          results[index] = await this.runRow(row, index, key, task);
+        }
+        this.onResult?.(results[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, rows.length) }, worker));
+
+    const finished = results.filter(Boolean);
+    const count = status => finished.filter(result => result.status === status).length;
+    return {
+      operation: this.operation || null,
+      total: rows.length,
+      succeeded: count('succeeded'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      pending: rows.length - finished.length,
+      durationMs: Date.now() - started,
+      results: finished
+    };
+  }
+
+  /**
+   * Run one row with retries and record how it ended
+   * @private
+   */
+  async runRow(row, index, key, task) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await task(row, index);
+        this.checkpoint?.append({ key, index, status: 'succeeded', attempts: attempt });
+        return { index, row, status: 'succeeded', attempts: attempt, result };
+      } catch (error) {
+        if (attempt > this.retries || this.stopped || !this.isRetryable(error)) {
+          this.checkpoint?.append({ key, index, status: 'failed', attempts: attempt, error: error.message });
+          return { index, row, status: 'failed', attempts: attempt, error };
+        }
+        const wait = error.getRetryAfter?.() ?? computeBackoff(attempt, {
+          baseDelay: this.retryDelay,
+          maxDelay: this.maxRetryDelay,
+          jitter: true
+        });
+        await sleep(Math.min(wait, this.maxRetryDelay));
+      }
+    }
+  }
+}
+
+/**
+ * Plain-text report of a bulk run
+ *
+ * @param {Object} summary - Result of {@link BulkRunner#run}
+ * @returns {string}
+ */
+export function formatSummary(summary) {
+  const lines = [
+    `${summary.operation ? `${summary.operation}: ` : ''}${summary.succeeded} succeeded, ${summary.failed} failed, ` +
+      `${summary.skipped} skipped (already done) of ${summary.total} rows in ${(summary.durationMs / 1000).toFixed(1)}s`
+  ];
+
+  if (summary.pending > 0) {
+    lines.push(`${summary.pending} ${summary.pending === 1 ? 'row' : 'rows'} not run; run again with the same checkpoint to resume`);
+  }
+
+  const failures = summary.results.filter(result => result.status === 'failed');
+  if (failures.length > 0) {
+    lines.push('', 'Failures:');
+    for (const failure of failures) {
+      const message = failure.error?.message || String(failure.error);
+      lines.push(`  row ${failure.index + 1} (${failure.attempts} ${failure.attempts === 1 ? 'attempt' : 'attempts'}): ${message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview `--no-audit` option and `audit` command shared by every package CLI
+ * @module cli/audit
+ */
+
+import { AuditLog, AUDIT_ENV, resolveAuditLog } from '../client/audit.mjs';
+import { formatTable } from '../output/format.mjs';
+import { isMachineOutput, writeOutput } from './output.mjs';
+
+// Columns of the default table; the full entries are there for --output and --jq
+const TABLE_FIELDS = ['time', 'profile', 'method', 'endpoint', 'status', 'resource'];
+
+/**
+ * Stop logging the writes a CLI sends when `--no-audit` is given
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @returns {import('commander').Command} The program
+ */
+export function addAuditOption(program) {
+  return program
+    .option('--no-audit', 'Do not log write requests to the audit log (default: GITHUB_AUDIT_LOG)')
+    .hook('preAction', (thisCommand) => {
+      if (thisCommand.opts().audit === false) {
+        process.env[AUDIT_ENV] = 'off';
+      }
+    });
+}
+
+/**
+ * Add an `audit` command that queries the audit log
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @returns {import('commander').Command} The audit command
+ */
+export function registerAuditCommand(program) {
+  const audit = program
+    .command('audit')
+    .description('Show write requests from the audit log')
+    .option('--since <time>', 'Earliest entry: an ISO date or an age such as 24h or 7d')
+    .option('--until <time>', 'Latest entry: an ISO date or an age')
+    .option('--repo <owner/repo>', 'Only writes to this repository, or to every repository of an owner')
+    .option('--operation <operation>', 'Only this HTTP method, or endpoints containing this text')
+    .option('--limit <n>', 'Show only the newest n entries', value => parseInt(value, 10))
+    .option('--file <path>', 'Audit log to read (default: GITHUB_AUDIT_LOG or ~/.config/github-api/audit.jsonl)');
+
+  // Packages that keep -o/--output on their commands rather than the program
+  // add --fields, --jq and --template to this one along with the others
+  if (!program.options.some(option => option.long === '--output')) {
+    audit.option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)', 'table');
+  }
+
+  audit.action((options, command) => {
+    const globals = command.optsWithGlobals();
+    try {
+      const log = options.file ? new AuditLog({ path: options.file }) : resolveAuditLog() || new AuditLog();
+      const entries = log.read({
+        since: options.since,
+        until: options.until,
+        repo: options.repo,
+        operation: options.operation,
+        limit: options.limit
+      });
+
+      if (entries.length === 0 && !isMachineOutput(globals)) {
+        console.log('No matching audit entries.');
+        return;
+      }
+      writeOutput(entries, globals, { table: data => formatTable(data, TABLE_FIELDS) }, 'table');
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+  return audit;
+}
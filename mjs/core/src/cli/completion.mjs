@@ -0,0 +1,344 @@
+/**
+ * @fileoverview `completion <shell>` command shared by every package CLI:
+ * bash, zsh and fish scripts that ask the CLI itself for candidates, so
+ * completions follow the commander tree and can come from dynamic hooks
+ * @module cli/completion
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CredentialStore } from '../auth/credentials.mjs';
+
+/**
+ * Shells `completion` writes scripts for
+ */
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * Commands that only serve completion; CLIs that build a client before
+ * parsing skip it for these
+ */
+export const COMPLETION_COMMANDS = ['completion', '__complete'];
+
+// Cached candidates older than this are ignored
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CompletionCandidate
+ * @property {string} value - Word to insert
+ * @property {string} [description] - Shown next to it by zsh and fish
+ */
+
+/**
+ * @typedef {Object} CompletionContext
+ * @property {import('commander').Command} command - Command being completed
+ * @property {string} current - Word under the cursor
+ * @property {Object<string, string|string[]>} args - Arguments already given, by name
+ * @property {Object<string, *>} options - Options already given, by attribute name
+ * @property {string[]} words - Every word after the program name
+ */
+
+/**
+ * Where cached completion candidates for a key are kept
+ *
+ * @param {string[]} key - Key segments, e.g. `['pulls', owner, repo]`
+ * @returns {string}
+ */
+export function getCompletionCachePath(key) {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  const file = key.map(segment => encodeURIComponent(String(segment))).join(path.sep);
+  return path.join(cacheHome, 'github-api', 'completion', `${file}.json`);
+}
+
+/**
+ * Remember candidates for later completions, e.g. the pull requests a list
+ * command just printed. It is only a cache, so failures are ignored.
+ *
+ * @param {string[]} key - Key segments
+ * @param {Array<string|CompletionCandidate>} candidates - Candidates
+ */
+export function writeCompletionCache(key, candidates) {
+  try {
+    const file = getCompletionCachePath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ time: new Date().toISOString(), candidates: candidates.map(toCandidate) }));
+  } catch {
+    // Completion works without the cache
+  }
+}
+
+/**
+ * Candidates cached by {@link writeCompletionCache}
+ *
+ * @param {string[]} key - Key segments
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Oldest cache to use (ms, default: 7 days)
+ * @returns {CompletionCandidate[]} Empty when nothing fresh is cached
+ */
+export function readCompletionCache(key, { maxAge = CACHE_MAX_AGE } = {}) {
+  try {
+    const { time, candidates } = JSON.parse(fs.readFileSync(getCompletionCachePath(key), 'utf8'));
+    return Date.now() - Date.parse(time) <= maxAge ? candidates : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Hooks every CLI gets: stored profile names for `--profile`
+ */
+export const DEFAULT_COMPLETION_HOOKS = {
+  profile: () => new CredentialStore().listProfiles().map(profile => ({
+    value: profile.name,
+    description: [profile.user, profile.host].filter(Boolean).join('@')
+  }))
+};
+
+function toCandidate(candidate) {
+  return typeof candidate === 'string' ? { value: candidate } : candidate;
+}
+
+function findCommand(command, word) {
+  return command.commands.find(sub => sub.name() === word || sub.aliases().includes(word));
+}
+
+// Options apply to the command they are declared on and its subcommands
+function findOption(command, flag) {
+  for (let current = command; current; current = current.parent) {
+    const option = current.options.find(candidate => candidate.long === flag || candidate.short === flag);
+    if (option) {
+      return option;
+    }
+  }
+  return null;
+}
+
+function declaredArguments(command) {
+  return command.registeredArguments ?? command._args ?? [];
+}
+
+/**
+ * Follow words through the command tree
+ *
+ * @param {import('commander').Command} program - Root program
+ * @param {string[]} words - Words after the program name, without the one being completed
+ * @param {Object} [options]
+ * @param {Function} [options.stop] - `(command) => boolean`; stop walking once a
+ *   matching command is reached and return the words after it as `rest`
+ * @returns {{ command: import('commander').Command, args: string[], options: Object,
+ *   pending: import('commander').Option|null, rest: string[]|null }} `pending` is an
+ *   option still waiting for its value
+ */
+export function resolveCommand(program, words, { stop } = {}) {
+  const state = { command: program, args: [], options: {}, pending: null, rest: null };
+  let operandsOnly = false;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+
+    if (state.pending) {
+      state.options[state.pending.attributeName()] = word;
+      state.pending = null;
+    } else if (!operandsOnly && word === '--') {
+      operandsOnly = true;
+    } else if (!operandsOnly && word.length > 1 && word.startsWith('-')) {
+      const [flag, ...inline] = word.split('=');
+      const option = findOption(state.command, flag);
+      if (!option) continue;
+      if (inline.length > 0) {
+        state.options[option.attributeName()] = inline.join('=');
+      } else if (option.required) {
+        state.pending = option;
+      } else {
+        state.options[option.attributeName()] = !option.negate;
+      }
+    } else {
+      const sub = !operandsOnly && state.args.length === 0 ? findCommand(state.command, word) : null;
+      if (!sub) {
+        state.args.push(word);
+        continue;
+      }
+      state.command = sub;
+      if (stop?.(sub)) {
+        state.rest = words.slice(i + 1);
+        return state;
+      }
+    }
+  }
+
+  return state;
+}
+
+async function runHook(hook, context) {
+  if (!hook) {
+    return [];
+  }
+  try {
+    return ((await hook(context)) || []).map(toCandidate);
+  } catch {
+    // A failing hook must not break the shell's completion
+    return [];
+  }
+}
+
+/**
+ * Candidates for the last word of a command line.
+ *
+ * Subcommands, options and choices come from the commander tree. Values of
+ * options and arguments come from `hooks`, keyed by option attribute name
+ * (`org` for `--org`) or argument name (`teamSlug` for `<teamSlug>`).
+ *
+ * @param {import('commander').Command} program - Root program
+ * @param {string[]} words - Words after the program name; the last is the one being completed
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.hooks] - `(context: CompletionContext) =>
+ *   Array<string|CompletionCandidate>`, may be async
+ * @returns {Promise<CompletionCandidate[]>}
+ */
+export async function complete(program, words, { hooks = {} } = {}) {
+  const current = words.length > 0 ? words[words.length - 1] : '';
+  const state = resolveCommand(program, words.slice(0, -1));
+  const { command } = state;
+  const help = command.createHelp();
+  const allHooks = { ...DEFAULT_COMPLETION_HOOKS, ...hooks };
+
+  const declared = declaredArguments(command);
+  const args = {};
+  declared.forEach((argument, index) => {
+    const values = argument.variadic ? state.args.slice(index) : state.args[index];
+    if (values !== undefined && values.length !== 0) {
+      args[argument.name()] = values;
+    }
+  });
+  const context = { command, current, args, options: state.options, words };
+
+  let candidates;
+  if (state.pending) {
+    const option = state.pending;
+    candidates = option.argChoices
+      ? option.argChoices.map(value => ({ value }))
+      : await runHook(allHooks[option.attributeName()], context);
+  } else if (current.startsWith('-')) {
+    candidates = help.visibleOptions(command)
+      .filter(option => option.long)
+      .map(option => ({ value: option.long, description: option.description }));
+  } else {
+    const subcommands = help.visibleCommands(command).filter(sub => sub.name() !== 'help');
+    if (subcommands.length > 0 && state.args.length === 0) {
+      candidates = subcommands.map(sub => ({ value: sub.name(), description: sub.description() }));
+    } else {
+      const last = declared[declared.length - 1];
+      const argument = declared[state.args.length] ?? (last?.variadic ? last : null);
+      candidates = !argument ? [] : argument.argChoices
+        ? argument.argChoices.map(value => ({ value }))
+        : await runHook(allHooks[argument.name()], context);
+    }
+  }
+
+  return candidates.filter(candidate => candidate.value.startsWith(current));
+}
+
+/**
+ * One `value<TAB>description` line per candidate, as the scripts expect
+ *
+ * @param {CompletionCandidate[]} candidates - Candidates
+ * @returns {string}
+ */
+export function formatCompletions(candidates) {
+  return candidates
+    .map(({ value, description = '' }) => `${value}\t${String(description).replace(/\s+/g, ' ').trim()}`)
+    .join('\n');
+}
+
+/**
+ * Completion script for a shell
+ *
+ * @param {string} shell - 'bash', 'zsh' or 'fish'
+ * @param {string} name - Program name
+ * @returns {string}
+ * @throws {Error} For other shells
+ */
+export function completionScript(shell, name) {
+  const fn = `_${name.replace(/[^A-Za-z0-9]/g, '_')}_completion`;
+
+  switch (shell) {
+    case 'bash':
+      return `# bash completion for ${name}
+# Add to ~/.bashrc: source <(${name} completion bash)
+${fn}() {
+  local IFS=$'\\n'
+  COMPREPLY=($(${name} __complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null | cut -f1))
+}
+complete -o default -F ${fn} ${name}
+`;
+    case 'zsh':
+      return `#compdef ${name}
+# zsh completion for ${name}
+# Add to ~/.zshrc after compinit: source <(${name} completion zsh)
+${fn}() {
+  local -a candidates
+  local line
+  for line in "\${(@f)$(${name} __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}"; do
+    [[ -n $line ]] && candidates+=("\${\${line%%$'\\t'*}//:/\\\\:}:\${line#*$'\\t'}")
+  done
+  if (( \${#candidates} )); then
+    _describe '${name}' candidates
+  else
+    _files
+  fi
+}
+compdef ${fn} ${name}
+`;
+    case 'fish':
+      return `# fish completion for ${name}
+# Save as ~/.config/fish/completions/${name}.fish: ${name} completion fish > ~/.config/fish/completions/${name}.fish
+function ${fn}
+    set -l tokens (commandline -opc) (commandline -ct)
+    set -l candidates (${name} __complete -- $tokens[2..-1] 2>/dev/null)
+    if test (count $candidates) -gt 0
+        printf '%s\\n' $candidates
+    else
+        __fish_complete_path (commandline -ct)
+    end
+end
+complete -c ${name} -f -a '(${fn})'
+`;
+    default:
+      throw new Error(`Unsupported shell "${shell}", expected one of: ${COMPLETION_SHELLS.join(', ')}`);
+  }
+}
+
+/**
+ * Add a `completion <shell>` command that prints a completion script, and
+ * the hidden `__complete` command the script calls for candidates
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.hooks] - Dynamic completion hooks, see {@link complete}
+ * @param {Function} [options.resolve] - Replaces {@link complete}: `(program, words, { hooks })`
+ *   resolving to candidates, or to nothing when it printed them itself
+ * @returns {import('commander').Command} The completion command
+ */
+export function registerCompletionCommand(program, { hooks = {}, resolve = complete } = {}) {
+  program
+    .command('__complete [words...]', { hidden: true })
+    .description('Print completion candidates for a command line')
+    .action(async (words = []) => {
+      const candidates = await resolve(program, words, { hooks });
+      if (Array.isArray(candidates) && candidates.length > 0) {
+        console.log(formatCompletions(candidates));
+      }
+    });
+
+  return program
+    .command('completion <shell>')
+    .description(`Print a completion script (${COMPLETION_SHELLS.join(', ')})`)
+    .action((shell, _options, command) => {
+      if (!COMPLETION_SHELLS.includes(shell)) {
+        command.error(`error: unsupported shell '${shell}', expected one of: ${COMPLETION_SHELLS.join(', ')}`);
+      }
+      // Mounted under gh-api the name is "gh-api <group>"; the script is for the binary
+      console.log(completionScript(shell, program.name().split(' ')[0]));
+    });
+}
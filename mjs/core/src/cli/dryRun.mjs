@@ -0,0 +1,22 @@
+/**
+ * @fileoverview `--dry-run` option shared by every package CLI
+ * @module cli/dryRun
+ */
+
+import { DRY_RUN_ENV } from '../client/dryRun.mjs';
+
+/**
+ * Add `--dry-run`. The flag sets GITHUB_DRY_RUN as soon as it is parsed, so
+ * every transport the CLI uses plans its writes instead of sending them,
+ * including transports built before the command line was read.
+ *
+ * @param {import('commander').Command} command - Root CLI program
+ * @returns {import('commander').Command} The command
+ */
+export function addDryRunOption(command) {
+  return command
+    .option('--dry-run', 'Print write requests (method, URL and body) instead of sending them')
+    .on('option:dry-run', () => {
+      process.env[DRY_RUN_ENV] = '1';
+    });
+}
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Entry point detection for package CLIs that can also be mounted by `gh-api`
+ * @module cli/entry
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Whether a module is the script node was started with. npm links bins
+ * through symlinks, so both sides are resolved before comparing.
+ *
+ * @param {string} url - The module's `import.meta.url`
+ * @param {string} [script] - Script path (default: process.argv[1])
+ * @returns {boolean}
+ */
+export function isMainModule(url, script = process.argv[1]) {
+  if (!script) {
+    return false;
+  }
+
+  const real = (file) => {
+    try {
+      return fs.realpathSync(file);
+    } catch {
+      return file;
+    }
+  };
+
+  return real(fileURLToPath(url)) === real(script);
+}
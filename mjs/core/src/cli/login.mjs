@@ -0,0 +1,116 @@
+/**
+ * @fileoverview `login` command shared by every package CLI
+ * @module cli/login
+ */
+
+import { CredentialStore, apiBaseUrlForHost, normalizeHost, DEFAULT_PROFILE } from '../auth/credentials.mjs';
+import { deviceFlowLogin, parseScopes } from '../auth/deviceFlow.mjs';
+import { getTokenScopes, missingScopes } from '../auth/scopes.mjs';
+import { ensurePassphrase } from './profile.mjs';
+
+export const DEFAULT_LOGIN_SCOPES = ['repo', 'read:org', 'gist'];
+
+/**
+ * Run the device flow, verify the granted scopes and store the token
+ * in a named profile
+ *
+ * @param {Object} [options]
+ * @param {string} [options.hostname] - github.com or a GHES hostname
+ * @param {string} [options.baseUrl] - API base URL (default: derived from the hostname)
+ * @param {string} [options.profile] - Profile to store the token in (default: "default")
+ * @param {string[]} [options.scopes] - Scopes to request
+ * @param {string[]} [options.requiredScopes] - Scopes the token must have (defaults to `scopes`)
+ * @param {string} [options.clientId] - OAuth app client ID (default: GITHUB_OAUTH_CLIENT_ID)
+ * @param {CredentialStore} [options.store] - Credential store
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {Function} [options.sleep] - Poll delay function, for tests
+ * @param {Function} [options.log] - Output function
+ * @returns {Promise<Object>} Stored credential
+ */
+export async function login(options = {}) {
+  const host = normalizeHost(options.hostname || options.baseUrl);
+  const profile = options.profile || DEFAULT_PROFILE;
+  const scopes = options.scopes || DEFAULT_LOGIN_SCOPES;
+  const requiredScopes = options.requiredScopes || scopes;
+  const store = options.store || new CredentialStore();
+  const log = options.log || console.log;
+
+  const { token } = await deviceFlowLogin({
+    clientId: options.clientId || process.env.GITHUB_OAUTH_CLIENT_ID,
+    scopes,
+    host,
+    fetch: options.fetch,
+    sleep: options.sleep,
+    onVerification: ({ user_code, verification_uri }) => {
+      log(`! First copy your one-time code: ${user_code}`);
+      log(`  Then open ${verification_uri} in your browser to authorize this device.`);
+      log('  Waiting for authorization...');
+    }
+  });
+
+  const baseUrl = options.baseUrl || apiBaseUrlForHost(host);
+  const { user, scopes: granted } = await getTokenScopes(token, { baseUrl, fetch: options.fetch });
+
+  if (granted) {
+    const missing = missingScopes(granted, requiredScopes);
+    if (missing.length > 0) {
+      throw new Error(`Token is missing required scopes: ${missing.join(', ')}`);
+    }
+  }
+
+  return store.setProfile(profile, {
+    host,
+    baseUrl,
+    token,
+    scopes: granted || [],
+    user: user?.login
+  });
+}
+
+/**
+ * Add a `login` command to a commander program
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @param {Object} [defaults]
+ * @param {string[]} [defaults.scopes] - Default scopes for this CLI
+ * @returns {import('commander').Command} The login command
+ */
+export function registerLoginCommand(program, defaults = {}) {
+  const scopes = defaults.scopes || DEFAULT_LOGIN_SCOPES;
+
+  return program
+    .command('login')
+    .description('Authenticate with GitHub using the OAuth device flow')
+    .option('--hostname <host>', 'GitHub host to log in to', 'github.com')
+    .option('--scopes <scopes>', 'Comma-separated scopes to request', scopes.join(','))
+    .option('--client-id <id>', 'OAuth app client ID (default: GITHUB_OAUTH_CLIENT_ID)')
+    .option('--api-url <url>', 'API base URL when it is not https://<hostname>/api/v3')
+    .option('--default', 'Make this profile the default')
+    .action(async (options, command) => {
+      const { profile } = command.optsWithGlobals();
+
+      try {
+        if (!await ensurePassphrase({ create: true })) {
+          throw new Error('Set GITHUB_API_PASSPHRASE to encrypt stored credentials');
+        }
+
+        const store = new CredentialStore();
+        const credential = await login({
+          hostname: options.hostname,
+          baseUrl: options.apiUrl,
+          profile,
+          scopes: parseScopes(options.scopes),
+          clientId: options.clientId,
+          store
+        });
+        if (options.default) {
+          store.setDefaultProfile(credential.profile);
+        }
+        console.log(`✓ Logged in to ${credential.host} as ${credential.user} (profile: ${credential.profile})`);
+        console.log(`  Scopes: ${credential.scopes.join(', ') || '(fine-grained)'}`);
+      } catch (error) {
+        console.error(`✗ Login failed: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview `--fields`, `--jq` and `--template` options shared by every package CLI
+ * @module cli/output
+ */
+
+import { renderOutput } from '../output/format.mjs';
+
+/**
+ * Add the output shaping options. Packages keep their own `-o/--output`,
+ * which picks the format these are applied before.
+ *
+ * @param {import('commander').Command} command - Root CLI program or a command
+ * @returns {import('commander').Command} The command
+ */
+export function addOutputOptions(command) {
+  return command
+    .option('--fields <fields>', 'Comma-separated fields to output, e.g. number,title,user.login')
+    .option('--jq <expression>', 'Filter the JSON output with a jq expression, e.g. \'.[] | select(.draft | not) | .number\'')
+    .option('--template <template>', 'Render output with a template, e.g. \'{{range .}}#{{.number}} {{.title}}{{"\\n"}}{{end}}\'');
+}
+
+/**
+ * Render command output with the parsed CLI options and print it
+ *
+ * @param {*} data - Command result
+ * @param {Object} options - Parsed options (`output`, `fields`, `jq`, `template`);
+ *   a `json` flag, as older commands have, stands for `--output json`
+ * @param {Object<string, Function>} [renderers] - Package layouts by format name
+ * @param {string} [defaultFormat] - Format when `options.output` is unset
+ */
+export function writeOutput(data, options = {}, renderers = {}, defaultFormat = 'json') {
+  const text = renderOutput(data, {
+    format: options.json ? 'json' : options.output || defaultFormat,
+    fields: options.fields,
+    jq: options.jq,
+    template: options.template,
+    renderers
+  });
+
+  if (text !== '') {
+    console.log(text);
+  }
+}
+
+/**
+ * Whether options ask for machine-readable output, so progress spinners and
+ * decoration should stay off stdout
+ *
+ * @param {Object} options - Parsed options
+ * @param {string[]} [humanFormats] - Formats meant for people
+ * @returns {boolean}
+ */
+export function isMachineOutput(options = {}, humanFormats = ['table', 'text']) {
+  return Boolean(options.json || options.jq || options.template || options.fields || (options.output && !humanFormats.includes(options.output)));
+}
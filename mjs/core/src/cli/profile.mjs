@@ -0,0 +1,180 @@
+/**
+ * @fileoverview `--profile` option, passphrase prompt and `profiles` command shared by every package CLI
+ * @module cli/profile
+ */
+
+import readline from 'readline';
+import { CredentialStore, resolveCredentials, TOKEN_ENV_VARS } from '../auth/credentials.mjs';
+import { COMPLETION_COMMANDS } from './completion.mjs';
+
+/**
+ * Prompt for a passphrase without echoing it
+ * @param {string} [message] - Prompt text
+ * @returns {Promise<string>}
+ */
+export function promptPassphrase(message = 'Credential store passphrase: ') {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  let muted = false;
+
+  rl._writeToOutput = (text) => {
+    if (!muted) {
+      rl.output.write(text);
+    }
+  };
+
+  return new Promise((resolve) => {
+    rl.question(message, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Make sure a passphrase is available for the credential store, prompting
+ * on a terminal when `GITHUB_API_PASSPHRASE` is not set. The answer is
+ * exported to the environment so config loaders further down can unlock
+ * the store without threading it through every call.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Confirm a new passphrase when the store is not encrypted yet
+ * @returns {Promise<boolean>} Whether a passphrase is available
+ */
+export async function ensurePassphrase(options = {}) {
+  if (process.env.GITHUB_API_PASSPHRASE) {
+    return true;
+  }
+
+  const store = new CredentialStore();
+  const encrypted = store.isEncrypted();
+  if ((!encrypted && !options.create) || !process.stdin.isTTY) {
+    return false;
+  }
+
+  const passphrase = await promptPassphrase(encrypted
+    ? 'Credential store passphrase: '
+    : 'Choose a passphrase to encrypt stored credentials: ');
+
+  if (!encrypted && passphrase !== await promptPassphrase('Confirm passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+
+  process.env.GITHUB_API_PASSPHRASE = passphrase;
+  return !!passphrase;
+}
+
+/**
+ * Apply global CLI options: export the selected profile as `GITHUB_PROFILE`
+ * and unlock the store when the token will come from it
+ *
+ * @param {Object} options - Parsed global options
+ * @param {string} [options.profile] - Selected profile
+ * @param {string} [options.token] - Explicit token, skips the store
+ * @returns {Promise<void>}
+ */
+export async function selectProfile(options = {}) {
+  if (options.profile) {
+    process.env.GITHUB_PROFILE = options.profile;
+  }
+
+  const fromEnv = TOKEN_ENV_VARS.some(name => process.env[name]);
+  if (!options.token && (process.env.GITHUB_PROFILE || !fromEnv)) {
+    await ensurePassphrase();
+  }
+}
+
+/**
+ * API base URL for a command: a URL given on the command line or in the
+ * environment wins, otherwise the selected profile's base URL replaces the
+ * option's default
+ *
+ * @param {import('commander').Command} command - Command holding the option
+ * @param {string} [key] - Option key (default: "baseUrl")
+ * @returns {string|undefined}
+ */
+export function resolveBaseUrl(command, key = 'baseUrl') {
+  const options = command.optsWithGlobals();
+  const source = command.getOptionValueSource(key) ?? command.parent?.getOptionValueSource(key);
+  const profile = options.profile || process.env.GITHUB_PROFILE;
+
+  if (!profile || (options[key] && source !== 'default')) {
+    return options[key];
+  }
+
+  return resolveCredentials({ profile }).baseUrl;
+}
+
+/**
+ * Add a global `--profile <name>` option, applied by `selectProfile()`
+ * before any command runs
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @returns {import('commander').Command} The program
+ */
+export function addProfileOption(program) {
+  return program
+    .option('--profile <name>', 'Stored credential profile to use (default: GITHUB_PROFILE)')
+    .hook('preAction', (thisCommand, actionCommand) => {
+      // Completion runs on every TAB press, where a passphrase prompt would hang the shell
+      if (COMPLETION_COMMANDS.includes(actionCommand.name())) {
+        return undefined;
+      }
+      return selectProfile(thisCommand.opts());
+    });
+}
+
+/**
+ * Add a `profiles` command to list, select and remove stored profiles
+ *
+ * @param {import('commander').Command} program - Root CLI program
+ * @returns {import('commander').Command} The profiles command
+ */
+export function registerProfilesCommand(program) {
+  const profiles = program
+    .command('profiles')
+    .description('Manage stored credential profiles');
+
+  profiles
+    .command('list', { isDefault: true })
+    .description('List stored profiles')
+    .action(() => {
+      const list = new CredentialStore().listProfiles();
+      if (list.length === 0) {
+        console.log('No stored profiles. Run `login --profile <name>` to add one.');
+        return;
+      }
+      for (const profile of list) {
+        const marker = profile.isDefault ? '*' : ' ';
+        console.log(`${marker} ${profile.name.padEnd(16)} ${profile.host.padEnd(24)} ${profile.user || ''}`);
+      }
+    });
+
+  profiles
+    .command('use <name>')
+    .description('Make a profile the default')
+    .action((name) => {
+      try {
+        new CredentialStore().setDefaultProfile(name);
+        console.log(`✓ Default profile is now ${name}`);
+      } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+
+  profiles
+    .command('remove <name>')
+    .description('Delete a stored profile')
+    .action((name) => {
+      if (new CredentialStore().removeProfile(name)) {
+        console.log(`✓ Removed profile ${name}`);
+      } else {
+        console.error(`✗ Unknown profile: ${name}`);
+        process.exitCode = 1;
+      }
+    });
+
+  return profiles;
+}
@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Append-only, rotating JSONL audit log of write requests
+ * @module audit
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scrubSecrets } from './cassette.mjs';
+
+/**
+ * Environment variable that moves the audit log to a file path, or turns it
+ * off with `0` or `off`; unset or `1` keeps the default path
+ */
+export const AUDIT_ENV = 'GITHUB_AUDIT_LOG';
+
+/**
+ * Rotation defaults: the live file is rotated once it would grow past
+ * `maxSize` bytes, keeping `maxFiles` rotated files
+ */
+export const AUDIT_DEFAULTS = {
+  maxSize: 10 * 1024 * 1024,
+  maxFiles: 5
+};
+
+const REDACTED = '[REDACTED]';
+
+// Body fields that hold credentials or secret material
+const SECRET_KEYS = /token|secret|password|passphrase|credential|authorization|private|encrypted|^key$/i;
+
+// Longest string kept in a logged body; file contents and the like are cut short
+const MAX_STRING_LENGTH = 1024;
+
+const ON_VALUES = ['1', 'true', 'yes', 'on'];
+const OFF_VALUES = ['0', 'false', 'no', 'off'];
+
+// Logs are shared by path so every transport in a process rotates the same file
+const logs = new Map();
+
+/**
+ * Default audit log location, next to the shared credential file
+ * @returns {string}
+ */
+export function getAuditLogPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'github-api', 'audit.jsonl');
+}
+
+/**
+ * Audit log of the write requests (POST, PUT, PATCH, DELETE) sent through
+ * a transport. Each request adds one JSON line:
+ *
+ * `{ time, profile, method, endpoint, url, repo, status, resource, body, error? }`
+ *
+ * Bodies are redacted before they are written. Failed requests are logged
+ * with the status GitHub answered, if any, and the error message.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Log file (default: getAuditLogPath())
+   * @param {number} [options.maxSize] - Bytes before the file is rotated
+   * @param {number} [options.maxFiles] - Rotated files kept (`audit.jsonl.1` is the newest)
+   * @param {string} [options.profile] - Profile recorded with each entry (default: GITHUB_PROFILE)
+   */
+  constructor(options = {}) {
+    this.path = options.path || getAuditLogPath();
+    this.maxSize = options.maxSize ?? AUDIT_DEFAULTS.maxSize;
+    this.maxFiles = options.maxFiles ?? AUDIT_DEFAULTS.maxFiles;
+    this.profile = options.profile;
+    this.warned = false;
+  }
+
+  /**
+   * Log a write request. Never throws: a log that cannot be written is
+   * reported once as a process warning and the request goes on.
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full URL
+   * @param {*} [request.body] - Request body as given to the transport
+   * @param {number|null} [request.status] - Response status
+   * @param {*} [request.data] - Response body
+   * @param {Error} [request.error] - Error the request failed with
+   * @returns {Object} The entry
+   */
+  record({ method, url, body, status = null, data, error }) {
+    const { pathname, search } = new URL(url);
+    const entry = {
+      time: new Date().toISOString(),
+      profile: this.profile ?? process.env.GITHUB_PROFILE ?? null,
+      method,
+      endpoint: `${pathname}${search}`,
+      url,
+      repo: parseRepo(pathname),
+      status,
+      resource: resourceId(data, pathname),
+      body: redactBody(body)
+    };
+    if (error) {
+      entry.error = error.message;
+    }
+
+    try {
+      this.append(entry);
+    } catch (writeError) {
+      if (!this.warned) {
+        this.warned = true;
+        process.emitWarning(`Unable to write audit log ${this.path}: ${writeError.message}`);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Append an entry, rotating first when it would not fit
+   * @param {Object} entry - Audit entry
+   */
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true, mode: 0o700 });
+    const size = fs.existsSync(this.path) ? fs.statSync(this.path).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxSize) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.path, line, { mode: 0o600 });
+  }
+
+  /**
+   * Shift `audit.jsonl` to `audit.jsonl.1`, `.1` to `.2` and so on, dropping
+   * the oldest file
+   */
+  rotate() {
+    const oldest = `${this.path}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let n = this.maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(`${this.path}.${n}`)) {
+        fs.renameSync(`${this.path}.${n}`, `${this.path}.${n + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.path, `${this.path}.1`);
+    } else {
+      fs.unlinkSync(this.path);
+    }
+  }
+
+  /**
+   * Existing log files, oldest first
+   * @returns {string[]}
+   */
+  files() {
+    const rotated = Array.from({ length: this.maxFiles }, (_, i) => `${this.path}.${this.maxFiles - i}`);
+    return [...rotated, this.path].filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * Read entries, oldest first
+   *
+   * @param {Object} [filter] - See {@link filterEntries}
+   * @returns {Object[]}
+   */
+  read(filter = {}) {
+    const entries = [];
+    for (const file of this.files()) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // A line cut short by a crash is skipped, the rest of the file is still good
+        }
+      }
+    }
+    return filterEntries(entries, filter);
+  }
+}
+
+/**
+ * Keep the entries that match a query
+ *
+ * @param {Object[]} entries - Audit entries
+ * @param {Object} [filter]
+ * @param {Date|string|number} [filter.since] - Earliest time: a date, or an age such as `24h` or `7d`
+ * @param {Date|string|number} [filter.until] - Latest time, same forms as `since`
+ * @param {string} [filter.repo] - `owner/repo`, or an owner to match all of its repositories
+ * @param {string} [filter.operation] - HTTP method, or text found in `METHOD /endpoint`
+ * @param {number} [filter.limit] - Keep only the newest entries
+ * @returns {Object[]}
+ */
+export function filterEntries(entries, { since, until, repo, operation, limit } = {}) {
+  const from = since === undefined ? null : parseTime(since).getTime();
+  const to = until === undefined ? null : parseTime(until).getTime();
+  const repoName = repo?.toLowerCase();
+  const op = operation?.toUpperCase();
+
+  const matches = entries.filter((entry) => {
+    const time = Date.parse(entry.time);
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    if (repoName) {
+      const entryRepo = entry.repo?.toLowerCase() || '';
+      if (entryRepo !== repoName && !entryRepo.startsWith(`${repoName}/`)) return false;
+    }
+    if (op && entry.method !== op && !`${entry.method} ${entry.endpoint}`.toUpperCase().includes(op)) return false;
+    return true;
+  });
+
+  return limit ? matches.slice(-limit) : matches;
+}
+
+/**
+ * Parse a query time: a Date, epoch milliseconds, an ISO date, or an age
+ * such as `90s`, `30m`, `24h`, `7d` or `2w`
+ *
+ * @param {Date|string|number} value - Time
+ * @param {Date} [now] - Reference for ages
+ * @returns {Date}
+ * @throws {Error} When the value is not a time
+ */
+export function parseTime(value, now = new Date()) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return new Date(value);
+  }
+
+  const age = /^(\d+)\s*([smhdw])$/.exec(String(value).trim());
+  if (age) {
+    const units = { s: 1e3, m: 6e4, h: 36e5, d: 864e5, w: 6048e5 };
+    return new Date(now.getTime() - Number(age[1]) * units[age[2]]);
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}", expected an ISO date or an age such as 24h or 7d`);
+  }
+  return new Date(time);
+}
+
+/**
+ * Copy of a request body that is safe to keep: secret fields are replaced,
+ * token-shaped strings scrubbed and long strings cut short
+ *
+ * @param {*} body - Request body
+ * @returns {*}
+ */
+export function redactBody(body) {
+  if (body === null || body === undefined) {
+    return null;
+  }
+  if (Buffer.isBuffer(body)) {
+    return `<${body.length} bytes>`;
+  }
+  if (typeof body === 'string') {
+    const text = scrubSecrets(body);
+    return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}…` : text;
+  }
+  if (Array.isArray(body)) {
+    return body.map(redactBody);
+  }
+  if (typeof body === 'object') {
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+      key,
+      SECRET_KEYS.test(key) && value !== null && value !== undefined ? REDACTED : redactBody(value)
+    ]));
+  }
+  return body;
+}
+
+/**
+ * `owner/repo` of a `/repos/{owner}/{repo}/...` endpoint
+ * @param {string} pathname - URL path
+ * @returns {string|null}
+ */
+export function parseRepo(pathname) {
+  const match = /^(?:\/api\/v3)?\/repos\/([^/]+)\/([^/?]+)/.exec(pathname);
+  return match ? `${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}` : null;
+}
+
+/**
+ * Identifier of the resource a write touched: the id of the returned object,
+ * or for bodiless answers such as deletes, the last segment of the path
+ *
+ * @param {*} data - Response body
+ * @param {string} pathname - URL path
+ * @returns {string|number|null}
+ */
+export function resourceId(data, pathname) {
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    const id = data.id ?? data.number ?? data.sha ?? data.node_id ?? data.name;
+    if (id !== undefined && id !== null) {
+      return id;
+    }
+  }
+  const segments = pathname.split('/').filter(Boolean);
+  return segments.length ? decodeURIComponent(segments[segments.length - 1]) : null;
+}
+
+/**
+ * Resolve the `audit` transport option
+ *
+ * @param {boolean|string|Object|AuditLog} [option] - `true`, a path, AuditLog
+ *   options, an instance or `false`; undefined falls back to GITHUB_AUDIT_LOG,
+ *   then to the default path
+ * @returns {AuditLog|null}
+ */
+export function resolveAuditLog(option) {
+  if (option === false || option === null) {
+    return null;
+  }
+  if (option instanceof AuditLog) {
+    return option;
+  }
+  if (option !== undefined) {
+    return new AuditLog(typeof option === 'string' ? { path: option } : option === true ? {} : option);
+  }
+
+  const value = process.env[AUDIT_ENV];
+  if (value && OFF_VALUES.includes(value.toLowerCase())) {
+    return null;
+  }
+
+  const file = !value || ON_VALUES.includes(value.toLowerCase()) ? getAuditLogPath() : path.resolve(value);
+  if (!logs.has(file)) {
+    logs.set(file, new AuditLog({ path: file }));
+  }
+  return logs.get(file);
+}
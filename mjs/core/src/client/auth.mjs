@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Authorization header resolution
+ * @module auth
+ */
+
+const SCHEME_PATTERN = /^(Bearer|token|Basic)\s/i;
+
+/**
+ * Turn a token or header value into a full Authorization header
+ * @param {string} value - Token or complete header value
+ * @param {string} scheme - Scheme used for bare tokens
+ * @returns {string|null}
+ */
+export function toAuthHeader(value, scheme = 'Bearer') {
+  if (!value) {
+    return null;
+  }
+  return SCHEME_PATTERN.test(value) ? value : `${scheme} ${value}`;
+}
+
+/**
+ * Build a resolver for the Authorization header.
+ *
+ * `auth` may be:
+ * - a token string (`ghp_...`) or full header (`Bearer ...`)
+ * - a function returning either of those, sync or async
+ * - an object exposing `getAuthHeader()` (e.g. the repos AuthManager)
+ * - null/undefined for unauthenticated requests
+ *
+ * @param {string|Function|Object|null} auth - Auth source
+ * @param {Object} [options]
+ * @param {string} [options.scheme='Bearer'] - Scheme used for bare tokens
+ * @returns {function(): Promise<string|null>} Header resolver
+ */
+export function createAuthStrategy(auth, { scheme = 'Bearer' } = {}) {
+  if (!auth) {
+    return async () => null;
+  }
+
+  if (typeof auth === 'string') {
+    const header = toAuthHeader(auth, scheme);
+    return async () => header;
+  }
+
+  if (typeof auth === 'function') {
+    return async () => toAuthHeader(await auth(), scheme);
+  }
+
+  if (typeof auth.getAuthHeader === 'function') {
+    return async () => toAuthHeader(await auth.getAuthHeader(), scheme);
+  }
+
+  if (typeof auth.token === 'string') {
+    const header = toAuthHeader(auth.token, scheme);
+    return async () => header;
+  }
+
+  throw new TypeError('Unsupported auth option: expected a token, function or object with getAuthHeader()');
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Record/replay HTTP cassettes for deterministic tests and offline demos
+ * @module cassette
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { GitHubError } from '../utils/errors.mjs';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+/**
+ * Environment variables that enable a cassette for every transport
+ */
+export const CASSETTE_ENV = {
+  path: 'GITHUB_CASSETTE',
+  mode: 'GITHUB_CASSETTE_MODE'
+};
+
+const REDACTED = '[REDACTED]';
+
+// Token formats GitHub issues, scrubbed wherever they appear in a recording
+const TOKEN_PATTERNS = [
+  /\bgh[opsur]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bv1\.[0-9a-f]{40}\b/g
+];
+
+// Response headers that identify a session rather than describe the response
+const DROPPED_HEADERS = ['set-cookie', 'x-github-request-id', 'date', 'x-oauth-client-id'];
+
+// Statuses that must not carry a body when rebuilding a Response
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Cassettes are shared by path so several clients in one process replay in order
+const cassettes = new Map();
+
+/**
+ * Raised in replay mode when no recorded interaction matches a request.
+ * The transport never retries it and never maps it into a package error.
+ */
+export class CassetteError extends GitHubError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [request] - `{ method, url }` of the unmatched request
+   */
+  constructor(message, request) {
+    super(message, { request });
+    this.name = 'CassetteError';
+  }
+}
+
+/**
+ * Replace secrets in a string
+ * @param {string} text - Text to scrub
+ * @param {string[]} [secrets] - Literal values to redact as well
+ * @returns {string}
+ */
+export function scrubSecrets(text, secrets = []) {
+  let result = text;
+
+  for (const secret of secrets) {
+    if (secret) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+
+  for (const pattern of TOKEN_PATTERNS) {
+    result = result.replace(pattern, REDACTED);
+  }
+
+  return result;
+}
+
+/**
+ * Canonical request URL: query parameters sorted so ordering never breaks a match
+ */
+function canonicalUrl(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+function requestKey({ method, url, body }) {
+  return `${method} ${canonicalUrl(url)}${body ? ` ${body}` : ''}`;
+}
+
+function headersToObject(headers) {
+  if (!headers) {
+    return {};
+  }
+
+  const entries = typeof headers.entries === 'function'
+    ? Array.from(headers.entries())
+    : Object.entries(headers);
+
+  return Object.fromEntries(entries.map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * A JSON file of recorded request/response pairs.
+ *
+ * ```json
+ * {
+ *   "version": 1,
+ *   "interactions": [
+ *     {
+ *       "request": { "method": "GET", "url": "https://api.github.com/user" },
+ *       "response": { "status": 200, "headers": { "content-type": "application/json" }, "body": { "login": "octocat" } }
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * In `record` mode requests go to the network and each pair is appended to
+ * the file with tokens scrubbed. In `replay` mode responses come from the
+ * file: interactions are consumed in order per request, and a request with
+ * no unused recording throws a CassetteError.
+ */
+export class Cassette {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Cassette file
+   * @param {string} [options.mode='replay'] - 'record' or 'replay'
+   * @param {string[]} [options.secrets] - Extra literal values to scrub when recording
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new CassetteError('A cassette path is required');
+    }
+
+    const mode = options.mode || 'replay';
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new CassetteError(`Unknown cassette mode "${mode}", expected one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.path = path.resolve(options.path);
+    this.mode = mode;
+    this.secrets = options.secrets || [];
+    this.interactions = mode === 'record' ? [] : this.load();
+    this.used = new Set();
+  }
+
+  /**
+   * Read recorded interactions
+   * @returns {Array<Object>}
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.path, 'utf8');
+    } catch (error) {
+      throw new CassetteError(`Cannot replay cassette ${this.path}: ${error.message}`);
+    }
+    return JSON.parse(content).interactions || [];
+  }
+
+  /**
+   * Write recorded interactions
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2) + '\n');
+  }
+
+  /**
+   * Find the next unused interaction for a request
+   * @param {Object} request - `{ method, url, body }`
+   * @returns {Object} Interaction
+   * @throws {CassetteError} When nothing matches
+   */
+  match(request) {
+    const key = requestKey(request);
+    const index = this.interactions.findIndex((interaction, i) => !this.used.has(i) && requestKey(interaction.request) === key);
+
+    if (index === -1) {
+      const recorded = this.interactions.filter(interaction => requestKey(interaction.request) === key).length;
+      throw new CassetteError(
+        recorded > 0
+          ? `Cassette ${this.path} has ${recorded} recording(s) of ${request.method} ${request.url}, all already replayed`
+          : `No interaction recorded in cassette ${this.path} for ${request.method} ${request.url}`,
+        { method: request.method, url: request.url }
+      );
+    }
+
+    this.used.add(index);
+    return this.interactions[index];
+  }
+
+  /**
+   * Append a scrubbed interaction and persist the cassette
+   * @param {Object} request - `{ method, url, body, headers }`
+   * @param {Object} response - `{ status, headers, body }`
+   */
+  record(request, response) {
+    const authorization = request.headers?.authorization || '';
+    const secrets = [...this.secrets, authorization.replace(/^(bearer|token|basic)\s+/i, '')];
+    const scrub = (value) => (typeof value === 'string' ? scrubSecrets(value, secrets) : value);
+
+    const headers = {};
+    for (const [key, value] of Object.entries(response.headers)) {
+      if (!DROPPED_HEADERS.includes(key)) {
+        headers[key] = scrub(value);
+      }
+    }
+
+    this.interactions.push({
+      request: { method: request.method, url: scrub(request.url), ...(request.body && { body: scrub(request.body) }) },
+      response: { status: response.status, headers, body: decodeBody(scrub(response.body), headers) }
+    });
+    this.save();
+  }
+
+  /**
+   * Wrap a fetch implementation
+   * @param {Function} [fetchImpl] - Underlying fetch, used when recording
+   * @returns {Function} fetch-compatible function
+   */
+  wrap(fetchImpl) {
+    return async (url, init = {}) => {
+      const request = {
+        method: (init.method || 'GET').toUpperCase(),
+        url: String(url),
+        body: typeof init.body === 'string' ? init.body : undefined,
+        headers: headersToObject(init.headers)
+      };
+
+      if (this.mode === 'replay') {
+        const { response } = this.match(request);
+        return toResponse(response.status, response.headers, encodeBody(response.body));
+      }
+
+      const raw = await (fetchImpl || globalThis.fetch)(url, init);
+      const body = await raw.text();
+      const headers = headersToObject(raw.headers);
+
+      this.record(request, { status: raw.status, headers, body });
+      return toResponse(raw.status, headers, body);
+    };
+  }
+}
+
+// JSON bodies are kept as JSON so cassettes stay readable and diffable
+function decodeBody(body, headers) {
+  if (!body || !(headers['content-type'] || '').includes('json')) {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function encodeBody(body) {
+  return body === null || body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function toResponse(status, headers, body) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+}
+
+/**
+ * Get the shared cassette for a transport, from an explicit option or the
+ * `GITHUB_CASSETTE` / `GITHUB_CASSETTE_MODE` environment variables
+ *
+ * @param {string|Object|Cassette|false} [option] - Cassette path, `{ path, mode }`, instance, or false to disable
+ * @returns {Cassette|null}
+ */
+export function resolveCassette(option) {
+  if (option === false) {
+    return null;
+  }
+  if (option instanceof Cassette) {
+    return option;
+  }
+
+  const config = typeof option === 'string' ? { path: option } : { ...option };
+  config.path = config.path || process.env[CASSETTE_ENV.path];
+  config.mode = config.mode || process.env[CASSETTE_ENV.mode] || 'replay';
+
+  if (!config.path) {
+    return null;
+  }
+
+  const key = `${config.mode}:${path.resolve(config.path)}`;
+  if (!cassettes.has(key)) {
+    cassettes.set(key, new Cassette(config));
+  }
+  return cassettes.get(key);
+}
+
+/**
+ * Forget shared cassettes so the next resolve re-reads them (for tests)
+ */
+export function resetCassettes() {
+  cassettes.clear();
+}
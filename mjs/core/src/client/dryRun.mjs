@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Dry-run mode: write requests are printed and answered locally
+ * instead of being sent
+ * @module dryRun
+ */
+
+/**
+ * Environment variable that turns dry-run on for every transport
+ */
+export const DRY_RUN_ENV = 'GITHUB_DRY_RUN';
+
+// Methods that read; everything else is planned instead of sent
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// One shared plan for transports that take dry-run from the environment
+let shared = null;
+
+/**
+ * Collects the write requests a transport would have sent.
+ *
+ * Each planned request is logged (method, URL and JSON body) and answered
+ * with a synthetic response, so multi-step commands run to the end and show
+ * their whole plan. Reads still go to the API.
+ */
+export class DryRun {
+  /**
+   * @param {Object} [options]
+   * @param {Function|false} [options.log] - Receives each planned request as text
+   *   (default: stderr, so stdout stays parseable); false stays quiet
+   * @param {Function} [options.respond] - Builds the synthetic response body
+   *   from `{ method, url, body }` (default: {@link syntheticData})
+   */
+  constructor({ log, respond } = {}) {
+    this.log = log === false ? null : log || (text => process.stderr.write(`${text}\n`));
+    this.respond = respond || syntheticData;
+    this.plan = [];
+  }
+
+  /**
+   * Whether a request with this method changes state
+   * @param {string} method - HTTP method
+   * @returns {boolean}
+   */
+  static mutates(method) {
+    return !SAFE_METHODS.includes(method.toUpperCase());
+  }
+
+  /**
+   * Record a request instead of sending it
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full URL
+   * @param {*} [request.body] - Request body as given to the transport
+   * @returns {Object} Normalized transport response with `dryRun: true`
+   */
+  intercept({ method, url, body }) {
+    const entry = { method, url, body: body ?? null };
+    this.plan.push(entry);
+    this.log?.(describeRequest(entry));
+
+    return {
+      data: this.respond(entry),
+      status: method === 'DELETE' ? 204 : method === 'POST' ? 201 : 200,
+      headers: {},
+      url,
+      pagination: {},
+      rateLimit: null,
+      raw: null,
+      dryRun: true
+    };
+  }
+
+  /**
+   * Forget the planned requests
+   */
+  reset() {
+    this.plan = [];
+  }
+}
+
+/**
+ * Default synthetic body: the request body echoed back for writes that send
+ * an object, nothing for deletes and bodiless writes
+ *
+ * @param {Object} request - `{ method, url, body }`
+ * @returns {Object|null}
+ */
+export function syntheticData({ method, body }) {
+  if (method === 'DELETE' || body === null || typeof body !== 'object' || Array.isArray(body) || Buffer.isBuffer(body)) {
+    return null;
+  }
+  return { ...body };
+}
+
+/**
+ * Text printed for a planned request
+ * @param {Object} request - `{ method, url, body }`
+ * @returns {string}
+ */
+export function describeRequest({ method, url, body }) {
+  const line = `[dry-run] ${method} ${url}`;
+
+  if (body === null || body === undefined) {
+    return line;
+  }
+  if (Buffer.isBuffer(body)) {
+    return `${line}\n<${body.length} bytes>`;
+  }
+  return `${line}\n${typeof body === 'string' ? body : JSON.stringify(body, null, 2)}`;
+}
+
+/**
+ * Resolve the `dryRun` transport option
+ *
+ * @param {boolean|Object|DryRun} [option] - `true`, DryRun options, an instance
+ *   or `false`; undefined falls back to GITHUB_DRY_RUN
+ * @returns {DryRun|null}
+ */
+export function resolveDryRun(option) {
+  if (option === false || option === null) {
+    return null;
+  }
+  if (option instanceof DryRun) {
+    return option;
+  }
+  if (option !== undefined) {
+    return new DryRun(option === true ? {} : option);
+  }
+
+  if (!isDryRun()) {
+    return null;
+  }
+  shared = shared || new DryRun();
+  return shared;
+}
+
+/**
+ * Dry-run for package clients that send requests on their own instead of
+ * through a transport. Each method named in `writes` is replaced on the client
+ * by one that plans the request it would send, and a
+ * `request(method, path, body)` method, when the client has one, plans every
+ * request that is not a read. Undefined `dryRun` reads GITHUB_DRY_RUN on each
+ * call, so a CLI's `--dry-run` also covers clients built before it was parsed.
+ *
+ * @param {Object} client - Client instance; its methods are replaced in place
+ * @param {Object<string, Function>} writes - Method name → `(client, ...args) => ({ method, path, body })` for the request it sends
+ * @param {Object} [options]
+ * @param {boolean|Object|DryRun} [options.dryRun] - Same as the transport option
+ * @param {string} [options.baseUrl='https://api.github.com'] - Base URL of the planned requests
+ * @returns {Object} The client
+ */
+export function applyDryRun(client, writes, { dryRun, baseUrl = 'https://api.github.com' } = {}) {
+  if (dryRun === false || dryRun === null) {
+    return client;
+  }
+
+  const fixed = dryRun === undefined ? undefined : resolveDryRun(dryRun);
+  const current = () => (fixed === undefined ? resolveDryRun() : fixed);
+  const root = baseUrl.replace(/\/+$/, '');
+  const plan = (method, path, body) => current().intercept({
+    method: method.toUpperCase(),
+    url: /^https?:\/\//.test(path) ? path : `${root}${path}`,
+    body: body ?? null
+  }).data;
+
+  if (typeof client.request === 'function') {
+    const request = client.request;
+    client.request = async function (method, path, body, ...rest) {
+      return current() && DryRun.mutates(method) ? plan(method, path, body) : request.call(this, method, path, body, ...rest);
+    };
+  }
+
+  for (const [name, describe] of Object.entries(writes)) {
+    const original = client[name];
+    if (typeof original !== 'function') {
+      continue;
+    }
+    client[name] = async function (...args) {
+      if (!current()) {
+        return original.apply(this, args);
+      }
+      const { method, path, body } = describe(this, ...args);
+      return plan(method, path, body);
+    };
+  }
+
+  return client;
+}
+
+/**
+ * Whether GITHUB_DRY_RUN turns dry-run on
+ * @param {Object} [env] - Environment
+ * @returns {boolean}
+ */
+export function isDryRun(env = process.env) {
+  const value = env[DRY_RUN_ENV];
+  return Boolean(value) && !['0', 'false', 'no', 'off'].includes(value.toLowerCase());
+}
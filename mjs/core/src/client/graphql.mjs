@@ -0,0 +1,310 @@
+/**
+ * @fileoverview GraphQL client sharing auth, retries and rate limit tracking
+ * with the REST transport
+ * @module graphql
+ */
+
+import { Transport } from './transport.mjs';
+import { GitHubError } from '../utils/errors.mjs';
+
+// Selected on queries that do not ask for it themselves, so every query reports its cost
+const RATE_LIMIT_SELECTION = 'rateLimit { cost limit remaining resetAt nodeCount }';
+
+/**
+ * A GraphQL response carried `errors`. `data` holds whatever part of the
+ * query still resolved.
+ */
+export class GraphQLError extends GitHubError {
+  /**
+   * @param {Array<Object>} errors - GraphQL errors (`{ message, type, path }`)
+   * @param {Object} [details]
+   * @param {Object} [details.data] - Partial data
+   * @param {Object} [details.request] - Request summary ({ method, url })
+   * @param {Object} [details.headers] - Response headers
+   */
+  constructor(errors, details = {}) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    super(`GraphQL request failed: ${first?.message || 'unknown error'}${more}`, {
+      status: 200,
+      headers: details.headers,
+      request: details.request,
+      body: { errors }
+    });
+    this.name = 'GraphQLError';
+    this.data = details.data ?? null;
+  }
+
+  /**
+   * GraphQL error types reported (e.g. NOT_FOUND, RATE_LIMITED)
+   * @returns {string[]}
+   */
+  get types() {
+    return [...new Set(this.errors.map(error => error.type).filter(Boolean))];
+  }
+}
+
+/**
+ * GraphQL endpoint for a REST base URL: `https://api.github.com/graphql`, or
+ * `https://ghe.example.com/api/graphql` for GitHub Enterprise Server's `/api/v3`
+ *
+ * @param {string} baseUrl - REST API base URL
+ * @returns {string}
+ */
+export function graphqlUrl(baseUrl) {
+  const base = baseUrl.replace(/\/$/, '');
+  return /\/api\/v3$/.test(base) ? base.replace(/\/v3$/, '/graphql') : `${base}/graphql`;
+}
+
+/**
+ * Add a `rateLimit` selection to the query operation of a document, unless it
+ * selects one already. Mutations are left alone: `rateLimit` lives on Query.
+ *
+ * @param {string} query - GraphQL document
+ * @returns {string}
+ */
+export function withRateLimit(query) {
+  if (/\brateLimit\b/.test(query)) {
+    return query;
+  }
+
+  const operation = findOperation(query);
+  if (!operation || operation.type !== 'query') {
+    return query;
+  }
+
+  return `${query.slice(0, operation.close)}  ${RATE_LIMIT_SELECTION}\n${query.slice(operation.close)}`;
+}
+
+/**
+ * Locate the first operation of a document and the brace closing its selection set
+ * @returns {{ type: string, close: number }|null}
+ */
+function findOperation(query) {
+  let depth = 0;
+  let start = -1;
+  let type = null;
+
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+
+    if (char === '#') {
+      const end = query.indexOf('\n', i);
+      i = end < 0 ? query.length : end;
+    } else if (char === '"') {
+      const block = query.startsWith('"""', i);
+      const end = block ? query.indexOf('"""', i + 3) + 2 : skipString(query, i);
+      i = end < i ? query.length : end;
+    } else if (char === '{') {
+      if (depth === 0) {
+        const head = query.slice(start + 1, i).trim();
+        type = /^fragment\b/.test(head) ? 'fragment' : (head.match(/^(query|mutation|subscription)\b/)?.[1] || 'query');
+      }
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        if (type !== 'fragment') {
+          return { type, close: i };
+        }
+        start = i;
+      }
+    }
+  }
+
+  return null;
+}
+
+function skipString(query, i) {
+  let j = i + 1;
+  while (j < query.length && query[j] !== '"' && query[j] !== '\n') {
+    j += query[j] === '\\' ? 2 : 1;
+  }
+  return j;
+}
+
+/**
+ * Read a dotted path (`repository.stargazers`) out of a response
+ * @param {Object} data - Response data
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+export function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), data);
+}
+
+/**
+ * GitHub GraphQL API client.
+ *
+ * Requests go through a REST `Transport`, so a client built from another
+ * package's transport uses the same token, retries, cassette and rate limit
+ * tracker. The `cost` of every query is recorded from its `rateLimit` field.
+ *
+ * @example
+ * ```javascript
+ * import { GraphQLClient } from '@github-api/core';
+ *
+ * const graphql = new GraphQLClient({ auth: process.env.GITHUB_TOKEN });
+ * const { viewer } = await graphql.query('query { viewer { login } }');
+ *
+ * for await (const edge of graphql.paginate(STARGAZERS, { owner, repo }, { path: 'repository.stargazers' })) {
+ *   console.log(edge.node.login, edge.starredAt);
+ * }
+ * console.log(graphql.getCost()); // { queries, total, last, remaining, limit, resetAt }
+ * ```
+ */
+export class GraphQLClient {
+  /**
+   * @param {Object} [options] - Transport options, or:
+   * @param {Transport} [options.transport] - Transport to share with REST clients
+   * @param {string} [options.url] - GraphQL endpoint (default: derived from the transport's base URL)
+   * @param {boolean} [options.trackCost=true] - Select `rateLimit` on queries to record their cost
+   */
+  constructor(options = {}) {
+    const { transport, url, trackCost = true, ...transportOptions } = options;
+
+    this.transport = transport || new Transport(transportOptions);
+    this.url = url || null;
+    this.trackCost = trackCost;
+    this.cost = { queries: 0, total: 0, last: null, remaining: null, limit: null, resetAt: null };
+  }
+
+  /**
+   * GraphQL endpoint in use
+   * @returns {string}
+   */
+  get endpoint() {
+    return this.url || graphqlUrl(this.transport.config.baseUrl);
+  }
+
+  /**
+   * Run a query or mutation and return its `data`
+   *
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - Query variables
+   * @param {Object} [options]
+   * @param {string} [options.operationName] - Operation to run in a multi-operation document
+   * @param {Object} [options.headers] - Extra request headers
+   * @returns {Promise<Object>} Response data
+   * @throws {GraphQLError} When the response carries errors
+   */
+  async query(query, variables = {}, options = {}) {
+    const body = {
+      query: this.trackCost ? withRateLimit(query) : query,
+      variables
+    };
+    if (options.operationName) {
+      body.operationName = options.operationName;
+    }
+
+    const response = await this.transport.request({
+      method: 'POST',
+      url: this.endpoint,
+      body,
+      headers: options.headers,
+      // Queries are POSTs too; only mutations are held back by dry-run
+      mutates: findOperation(query)?.type === 'mutation'
+    });
+    const { data = null, errors } = response.data || {};
+
+    if (data?.rateLimit) {
+      this.recordCost(data.rateLimit);
+    }
+    if (errors?.length) {
+      throw new GraphQLError(errors, {
+        data,
+        headers: response.headers,
+        request: { method: 'POST', url: this.endpoint }
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Iterate over the nodes of a connection, following `pageInfo.endCursor`.
+   * The query must select `pageInfo { hasNextPage endCursor }` on the
+   * connection and take the cursor as a variable.
+   *
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - Query variables
+   * @param {Object} options
+   * @param {string} options.path - Dotted path to the connection (`repository.stargazers`)
+   * @param {string} [options.cursor='cursor'] - Name of the cursor variable
+   * @param {number} [options.maxPages=Infinity] - Stop after this many pages
+   * @returns {AsyncGenerator<Object>} Edges when the connection selects them, nodes otherwise
+   */
+  async *paginate(query, variables = {}, options = {}) {
+    const { path, cursor = 'cursor', maxPages = Infinity } = options;
+    let after = variables[cursor] ?? null;
+
+    for (let pages = 0; pages < maxPages; pages++) {
+      const data = await this.query(query, { ...variables, [cursor]: after });
+      const connection = getPath(data, path);
+      if (!connection) {
+        return;
+      }
+
+      yield* connection.edges || connection.nodes || [];
+
+      if (!connection.pageInfo?.hasNextPage) {
+        return;
+      }
+      after = connection.pageInfo.endCursor;
+    }
+  }
+
+  /**
+   * Collect every node of a connection
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - Query variables
+   * @param {Object} options - Same as paginate()
+   * @returns {Promise<Array<Object>>}
+   */
+  async paginateAll(query, variables = {}, options = {}) {
+    const items = [];
+    for await (const item of this.paginate(query, variables, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Record the `rateLimit` a query reported
+   * @param {Object} rateLimit - `{ cost, limit, remaining, resetAt }`
+   */
+  recordCost(rateLimit) {
+    this.cost.queries++;
+    this.cost.total += rateLimit.cost || 0;
+    this.cost.last = rateLimit.cost ?? null;
+    this.cost.remaining = rateLimit.remaining ?? null;
+    this.cost.limit = rateLimit.limit ?? null;
+    this.cost.resetAt = rateLimit.resetAt ? new Date(rateLimit.resetAt) : null;
+  }
+
+  /**
+   * Points spent so far and the budget left, as reported by the API
+   * @returns {{ queries: number, total: number, last: number|null, remaining: number|null,
+   *   limit: number|null, resetAt: Date|null }}
+   */
+  getCost() {
+    return { ...this.cost };
+  }
+
+  /**
+   * Latest `graphql` rate limit snapshot from the response headers
+   * @returns {Object|null}
+   */
+  getRateLimit() {
+    return this.transport.getRateLimit('graphql');
+  }
+}
+
+/**
+ * Create a GraphQL client, optionally on an existing transport
+ * @param {Object} [options] - See GraphQLClient
+ * @returns {GraphQLClient}
+ */
+export function createGraphQLClient(options = {}) {
+  return new GraphQLClient(options);
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Request lifecycle hooks: every transport reports its
+ * requests, responses, retries, rate limits and failures to the hooks it was
+ * given and to the process-wide ones
+ * @module instrumentation
+ */
+
+import { loadTemplateIndex } from '../openapi/templates.mjs';
+
+/**
+ * Hook names, in the order a request can emit them
+ */
+export const INSTRUMENTATION_EVENTS = ['onRequest', 'onRateLimit', 'onRetry', 'onResponse', 'onError'];
+
+// Hooks every transport reports to
+const globalHooks = new Set();
+
+// Index of the generated template table: null until needed, false without the table
+let templateIndex = null;
+
+// Path segments naming the owner of what follows
+const OWNER_SEGMENTS = {
+  repos: '{owner}',
+  users: '{username}',
+  orgs: '{org}',
+  enterprises: '{enterprise}',
+  gists: '{gist_id}'
+};
+
+/**
+ * Hooks a transport reports to. Hook errors and rejections are swallowed:
+ * instrumentation never fails a request.
+ *
+ * @example
+ * ```javascript
+ * import { Transport } from '@github-api/core';
+ *
+ * const transport = new Transport({
+ *   auth: process.env.GITHUB_TOKEN,
+ *   instrumentation: {
+ *     onResponse: ({ method, endpoint, status, duration }) => console.log(method, endpoint, status, `${duration}ms`)
+ *   }
+ * });
+ * ```
+ */
+export class Instrumentation {
+  /**
+   * @param {Object|Object[]} [hooks] - Objects with any of `onRequest`,
+   *   `onResponse`, `onRetry`, `onRateLimit` and `onError`
+   * @param {Object} [options]
+   * @param {boolean} [options.global=true] - Also report to hooks added with addInstrumentation()
+   */
+  constructor(hooks = [], options = {}) {
+    this.hooks = [].concat(hooks).filter(Boolean);
+    this.global = options.global !== false;
+  }
+
+  /**
+   * Whether any hook would hear an event; transports skip the bookkeeping otherwise
+   * @type {boolean}
+   */
+  get active() {
+    return this.hooks.length > 0 || (this.global && globalHooks.size > 0);
+  }
+
+  /**
+   * Call one hook on every hook set
+   * @param {string} event - Hook name, e.g. 'onResponse'
+   * @param {Object} payload - Event; each hook set gets its own copy
+   */
+  emit(event, payload) {
+    const sets = this.global ? [...this.hooks, ...globalHooks] : this.hooks;
+
+    for (const hooks of sets) {
+      try {
+        const result = hooks[event]?.({ ...payload });
+        if (typeof result?.catch === 'function') {
+          result.catch(() => {});
+        }
+      } catch {
+        // A broken hook must not break the request it observes
+      }
+    }
+  }
+}
+
+// Transports without instrumentation of their own still report to the global hooks
+const defaultInstrumentation = new Instrumentation();
+
+/**
+ * Resolve a transport's `instrumentation` option
+ *
+ * @param {Object|Object[]|Instrumentation|false} [option] - Hooks, an
+ *   instance, or `false` to report to nobody, not even the global hooks
+ * @returns {Instrumentation|null}
+ */
+export function resolveInstrumentation(option) {
+  if (option === false || option === null) {
+    return null;
+  }
+  if (option instanceof Instrumentation) {
+    return option;
+  }
+  return option === undefined ? defaultInstrumentation : new Instrumentation(option);
+}
+
+/**
+ * Report the requests of every transport in the process to a hook set
+ *
+ * @param {Object} hooks - Hook set, e.g. a PrometheusExporter
+ * @returns {Function} Removes the hooks again
+ */
+export function addInstrumentation(hooks) {
+  globalHooks.add(hooks);
+  return () => {
+    globalHooks.delete(hooks);
+  };
+}
+
+/**
+ * Remove every global hook set (for tests)
+ */
+export function resetInstrumentation() {
+  globalHooks.clear();
+}
+
+function getTemplateIndex() {
+  if (templateIndex === null) {
+    templateIndex = loadTemplateIndex() || false;
+  }
+  return templateIndex;
+}
+
+function guessTemplate(pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+
+  return '/' + parts.map((part, i) => {
+    if (i === 1 && OWNER_SEGMENTS[parts[0]]) {
+      return OWNER_SEGMENTS[parts[0]];
+    }
+    if (i === 2 && parts[0] === 'repos') {
+      return '{repo}';
+    }
+    if (/^\d+$/.test(part)) {
+      return '{id}';
+    }
+    if (/^[0-9a-f]{40}$/i.test(part)) {
+      return '{sha}';
+    }
+    return part;
+  }).join('/');
+}
+
+/**
+ * Endpoint template a request was made against, e.g.
+ * `/repos/{owner}/{repo}/pulls/{pull_number}`. Templates come from the
+ * table generated from the OpenAPI specs (see gh-templates) and are guessed
+ * from the path when it has none, so metrics keep a bounded set of endpoint
+ * labels.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @param {string} [baseUrl] - API base URL, stripped from the path (GHES `/api/v3`)
+ * @returns {string}
+ */
+export function endpointTemplate(method, url, baseUrl) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+    const basePath = baseUrl ? new URL(baseUrl).pathname.replace(/\/$/, '') : '';
+    if (basePath && pathname.startsWith(basePath)) {
+      pathname = pathname.slice(basePath.length) || '/';
+    }
+  } catch {
+    pathname = String(url).split('?')[0];
+  }
+
+  const index = getTemplateIndex();
+  return (index && index.match(method, pathname)?.operation.path) || guessTemplate(pathname);
+}
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Request scheduler every transport sends through: caps
+ * concurrent requests, sends writes one at a time, spends each rate limit
+ * resource only down to its budget and holds requests back after primary
+ * and secondary rate limits
+ * @module scheduler
+ */
+
+import crypto from 'crypto';
+import { RateLimitError, SecondaryRateLimitError } from '../utils/errors.mjs';
+import { RateLimitTracker } from '../utils/rateLimit.mjs';
+
+/**
+ * Default scheduler configuration
+ */
+export const SCHEDULER_DEFAULTS = {
+  maxConcurrent: 10,
+  mutationInterval: 1000,
+  reserve: {}
+};
+
+// Shared schedulers, one per API host and credential
+const schedulers = new Map();
+
+// Local servers such as the mock server have no write limits to respect
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Rate limit resource a request counts against
+ *
+ * @param {string} url - Full request URL
+ * @returns {string} 'core', 'search', 'code_search' or 'graphql'
+ */
+export function resourceForUrl(url) {
+  let pathname;
+  try {
+    ({ pathname } = new URL(url));
+  } catch {
+    return 'core';
+  }
+
+  if (/\/graphql$/.test(pathname)) {
+    return 'graphql';
+  }
+  if (/\/search\/code$/.test(pathname)) {
+    return 'code_search';
+  }
+  if (/\/search\//.test(pathname)) {
+    return 'search';
+  }
+  return 'core';
+}
+
+/**
+ * Queues requests so that one client, or every client in a process, stays
+ * inside GitHub's limits:
+ *
+ * - at most `maxConcurrent` requests are in flight at once;
+ * - POST, PUT, PATCH and DELETE requests go one at a time, at least
+ *   `mutationInterval` ms apart, as GitHub asks of integrations;
+ * - each resource (core, search, graphql, ...) is spent down to its
+ *   `reserve`, then its requests wait for the reset while the others go on;
+ * - a primary rate limit holds its resource until the reset, and a secondary
+ *   rate limit holds every request for `Retry-After` (or a minute).
+ *
+ * A request that would wait longer than its `maxWait` is rejected with a
+ * `RateLimitError` instead of being sent.
+ *
+ * @example
+ * ```javascript
+ * import { Transport, RequestScheduler } from '@github-api/core';
+ *
+ * const scheduler = new RequestScheduler({ maxConcurrent: 4, reserve: { core: 500 } });
+ * const transport = new Transport({ auth: process.env.GITHUB_TOKEN, scheduler });
+ * console.log(scheduler.metrics());
+ * ```
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrent=10] - Requests in flight at once
+   * @param {number} [options.mutationInterval=1000] - Gap between writes (ms)
+   * @param {Object<string, number>} [options.reserve] - Requests to leave unspent
+   *   per resource, e.g. `{ core: 500, search: 5 }`
+   */
+  constructor(options = {}) {
+    this.config = { ...SCHEDULER_DEFAULTS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) {
+        this.config[key] = value;
+      }
+    }
+
+    this.rateLimits = new RateLimitTracker();
+    this.queue = [];
+    this.active = 0;
+    this.inFlight = new Map();
+    this.mutating = false;
+    this.lastMutation = 0;
+    this.pausedUntil = 0;
+    this.resourcePausedUntil = new Map();
+    this.timer = null;
+    this.counters = {
+      requests: 0,
+      mutations: 0,
+      failed: 0,
+      rateLimited: 0,
+      secondaryRateLimited: 0,
+      waitTime: 0,
+      maxQueued: 0
+    };
+    this.requestsByResource = new Map();
+  }
+
+  /**
+   * Run a request once the limits allow it
+   *
+   * @param {Function} task - Sends the request; resolves to a response with `headers`
+   * @param {Object} request
+   * @param {string} request.url - Full request URL
+   * @param {boolean} [request.mutates=false] - Whether the request is a write
+   * @param {string} [request.resource] - Rate limit resource (default: from the URL)
+   * @param {number} [request.maxWait=Infinity] - Longest rate limit wait before giving up (ms)
+   * @returns {Promise<*>} What the task resolves to
+   * @throws {RateLimitError} When the wait would pass `maxWait`, or the task's own error
+   */
+  async schedule(task, { url, mutates = false, resource = resourceForUrl(url), maxWait = Infinity } = {}) {
+    const entry = { resource, mutates, maxWait, queuedAt: Date.now() };
+
+    await new Promise((resolve, reject) => {
+      Object.assign(entry, { resolve, reject });
+      this.queue.push(entry);
+      this.counters.maxQueued = Math.max(this.counters.maxQueued, this.queue.length);
+      this.drain();
+    });
+
+    try {
+      const response = await task();
+      this.rateLimits.update(response?.headers);
+      return response;
+    } catch (error) {
+      this.counters.failed++;
+      this.observeError(error);
+      throw error;
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Start every queued request the limits allow, and wake up when the next
+   * held one may go
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.active < this.config.maxConcurrent;) {
+      const entry = this.queue[i];
+      const { at, limit } = this.readyAt(entry, now);
+
+      if (at <= now) {
+        this.queue.splice(i, 1);
+        this.start(entry);
+      } else if (limit && at - now > entry.maxWait) {
+        this.queue.splice(i, 1);
+        entry.reject(this.limitError(entry, limit, at));
+      } else {
+        wakeAt = Math.min(wakeAt, at);
+        i++;
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), wakeAt - now);
+    }
+  }
+
+  /**
+   * When a queued request may start; `limit` names the rate limit holding it
+   * @private
+   */
+  readyAt({ resource, mutates }, now) {
+    if (this.pausedUntil > now) {
+      return { at: this.pausedUntil, limit: 'secondary' };
+    }
+
+    const pausedUntil = this.resourcePausedUntil.get(resource) || 0;
+    if (pausedUntil > now) {
+      return { at: pausedUntil, limit: 'primary' };
+    }
+
+    if (mutates) {
+      if (this.mutating) {
+        return { at: Infinity };
+      }
+      const next = this.lastMutation + this.config.mutationInterval;
+      if (next > now) {
+        return { at: next };
+      }
+    }
+
+    // Requests in flight will spend from the same budget
+    const snapshot = this.rateLimits.get(resource);
+    const inFlight = this.inFlight.get(resource) || 0;
+    const reserve = this.config.reserve[resource] || 0;
+    if (snapshot?.resetAt && snapshot.resetAt.getTime() > now && snapshot.remaining - inFlight <= reserve) {
+      return inFlight > 0 ? { at: Infinity } : { at: snapshot.resetAt.getTime(), limit: 'primary' };
+    }
+
+    return { at: now };
+  }
+
+  /**
+   * @private
+   */
+  start(entry) {
+    this.active++;
+    this.inFlight.set(entry.resource, (this.inFlight.get(entry.resource) || 0) + 1);
+    this.requestsByResource.set(entry.resource, (this.requestsByResource.get(entry.resource) || 0) + 1);
+    this.counters.requests++;
+    this.counters.waitTime += Date.now() - entry.queuedAt;
+    if (entry.mutates) {
+      this.mutating = true;
+      this.counters.mutations++;
+    }
+    entry.resolve();
+  }
+
+  /**
+   * @private
+   */
+  release(entry) {
+    this.active--;
+    this.inFlight.set(entry.resource, this.inFlight.get(entry.resource) - 1);
+    if (entry.mutates) {
+      this.mutating = false;
+      this.lastMutation = Date.now();
+    }
+    this.drain();
+  }
+
+  /**
+   * Hold requests back after a rate limit response
+   * @param {Error} error - Failed request error
+   */
+  observeError(error) {
+    this.rateLimits.update(error?.headers);
+
+    if (error instanceof SecondaryRateLimitError) {
+      this.counters.secondaryRateLimited++;
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + error.getRetryAfter());
+    } else if (error instanceof RateLimitError) {
+      this.counters.rateLimited++;
+      const until = Date.now() + error.getRetryAfter();
+      this.resourcePausedUntil.set(error.resource, Math.max(until, this.resourcePausedUntil.get(error.resource) || 0));
+    }
+  }
+
+  /**
+   * @private
+   */
+  limitError(entry, limit, at) {
+    const seconds = Math.ceil((at - Date.now()) / 1000);
+
+    if (limit === 'secondary') {
+      return new SecondaryRateLimitError(`Secondary rate limit: requests are held for another ${seconds}s`, {
+        retryAfter: seconds,
+        resource: entry.resource
+      });
+    }
+    return new RateLimitError(`Rate limit for ${entry.resource} is spent until ${new Date(at).toISOString()}`, {
+      reset: Math.ceil(at / 1000),
+      resource: entry.resource
+    });
+  }
+
+  /**
+   * Queue and rate limit state
+   *
+   * @returns {{ queued: number, active: number, requests: number, mutations: number,
+   *   failed: number, rateLimited: number, secondaryRateLimited: number, waitTime: number,
+   *   maxQueued: number, pausedUntil: Date|null, resources: Object<string, Object>}}
+   *   `waitTime` is the total time requests spent queued (ms); `resources` has
+   *   `requests`, `inFlight`, `limit`, `remaining`, `resetAt` and `pausedUntil` per resource
+   */
+  metrics() {
+    const now = Date.now();
+    const resources = {};
+    const names = new Set([...this.requestsByResource.keys(), ...Object.keys(this.rateLimits.getAll())]);
+
+    for (const resource of names) {
+      const snapshot = this.rateLimits.get(resource);
+      const pausedUntil = this.resourcePausedUntil.get(resource) || 0;
+      resources[resource] = {
+        requests: this.requestsByResource.get(resource) || 0,
+        inFlight: this.inFlight.get(resource) || 0,
+        limit: snapshot?.limit ?? null,
+        remaining: snapshot?.remaining ?? null,
+        resetAt: snapshot?.resetAt ?? null,
+        pausedUntil: pausedUntil > now ? new Date(pausedUntil) : null
+      };
+    }
+
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      ...this.counters,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil) : null,
+      resources
+    };
+  }
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    // Relative URLs share one scheduler
+    return { origin: '', hostname: '' };
+  }
+}
+
+/**
+ * Resolve a transport's `scheduler` option.
+ *
+ * Rate limits belong to a credential, so by default every transport sending
+ * the same Authorization header to the same host shares one scheduler.
+ * Writes to local servers are not spaced out.
+ *
+ * @param {boolean|Object|RequestScheduler} [option] - `false` to send
+ *   requests unscheduled, scheduler options for a private scheduler, an
+ *   instance, or `true`/undefined for the shared one
+ * @param {Object} [request] - Request picking the shared scheduler
+ * @param {string} [request.url] - Full request URL
+ * @param {string} [request.authorization] - Authorization header sent
+ * @returns {RequestScheduler|null}
+ */
+export function resolveScheduler(option, { url, authorization } = {}) {
+  if (option === false || option === null) {
+    return null;
+  }
+  if (option instanceof RequestScheduler) {
+    return option;
+  }
+  if (option !== undefined && option !== true) {
+    return new RequestScheduler(option);
+  }
+
+  const { origin, hostname } = parseUrl(url);
+  const identity = authorization
+    ? crypto.createHash('sha256').update(authorization).digest('hex').slice(0, 12)
+    : 'anonymous';
+  const key = `${origin} ${identity}`;
+
+  if (!schedulers.has(key)) {
+    schedulers.set(key, new RequestScheduler(LOCAL_HOSTS.includes(hostname) ? { mutationInterval: 0 } : {}));
+  }
+  return schedulers.get(key);
+}
+
+/**
+ * Metrics of every shared scheduler, keyed by host and a fingerprint of
+ * the credential (never the credential itself)
+ *
+ * @returns {Object<string, ReturnType<RequestScheduler['metrics']>>}
+ */
+export function getSchedulerMetrics() {
+  return Object.fromEntries([...schedulers].map(([key, scheduler]) => [key, scheduler.metrics()]));
+}
+
+/**
+ * Forget the shared schedulers and their rate limit state (for tests)
+ */
+export function resetSchedulers() {
+  for (const scheduler of schedulers.values()) {
+    clearTimeout(scheduler.timer);
+  }
+  schedulers.clear();
+}
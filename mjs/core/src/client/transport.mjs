@@ -0,0 +1,543 @@
+/**
+ * @fileoverview Shared HTTP transport for every GitHub SDK package
+ * @module transport
+ */
+
+import { resolveAuditLog } from './audit.mjs';
+import { createAuthStrategy } from './auth.mjs';
+import { CassetteError, resolveCassette } from './cassette.mjs';
+import { DryRun, resolveDryRun } from './dryRun.mjs';
+import { endpointTemplate, resolveInstrumentation } from './instrumentation.mjs';
+import { resolveScheduler, resourceForUrl } from './scheduler.mjs';
+import { SchemaValidationError, resolveValidator } from '../openapi/validator.mjs';
+import { ErrorFactory, NetworkError, RateLimitError, SecondaryRateLimitError, ServerError, TimeoutError } from '../utils/errors.mjs';
+import { parseLinkHeader, extractItems } from '../utils/pagination.mjs';
+import { RateLimitTracker, parseRateLimitHeaders } from '../utils/rateLimit.mjs';
+import { computeBackoff, sleep } from '../utils/retry.mjs';
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_CONFIG = {
+  baseUrl: 'https://api.github.com',
+  timeout: 10000,
+  userAgent: '@github-api/core/1.0.0',
+  accept: 'application/vnd.github+json',
+  apiVersion: '2022-11-28',
+  authScheme: 'Bearer',
+  retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  maxRateLimitWait: 60000
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Ties the events of one request together
+let lastRequestId = 0;
+
+/**
+ * HTTP transport with auth header injection, retries with backoff,
+ * rate limit tracking and scheduling, Link-header pagination and
+ * request lifecycle hooks.
+ *
+ * Every request resolves to a normalized response:
+ * `{ data, status, headers, url, pagination, rateLimit, raw }`.
+ *
+ * @example
+ * ```javascript
+ * import { Transport } from '@github-api/core';
+ *
+ * const transport = new Transport({ auth: process.env.GITHUB_TOKEN });
+ * const { data } = await transport.get('/repos/octocat/Hello-World');
+ *
+ * for await (const issue of transport.paginate('/repos/octocat/Hello-World/issues')) {
+ *   console.log(issue.title);
+ * }
+ * ```
+ */
+export class Transport {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string|Function|Object} [options.auth] - Token, header resolver or object with getAuthHeader()
+   * @param {string} [options.token] - Alias for a plain token `auth`
+   * @param {string} [options.baseUrl] - GitHub API base URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {string} [options.userAgent] - User-Agent header
+   * @param {string} [options.accept] - Default Accept header
+   * @param {string} [options.authScheme] - Scheme for bare tokens ('Bearer' or 'token')
+   * @param {Object} [options.headers] - Extra default headers
+   * @param {number} [options.retries] - Retries after the first attempt
+   * @param {number} [options.retryDelay] - Base backoff delay (ms)
+   * @param {number} [options.maxRetryDelay] - Backoff ceiling (ms)
+   * @param {number} [options.maxRateLimitWait] - Longest rate limit reset worth waiting for (ms)
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   * @param {Function} [options.mapError] - Converts transport errors into package errors
+   * @param {string|Object|false} [options.cassette] - Record/replay cassette path or `{ path, mode }`
+   *   (default: GITHUB_CASSETTE / GITHUB_CASSETTE_MODE)
+   * @param {string|Object|false} [options.validate] - Check requests and responses against the OpenAPI
+   *   specs: 'warn' or 'strict' (default: GITHUB_VALIDATE)
+   * @param {boolean|Object|DryRun} [options.dryRun] - Print write requests and answer them
+   *   locally instead of sending them: `true`, `{ log, respond }` or a shared `DryRun`
+   *   (default: GITHUB_DRY_RUN)
+   * @param {boolean|string|Object|AuditLog} [options.audit] - Log write requests to a rotating
+   *   JSONL file: `true`, a path, `{ path, maxSize, maxFiles, profile }`, a shared `AuditLog` or
+   *   `false` (default: GITHUB_AUDIT_LOG, else ~/.config/github-api/audit.jsonl)
+   * @param {boolean|Object|RequestScheduler} [options.scheduler] - Queue requests within GitHub's
+   *   concurrency, write and rate limits: `false` to opt out, scheduler options or a
+   *   `RequestScheduler` of its own (default: shared by every transport using the same credential)
+   * @param {Object|Object[]|Instrumentation|false} [options.instrumentation] - Hooks called with
+   *   `onRequest`, `onResponse`, `onRetry`, `onRateLimit` and `onError` events, or `false` to
+   *   report to nobody (default: the hooks added with addInstrumentation())
+   */
+  constructor(options = {}) {
+    const { auth, token, fetch, mapError, headers, cassette, validate, dryRun, audit, scheduler, instrumentation, ...config } = options;
+
+    this.config = { ...DEFAULT_CONFIG };
+    for (const [key, value] of Object.entries(config)) {
+      if (value !== undefined) {
+        this.config[key] = value;
+      }
+    }
+
+    this.headers = { ...headers };
+    this.fetch = fetch || null;
+    this.mapError = mapError || (error => error);
+    this.cassette = resolveCassette(cassette);
+    this.validator = resolveValidator(validate);
+    // Left undefined to read GITHUB_DRY_RUN per request, so a CLI's --dry-run
+    // reaches transports built when their module was imported
+    this.dryRun = dryRun === undefined ? undefined : resolveDryRun(dryRun);
+    this.audit = audit === undefined ? undefined : resolveAuditLog(audit);
+    // Left undefined to pick the shared scheduler of the credential each request sends
+    this.scheduler = scheduler === undefined || scheduler === true ? undefined : resolveScheduler(scheduler);
+    this.instrumentation = resolveInstrumentation(instrumentation);
+    this.rateLimits = new RateLimitTracker();
+    this.setAuth(auth ?? token);
+  }
+
+  /**
+   * Replace the auth source used for subsequent requests
+   * @param {string|Function|Object|null} auth - Auth source
+   */
+  setAuth(auth) {
+    this.auth = auth || null;
+    this.resolveAuthHeader = createAuthStrategy(this.auth, { scheme: this.config.authScheme });
+  }
+
+  /**
+   * Build full URL from a path and query parameters
+   * @param {string} path - Endpoint path or absolute URL
+   * @param {Object} [params] - Query parameters
+   * @returns {string}
+   */
+  buildUrl(path, params) {
+    let url = /^https?:\/\//.test(path)
+      ? path
+      : `${this.config.baseUrl.replace(/\/$/, '')}${path.startsWith('/') ? path : `/${path}`}`;
+
+    if (params) {
+      const search = new URLSearchParams();
+      for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        search.append(key, Array.isArray(value) ? value.join(',') : String(value));
+      }
+      const query = search.toString();
+      if (query) {
+        url += (url.includes('?') ? '&' : '?') + query;
+      }
+    }
+
+    return url;
+  }
+
+  /**
+   * Build request headers, injecting Authorization
+   * @param {Object} [headers] - Per-request headers
+   * @param {boolean} [withAuth=true] - Include the Authorization header
+   * @returns {Promise<Object>}
+   */
+  async buildHeaders(headers = {}, withAuth = true) {
+    const result = {
+      'Accept': this.config.accept,
+      'User-Agent': this.config.userAgent,
+      ...this.headers
+    };
+
+    if (this.config.apiVersion) {
+      result['X-GitHub-Api-Version'] = this.config.apiVersion;
+    }
+
+    if (withAuth) {
+      const authHeader = await this.resolveAuthHeader();
+      if (authHeader) {
+        result['Authorization'] = authHeader;
+      }
+    }
+
+    return { ...result, ...headers };
+  }
+
+  /**
+   * Make HTTP request
+   * @param {Object} options - Request options
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {string} options.url - Endpoint path or absolute URL (`path` is accepted too)
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.headers] - Extra headers
+   * @param {*} [options.body] - Request body (objects are JSON encoded)
+   * @param {number} [options.timeout] - Per-request timeout
+   * @param {number} [options.retries] - Per-request retry count
+   * @param {boolean} [options.auth=true] - Send the Authorization header
+   * @param {boolean} [options.mutates] - Whether the request changes state, for dry-run
+   *   and the audit log (default: any method but GET, HEAD and OPTIONS)
+   * @returns {Promise<Object>} Normalized response
+   */
+  async request(options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const url = this.buildUrl(options.url || options.path, options.params);
+    const retries = options.retries ?? this.config.retries;
+
+    const init = {
+      method,
+      headers: await this.buildHeaders(options.headers, options.auth !== false)
+    };
+
+    if (options.body !== undefined && options.body !== null && BODY_METHODS.includes(method)) {
+      if (typeof options.body === 'object' && !Buffer.isBuffer(options.body)) {
+        init.body = JSON.stringify(options.body);
+        init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+      } else {
+        init.body = options.body;
+      }
+    }
+
+    const timeout = options.timeout || this.config.timeout;
+    const operation = this.validator?.match(method, url, this.config.baseUrl);
+
+    // Schema problems are development feedback: never mapped, never retried
+    if (operation) {
+      this.validator.report(operation, this.validator.validateRequest(operation, { url, body: options.body }), { method, url });
+    }
+
+    const mutates = options.mutates ?? DryRun.mutates(method);
+    const dryRun = this.dryRun === undefined ? resolveDryRun() : this.dryRun;
+    if (dryRun && mutates) {
+      return dryRun.intercept({ method, url, body: options.body });
+    }
+
+    const audit = mutates ? (this.audit === undefined ? resolveAuditLog() : this.audit) : null;
+    const scheduler = this.getScheduler(url, init.headers['Authorization']);
+    const schedule = { url, mutates, maxWait: this.config.maxRateLimitWait };
+    const events = this.startEvents(method, url, mutates);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = scheduler
+          ? await scheduler.schedule(() => this.send(url, init, timeout), schedule)
+          : await this.send(url, init, timeout);
+        audit?.record({ method, url, body: options.body, status: response.status, data: response.data });
+        if (operation) {
+          this.validator.report(operation, this.validator.validateResponse(operation, response), { method, url });
+        }
+        events?.emit('onResponse', {
+          status: response.status,
+          attempts: attempt + 1,
+          rateLimit: response.rateLimit,
+          headers: response.headers
+        });
+        return response;
+      } catch (error) {
+        const failed = { status: error.status ?? null, attempts: attempt + 1, rateLimit: parseRateLimitHeaders(error.headers), error };
+        if (error instanceof RateLimitError) {
+          events?.emit('onRateLimit', {
+            ...failed,
+            kind: error instanceof SecondaryRateLimitError ? 'secondary' : 'primary',
+            wait: error.getRetryAfter()
+          });
+        }
+
+        // Cassette misses and strict schema failures are setup problems, surface them untouched
+        if (error instanceof CassetteError || error instanceof SchemaValidationError) {
+          events?.emit('onError', failed);
+          throw error;
+        }
+        const delay = attempt < retries ? this.getRetryDelay(error, attempt + 1) : null;
+        if (delay === null) {
+          audit?.record({ method, url, body: options.body, status: error.status ?? null, error });
+          events?.emit('onError', failed);
+          throw this.mapError(error);
+        }
+        events?.emit('onRetry', { ...failed, retry: attempt + 1, delay });
+        if (delay > 0) {
+          await sleep(delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Announce a request to the instrumentation hooks. Later events of the
+   * request carry the same `id`, `method`, `url`, `endpoint`, `resource`,
+   * `mutates` and `startTime`, plus `duration` so far (ms).
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {boolean} mutates - Whether the request is a write
+   * @returns {{ emit: Function }|null} Emits the request's later events, or null when nobody listens
+   */
+  startEvents(method, url, mutates) {
+    const instrumentation = this.instrumentation;
+    if (!instrumentation?.active) {
+      return null;
+    }
+
+    const request = {
+      id: ++lastRequestId,
+      method,
+      url,
+      endpoint: endpointTemplate(method, url, this.config.baseUrl),
+      resource: resourceForUrl(url),
+      mutates,
+      startTime: Date.now()
+    };
+    const started = performance.now();
+    instrumentation.emit('onRequest', request);
+
+    return {
+      emit: (event, details) => instrumentation.emit(event, {
+        ...request,
+        ...details,
+        duration: performance.now() - started
+      })
+    };
+  }
+
+  /**
+   * Scheduler a request goes through. Replayed requests never reach GitHub,
+   * so they are not scheduled.
+   * @param {string} url - Full URL
+   * @param {string} [authorization] - Authorization header sent
+   * @returns {RequestScheduler|null}
+   */
+  getScheduler(url, authorization) {
+    if (this.cassette?.mode === 'replay') {
+      return null;
+    }
+    return this.scheduler === undefined ? resolveScheduler(undefined, { url, authorization }) : this.scheduler;
+  }
+
+  /**
+   * Perform a single attempt
+   * @param {string} url - Full URL
+   * @param {Object} init - fetch init
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Object>} Normalized response
+   */
+  async send(url, init, timeout) {
+    const request = { method: init.method, url };
+    const fetchImpl = this.cassette
+      ? this.cassette.wrap(this.fetch || globalThis.fetch)
+      : this.fetch || globalThis.fetch;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    let raw;
+    try {
+      raw = await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error instanceof CassetteError) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        throw new TimeoutError(timeout, { request, cause: error });
+      }
+      throw ErrorFactory.fromNetworkError(error, request);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const headers = normalizeHeaders(raw.headers);
+    const data = await parseBody(raw, init.method);
+    const status = raw.status ?? (raw.ok ? 200 : 0);
+    const rateLimit = this.rateLimits.update(headers);
+
+    // 304 Not Modified is a successful conditional request, not a failure
+    if (status >= 400 || (raw.ok === false && status !== 304)) {
+      throw ErrorFactory.fromResponse({
+        status,
+        statusText: raw.statusText,
+        headers,
+        body: data,
+        request,
+        raw
+      });
+    }
+
+    return {
+      data,
+      status,
+      headers,
+      url,
+      pagination: parseLinkHeader(headers.link),
+      rateLimit,
+      raw
+    };
+  }
+
+  /**
+   * Decide whether and how long to wait before retrying
+   * @param {Error} error - Failed attempt error
+   * @param {number} retry - Retry number (1-based)
+   * @returns {number|null} Delay in ms, or null to give up
+   */
+  getRetryDelay(error, retry) {
+    if (error instanceof RateLimitError) {
+      // Without Retry-After, secondary limits back off from a minute upwards
+      const wait = error instanceof SecondaryRateLimitError && error.retryAfter === null
+        ? error.getRetryAfter() * Math.pow(2, retry - 1)
+        : error.getRetryAfter();
+      return wait <= this.config.maxRateLimitWait ? wait : null;
+    }
+
+    if (error instanceof NetworkError || error instanceof ServerError) {
+      return computeBackoff(retry, {
+        baseDelay: this.config.retryDelay,
+        maxDelay: this.config.maxRetryDelay
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Convenience methods for different HTTP verbs
+   */
+  async get(path, options = {}) {
+    return this.request({ ...options, method: 'GET', url: path });
+  }
+
+  async post(path, body, options = {}) {
+    return this.request({ ...options, method: 'POST', url: path, body });
+  }
+
+  async put(path, body, options = {}) {
+    return this.request({ ...options, method: 'PUT', url: path, body });
+  }
+
+  async patch(path, body, options = {}) {
+    return this.request({ ...options, method: 'PATCH', url: path, body });
+  }
+
+  async delete(path, options = {}) {
+    return this.request({ ...options, method: 'DELETE', url: path });
+  }
+
+  async head(path, options = {}) {
+    return this.request({ ...options, method: 'HEAD', url: path });
+  }
+
+  /**
+   * Iterate over every item of a paginated endpoint by following Link headers
+   * @param {string} path - Endpoint path
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.params] - Query parameters for the first page
+   * @param {number} [options.maxPages=Infinity] - Stop after this many pages
+   * @param {string} [options.itemsKey] - Property holding items on wrapped responses
+   * @returns {AsyncGenerator<*>}
+   */
+  async *paginate(path, options = {}) {
+    const { maxPages = Infinity, itemsKey, params, ...requestOptions } = options;
+    let url = path;
+    let pageParams = { per_page: 100, ...params };
+    let pages = 0;
+
+    while (url && pages < maxPages) {
+      const response = await this.get(url, { ...requestOptions, params: pageParams });
+      pages++;
+
+      for (const item of extractItems(response.data, itemsKey)) {
+        yield item;
+      }
+
+      // The next link already carries every query parameter
+      url = response.pagination.next;
+      pageParams = undefined;
+    }
+  }
+
+  /**
+   * Collect every item of a paginated endpoint
+   * @param {string} path - Endpoint path
+   * @param {Object} [options] - Same as paginate()
+   * @returns {Promise<Array>}
+   */
+  async paginateAll(path, options = {}) {
+    const items = [];
+    for await (const item of this.paginate(path, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Latest rate limit snapshot seen for a resource
+   * @param {string} [resource='core'] - Rate limit resource
+   * @returns {Object|null}
+   */
+  getRateLimit(resource = 'core') {
+    return this.rateLimits.get(resource);
+  }
+}
+
+/**
+ * Convert fetch Headers (or a header-like object) into a plain lower-cased object
+ * @param {Headers|Object} headers
+ * @returns {Object}
+ */
+export function normalizeHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+
+  const entries = typeof headers.entries === 'function'
+    ? Array.from(headers.entries())
+    : Object.entries(headers);
+
+  return Object.fromEntries(entries.map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Parse a response body according to its content type
+ * @param {Response} raw - fetch response
+ * @param {string} method - Request method
+ * @returns {Promise<*>}
+ */
+async function parseBody(raw, method) {
+  if (method === 'HEAD' || raw.status === 204 || raw.status === 304) {
+    return null;
+  }
+
+  const contentType = raw.headers?.get?.('content-type') || '';
+
+  if (contentType.includes('json')) {
+    const text = await raw.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  const text = await raw.text();
+  return text === '' ? null : text;
+}
+
+/**
+ * Create transport with default configuration
+ */
+export function createTransport(options = {}) {
+  return new Transport(options);
+}
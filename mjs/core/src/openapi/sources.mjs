@@ -0,0 +1,641 @@
+/**
+ * @fileoverview Lightweight scanner for package sources: exports, classes,
+ * functions and their JSDoc, enough to declare them in TypeScript
+ * @module openapi/sources
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const PAIRS = { '{': '}', '(': ')', '[': ']' };
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'in', 'of', 'delete', 'void', 'throw', 'new', 'yield', 'await']);
+
+function skipString(text, i) {
+  const quote = text[i];
+  i++;
+  while (i < text.length && text[i] !== quote) {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+function skipTemplate(text, i) {
+  i++;
+  while (i < text.length && text[i] !== '`') {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === '$' && text[i + 1] === '{') {
+      i = matchBracket(text, i + 1) + 1;
+    } else {
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+// A `/` opening a line is a regex: what precedes it may be a line comment
+function isRegexStart(text, i) {
+  let j = i - 1;
+  while (j >= 0 && /\s/.test(text[j])) {
+    if (text[j] === '\n') {
+      return true;
+    }
+    j--;
+  }
+  if (j < 0 || '(,=:[!&|?{};+-*%<>~^'.includes(text[j])) {
+    return true;
+  }
+  const word = text.slice(Math.max(0, j - 10), j + 1).match(/[A-Za-z_$]+$/)?.[0];
+  return REGEX_KEYWORDS.has(word);
+}
+
+function skipRegex(text, i) {
+  let inClass = false;
+  i++;
+  while (i < text.length && text[i] !== '\n') {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === ']') {
+      inClass = false;
+    } else if (ch === '/' && !inClass) {
+      i++;
+      break;
+    }
+    i++;
+  }
+  while (/[a-z]/i.test(text[i] || '')) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Skip a comment, string, template or regex literal starting at `i`
+ * @param {string} text - Source text
+ * @param {number} i - Index to look at
+ * @returns {number} Index after it, or -1 when `i` starts none of them
+ */
+export function skipLiteral(text, i) {
+  const ch = text[i];
+  if (ch === '/' && text[i + 1] === '/') {
+    const end = text.indexOf('\n', i);
+    return end < 0 ? text.length : end;
+  }
+  if (ch === '/' && text[i + 1] === '*') {
+    const end = text.indexOf('*/', i + 2);
+    return end < 0 ? text.length : end + 2;
+  }
+  if (ch === '"' || ch === "'") {
+    return skipString(text, i);
+  }
+  if (ch === '`') {
+    return skipTemplate(text, i);
+  }
+  if (ch === '/' && isRegexStart(text, i)) {
+    return skipRegex(text, i);
+  }
+  return -1;
+}
+
+/**
+ * Find the bracket closing the one at `open`, skipping strings, templates,
+ * comments and regex literals
+ *
+ * @param {string} text - Source text
+ * @param {number} open - Index of `{`, `(` or `[`
+ * @returns {number} Index of the closing bracket, or the text length when
+ * it is unbalanced so scanning always moves forward
+ */
+export function matchBracket(text, open) {
+  const stack = [PAIRS[text[open]]];
+  let i = open + 1;
+
+  while (i < text.length) {
+    const skipped = skipLiteral(text, i);
+    if (skipped >= 0) {
+      i = skipped;
+      continue;
+    }
+
+    const ch = text[i];
+    if (PAIRS[ch]) {
+      stack.push(PAIRS[ch]);
+    } else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+    i++;
+  }
+
+  return text.length;
+}
+
+/**
+ * Split on a separator at bracket depth 0
+ * @param {string} text - Source text
+ * @param {string} separator - Single character
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+export function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const skipped = skipLiteral(text, i);
+    if (skipped >= 0) {
+      i = skipped;
+      continue;
+    }
+    if (PAIRS[text[i]]) {
+      i = matchBracket(text, i) + 1;
+      continue;
+    }
+    if (text[i] === separator) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  parts.push(text.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a parameter list
+ * @param {string} text - Text between the parentheses
+ * @returns {Array<{ name: string|null, optional: boolean, rest: boolean, fields?: string[] }>}
+ *   Destructured parameters have a null name and list their `fields`
+ */
+export function parseParams(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '');
+  return splitTopLevel(code).map((part) => {
+    const rest = part.startsWith('...');
+    const [target, ...defaults] = splitTopLevel(part.replace(/^\.\.\./, ''), '=');
+    const optional = defaults.length > 0;
+
+    if (target.startsWith('{') || target.startsWith('[')) {
+      const fields = splitTopLevel(target.slice(1, -1))
+        .map(field => field.replace(/^\.\.\./, '').split(/[:=]/)[0].trim())
+        .filter(Boolean);
+      return { name: null, optional, rest, fields };
+    }
+
+    return { name: target, optional, rest };
+  });
+}
+
+/**
+ * Read a `{type}` expression that may itself contain braces
+ * @returns {{ type: string, rest: string }|null}
+ */
+function readBracedType(text) {
+  if (!text.startsWith('{')) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a JSDoc block
+ * @param {string} [comment] - Comment text including the delimiters
+ * @returns {{ description: string, params: Array<Object>, returns: Object|null, type: string|null, deprecated: boolean }}
+ */
+export function parseJsDoc(comment) {
+  const result = { description: '', params: [], returns: null, type: null, deprecated: false };
+  if (!comment) {
+    return result;
+  }
+
+  const lines = comment
+    .replace(/^\/\*\*/, '')
+    .replace(/\*\/$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').trimEnd());
+
+  const description = [];
+  let tag = null;
+
+  for (const line of lines) {
+    if (line.startsWith('@')) {
+      tag = line;
+      const [, name, body = ''] = line.match(/^@(\w+)\s*(.*)$/) || [];
+      const braced = readBracedType(body);
+
+      if (name === 'param' || name === 'arg' || name === 'argument') {
+        const rest = braced ? braced.rest : body;
+        const match = rest.match(/^(\[[^\]]+\]|\S+)\s*(?:-\s*)?(.*)$/);
+        if (match) {
+          const optional = match[1].startsWith('[');
+          const [paramName, defaultValue] = match[1].replace(/^\[|\]$/g, '').split('=');
+          result.params.push({
+            name: paramName.trim(),
+            type: braced?.type || null,
+            optional: optional || Boolean(braced?.type.endsWith('=')),
+            defaultValue: defaultValue?.trim(),
+            description: match[2]
+          });
+        }
+      } else if (name === 'returns' || name === 'return' || name === 'yields') {
+        result.returns = { type: braced?.type || null, description: braced ? braced.rest : body, yields: name === 'yields' };
+      } else if (name === 'type') {
+        result.type = braced?.type || null;
+      } else if (name === 'deprecated') {
+        result.deprecated = true;
+      }
+    } else if (!tag) {
+      description.push(line);
+    }
+  }
+
+  result.description = description.join('\n').trim();
+  return result;
+}
+
+const MEMBER = /^(static\s+)?(async\s+)?(\*\s*)?(?:(get|set)\s+)?(#?[A-Za-z_$][\w$]*)\s*\(/;
+
+/**
+ * Scan the members of a class body
+ * @param {string} body - Text between the class braces
+ * @returns {Array<Object>} `{ name, kind, static, async, generator, params, body, doc }`
+ */
+function scanClassBody(body) {
+  const members = [];
+  let doc = null;
+  let i = 0;
+
+  while (i < body.length) {
+    if (/\s/.test(body[i])) {
+      i++;
+      continue;
+    }
+    if (body.startsWith('/**', i)) {
+      const end = body.indexOf('*/', i) + 2;
+      doc = body.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (body.startsWith('//', i) || body.startsWith('/*', i)) {
+      i = skipLiteral(body, i);
+      continue;
+    }
+
+    const match = body.slice(i).match(MEMBER);
+    if (match) {
+      const paramsOpen = i + match[0].length - 1;
+      const paramsClose = matchBracket(body, paramsOpen);
+      const bodyOpen = body.indexOf('{', paramsClose);
+      const bodyClose = matchBracket(body, bodyOpen);
+
+      members.push({
+        name: match[5],
+        kind: match[4] || (match[5] === 'constructor' ? 'constructor' : 'method'),
+        static: Boolean(match[1]),
+        async: Boolean(match[2]),
+        generator: Boolean(match[3]),
+        params: parseParams(body.slice(paramsOpen + 1, paramsClose)),
+        body: body.slice(bodyOpen + 1, bodyClose),
+        doc
+      });
+      doc = null;
+      i = bodyClose + 1;
+      continue;
+    }
+
+    // Class fields and static blocks: skip to the end of the statement
+    const field = body.slice(i).match(/^(static\s+)?(#?[A-Za-z_$][\w$]*)\s*(=|;|\n)/);
+    if (field && !field[2].startsWith('#')) {
+      members.push({ name: field[2], kind: 'field', static: Boolean(field[1]), doc });
+    }
+    doc = null;
+    while (i < body.length && body[i] !== ';' && body[i] !== '\n') {
+      const skipped = skipLiteral(body, i);
+      if (skipped >= 0) {
+        i = skipped;
+      } else if (PAIRS[body[i]]) {
+        i = matchBracket(body, i) + 1;
+      } else {
+        i++;
+      }
+    }
+    i++;
+  }
+
+  return members;
+}
+
+function parseSpecifiers(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '');
+  return splitTopLevel(code).map((part) => {
+    const [imported, local = imported] = part.split(/\s+as\s+/).map(name => name.trim());
+    return { imported, local };
+  });
+}
+
+/**
+ * Scan the top level of an ES module
+ *
+ * @param {string} text - Module source
+ * @returns {{ imports: Map<string, Object>, declarations: Map<string, Object>, exports: Array<Object> }}
+ *   `imports` maps local names to `{ source, imported }` (`imported` is 'default', '*' or a name);
+ *   `exports` entries are `{ exported, local }`, `{ exported, source, imported }` or `{ star: true, source }`
+ */
+export function scanModule(text) {
+  const imports = new Map();
+  const declarations = new Map();
+  const exports = [];
+  let doc = null;
+  let i = 0;
+
+  const declare = (declaration, exported) => {
+    declarations.set(declaration.name, declaration);
+    if (exported) {
+      exports.push({ exported: exported === 'default' ? 'default' : declaration.name, local: declaration.name });
+    }
+  };
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    if (text.startsWith('/**', i)) {
+      const end = text.indexOf('*/', i) + 2;
+      doc = text.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (text.startsWith('//', i) || text.startsWith('/*', i) || text.startsWith('#!', i)) {
+      i = text.startsWith('#!', i) ? text.indexOf('\n', i) : skipLiteral(text, i);
+      continue;
+    }
+
+    const rest = text.slice(i);
+    let match;
+
+    if ((match = rest.match(/^import\s+([\s\S]*?)\s+from\s+(['"])([^'"]+)\2\s*;?/))) {
+      const clause = match[1];
+      const source = match[3];
+      const namespace = clause.match(/\*\s+as\s+([\w$]+)/);
+      const named = clause.match(/\{([\s\S]*)\}/);
+      const defaultName = clause.match(/^([\w$]+)/);
+
+      if (namespace) {
+        imports.set(namespace[1], { source, imported: '*' });
+      }
+      if (named) {
+        for (const { imported, local } of parseSpecifiers(named[1])) {
+          imports.set(local, { source, imported });
+        }
+      }
+      if (defaultName) {
+        imports.set(defaultName[1], { source, imported: 'default' });
+      }
+      i += match[0].length;
+      doc = null;
+      continue;
+    }
+
+    if ((match = rest.match(/^export\s+\*\s+(?:as\s+([\w$]+)\s+)?from\s+(['"])([^'"]+)\2\s*;?/))) {
+      exports.push(match[1]
+        ? { exported: match[1], source: match[3], imported: '*' }
+        : { star: true, source: match[3] });
+      i += match[0].length;
+      doc = null;
+      continue;
+    }
+
+    if ((match = rest.match(/^export\s*\{([^}]*)\}\s*(?:from\s+(['"])([^'"]+)\2)?\s*;?/))) {
+      for (const { imported, local } of parseSpecifiers(match[1])) {
+        exports.push(match[3]
+          ? { exported: local, source: match[3], imported }
+          : { exported: local, local: imported });
+      }
+      i += match[0].length;
+      doc = null;
+      continue;
+    }
+
+    match = rest.match(/^(export\s+(default\s+)?)?class\s+([\w$]+)(?:\s+extends\s+([\w$.]+))?\s*\{/);
+    if (match) {
+      const open = i + match[0].length - 1;
+      const close = matchBracket(text, open);
+      declare({
+        kind: 'class',
+        name: match[3],
+        extends: match[4] || null,
+        doc,
+        members: scanClassBody(text.slice(open + 1, close))
+      }, match[1] && (match[2] ? 'default' : true));
+      i = close + 1;
+      doc = null;
+      continue;
+    }
+
+    match = rest.match(/^(export\s+(default\s+)?)?(async\s+)?function\s*(\*)?\s*([\w$]+)\s*\(/);
+    if (match) {
+      const paramsOpen = i + match[0].length - 1;
+      const paramsClose = matchBracket(text, paramsOpen);
+      const bodyOpen = text.indexOf('{', paramsClose);
+      const bodyClose = matchBracket(text, bodyOpen);
+      declare({
+        kind: 'function',
+        name: match[5],
+        async: Boolean(match[3]),
+        generator: Boolean(match[4]),
+        params: parseParams(text.slice(paramsOpen + 1, paramsClose)),
+        body: text.slice(bodyOpen + 1, bodyClose),
+        doc
+      }, match[1] && (match[2] ? 'default' : true));
+      i = bodyClose + 1;
+      doc = null;
+      continue;
+    }
+
+    match = rest.match(/^(export\s+)?(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*/);
+    if (match) {
+      const start = i + match[0].length;
+      let end = start;
+      while (end < text.length && text[end] !== ';' && !(text[end] === '\n' && /^\n\s*(export|import|const|let|var|function|class|\/\*\*)\b/.test(text.slice(end, end + 40)))) {
+        const skipped = skipLiteral(text, end);
+        if (skipped >= 0) {
+          end = skipped;
+        } else if (PAIRS[text[end]]) {
+          end = matchBracket(text, end) + 1;
+        } else {
+          end++;
+        }
+      }
+
+      const init = text.slice(start, end).trim();
+      const destructured = match[2].startsWith('{');
+      const names = destructured
+        ? parseSpecifiers(match[2].slice(1, -1)).map(({ local }) => local)
+        : [match[2]];
+
+      for (const name of names) {
+        // `const { a, b } = source`: `destructured` is the source expression
+        const declaration = destructured
+          ? { kind: 'const', name, init: null, destructured: init, doc }
+          : { kind: 'const', name, init, doc };
+        const arrow = init.match(/^(async\s+)?(?:\(([^)]*)\)|([\w$]+))\s*=>/);
+        if (arrow && !destructured) {
+          const bodyOpen = init.indexOf('{', arrow[0].length - 2);
+          Object.assign(declaration, {
+            kind: 'function',
+            async: Boolean(arrow[1]),
+            generator: false,
+            params: parseParams(arrow[2] ?? arrow[3]),
+            body: bodyOpen >= 0 ? init.slice(bodyOpen + 1, matchBracket(init, bodyOpen)) : init.slice(arrow[0].length)
+          });
+        }
+        declare(declaration, Boolean(match[1]));
+      }
+
+      i = end + 1;
+      doc = null;
+      continue;
+    }
+
+    if ((match = rest.match(/^export\s+default\s+/))) {
+      const start = i + match[0].length;
+      const name = text.slice(start).match(/^([\w$]+)\s*;?\s*(\n|$)/);
+      if (name) {
+        exports.push({ exported: 'default', local: name[1] });
+        i = start + name[0].length;
+      } else if (text[start] === '{') {
+        const close = matchBracket(text, start);
+        declarations.set('default', { kind: 'object', name: 'default', init: text.slice(start, close + 1), doc });
+        exports.push({ exported: 'default', local: 'default' });
+        i = close + 1;
+      } else {
+        i = start;
+      }
+      doc = null;
+      continue;
+    }
+
+    // Anything else: skip the statement
+    doc = null;
+    while (i < text.length && text[i] !== ';' && text[i] !== '\n') {
+      const skipped = skipLiteral(text, i);
+      if (skipped >= 0) {
+        i = skipped;
+      } else if (PAIRS[text[i]]) {
+        i = matchBracket(text, i) + 1;
+      } else {
+        i++;
+      }
+    }
+    i++;
+  }
+
+  return { imports, declarations, exports };
+}
+
+/**
+ * Scans modules on demand and follows relative imports and re-exports
+ */
+export class SourceGraph {
+  constructor() {
+    this.modules = new Map();
+  }
+
+  /**
+   * Scan a module, or null when the file is missing
+   * @param {string} file - Absolute path
+   * @returns {Object|null}
+   */
+  load(file) {
+    if (!this.modules.has(file)) {
+      this.modules.set(file, fs.existsSync(file) ? { file, ...scanModule(fs.readFileSync(file, 'utf8')) } : null);
+    }
+    return this.modules.get(file);
+  }
+
+  /**
+   * Resolve a specifier relative to a module
+   * @returns {string|null} Absolute path, or null for package imports
+   */
+  resolve(from, specifier) {
+    return specifier.startsWith('.') ? path.resolve(path.dirname(from), specifier) : null;
+  }
+
+  /**
+   * Everything a module exports, with re-exports followed
+   *
+   * @param {string} file - Absolute path
+   * @returns {Map<string, Object>} Exported name → `{ declaration, module }`, `{ namespace: file }`
+   *   or `{ missing: specifier }` when the defining file is not available
+   */
+  exportsOf(file, seen = new Set()) {
+    const result = new Map();
+    const module = this.load(file);
+    if (!module || seen.has(file)) {
+      return result;
+    }
+    seen.add(file);
+
+    for (const entry of module.exports) {
+      if (entry.star) {
+        const target = this.resolve(file, entry.source);
+        for (const [name, value] of (target ? this.exportsOf(target, seen) : new Map())) {
+          if (name !== 'default' && !result.has(name)) {
+            result.set(name, value);
+          }
+        }
+      } else if (entry.source) {
+        result.set(entry.exported, this.lookup(file, entry.source, entry.imported, seen));
+      } else {
+        result.set(entry.exported, this.local(module, entry.local, seen));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find what a local name in a module refers to
+   */
+  local(module, name, seen = new Set()) {
+    if (module.declarations.has(name)) {
+      return { declaration: module.declarations.get(name), module };
+    }
+    const imported = module.imports.get(name);
+    if (imported) {
+      return this.lookup(module.file, imported.source, imported.imported, seen);
+    }
+    return { missing: name };
+  }
+
+  lookup(from, specifier, imported, seen) {
+    const target = this.resolve(from, specifier);
+    if (!target) {
+      return { external: specifier, imported };
+    }
+    if (!this.load(target)) {
+      return { missing: specifier, imported };
+    }
+    if (imported === '*') {
+      return { namespace: target };
+    }
+    return this.exportsOf(target, new Set(seen)).get(imported) || { missing: specifier, imported };
+  }
+}
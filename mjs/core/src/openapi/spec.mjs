@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Loader and operation index for the per-domain OpenAPI specs in docs/
+ * @module openapi/spec
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * Environment variable pointing at a directory of `<group>.yaml` specs
+ */
+export const SPEC_DIR_ENV = 'GITHUB_OPENAPI_DIR';
+
+export const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Specs ship with the repository, next to the mjs/ workspace
+const DEFAULT_SPEC_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../../../docs/github-rest.v3.openapi.yaml.spec-grouping'
+);
+
+// Trailing parameters that may contain slashes (file paths, refs, "base...head")
+const GREEDY_PARAMS = ['path', 'ref', 'basehead', 'branch'];
+
+// Parsed documents by file path; each spec is a few hundred KB of YAML
+const documents = new Map();
+
+/**
+ * Directory holding the grouped specs
+ * @param {string} [dir] - Explicit directory
+ * @returns {string}
+ */
+export function getSpecDir(dir) {
+  return path.resolve(dir || process.env[SPEC_DIR_ENV] || DEFAULT_SPEC_DIR);
+}
+
+/**
+ * Names of the available spec groups (repos, pulls, issues, ...)
+ * @param {string} [dir] - Spec directory
+ * @returns {string[]}
+ */
+export function listSpecGroups(dir) {
+  return fs.readdirSync(getSpecDir(dir))
+    .filter(file => file.endsWith('.yaml'))
+    .map(file => file.slice(0, -'.yaml'.length))
+    .sort();
+}
+
+/**
+ * Parse one spec group. Documents are cached for the life of the process.
+ * @param {string} group - Group name, e.g. "repos"
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Spec directory
+ * @returns {Object} OpenAPI document
+ */
+export function loadSpec(group, options = {}) {
+  const file = path.join(getSpecDir(options.dir), `${group}.yaml`);
+
+  if (!documents.has(file)) {
+    // The upstream files repeat a few component keys; json mode keeps the last one
+    documents.set(file, yaml.load(fs.readFileSync(file, 'utf8'), { json: true }));
+  }
+
+  return documents.get(file);
+}
+
+/**
+ * Parse several spec groups
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Spec directory
+ * @param {string[]} [options.groups] - Groups to load (default: all)
+ * @returns {Map<string, Object>} Documents keyed by group
+ */
+export function loadSpecs(options = {}) {
+  const groups = options.groups || listSpecGroups(options.dir);
+  return new Map(groups.map(group => [group, loadSpec(group, options)]));
+}
+
+/**
+ * Follow local `$ref`s (`#/components/...`) until a concrete value is reached
+ * @param {Object} doc - OpenAPI document the value belongs to
+ * @param {*} value - Possibly a `{ $ref }` object
+ * @returns {*}
+ */
+export function resolveRef(doc, value) {
+  let current = value;
+  const seen = new Set();
+
+  while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+    if (seen.has(current.$ref)) {
+      throw new Error(`Circular $ref: ${current.$ref}`);
+    }
+    seen.add(current.$ref);
+    current = resolvePointer(doc, current.$ref);
+  }
+
+  return current;
+}
+
+/**
+ * Look up a `#/a/b` JSON pointer inside a document
+ * @param {Object} doc - Document
+ * @param {string} pointer - Local reference
+ * @returns {*}
+ */
+export function resolvePointer(doc, pointer) {
+  if (!pointer.startsWith('#')) {
+    throw new Error(`Only local references are supported: ${pointer}`);
+  }
+
+  let current = doc;
+  for (const token of pointer.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    current = current?.[key];
+    if (current === undefined) {
+      throw new Error(`Unresolvable $ref: ${pointer}`);
+    }
+  }
+
+  return current;
+}
+
+function compileTemplate(template) {
+  const segments = template.split('/').filter(Boolean).map(segment => {
+    const match = segment.match(/^\{([^}]+)\}$/);
+    return match ? { param: match[1] } : { literal: segment };
+  });
+
+  return {
+    segments,
+    literals: segments.filter(segment => segment.literal !== undefined).length
+  };
+}
+
+function matchSegments(compiled, parts) {
+  const { segments } = compiled;
+  const last = segments[segments.length - 1];
+  const greedy = GREEDY_PARAMS.includes(last?.param) && parts.length > segments.length;
+
+  if (parts.length !== segments.length && !greedy) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment.literal !== undefined) {
+      if (segment.literal !== parts[i]) {
+        return null;
+      }
+      continue;
+    }
+
+    const value = greedy && i === segments.length - 1 ? parts.slice(i).join('/') : parts[i];
+    if (!value) {
+      return null;
+    }
+    params[segment.param] = decodeURIComponent(value);
+  }
+
+  return params;
+}
+
+/**
+ * Every operation of a set of specs, searchable by operationId or by a
+ * concrete request path.
+ *
+ * @example
+ * const index = new OperationIndex(loadSpecs({ groups: ['repos', 'pulls'] }));
+ * const match = index.match('GET', '/repos/octocat/Hello-World/pulls/1');
+ * // { operation: { operationId: 'pulls/get', ... }, params: { owner, repo, pull_number } }
+ */
+export class OperationIndex {
+  /**
+   * @param {Map<string, Object>|Object} specs - Documents keyed by group
+   */
+  constructor(specs) {
+    this.operations = [];
+    this.byId = new Map();
+
+    const entries = specs instanceof Map ? specs.entries() : Object.entries(specs);
+    for (const [group, doc] of entries) {
+      for (const [template, pathItem] of Object.entries(doc.paths || {})) {
+        const compiled = compileTemplate(template);
+
+        for (const method of HTTP_METHODS) {
+          const operation = pathItem[method];
+          if (!operation) {
+            continue;
+          }
+
+          const entry = {
+            operationId: operation.operationId,
+            method: method.toUpperCase(),
+            path: template,
+            group,
+            doc,
+            operation,
+            parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])]
+              .map(parameter => resolveRef(doc, parameter)),
+            compiled
+          };
+
+          this.operations.push(entry);
+          if (entry.operationId) {
+            this.byId.set(entry.operationId, entry);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Look up an operation by its operationId
+   * @param {string} operationId - e.g. "repos/get"
+   * @returns {Object|undefined}
+   */
+  get(operationId) {
+    return this.byId.get(operationId);
+  }
+
+  /**
+   * Find the operation serving a request. Templates with more literal
+   * segments win, so `/gists/starred` beats `/gists/{gist_id}`.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path without query string
+   * @returns {{ operation: Object, params: Object }|null}
+   */
+  match(method, pathname) {
+    const verb = method.toUpperCase();
+    const parts = pathname.split('/').filter(Boolean);
+    let best = null;
+
+    for (const entry of this.operations) {
+      if (entry.method !== verb) {
+        continue;
+      }
+
+      const params = matchSegments(entry.compiled, parts);
+      if (!params) {
+        continue;
+      }
+
+      const exact = entry.compiled.segments.length === parts.length;
+      const score = (exact ? 1000 : 0) + entry.compiled.literals;
+      if (!best || score > best.score) {
+        best = { operation: entry, params, score };
+      }
+    }
+
+    return best && { operation: best.operation, params: best.params };
+  }
+
+  /**
+   * Whether any method is defined for a path (to tell 404 from 405)
+   * @param {string} pathname - Request path
+   * @returns {string[]} Allowed methods
+   */
+  allowedMethods(pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    return [...new Set(this.operations
+      .filter(entry => matchSegments(entry.compiled, parts))
+      .map(entry => entry.method))];
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Table of the endpoint templates in the OpenAPI specs, built
+ * ahead of time by gh-templates so transports can name endpoints without
+ * parsing megabytes of YAML on their first request
+ * @module openapi/templates
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { HTTP_METHODS, OperationIndex } from './spec.mjs';
+
+/**
+ * Generated table shipped with the package
+ */
+export const TEMPLATES_PATH = fileURLToPath(new URL('./templates.json', import.meta.url));
+
+/**
+ * Methods of every path template in a set of specs
+ *
+ * @param {Map<string, Object>|Object} specs - Documents keyed by group, as loadSpecs() returns them
+ * @returns {Object<string, string[]>} Template → upper-case methods, templates sorted
+ */
+export function buildTemplateTable(specs) {
+  const table = {};
+  const docs = specs instanceof Map ? [...specs.values()] : Object.values(specs);
+
+  for (const doc of docs) {
+    for (const [template, pathItem] of Object.entries(doc.paths || {})) {
+      const methods = new Set(table[template]);
+      for (const method of HTTP_METHODS) {
+        if (pathItem[method]) {
+          methods.add(method.toUpperCase());
+        }
+      }
+      table[template] = [...methods];
+    }
+  }
+
+  return Object.fromEntries(Object.keys(table).sort().map(template => [
+    template,
+    table[template].sort((a, b) => HTTP_METHODS.indexOf(a.toLowerCase()) - HTTP_METHODS.indexOf(b.toLowerCase()))
+  ]));
+}
+
+/**
+ * JSON text of a table, one template per line so regenerations diff cleanly
+ * @param {Object<string, string[]>} table - Template table
+ * @returns {string}
+ */
+export function serializeTemplateTable(table) {
+  const lines = Object.entries(table).map(([template, methods]) => `  ${JSON.stringify(template)}: ${JSON.stringify(methods)}`);
+  return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+/**
+ * Operation index over the generated table. Its operations carry `method`
+ * and `path` only; use loadSpecs() for parameters and schemas.
+ *
+ * @param {string} [file] - Table to read (default: the one shipped with the package)
+ * @returns {OperationIndex|null} The index, or null when the table is missing
+ */
+export function loadTemplateIndex(file = TEMPLATES_PATH) {
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+
+  const paths = Object.fromEntries(Object.entries(table).map(([template, methods]) => [
+    template,
+    Object.fromEntries(methods.map(method => [method.toLowerCase(), {}]))
+  ]));
+  return new OperationIndex({ templates: { paths } });
+}
@@ -0,0 +1,1406 @@
+/**
+ * @fileoverview TypeScript declarations generated from the OpenAPI specs and
+ * the package sources. Request/response types come from the specs; class and
+ * function signatures come from the sources, with every method that calls a
+ * documented endpoint typed from that operation.
+ * @module openapi/typegen
+ */
+
+import path from 'path';
+import { resolveRef } from './spec.mjs';
+import { SourceGraph, parseJsDoc, matchBracket, splitTopLevel, skipLiteral } from './sources.mjs';
+
+const SCHEMA_REF = '#/components/schemas/';
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Helper methods that resolve to a GET of the path they are given
+const HTTP_VERBS = {
+  get: 'GET',
+  post: 'POST',
+  put: 'PUT',
+  patch: 'PATCH',
+  delete: 'DELETE',
+  fetchAllPages: 'GET'
+};
+
+// Parameter names that carry query options
+const OPTION_PARAMS = new Set(['options', 'params', 'query', 'filters', 'opts']);
+
+const JSDOC_TYPES = {
+  string: 'string',
+  String: 'string',
+  number: 'number',
+  Number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  Boolean: 'boolean',
+  bigint: 'bigint',
+  '*': 'any',
+  any: 'any',
+  mixed: 'any',
+  Object: 'Record<string, any>',
+  object: 'Record<string, any>',
+  Array: 'any[]',
+  Function: '(...args: any[]) => any',
+  function: '(...args: any[]) => any',
+  Promise: 'Promise<any>',
+  null: 'null',
+  undefined: 'undefined',
+  void: 'void',
+  Date: 'Date',
+  Error: 'Error',
+  RegExp: 'RegExp',
+  Buffer: 'Buffer',
+  URL: 'URL',
+  Map: 'Map<any, any>',
+  Set: 'Set<any>',
+  AbortSignal: 'AbortSignal',
+  Response: 'Response',
+  AsyncGenerator: 'AsyncGenerator<any>',
+  AsyncIterator: 'AsyncIterator<any>',
+  AsyncIterable: 'AsyncIterable<any>',
+  AsyncIterableIterator: 'AsyncIterableIterator<any>',
+  Generator: 'Generator<any>',
+  Iterable: 'Iterable<any>'
+};
+
+const GENERIC_GLOBALS = new Set(['Promise', 'AsyncGenerator', 'AsyncIterator', 'AsyncIterable', 'AsyncIterableIterator', 'Generator', 'Iterable', 'Map', 'Set']);
+
+/**
+ * `simple-user` → `SimpleUser`, `repos/list-for-org` → `ReposListForOrg`
+ * @param {string} value
+ * @returns {string}
+ */
+export function pascalCase(value) {
+  const name = String(value)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+function camelCase(value) {
+  const name = pascalCase(value);
+  return name[0].toLowerCase() + name.slice(1);
+}
+
+function snakeCase(value) {
+  return value.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Split a type expression on a separator outside brackets and generics
+ */
+function splitType(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ('<({['.includes(ch)) {
+      depth++;
+    } else if ('>)}]'.includes(ch) && text[i - 1] !== '=') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function parenthesize(type) {
+  return splitType(type, '|').length > 1 || splitType(type, '&').length > 1 || type.includes('=>') ? `(${type})` : type;
+}
+
+function union(types) {
+  const unique = [...new Set(types.flatMap(type => splitType(type, '|')))];
+  return unique.includes('any') ? 'any' : unique.join(' | ');
+}
+
+/**
+ * Format a doc comment
+ * @param {string|string[]} lines - Comment text
+ * @param {string} indent - Leading whitespace
+ * @returns {string} Comment followed by a newline, or '' when empty
+ */
+function docComment(lines, indent) {
+  const text = (Array.isArray(lines) ? lines : [lines])
+    .filter(line => line !== undefined && line !== null)
+    .join('\n')
+    .replace(/\*\//g, '*\\/')
+    .trim();
+
+  if (!text) {
+    return '';
+  }
+
+  const body = text.split('\n').map(line => line.trimEnd());
+  if (body.length === 1) {
+    return `${indent}/** ${body[0]} */\n`;
+  }
+  return `${indent}/**\n${body.map(line => `${indent} *${line ? ` ${line}` : ''}`).join('\n')}\n${indent} */\n`;
+}
+
+// First line of a spec description, without markdown links
+function summarize(text) {
+  return (text || '')
+    .split('\n')[0]
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .trim();
+}
+
+/**
+ * Convert a JSDoc type expression to TypeScript
+ *
+ * @param {string} type - JSDoc type, without braces
+ * @param {Set<string>} [known] - Type names declared in the output
+ * @returns {string}
+ */
+export function jsdocToTs(type, known = new Set()) {
+  if (!type) {
+    return 'any';
+  }
+
+  let text = type.trim().replace(/=$/, '');
+  if (text.startsWith('?')) {
+    return union([jsdocToTs(text.slice(1), known), 'null']);
+  }
+  if (text.startsWith('!')) {
+    text = text.slice(1);
+  }
+  if (text.startsWith('(') && text.endsWith(')') && splitType(text.slice(1, -1), '|').length > 0) {
+    text = text.slice(1, -1);
+  }
+
+  const variants = splitType(text, '|');
+  if (variants.length > 1) {
+    return union(variants.map(variant => jsdocToTs(variant, known)));
+  }
+
+  if (text.endsWith('[]')) {
+    return `${parenthesize(jsdocToTs(text.slice(0, -2), known))}[]`;
+  }
+
+  const generic = text.match(/^([\w$.]+?)\.?<(.*)>$/);
+  if (generic) {
+    const [, name, args] = generic;
+    const list = splitType(args, ',').map(arg => jsdocToTs(arg, known));
+    if (name === 'Array') {
+      return `${parenthesize(list[0] || 'any')}[]`;
+    }
+    if (name === 'Object' || name === 'object' || name === 'Record') {
+      return `Record<${list.length > 1 && list[0] === 'number' ? 'number' : 'string'}, ${list[list.length - 1]}>`;
+    }
+    if (GENERIC_GLOBALS.has(name) || known.has(name)) {
+      return `${name}<${list.join(', ')}>`;
+    }
+    return 'any';
+  }
+
+  if (text.startsWith('{') && text.endsWith('}')) {
+    const fields = splitType(text.slice(1, -1), ',').map((field) => {
+      const [name, ...rest] = field.split(':');
+      const key = name.trim().replace(/\?$/, '');
+      const optional = name.trim().endsWith('?') || rest.join(':').trim().endsWith('=');
+      return `${propertyKey(key)}${optional ? '?' : ''}: ${jsdocToTs(rest.join(':'), known)}`;
+    });
+    return fields.length ? `{ ${fields.join('; ')} }` : 'Record<string, any>';
+  }
+
+  if (/^(['"]).*\1$/.test(text)) {
+    return `'${text.slice(1, -1).replace(/'/g, "\\'")}'`;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text) || text === 'true' || text === 'false') {
+    return text;
+  }
+  if (JSDOC_TYPES[text]) {
+    return JSDOC_TYPES[text];
+  }
+
+  return known.has(text) ? text : 'any';
+}
+
+/**
+ * Collects TypeScript declarations for spec schemas and operations
+ */
+export class TypeRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Iterable<string>} [options.reserved] - Names taken by source declarations
+   */
+  constructor(options = {}) {
+    this.reserved = new Set(options.reserved || []);
+    this.schemaNames = new Map();
+    this.schemas = new Map();
+    this.operations = new Map();
+    this.operationTypes = new Map();
+  }
+
+  uniqueName(base) {
+    const taken = name => this.reserved.has(name) || this.schemas.has(name) || this.operations.has(name);
+    if (!taken(base)) {
+      return base;
+    }
+    let name = `${base}Schema`;
+    for (let n = 2; taken(name); n++) {
+      name = `${base}Schema${n}`;
+    }
+    return name;
+  }
+
+  /**
+   * Name of the declaration for a component schema, declaring it on first use
+   * @param {Object} doc - OpenAPI document
+   * @param {string} ref - `#/components/schemas/...` reference
+   * @returns {string}
+   */
+  schemaName(doc, ref) {
+    const key = ref.slice(SCHEMA_REF.length);
+    if (!this.schemaNames.has(key)) {
+      const name = this.uniqueName(pascalCase(key));
+      this.schemaNames.set(key, name);
+      // Reserve the name first so recursive schemas refer back to it
+      this.schemas.set(name, '');
+      this.schemas.set(name, this.declaration(name, doc, resolveRef(doc, { $ref: ref })));
+    }
+    return this.schemaNames.get(key);
+  }
+
+  /**
+   * TypeScript type for a schema
+   * @param {Object} doc - OpenAPI document
+   * @param {Object} schema - Schema or `$ref`
+   * @param {string} [indent] - Indentation of the line the type starts on
+   * @returns {string}
+   */
+  typeOf(doc, schema, indent = '') {
+    if (!schema) {
+      return 'any';
+    }
+    if (schema.$ref) {
+      return schema.$ref.startsWith(SCHEMA_REF)
+        ? this.schemaName(doc, schema.$ref)
+        : this.typeOf(doc, resolveRef(doc, schema), indent);
+    }
+
+    let type;
+    const variants = schema.oneOf || schema.anyOf;
+
+    if (schema.allOf) {
+      type = schema.allOf.map(part => parenthesize(this.typeOf(doc, part, indent))).join(' & ');
+    } else if (variants) {
+      type = union(variants.map(variant => this.typeOf(doc, variant, indent)));
+    } else if (schema.enum) {
+      type = union(schema.enum.map(value => (value === null ? 'null' : JSON.stringify(value).replace(/^"|"$/g, "'"))));
+    } else {
+      switch (schema.type || (schema.properties ? 'object' : undefined)) {
+        case 'string':
+          type = 'string';
+          break;
+        case 'integer':
+        case 'number':
+          type = 'number';
+          break;
+        case 'boolean':
+          type = 'boolean';
+          break;
+        case 'null':
+          type = 'null';
+          break;
+        case 'array':
+          type = `${parenthesize(this.typeOf(doc, schema.items, indent))}[]`;
+          break;
+        case 'object':
+          type = this.objectType(doc, schema, indent);
+          break;
+        default:
+          type = 'any';
+      }
+    }
+
+    return schema.nullable && type !== 'any' ? union([type, 'null']) : type;
+  }
+
+  objectType(doc, schema, indent) {
+    const inner = `${indent}  `;
+    const required = new Set(schema.required || []);
+    const lines = Object.entries(schema.properties || {}).map(([name, property]) => {
+      const description = property.$ref ? '' : summarize(property.description);
+      const deprecated = property.deprecated ? '@deprecated' : null;
+      return docComment([description, deprecated], inner) +
+        `${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${this.typeOf(doc, property, inner)};`;
+    });
+
+    const extra = schema.additionalProperties;
+    if (extra) {
+      const valueType = lines.length || extra === true ? 'any' : this.typeOf(doc, extra, inner);
+      lines.push(`${inner}[key: string]: ${valueType};`);
+    }
+
+    if (lines.length === 0) {
+      return extra === false ? '{}' : 'Record<string, any>';
+    }
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Declaration text for a named schema
+   */
+  declaration(name, doc, schema, description = schema?.description || schema?.title) {
+    const comment = docComment(summarize(description), '');
+    const isInterface = schema && !schema.nullable && !schema.allOf && !schema.oneOf && !schema.anyOf && !schema.enum &&
+      (schema.type === 'object' || (!schema.type && schema.properties));
+
+    if (isInterface) {
+      const body = this.objectType(doc, schema, '');
+      return `${comment}export interface ${name} ${body.startsWith('{') ? body : '{\n  [key: string]: any;\n}'}`;
+    }
+    return `${comment}export type ${name} = ${this.typeOf(doc, schema, '')};`;
+  }
+
+  /**
+   * Declare the query, request and response types of an operation
+   *
+   * @param {Object} entry - Operation from the OperationIndex
+   * @returns {{ base: string, params: string|null, request: string|null, response: string,
+   *   requestFields: Set<string>, pathParams: Map<string, string>, requiredBody: boolean }}
+   */
+  operation(entry) {
+    if (this.operationTypes.has(entry.operationId)) {
+      return this.operationTypes.get(entry.operationId);
+    }
+
+    const { doc, operation } = entry;
+    const base = pascalCase(entry.operationId);
+    const types = {
+      base, params: null, request: null, requestFields: new Set(), response: 'void', pathParams: new Map(), requiredBody: false
+    };
+    this.operationTypes.set(entry.operationId, types);
+
+    for (const parameter of entry.parameters.filter(p => p.in === 'path')) {
+      types.pathParams.set(parameter.name, this.typeOf(doc, parameter.schema));
+    }
+
+    const query = entry.parameters.filter(parameter => parameter.in === 'query');
+    if (query.length > 0) {
+      types.params = this.uniqueName(`${base}Params`);
+      const lines = query.map(parameter => docComment(summarize(parameter.description), '  ') +
+        `  ${propertyKey(parameter.name)}${parameter.required ? '' : '?'}: ${this.typeOf(doc, parameter.schema, '  ')};`);
+      this.operations.set(types.params, `${docComment(`Query parameters for ${entry.operationId}`, '')}export interface ${types.params} {\n${lines.join('\n')}\n}`);
+    }
+
+    const requestBody = resolveRef(doc, operation.requestBody);
+    const requestSchema = jsonSchemaOf(requestBody?.content);
+    if (requestSchema) {
+      types.request = this.uniqueName(`${base}Request`);
+      types.requiredBody = Boolean(requestBody.required);
+      types.requestFields = new Set(Object.keys(resolveRef(doc, requestSchema)?.properties || {}));
+      this.operations.set(types.request, this.declaration(types.request, doc, requestSchema, `Request body for ${entry.operationId}`));
+    }
+
+    const success = Object.keys(operation.responses || {}).filter(status => /^2\d\d$/.test(status)).sort()[0];
+    const responseSchema = success && jsonSchemaOf(resolveRef(doc, operation.responses[success]).content);
+    if (responseSchema) {
+      types.response = this.uniqueName(`${base}Response`);
+      this.operations.set(types.response, `${docComment(`Response body for ${entry.operationId}`, '')}export type ${types.response} = ${this.typeOf(doc, responseSchema, '')};`);
+    }
+
+    return types;
+  }
+}
+
+function jsonSchemaOf(content = {}) {
+  const type = Object.keys(content).find(key => key.includes('json'));
+  return type ? content[type].schema : undefined;
+}
+
+/**
+ * Split a template literal into text and `${}` expressions
+ */
+function templateParts(literal) {
+  const parts = [];
+  const body = literal.slice(1, -1);
+  let i = 0;
+  let text = '';
+
+  while (i < body.length) {
+    if (body[i] === '\\') {
+      text += body.slice(i, i + 2);
+      i += 2;
+    } else if (body[i] === '$' && body[i + 1] === '{') {
+      const close = matchBracket(body, i + 1);
+      parts.push({ text });
+      parts.push({ expr: body.slice(i + 2, close).trim() });
+      text = '';
+      i = close + 1;
+    } else {
+      text += body[i++];
+    }
+  }
+  parts.push({ text });
+
+  return parts.filter(part => part.expr !== undefined || part.text);
+}
+
+/**
+ * String and template constants assigned in a function body
+ */
+function localStrings(body) {
+  const locals = new Map();
+  const pattern = /(?:const|let|var)\s+([\w$]+)\s*=\s*(?=[`'"])/g;
+  let match;
+
+  while ((match = pattern.exec(body))) {
+    const start = match.index + match[0].length;
+    const end = skipLiteral(body, start);
+    if (end > start && !/^\s*[+?]/.test(body.slice(end))) {
+      locals.set(match[1], body.slice(start, end));
+    }
+  }
+
+  return locals;
+}
+
+/**
+ * Resolve a path argument to `{ path, slots }`, where `slots` are the
+ * expressions standing in for each `{pN}` placeholder
+ */
+function resolvePath(expression, locals, depth = 0) {
+  const text = expression.trim();
+
+  if (IDENTIFIER.test(text) && locals.has(text) && depth < 3) {
+    return resolvePath(locals.get(text), locals, depth + 1);
+  }
+  if (/^(['"]).*\1$/.test(text)) {
+    return { path: text.slice(1, -1), slots: [] };
+  }
+  if (!text.startsWith('`')) {
+    return null;
+  }
+
+  const slots = [];
+  let path = '';
+
+  templateParts(text).forEach((part, i) => {
+    if (part.text !== undefined) {
+      path += part.text;
+    } else if (i === 0 && IDENTIFIER.test(part.expr) && locals.has(part.expr) && depth < 3) {
+      const inner = resolvePath(locals.get(part.expr), locals, depth + 1);
+      if (inner) {
+        path += inner.path.replace(/\{p(\d+)\}/g, (_, n) => `{p${Number(n) + slots.length}}`);
+        slots.push(...inner.slots);
+      }
+    } else if (i === 0 && /base/i.test(part.expr)) {
+      // `${this.baseURL}/orgs/...`: the API root
+    } else {
+      path += `{p${slots.length}}`;
+      slots.push(part.expr);
+    }
+  });
+
+  return { path, slots };
+}
+
+/**
+ * Find the documented endpoints a function body calls
+ *
+ * @param {string} body - Function body
+ * @param {Object} index - OperationIndex
+ * @returns {Array<Object>} `{ entry, verb, args, slots: Map<specParam, expr>, returned, assignedTo, start }`
+ */
+export function findEndpointCalls(body, index) {
+  const calls = [];
+  const locals = localStrings(body);
+  const pattern = /([\w$#.]+)\.(get|post|put|patch|delete|fetchAllPages|request)\(|(?<![\w$.])(request)\(/g;
+  let match;
+
+  while ((match = pattern.exec(body))) {
+    const open = match.index + match[0].length - 1;
+    const close = matchBracket(body, open);
+
+    const args = splitTopLevel(body.slice(open + 1, close));
+    const name = match[2] || match[3];
+    let verb = HTTP_VERBS[name];
+    let pathArg = args[0];
+    let bodyArg = ['post', 'put', 'patch'].includes(name) ? args[1] : undefined;
+
+    if (name === 'request') {
+      if (/^['"][A-Za-z]+['"]$/.test(args[0] || '')) {
+        verb = args[0].slice(1, -1).toUpperCase();
+        pathArg = args[1];
+        bodyArg = args[2]?.match(/body:\s*([^,}]+)/)?.[1];
+      } else if (args[0]?.startsWith('{')) {
+        const fields = new Map(splitTopLevel(args[0].slice(1, -1)).map((field) => {
+          const [key, ...value] = splitTopLevel(field, ':');
+          return [key, value.join(':') || key];
+        }));
+        verb = fields.get('method')?.replace(/['"]/g, '').toUpperCase();
+        pathArg = fields.get('url') || fields.get('path');
+        bodyArg = fields.get('body') || fields.get('data');
+      }
+    }
+
+    const resolved = verb && pathArg && resolvePath(pathArg, locals);
+    if (!resolved) {
+      continue;
+    }
+
+    const pathname = resolved.path.split('?')[0]
+      .split('/')
+      // `${base}...${head}` fills one spec parameter, `teams${query}` is a literal segment
+      .map((segment) => {
+        if (!segment.startsWith('{p')) {
+          return segment.replace(/\{p\d+\}/g, '');
+        }
+        const numbers = [...segment.matchAll(/\{p(\d+)\}/g)].map(match => match[1]);
+        return `{p${numbers.join(',')}}`;
+      })
+      .join('/')
+      .replace(/\/+$/, '');
+    if (!pathname.startsWith('/')) {
+      continue;
+    }
+
+    const found = index.match(verb, pathname);
+    if (!found) {
+      continue;
+    }
+
+    const slots = new Map();
+    for (const [param, value] of Object.entries(found.params)) {
+      const slot = String(value).match(/^\{p([\d,]+)\}$/);
+      if (slot) {
+        slots.set(param, slot[1].split(',').map(n => resolved.slots[Number(n)]).join(' + '));
+      }
+    }
+
+    const before = body.slice(0, match.index);
+    calls.push({
+      entry: found.operation,
+      verb,
+      helper: name,
+      bodyArg,
+      slots,
+      returned: /return\s+(?:await\s+)?$/.test(before),
+      assignedTo: before.match(/(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*(?:await\s+)?$/)?.[1] || null
+    });
+  }
+
+  return calls;
+}
+
+// Identifiers used as values, not as objects whose members are read
+function identifiersIn(expression) {
+  return new Set([...(expression || '').matchAll(/(?<![\w$.])([A-Za-z_$][\w$]*)(?![\w$]|\s*[.(])/g)].map(match => match[1]));
+}
+
+/**
+ * Follow a body argument that names a local (`const payload = { ... }`) to
+ * its initializer, so parameters copied into it are found
+ */
+function localInitializer(body, expression) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(expression) || !body) {
+    return expression;
+  }
+  const match = body.match(new RegExp(`(?:const|let|var)\\s+${expression.replace(/\$/g, '\\$')}\\s*=\\s*`));
+  if (!match) {
+    return expression;
+  }
+  const start = match.index + match[0].length;
+  const end = body[start] === '{' ? matchBracket(body, start) + 1 : body.indexOf(';', start);
+  return body.slice(start, end < 0 ? body.length : end);
+}
+
+/**
+ * Generates a declaration file for one package
+ */
+export class DeclarationGenerator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.index - OperationIndex over the specs
+   * @param {string} options.root - Package directory
+   * @param {Object} options.config - Package typegen config
+   */
+  constructor({ index, root, config }) {
+    this.index = index;
+    this.root = root;
+    this.config = config;
+    this.graph = new SourceGraph();
+    this.registry = null;
+    this.known = new Set();
+    this.qualified = new Map();
+    this.namespaces = new Set();
+    this.rendered = new Map();
+    this.renderedVirtual = new Set();
+    this.usesEnvelope = false;
+    this.optionInterfaces = new Set();
+  }
+
+  /**
+   * Build the declaration file text
+   * @returns {string}
+   */
+  generate() {
+    const { config } = this;
+    const entry = path.resolve(this.root, config.entry);
+    const exports = this.graph.exportsOf(entry);
+
+    this.collectNames(exports);
+    this.registry = new TypeRegistry({ reserved: this.known });
+
+    const body = this.renderExports(exports, '');
+    const sections = [
+      docComment([`TypeScript definitions for ${config.name}`, config.description].filter(Boolean), '').trimEnd(),
+      docComment([
+        'Generated from the OpenAPI specs and the package sources by `npm run types`.',
+        'Do not edit by hand: change the sources or types/typegen.config.mjs instead.'
+      ], '').trimEnd()
+    ];
+
+    if (config.declarations) {
+      sections.push(config.declarations.trim());
+    }
+    for (const [name, spec] of Object.entries(config.interfaces || {})) {
+      sections.push(this.renderInterface(name, spec));
+    }
+    // Classes the exports use without exporting them (e.g. `client.gists`)
+    for (const [name, spec] of Object.entries(config.virtual || {})) {
+      if (!this.renderedVirtual.has(name)) {
+        sections.push(this.renderVirtual(name, spec, '', 'declare '));
+      }
+    }
+    if (this.usesEnvelope) {
+      sections.push(this.renderEnvelope());
+    }
+
+    sections.push(body.trim());
+
+    if (this.registry.operations.size > 0) {
+      sections.push(`// ${'='.repeat(76)}\n// Operations\n// ${'='.repeat(76)}`);
+      sections.push(...this.registry.operations.values());
+    }
+
+    // Schemas declared while rendering operations may pull in further schemas
+    if (this.registry.schemas.size > 0) {
+      sections.push(`// ${'='.repeat(76)}\n// Schemas\n// ${'='.repeat(76)}`);
+      sections.push(...this.registry.schemas.values());
+    }
+
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  collectNames(exports, seen = new Set(), prefix = '') {
+    if (!prefix) {
+      for (const name of [...Object.keys(this.config.virtual || {}), ...Object.keys(this.config.interfaces || {})]) {
+        this.known.add(name);
+      }
+      for (const name of this.config.knownTypes || []) {
+        this.known.add(name);
+      }
+      for (const match of (this.config.declarations || '').matchAll(/^export\s+(?:declare\s+)?(?:interface|class|type|enum)\s+([\w$]+)/gm)) {
+        this.known.add(match[1]);
+      }
+      if (this.config.envelope) {
+        this.known.add('ApiResponse');
+      }
+    }
+    for (const [name, ref] of exports) {
+      const names = new Set([name, ref.declaration?.name].filter(local => local && local !== 'default'));
+      for (const local of names) {
+        // Declared only inside a namespace: refer to it as `namespace.Name`
+        if (prefix && !this.known.has(local)) {
+          this.qualified.set(local, `${prefix}${local}`);
+        }
+        this.known.add(local);
+      }
+    }
+    for (const [name, ref] of exports) {
+      if (ref.namespace && !prefix) {
+        this.namespaces.add(name);
+      }
+      if (ref.namespace && !seen.has(ref.namespace)) {
+        seen.add(ref.namespace);
+        this.collectNames(this.graph.exportsOf(ref.namespace), seen, `${prefix}${name}.`);
+      }
+    }
+  }
+
+  renderEnvelope() {
+    const fields = Object.entries(this.config.envelope)
+      .map(([name, type]) => `  ${name}: ${type};`);
+    return `${docComment('What the HTTP helpers resolve to: the response body plus request metadata', '')}` +
+      `export interface ApiResponse<T> {\n  data: T;\n${fields.join('\n')}\n}`;
+  }
+
+  /**
+   * Render a module's exports
+   * @param {Map<string, Object>} exports - From SourceGraph#exportsOf
+   * @param {string} indent
+   * @returns {string}
+   */
+  renderExports(exports, indent) {
+    const blocks = [];
+    const aliases = [];
+    const declared = new Map();
+
+    for (const [exported, ref] of exports) {
+      // Namespaces cannot declare a default export
+      if (indent && exported === 'default') {
+        continue;
+      }
+      if (ref.declaration) {
+        const local = ref.declaration.name === 'default' ? '_default' : ref.declaration.name;
+        if (!declared.has(ref.declaration)) {
+          declared.set(ref.declaration, { local, exportedAsSelf: false });
+        }
+        const info = declared.get(ref.declaration);
+        if (exported === local) {
+          info.exportedAsSelf = true;
+        } else {
+          aliases.push([local, exported]);
+        }
+      } else if (ref.namespace) {
+        blocks.push(this.renderNamespace(exported, ref.namespace, indent));
+      } else if (exported !== 'default' && this.config.virtual?.[exported]) {
+        blocks.push(this.renderVirtual(exported, this.config.virtual[exported], indent, 'export '));
+      } else if (exported !== 'default') {
+        blocks.push(`${indent}export const ${exported}: any;`);
+      } else if (ref.imported && this.config.virtual?.[ref.imported]) {
+        aliases.push([ref.imported, 'default']);
+      }
+    }
+
+    for (const [declaration, info] of declared) {
+      const prefix = info.exportedAsSelf ? 'export ' : 'declare ';
+      blocks.push(this.renderDeclaration(declaration, info.local, indent, prefix));
+    }
+
+    for (const [local, exported] of aliases) {
+      blocks.push(exported === 'default'
+        ? `${indent}export default ${local};`
+        : `${indent}export { ${local} as ${exported} };`);
+    }
+
+    return blocks.filter(Boolean).join('\n\n');
+  }
+
+  renderNamespace(name, file, indent) {
+    if (this.rendered.has(file)) {
+      return `${indent}export import ${name} = ${this.rendered.get(file)};`;
+    }
+    this.rendered.set(file, name);
+
+    const inner = this.renderExports(this.graph.exportsOf(file), `${indent}  `)
+      .replace(/^(\s*)declare /gm, '$1');
+    return `${indent}export namespace ${name} {\n${inner}\n${indent}}`;
+  }
+
+  renderDeclaration(declaration, local, indent, prefix) {
+    switch (declaration.kind) {
+      case 'class':
+        return this.renderClass(declaration, local, indent, prefix);
+      case 'function':
+        return this.renderFunction(declaration, local, indent, prefix);
+      case 'object':
+        return this.renderObject(declaration, local, indent, prefix);
+      default:
+        return this.renderConst(declaration, local, indent, prefix);
+    }
+  }
+
+  renderClass(declaration, name, indent, prefix) {
+    const doc = parseJsDoc(declaration.doc);
+    const inner = `${indent}  `;
+    const lines = [];
+    const members = declaration.members.filter(member => !member.name.startsWith('#') && !member.name.startsWith('_'));
+    const memberNames = new Set(members.map(member => member.name));
+    const override = this.config.classes?.[name] || {};
+
+    const constructor = declaration.members.find(member => member.kind === 'constructor');
+    const optionsInterface = [];
+    if (constructor) {
+      const params = this.renderParams(constructor, { interfaceName: `${name}Options`, interfaces: optionsInterface });
+      lines.push(`${docComment(parseJsDoc(constructor.doc).description, inner)}${inner}constructor(${params.join(', ')});`);
+    }
+
+    const fields = this.fieldsOf(declaration, constructor, memberNames, override, `${name}Options`);
+    for (const [field, type] of fields) {
+      lines.push(`${inner}${propertyKey(field)}: ${type};`);
+    }
+
+    for (const member of members) {
+      if (member.kind === 'constructor') {
+        continue;
+      }
+      const staticPrefix = member.static ? 'static ' : '';
+
+      if (member.kind === 'field') {
+        if (!fields.has(member.name)) {
+          lines.push(`${docComment(parseJsDoc(member.doc).description, inner)}${inner}${staticPrefix}${propertyKey(member.name)}: any;`);
+        }
+        continue;
+      }
+      if (member.kind === 'set') {
+        continue;
+      }
+      if (member.kind === 'get') {
+        const getterDoc = parseJsDoc(member.doc);
+        const type = jsdocToTs(getterDoc.type || getterDoc.returns?.type, this.known);
+        lines.push(`${docComment(getterDoc.description, inner)}${inner}${staticPrefix}readonly ${propertyKey(member.name)}: ${type};`);
+        continue;
+      }
+
+      lines.push(this.renderMethod(member, `${name}.${member.name}`, inner, staticPrefix));
+    }
+
+    const base = this.baseClass(declaration.extends);
+    const before = optionsInterface.map(text => `${text.replace(/^/gm, indent).replace(/^(\s*)export /m, prefix === 'declare ' ? '$1' : '$1export ')}\n\n`).join('');
+    return `${before}${docComment(doc.description, indent)}${indent}${prefix}class ${name}${base ? ` extends ${base}` : ''} {\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  baseClass(name) {
+    if (!name) {
+      return null;
+    }
+    if (this.known.has(name) || name === 'Error') {
+      return name;
+    }
+    return /Error$/.test(name) ? 'Error' : null;
+  }
+
+  /**
+   * Public fields assigned in the constructor
+   */
+  fieldsOf(declaration, constructor, memberNames, override, interfaceName) {
+    const fields = new Map();
+    const params = constructor ? this.paramTypes(constructor, { interfaceName, interfaces: [] }) : new Map();
+    const isError = this.baseClass(declaration.extends) !== null && /Error$/.test(declaration.name);
+    const pattern = /this\.([A-Za-z$][\w$]*)\s*=\s*([^;\n]+)/g;
+    let match;
+
+    while (constructor && (match = pattern.exec(constructor.body))) {
+      const [, field, value] = match;
+      if (fields.has(field) || memberNames.has(field) || (isError && ['name', 'message', 'stack'].includes(field))) {
+        continue;
+      }
+      fields.set(field, this.inferType(value.trim(), params));
+    }
+
+    for (const [field, type] of Object.entries(override.properties || {})) {
+      fields.set(field, type);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Best-effort type of an expression assigned to a field or constant
+   */
+  inferType(value, params = new Map()) {
+    const newInstance = value.match(/^new\s+([\w$]+)/);
+    if (newInstance) {
+      const name = newInstance[1];
+      return this.known.has(name) ? this.qualified.get(name) || name : JSDOC_TYPES[name] || 'any';
+    }
+    if (params.has(value)) {
+      return params.get(value);
+    }
+    const fallback = value.match(/^([\w$]+)\s*(\|\||\?\?)\s*(.+)$/);
+    if (fallback && params.has(fallback[1])) {
+      return params.get(fallback[1]).replace(/ \| undefined$/, '');
+    }
+    // `options.token`, `options.baseURL || DEFAULT` from a named options interface
+    const member = value.match(/^([\w$]+)\.([\w$]+)(\s*(?:\|\||\?\?)\s*.+)?$/);
+    if (member && this.optionInterfaces.has(params.get(member[1]))) {
+      const type = `${params.get(member[1])}[${JSON.stringify(member[2])}]`;
+      return member[3] ? `NonNullable<${type}>` : type;
+    }
+    if (/^(['"`])/.test(value)) {
+      return 'string';
+    }
+    if (/^-?\d/.test(value)) {
+      return 'number';
+    }
+    if (value === 'true' || value === 'false') {
+      return 'boolean';
+    }
+    if (value.startsWith('[')) {
+      return 'any[]';
+    }
+    if (value.startsWith('{') || /^Object\.freeze\(\{/.test(value)) {
+      return 'Record<string, any>';
+    }
+    return 'any';
+  }
+
+  renderFunction(declaration, name, indent, prefix) {
+    const { text } = this.signature(declaration, name);
+    return `${this.methodDoc(declaration, name, indent)}${indent}${prefix}function ${name}${text};`;
+  }
+
+  renderMethod(member, key, indent, staticPrefix) {
+    const { text } = this.signature(member, key);
+    return `${this.methodDoc(member, key, indent)}${indent}${staticPrefix}${propertyKey(member.name)}${text};`;
+  }
+
+  methodDoc(declaration, key, indent) {
+    const doc = parseJsDoc(declaration.doc);
+    const operation = this.operationFor(declaration, key)?.call?.entry;
+    const lines = [doc.description];
+
+    if (operation) {
+      lines.push(`${doc.description ? '\n' : ''}\`${operation.method.toUpperCase()} ${operation.path}\``);
+      if (operation.operation.externalDocs?.url) {
+        lines.push(`@see ${operation.operation.externalDocs.url}`);
+      }
+    }
+    if (doc.deprecated || operation?.operation.deprecated) {
+      lines.push('@deprecated');
+    }
+
+    return docComment(lines.filter(Boolean).join('\n').replace(/\n\n\n+/g, '\n\n'), indent);
+  }
+
+  /**
+   * The documented operation a function or method wraps
+   * @returns {{ call: Object }|null}
+   */
+  operationFor(declaration, key) {
+    if (declaration._operation !== undefined) {
+      return declaration._operation;
+    }
+
+    const override = this.config.operations?.[key] || this.config.operations?.[key.split('.').pop()];
+    let call = null;
+
+    if (override) {
+      const entry = this.index.get(override);
+      if (!entry) {
+        throw new Error(`Unknown operation "${override}" for ${key} in ${this.config.name}`);
+      }
+      call = { entry, slots: new Map(), returned: true, assignedTo: null, helper: 'override' };
+    } else if (declaration.body) {
+      const calls = findEndpointCalls(declaration.body, this.index);
+      const operations = new Set(calls.map(found => found.entry.operationId));
+      if (operations.size === 1) {
+        call = calls.find(found => found.returned) || calls[0];
+      } else if (operations.size > 1) {
+        call = calls.find(found => found.returned) || null;
+      }
+    }
+
+    declaration._operation = call ? { call } : null;
+    return declaration._operation;
+  }
+
+  /**
+   * Types for a function's parameters, keyed by JS name
+   */
+  paramTypes(declaration, { call, skip = 0, interfaceName, interfaces } = {}) {
+    const doc = parseJsDoc(declaration.doc);
+    const types = new Map();
+    const params = declaration.params.slice(skip);
+    const types_ = call ? this.registry.operation(call.entry) : null;
+    const used = this.bodyParams(declaration, call);
+    const fields = this.bodyFields(declaration, call);
+
+    params.forEach((param, i) => {
+      const name = param.name || doc.params.filter(p => !p.name.includes('.'))[i + skip]?.name || 'options';
+      let type = null;
+
+      if (types_) {
+        const pathParam = [...call.slots].find(([, expr]) => identifiersIn(expr).has(name))?.[0] ||
+          (types_.pathParams.has(snakeCase(name)) ? snakeCase(name) : null);
+
+        if (pathParam && types_.pathParams.has(pathParam)) {
+          type = types_.pathParams.get(pathParam);
+        } else if (used.has(name) && types_.request) {
+          type = types_.request;
+        } else if (fields.has(name) && types_.request) {
+          type = `${types_.request}[${JSON.stringify(fields.get(name))}]`;
+        } else if (OPTION_PARAMS.has(name) && types_.params && !used.size) {
+          type = types_.params;
+        } else if (OPTION_PARAMS.has(name) && types_.params && types_.request && !used.has(name)) {
+          type = types_.params;
+        }
+      }
+
+      if (!type) {
+        const named = interfaceName && (!this.known.has(interfaceName) || this.optionInterfaces.has(interfaceName));
+        type = this.jsdocParamType(doc, name, param, named ? { name: interfaceName, interfaces } : null);
+      }
+      types.set(name, type);
+    });
+
+    return types;
+  }
+
+  /**
+   * Parameters that feed the request body
+   */
+  bodyParams(declaration, call) {
+    const names = new Set();
+    if (!call) {
+      return names;
+    }
+    if (call.helper === 'override') {
+      const { requestFields } = this.registry.operation(call.entry);
+      for (const param of declaration.params) {
+        if (param.name && /^(data|body|payload|input)$|Data$/.test(param.name) && !requestFields.has(snakeCase(param.name))) {
+          names.add(param.name);
+        }
+      }
+      return names;
+    }
+
+    const expression = localInitializer(declaration.body, (call.bodyArg || '').trim());
+    const paramNames = new Set(declaration.params.map(param => param.name).filter(Boolean));
+    const slotNames = new Set([...call.slots.values()].flatMap(expr => [...identifiersIn(expr)]));
+
+    if (paramNames.has(expression)) {
+      names.add(expression);
+    } else {
+      for (const match of expression.matchAll(/(?:\.\.\.)([\w$]+)|([\w$]+)\./g)) {
+        const name = match[1] || match[2];
+        if (paramNames.has(name) && !slotNames.has(name)) {
+          names.add(name);
+        }
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Parameters copied into a single body field (`{ new_owner: newOwner }`,
+   * `payload.team_ids = teamIds`), keyed by parameter name
+   */
+  bodyFields(declaration, call) {
+    const fields = new Map();
+    if (call?.helper === 'override') {
+      // Wrappers whose body is out of sight: match parameters to request fields by name
+      const { requestFields } = this.registry.operation(call.entry);
+      for (const param of declaration.params) {
+        if (param.name && requestFields.has(snakeCase(param.name))) {
+          fields.set(param.name, snakeCase(param.name));
+        }
+      }
+      return fields;
+    }
+    const local = (call?.bodyArg || '').trim();
+    const expression = call && call.helper !== 'override' ? localInitializer(declaration.body, local) : '';
+    if (!expression.startsWith('{')) {
+      return fields;
+    }
+
+    const paramNames = new Set(declaration.params.map(param => param.name).filter(Boolean));
+    const assignments = [
+      ...splitTopLevel(expression.slice(1, -1), ',').map(part => part.match(/^([\w$]+)(?:\s*:\s*([\w$]+))?$/)),
+      ...[...(declaration.body || '').matchAll(new RegExp(`\\b${local.replace(/\$/g, '\\$')}\\.([\\w$]+)\\s*=\\s*([\\w$]+)\\s*;`, 'g'))]
+    ];
+
+    for (const match of assignments) {
+      const param = match && (match[2] || match[1]);
+      if (paramNames.has(param) && !fields.has(param)) {
+        fields.set(param, match[1]);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Parameter type from JSDoc. Documented `options.*` fields become an inline
+   * type, or a named interface when `named` is given.
+   */
+  jsdocParamType(doc, name, param, named = null) {
+    const tag = doc.params.find(p => p.name === name);
+    const nested = doc.params.filter(p => p.name.startsWith(`${name}.`) && !p.name.slice(name.length + 1).includes('.'));
+
+    if (nested.length > 0 && (!tag || /^(Object|object)$/.test(tag.type || 'Object'))) {
+      const fields = nested.map(p => ({
+        description: p.description,
+        text: `${propertyKey(p.name.slice(name.length + 1))}${p.optional ? '?' : ''}: ${jsdocToTs(p.type, this.known)}`
+      }));
+
+      if (named && this.optionInterfaces.has(named.name)) {
+        return named.name;
+      }
+      if (named) {
+        this.known.add(named.name);
+        this.optionInterfaces.add(named.name);
+        named.interfaces.push(`${docComment(tag?.description, '')}export interface ${named.name} {\n` +
+          fields.map(field => `${docComment(field.description, '  ')}  ${field.text};`).join('\n') +
+          '\n  [key: string]: any;\n}');
+        return named.name;
+      }
+      return `{ ${fields.map(field => field.text).join('; ')}; [key: string]: any }`;
+    }
+    if (tag?.type) {
+      return jsdocToTs(tag.type, this.known);
+    }
+    if (param.fields) {
+      return `{ ${param.fields.map(field => `${propertyKey(field)}?: any`).join('; ')} }`;
+    }
+    return 'any';
+  }
+
+  renderParams(declaration, { call, skip = 0, interfaceName, interfaces } = {}) {
+    const doc = parseJsDoc(declaration.doc);
+    const params = declaration.params.slice(skip);
+    const types = this.paramTypes(declaration, { call, skip, interfaceName, interfaces });
+    const names = [...types.keys()];
+    const optional = params.map((param, i) => param.optional || Boolean(doc.params.find(p => p.name === names[i])?.optional));
+    const lastRequired = optional.lastIndexOf(false);
+
+    return params.map((param, i) => {
+      const type = types.get(names[i]);
+      if (param.rest) {
+        return `...${names[i]}: ${/\[\]$/.test(type) ? type : 'any[]'}`;
+      }
+      if (optional[i] && i < lastRequired) {
+        return `${names[i]}: ${union([type, 'undefined'])}`;
+      }
+      return `${names[i]}${optional[i] ? '?' : ''}: ${type}`;
+    });
+  }
+
+  /**
+   * Parameter list and return type
+   * @returns {{ text: string }}
+   */
+  signature(declaration, key, skip = 0) {
+    const operation = this.operationFor(declaration, key);
+    const call = operation?.call;
+    const params = this.renderParams(declaration, { call, skip });
+    return { text: `(${params.join(', ')}): ${this.returnType(declaration, call)}` };
+  }
+
+  returnType(declaration, call) {
+    const doc = parseJsDoc(declaration.doc);
+    let type = null;
+
+    if (call) {
+      const { response } = this.registry.operation(call.entry);
+      const mode = this.returnMode(declaration, call);
+      if (mode === 'data') {
+        type = response;
+      } else if (mode === 'http') {
+        type = this.wrapResponse(response);
+      }
+    }
+
+    if (!type) {
+      if (doc.returns?.type) {
+        type = jsdocToTs(doc.returns.type, this.known);
+        if (/^(Async)?(Generator|Iterator|Iterable|IterableIterator)</.test(type)) {
+          return type;
+        }
+        if (doc.returns.yields || declaration.generator) {
+          return `${declaration.async ? 'AsyncGenerator' : 'Generator'}<${type}>`;
+        }
+      } else if (declaration.generator) {
+        return declaration.async ? 'AsyncGenerator<any>' : 'Generator<any>';
+      } else {
+        // Factories: `return new Client(options)`, or an arrow returning it
+        const created = (declaration.body || '').trim().match(/^(?:return\s+)?new\s+([\w$]+)\(|\breturn\s+new\s+([\w$]+)\(/);
+        if (created) {
+          type = this.inferType(`new ${created[1] || created[2]}`);
+        } else {
+          type = /\breturn\s+[^;\s]/.test(declaration.body || '') ? 'any' : 'void';
+        }
+      }
+    }
+
+    if (declaration.async && !/^Promise</.test(type)) {
+      return `Promise<${type}>`;
+    }
+    return type;
+  }
+
+  wrapResponse(type) {
+    if (this.config.response === 'envelope') {
+      this.usesEnvelope = true;
+      return `ApiResponse<${type}>`;
+    }
+    return type;
+  }
+
+  /**
+   * How a function passes on the HTTP helper's result:
+   * 'http' as is, 'data' unwrapped, or null when it reshapes it
+   */
+  returnMode(declaration, call) {
+    if (call.helper === 'override') {
+      return 'data';
+    }
+    if (call.helper === 'fetchAllPages') {
+      return call.returned || call.assignedTo ? 'data' : null;
+    }
+    if (call.returned) {
+      return 'http';
+    }
+
+    const body = declaration.body;
+    const target = call.assignedTo;
+    if (!target) {
+      return null;
+    }
+
+    const destructured = target.startsWith('{') ? target.match(/\bdata(?:\s*:\s*([\w$]+))?/) : null;
+    if (destructured) {
+      return new RegExp(`return\\s+${destructured[1] || 'data'}\\s*;`).test(body) ? 'data' : null;
+    }
+    if (new RegExp(`return\\s+${target.replace(/\$/g, '\\$')}\\??\\.data\\s*;`).test(body)) {
+      return 'data';
+    }
+    if (new RegExp(`return\\s+${target.replace(/\$/g, '\\$')}\\s*;`).test(body)) {
+      return 'http';
+    }
+    return null;
+  }
+
+  /**
+   * Declare a module of functions as the object a client binds them into,
+   * dropping the leading arguments the client supplies
+   */
+  renderInterface(name, spec) {
+    const file = path.resolve(this.root, spec.source);
+    const lines = [];
+
+    for (const [exported, ref] of this.graph.exportsOf(file)) {
+      if (ref.declaration?.kind !== 'function') {
+        continue;
+      }
+      const { text } = this.signature(ref.declaration, `${name}.${exported}`, spec.skip || 0);
+      lines.push(`${this.methodDoc(ref.declaration, `${name}.${exported}`, '  ')}  ${propertyKey(exported)}${text};`);
+    }
+
+    return `${docComment(spec.description, '')}export interface ${name} {\n${lines.join('\n')}\n}`;
+  }
+
+  renderConst(declaration, name, indent, prefix) {
+    const doc = parseJsDoc(declaration.doc);
+    // `export const { listTeams } = TeamsClient.prototype`, `export const { cloneRepository } = operations`
+    const method = declaration.destructured?.match(/^([\w$]+)\.prototype$/)?.[1];
+    const namespace = this.namespaces.has(declaration.destructured) ? declaration.destructured : null;
+    let type = 'any';
+    if (doc.type) {
+      type = jsdocToTs(doc.type, this.known);
+    } else if (method && this.known.has(method)) {
+      type = `${this.qualified.get(method) || method}[${JSON.stringify(declaration.name)}]`;
+    } else if (namespace) {
+      type = `typeof ${namespace}.${declaration.name}`;
+    } else if (declaration.init) {
+      type = this.inferType(declaration.init);
+    }
+    return `${docComment(doc.description, indent)}${indent}${prefix}const ${name}: ${type};`;
+  }
+
+  renderObject(declaration, name, indent, prefix) {
+    const inner = `${indent}  `;
+    const fields = splitTopLevel(declaration.init.slice(1, -1)).map((field) => {
+      const [key, ...value] = splitTopLevel(field, ':');
+      const expression = value.join(':').trim() || key;
+      const type = this.known.has(expression) && IDENTIFIER.test(expression) ? `typeof ${expression}` : 'any';
+      return `${inner}${propertyKey(key.replace(/^\.\.\./, ''))}: ${type};`;
+    }).filter(line => !line.includes('...'));
+
+    return `${indent}${prefix === 'export ' ? 'export ' : ''}declare const ${name}: {\n${fields.join('\n')}\n${indent}};`;
+  }
+
+  /**
+   * Declare a class whose source is not in the tree from the config
+   */
+  renderVirtual(name, spec, indent, prefix) {
+    const inner = `${indent}  `;
+    const lines = [];
+    this.renderedVirtual.add(name);
+
+    if (spec.constructorParams !== undefined) {
+      lines.push(`${inner}constructor(${spec.constructorParams});`);
+    }
+    for (const [field, type] of Object.entries(spec.properties || {})) {
+      lines.push(`${inner}${propertyKey(field)}: ${type};`);
+    }
+    for (const [method, definition] of Object.entries(spec.methods || {})) {
+      if (typeof definition === 'string' || definition.operation) {
+        lines.push(this.renderOperationMethod(method, definition, spec.bound || [], inner));
+      } else {
+        lines.push(`${docComment(definition.description, inner)}${inner}${propertyKey(method)}(${definition.params || ''}): ${definition.returns || 'any'};`);
+      }
+    }
+
+    const base = spec.extends ? ` extends ${spec.extends}` : '';
+    return `${docComment(spec.description, indent)}${indent}${prefix}class ${name}${base} {\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Method signature derived entirely from an operation: remaining path
+   * parameters, then the body, then query options
+   */
+  /**
+   * A method wrapping one operation. `definition` is the operationId, or
+   * `{ operation, params, returns }` where `params` and `returns` may use
+   * `$Params`, `$Request` and `$Response` for the operation's types.
+   */
+  renderOperationMethod(name, definition, bound, indent) {
+    const { operation: operationId, params: paramsText, returns } = typeof definition === 'string'
+      ? { operation: definition }
+      : definition;
+    const entry = this.index.get(operationId);
+    if (!entry) {
+      throw new Error(`Unknown operation "${operationId}" for ${name} in ${this.config.name}`);
+    }
+
+    const types = this.registry.operation(entry);
+    const substitute = text => text
+      .replace(/\$Params\b/g, types.params || 'Record<string, any>')
+      .replace(/\$Request\b/g, types.request || 'Record<string, any>')
+      .replace(/\$Response\b/g, types.response);
+    let params = [...types.pathParams]
+      .filter(([param]) => !bound.includes(param))
+      .map(([param, type]) => `${camelCase(param)}: ${type}`);
+
+    if (types.request) {
+      params.push(`data${types.requiredBody ? '' : '?'}: ${types.request}`);
+    }
+    if (types.params) {
+      params.push(`options?: ${types.params}`);
+    }
+    if (paramsText !== undefined) {
+      params = [substitute(paramsText)].filter(Boolean);
+    }
+    const result = returns ? substitute(returns) : `Promise<${this.wrapResponse(types.response)}>`;
+
+    const doc = [summarize(entry.operation.summary), `\`${entry.method.toUpperCase()} ${entry.path}\``];
+    if (entry.operation.externalDocs?.url) {
+      doc.push(`@see ${entry.operation.externalDocs.url}`);
+    }
+
+    return `${docComment(doc.join('\n'), indent)}${indent}${propertyKey(name)}(${params.join(', ')}): ${result};`;
+  }
+}
+
+/**
+ * Generate the declaration file for a package
+ *
+ * @param {Object} options
+ * @param {Object} options.index - OperationIndex over the specs
+ * @param {string} options.root - Package directory
+ * @param {Object} options.config - Package typegen config: `{ name, description, entry, response,
+ *   envelope, operations, classes, interfaces, virtual, declarations, knownTypes }`
+ * @returns {string} Declaration file contents
+ */
+export function generateDeclarations(options) {
+  return new DeclarationGenerator(options).generate();
+}
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Development-mode validation of requests and responses against the OpenAPI specs
+ * @module openapi/validator
+ */
+
+import { GitHubError } from '../utils/errors.mjs';
+import { getSpecDir, loadSpecs, OperationIndex, resolveRef } from './spec.mjs';
+
+export const VALIDATE_MODES = ['warn', 'strict'];
+
+/**
+ * Environment variable that turns validation on for every transport
+ */
+export const VALIDATE_ENV = 'GITHUB_VALIDATE';
+
+// Clients that build absolute URLs themselves may target GitHub Enterprise Server
+const GHES_PREFIX = '/api/v3';
+
+// Validators are shared per spec directory and mode; the index spans every group
+const validators = new Map();
+
+/**
+ * Raised in strict mode when a request or response does not match the spec.
+ * `errors` lists `{ pointer, message }` entries, where the pointer is rooted at
+ * `/query`, `/body` or `/response`.
+ */
+export class SchemaValidationError extends GitHubError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.operationId - Operation the request matched
+   * @param {Array<Object>} details.errors - `{ pointer, message }` entries
+   * @param {Object} [details.request] - `{ method, url }`
+   */
+  constructor(message, details) {
+    super(message, { request: details.request });
+    this.name = 'SchemaValidationError';
+    this.operationId = details.operationId;
+    this.errors = details.errors;
+  }
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against an OpenAPI 3.0 schema.
+ *
+ * `oneOf` is checked like `anyOf`: GitHub's specs list overlapping variants
+ * without discriminators, so "exactly one" would reject valid payloads.
+ *
+ * @param {Object} doc - OpenAPI document the schema belongs to
+ * @param {Object} schema - Schema or `$ref`
+ * @param {*} value - Value to check
+ * @param {string} [pointer] - JSON pointer of the value
+ * @returns {Array<{ pointer: string, message: string }>}
+ */
+export function validateValue(doc, schema, value, pointer = '') {
+  const resolved = resolveRef(doc, schema);
+  const errors = [];
+
+  if (!resolved || typeof resolved !== 'object') {
+    return errors;
+  }
+
+  for (const part of resolved.allOf || []) {
+    errors.push(...validateValue(doc, part, value, pointer));
+  }
+
+  const variants = resolved.oneOf || resolved.anyOf;
+  if (variants) {
+    const results = variants.map(variant => validateValue(doc, variant, value, pointer));
+    if (!results.some(result => result.length === 0)) {
+      // Report the variant that came closest
+      errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+    }
+  }
+
+  if (value === null || value === undefined) {
+    if (value === null && resolved.type && !resolved.nullable) {
+      errors.push({ pointer, message: `must be ${resolved.type}, got null` });
+    }
+    return errors;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push({ pointer, message: `must be one of ${resolved.enum.map(item => JSON.stringify(item)).join(', ')}` });
+  }
+
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    errors.push({ pointer, message: `must be ${resolved.type}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      errors.push({ pointer, message: `must be at least ${resolved.minLength} characters` });
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      errors.push({ pointer, message: `must be at most ${resolved.maxLength} characters` });
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern, 'u').test(value)) {
+      errors.push({ pointer, message: `must match pattern ${resolved.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push({ pointer, message: `must be >= ${resolved.minimum}` });
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push({ pointer, message: `must be <= ${resolved.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      errors.push({ pointer, message: `must have at least ${resolved.minItems} items` });
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      errors.push({ pointer, message: `must have at most ${resolved.maxItems} items` });
+    }
+    if (resolved.items) {
+      value.forEach((item, i) => errors.push(...validateValue(doc, resolved.items, item, `${pointer}/${i}`)));
+    }
+  }
+
+  if (matchesType('object', value) && (resolved.properties || resolved.required || resolved.additionalProperties !== undefined)) {
+    const properties = resolved.properties || {};
+
+    for (const name of resolved.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ pointer: `${pointer}/${escapePointer(name)}`, message: 'is required' });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const child = `${pointer}/${escapePointer(name)}`;
+      if (properties[name]) {
+        errors.push(...validateValue(doc, properties[name], item, child));
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ pointer: child, message: 'is not a documented property' });
+      } else if (typeof resolved.additionalProperties === 'object') {
+        errors.push(...validateValue(doc, resolved.additionalProperties, item, child));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a query string value into the type its parameter schema declares
+ */
+function coerceQueryValue(doc, schema, value) {
+  const resolved = resolveRef(doc, schema) || {};
+
+  switch (resolved.type) {
+    case 'integer':
+    case 'number':
+      return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return String(value).split(',').map(item => coerceQueryValue(doc, resolved.items, item));
+    default:
+      return String(value);
+  }
+}
+
+function jsonSchemaOf(content = {}) {
+  const type = Object.keys(content).find(key => key.includes('json'));
+  return type ? content[type].schema : undefined;
+}
+
+/**
+ * Validates requests and responses against the operation they match in the
+ * bundled specs
+ */
+export class SpecValidator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode='warn'] - 'warn' logs problems, 'strict' throws SchemaValidationError
+   * @param {string} [options.dir] - Spec directory
+   * @param {string[]} [options.groups] - Spec groups to load (default: all)
+   * @param {Function} [options.logger] - Receives warnings (default: console.warn)
+   */
+  constructor(options = {}) {
+    const mode = options.mode || 'warn';
+    if (!VALIDATE_MODES.includes(mode)) {
+      throw new Error(`Unknown validate mode "${mode}", expected one of: ${VALIDATE_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.dir = options.dir;
+    this.groups = options.groups;
+    this.logger = options.logger || ((message) => console.warn(message));
+    this._index = null;
+  }
+
+  /**
+   * Operation index, loaded on first use
+   * @type {OperationIndex}
+   */
+  get index() {
+    if (!this._index) {
+      this._index = new OperationIndex(loadSpecs({ dir: this.dir, groups: this.groups }));
+    }
+    return this._index;
+  }
+
+  /**
+   * Find the operation for a request URL
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL
+   * @param {string} [baseUrl] - API base URL, stripped from the path (GHES `/api/v3`)
+   * @returns {Object|null} Operation entry
+   */
+  match(method, url, baseUrl) {
+    let pathname = new URL(url).pathname;
+    const basePath = baseUrl ? new URL(baseUrl).pathname.replace(/\/$/, '') : '';
+
+    if (basePath && pathname.startsWith(basePath)) {
+      pathname = pathname.slice(basePath.length) || '/';
+    } else if (pathname.startsWith(GHES_PREFIX)) {
+      pathname = pathname.slice(GHES_PREFIX.length) || '/';
+    }
+
+    return this.index.match(method, pathname)?.operation || null;
+  }
+
+  /**
+   * Check outgoing query parameters and body
+   * @param {Object} entry - Operation entry
+   * @param {Object} request
+   * @param {string} request.url - Full request URL, query string included
+   * @param {*} [request.body] - Request body before encoding
+   * @returns {Array<{ pointer: string, message: string }>}
+   */
+  validateRequest(entry, { url, body } = {}) {
+    const errors = [];
+    const query = new URL(url).searchParams;
+    const queryParameters = new Map(entry.parameters
+      .filter(parameter => parameter.in === 'query')
+      .map(parameter => [parameter.name, parameter]));
+
+    for (const name of new Set(query.keys())) {
+      const pointer = `/query/${escapePointer(name)}`;
+      const parameter = queryParameters.get(name);
+      if (!parameter) {
+        errors.push({ pointer, message: 'is not a documented query parameter' });
+        continue;
+      }
+
+      const values = query.getAll(name);
+      const value = values.length > 1 ? values.join(',') : values[0];
+      errors.push(...validateValue(entry.doc, parameter.schema, coerceQueryValue(entry.doc, parameter.schema, value), pointer));
+    }
+
+    for (const parameter of queryParameters.values()) {
+      if (parameter.required && !query.has(parameter.name)) {
+        errors.push({ pointer: `/query/${escapePointer(parameter.name)}`, message: 'is required' });
+      }
+    }
+
+    const requestBody = resolveRef(entry.doc, entry.operation.requestBody);
+    const payload = typeof body === 'string' ? parseJson(body) : body;
+    const hasBody = payload !== undefined && payload !== null &&
+      !(typeof payload === 'object' && !Array.isArray(payload) && Object.keys(payload).length === 0);
+
+    if (!requestBody) {
+      if (hasBody) {
+        errors.push({ pointer: '/body', message: 'is not accepted by this operation' });
+      }
+      return errors;
+    }
+
+    if (!hasBody) {
+      if (requestBody.required && (payload === undefined || payload === null)) {
+        errors.push({ pointer: '/body', message: 'is required' });
+      }
+      return errors;
+    }
+
+    const schema = jsonSchemaOf(requestBody.content);
+    if (schema && !Buffer.isBuffer(payload)) {
+      errors.push(...validateValue(entry.doc, schema, payload, '/body'));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a response body against the schema documented for its status
+   * @param {Object} entry - Operation entry
+   * @param {Object} response - Normalized transport response
+   * @returns {Array<{ pointer: string, message: string }>}
+   */
+  validateResponse(entry, response) {
+    const { status, data, headers = {} } = response;
+    const responses = entry.operation.responses || {};
+    const documented = responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default;
+
+    if (!documented) {
+      return [{ pointer: '/response', message: `status ${status} is not documented` }];
+    }
+
+    const schema = jsonSchemaOf(resolveRef(entry.doc, documented).content);
+    if (!schema || data === null || data === undefined || !(headers['content-type'] || '').includes('json')) {
+      return [];
+    }
+
+    return validateValue(entry.doc, schema, data, '/response');
+  }
+
+  /**
+   * Warn about or throw for validation problems
+   * @param {Object} entry - Operation entry
+   * @param {Array<Object>} errors - Problems found
+   * @param {Object} request - `{ method, url }`
+   * @throws {SchemaValidationError} In strict mode
+   */
+  report(entry, errors, request) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    const message = `${request.method} ${entry.path} (${entry.operationId}) does not match the OpenAPI spec:\n` +
+      errors.map(error => `  ${error.pointer}: ${error.message}`).join('\n');
+
+    if (this.mode === 'strict') {
+      throw new SchemaValidationError(message, { operationId: entry.operationId, errors, request });
+    }
+    this.logger(message);
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Get the shared validator for a transport, from an explicit option or the
+ * `GITHUB_VALIDATE` environment variable
+ *
+ * @param {string|Object|SpecValidator|false} [option] - 'warn', 'strict', `{ mode, dir, logger }`,
+ *   an instance, or false to disable
+ * @returns {SpecValidator|null}
+ */
+export function resolveValidator(option) {
+  if (option === false) {
+    return null;
+  }
+  if (option instanceof SpecValidator) {
+    return option;
+  }
+
+  const config = typeof option === 'string' ? { mode: option } : { ...option };
+  config.mode = config.mode || process.env[VALIDATE_ENV];
+
+  if (!config.mode || config.mode === 'off') {
+    return null;
+  }
+  if (config.logger || config.groups) {
+    return new SpecValidator(config);
+  }
+
+  const key = `${config.mode}:${getSpecDir(config.dir)}`;
+  if (!validators.has(key)) {
+    validators.set(key, new SpecValidator(config));
+  }
+  return validators.get(key);
+}
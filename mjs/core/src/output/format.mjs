@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Output engine shared by every CLI: json, yaml, csv, ndjson
+ * and table, with `--fields` selection, `--jq` filtering and `--template`
+ * rendering applied in that order
+ * @module output/format
+ */
+
+import yaml from 'js-yaml';
+import { OutputError } from '../utils/errors.mjs';
+import { runJq } from './jq.mjs';
+import { renderTemplate, lookupPath } from './template.mjs';
+
+/**
+ * Formats every CLI can print
+ */
+export const OUTPUT_FORMATS = ['json', 'yaml', 'csv', 'ndjson', 'table'];
+
+// Widest table cell before it is cut short
+const MAX_CELL_WIDTH = 60;
+
+/**
+ * Parse `--fields number,title,user.login`
+ * @param {string|string[]} [fields] - Comma-separated list or array
+ * @returns {string[]|null} Field paths, or null when none were given
+ */
+export function parseFields(fields) {
+  if (!fields) return null;
+
+  const list = (Array.isArray(fields) ? fields : String(fields).split(','))
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  return list.length ? list : null;
+}
+
+/**
+ * Keep only the given fields of an object, or of every item of an array.
+ * Nested paths keep their nesting: `user.login` gives `{ user: { login } }`.
+ *
+ * @param {*} data - Object or array of objects
+ * @param {string[]} fields - Field paths
+ * @returns {*}
+ */
+export function selectFields(data, fields) {
+  if (Array.isArray(data)) {
+    return data.map(item => selectFields(item, fields));
+  }
+  if (data === null || typeof data !== 'object') {
+    return data;
+  }
+
+  const result = {};
+  for (const field of fields) {
+    const segments = field.split('.');
+    let target = result;
+    for (const segment of segments.slice(0, -1)) {
+      target[segment] = target[segment] && typeof target[segment] === 'object' ? target[segment] : {};
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = lookupPath(data, field) ?? null;
+  }
+  return result;
+}
+
+/**
+ * Rows and columns for csv and table output
+ * @param {*} data - Object or array of objects
+ * @param {string[]|null} fields - Columns to use; default is every key in first-seen order
+ * @returns {{ columns: string[], rows: Array<Array<*>> }}
+ */
+export function toRows(data, fields = null) {
+  const items = Array.isArray(data) ? data : [data];
+
+  if (items.some(item => item === null || typeof item !== 'object' || Array.isArray(item))) {
+    return { columns: fields || ['value'], rows: items.map(item => [item]) };
+  }
+
+  const columns = fields || [...new Set(items.flatMap(item => Object.keys(item)))];
+  return {
+    columns,
+    rows: items.map(item => columns.map(column => (fields ? lookupPath(item, column) : item[column])))
+  };
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tableCell(value) {
+  const text = cellText(value).replace(/\s*\r?\n\s*/g, ' ');
+  return [...text].length > MAX_CELL_WIDTH ? `${[...text].slice(0, MAX_CELL_WIDTH - 1).join('')}…` : text;
+}
+
+/**
+ * Format as CSV (RFC 4180) with a header row
+ * @param {*} data - Object or array of objects
+ * @param {string[]|null} [fields] - Columns
+ * @returns {string}
+ */
+export function formatCsv(data, fields = null) {
+  if (Array.isArray(data) && data.length === 0) return '';
+
+  const { columns, rows } = toRows(data, fields);
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Format as an aligned plain-text table. A single object is shown as
+ * field/value pairs.
+ *
+ * @param {*} data - Object or array of objects
+ * @param {string[]|null} [fields] - Columns
+ * @returns {string}
+ */
+export function formatTable(data, fields = null) {
+  if (Array.isArray(data) && data.length === 0) return '';
+  if (data === null || typeof data !== 'object') return cellText(data);
+
+  let columns;
+  let rows;
+  if (Array.isArray(data)) {
+    ({ columns, rows } = toRows(data, fields));
+    columns = columns.map(column => column.toUpperCase());
+  } else {
+    const keys = fields || Object.keys(data);
+    columns = ['FIELD', 'VALUE'];
+    rows = keys.map(key => [key, fields ? lookupPath(data, key) : data[key]]);
+  }
+
+  const cells = [columns, ...rows.map(row => row.map(tableCell))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(row => [...row[i]].length)));
+
+  return cells
+    .map(row => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i] + cell.length - [...cell].length))).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Format as newline-delimited JSON: one compact line per array item
+ * @param {*} data
+ * @returns {string}
+ */
+export function formatNdjson(data) {
+  const items = Array.isArray(data) ? data : [data];
+  return items.map(item => JSON.stringify(item ?? null)).join('\n');
+}
+
+/**
+ * Format as YAML
+ * @param {*} data
+ * @returns {string}
+ */
+export function formatYaml(data) {
+  return yaml.dump(data ?? null, { lineWidth: -1, noRefs: true }).trimEnd();
+}
+
+/**
+ * Format as indented JSON
+ * @param {*} data
+ * @returns {string}
+ */
+export function formatJson(data) {
+  return JSON.stringify(data ?? null, null, 2);
+}
+
+const FORMATTERS = {
+  json: (data) => formatJson(data),
+  yaml: (data) => formatYaml(data),
+  csv: (data, fields) => formatCsv(data, fields),
+  ndjson: (data) => formatNdjson(data),
+  table: (data, fields) => formatTable(data, fields)
+};
+
+/**
+ * Render data for output.
+ *
+ * 1. `fields` keeps only the listed fields (and orders csv/table columns)
+ * 2. `jq` filters the result; several outputs become an array
+ * 3. `template` renders it, otherwise `format` does
+ *
+ * With `jq` and json output (or a package format such as `text`), each result
+ * prints on its own line and strings print raw, as `gh --jq` does, so
+ * `--jq '.[].title'` feeds a shell loop.
+ *
+ * Packages keep their own human-readable layouts through `renderers`; these
+ * are used only when no fields, filter or template change the shape of the
+ * data.
+ *
+ * @param {*} data - Data to render
+ * @param {Object} [options]
+ * @param {string} [options.format] - Output format (default: json)
+ * @param {string|string[]} [options.fields] - Fields to keep
+ * @param {string} [options.jq] - jq expression
+ * @param {string} [options.template] - Template
+ * @param {Object<string, Function>} [options.renderers] - Package renderers by
+ *   format name, called with the data
+ * @returns {string}
+ * @throws {OutputError} On an unknown format or an invalid filter or template
+ */
+export function renderOutput(data, { format = 'json', fields, jq, template, renderers = {} } = {}) {
+  const fieldList = parseFields(fields);
+  const reshaped = Boolean(fieldList || jq || template);
+
+  if (!reshaped && renderers[format]) {
+    return renderers[format](data);
+  }
+
+  if (!FORMATTERS[format] && !renderers[format]) {
+    throw new OutputError(`Unknown output format '${format}' (expected ${[...new Set([...OUTPUT_FORMATS, ...Object.keys(renderers)])].join(', ')})`);
+  }
+
+  let result = fieldList ? selectFields(data, fieldList) : data;
+
+  if (jq) {
+    const outputs = runJq(jq, result);
+    if (!template && (format === 'json' || !FORMATTERS[format])) {
+      return outputs.map(value => (typeof value === 'string' ? value : formatJson(value))).join('\n');
+    }
+    result = outputs.length === 1 ? outputs[0] : outputs;
+  }
+
+  if (template) {
+    return renderTemplate(template, result);
+  }
+
+  // Package formats such as `text` fall back to a table once the data is reshaped
+  return (FORMATTERS[format] || FORMATTERS.table)(result, jq ? null : fieldList);
+}
@@ -0,0 +1,1277 @@
+/**
+ * @fileoverview A jq subset evaluated locally, for `--jq` on every CLI.
+ *
+ * Supports paths (`.a.b`, `.[0]`, `.[]`, `.[2:4]`, `..`, `?`), pipes and
+ * commas, `//`, `and`/`or`, comparisons and arithmetic, array and object
+ * construction, string interpolation, `if`/`elif`/`else`, `reduce`,
+ * `as $var` bindings, `@csv`-style formats and the common builtins
+ * (select, map, sort_by, group_by, unique_by, to_entries, test, sub, ...).
+ * Definitions (`def`), assignment operators and path expressions such as
+ * `del` are not supported.
+ * @module output/jq
+ */
+
+import { OutputError } from '../utils/errors.mjs';
+
+const KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'end', 'as', 'and', 'or', 'reduce']);
+const PUNCTUATION = ['//', '==', '!=', '<=', '>=', '..', '|', ',', '(', ')', '[', ']', '{', '}', ':', ';', '.', '?', '<', '>', '+', '-', '*', '/', '%'];
+const IDENT_START = /[A-Za-z_]/;
+const IDENT_PART = /[A-Za-z0-9_]/;
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - jq expression
+ * @returns {Array<Object>} Tokens (`{ type, value, pos }`)
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    if (char === '#') {
+      while (pos < source.length && source[pos] !== '\n') pos++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { parts, end } = readString(source, pos);
+      tokens.push({ type: 'string', value: parts, pos });
+      pos = end;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(pos));
+      tokens.push({ type: 'number', value: Number(match[0]), pos });
+      pos += match[0].length;
+      continue;
+    }
+
+    if (char === '.' && IDENT_START.test(source[pos + 1] || '')) {
+      let end = pos + 1;
+      while (end < source.length && IDENT_PART.test(source[end])) end++;
+      tokens.push({ type: 'field', value: source.slice(pos + 1, end), pos });
+      pos = end;
+      continue;
+    }
+
+    if ((char === '$' || char === '@') && IDENT_START.test(source[pos + 1] || '')) {
+      let end = pos + 1;
+      while (end < source.length && IDENT_PART.test(source[end])) end++;
+      tokens.push({ type: char === '$' ? 'variable' : 'format', value: source.slice(pos + 1, end), pos });
+      pos = end;
+      continue;
+    }
+
+    if (IDENT_START.test(char)) {
+      let end = pos;
+      while (end < source.length && (IDENT_PART.test(source[end]) || (source[end] === ':' && source[end + 1] === ':'))) {
+        end += source[end] === ':' ? 2 : 1;
+      }
+      const word = source.slice(pos, end);
+      tokens.push({ type: KEYWORDS.has(word) ? 'keyword' : 'ident', value: word, pos });
+      pos = end;
+      continue;
+    }
+
+    const punct = PUNCTUATION.find(p => source.startsWith(p, pos));
+    if (!punct) {
+      throw new OutputError(`jq: unexpected '${char}' at position ${pos}`);
+    }
+    tokens.push({ type: 'punct', value: punct, pos });
+    pos += punct.length;
+  }
+
+  tokens.push({ type: 'eof', value: null, pos });
+  return tokens;
+}
+
+/**
+ * Read a string literal, parsing `\(...)` interpolations
+ * @param {string} source - Whole expression
+ * @param {number} start - Position of the opening quote
+ * @returns {{ parts: Array<string|Object>, end: number }}
+ */
+function readString(source, start) {
+  const parts = [];
+  let text = '';
+  let pos = start + 1;
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (char === '"') {
+      if (text || parts.length === 0) parts.push(text);
+      return { parts, end: pos + 1 };
+    }
+
+    if (char !== '\\') {
+      text += char;
+      pos++;
+      continue;
+    }
+
+    const next = source[pos + 1];
+    if (next === '(') {
+      const end = matchingParen(source, pos + 1);
+      if (text) parts.push(text);
+      text = '';
+      parts.push(parse(source.slice(pos + 2, end)));
+      pos = end + 1;
+    } else if (next === 'u') {
+      text += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+      pos += 6;
+    } else if (next in escapes) {
+      text += escapes[next];
+      pos += 2;
+    } else {
+      throw new OutputError(`jq: invalid escape '\\${next}' at position ${pos}`);
+    }
+  }
+
+  throw new OutputError(`jq: unterminated string at position ${start}`);
+}
+
+/**
+ * Position of the `)` closing the `(` at `open`, skipping nested strings
+ * @param {string} source - Expression
+ * @param {number} open - Position of `(`
+ * @returns {number}
+ */
+function matchingParen(source, open) {
+  let depth = 0;
+
+  for (let pos = open; pos < source.length; pos++) {
+    const char = source[pos];
+    if (char === '"') {
+      pos = readString(source, pos).end - 1;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return pos;
+    }
+  }
+
+  throw new OutputError(`jq: unterminated interpolation at position ${open}`);
+}
+
+/**
+ * Recursive descent parser producing a small AST
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return (token.type === 'punct' || token.type === 'keyword') && token.value === value;
+  }
+
+  accept(value) {
+    if (this.is(value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if ((token.type !== 'punct' && token.type !== 'keyword') || token.value !== value) {
+      throw new OutputError(`jq: expected '${value}' at position ${token.pos}, found ${describe(token)}`);
+    }
+    return token;
+  }
+
+  parseProgram() {
+    const node = this.parsePipe();
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      throw new OutputError(`jq: unexpected ${describe(token)} at position ${token.pos}`);
+    }
+    return node;
+  }
+
+  parsePipe() {
+    const left = this.parseComma();
+
+    if (this.accept('as')) {
+      const variable = this.next();
+      if (variable.type !== 'variable') {
+        throw new OutputError(`jq: expected $name after 'as' at position ${variable.pos}`);
+      }
+      this.expect('|');
+      return { type: 'bind', source: left, name: variable.value, body: this.parsePipe() };
+    }
+
+    if (this.accept('|')) {
+      return { type: 'pipe', left, right: this.parsePipe() };
+    }
+
+    return left;
+  }
+
+  parseComma() {
+    let left = this.parseAlternative();
+    while (this.accept(',')) {
+      left = { type: 'comma', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  parseAlternative() {
+    const left = this.parseOr();
+    if (this.accept('//')) {
+      return { type: 'alternative', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('or')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.accept('and')) {
+      left = { type: 'and', left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const op = ['==', '!=', '<=', '>=', '<', '>'].find(value => this.is(value));
+    if (op) {
+      this.next();
+      return { type: 'binary', op, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    for (let op; (op = ['+', '-'].find(value => this.is(value)));) {
+      this.next();
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    for (let op; (op = ['*', '/', '%'].find(value => this.is(value)));) {
+      this.next();
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.accept('-')) {
+      return { type: 'negate', body: this.parsePostfix() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parseTerm();
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'field') {
+        this.next();
+        node = { type: 'index', target: node, key: { type: 'literal', value: token.value } };
+      } else if (this.is('.') && this.peek(1).type === 'string') {
+        this.next();
+        node = { type: 'index', target: node, key: this.parseString(this.next()) };
+      } else if (this.is('[') || (this.is('.') && this.is('[', 1))) {
+        this.accept('.');
+        node = this.parseBracket(node);
+      } else if (this.accept('?')) {
+        node = { type: 'try', body: node };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseBracket(target) {
+    this.expect('[');
+
+    if (this.accept(']')) {
+      return { type: 'iterate', target };
+    }
+
+    const from = this.is(':') ? null : this.parsePipe();
+    if (this.accept(':')) {
+      const to = this.is(']') ? null : this.parsePipe();
+      this.expect(']');
+      return { type: 'slice', target, from, to };
+    }
+
+    this.expect(']');
+    return { type: 'index', target, key: from };
+  }
+
+  parseString(token, format = null) {
+    const parts = token.value;
+    if (parts.length === 1 && typeof parts[0] === 'string' && !format) {
+      return { type: 'literal', value: parts[0] };
+    }
+    return { type: 'string', parts, format };
+  }
+
+  parseTerm() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'string':
+        return this.parseString(token);
+      case 'field':
+        return { type: 'index', target: { type: 'identity' }, key: { type: 'literal', value: token.value } };
+      case 'variable':
+        return { type: 'variable', name: token.value };
+      case 'format':
+        if (this.peek().type === 'string') {
+          return this.parseString(this.next(), token.value);
+        }
+        return { type: 'format', name: token.value };
+      case 'keyword':
+        if (token.value === 'if') return this.parseIf();
+        if (token.value === 'reduce') return this.parseReduce();
+        break;
+      case 'ident':
+        return this.parseCall(token);
+      case 'punct':
+        return this.parsePunctTerm(token);
+    }
+
+    throw new OutputError(`jq: unexpected ${describe(token)} at position ${token.pos}`);
+  }
+
+  parsePunctTerm(token) {
+    switch (token.value) {
+      case '.':
+        if (this.peek().type === 'string') {
+          return { type: 'index', target: { type: 'identity' }, key: this.parseString(this.next()) };
+        }
+        return { type: 'identity' };
+      case '..':
+        return { type: 'call', name: 'recurse', args: [] };
+      case '(': {
+        const body = this.parsePipe();
+        this.expect(')');
+        return body;
+      }
+      case '[': {
+        if (this.accept(']')) {
+          return { type: 'literal', value: [] };
+        }
+        const body = this.parsePipe();
+        this.expect(']');
+        return { type: 'array', body };
+      }
+      case '{':
+        return this.parseObject();
+    }
+
+    throw new OutputError(`jq: unexpected '${token.value}' at position ${token.pos}`);
+  }
+
+  parseObject() {
+    const entries = [];
+
+    if (this.accept('}')) {
+      return { type: 'object', entries };
+    }
+
+    do {
+      const token = this.next();
+      let key;
+      let value = null;
+
+      if (token.type === 'ident' || token.type === 'keyword') {
+        key = { type: 'literal', value: token.value };
+        value = { type: 'index', target: { type: 'identity' }, key };
+      } else if (token.type === 'variable') {
+        key = { type: 'literal', value: token.value };
+        value = { type: 'variable', name: token.value };
+      } else if (token.type === 'string') {
+        key = this.parseString(token);
+        value = { type: 'index', target: { type: 'identity' }, key };
+      } else if (token.type === 'punct' && token.value === '(') {
+        key = this.parsePipe();
+        this.expect(')');
+      } else {
+        throw new OutputError(`jq: unexpected ${describe(token)} in object at position ${token.pos}`);
+      }
+
+      if (this.accept(':')) {
+        value = this.parseAlternative();
+      } else if (!value) {
+        throw new OutputError(`jq: expected ':' after computed key at position ${this.peek().pos}`);
+      }
+
+      entries.push({ key, value });
+    } while (this.accept(','));
+
+    this.expect('}');
+    return { type: 'object', entries };
+  }
+
+  parseIf() {
+    const cond = this.parsePipe();
+    this.expect('then');
+    const then = this.parsePipe();
+
+    let otherwise = { type: 'identity' };
+    if (this.accept('elif')) {
+      otherwise = this.parseIf();
+      return { type: 'if', cond, then, otherwise };
+    }
+    if (this.accept('else')) {
+      otherwise = this.parsePipe();
+    }
+    this.expect('end');
+
+    return { type: 'if', cond, then, otherwise };
+  }
+
+  parseReduce() {
+    const source = this.parsePostfix();
+    this.expect('as');
+    const variable = this.next();
+    if (variable.type !== 'variable') {
+      throw new OutputError(`jq: expected $name after 'as' at position ${variable.pos}`);
+    }
+    this.expect('(');
+    const init = this.parsePipe();
+    this.expect(';');
+    const update = this.parsePipe();
+    this.expect(')');
+
+    return { type: 'reduce', source, name: variable.value, init, update };
+  }
+
+  parseCall(token) {
+    const name = token.value;
+
+    if (name === 'true' || name === 'false') {
+      return { type: 'literal', value: name === 'true' };
+    }
+    if (name === 'null') {
+      return { type: 'literal', value: null };
+    }
+
+    const args = [];
+    if (this.accept('(')) {
+      do {
+        args.push(this.parsePipe());
+      } while (this.accept(';'));
+      this.expect(')');
+    }
+
+    if (!BUILTINS[`${name}/${args.length}`]) {
+      throw new OutputError(`jq: ${name}/${args.length} is not defined`);
+    }
+
+    return { type: 'call', name, args };
+  }
+}
+
+function describe(token) {
+  if (token.type === 'eof') return 'end of expression';
+  if (token.type === 'string') return 'string';
+  return `'${token.type === 'field' ? `.${token.value}` : token.value}'`;
+}
+
+/**
+ * Parse a jq expression
+ * @param {string} source - Expression
+ * @returns {Object} AST
+ * @throws {OutputError} On a syntax error or unknown function
+ */
+export function parse(source) {
+  return new Parser(tokenize(source)).parseProgram();
+}
+
+// ---------------------------------------------------------------------------
+// Values
+
+/**
+ * jq type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+export function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : typeof value;
+}
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+/**
+ * Compare two values in jq's total order
+ * (null < false < true < numbers < strings < arrays < objects)
+ * @returns {number} Negative, zero or positive
+ */
+export function compare(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'boolean':
+    case 'number':
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 'string':
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 'array': {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = compare(a[i], b[i]);
+        if (order !== 0) return order;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      const order = compare(keysA, keysB);
+      if (order !== 0) return order;
+      for (const key of keysA) {
+        const valueOrder = compare(a[key], b[key]);
+        if (valueOrder !== 0) return valueOrder;
+      }
+      return 0;
+    }
+  }
+}
+
+function truthy(value) {
+  return value !== false && value !== null && value !== undefined;
+}
+
+function toJson(value) {
+  return JSON.stringify(value ?? null);
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value : toJson(value);
+}
+
+function fail(message) {
+  throw new OutputError(`jq: ${message}`);
+}
+
+function index(target, key) {
+  const targetType = typeOf(target);
+
+  if (targetType === 'null') {
+    return null;
+  }
+  if (targetType === 'object' && typeof key === 'string') {
+    return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : null;
+  }
+  if (targetType === 'array' && typeof key === 'number') {
+    const position = key < 0 ? target.length + Math.floor(key) : Math.floor(key);
+    return target[position] ?? null;
+  }
+
+  return fail(`Cannot index ${targetType} with ${typeOf(key) === 'string' ? `"${key}"` : typeOf(key)}`);
+}
+
+function slice(target, from, to) {
+  if (target === null || target === undefined) {
+    return null;
+  }
+  if (typeof target !== 'string' && !Array.isArray(target)) {
+    return fail(`Cannot index ${typeOf(target)} with object`);
+  }
+  const clamp = (value, fallback) => (value === null || value === undefined ? fallback : Math.floor(value));
+  return target.slice(clamp(from, 0), clamp(to, target.length));
+}
+
+function arithmetic(op, left, right) {
+  const types = `${typeOf(left)} ${typeOf(right)}`;
+
+  switch (op) {
+    case '+':
+      if (left === null) return right;
+      if (right === null) return left;
+      if (types === 'number number' || types === 'string string') return left + right;
+      if (types === 'array array') return [...left, ...right];
+      if (types === 'object object') return { ...left, ...right };
+      break;
+    case '-':
+      if (types === 'number number') return left - right;
+      if (types === 'array array') return left.filter(item => !right.some(other => compare(item, other) === 0));
+      break;
+    case '*':
+      if (types === 'number number') return left * right;
+      if (types === 'object object') return deepMerge(left, right);
+      if (types === 'string number') return right > 0 ? left.repeat(Math.ceil(right)) : null;
+      break;
+    case '/':
+      if (types === 'number number') {
+        if (right === 0) fail(`${left} and ${right} cannot be divided because the divisor is zero`);
+        return left / right;
+      }
+      if (types === 'string string') return left.split(right);
+      break;
+    case '%':
+      if (types === 'number number') {
+        if (Math.trunc(right) === 0) fail(`${left} and ${right} cannot be divided because the divisor is zero`);
+        return Math.trunc(left) % Math.trunc(right);
+      }
+      break;
+  }
+
+  return fail(`${typeOf(left)} (${toJson(left)}) and ${typeOf(right)} (${toJson(right)}) cannot be ${{ '+': 'added', '-': 'subtracted', '*': 'multiplied', '/': 'divided', '%': 'divided' }[op]}`);
+}
+
+function deepMerge(left, right) {
+  const result = { ...left };
+  for (const [key, value] of Object.entries(right)) {
+    result[key] = typeOf(result[key]) === 'object' && typeOf(value) === 'object' ? deepMerge(result[key], value) : value;
+  }
+  return result;
+}
+
+function contains(a, b) {
+  const types = `${typeOf(a)} ${typeOf(b)}`;
+  if (types === 'string string') return a.includes(b);
+  if (types === 'array array') return b.every(item => a.some(candidate => contains(candidate, item)));
+  if (types === 'object object') {
+    return Object.keys(b).every(key => Object.prototype.hasOwnProperty.call(a, key) && contains(a[key], b[key]));
+  }
+  if (typeOf(a) !== typeOf(b)) fail(`${typeOf(a)} (${toJson(a)}) and ${typeOf(b)} (${toJson(b)}) cannot have their containment checked`);
+  return compare(a, b) === 0;
+}
+
+function length(value) {
+  switch (typeOf(value)) {
+    case 'null': return 0;
+    case 'number': return Math.abs(value);
+    case 'string': return [...value].length;
+    case 'array': return value.length;
+    case 'object': return Object.keys(value).length;
+    default: return fail(`boolean (${value}) has no length`);
+  }
+}
+
+function values(value) {
+  if (Array.isArray(value)) return value;
+  if (typeOf(value) === 'object') return Object.values(value);
+  return fail(`Cannot iterate over ${typeOf(value)}${value === null ? '' : ` (${toJson(value)})`}`);
+}
+
+function* recurse(value) {
+  yield value;
+  if (Array.isArray(value) || typeOf(value) === 'object') {
+    for (const child of values(value)) {
+      yield* recurse(child);
+    }
+  }
+}
+
+function regex(pattern, flags = '') {
+  if (typeof pattern !== 'string') fail(`${typeOf(pattern)} (${toJson(pattern)}) cannot be matched, as it is not a string`);
+  const jsFlags = [...new Set(flags.replace(/[^gimsx]/g, '').replace('x', ''))].join('');
+  try {
+    return new RegExp(pattern, jsFlags + 'u');
+  } catch (error) {
+    return fail(`${pattern} is not a valid regex: ${error.message}`);
+  }
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string') fail(`${name} input must be a string`);
+  return value;
+}
+
+function requireArray(value, name) {
+  if (!Array.isArray(value)) fail(`Cannot ${name} ${typeOf(value)}`);
+  return value;
+}
+
+/**
+ * Apply an `@format` to a value
+ * @param {string} name - Format name without `@`
+ * @param {*} value
+ * @returns {string}
+ */
+function applyFormat(name, value) {
+  switch (name) {
+    case 'text':
+      return toText(value);
+    case 'json':
+      return toJson(value);
+    case 'csv':
+    case 'tsv': {
+      const row = requireArray(value, `format ${name}:`);
+      return row.map(cell => {
+        if (typeOf(cell) === 'array' || typeOf(cell) === 'object') fail(`${typeOf(cell)} (${toJson(cell)}) is not valid in a ${name} row`);
+        if (typeof cell !== 'string') return cell === null ? '' : String(cell);
+        return name === 'csv'
+          ? `"${cell.replace(/"/g, '""')}"`
+          : cell.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+      }).join(name === 'csv' ? ',' : '\t');
+    }
+    case 'html':
+      return toText(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[char]);
+    case 'uri':
+      return toText(value).replace(/[^A-Za-z0-9\-_.~]/g, char => [...Buffer.from(char)].map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join(''));
+    case 'sh': {
+      const quote = (item) => {
+        if (typeOf(item) === 'array' || typeOf(item) === 'object') fail(`${typeOf(item)} (${toJson(item)}) can not be escaped for shell`);
+        return typeof item === 'string' ? `'${item.replace(/'/g, "'\\''")}'` : toJson(item);
+      };
+      return Array.isArray(value) ? value.map(quote).join(' ') : quote(value);
+    }
+    case 'base64':
+      return Buffer.from(toText(value)).toString('base64');
+    case 'base64d':
+      return Buffer.from(toText(value), 'base64').toString('utf8');
+    default:
+      return fail(`${name} is not a valid format`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+
+/**
+ * Evaluate an AST node, yielding every output
+ * @param {Object} node - AST node
+ * @param {*} input - `.`
+ * @param {Object} vars - Variable bindings
+ */
+function* evaluate(node, input, vars) {
+  switch (node.type) {
+    case 'identity':
+      yield input;
+      return;
+
+    case 'literal':
+      yield node.value;
+      return;
+
+    case 'variable':
+      if (!(node.name in vars)) fail(`$${node.name} is not defined`);
+      yield vars[node.name];
+      return;
+
+    case 'format':
+      yield applyFormat(node.name, input);
+      return;
+
+    case 'string':
+      yield* interpolate(node.parts, 0, '', input, vars, node.format);
+      return;
+
+    case 'index':
+      for (const target of evaluate(node.target, input, vars)) {
+        for (const key of evaluate(node.key, input, vars)) {
+          yield index(target, key);
+        }
+      }
+      return;
+
+    case 'slice':
+      for (const target of evaluate(node.target, input, vars)) {
+        for (const to of node.to ? evaluate(node.to, input, vars) : [null]) {
+          for (const from of node.from ? evaluate(node.from, input, vars) : [null]) {
+            yield slice(target, from, to);
+          }
+        }
+      }
+      return;
+
+    case 'iterate':
+      for (const target of evaluate(node.target, input, vars)) {
+        yield* values(target);
+      }
+      return;
+
+    case 'try':
+      try {
+        for (const value of evaluate(node.body, input, vars)) {
+          yield value;
+        }
+      } catch (error) {
+        if (!(error instanceof OutputError)) throw error;
+      }
+      return;
+
+    case 'pipe':
+      for (const value of evaluate(node.left, input, vars)) {
+        yield* evaluate(node.right, value, vars);
+      }
+      return;
+
+    case 'comma':
+      yield* evaluate(node.left, input, vars);
+      yield* evaluate(node.right, input, vars);
+      return;
+
+    case 'bind':
+      for (const value of evaluate(node.source, input, vars)) {
+        yield* evaluate(node.body, input, { ...vars, [node.name]: value });
+      }
+      return;
+
+    case 'alternative': {
+      const results = [];
+      try {
+        for (const value of evaluate(node.left, input, vars)) {
+          if (truthy(value)) results.push(value);
+        }
+      } catch (error) {
+        if (!(error instanceof OutputError)) throw error;
+      }
+      if (results.length) {
+        yield* results;
+      } else {
+        yield* evaluate(node.right, input, vars);
+      }
+      return;
+    }
+
+    case 'and':
+    case 'or':
+      for (const left of evaluate(node.left, input, vars)) {
+        if (node.type === 'and' ? !truthy(left) : truthy(left)) {
+          yield node.type === 'or';
+          continue;
+        }
+        for (const right of evaluate(node.right, input, vars)) {
+          yield truthy(right);
+        }
+      }
+      return;
+
+    case 'binary':
+      for (const right of evaluate(node.right, input, vars)) {
+        for (const left of evaluate(node.left, input, vars)) {
+          yield binary(node.op, left, right);
+        }
+      }
+      return;
+
+    case 'negate':
+      for (const value of evaluate(node.body, input, vars)) {
+        if (typeof value !== 'number') fail(`${typeOf(value)} (${toJson(value)}) cannot be negated`);
+        yield -value;
+      }
+      return;
+
+    case 'array':
+      yield [...evaluate(node.body, input, vars)];
+      return;
+
+    case 'object':
+      yield* construct(node.entries, 0, {}, input, vars);
+      return;
+
+    case 'if':
+      for (const cond of evaluate(node.cond, input, vars)) {
+        yield* evaluate(truthy(cond) ? node.then : node.otherwise, input, vars);
+      }
+      return;
+
+    case 'reduce':
+      for (const init of evaluate(node.init, input, vars)) {
+        let accumulator = init;
+        for (const value of evaluate(node.source, input, vars)) {
+          let last = null;
+          for (const next of evaluate(node.update, accumulator, { ...vars, [node.name]: value })) {
+            last = next;
+          }
+          accumulator = last;
+        }
+        yield accumulator;
+      }
+      return;
+
+    case 'call':
+      yield* BUILTINS[`${node.name}/${node.args.length}`](input, node.args, vars);
+      return;
+
+    default:
+      fail(`unknown node ${node.type}`);
+  }
+}
+
+function binary(op, left, right) {
+  switch (op) {
+    case '==': return compare(left, right) === 0;
+    case '!=': return compare(left, right) !== 0;
+    case '<': return compare(left, right) < 0;
+    case '<=': return compare(left, right) <= 0;
+    case '>': return compare(left, right) > 0;
+    case '>=': return compare(left, right) >= 0;
+    default: return arithmetic(op, left, right);
+  }
+}
+
+function* interpolate(parts, position, prefix, input, vars, format) {
+  if (position === parts.length) {
+    yield prefix;
+    return;
+  }
+
+  const part = parts[position];
+  if (typeof part === 'string') {
+    yield* interpolate(parts, position + 1, prefix + part, input, vars, format);
+    return;
+  }
+
+  for (const value of evaluate(part, input, vars)) {
+    const text = format ? applyFormat(format, value) : toText(value);
+    yield* interpolate(parts, position + 1, prefix + text, input, vars, format);
+  }
+}
+
+function* construct(entries, position, object, input, vars) {
+  if (position === entries.length) {
+    yield { ...object };
+    return;
+  }
+
+  const { key, value } = entries[position];
+  for (const name of evaluate(key, input, vars)) {
+    if (typeof name !== 'string') fail(`Object keys must be strings, not ${typeOf(name)}`);
+    for (const item of evaluate(value, input, vars)) {
+      yield* construct(entries, position + 1, { ...object, [name]: item }, input, vars);
+    }
+  }
+}
+
+/**
+ * Evaluate a function argument once per output, as a list
+ */
+function all(arg, input, vars) {
+  return [...evaluate(arg, input, vars)];
+}
+
+function first(arg, input, vars) {
+  for (const value of evaluate(arg, input, vars)) {
+    return value;
+  }
+  return fail('argument produced no output');
+}
+
+function sortBy(array, arg, vars) {
+  return requireArray(array, 'sort').map(item => ({ item, key: all(arg, item, vars) }))
+    .sort((a, b) => compare(a.key, b.key));
+}
+
+function* gsub(input, [pattern, replacement, flags], vars, global) {
+  requireString(input, global ? 'gsub' : 'sub');
+  for (const source of evaluate(pattern, input, vars)) {
+    const flagList = flags ? all(flags, input, vars) : [''];
+    for (const flagText of flagList) {
+      const re = regex(source, `${flagText}${global ? 'g' : ''}`);
+      const pieces = [];
+      let last = 0;
+      for (const match of global ? input.matchAll(re) : [re.exec(input)].filter(Boolean)) {
+        pieces.push(input.slice(last, match.index));
+        pieces.push(first(replacement, { ...(match.groups || {}) }, vars));
+        last = match.index + match[0].length;
+      }
+      pieces.push(input.slice(last));
+      yield pieces.map(piece => toText(piece)).join('');
+    }
+  }
+}
+
+const TYPE_FILTERS = {
+  arrays: 'array', objects: 'object', strings: 'string', numbers: 'number', booleans: 'boolean', nulls: 'null'
+};
+
+/**
+ * Builtin functions keyed by `name/arity`. Each is a generator over
+ * `(input, argNodes, vars)`.
+ */
+const BUILTINS = {
+  'empty/0': function* () {},
+  'error/0': function* (input) { fail(toText(input)); },
+  'error/1': function* (input, [message], vars) { fail(toText(first(message, input, vars))); },
+  'not/0': function* (input) { yield !truthy(input); },
+  'length/0': function* (input) { yield length(input); },
+  'type/0': function* (input) { yield typeOf(input); },
+  'keys/0': function* (input) {
+    yield Array.isArray(input) ? input.map((_, i) => i) : Object.keys(objectInput(input, 'keys')).sort();
+  },
+  'keys_unsorted/0': function* (input) {
+    yield Array.isArray(input) ? input.map((_, i) => i) : Object.keys(objectInput(input, 'keys'));
+  },
+  'values/0': function* (input) { if (input !== null) yield input; },
+  'has/1': function* (input, [key], vars) {
+    for (const name of evaluate(key, input, vars)) {
+      yield Array.isArray(input) ? name >= 0 && name < input.length : Object.prototype.hasOwnProperty.call(objectInput(input, 'has'), name);
+    }
+  },
+  'contains/1': function* (input, [other], vars) {
+    for (const value of evaluate(other, input, vars)) yield contains(input, value);
+  },
+  'select/1': function* (input, [cond], vars) {
+    for (const value of evaluate(cond, input, vars)) {
+      if (truthy(value)) yield input;
+    }
+  },
+  'map/1': function* (input, [body], vars) {
+    yield values(input).flatMap(item => all(body, item, vars));
+  },
+  'map_values/1': function* (input, [body], vars) {
+    if (Array.isArray(input)) {
+      yield input.flatMap(item => all(body, item, vars).slice(0, 1));
+      return;
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(objectInput(input, 'map_values'))) {
+      const [mapped] = all(body, value, vars);
+      if (mapped !== undefined) result[key] = mapped;
+    }
+    yield result;
+  },
+  'recurse/0': function* (input) { yield* recurse(input); },
+  'recurse/1': function* (input, [step], vars) {
+    const walk = function* (value) {
+      yield value;
+      for (const child of evaluate(step, value, vars)) yield* walk(child);
+    };
+    yield* walk(input);
+  },
+  'add/0': function* (input) {
+    yield values(input).reduce((sum, value) => (sum === null ? value : arithmetic('+', sum, value)), null);
+  },
+  'any/0': function* (input) { yield values(input).some(truthy); },
+  'all/0': function* (input) { yield values(input).every(truthy); },
+  'any/1': function* (input, [cond], vars) { yield values(input).some(item => all(cond, item, vars).some(truthy)); },
+  'all/1': function* (input, [cond], vars) { yield values(input).every(item => all(cond, item, vars).every(truthy)); },
+  'flatten/0': function* (input) { yield requireArray(input, 'flatten').flat(Infinity); },
+  'flatten/1': function* (input, [depth], vars) {
+    for (const value of evaluate(depth, input, vars)) yield requireArray(input, 'flatten').flat(value);
+  },
+  'range/1': function* (input, [upto], vars) {
+    for (const end of evaluate(upto, input, vars)) {
+      for (let i = 0; i < end; i++) yield i;
+    }
+  },
+  'range/2': function* (input, [from, upto], vars) {
+    for (const start of evaluate(from, input, vars)) {
+      for (const end of evaluate(upto, input, vars)) {
+        for (let i = start; i < end; i++) yield i;
+      }
+    }
+  },
+  'floor/0': function* (input) { yield Math.floor(input); },
+  'ceil/0': function* (input) { yield Math.ceil(input); },
+  'round/0': function* (input) { yield Math.round(input); },
+  'tostring/0': function* (input) { yield toText(input); },
+  'tonumber/0': function* (input) {
+    const number = typeof input === 'number' ? input : Number(input);
+    if (typeof input !== 'number' && (typeof input !== 'string' || input.trim() === '' || Number.isNaN(number))) {
+      fail(`Cannot parse ${toJson(input)} as a number`);
+    }
+    yield number;
+  },
+  'tojson/0': function* (input) { yield toJson(input); },
+  'fromjson/0': function* (input) {
+    try {
+      yield JSON.parse(requireString(input, 'fromjson'));
+    } catch (error) {
+      if (error instanceof OutputError) throw error;
+      fail(`${input} (while parsing '${input}')`);
+    }
+  },
+  'ascii_downcase/0': function* (input) { yield requireString(input, 'ascii_downcase').toLowerCase(); },
+  'ascii_upcase/0': function* (input) { yield requireString(input, 'ascii_upcase').toUpperCase(); },
+  'trim/0': function* (input) { yield requireString(input, 'trim').trim(); },
+  'ltrimstr/1': function* (input, [prefix], vars) {
+    for (const value of evaluate(prefix, input, vars)) {
+      yield typeof input === 'string' && typeof value === 'string' && input.startsWith(value) ? input.slice(value.length) : input;
+    }
+  },
+  'rtrimstr/1': function* (input, [suffix], vars) {
+    for (const value of evaluate(suffix, input, vars)) {
+      yield typeof input === 'string' && typeof value === 'string' && value && input.endsWith(value) ? input.slice(0, -value.length) : input;
+    }
+  },
+  'startswith/1': function* (input, [prefix], vars) {
+    for (const value of evaluate(prefix, input, vars)) yield requireString(input, 'startswith').startsWith(requireString(value, 'startswith'));
+  },
+  'endswith/1': function* (input, [suffix], vars) {
+    for (const value of evaluate(suffix, input, vars)) yield requireString(input, 'endswith').endsWith(requireString(value, 'endswith'));
+  },
+  'test/1': function* (input, [pattern], vars) {
+    for (const source of evaluate(pattern, input, vars)) yield regex(source).test(requireString(input, 'test'));
+  },
+  'test/2': function* (input, [pattern, flags], vars) {
+    for (const flagText of evaluate(flags, input, vars)) {
+      for (const source of evaluate(pattern, input, vars)) yield regex(source, flagText || '').test(requireString(input, 'test'));
+    }
+  },
+  'sub/2': function* (input, args, vars) { yield* gsub(input, args, vars, false); },
+  'sub/3': function* (input, args, vars) { yield* gsub(input, args, vars, false); },
+  'gsub/2': function* (input, args, vars) { yield* gsub(input, args, vars, true); },
+  'gsub/3': function* (input, args, vars) { yield* gsub(input, args, vars, true); },
+  'split/1': function* (input, [separator], vars) {
+    for (const value of evaluate(separator, input, vars)) yield requireString(input, 'split').split(value);
+  },
+  'join/1': function* (input, [separator], vars) {
+    for (const value of evaluate(separator, input, vars)) {
+      yield requireArray(input, 'join').map(item => {
+        if (typeOf(item) === 'array' || typeOf(item) === 'object') fail(`Cannot join with ${typeOf(item)}`);
+        return item === null ? '' : String(item);
+      }).join(value);
+    }
+  },
+  'sort/0': function* (input) { yield [...requireArray(input, 'sort')].sort(compare); },
+  'sort_by/1': function* (input, [key], vars) { yield sortBy(input, key, vars).map(entry => entry.item); },
+  'group_by/1': function* (input, [key], vars) {
+    const groups = [];
+    for (const entry of sortBy(input, key, vars)) {
+      const last = groups[groups.length - 1];
+      if (last && compare(last.key, entry.key) === 0) {
+        last.items.push(entry.item);
+      } else {
+        groups.push({ key: entry.key, items: [entry.item] });
+      }
+    }
+    yield groups.map(group => group.items);
+  },
+  'unique/0': function* (input) {
+    yield [...requireArray(input, 'unique')].sort(compare).filter((item, i, sorted) => i === 0 || compare(item, sorted[i - 1]) !== 0);
+  },
+  'unique_by/1': function* (input, [key], vars) {
+    yield sortBy(input, key, vars)
+      .filter((entry, i, sorted) => i === 0 || compare(entry.key, sorted[i - 1].key) !== 0)
+      .map(entry => entry.item);
+  },
+  'min/0': function* (input) { yield requireArray(input, 'min').reduce((min, item) => (min === null || compare(item, min) < 0 ? item : min), null); },
+  'max/0': function* (input) { yield requireArray(input, 'max').reduce((max, item) => (max === null || compare(item, max) >= 0 ? item : max), null); },
+  'min_by/1': function* (input, [key], vars) { yield sortBy(input, key, vars)[0]?.item ?? null; },
+  'max_by/1': function* (input, [key], vars) { yield sortBy(input, key, vars).at(-1)?.item ?? null; },
+  'reverse/0': function* (input) {
+    yield typeof input === 'string' ? [...input].reverse().join('') : input === null ? [] : [...requireArray(input, 'reverse')].reverse();
+  },
+  'first/0': function* (input) { yield index(input, 0); },
+  'last/0': function* (input) { yield index(input, -1); },
+  'first/1': function* (input, [body], vars) {
+    for (const value of evaluate(body, input, vars)) {
+      yield value;
+      return;
+    }
+  },
+  'last/1': function* (input, [body], vars) {
+    const outputs = all(body, input, vars);
+    if (outputs.length) yield outputs[outputs.length - 1];
+  },
+  'limit/2': function* (input, [count, body], vars) {
+    for (const max of evaluate(count, input, vars)) {
+      if (max <= 0) continue;
+      let taken = 0;
+      for (const value of evaluate(body, input, vars)) {
+        yield value;
+        if (++taken >= max) break;
+      }
+    }
+  },
+  'to_entries/0': function* (input) {
+    yield Object.entries(objectInput(input, 'to_entries')).map(([key, value]) => ({ key, value }));
+  },
+  'from_entries/0': function* (input) {
+    const result = {};
+    for (const entry of requireArray(input, 'from_entries')) {
+      const key = entry.key ?? entry.k ?? entry.name ?? entry.Name ?? entry.Key ?? entry.K;
+      result[typeof key === 'string' ? key : toJson(key)] = entry.value ?? entry.v ?? entry.Value ?? entry.V ?? null;
+    }
+    yield result;
+  },
+  'with_entries/1': function* (input, [body], vars) {
+    const entries = Object.entries(objectInput(input, 'with_entries')).map(([key, value]) => ({ key, value }));
+    const mapped = entries.flatMap(entry => all(body, entry, vars));
+    yield* BUILTINS['from_entries/0'](mapped);
+  },
+  'getpath/1': function* (input, [path], vars) {
+    for (const keys of evaluate(path, input, vars)) {
+      yield requireArray(keys, 'getpath with').reduce((value, key) => (value === null ? null : index(value, key)), input);
+    }
+  },
+  'now/0': function* () { yield Date.now() / 1000; },
+  'fromdateiso8601/0': function* (input) { yield parseDate(input); },
+  'fromdate/0': function* (input) { yield parseDate(input); },
+  'todateiso8601/0': function* (input) { yield formatDate(input); },
+  'todate/0': function* (input) { yield formatDate(input); },
+  'env/0': function* () { yield { ...process.env }; }
+};
+
+for (const [name, type] of Object.entries(TYPE_FILTERS)) {
+  BUILTINS[`${name}/0`] = function* (input) {
+    if (typeOf(input) === type) yield input;
+  };
+}
+
+function objectInput(input, name) {
+  if (typeOf(input) !== 'object') fail(`${typeOf(input)} (${toJson(input)}) has no ${name === 'has' ? 'keys' : name}`);
+  return input;
+}
+
+function parseDate(input) {
+  const time = Date.parse(requireString(input, 'fromdateiso8601'));
+  if (Number.isNaN(time)) fail(`date "${input}" does not match format "%Y-%m-%dT%H:%M:%SZ"`);
+  return time / 1000;
+}
+
+function formatDate(input) {
+  if (typeof input !== 'number') fail('todateiso8601 requires a number of seconds');
+  return new Date(input * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Run a jq expression against a value
+ *
+ * @param {string|Object} expression - jq expression, or an AST from `parse()`
+ * @param {*} input - Input value
+ * @param {Object} [vars] - Extra `$name` bindings
+ * @returns {Array} Every output, in order
+ * @throws {OutputError} On a syntax or runtime error
+ * @example
+ * runJq('.[] | select(.draft | not) | .number', pulls); // [12, 15]
+ */
+export function runJq(expression, input, vars = {}) {
+  const ast = typeof expression === 'string' ? parse(expression) : expression;
+  return [...evaluate(ast, input, { ENV: { ...process.env }, ...vars })];
+}
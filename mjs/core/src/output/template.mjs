@@ -0,0 +1,272 @@
+/**
+ * @fileoverview `--template` renderer: mustache sections with Go-style
+ * spellings, so both `{{#items}}{{title}}{{/items}}` and
+ * `{{range .}}{{.title}}{{end}}` work
+ * @module output/template
+ */
+
+import { OutputError } from '../utils/errors.mjs';
+
+const TAG = /\{\{(-?)\s*([\s\S]*?)\s*(-?)\}\}/g;
+
+/**
+ * Helpers usable in a tag pipeline, e.g. `{{.title | truncate 40}}`
+ */
+export const TEMPLATE_HELPERS = {
+  json: (value) => JSON.stringify(value ?? null),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  truncate: (value, length = '40') => {
+    const text = toText(value);
+    const max = Number(length);
+    return [...text].length > max ? `${[...text].slice(0, Math.max(0, max - 1)).join('')}…` : text;
+  },
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+  pluck: (value, field) => (Array.isArray(value) ? value.map(item => lookupPath(item, field)) : []),
+  default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value),
+  timeago: (value) => timeAgo(value)
+};
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function timeAgo(value, now = Date.now()) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return toText(value);
+
+  const seconds = Math.round((now - time) / 1000);
+  const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(Math.abs(seconds) / size);
+    if (count >= 1) {
+      const label = `${count} ${unit}${count > 1 ? 's' : ''}`;
+      return seconds < 0 ? `in ${label}` : `${label} ago`;
+    }
+  }
+  return 'just now';
+}
+
+/**
+ * Follow a dotted path (`user.login`, `labels.0.name`)
+ * @param {*} value - Root value
+ * @param {string} path - Dotted path; empty for the value itself
+ * @returns {*} Value at the path, or undefined
+ */
+export function lookupPath(value, path) {
+  if (!path) return value;
+
+  let current = value;
+  for (const segment of path.split('.')) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Split a template into a tree of text, values and sections
+ * @param {string} source - Template
+ * @returns {Array<Object>}
+ */
+function compile(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const sink = () => stack[stack.length - 1].otherwise || stack[stack.length - 1].children;
+  let last = 0;
+  let trimNext = false;
+
+  for (const match of source.matchAll(TAG)) {
+    const [whole, trimBefore, body, trimAfter] = match;
+    let text = source.slice(last, match.index);
+    if (trimNext) text = text.replace(/^\s+/, '');
+    if (trimBefore) text = text.replace(/\s+$/, '');
+    if (text) sink().push({ type: 'text', text });
+    last = match.index + whole.length;
+    trimNext = Boolean(trimAfter);
+
+    const current = stack[stack.length - 1];
+    const word = body.split(/\s+/, 1)[0];
+
+    if (body.startsWith('!') || body.startsWith('/*')) {
+      continue;
+    }
+
+    if (body[0] === '#' || body[0] === '^' || word === 'range' || word === 'if' || word === 'with') {
+      const inverted = body[0] === '^';
+      const expression = body[0] === '#' || inverted ? body.slice(1).trim() : body.slice(word.length).trim();
+      const node = {
+        type: 'section',
+        kind: body[0] === '#' ? 'section' : inverted ? 'inverted' : word,
+        name: expression,
+        expression: parseExpression(expression),
+        children: [],
+        otherwise: null
+      };
+      sink().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (word === 'else') {
+      if (stack.length === 1 || current.otherwise) {
+        throw new OutputError(`template: unexpected {{else}} at position ${match.index}`);
+      }
+      current.otherwise = [];
+      continue;
+    }
+
+    if (body[0] === '/' || word === 'end') {
+      const name = body[0] === '/' ? body.slice(1).trim() : null;
+      if (stack.length === 1 || (name !== null && name !== current.name)) {
+        throw new OutputError(`template: unexpected {{${body}}} at position ${match.index}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    sink().push({ type: 'value', expression: parseExpression(body) });
+  }
+
+  if (stack.length > 1) {
+    throw new OutputError(`template: {{${stack[stack.length - 1].kind === 'section' ? '#' : ''}${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  let text = source.slice(last);
+  if (trimNext) text = text.replace(/^\s+/, '');
+  if (text) root.children.push({ type: 'text', text });
+
+  return root.children;
+}
+
+/**
+ * Parse `path | helper arg | helper` into its parts
+ * @param {string} source - Tag body
+ * @returns {{ path: string|null, literal?: string, pipeline: Array<{ name: string, args: string[] }> }}
+ */
+function parseExpression(source) {
+  const [head, ...stages] = splitPipes(source);
+  const pipeline = stages.map(stage => {
+    const [name, ...args] = splitWords(stage);
+    if (!TEMPLATE_HELPERS[name]) {
+      throw new OutputError(`template: unknown helper '${name}' (available: ${Object.keys(TEMPLATE_HELPERS).join(', ')})`);
+    }
+    return { name, args };
+  });
+
+  const term = head.trim();
+  if (term.startsWith('"')) {
+    return { path: null, literal: JSON.parse(term), pipeline };
+  }
+  return { path: term, pipeline };
+}
+
+function splitPipes(source) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' && source[i - 1] !== '\\') quoted = !quoted;
+    if (char === '|' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function splitWords(source) {
+  return (source.match(/"(?:[^"\\]|\\.)*"|\S+/g) || []).map(word => (word.startsWith('"') ? JSON.parse(word) : word));
+}
+
+/**
+ * Resolve a tag's value against the context stack. A leading dot (`.title`)
+ * reads the current context only; a bare name (`title`) searches outward
+ * through enclosing sections, like mustache.
+ */
+function resolve(expression, stack) {
+  let value;
+
+  if (expression.path === null) {
+    value = expression.literal;
+  } else if (expression.path === '.' || expression.path.startsWith('.')) {
+    value = lookupPath(stack[stack.length - 1], expression.path.slice(1));
+  } else {
+    const [first] = expression.path.split('.', 1);
+    const context = [...stack].reverse().find(item => item !== null && typeof item === 'object' && first in item);
+    value = context === undefined ? undefined : lookupPath(context, expression.path);
+  }
+
+  for (const { name, args } of expression.pipeline) {
+    value = TEMPLATE_HELPERS[name](value, ...args);
+  }
+
+  return value;
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false && value !== '' && value !== 0;
+}
+
+function renderNodes(nodes, stack) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'value') {
+      output += toText(resolve(node.expression, stack));
+    } else {
+      output += renderSection(node, stack);
+    }
+  }
+
+  return output;
+}
+
+function renderSection(node, stack) {
+  const value = resolve(node.expression, stack);
+  const otherwise = () => (node.otherwise ? renderNodes(node.otherwise, stack) : '');
+
+  switch (node.kind) {
+    case 'inverted':
+      return truthy(value) ? '' : renderNodes(node.children, stack);
+    case 'if':
+      return truthy(value) ? renderNodes(node.children, stack) : otherwise();
+    case 'with':
+      return truthy(value) ? renderNodes(node.children, [...stack, value]) : otherwise();
+    case 'range': {
+      const items = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : [];
+      return items.length ? items.map(item => renderNodes(node.children, [...stack, item])).join('') : otherwise();
+    }
+    default:
+      if (!truthy(value)) return otherwise();
+      if (Array.isArray(value)) return value.map(item => renderNodes(node.children, [...stack, item])).join('');
+      return renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack);
+  }
+}
+
+/**
+ * Render a template against data
+ *
+ * @param {string} template - Template source
+ * @param {*} data - Root context (`.`)
+ * @returns {string}
+ * @throws {OutputError} On an unbalanced section or unknown helper
+ * @example
+ * renderTemplate('{{range .}}#{{.number}} {{.title | truncate 30}}\n{{end}}', pulls);
+ * renderTemplate('{{#labels}}{{name}} {{/labels}}', issue);
+ */
+export function renderTemplate(template, data) {
+  return renderNodes(compile(template), [data]);
+}
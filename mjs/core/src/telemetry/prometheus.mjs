@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Instrumentation hooks that count requests and serve them in
+ * the Prometheus text exposition format
+ * @module telemetry/prometheus
+ */
+
+import http from 'http';
+import { getSchedulerMetrics } from '../client/scheduler.mjs';
+
+/**
+ * Default histogram buckets for request durations (seconds)
+ */
+export const PROMETHEUS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Content type of the text exposition format
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Counts every request it hears about and renders the counts for a
+ * Prometheus scrape:
+ *
+ * - `github_requests_total{method,endpoint,status}`
+ * - `github_request_duration_seconds{method,endpoint}` (histogram)
+ * - `github_request_retries_total{method,endpoint}`
+ * - `github_request_errors_total{method,endpoint,error}`
+ * - `github_rate_limit_hits_total{resource,kind}`
+ * - `github_rate_limit_remaining{resource}` and `github_rate_limit_limit{resource}`
+ * - `github_scheduler_queued{scheduler}` and `github_scheduler_active{scheduler}`
+ *
+ * Endpoints are templates (`/repos/{owner}/{repo}/pulls`), never concrete
+ * paths, so label sets stay bounded.
+ *
+ * @example
+ * ```javascript
+ * import { addInstrumentation, PrometheusExporter } from '@github-api/core';
+ *
+ * const exporter = new PrometheusExporter();
+ * addInstrumentation(exporter);
+ * await exporter.serve({ port: 9464 }); // curl http://127.0.0.1:9464/metrics
+ * ```
+ */
+export class PrometheusExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix='github_'] - Metric name prefix
+   * @param {number[]} [options.buckets] - Duration histogram buckets (seconds)
+   * @param {boolean} [options.schedulers=true] - Include the shared schedulers' queue gauges
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix ?? 'github_';
+    this.buckets = [...(options.buckets || PROMETHEUS_BUCKETS)].sort((a, b) => a - b);
+    this.schedulers = options.schedulers !== false;
+    this.server = null;
+    this.reset();
+  }
+
+  /**
+   * Forget every count
+   */
+  reset() {
+    this.requests = new Map();
+    this.durations = new Map();
+    this.retries = new Map();
+    this.errors = new Map();
+    this.rateLimitHits = new Map();
+    this.rateLimits = new Map();
+  }
+
+  onRetry(event) {
+    increment(this.retries, { method: event.method, endpoint: event.endpoint });
+  }
+
+  onRateLimit(event) {
+    increment(this.rateLimitHits, { resource: event.rateLimit?.resource || event.resource, kind: event.kind });
+  }
+
+  onResponse(event) {
+    this.record(event);
+  }
+
+  onError(event) {
+    this.record(event);
+    increment(this.errors, { method: event.method, endpoint: event.endpoint, error: event.error?.name || 'Error' });
+  }
+
+  /**
+   * @private
+   */
+  record(event) {
+    const labels = { method: event.method, endpoint: event.endpoint };
+    increment(this.requests, { ...labels, status: event.status ?? 'none' });
+
+    const key = formatLabels(labels);
+    if (!this.durations.has(key)) {
+      this.durations.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = this.durations.get(key);
+    const seconds = event.duration / 1000;
+    this.buckets.forEach((bucket, i) => {
+      if (seconds <= bucket) {
+        histogram.counts[i]++;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+
+    if (event.rateLimit) {
+      this.rateLimits.set(event.rateLimit.resource, event.rateLimit);
+    }
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string}
+   */
+  metrics() {
+    const lines = [];
+    const name = metric => `${this.prefix}${metric}`;
+
+    const family = (metric, type, help, samples) => {
+      lines.push(`# HELP ${name(metric)} ${help}`, `# TYPE ${name(metric)} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${name(metric)}${suffix}${formatLabels(labels)} ${formatNumber(value)}`);
+      }
+    };
+    const counters = map => [...map.values()].map(({ labels, value }) => ['', labels, value]);
+
+    family('requests_total', 'counter', 'GitHub API requests by endpoint and final status', counters(this.requests));
+
+    const histogram = [];
+    for (const { labels, counts, sum, count } of this.durations.values()) {
+      this.buckets.forEach((bucket, i) => histogram.push(['_bucket', { ...labels, le: formatNumber(bucket) }, counts[i]]));
+      histogram.push(['_bucket', { ...labels, le: '+Inf' }, count], ['_sum', labels, sum], ['_count', labels, count]);
+    }
+    family('request_duration_seconds', 'histogram', 'GitHub API request duration, retries and rate limit waits included', histogram);
+
+    family('request_retries_total', 'counter', 'GitHub API request retries', counters(this.retries));
+    family('request_errors_total', 'counter', 'GitHub API requests that failed', counters(this.errors));
+    family('rate_limit_hits_total', 'counter', 'Primary and secondary rate limits hit', counters(this.rateLimitHits));
+
+    const snapshots = [...this.rateLimits.values()];
+    family('rate_limit_remaining', 'gauge', 'Requests left in the current rate limit window',
+      snapshots.map(({ resource, remaining }) => ['', { resource }, remaining]));
+    family('rate_limit_limit', 'gauge', 'Requests allowed per rate limit window',
+      snapshots.map(({ resource, limit }) => ['', { resource }, limit]));
+
+    if (this.schedulers) {
+      const schedulers = Object.entries(getSchedulerMetrics());
+      family('scheduler_queued', 'gauge', 'Requests waiting in a shared scheduler',
+        schedulers.map(([scheduler, { queued }]) => ['', { scheduler }, queued]));
+      family('scheduler_active', 'gauge', 'Requests in flight through a shared scheduler',
+        schedulers.map(([scheduler, { active }]) => ['', { scheduler }, active]));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serve the metrics over HTTP for Prometheus to scrape
+   * @param {Object} [options]
+   * @param {number} [options.port=9464] - Port, 0 for any free one
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+   * @param {string} [options.path='/metrics'] - Scrape path
+   * @returns {Promise<http.Server>} The listening server
+   */
+  serve({ port = 9464, host = '127.0.0.1', path = '/metrics' } = {}) {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== path) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE }).end(this.metrics());
+    });
+
+    this.server = server;
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  /**
+   * Stop serving
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this.server;
+    this.server = null;
+    return server ? new Promise(resolve => server.close(() => resolve())) : Promise.resolve();
+  }
+}
+
+function increment(map, labels) {
+  const key = formatLabels(labels);
+  const entry = map.get(key) || { labels, value: 0 };
+  entry.value++;
+  map.set(key, entry);
+}
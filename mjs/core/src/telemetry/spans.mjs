@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Instrumentation hooks that turn each request into an
+ * OpenTelemetry-style client span
+ * @module telemetry/spans
+ */
+
+import crypto from 'crypto';
+
+/**
+ * OpenTelemetry SpanKind.CLIENT
+ */
+export const SPAN_KIND_CLIENT = 2;
+
+/**
+ * OpenTelemetry SpanStatusCode values
+ */
+export const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+function rateLimitAttributes(rateLimit) {
+  if (!rateLimit) {
+    return {};
+  }
+  return {
+    'github.rate_limit.resource': rateLimit.resource,
+    'github.rate_limit.limit': rateLimit.limit,
+    'github.rate_limit.remaining': rateLimit.remaining,
+    'github.rate_limit.reset': rateLimit.reset
+  };
+}
+
+/**
+ * Records one span per request, retries and rate limits included, with the
+ * HTTP semantic convention attributes (`http.request.method`, `url.full`,
+ * `url.template`, `http.response.status_code`, ...) and the rate limit
+ * headers as `github.rate_limit.*`.
+ *
+ * Finished spans are plain objects handed to `onEnd`. Given an OpenTelemetry
+ * `tracer`, the adapter records real spans through it instead, so they join
+ * the active trace and go wherever the SDK exports them.
+ *
+ * @example
+ * ```javascript
+ * import { addInstrumentation, SpanAdapter } from '@github-api/core';
+ * import { trace } from '@opentelemetry/api';
+ *
+ * addInstrumentation(new SpanAdapter({ tracer: trace.getTracer('github') }));
+ * addInstrumentation(new SpanAdapter({ onEnd: span => console.log(span.name, span.duration) }));
+ * ```
+ */
+export class SpanAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onEnd] - Receives each finished span object
+   * @param {Object} [options.tracer] - OpenTelemetry tracer to record spans with
+   */
+  constructor(options = {}) {
+    this.onEnd = options.onEnd || null;
+    this.tracer = options.tracer || null;
+    this.open = new Map();
+  }
+
+  onRequest(event) {
+    const url = new URL(event.url);
+    const attributes = {
+      'http.request.method': event.method,
+      'url.full': event.url,
+      'url.template': event.endpoint,
+      'server.address': url.hostname,
+      'github.rate_limit.resource': event.resource
+    };
+    if (url.port) {
+      attributes['server.port'] = Number(url.port);
+    }
+
+    const span = {
+      traceId: crypto.randomBytes(16).toString('hex'),
+      spanId: crypto.randomBytes(8).toString('hex'),
+      name: `${event.method} ${event.endpoint}`,
+      kind: SPAN_KIND_CLIENT,
+      startTime: event.startTime,
+      endTime: null,
+      duration: null,
+      attributes,
+      events: [],
+      status: { code: SPAN_STATUS.UNSET }
+    };
+
+    if (this.tracer) {
+      span.otel = this.tracer.startSpan(span.name, { kind: SPAN_KIND_CLIENT, attributes, startTime: event.startTime });
+    }
+    this.open.set(event.id, span);
+  }
+
+  onRateLimit(event) {
+    this.addEvent(event, 'github.rate_limit', {
+      'github.rate_limit.kind': event.kind,
+      'github.rate_limit.wait_ms': event.wait
+    });
+  }
+
+  onRetry(event) {
+    this.addEvent(event, 'http.retry', {
+      'http.request.resend_count': event.retry,
+      'http.retry.delay_ms': event.delay,
+      'error.type': event.error?.name
+    });
+  }
+
+  onResponse(event) {
+    this.end(event, {}, { code: SPAN_STATUS.UNSET });
+  }
+
+  onError(event) {
+    this.end(event, { 'error.type': event.error?.name || 'Error' }, {
+      code: SPAN_STATUS.ERROR,
+      message: event.error?.message
+    });
+  }
+
+  /**
+   * @private
+   */
+  addEvent(event, name, attributes) {
+    const span = this.open.get(event.id);
+    if (!span) {
+      return;
+    }
+
+    const time = event.startTime + event.duration;
+    span.events.push({ name, time, attributes });
+    span.otel?.addEvent(name, attributes, time);
+  }
+
+  /**
+   * @private
+   */
+  end(event, attributes, status) {
+    const span = this.open.get(event.id);
+    if (!span) {
+      return;
+    }
+    this.open.delete(event.id);
+
+    Object.assign(span.attributes, rateLimitAttributes(event.rateLimit), attributes);
+    if (event.status) {
+      span.attributes['http.response.status_code'] = event.status;
+    }
+    if (event.attempts > 1) {
+      span.attributes['http.request.resend_count'] = event.attempts - 1;
+    }
+    span.status = status;
+    span.duration = event.duration;
+    span.endTime = event.startTime + event.duration;
+
+    if (span.otel) {
+      span.otel.setAttributes(span.attributes);
+      span.otel.setStatus(status);
+      if (event.error) {
+        span.otel.recordException(event.error);
+      }
+      span.otel.end(span.endTime);
+    }
+
+    const { otel, ...finished } = span;
+    this.onEnd?.(finished);
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Common error hierarchy shared by every GitHub SDK package
+ * @module errors
+ */
+
+/**
+ * Base error for anything that goes wrong talking to the GitHub API
+ */
+export class GitHubError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {Object} [details.headers] - Response headers (lower-cased keys)
+   * @param {*} [details.body] - Parsed response body
+   * @param {Object} [details.request] - Request summary ({ method, url })
+   * @param {Object} [details.response] - Raw fetch response
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = details.status ?? null;
+    this.headers = details.headers || {};
+    this.body = details.body ?? null;
+    this.request = details.request || null;
+    this.response = details.response || null;
+    this.errors = details.body?.errors || [];
+    this.documentationUrl = details.body?.documentation_url || null;
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+
+  /**
+   * Alias kept for packages that historically exposed `statusCode`
+   */
+  get statusCode() {
+    return this.status;
+  }
+
+  set statusCode(value) {
+    this.status = value;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      errors: this.errors,
+      documentationUrl: this.documentationUrl,
+      request: this.request
+    };
+  }
+}
+
+/**
+ * 401 - missing or invalid credentials
+ */
+export class AuthError extends GitHubError {
+  constructor(message = 'Authentication required', details = {}) {
+    super(message, { status: 401, ...details });
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 403 - authenticated but not allowed
+ */
+export class ForbiddenError extends GitHubError {
+  constructor(message = 'Insufficient permissions', details = {}) {
+    super(message, { status: 403, ...details });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * 404 - resource does not exist (or is hidden from this token)
+ */
+export class NotFoundError extends GitHubError {
+  constructor(message = 'Resource not found', details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 409 - conflicting resource state
+ */
+export class ConflictError extends GitHubError {
+  constructor(message = 'Conflict', details = {}) {
+    super(message, { status: 409, ...details });
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * 422 - request body failed server-side validation
+ */
+export class ValidationError extends GitHubError {
+  constructor(message = 'Validation failed', details = {}) {
+    super(message, { status: 422, ...details });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Primary rate limit exhausted
+ */
+export class RateLimitError extends GitHubError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.reset] - Unix timestamp (seconds) when the limit resets
+   * @param {number} [details.remaining] - Remaining requests
+   * @param {string} [details.resource] - Rate limit resource (core, search, graphql)
+   * @param {number} [details.retryAfter] - Seconds from the `Retry-After` header
+   */
+  constructor(message = 'API rate limit exceeded', details = {}) {
+    super(message, { status: 403, ...details });
+    this.name = 'RateLimitError';
+    this.reset = details.reset ?? null;
+    this.remaining = details.remaining ?? 0;
+    this.resource = details.resource || 'core';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  /**
+   * Milliseconds until requests may be sent again: `Retry-After` when GitHub
+   * sent one, otherwise until the limit resets
+   * @returns {number}
+   */
+  getRetryAfter() {
+    if (this.retryAfter !== null) {
+      return this.retryAfter * 1000;
+    }
+    if (!this.reset) {
+      return 0;
+    }
+    return Math.max(0, this.reset * 1000 - Date.now());
+  }
+}
+
+// Wait after a secondary rate limit without Retry-After
+const SECONDARY_RATE_LIMIT_WAIT = 60000;
+
+/**
+ * Secondary rate limit: too many requests at once, too many writes in a
+ * short time or too much CPU time, with requests left in the primary limit
+ */
+export class SecondaryRateLimitError extends RateLimitError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as RateLimitError
+   */
+  constructor(message = 'You have exceeded a secondary rate limit', details = {}) {
+    super(message, details);
+    this.name = 'SecondaryRateLimitError';
+  }
+
+  /**
+   * Milliseconds to wait: `Retry-After` when given, otherwise the minute
+   * GitHub asks for
+   * @returns {number}
+   */
+  getRetryAfter() {
+    return this.retryAfter !== null ? this.retryAfter * 1000 : SECONDARY_RATE_LIMIT_WAIT;
+  }
+}
+
+/**
+ * 5xx - GitHub failed to handle the request
+ */
+export class ServerError extends GitHubError {
+  constructor(message = 'GitHub server error', details = {}) {
+    super(message, { status: 500, ...details });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Connection-level failure (DNS, refused, reset)
+ */
+export class NetworkError extends GitHubError {
+  constructor(message = 'Network error', details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Request exceeded the configured timeout
+ */
+export class TimeoutError extends NetworkError {
+  constructor(timeout, details = {}) {
+    super(`Request timeout after ${timeout}ms`, details);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Invalid `--jq` expression, `--template` or output format. Raised before
+ * anything is written, never by a request.
+ */
+export class OutputError extends GitHubError {
+  constructor(message = 'Invalid output options', details = {}) {
+    super(message, details);
+    this.name = 'OutputError';
+  }
+}
+
+/**
+ * Check whether a response represents an exhausted rate limit
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @param {*} body - Parsed response body
+ * @returns {boolean}
+ */
+export function isRateLimitResponse(status, headers = {}, body = null) {
+  if (status !== 403 && status !== 429) {
+    return false;
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0') {
+    return true;
+  }
+
+  return status === 429 || isSecondaryRateLimitResponse(status, headers, body) || /rate limit/i.test(bodyMessage(body));
+}
+
+/**
+ * Whether a failed response is a secondary rate limit: a 403 or 429 that
+ * asks to retry later, or says so, while primary requests remain
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers (lower-cased keys)
+ * @param {*} [body] - Parsed response body
+ * @returns {boolean}
+ */
+export function isSecondaryRateLimitResponse(status, headers = {}, body = null) {
+  if ((status !== 403 && status !== 429) || headers['x-ratelimit-remaining'] === '0') {
+    return false;
+  }
+
+  return headers['retry-after'] !== undefined || /secondary rate limit|abuse detection/i.test(bodyMessage(body));
+}
+
+/**
+ * Seconds to wait from a `Retry-After` header, which holds either seconds
+ * or an HTTP date
+ *
+ * @param {string} [value] - Header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function bodyMessage(body) {
+  return (typeof body === 'object' ? body?.message : body) || '';
+}
+
+/**
+ * Build the appropriate error instance for a failed response
+ */
+export class ErrorFactory {
+  /**
+   * @param {Object} response - Parsed response
+   * @param {number} response.status - HTTP status
+   * @param {string} [response.statusText] - HTTP status text
+   * @param {Object} [response.headers] - Response headers
+   * @param {*} [response.body] - Parsed body
+   * @param {Object} [response.request] - Request summary
+   * @param {Object} [response.raw] - Raw fetch response
+   * @returns {GitHubError}
+   */
+  static fromResponse({ status, statusText, headers = {}, body = null, request = null, raw = null }) {
+    const message = (typeof body === 'object' && body?.message)
+      || `HTTP ${status}${statusText ? `: ${statusText}` : ''}`;
+    const details = { status, headers, body, request, response: raw };
+
+    if (isRateLimitResponse(status, headers, body)) {
+      const RateLimitClass = isSecondaryRateLimitResponse(status, headers, body) ? SecondaryRateLimitError : RateLimitError;
+      return new RateLimitClass(message, {
+        ...details,
+        reset: headers['x-ratelimit-reset'] ? parseInt(headers['x-ratelimit-reset'], 10) : null,
+        remaining: headers['x-ratelimit-remaining'] ? parseInt(headers['x-ratelimit-remaining'], 10) : 0,
+        resource: headers['x-ratelimit-resource'],
+        retryAfter: parseRetryAfter(headers['retry-after'])
+      });
+    }
+
+    switch (status) {
+      case 401:
+        return new AuthError(message, details);
+      case 403:
+        return new ForbiddenError(message, details);
+      case 404:
+        return new NotFoundError(message, details);
+      case 409:
+        return new ConflictError(message, details);
+      case 422:
+        return new ValidationError(message, details);
+      default:
+        if (status >= 500) {
+          return new ServerError(message, details);
+        }
+        return new GitHubError(message, details);
+    }
+  }
+
+  /**
+   * @param {Error} error - Underlying fetch error
+   * @param {Object} [request] - Request summary
+   * @returns {NetworkError}
+   */
+  static fromNetworkError(error, request = null) {
+    const target = request?.url ? ` accessing ${request.url}` : '';
+    return new NetworkError(`Network error${target}: ${error.message}`, { request, cause: error });
+  }
+}
+
+/**
+ * Error handler utility functions
+ */
+export const errorUtils = {
+  /**
+   * Check if an error is worth retrying
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error instanceof NetworkError) return true;
+    if (error instanceof RateLimitError) return true;
+    if (error instanceof ServerError) return true;
+    return false;
+  },
+
+  /**
+   * Check if an error came from the GitHub API (rather than a local bug)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isGitHubError(error) {
+    return error instanceof GitHubError;
+  }
+};
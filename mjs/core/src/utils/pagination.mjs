@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Link-header pagination helpers
+ * @module pagination
+ */
+
+/**
+ * Parse a GitHub Link header into a rel → URL map
+ * @param {string} linkHeader - Link header value
+ * @returns {Object} Links keyed by rel (next, prev, first, last)
+ */
+export function parseLinkHeader(linkHeader) {
+  const links = {};
+
+  if (!linkHeader) {
+    return links;
+  }
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Extract the page number from a paginated URL
+ * @param {string} url - Page URL
+ * @returns {number|null}
+ */
+export function getPageFromUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const page = new URL(url).searchParams.get('page');
+    return page ? parseInt(page, 10) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pull the list of items out of a page body.
+ * Most list endpoints return an array; search-style endpoints wrap it.
+ * @param {*} data - Response body
+ * @param {string} [itemsKey] - Property holding the items for wrapped responses
+ * @returns {Array}
+ */
+export function extractItems(data, itemsKey) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+
+  if (data && typeof data === 'object') {
+    if (itemsKey && Array.isArray(data[itemsKey])) {
+      return data[itemsKey];
+    }
+    if (Array.isArray(data.items)) {
+      return data.items;
+    }
+  }
+
+  return data === null || data === undefined ? [] : [data];
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Rate limit header parsing and per-resource tracking
+ * @module rateLimit
+ */
+
+/**
+ * Parse x-ratelimit-* response headers
+ * @param {Object} headers - Response headers (lower-cased keys)
+ * @returns {Object|null} Rate limit snapshot, or null when the headers are absent
+ */
+export function parseRateLimitHeaders(headers = {}) {
+  if (headers['x-ratelimit-remaining'] === undefined) {
+    return null;
+  }
+
+  const reset = parseInt(headers['x-ratelimit-reset'], 10) || 0;
+
+  return {
+    limit: parseInt(headers['x-ratelimit-limit'], 10) || 0,
+    remaining: parseInt(headers['x-ratelimit-remaining'], 10) || 0,
+    used: parseInt(headers['x-ratelimit-used'], 10) || 0,
+    reset,
+    resetAt: reset ? new Date(reset * 1000) : null,
+    resource: headers['x-ratelimit-resource'] || 'core'
+  };
+}
+
+/**
+ * Keeps the latest rate limit snapshot for each resource (core, search, graphql, ...)
+ */
+export class RateLimitTracker {
+  constructor() {
+    this.resources = new Map();
+  }
+
+  /**
+   * Record the rate limit headers of a response
+   * @param {Object} headers - Response headers
+   * @returns {Object|null} Parsed snapshot
+   */
+  update(headers) {
+    const snapshot = parseRateLimitHeaders(headers);
+    if (snapshot) {
+      this.resources.set(snapshot.resource, snapshot);
+    }
+    return snapshot;
+  }
+
+  /**
+   * @param {string} [resource='core'] - Rate limit resource
+   * @returns {Object|null}
+   */
+  get(resource = 'core') {
+    return this.resources.get(resource) || null;
+  }
+
+  /**
+   * @returns {Object} Snapshots keyed by resource
+   */
+  getAll() {
+    return Object.fromEntries(this.resources);
+  }
+
+  /**
+   * Check if a resource is close to exhaustion
+   * @param {number} [threshold=100] - Remaining-request threshold
+   * @param {string} [resource='core'] - Rate limit resource
+   * @returns {boolean}
+   */
+  isApproaching(threshold = 100, resource = 'core') {
+    const snapshot = this.get(resource);
+    return !!snapshot && snapshot.remaining < threshold;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Retry backoff helpers
+ * @module retry
+ */
+
+/**
+ * Exponential backoff with optional full jitter
+ * @param {number} attempt - Retry number (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=1000] - Delay for the first retry (ms)
+ * @param {number} [options.maxDelay=30000] - Upper bound (ms)
+ * @param {boolean} [options.jitter=false] - Randomise within [0, delay]
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, { baseDelay = 1000, maxDelay = 30000, jitter = false } = {}) {
+  const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return jitter ? Math.floor(Math.random() * delay) : delay;
+}
+
+/**
+ * Sleep utility
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Tests for the credential store, device flow and scope checks
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CredentialStore,
+  getStoredToken,
+  resolveCredentials,
+  resolveToken,
+  normalizeHost,
+  apiBaseUrlForHost
+} from '../src/auth/credentials.mjs';
+import { deviceFlowLogin, DeviceFlowError } from '../src/auth/deviceFlow.mjs';
+import { hasScopes, missingScopes } from '../src/auth/scopes.mjs';
+import { login } from '../src/cli/login.mjs';
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function routedFetch(routes) {
+  return jest.fn(async (url) => {
+    const key = Object.keys(routes).find(route => url.startsWith(route));
+    const handler = routes[key];
+    if (!handler) throw new Error(`Unexpected request: ${url}`);
+    return typeof handler === 'function' ? handler(url) : handler.shift();
+  });
+}
+
+describe('CredentialStore', () => {
+  let dir;
+  let file;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-creds-'));
+    file = path.join(dir, 'credentials.json');
+    store = new CredentialStore({ path: file, passphrase: 'correct horse' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.GITHUB_PROFILE;
+  });
+
+  test('stores named profiles encrypted with private permissions', () => {
+    store.setProfile('work', { host: 'github.com', token: 'gho_work', user: 'octocat' });
+    store.setProfile('ghes-prod', { baseUrl: 'https://ghe.example.com/api/v3', token: 'gho_enterprise' });
+
+    const raw = fs.readFileSync(file, 'utf8');
+    expect(raw).not.toContain('gho_work');
+    expect(raw).not.toContain('gho_enterprise');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+    expect(store.getDefaultProfile()).toBe('work');
+    expect(store.getProfile().token).toBe('gho_work');
+    expect(store.getProfile('ghes-prod')).toMatchObject({
+      host: 'ghe.example.com',
+      baseUrl: 'https://ghe.example.com/api/v3',
+      token: 'gho_enterprise'
+    });
+    expect(store.listProfiles().map(p => [p.name, p.isDefault])).toEqual([['work', true], ['ghes-prod', false]]);
+  });
+
+  test('rejects a missing or wrong passphrase', () => {
+    store.setProfile('work', { token: 'gho_work' });
+
+    const locked = new CredentialStore({ path: file, passphrase: '' });
+    expect(locked.isLocked()).toBe(true);
+    expect(() => locked.getProfile('work')).toThrow(expect.objectContaining({ code: 'passphrase_required' }));
+    expect(() => new CredentialStore({ path: file, passphrase: 'wrong' }).getProfile('work'))
+      .toThrow(expect.objectContaining({ code: 'bad_passphrase' }));
+  });
+
+  test('migrates the per-host layout and encrypts it on the next write', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      hosts: { 'github.com': { token: 'gho_legacy', user: 'octocat' } }
+    }));
+
+    expect(store.getProfile()).toMatchObject({ profile: 'default', host: 'github.com', token: 'gho_legacy' });
+
+    store.setProfile('personal', { token: 'gho_personal' });
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('gho_legacy');
+    expect(store.getProfile('default').token).toBe('gho_legacy');
+  });
+
+  test('resolves profile, then host, then token', () => {
+    store.setProfile('work', { host: 'github.com', token: 'gho_work' });
+    store.setProfile('ghes-prod', { host: 'ghe.example.com', token: 'gho_enterprise' });
+    const options = { path: file, passphrase: 'correct horse' };
+
+    expect(resolveCredentials(options)).toMatchObject({ profile: 'work', explicit: false });
+    expect(resolveCredentials({ ...options, host: 'https://ghe.example.com/api/v3' })).toMatchObject({ profile: 'ghes-prod' });
+    expect(resolveCredentials({ ...options, host: 'other.example.com' })).toBeNull();
+
+    process.env.GITHUB_PROFILE = 'ghes-prod';
+    expect(resolveCredentials(options)).toMatchObject({ token: 'gho_enterprise', explicit: true });
+    expect(() => resolveCredentials({ ...options, profile: 'missing' })).toThrow('Unknown profile: missing');
+  });
+
+  test('resolveToken prefers an explicit profile over the environment', () => {
+    store.setProfile('work', { token: 'gho_work' });
+    const options = { path: file, passphrase: 'correct horse', env: ['TEST_CORE_TOKEN'] };
+    process.env.TEST_CORE_TOKEN = 'env_token';
+
+    try {
+      expect(resolveToken({ ...options, token: 'flag' }).token).toBe('flag');
+      expect(resolveToken(options)).toMatchObject({ token: 'env_token', source: 'env:TEST_CORE_TOKEN' });
+      expect(resolveToken({ ...options, profile: 'work' })).toMatchObject({ token: 'gho_work', source: 'profile:work' });
+    } finally {
+      delete process.env.TEST_CORE_TOKEN;
+    }
+  });
+
+  test('getStoredToken never throws for implicit lookups', () => {
+    fs.writeFileSync(file, 'not json');
+
+    expect(getStoredToken({ path: file })).toBeNull();
+    expect(getStoredToken({ path: path.join(dir, 'missing.json') })).toBeNull();
+  });
+
+  test('normalizes hosts', () => {
+    expect(normalizeHost()).toBe('github.com');
+    expect(normalizeHost('https://api.github.com')).toBe('github.com');
+    expect(normalizeHost('GHE.example.com')).toBe('ghe.example.com');
+    expect(apiBaseUrlForHost('github.com')).toBe('https://api.github.com');
+  });
+});
+
+describe('deviceFlowLogin', () => {
+  const deviceCode = {
+    device_code: 'dev-123',
+    user_code: 'ABCD-1234',
+    verification_uri: 'https://github.com/login/device',
+    expires_in: 900,
+    interval: 5
+  };
+
+  test('polls until approved and honours slow_down', async () => {
+    const sleep = jest.fn(async () => {});
+    const fetch = routedFetch({
+      'https://github.com/login/device/code': [jsonResponse(deviceCode)],
+      'https://github.com/login/oauth/access_token': [
+        jsonResponse({ error: 'authorization_pending' }),
+        jsonResponse({ error: 'slow_down', interval: 10 }),
+        jsonResponse({ access_token: 'gho_token', token_type: 'bearer', scope: 'repo,read:org' })
+      ]
+    });
+    const onVerification = jest.fn();
+
+    const result = await deviceFlowLogin({ clientId: 'Iv1.abc', scopes: ['repo'], fetch, sleep, onVerification });
+
+    expect(result).toEqual({ token: 'gho_token', tokenType: 'bearer', scopes: ['repo', 'read:org'] });
+    expect(onVerification).toHaveBeenCalledWith(deviceCode);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([5000, 5000, 10000]);
+    expect(fetch.mock.calls[0][1].body).toBe('client_id=Iv1.abc&scope=repo');
+  });
+
+  test('fails on denied or expired codes', async () => {
+    const fetch = routedFetch({
+      'https://github.com/login/device/code': [jsonResponse(deviceCode)],
+      'https://github.com/login/oauth/access_token': [jsonResponse({ error: 'access_denied' })]
+    });
+
+    const error = await deviceFlowLogin({ clientId: 'x', fetch, sleep: async () => {} }).catch(e => e);
+
+    expect(error).toBeInstanceOf(DeviceFlowError);
+    expect(error.code).toBe('access_denied');
+  });
+
+  test('requires a client ID', async () => {
+    await expect(deviceFlowLogin({ fetch: jest.fn() })).rejects.toMatchObject({ code: 'missing_client_id' });
+  });
+});
+
+describe('scopes', () => {
+  test('hasScopes expands implied scopes', () => {
+    expect(hasScopes(['repo', 'admin:org'], ['public_repo', 'read:org'])).toBe(true);
+    expect(hasScopes('repo, user', ['user:email'])).toBe(true);
+    expect(hasScopes(['public_repo'], ['repo'])).toBe(false);
+    expect(missingScopes(['read:org'], ['repo', 'read:org', 'gist'])).toEqual(['repo', 'gist']);
+  });
+});
+
+describe('login', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-login-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function loginFetch(scopeHeader) {
+    return routedFetch({
+      'https://github.com/login/device/code': [jsonResponse({ device_code: 'd', user_code: 'U', verification_uri: 'v', interval: 1 })],
+      'https://github.com/login/oauth/access_token': [jsonResponse({ access_token: 'gho_new', scope: scopeHeader })],
+      'https://api.github.com/user': () => jsonResponse({ login: 'octocat' }, 200, { 'x-oauth-scopes': scopeHeader })
+    });
+  }
+
+  test('verifies scopes and stores the token in a profile', async () => {
+    const store = new CredentialStore({ path: path.join(dir, 'credentials.json'), passphrase: 'pw' });
+
+    const credential = await login({
+      clientId: 'x',
+      scopes: ['repo'],
+      profile: 'personal',
+      store,
+      fetch: loginFetch('repo'),
+      sleep: async () => {},
+      log: () => {}
+    });
+
+    expect(credential).toMatchObject({ profile: 'personal', host: 'github.com', token: 'gho_new', user: 'octocat', scopes: ['repo'] });
+    expect(store.getProfile('personal').token).toBe('gho_new');
+  });
+
+  test('refuses tokens without the required scopes', async () => {
+    const store = new CredentialStore({ path: path.join(dir, 'credentials.json'), passphrase: 'pw' });
+
+    await expect(login({
+      clientId: 'x',
+      scopes: ['repo', 'gist'],
+      store,
+      fetch: loginFetch('repo'),
+      sleep: async () => {},
+      log: () => {}
+    })).rejects.toThrow('missing required scopes: gist');
+    expect(store.getProfile()).toBeNull();
+  });
+});
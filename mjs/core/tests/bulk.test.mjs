@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for bulk manifests and the bulk runner
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv, parseManifest, loadManifest } from '../src/bulk/manifest.mjs';
+import { BulkRunner, Checkpoint, formatSummary, rowKey } from '../src/bulk/runner.mjs';
+import { NotFoundError, ServerError } from '../src/utils/errors.mjs';
+
+const ROWS = [1, 2, 3, 4, 5].map(number => ({ owner: 'octocat', repo: 'Hello-World', issue_number: number }));
+
+describe('manifests', () => {
+  test('parseCsv reads quoted cells, CRLF and a byte order mark', () => {
+    const text = '\uFEFFowner,repo,labels\r\noctocat,Hello-World,"bug,help wanted"\r\n"octo ""cat""",Spoon-Knife,\r\n\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { owner: 'octocat', repo: 'Hello-World', labels: 'bug,help wanted' },
+      { owner: 'octo "cat"', repo: 'Spoon-Knife', labels: '' }
+    ]);
+    expect(() => parseCsv('a,b\n"open,1')).toThrow('Unterminated');
+  });
+
+  test('parseManifest takes a list of rows or a rows key, in JSON or YAML', () => {
+    expect(parseManifest('[{"owner":"octocat"}]', 'json')).toEqual([{ owner: 'octocat' }]);
+    expect(parseManifest('rows:\n  - owner: octocat\n    topics: [a, b]\n', 'yaml')).toEqual([{ owner: 'octocat', topics: ['a', 'b'] }]);
+    expect(() => parseManifest('{"owner":"octocat"}', 'json')).toThrow('list of rows');
+  });
+
+  test('loadManifest picks the format from the extension', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-bulk-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'rows.yml'), '- owner: octocat\n');
+      expect(loadManifest(path.join(dir, 'rows.yml'))).toEqual([{ owner: 'octocat' }]);
+      expect(() => loadManifest(path.join(dir, 'rows.txt'))).toThrow('Cannot tell the format');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('BulkRunner', () => {
+  let dir;
+  let checkpoint;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-bulk-'));
+    checkpoint = path.join(dir, 'rows.checkpoint.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('never runs more rows at once than the concurrency allows', async () => {
+    let running = 0;
+    let peak = 0;
+    const task = jest.fn(async (row) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return row.issue_number;
+    });
+
+    const summary = await new BulkRunner({ concurrency: 2 }).run(ROWS, task);
+
+    expect(peak).toBe(2);
+    expect(summary).toMatchObject({ total: 5, succeeded: 5, failed: 0, skipped: 0, pending: 0 });
+    expect(summary.results.map(result => result.result)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('retries retryable errors only', async () => {
+    const task = jest.fn(async (row) => {
+      if (row.issue_number === 2 && task.mock.calls.filter(([r]) => r === row).length < 3) {
+        throw new ServerError('Bad gateway', { status: 502 });
+      }
+      if (row.issue_number === 4) {
+        throw new NotFoundError('Issue not found');
+      }
+    });
+
+    const summary = await new BulkRunner({ retries: 2, retryDelay: 1 }).run(ROWS, task);
+
+    expect(summary).toMatchObject({ succeeded: 4, failed: 1 });
+    expect(summary.results[1]).toMatchObject({ status: 'succeeded', attempts: 3 });
+    expect(summary.results[3]).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(formatSummary(summary)).toContain('row 4 (1 attempt): Issue not found');
+  });
+
+  test('resumes from the checkpoint: done rows are skipped, failed rows run again', async () => {
+    const first = new BulkRunner({ concurrency: 1, checkpoint, operation: 'issues.addLabels' });
+    const failing = jest.fn(async (row) => {
+      if (row.issue_number === 3) throw new NotFoundError('gone');
+      if (row.issue_number === 4) first.stop();
+    });
+
+    const interrupted = await first.run(ROWS, failing);
+    expect(interrupted).toMatchObject({ succeeded: 3, failed: 1, pending: 1 });
+    expect(formatSummary(interrupted)).toContain('1 row not run');
+
+    const task = jest.fn(async () => {});
+    const resumed = await new BulkRunner({ checkpoint, operation: 'issues.addLabels' }).run([...ROWS].reverse(), task);
+
+    expect(resumed).toMatchObject({ succeeded: 2, skipped: 3, failed: 0 });
+    expect(task.mock.calls.map(([row]) => row.issue_number).sort()).toEqual([3, 5]);
+
+    const other = await new BulkRunner({ checkpoint, operation: 'issues.removeLabel' }).run(ROWS, task);
+    expect(other.skipped).toBe(0);
+  });
+
+  test('rowKey ignores column order and Checkpoint.clear forgets every row', () => {
+    expect(rowKey({ a: 1, b: 2 }, 'op')).toBe(rowKey({ b: 2, a: 1 }, 'op'));
+    expect(rowKey({ a: 1 }, 'op')).not.toBe(rowKey({ a: 1 }, 'other'));
+
+    const store = new Checkpoint(checkpoint);
+    store.append({ key: 'k', index: 0, status: 'succeeded', attempts: 1 });
+    expect(store.completed()).toEqual(new Set(['k']));
+    store.clear();
+    expect(store.completed()).toEqual(new Set());
+  });
+});
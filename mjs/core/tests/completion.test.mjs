@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Tests for shell completion
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Command, Option } from 'commander';
+import {
+  complete,
+  completionScript,
+  formatCompletions,
+  readCompletionCache,
+  registerCompletionCommand,
+  resolveCommand,
+  writeCompletionCache
+} from '../src/cli/completion.mjs';
+
+function createProgram() {
+  const program = new Command('gh-team')
+    .option('--org <org>', 'GitHub organization')
+    .addOption(new Option('-o, --output <format>', 'Output format').choices(['json', 'table']))
+    .option('--verbose', 'Verbose output');
+
+  const teams = program.command('teams').description('Manage teams');
+  teams.command('list').description('List teams').option('--per-page <n>', 'Items per page');
+  teams.command('get <teamSlug>').alias('show').description('Get a team');
+  const members = teams.command('members').description('Manage team members');
+  members.command('add <teamSlug> <username>').description('Add a member');
+  program.command('export <files...>').description('Export teams');
+
+  return program;
+}
+
+const values = candidates => candidates.map(candidate => candidate.value);
+
+describe('complete', () => {
+  let program;
+
+  beforeEach(() => {
+    program = createProgram();
+  });
+
+  test('lists subcommands with their descriptions, filtered by the current word', async () => {
+    expect(await complete(program, [''])).toEqual([
+      { value: 'teams', description: 'Manage teams' },
+      { value: 'export', description: 'Export teams' }
+    ]);
+    expect(values(await complete(program, ['teams', 'me']))).toEqual(['members']);
+  });
+
+  test('lists the options of the command being completed', async () => {
+    expect(values(await complete(program, ['--']))).toEqual(['--org', '--output', '--verbose', '--help']);
+    expect(values(await complete(program, ['teams', 'list', '--p']))).toEqual(['--per-page']);
+  });
+
+  test('completes option values from choices and hooks', async () => {
+    const org = jest.fn(() => ['acme', { value: 'octo-org', description: 'Octo' }]);
+
+    expect(values(await complete(program, ['-o', '']))).toEqual(['json', 'table']);
+    expect(values(await complete(program, ['--org', 'oc'], { hooks: { org } }))).toEqual(['octo-org']);
+  });
+
+  test('completes arguments from hooks, with what came before as context', async () => {
+    const teamSlug = jest.fn(({ options }) => (options.org === 'acme' ? ['core', 'docs'] : []));
+
+    const candidates = await complete(program, ['--org', 'acme', 'teams', 'show', 'c'], { hooks: { teamSlug } });
+
+    expect(values(candidates)).toEqual(['core']);
+    expect(teamSlug).toHaveBeenCalledWith(expect.objectContaining({ current: 'c', args: {}, options: { org: 'acme' } }));
+    expect(await complete(program, ['teams', 'members', 'add', 'core', ''], { hooks: { teamSlug } })).toEqual([]);
+  });
+
+  test('ignores hooks that throw', async () => {
+    const teamSlug = () => { throw new Error('offline'); };
+
+    expect(await complete(program, ['teams', 'get', ''], { hooks: { teamSlug } })).toEqual([]);
+  });
+});
+
+describe('resolveCommand', () => {
+  test('follows aliases, options and values, and stops where asked', () => {
+    const program = createProgram();
+
+    const state = resolveCommand(program, ['--verbose', 'teams', 'show', '--org=acme', 'core']);
+    expect(state.command.name()).toBe('get');
+    expect(state.args).toEqual(['core']);
+    expect(state.options).toEqual({ verbose: true, org: 'acme' });
+
+    const stopped = resolveCommand(program, ['teams', 'list', '--per-page', '5'], { stop: command => command.name() === 'teams' });
+    expect(stopped.command.name()).toBe('teams');
+    expect(stopped.rest).toEqual(['list', '--per-page', '5']);
+  });
+});
+
+describe('completion scripts', () => {
+  test('each shell script calls the hidden __complete command', () => {
+    for (const shell of ['bash', 'zsh', 'fish']) {
+      const script = completionScript(shell, 'gh-team');
+      expect(script).toContain('gh-team __complete --');
+      expect(script).toContain('_gh_team_completion');
+    }
+    expect(completionScript('bash', 'gh-team')).toContain('complete -o default -F _gh_team_completion gh-team');
+    expect(() => completionScript('powershell', 'gh-team')).toThrow('Unsupported shell');
+  });
+
+  test('formatCompletions writes one value<TAB>description line per candidate', () => {
+    expect(formatCompletions([{ value: 'core', description: 'Core\nteam' }, { value: 'docs' }])).toBe('core\tCore team\ndocs\t');
+  });
+
+  test('registerCompletionCommand prints scripts and candidates', async () => {
+    const program = createProgram().exitOverride();
+    registerCompletionCommand(program, { hooks: { teamSlug: () => ['core'] } });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await program.parseAsync(['node', 'gh-team', '__complete', '--', 'teams', 'get', '']);
+      expect(log).toHaveBeenLastCalledWith('core\t');
+
+      await program.parseAsync(['node', 'gh-team', 'completion', 'fish']);
+      expect(log.mock.lastCall[0]).toContain('complete -c gh-team');
+
+      await program.parseAsync(['node', 'gh-team', '__complete', '--', '']);
+      expect(log.mock.lastCall[0]).toContain('completion\tPrint a completion script');
+      expect(log.mock.lastCall[0]).not.toContain('__complete');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe('completion cache', () => {
+  let cacheHome;
+  let previous;
+
+  beforeEach(() => {
+    cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'core-completion-'));
+    previous = process.env.XDG_CACHE_HOME;
+    process.env.XDG_CACHE_HOME = cacheHome;
+  });
+
+  afterEach(() => {
+    if (previous === undefined) {
+      delete process.env.XDG_CACHE_HOME;
+    } else {
+      process.env.XDG_CACHE_HOME = previous;
+    }
+    fs.rmSync(cacheHome, { recursive: true, force: true });
+  });
+
+  test('round-trips candidates and drops stale ones', () => {
+    writeCompletionCache(['pulls', 'octocat', 'Hello-World'], ['12', { value: '7', description: 'Fix typo' }]);
+
+    expect(readCompletionCache(['pulls', 'octocat', 'Hello-World'])).toEqual([{ value: '12' }, { value: '7', description: 'Fix typo' }]);
+    expect(readCompletionCache(['pulls', 'octocat', 'Hello-World'], { maxAge: -1 })).toEqual([]);
+    expect(readCompletionCache(['pulls', 'octocat', 'Spoon-Knife'])).toEqual([]);
+  });
+});
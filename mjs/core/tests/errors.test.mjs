@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests for the common error hierarchy
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  GitHubError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  SecondaryRateLimitError,
+  ServerError,
+  ErrorFactory,
+  errorUtils,
+  parseRetryAfter
+} from '../src/utils/errors.mjs';
+
+describe('ErrorFactory.fromResponse', () => {
+  test.each([
+    [401, AuthError],
+    [403, ForbiddenError],
+    [404, NotFoundError],
+    [422, ValidationError],
+    [503, ServerError],
+    [418, GitHubError]
+  ])('maps %i to %p', (status, ErrorClass) => {
+    const error = ErrorFactory.fromResponse({ status, body: { message: 'nope' } });
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(GitHubError);
+    expect(error.status).toBe(status);
+    expect(error.statusCode).toBe(status);
+    expect(error.message).toBe('nope');
+  });
+
+  test('detects exhausted primary rate limits', () => {
+    const error = ErrorFactory.fromResponse({
+      status: 403,
+      headers: {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': '1700000000',
+        'x-ratelimit-resource': 'search'
+      },
+      body: { message: 'API rate limit exceeded' }
+    });
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.reset).toBe(1700000000);
+    expect(error.resource).toBe('search');
+    expect(error).not.toBeInstanceOf(SecondaryRateLimitError);
+  });
+
+  test('detects secondary rate limits and reads Retry-After', () => {
+    const withHeader = ErrorFactory.fromResponse({
+      status: 403,
+      headers: { 'x-ratelimit-remaining': '4000', 'retry-after': '30' },
+      body: { message: 'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.' }
+    });
+    const withoutHeader = ErrorFactory.fromResponse({
+      status: 403,
+      body: { message: 'You have triggered an abuse detection mechanism.' }
+    });
+
+    expect(withHeader).toBeInstanceOf(SecondaryRateLimitError);
+    expect(withHeader).toBeInstanceOf(RateLimitError);
+    expect(withHeader.getRetryAfter()).toBe(30000);
+    expect(withoutHeader).toBeInstanceOf(SecondaryRateLimitError);
+    expect(withoutHeader.getRetryAfter()).toBe(60000);
+  });
+
+  test('parseRetryAfter accepts seconds and HTTP dates', () => {
+    expect(parseRetryAfter('120')).toBe(120);
+    expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThanOrEqual(9);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('keeps validation details from the body', () => {
+    const error = ErrorFactory.fromResponse({
+      status: 422,
+      body: {
+        message: 'Validation Failed',
+        errors: [{ field: 'name', code: 'missing' }],
+        documentation_url: 'https://docs.github.com'
+      }
+    });
+
+    expect(error.errors).toEqual([{ field: 'name', code: 'missing' }]);
+    expect(error.documentationUrl).toBe('https://docs.github.com');
+  });
+
+  test('falls back to the status line when there is no message', () => {
+    const error = ErrorFactory.fromResponse({ status: 500, statusText: 'Internal Server Error' });
+
+    expect(error.message).toBe('HTTP 500: Internal Server Error');
+  });
+});
+
+describe('errorUtils.isRetryable', () => {
+  test('retries server and rate limit errors only', () => {
+    expect(errorUtils.isRetryable(new ServerError())).toBe(true);
+    expect(errorUtils.isRetryable(new RateLimitError())).toBe(true);
+    expect(errorUtils.isRetryable(new NotFoundError())).toBe(false);
+  });
+});
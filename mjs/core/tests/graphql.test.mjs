@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Tests for the GraphQL client
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { Transport } from '../src/client/transport.mjs';
+import { GraphQLClient, GraphQLError, graphqlUrl, withRateLimit } from '../src/client/graphql.mjs';
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function createClient(bodies, options = {}) {
+  const queue = [...bodies];
+  const fetch = jest.fn(async () => jsonResponse(queue.shift(), 200, { 'x-ratelimit-remaining': '4990', 'x-ratelimit-resource': 'graphql' }));
+  const transport = new Transport({ auth: 'ghp_test', retryDelay: 1, fetch });
+  return { client: new GraphQLClient({ transport, ...options }), fetch };
+}
+
+function sentBody(fetch, call = 0) {
+  return JSON.parse(fetch.mock.calls[call][1].body);
+}
+
+const STARGAZERS = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      stargazers(first: 2, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { starredAt node { login } }
+      }
+    }
+  }
+`;
+
+function stargazerPage(logins, endCursor, hasNextPage, cost = 1) {
+  return {
+    data: {
+      repository: {
+        stargazers: {
+          pageInfo: { hasNextPage, endCursor },
+          edges: logins.map(login => ({ starredAt: '2024-01-01T00:00:00Z', node: { login } }))
+        }
+      },
+      rateLimit: { cost, limit: 5000, remaining: 5000 - cost, resetAt: '2024-01-01T01:00:00Z', nodeCount: 2 }
+    }
+  };
+}
+
+describe('GraphQLClient', () => {
+  test('posts queries with the transport auth and returns data', async () => {
+    const { client, fetch } = createClient([{ data: { viewer: { login: 'octocat' } } }]);
+
+    await expect(client.query('query { viewer { login } }')).resolves.toEqual({ viewer: { login: 'octocat' } });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.github.com/graphql');
+    expect(init.method).toBe('POST');
+    expect(init.headers['Authorization']).toBe('Bearer ghp_test');
+    expect(sentBody(fetch).query).toContain('rateLimit { cost limit remaining resetAt nodeCount }');
+    expect(client.getRateLimit()).toMatchObject({ resource: 'graphql', remaining: 4990 });
+  });
+
+  test('derives the endpoint for GitHub Enterprise Server', () => {
+    expect(graphqlUrl('https://ghe.example.com/api/v3/')).toBe('https://ghe.example.com/api/graphql');
+    expect(graphqlUrl('http://localhost:3000')).toBe('http://localhost:3000/graphql');
+  });
+
+  test('throws GraphQLError with the partial data', async () => {
+    const { client } = createClient([{
+      data: { repository: null },
+      errors: [{ type: 'NOT_FOUND', path: ['repository'], message: "Could not resolve to a Repository with the name 'octocat/nope'." }]
+    }]);
+
+    const error = await client.query('query { repository(owner: "octocat", name: "nope") { id } }').catch(e => e);
+    expect(error).toBeInstanceOf(GraphQLError);
+    expect(error.message).toBe("GraphQL request failed: Could not resolve to a Repository with the name 'octocat/nope'.");
+    expect(error.types).toEqual(['NOT_FOUND']);
+    expect(error.data).toEqual({ repository: null });
+  });
+
+  test('follows pageInfo cursors and totals the cost', async () => {
+    const { client, fetch } = createClient([
+      stargazerPage(['a', 'b'], 'c2', true, 1),
+      stargazerPage(['c'], 'c3', false, 2)
+    ]);
+
+    const edges = await client.paginateAll(STARGAZERS, { owner: 'octocat', repo: 'demo' }, { path: 'repository.stargazers' });
+
+    expect(edges.map(edge => edge.node.login)).toEqual(['a', 'b', 'c']);
+    expect(sentBody(fetch, 0).variables).toEqual({ owner: 'octocat', repo: 'demo', cursor: null });
+    expect(sentBody(fetch, 1).variables.cursor).toBe('c2');
+    expect(client.getCost()).toEqual({
+      queries: 2, total: 3, last: 2, remaining: 4998, limit: 5000, resetAt: new Date('2024-01-01T01:00:00Z')
+    });
+  });
+});
+
+describe('withRateLimit', () => {
+  test('adds rateLimit to the query operation, skipping fragments and mutations', () => {
+    const query = 'fragment U on User { login }\nquery Q { viewer { ...U } }';
+    expect(withRateLimit(query)).toBe('fragment U on User { login }\nquery Q { viewer { ...U }   rateLimit { cost limit remaining resetAt nodeCount }\n}');
+    expect(withRateLimit('mutation { addStar(input: {starrableId: "x"}) { clientMutationId } }')).not.toContain('rateLimit');
+    expect(withRateLimit('query { rateLimit { cost } }')).toBe('query { rateLimit { cost } }');
+  });
+
+  test('ignores braces in strings and comments', () => {
+    const query = '# { comment\nquery { search(query: "a}b", type: REPOSITORY, first: 1) { repositoryCount } }';
+    expect(withRateLimit(query)).toMatch(/repositoryCount }\s+rateLimit \{[^}]*\}\n\}$/);
+  });
+});
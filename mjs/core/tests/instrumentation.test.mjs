@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Tests for instrumentation hooks, spans and the Prometheus exporter
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { Transport } from '../src/client/transport.mjs';
+import { resetSchedulers } from '../src/client/scheduler.mjs';
+import { addInstrumentation, endpointTemplate, resetInstrumentation } from '../src/client/instrumentation.mjs';
+import { SpanAdapter, SPAN_KIND_CLIENT, SPAN_STATUS } from '../src/telemetry/spans.mjs';
+import { PrometheusExporter, PROMETHEUS_CONTENT_TYPE } from '../src/telemetry/prometheus.mjs';
+
+const RATE_LIMIT_HEADERS = {
+  'x-ratelimit-limit': '5000',
+  'x-ratelimit-remaining': '4999',
+  'x-ratelimit-used': '1',
+  'x-ratelimit-reset': '1700000000',
+  'x-ratelimit-resource': 'core'
+};
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function createTransport(responses, options = {}) {
+  const queue = [...responses];
+  const fetch = jest.fn(async () => {
+    const next = queue.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  return new Transport({ retryDelay: 1, fetch, scheduler: false, ...options });
+}
+
+function recorder() {
+  const events = [];
+  const hooks = {};
+  for (const name of ['onRequest', 'onResponse', 'onRetry', 'onRateLimit', 'onError']) {
+    hooks[name] = event => events.push([name, event]);
+  }
+  return { hooks, events, names: () => events.map(([name]) => name) };
+}
+
+afterEach(() => {
+  resetInstrumentation();
+  resetSchedulers();
+});
+
+describe('instrumentation hooks', () => {
+  test('report a request and its response with timing, template, status and rate limit', async () => {
+    const { hooks, events, names } = recorder();
+    const transport = createTransport([jsonResponse([], 200, RATE_LIMIT_HEADERS)], { instrumentation: hooks });
+
+    await transport.get('/repos/octocat/Hello-World/pulls', { params: { state: 'open' } });
+
+    expect(names()).toEqual(['onRequest', 'onResponse']);
+    const [[, request], [, response]] = events;
+    expect(request).toMatchObject({
+      method: 'GET',
+      url: 'https://api.github.com/repos/octocat/Hello-World/pulls?state=open',
+      endpoint: '/repos/{owner}/{repo}/pulls',
+      resource: 'core',
+      mutates: false
+    });
+    expect(response).toMatchObject({ id: request.id, status: 200, attempts: 1 });
+    expect(response.rateLimit).toMatchObject({ limit: 5000, remaining: 4999, resource: 'core' });
+    expect(response.duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('report rate limits and retries before the final outcome', async () => {
+    const { hooks, names, events } = recorder();
+    const transport = createTransport([
+      jsonResponse({ message: 'You have exceeded a secondary rate limit.' }, 403, { 'retry-after': '0' }),
+      jsonResponse({ message: 'boom' }, 502),
+      jsonResponse({ message: 'boom' }, 502)
+    ], { instrumentation: hooks });
+
+    await expect(transport.post('/repos/o/r/issues', { title: 'Hi' })).rejects.toThrow();
+
+    expect(names()).toEqual(['onRequest', 'onRateLimit', 'onRetry', 'onRetry', 'onError']);
+    expect(events[1][1]).toMatchObject({ kind: 'secondary', wait: 0, status: 403 });
+    expect(events[3][1]).toMatchObject({ retry: 2, status: 502 });
+    expect(events[4][1]).toMatchObject({ status: 502, attempts: 3, endpoint: '/repos/{owner}/{repo}/issues', mutates: true });
+  });
+
+  test('global hooks hear every transport unless it opts out, and broken hooks are ignored', async () => {
+    const { hooks, names } = recorder();
+    const remove = addInstrumentation(hooks);
+    addInstrumentation({ onRequest: () => { throw new Error('broken'); }, onResponse: async () => { throw new Error('broken'); } });
+
+    await createTransport([jsonResponse({})]).get('/user');
+    await createTransport([jsonResponse({})], { instrumentation: false }).get('/user');
+    remove();
+    await createTransport([jsonResponse({})]).get('/user');
+
+    expect(names()).toEqual(['onRequest', 'onResponse']);
+  });
+
+  test('endpointTemplate falls back to a guess for paths outside the specs', () => {
+    expect(endpointTemplate('GET', 'https://ghe.example.com/api/v3/repos/o/r/pulls/7', 'https://ghe.example.com/api/v3'))
+      .toBe('/repos/{owner}/{repo}/pulls/{pull_number}');
+    expect(endpointTemplate('GET', 'https://api.github.com/repos/o/r/unknown/12/things'))
+      .toBe('/repos/{owner}/{repo}/unknown/{id}/things');
+  });
+});
+
+describe('SpanAdapter', () => {
+  test('records one client span per request, retries as events', async () => {
+    const spans = [];
+    const transport = createTransport([
+      jsonResponse({ message: 'boom' }, 500),
+      jsonResponse({ id: 1 }, 200, RATE_LIMIT_HEADERS)
+    ], { instrumentation: new SpanAdapter({ onEnd: span => spans.push(span) }) });
+
+    await transport.get('/repos/o/r/issues/1');
+
+    expect(spans).toHaveLength(1);
+    const [span] = spans;
+    expect(span).toMatchObject({
+      name: 'GET /repos/{owner}/{repo}/issues/{issue_number}',
+      kind: SPAN_KIND_CLIENT,
+      status: { code: SPAN_STATUS.UNSET },
+      attributes: {
+        'http.request.method': 'GET',
+        'url.template': '/repos/{owner}/{repo}/issues/{issue_number}',
+        'server.address': 'api.github.com',
+        'http.response.status_code': 200,
+        'http.request.resend_count': 1,
+        'github.rate_limit.remaining': 4999
+      }
+    });
+    expect(span.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(span.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(span.events.map(event => event.name)).toEqual(['http.retry']);
+    expect(span.endTime - span.startTime).toBeCloseTo(span.duration);
+  });
+
+  test('records through an OpenTelemetry tracer when given one', async () => {
+    const otelSpan = {
+      addEvent: jest.fn(),
+      setAttributes: jest.fn(),
+      setStatus: jest.fn(),
+      recordException: jest.fn(),
+      end: jest.fn()
+    };
+    const tracer = { startSpan: jest.fn(() => otelSpan) };
+    const transport = createTransport([jsonResponse({ message: 'Not Found' }, 404)], {
+      instrumentation: new SpanAdapter({ tracer })
+    });
+
+    await expect(transport.get('/repos/o/r')).rejects.toThrow();
+
+    expect(tracer.startSpan).toHaveBeenCalledWith('GET /repos/{owner}/{repo}', expect.objectContaining({ kind: SPAN_KIND_CLIENT }));
+    expect(otelSpan.setStatus).toHaveBeenCalledWith(expect.objectContaining({ code: SPAN_STATUS.ERROR }));
+    expect(otelSpan.setAttributes).toHaveBeenCalledWith(expect.objectContaining({ 'http.response.status_code': 404, 'error.type': 'NotFoundError' }));
+    expect(otelSpan.recordException).toHaveBeenCalled();
+    expect(otelSpan.end).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PrometheusExporter', () => {
+  let exporter;
+
+  afterEach(async () => {
+    await exporter?.close();
+  });
+
+  test('serves request counts, durations and rate limits to a scrape', async () => {
+    exporter = new PrometheusExporter({ buckets: [1, 5] });
+    addInstrumentation(exporter);
+
+    await createTransport([jsonResponse([], 200, RATE_LIMIT_HEADERS)], { scheduler: undefined }).get('/repos/o/r/pulls');
+    await expect(createTransport([jsonResponse({ message: 'Not Found' }, 404)]).get('/repos/o/r/pulls')).rejects.toThrow();
+    await createTransport([
+      jsonResponse({ message: 'API rate limit exceeded' }, 403, { ...RATE_LIMIT_HEADERS, 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0' }),
+      jsonResponse({})
+    ]).get('/search/issues', { params: { q: 'bug' } });
+
+    const server = await exporter.serve({ port: 0 });
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    const body = await response.text();
+
+    expect(response.headers.get('content-type')).toBe(PROMETHEUS_CONTENT_TYPE);
+    expect(body).toContain('# TYPE github_requests_total counter');
+    expect(body).toContain('github_requests_total{method="GET",endpoint="/repos/{owner}/{repo}/pulls",status="200"} 1');
+    expect(body).toContain('github_requests_total{method="GET",endpoint="/repos/{owner}/{repo}/pulls",status="404"} 1');
+    expect(body).toContain('github_request_errors_total{method="GET",endpoint="/repos/{owner}/{repo}/pulls",error="NotFoundError"} 1');
+    expect(body).toContain('github_request_duration_seconds_bucket{method="GET",endpoint="/repos/{owner}/{repo}/pulls",le="+Inf"} 2');
+    expect(body).toContain('github_request_duration_seconds_count{method="GET",endpoint="/repos/{owner}/{repo}/pulls"} 2');
+    expect(body).toContain('github_request_retries_total{method="GET",endpoint="/search/issues"} 1');
+    expect(body).toContain('github_rate_limit_hits_total{resource="core",kind="primary"} 1');
+    expect(body).toContain('github_rate_limit_remaining{resource="core"} 4999');
+    expect(body).toMatch(/github_scheduler_queued\{scheduler="https:\/\/api\.github\.com anonymous"\} 0/);
+
+    expect((await fetch(`http://127.0.0.1:${port}/other`)).status).toBe(404);
+  });
+});
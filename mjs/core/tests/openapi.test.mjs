@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the OpenAPI spec loader and operation index
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listSpecGroups, loadSpecs, OperationIndex, resolveRef } from '../src/openapi/spec.mjs';
+import { buildTemplateTable, serializeTemplateTable, loadTemplateIndex } from '../src/openapi/templates.mjs';
+
+describe('OpenAPI specs', () => {
+  const specs = loadSpecs({ groups: ['gists', 'repos'] });
+  const index = new OperationIndex(specs);
+
+  test('lists the grouped spec files', () => {
+    expect(listSpecGroups()).toEqual(expect.arrayContaining(['gists', 'pulls', 'repos']));
+  });
+
+  test('matches request paths, preferring literal segments', () => {
+    expect(index.match('GET', '/gists/starred').operation.operationId).toBe('gists/list-starred');
+    expect(index.match('GET', '/gists/abc123')).toMatchObject({
+      operation: { operationId: 'gists/get' },
+      params: { gist_id: 'abc123' }
+    });
+    expect(index.match('DELETE', '/gists/starred')).toMatchObject({ operation: { operationId: 'gists/delete' } });
+    expect(index.match('GET', '/unknown')).toBeNull();
+  });
+
+  test('lets trailing path-like parameters span segments', () => {
+    expect(index.match('GET', '/repos/octocat/Hello-World/contents/docs/README.md').params)
+      .toEqual({ owner: 'octocat', repo: 'Hello-World', path: 'docs/README.md' });
+    expect(index.match('GET', '/repos/octocat/Hello-World/extra/segments')).toBeNull();
+  });
+
+  test('resolves component references', () => {
+    const { doc, parameters } = index.get('gists/list');
+    expect(parameters.map(parameter => parameter.name)).toEqual(['since', 'per_page', 'page']);
+    expect(resolveRef(doc, { $ref: '#/components/schemas/base-gist' }).type).toBe('object');
+    expect(() => resolveRef(doc, { $ref: '#/components/schemas/nope' })).toThrow('Unresolvable');
+  });
+});
+
+describe('template table', () => {
+  const specs = loadSpecs({ groups: ['gists', 'repos'] });
+
+  test('lists the methods of every template', () => {
+    const table = buildTemplateTable(specs);
+
+    expect(table['/gists/{gist_id}']).toEqual(['GET', 'DELETE', 'PATCH']);
+    expect(Object.keys(table)).toEqual([...Object.keys(table)].sort());
+  });
+
+  test('matches like the specs once read back, and is missing gracefully', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-templates-'));
+    const file = path.join(dir, 'templates.json');
+    fs.writeFileSync(file, serializeTemplateTable(buildTemplateTable(specs)));
+
+    try {
+      const index = loadTemplateIndex(file);
+      expect(index.match('GET', '/gists/starred').operation.path).toBe('/gists/starred');
+      expect(index.match('GET', '/repos/octocat/Hello-World/contents/docs/README.md').operation.path)
+        .toBe('/repos/{owner}/{repo}/contents/{path}');
+      expect(loadTemplateIndex(path.join(dir, 'missing.json'))).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('ships with the package', () => {
+    expect(loadTemplateIndex().match('PUT', '/repos/o/r/pulls/7/merge').operation.path)
+      .toBe('/repos/{owner}/{repo}/pulls/{pull_number}/merge');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Tests for the output engine, jq filters and templates
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { renderOutput, selectFields, formatCsv, formatTable } from '../src/output/format.mjs';
+import { runJq } from '../src/output/jq.mjs';
+import { renderTemplate } from '../src/output/template.mjs';
+import { OutputError } from '../src/utils/errors.mjs';
+
+const PULLS = [
+  { number: 12, title: 'Fix parser', draft: false, user: { login: 'octocat' }, labels: [{ name: 'bug' }] },
+  { number: 13, title: 'WIP: refactor, part "one"', draft: true, user: { login: 'hubot' }, labels: [] },
+  { number: 14, title: 'Docs', draft: false, user: { login: 'octocat' }, labels: [{ name: 'docs' }, { name: 'good first issue' }] }
+];
+
+describe('runJq', () => {
+  test('follows paths, pipes and select', () => {
+    expect(runJq('.[] | select(.draft | not) | .number', PULLS)).toEqual([12, 14]);
+    expect(runJq('.[0].user.login', PULLS)).toEqual(['octocat']);
+    expect(runJq('.[].labels[]?.name', PULLS)).toEqual(['bug', 'docs', 'good first issue']);
+  });
+
+  test('builds arrays, objects and strings', () => {
+    expect(runJq('map({ n: .number, who: .user.login })', PULLS.slice(0, 1))).toEqual([[{ n: 12, who: 'octocat' }]]);
+    expect(runJq('"#\\(.number) \\(.title)"', PULLS[0])).toEqual(['#12 Fix parser']);
+    expect(runJq('[.[] | .number] | add', PULLS)).toEqual([39]);
+  });
+
+  test('supports grouping, sorting and reduce', () => {
+    expect(runJq('group_by(.user.login) | map({ (.[0].user.login): length }) | add', PULLS)).toEqual([{ hubot: 1, octocat: 2 }]);
+    expect(runJq('sort_by(.title) | map(.number)', PULLS)).toEqual([[14, 12, 13]]);
+    expect(runJq('reduce .[] as $pull (0; . + ($pull.labels | length))', PULLS)).toEqual([3]);
+  });
+
+  test('supports conditionals, alternatives and formats', () => {
+    expect(runJq('.[] | if .draft then "draft" elif .labels == [] then "bare" else .labels[0].name end', PULLS)).toEqual(['bug', 'draft', 'docs']);
+    expect(runJq('.missing // "none"', {})).toEqual(['none']);
+    expect(runJq('[.number, .title] | @csv', PULLS[1])).toEqual(['13,"WIP: refactor, part ""one"""']);
+  });
+
+  test('reports syntax and type errors as OutputError', () => {
+    expect(() => runJq('.[] | select(', PULLS)).toThrow(OutputError);
+    expect(() => runJq('.number | keys', PULLS[0])).toThrow(/jq: /);
+    expect(() => runJq('nosuchfn', PULLS)).toThrow(OutputError);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('renders Go-style range, if and else', () => {
+    const template = '{{range .}}#{{.number}} {{if .draft}}[draft] {{end}}{{.title | truncate 12}}{{"\\n"}}{{end}}';
+
+    expect(renderTemplate(template, PULLS)).toBe('#12 Fix parser\n#13 [draft] WIP: refact…\n#14 Docs\n');
+    expect(renderTemplate('{{range .labels}}{{.name}}{{else}}no labels{{end}}', PULLS[1])).toBe('no labels');
+  });
+
+  test('renders mustache sections and looks names up through enclosing contexts', () => {
+    expect(renderTemplate('{{#labels}}{{name}} on #{{number}};{{/labels}}{{^labels}}none{{/labels}}', PULLS[2]))
+      .toBe('docs on #14;good first issue on #14;');
+    expect(renderTemplate('{{^labels}}none{{/labels}}', PULLS[1])).toBe('none');
+  });
+
+  test('applies helper pipelines and trims around {{- -}}', () => {
+    expect(renderTemplate('{{.labels | pluck "name" | join "+" | upper}}', PULLS[2])).toBe('DOCS+GOOD FIRST ISSUE');
+    expect(renderTemplate('{{.milestone | default "-"}}', PULLS[0])).toBe('-');
+    expect(renderTemplate('a  {{- "b" -}}  c', {})).toBe('abc');
+  });
+
+  test('rejects unbalanced sections and unknown helpers', () => {
+    expect(() => renderTemplate('{{range .}}{{.number}}', PULLS)).toThrow('never closed');
+    expect(() => renderTemplate('{{end}}', PULLS)).toThrow(OutputError);
+    expect(() => renderTemplate('{{.title | shout}}', PULLS[0])).toThrow("unknown helper 'shout'");
+  });
+});
+
+describe('field selection and formatters', () => {
+  test('selectFields keeps nesting', () => {
+    expect(selectFields(PULLS[0], ['number', 'user.login', 'milestone'])).toEqual({ number: 12, user: { login: 'octocat' }, milestone: null });
+  });
+
+  test('formatCsv quotes cells that need it', () => {
+    expect(formatCsv(PULLS.slice(0, 2), ['number', 'title', 'user.login'])).toBe(
+      'number,title,user.login\n12,Fix parser,octocat\n13,"WIP: refactor, part ""one""",hubot'
+    );
+  });
+
+  test('formatTable aligns columns, and lists a single object as field/value rows', () => {
+    expect(formatTable(PULLS.slice(0, 2), ['number', 'user.login'])).toBe('NUMBER  USER.LOGIN\n12      octocat\n13      hubot');
+    expect(formatTable({ number: 12, draft: false })).toBe('FIELD   VALUE\nnumber  12\ndraft   false');
+  });
+});
+
+describe('renderOutput', () => {
+  test('prints each jq result on its own line, strings raw', () => {
+    expect(renderOutput(PULLS, { jq: '.[] | .title' })).toBe('Fix parser\nWIP: refactor, part "one"\nDocs');
+    expect(renderOutput(PULLS, { jq: '.[0] | { number }' })).toBe('{\n  "number": 12\n}');
+    expect(renderOutput(PULLS, { format: 'text', jq: '.[].number', renderers: { text: () => 'layout' } })).toBe('12\n13\n14');
+  });
+
+  test('applies fields before jq and the format after it', () => {
+    expect(renderOutput(PULLS, { format: 'ndjson', fields: 'number,user.login', jq: 'map(select(.user.login == "octocat"))' }))
+      .toBe('{"number":12,"user":{"login":"octocat"}}\n{"number":14,"user":{"login":"octocat"}}');
+    expect(renderOutput(PULLS[0], { format: 'yaml', fields: ['number', 'title'] })).toBe('number: 12\ntitle: Fix parser');
+  });
+
+  test('renders a template instead of the format', () => {
+    expect(renderOutput(PULLS, { format: 'csv', template: '{{range .}}{{.number}} {{end}}' })).toBe('12 13 14 ');
+  });
+
+  test('uses package renderers until the data is reshaped', () => {
+    const renderers = { text: (data) => `${data.length} pull requests` };
+
+    expect(renderOutput(PULLS, { format: 'text', renderers })).toBe('3 pull requests');
+    expect(renderOutput(PULLS, { format: 'text', fields: 'number', renderers })).toBe('NUMBER\n12\n13\n14');
+  });
+
+  test('rejects an unknown format', () => {
+    expect(() => renderOutput(PULLS, { format: 'xml' })).toThrow("Unknown output format 'xml'");
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests for the request scheduler
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { Transport } from '../src/client/transport.mjs';
+import { RequestScheduler, getSchedulerMetrics, resetSchedulers, resolveScheduler, resourceForUrl } from '../src/client/scheduler.mjs';
+import { RateLimitError, SecondaryRateLimitError } from '../src/utils/errors.mjs';
+
+const API = 'https://api.github.com';
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+// Let queued work start
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('RequestScheduler', () => {
+  test('caps the requests in flight', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const runs = gates.map((gate, i) => scheduler.schedule(async () => {
+      started.push(i);
+      await gate.promise;
+      return { headers: {} };
+    }, { url: `${API}/user` }));
+
+    await tick();
+    expect(started).toEqual([0, 1]);
+    expect(scheduler.metrics()).toMatchObject({ active: 2, queued: 1 });
+
+    gates[0].resolve();
+    await tick();
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await Promise.all(runs);
+    expect(scheduler.metrics()).toMatchObject({ active: 0, queued: 0, requests: 3, maxQueued: 1 });
+  });
+
+  test('sends writes one at a time and spaced out, without holding reads back', async () => {
+    const scheduler = new RequestScheduler({ mutationInterval: 30 });
+    const spans = [];
+    const write = () => scheduler.schedule(async () => {
+      const span = { start: Date.now() };
+      spans.push(span);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      span.end = Date.now();
+      return { headers: {} };
+    }, { url: `${API}/repos/o/r/issues`, mutates: true });
+
+    const writes = [write(), write(), write()];
+    const read = scheduler.schedule(async () => Date.now(), { url: `${API}/repos/o/r` });
+
+    expect(await read).toBeLessThan(spans[0].start + 30);
+    await Promise.all(writes);
+
+    for (let i = 1; i < spans.length; i++) {
+      expect(spans[i].start - spans[i - 1].end).toBeGreaterThanOrEqual(25);
+    }
+    expect(scheduler.metrics().mutations).toBe(3);
+  });
+
+  test('spends each resource down to its reserve only', async () => {
+    const scheduler = new RequestScheduler({ reserve: { search: 5 } });
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+
+    await scheduler.schedule(async () => ({
+      headers: { 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': reset, 'x-ratelimit-resource': 'search' }
+    }), { url: `${API}/search/issues` });
+
+    const task = jest.fn(async () => ({ headers: {} }));
+    const error = await scheduler.schedule(task, { url: `${API}/search/issues`, maxWait: 1000 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.resource).toBe('search');
+    expect(error.reset).toBe(Number(reset));
+    expect(task).not.toHaveBeenCalled();
+
+    // Other resources carry on
+    await expect(scheduler.schedule(task, { url: `${API}/repos/o/r` })).resolves.toEqual({ headers: {} });
+    expect(scheduler.metrics().resources.search).toMatchObject({ requests: 1, remaining: 5, limit: 0 });
+  });
+
+  test('holds every request after a secondary rate limit', async () => {
+    const scheduler = new RequestScheduler();
+    const limited = new SecondaryRateLimitError('slow down', { retryAfter: 0.05 });
+
+    await expect(scheduler.schedule(async () => { throw limited; }, { url: `${API}/repos/o/r/issues`, mutates: true }))
+      .rejects.toBe(limited);
+
+    const before = Date.now();
+    await scheduler.schedule(async () => ({ headers: {} }), { url: `${API}/search/issues` });
+    expect(Date.now() - before).toBeGreaterThanOrEqual(40);
+
+    scheduler.observeError(new SecondaryRateLimitError('slow down', { retryAfter: 60 }));
+    await expect(scheduler.schedule(async () => ({ headers: {} }), { url: `${API}/user`, maxWait: 1000 }))
+      .rejects.toThrow(SecondaryRateLimitError);
+
+    expect(scheduler.metrics()).toMatchObject({ secondaryRateLimited: 2, failed: 1 });
+    expect(scheduler.metrics().pausedUntil).toBeInstanceOf(Date);
+  });
+
+  test('resourceForUrl sorts requests into rate limit resources', () => {
+    expect(resourceForUrl(`${API}/repos/o/r`)).toBe('core');
+    expect(resourceForUrl(`${API}/search/issues?q=x`)).toBe('search');
+    expect(resourceForUrl(`${API}/search/code?q=x`)).toBe('code_search');
+    expect(resourceForUrl(`${API}/graphql`)).toBe('graphql');
+    expect(resourceForUrl('https://ghe.example.com/api/graphql')).toBe('graphql');
+  });
+});
+
+describe('shared schedulers', () => {
+  afterEach(() => {
+    resetSchedulers();
+  });
+
+  test('are shared per host and credential', () => {
+    const work = resolveScheduler(undefined, { url: `${API}/user`, authorization: 'Bearer ghp_work' });
+
+    expect(resolveScheduler(true, { url: `${API}/repos/o/r`, authorization: 'Bearer ghp_work' })).toBe(work);
+    expect(resolveScheduler(undefined, { url: `${API}/user`, authorization: 'Bearer ghp_home' })).not.toBe(work);
+    expect(resolveScheduler(undefined, { url: 'https://ghe.example.com/api/v3/user', authorization: 'Bearer ghp_work' })).not.toBe(work);
+    expect(resolveScheduler(false)).toBeNull();
+    expect(work.config.mutationInterval).toBe(1000);
+    expect(resolveScheduler(undefined, { url: 'http://127.0.0.1:3000/user' }).config.mutationInterval).toBe(0);
+    expect(Object.keys(getSchedulerMetrics()).join(' ')).not.toContain('ghp_');
+  });
+
+  test('transports retry after Retry-After and report it in the metrics', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ message: 'You have exceeded a secondary rate limit.' }, 403, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse({ id: 1 }, 201));
+    const transport = new Transport({ fetch, auth: 'ghp_test' });
+
+    const response = await transport.post('/repos/o/r/issues', { title: 'Hi' });
+
+    expect(response.data).toEqual({ id: 1 });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(Object.values(getSchedulerMetrics())[0]).toMatchObject({ requests: 2, mutations: 2, secondaryRateLimited: 1 });
+  });
+
+  test('transports give up on waits longer than maxRateLimitWait', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse({ message: 'You have exceeded a secondary rate limit.' }, 429, { 'retry-after': '120' }));
+    const transport = new Transport({ fetch, scheduler: new RequestScheduler() });
+
+    const error = await transport.get('/repos/o/r').catch(e => e);
+
+    expect(error).toBeInstanceOf(SecondaryRateLimitError);
+    expect(error.retryAfter).toBe(120);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Tests for the shared Transport
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { Transport } from '../src/client/transport.mjs';
+import { resetSchedulers } from '../src/client/scheduler.mjs';
+import { DryRun, DRY_RUN_ENV, applyDryRun } from '../src/client/dryRun.mjs';
+import { GraphQLClient } from '../src/client/graphql.mjs';
+import {
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError
+} from '../src/utils/errors.mjs';
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+}
+
+function createTransport(responses, options = {}) {
+  const queue = [...responses];
+  const fetch = jest.fn(async () => {
+    const next = queue.shift();
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next() : next;
+  });
+  const transport = new Transport({ retryDelay: 1, fetch, ...options });
+  return { transport, fetch };
+}
+
+describe('Transport', () => {
+  // Rate limits seen by one test must not hold back the next
+  afterEach(() => {
+    resetSchedulers();
+  });
+
+  describe('headers', () => {
+    test('injects a bearer token and GitHub defaults', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({})], { auth: 'ghp_test' });
+
+      await transport.get('/user');
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.github.com/user');
+      expect(init.headers['Authorization']).toBe('Bearer ghp_test');
+      expect(init.headers['Accept']).toBe('application/vnd.github+json');
+      expect(init.headers['X-GitHub-Api-Version']).toBe('2022-11-28');
+    });
+
+    test('resolves auth from a function or getAuthHeader()', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({}), jsonResponse({})], {
+        auth: async () => 'from-function',
+        authScheme: 'token'
+      });
+
+      await transport.get('/user');
+      transport.setAuth({ getAuthHeader: () => 'Bearer from-manager' });
+      await transport.get('/user');
+
+      expect(fetch.mock.calls[0][1].headers['Authorization']).toBe('token from-function');
+      expect(fetch.mock.calls[1][1].headers['Authorization']).toBe('Bearer from-manager');
+    });
+
+    test('omits Authorization when unauthenticated', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({})]);
+
+      await transport.get('/meta');
+
+      expect(fetch.mock.calls[0][1].headers['Authorization']).toBeUndefined();
+    });
+  });
+
+  describe('request', () => {
+    test('encodes query params and JSON bodies', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({ id: 1 }, 201)]);
+
+      const response = await transport.post('/repos/o/r/issues', { title: 'Bug' }, {
+        params: { labels: ['a', 'b'], skip: undefined }
+      });
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.github.com/repos/o/r/issues?labels=a%2Cb');
+      expect(init.body).toBe(JSON.stringify({ title: 'Bug' }));
+      expect(init.headers['Content-Type']).toBe('application/json');
+      expect(response.status).toBe(201);
+      expect(response.data).toEqual({ id: 1 });
+    });
+
+    test('returns null data for 204 responses', async () => {
+      const { transport } = createTransport([new Response(null, { status: 204 })]);
+
+      const response = await transport.delete('/user/starred/o/r');
+
+      expect(response.data).toBeNull();
+    });
+
+    test('returns 304 responses instead of throwing', async () => {
+      const { transport } = createTransport([new Response(null, { status: 304, headers: { etag: '"abc"' } })]);
+
+      const response = await transport.get('/repos/o/r', { headers: { 'If-None-Match': '"abc"' } });
+
+      expect(response.status).toBe(304);
+      expect(response.data).toBeNull();
+      expect(response.headers.etag).toBe('"abc"');
+    });
+
+    test('tracks rate limits per resource', async () => {
+      const { transport } = createTransport([
+        jsonResponse({}, 200, {
+          'x-ratelimit-limit': '30',
+          'x-ratelimit-remaining': '29',
+          'x-ratelimit-reset': '1700000000',
+          'x-ratelimit-resource': 'search'
+        })
+      ]);
+
+      const response = await transport.get('/search/issues', { params: { q: 'bug' } });
+
+      expect(response.rateLimit.remaining).toBe(29);
+      expect(transport.getRateLimit('search').limit).toBe(30);
+      expect(transport.getRateLimit('core')).toBeNull();
+    });
+  });
+
+  describe('errors and retries', () => {
+    test('throws NotFoundError without retrying', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({ message: 'Not Found' }, 404)]);
+
+      await expect(transport.get('/repos/o/missing')).rejects.toBeInstanceOf(NotFoundError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries server errors with backoff', async () => {
+      const { transport, fetch } = createTransport([
+        jsonResponse({ message: 'boom' }, 502),
+        jsonResponse({ ok: true })
+      ]);
+
+      const response = await transport.get('/repos/o/r');
+
+      expect(response.data).toEqual({ ok: true });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after the configured retries', async () => {
+      const { transport, fetch } = createTransport([
+        jsonResponse({}, 500),
+        jsonResponse({}, 500),
+        jsonResponse({}, 500)
+      ], { retries: 2 });
+
+      await expect(transport.get('/repos/o/r')).rejects.toBeInstanceOf(ServerError);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('retries network errors', async () => {
+      const { transport } = createTransport([
+        new TypeError('fetch failed'),
+        jsonResponse({ ok: true })
+      ]);
+
+      const response = await transport.get('/repos/o/r');
+
+      expect(response.data).toEqual({ ok: true });
+    });
+
+    test('does not wait for a distant rate limit reset', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600;
+      const { transport, fetch } = createTransport([
+        jsonResponse({ message: 'API rate limit exceeded' }, 403, {
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': String(reset)
+        })
+      ]);
+
+      const error = await transport.get('/repos/o/r').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.reset).toBe(reset);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('turns aborted requests into TimeoutError', async () => {
+      const fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+          const error = new Error('aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      }));
+      const transport = new Transport({ fetch, timeout: 5, retries: 0 });
+
+      const error = await transport.get('/slow').catch(e => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error).toBeInstanceOf(NetworkError);
+    });
+
+    test('passes final errors through mapError', async () => {
+      class PackageError extends Error {}
+      const { transport } = createTransport([jsonResponse({ message: 'Not Found' }, 404)], {
+        mapError: error => new PackageError(`${error.status}: ${error.message}`)
+      });
+
+      await expect(transport.get('/x')).rejects.toThrow(new PackageError('404: Not Found'));
+    });
+  });
+
+  describe('pagination', () => {
+    test('follows Link headers across pages', async () => {
+      const { transport, fetch } = createTransport([
+        jsonResponse([{ id: 1 }, { id: 2 }], 200, {
+          link: '<https://api.github.com/repos/o/r/issues?per_page=2&page=2>; rel="next"'
+        }),
+        jsonResponse([{ id: 3 }])
+      ]);
+
+      const items = await transport.paginateAll('/repos/o/r/issues', { params: { per_page: 2 } });
+
+      expect(items.map(i => i.id)).toEqual([1, 2, 3]);
+      expect(fetch.mock.calls[1][0]).toBe('https://api.github.com/repos/o/r/issues?per_page=2&page=2');
+    });
+
+    test('unwraps search-style responses and honours maxPages', async () => {
+      const { transport, fetch } = createTransport([
+        jsonResponse({ total_count: 4, items: [{ id: 1 }] }, 200, {
+          link: '<https://api.github.com/search/issues?q=x&page=2>; rel="next"'
+        })
+      ]);
+
+      const items = await transport.paginateAll('/search/issues', { params: { q: 'x' }, maxPages: 1 });
+
+      expect(items).toEqual([{ id: 1 }]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('dry run', () => {
+    test('plans writes instead of sending them and still sends reads', async () => {
+      const log = jest.fn();
+      const { transport, fetch } = createTransport([jsonResponse({ object: { sha: 'abc' } })], { dryRun: { log } });
+
+      const read = await transport.get('/repos/o/r/git/ref/heads/main');
+      const write = await transport.patch('/repos/o/r/git/refs/heads/main', { sha: 'def', force: true });
+      const removed = await transport.delete('/repos/o/r');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(read.data.object.sha).toBe('abc');
+      expect(write).toMatchObject({ dryRun: true, status: 200, data: { sha: 'def', force: true } });
+      expect(removed).toMatchObject({ dryRun: true, status: 204, data: null });
+      expect(log.mock.calls.map(([text]) => text)).toEqual([
+        '[dry-run] PATCH https://api.github.com/repos/o/r/git/refs/heads/main\n{\n  "sha": "def",\n  "force": true\n}',
+        '[dry-run] DELETE https://api.github.com/repos/o/r'
+      ]);
+      expect(transport.dryRun.plan.map(entry => entry.method)).toEqual(['PATCH', 'DELETE']);
+    });
+
+    test('reads GITHUB_DRY_RUN per request unless the option is set', async () => {
+      const { transport, fetch } = createTransport([jsonResponse({ id: 1 })]);
+      const explicit = createTransport([jsonResponse({ id: 2 })], { dryRun: false });
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      process.env[DRY_RUN_ENV] = '1';
+
+      try {
+        expect((await transport.post('/repos/o/r/issues', { title: 'x' })).dryRun).toBe(true);
+        expect((await explicit.transport.post('/repos/o/r/issues', { title: 'x' })).data).toEqual({ id: 2 });
+        expect(stderr).toHaveBeenCalledWith('[dry-run] POST https://api.github.com/repos/o/r/issues\n{\n  "title": "x"\n}\n');
+      } finally {
+        delete process.env[DRY_RUN_ENV];
+        stderr.mockRestore();
+      }
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('lets GraphQL queries through and holds back mutations', async () => {
+      const dryRun = new DryRun({ log: false });
+      const { transport, fetch } = createTransport([jsonResponse({ data: { viewer: { login: 'octocat' } } })], { dryRun });
+      const graphql = new GraphQLClient({ transport, trackCost: false });
+
+      expect(await graphql.query('query { viewer { login } }')).toEqual({ viewer: { login: 'octocat' } });
+      await graphql.query('mutation($id: ID!) { addStar(input: { starrableId: $id }) { clientMutationId } }', { id: 'R_1' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(dryRun.plan).toHaveLength(1);
+      expect(dryRun.plan[0].body.variables).toEqual({ id: 'R_1' });
+    });
+
+    test('applyDryRun plans the writes of a client that sends on its own', async () => {
+      const client = {
+        owner: 'o',
+        request: jest.fn(async () => ({ id: 1 })),
+        updateRef: jest.fn(async () => ({ ref: 'refs/heads/main' }))
+      };
+      const writes = {
+        updateRef: (self, ref, sha, force) => ({ method: 'PATCH', path: `/repos/${self.owner}/r/git/refs/${ref}`, body: { sha, force } })
+      };
+      const dryRun = new DryRun({ log: false });
+      applyDryRun(client, writes, { dryRun, baseUrl: 'https://ghe.example.com/api/v3/' });
+
+      expect(await client.request('GET', '/repos/o/r')).toEqual({ id: 1 });
+      expect(await client.request('delete', '/repos/o/r')).toBeNull();
+      expect(await client.updateRef('heads/main', 'def', true)).toEqual({ sha: 'def', force: true });
+
+      expect(dryRun.plan).toEqual([
+        { method: 'DELETE', url: 'https://ghe.example.com/api/v3/repos/o/r', body: null },
+        { method: 'PATCH', url: 'https://ghe.example.com/api/v3/repos/o/r/git/refs/heads/main', body: { sha: 'def', force: true } }
+      ]);
+    });
+
+    test('applyDryRun reads GITHUB_DRY_RUN on each call', async () => {
+      const updateRef = jest.fn(async () => ({ ref: 'refs/heads/main' }));
+      const client = applyDryRun({ updateRef }, {
+        updateRef: (self, ref, sha) => ({ method: 'PATCH', path: `/repos/o/r/git/refs/${ref}`, body: { sha } })
+      });
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+      try {
+        await client.updateRef('heads/main', 'abc');
+        process.env[DRY_RUN_ENV] = '1';
+        await client.updateRef('heads/main', 'def');
+      } finally {
+        delete process.env[DRY_RUN_ENV];
+        stderr.mockRestore();
+      }
+
+      expect(updateRef).toHaveBeenCalledTimes(1);
+      expect(updateRef).toHaveBeenCalledWith('heads/main', 'abc');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for declaration generation from the OpenAPI specs
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSpecs, OperationIndex } from '../src/openapi/spec.mjs';
+import { scanModule } from '../src/openapi/sources.mjs';
+import {
+  pascalCase, jsdocToTs, TypeRegistry, findEndpointCalls, generateDeclarations
+} from '../src/openapi/typegen.mjs';
+
+const index = new OperationIndex(loadSpecs({ groups: ['gists', 'repos'] }));
+
+describe('jsdocToTs', () => {
+  test('converts unions, arrays, generics and record types', () => {
+    expect(jsdocToTs('string|number')).toBe('string | number');
+    expect(jsdocToTs('Array<string>')).toBe('string[]');
+    expect(jsdocToTs('Object.<string, number>')).toBe('Record<string, number>');
+    expect(jsdocToTs('Promise<Object>')).toBe('Promise<Record<string, any>>');
+    expect(jsdocToTs('?string')).toBe('string | null');
+    expect(jsdocToTs('{name: string, private?: boolean}')).toBe('{ name: string; private?: boolean }');
+  });
+
+  test('keeps declared names and falls back to any for unknown ones', () => {
+    expect(jsdocToTs('Gist[]', new Set(['Gist']))).toBe('Gist[]');
+    expect(jsdocToTs('Gist[]')).toBe('any[]');
+  });
+
+  test('pascal-cases operation ids', () => {
+    expect(pascalCase('repos/list-for-org')).toBe('ReposListForOrg');
+    expect(pascalCase('2fa')).toBe('_2fa');
+  });
+});
+
+describe('TypeRegistry', () => {
+  test('declares query, request and response types for an operation', () => {
+    const registry = new TypeRegistry();
+    const types = registry.operation(index.get('gists/create'));
+
+    expect(types).toMatchObject({ base: 'GistsCreate', request: 'GistsCreateRequest', response: 'GistsCreateResponse' });
+    expect(types.requestFields).toEqual(new Set(['description', 'files', 'public']));
+    expect(registry.operations.get('GistsCreateResponse')).toBe(
+      '/** Response body for gists/create */\nexport type GistsCreateResponse = GistSimple;'
+    );
+    expect(registry.schemas.has('GistSimple')).toBe(true);
+  });
+
+  test('renames schemas that clash with source declarations', () => {
+    const registry = new TypeRegistry({ reserved: ['GistSimple'] });
+    registry.operation(index.get('gists/create'));
+    expect(registry.schemas.has('GistSimpleSchema')).toBe(true);
+  });
+});
+
+describe('findEndpointCalls', () => {
+  test('matches helper calls to documented operations', () => {
+    const [call] = findEndpointCalls('return this.http.get(`/repos/${owner}/${repo}/branches`, { params: options });', index);
+    expect(call.entry.operationId).toBe('repos/list-branches');
+    expect(call.slots).toEqual(new Map([['owner', 'owner'], ['repo', 'repo']]));
+  });
+
+  test('follows path locals, query suffixes and joined placeholders', () => {
+    const body = `
+      const query = buildQuery(options);
+      const url = \`/gists/\${gistId}/commits\${query}\`;
+      await request({ method: 'GET', url });
+      return this.client.get(\`/repos/\${owner}/\${repo}/compare/\${base}...\${head}\`);
+    `;
+    const [commits, compare] = findEndpointCalls(body, index);
+    expect(commits.entry.operationId).toBe('gists/list-commits');
+    expect(compare.entry.operationId).toBe('repos/compare-commits');
+    expect(compare.slots.get('basehead')).toBe('base + head');
+  });
+});
+
+describe('scanModule', () => {
+  test('reads regex literals after line comments and comments in export lists', () => {
+    const { declarations, exports } = scanModule(`
+      function slug(name) {
+        // Lowercase, then collapse separators
+        /[^a-z]+/g.lastIndex = 0;
+        return name.replace(/[{}]/g, '');
+      }
+      export {
+        // Helpers
+        slug
+      };
+    `);
+    expect(declarations.get('slug')).toMatchObject({ kind: 'function', name: 'slug' });
+    expect(exports).toEqual([{ exported: 'slug', local: 'slug' }]);
+  });
+});
+
+describe('generateDeclarations', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'typegen-'));
+    fs.writeFileSync(path.join(root, 'index.mjs'), `
+/**
+ * Gist operations
+ */
+export class GistClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.token] - Personal access token
+   */
+  constructor(options = {}) {
+    this.http = createHttp(options);
+  }
+
+  /**
+   * Get a gist
+   * @param {string} gistId - Gist ID
+   */
+  async get(gistId) {
+    return this.http.get(\`/gists/\${gistId}\`);
+  }
+
+  /**
+   * Create a gist
+   * @param {Object} files - Files keyed by name
+   * @param {string} [description] - Gist description
+   */
+  async create(files, description) {
+    return this.http.post('/gists', { files, description });
+  }
+}
+
+export default GistClient;
+`);
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('types client methods from the operations they call', () => {
+    const text = generateDeclarations({
+      index, root, config: { name: 'fixture', entry: 'index.mjs', response: 'data' }
+    });
+
+    expect(text).toContain('export class GistClient {');
+    expect(text).toContain('constructor(options?: GistClientOptions);');
+    expect(text).toContain('get(gistId: string): Promise<GistsGetResponse>;');
+    expect(text).toContain('create(files: GistsCreateRequest["files"], description?: GistsCreateRequest["description"]): Promise<GistsCreateResponse>;');
+    expect(text).toContain('export default GistClient;');
+    expect(text).toMatch(/export type GistsGetResponse = GistSimple;/);
+  });
+});
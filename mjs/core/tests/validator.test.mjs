@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests for OpenAPI request/response validation
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { Transport } from '../src/client/transport.mjs';
+import { SpecValidator, SchemaValidationError, resolveValidator } from '../src/openapi/validator.mjs';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+}
+
+const REPO = {
+  id: 1, node_id: 'R_1', name: 'demo', full_name: 'octocat/demo', private: false,
+  owner: { login: 'octocat' }, html_url: 'https://github.com/octocat/demo'
+};
+
+describe('SpecValidator', () => {
+  const strict = new SpecValidator({ mode: 'strict', groups: ['repos', 'gists'] });
+
+  afterEach(() => {
+    delete process.env.GITHUB_VALIDATE;
+  });
+
+  test('points at body fields with the wrong type', () => {
+    const entry = strict.match('POST', 'https://api.github.com/user/repos');
+    expect(entry.operationId).toBe('repos/create-for-authenticated-user');
+
+    expect(strict.validateRequest(entry, { url: 'https://api.github.com/user/repos', body: { name: 'x', private: 'yes' } }))
+      .toEqual([{ pointer: '/body/private', message: 'must be boolean, got string' }]);
+    expect(strict.validateRequest(entry, { url: 'https://api.github.com/user/repos', body: { private: true } }))
+      .toEqual([{ pointer: '/body/name', message: 'is required' }]);
+  });
+
+  test('checks query parameters against their declared schemas', () => {
+    const url = 'https://api.github.com/user/repos?per_page=abc&sort=size&colour=red';
+    const entry = strict.match('GET', url);
+
+    expect(strict.validateRequest(entry, { url })).toEqual(expect.arrayContaining([
+      { pointer: '/query/per_page', message: 'must be integer, got string' },
+      { pointer: '/query/sort', message: expect.stringContaining('must be one of') },
+      { pointer: '/query/colour', message: 'is not a documented query parameter' }
+    ]));
+    expect(strict.validateRequest(entry, { url: 'https://api.github.com/user/repos?per_page=10' })).toEqual([]);
+  });
+
+  test('checks responses against the schema for their status', () => {
+    const entry = strict.match('GET', 'https://api.github.com/gists/abc');
+
+    expect(strict.validateResponse(entry, { status: 418, data: {}, headers: {} }))
+      .toEqual([{ pointer: '/response', message: 'status 418 is not documented' }]);
+    expect(strict.validateResponse(entry, { status: 200, data: 'text', headers: { 'content-type': 'text/plain' } }))
+      .toEqual([]);
+    expect(strict.validateResponse(entry, { status: 200, data: { id: 5, files: {} }, headers: { 'content-type': 'application/json' } }))
+      .toEqual(expect.arrayContaining([{ pointer: '/response/id', message: 'must be string, got integer' }]));
+  });
+
+  test('strips GitHub Enterprise base paths before matching', () => {
+    expect(strict.match('GET', 'https://ghe.example.com/api/v3/gists/1', 'https://ghe.example.com/api/v3').operationId)
+      .toBe('gists/get');
+    expect(strict.match('GET', 'https://api.github.com/not/an/endpoint')).toBeNull();
+  });
+
+  test('is off unless asked for, and GITHUB_VALIDATE turns it on', () => {
+    expect(resolveValidator()).toBeNull();
+    expect(resolveValidator(false)).toBeNull();
+
+    process.env.GITHUB_VALIDATE = 'strict';
+    expect(resolveValidator().mode).toBe('strict');
+    expect(resolveValidator()).toBe(resolveValidator({}));
+    expect(resolveValidator(false)).toBeNull();
+    expect(() => resolveValidator('loud')).toThrow('Unknown validate mode');
+  });
+});
+
+describe('Transport validation', () => {
+  test('strict mode throws before sending and is never retried', async () => {
+    const fetch = jest.fn();
+    const mapError = jest.fn();
+    const api = new Transport({ auth: 'token', fetch, mapError, validate: { mode: 'strict', groups: ['repos'] } });
+
+    const error = await api.post('/user/repos', { name: 'demo', private: 'yes' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.operationId).toBe('repos/create-for-authenticated-user');
+    expect(error.errors).toEqual([{ pointer: '/body/private', message: 'must be boolean, got string' }]);
+    expect(error.message).toContain('POST /user/repos');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(mapError).not.toHaveBeenCalled();
+  });
+
+  test('warn mode logs response mismatches and still returns the data', async () => {
+    const logger = jest.fn();
+    const fetch = jest.fn().mockResolvedValue(jsonResponse({ ...REPO, private: 'no' }, 201));
+    const api = new Transport({ auth: 'token', fetch, validate: { mode: 'warn', groups: ['repos'], logger } });
+
+    const response = await api.post('/user/repos', { name: 'demo' });
+
+    expect(response.data.name).toBe('demo');
+    expect(logger).toHaveBeenCalledTimes(1);
+    expect(logger.mock.calls[0][0]).toContain('/response/private: must be boolean, got string');
+  });
+});
@@ -7,6 +7,14 @@ import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 
+import {
+  resolveToken,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  isMainModule,
+  registerCompletionCommand
+} from '@thinkeloquent/github-sdk-core';
 import GistAPI from './index.mjs';
 import { Formatter } from './lib/utils/formatter.mjs';
 import { config } from './lib/utils/config.mjs';
@@ -34,8 +42,10 @@ program
   .version(packageJson.version)
   .option('-t, --token <token>', 'GitHub personal access token')
   .option('-f, --format <format>', 'Output format (json, yaml, table)', 'json')
-  .option('--no-color', 'Disable colored output')
-  .hook('preAction', (thisCommand) => {
+  .option('--no-color', 'Disable colored output');
+
+addProfileOption(program)
+  .hook('preAction', (thisCommand, actionCommand) => {
     // Set up global options
     const opts = thisCommand.opts();
     
@@ -47,9 +57,12 @@ program
     // Store format globally
     global.outputFormat = opts.format;
     
-    // Create API client
+    // Create API client; profile commands must work before a profile exists
+    const managesProfiles = actionCommand.name() === 'login' || actionCommand.parent?.name() === 'profiles';
+    const credential = managesProfiles ? null : resolveToken({ token: opts.token });
     global.gistAPI = new GistAPI({ 
-      token: opts.token 
+      token: credential?.token || undefined,
+      ...(credential?.profile && { baseURL: credential.baseUrl })
     });
     
     global.formatter = new Formatter(opts.format);
@@ -127,38 +140,63 @@ createStarCommand(program);
 createForkCommand(program);
 createCommentCommand(program);
 createCommitsCommand(program);
+registerLoginCommand(program, { scopes: ['gist'] });
+registerProfilesCommand(program);
+registerCompletionCommand(program);
 
 // Error handling
 program.exitOverride();
 
-try {
-  await program.parseAsync(process.argv);
-} catch (error) {
-  if (error.code === 'commander.unknownCommand') {
-    console.error(chalk.red('Unknown command'));
-    program.outputHelp();
-  } else if (error.name === 'AuthenticationError') {
-    console.error(chalk.red('Authentication required'));
-    console.log(chalk.yellow('Please set your GitHub token:'));
-    console.log('  1. Set GITHUB_TOKEN environment variable');
-    console.log('  2. Use --token flag');
-    console.log('  3. Run: gist config set token <your-token>');
-  } else if (error.name === 'RateLimitError') {
-    const resetDate = new Date(error.resetTime * 1000);
-    console.error(chalk.red('Rate limit exceeded'));
-    console.log(chalk.yellow(`Resets at: ${resetDate.toLocaleString()}`));
-  } else if (error.name === 'ValidationError') {
-    console.error(chalk.red('Validation error:'), error.message);
-    if (error.errors && error.errors.length > 0) {
-      error.errors.forEach(err => {
-        console.log(chalk.yellow(`  - ${err.field}: ${err.message}`));
-      });
-    }
-  } else {
-    console.error(chalk.red('Error:'), error.message);
-    if (process.env.DEBUG) {
-      console.error(error);
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  try {
+    await program.parseAsync(argv);
+  } catch (error) {
+    if (error.code === 'commander.unknownCommand') {
+      console.error(chalk.red('Unknown command'));
+      program.outputHelp();
+    } else if (error.name === 'AuthenticationError') {
+      console.error(chalk.red('Authentication required'));
+      console.log(chalk.yellow('Please set your GitHub token:'));
+      console.log('  1. Run: gist login');
+      console.log('  2. Set GITHUB_TOKEN environment variable');
+      console.log('  3. Use --token flag');
+      console.log('  4. Run: gist config set token <your-token>');
+    } else if (error.name === 'RateLimitError') {
+      const resetDate = new Date(error.resetTime * 1000);
+      console.error(chalk.red('Rate limit exceeded'));
+      console.log(chalk.yellow(`Resets at: ${resetDate.toLocaleString()}`));
+    } else if (error.name === 'ValidationError') {
+      console.error(chalk.red('Validation error:'), error.message);
+      if (error.errors && error.errors.length > 0) {
+        error.errors.forEach(err => {
+          console.log(chalk.yellow(`  - ${err.field}: ${err.message}`));
+        });
+      }
+    } else {
+      console.error(chalk.red('Error:'), error.message);
+      if (process.env.DEBUG) {
+        console.error(error);
+      }
     }
+    process.exit(1);
   }
-  process.exit(1);
-}
\ No newline at end of file
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
+
+export { program };
+export default program;
\ No newline at end of file
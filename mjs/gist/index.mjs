@@ -37,6 +37,9 @@ export { ConfigManager } from './lib/utils/config.mjs';
  * ```
  */
 export default class GistAPI {
+  /**
+   * @param {ClientOptions} [options] - Token, base URL, timeout and retry settings
+   */
   constructor(options = {}) {
     this.client = new GistClient(options);
     
@@ -67,6 +70,7 @@ export default class GistAPI {
   
   /**
    * Create a new instance with different options
+   * @param {ClientOptions} options - Options overriding this client's
    */
   withOptions(options) {
     return new GistAPI({ ...this.client.auth, ...options });
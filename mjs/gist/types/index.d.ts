@@ -1,220 +1,799 @@
-declare module '@github-api/gist' {
-  export interface GistFile {
-    filename?: string;
-    type?: string;
-    language?: string;
-    raw_url?: string;
-    size?: number;
-    truncated?: boolean;
-    content?: string;
-    encoding?: string;
-  }
-  
-  export interface GistUser {
-    login: string;
-    id: number;
-    node_id: string;
-    avatar_url: string;
-    gravatar_id: string | null;
-    url: string;
-    html_url: string;
-    followers_url: string;
-    following_url: string;
-    gists_url: string;
-    starred_url: string;
-    subscriptions_url: string;
-    organizations_url: string;
-    repos_url: string;
-    events_url: string;
-    received_events_url: string;
-    type: string;
-    site_admin: boolean;
-    name?: string | null;
-    email?: string | null;
-  }
-  
-  export interface Gist {
-    id: string;
-    node_id: string;
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-gist
+ * GitHub Gist API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+/** Gist client configuration */
+export interface ClientOptions {
+  token?: string;
+  baseURL?: string;
+  timeout?: number;
+  retryAttempts?: number;
+  retryDelay?: number;
+}
+
+/** Page options for list endpoints */
+export interface PaginationOptions {
+  per_page?: number;
+  page?: number;
+  since?: string;
+}
+
+// lib/utils/errors.mjs
+
+export class GistAPIError extends Error {
+  statusCode: number;
+  response?: any;
+}
+
+export class AuthenticationError extends GistAPIError {}
+
+export class RateLimitError extends GistAPIError {
+  resetTime: number;
+  limit: number;
+  remaining: number;
+}
+
+export class ValidationError extends GistAPIError {
+  errors: any[];
+}
+
+export class NotFoundError extends GistAPIError {}
+
+export class ForbiddenError extends GistAPIError {}
+
+/** HTTP client shared by the endpoints */
+declare class GistClient {
+  constructor(options?: ClientOptions);
+  auth: AuthManager;
+  get(path: string, options?: Record<string, any>): Promise<{ data: any; headers: Record<string, string>; status: number }>;
+}
+
+declare class GistsEndpoint {
+  constructor(client: GistClient);
+  /**
+   * List gists for the authenticated user
+   * `GET /gists`
+   * @see https://docs.github.com/rest/gists/gists#list-gists-for-the-authenticated-user
+   */
+  list(options?: GistsListParams): Promise<GistsListResponse>;
+  /**
+   * List public gists
+   * `GET /gists/public`
+   * @see https://docs.github.com/rest/gists/gists#list-public-gists
+   */
+  listPublic(options?: GistsListPublicParams): Promise<GistsListPublicResponse>;
+  /**
+   * List starred gists
+   * `GET /gists/starred`
+   * @see https://docs.github.com/rest/gists/gists#list-starred-gists
+   */
+  listStarred(options?: GistsListStarredParams): Promise<GistsListStarredResponse>;
+  /**
+   * List gists for a user
+   * `GET /users/{username}/gists`
+   * @see https://docs.github.com/rest/gists/gists#list-gists-for-a-user
+   */
+  listForUser(username: string, options?: GistsListForUserParams): Promise<GistsListForUserResponse>;
+  /**
+   * Get a gist
+   * `GET /gists/{gist_id}`
+   * @see https://docs.github.com/rest/gists/gists#get-a-gist
+   */
+  get(gistId: string, options?: { raw?: boolean; base64?: boolean }): Promise<GistsGetResponse>;
+  /**
+   * Get a gist revision
+   * `GET /gists/{gist_id}/{sha}`
+   * @see https://docs.github.com/rest/gists/gists#get-a-gist-revision
+   */
+  getRevision(gistId: string, sha: string, options?: { raw?: boolean; base64?: boolean }): Promise<GistsGetRevisionResponse>;
+  /**
+   * Create a gist
+   * `POST /gists`
+   * @see https://docs.github.com/rest/gists/gists#create-a-gist
+   */
+  create(data: GistsCreateRequest): Promise<GistsCreateResponse>;
+  /**
+   * Update a gist
+   * `PATCH /gists/{gist_id}`
+   * @see https://docs.github.com/rest/gists/gists#update-a-gist
+   */
+  update(gistId: string, data: GistsUpdateRequest): Promise<GistsUpdateResponse>;
+  /**
+   * Delete a gist
+   * `DELETE /gists/{gist_id}`
+   * @see https://docs.github.com/rest/gists/gists#delete-a-gist
+   */
+  delete(gistId: string): Promise<boolean>;
+  /**
+   * Fork a gist
+   * `POST /gists/{gist_id}/forks`
+   * @see https://docs.github.com/rest/gists/gists#fork-a-gist
+   */
+  fork(gistId: string): Promise<GistsForkResponse>;
+  /**
+   * List gist forks
+   * `GET /gists/{gist_id}/forks`
+   * @see https://docs.github.com/rest/gists/gists#list-gist-forks
+   */
+  listForks(gistId: string, options?: GistsListForksParams): Promise<GistsListForksResponse>;
+  /**
+   * List gists for the authenticated user
+   * `GET /gists`
+   * @see https://docs.github.com/rest/gists/gists#list-gists-for-the-authenticated-user
+   */
+  iterate(options?: GistsListParams): AsyncIterableIterator<GistsListResponse[number]>;
+  /**
+   * List public gists
+   * `GET /gists/public`
+   * @see https://docs.github.com/rest/gists/gists#list-public-gists
+   */
+  iteratePublic(options?: GistsListPublicParams): AsyncIterableIterator<GistsListPublicResponse[number]>;
+}
+
+declare class CommentsEndpoint {
+  constructor(client: GistClient);
+  /**
+   * List gist comments
+   * `GET /gists/{gist_id}/comments`
+   * @see https://docs.github.com/rest/gists/comments#list-gist-comments
+   */
+  list(gistId: string, options?: GistsListCommentsParams): Promise<GistsListCommentsResponse>;
+  /**
+   * Get a gist comment
+   * `GET /gists/{gist_id}/comments/{comment_id}`
+   * @see https://docs.github.com/rest/gists/comments#get-a-gist-comment
+   */
+  get(gistId: string, commentId: number, options?: { raw?: boolean; base64?: boolean }): Promise<GistsGetCommentResponse>;
+  /**
+   * Create a gist comment
+   * `POST /gists/{gist_id}/comments`
+   * @see https://docs.github.com/rest/gists/comments#create-a-gist-comment
+   */
+  create(gistId: string, data: GistsCreateCommentRequest): Promise<GistsCreateCommentResponse>;
+  /**
+   * Update a gist comment
+   * `PATCH /gists/{gist_id}/comments/{comment_id}`
+   * @see https://docs.github.com/rest/gists/comments#update-a-gist-comment
+   */
+  update(gistId: string, commentId: number, data: GistsUpdateCommentRequest): Promise<GistsUpdateCommentResponse>;
+  /**
+   * Delete a gist comment
+   * `DELETE /gists/{gist_id}/comments/{comment_id}`
+   * @see https://docs.github.com/rest/gists/comments#delete-a-gist-comment
+   */
+  delete(gistId: string, commentId: number): Promise<boolean>;
+  /**
+   * List gist comments
+   * `GET /gists/{gist_id}/comments`
+   * @see https://docs.github.com/rest/gists/comments#list-gist-comments
+   */
+  iterate(gistId: string, options?: GistsListCommentsParams): AsyncIterableIterator<GistsListCommentsResponse[number]>;
+}
+
+declare class CommitsEndpoint {
+  constructor(client: GistClient);
+  /**
+   * List gist commits
+   * `GET /gists/{gist_id}/commits`
+   * @see https://docs.github.com/rest/gists/gists#list-gist-commits
+   */
+  list(gistId: string, options?: GistsListCommitsParams): Promise<GistsListCommitsResponse>;
+  /**
+   * Get a gist revision
+   * `GET /gists/{gist_id}/{sha}`
+   * @see https://docs.github.com/rest/gists/gists#get-a-gist-revision
+   */
+  get(gistId: string, sha: string): Promise<GistsGetRevisionResponse>;
+  /**
+   * List gist commits
+   * `GET /gists/{gist_id}/commits`
+   * @see https://docs.github.com/rest/gists/gists#list-gist-commits
+   */
+  iterate(gistId: string, options?: GistsListCommitsParams): AsyncIterableIterator<GistsListCommitsResponse[number]>;
+  /** Totals over every commit of a gist */
+  getStats(gistId: string): Promise<{ totalCommits: number; totalAdditions: number; totalDeletions: number; totalChanges: number; commits: any[] }>;
+}
+
+declare class ForksEndpoint {
+  constructor(client: GistClient);
+  /**
+   * List gist forks
+   * `GET /gists/{gist_id}/forks`
+   * @see https://docs.github.com/rest/gists/gists#list-gist-forks
+   */
+  list(gistId: string, options?: GistsListForksParams): Promise<GistsListForksResponse>;
+  /**
+   * Fork a gist
+   * `POST /gists/{gist_id}/forks`
+   * @see https://docs.github.com/rest/gists/gists#fork-a-gist
+   */
+  create(gistId: string): Promise<GistsForkResponse>;
+  /**
+   * List gist forks
+   * `GET /gists/{gist_id}/forks`
+   * @see https://docs.github.com/rest/gists/gists#list-gist-forks
+   */
+  iterate(gistId: string, options?: GistsListForksParams): AsyncIterableIterator<GistsListForksResponse[number]>;
+}
+
+declare class StarsEndpoint {
+  constructor(client: GistClient);
+  /**
+   * Check if a gist is starred
+   * `GET /gists/{gist_id}/star`
+   * @see https://docs.github.com/rest/gists/gists#check-if-a-gist-is-starred
+   */
+  check(gistId: string): Promise<boolean>;
+  /**
+   * Star a gist
+   * `PUT /gists/{gist_id}/star`
+   * @see https://docs.github.com/rest/gists/gists#star-a-gist
+   */
+  add(gistId: string): Promise<boolean>;
+  /**
+   * Unstar a gist
+   * `DELETE /gists/{gist_id}/star`
+   * @see https://docs.github.com/rest/gists/gists#unstar-a-gist
+   */
+  remove(gistId: string): Promise<boolean>;
+  /**
+   * List starred gists
+   * `GET /gists/starred`
+   * @see https://docs.github.com/rest/gists/gists#list-starred-gists
+   */
+  list(options?: GistsListStarredParams): Promise<GistsListStarredResponse>;
+  /** Star the gist when it is not starred, unstar it otherwise */
+  toggle(gistId: string): Promise<boolean>;
+}
+
+export class AuthManager {
+  constructor(options?: ClientOptions);
+  loadToken(): string | undefined;
+  getHeaders(additionalHeaders?: Record<string, string>): Record<string, string>;
+  isAuthenticated(): boolean;
+  requireAuth(): void;
+}
+
+export class ConfigManager {
+  load(): Record<string, any>;
+  save(config: Record<string, any>): boolean;
+  get(key: string): any;
+  set(key: string, value: any): boolean;
+  delete(key: string): boolean;
+  clear(): boolean;
+}
+
+/** GitHub Gist API Client */
+export class GistAPI {
+  constructor(options?: ClientOptions);
+  client: GistClient;
+  gists: GistsEndpoint;
+  comments: CommentsEndpoint;
+  commits: CommitsEndpoint;
+  forks: ForksEndpoint;
+  stars: StarsEndpoint;
+  /**
+   * Get rate limit information
+   *
+   * `GET /rate_limit`
+   * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+   */
+  getRateLimit(): Promise<RateLimitGetResponse>;
+  /**
+   * Get authenticated user information
+   *
+   * `GET /user`
+   * @see https://docs.github.com/rest/users/users#get-the-authenticated-user
+   */
+  getUser(): Promise<UsersGetAuthenticatedResponse>;
+  /** Create a new instance with different options */
+  withOptions(options: ClientOptions): GistAPI;
+}
+
+export const gistAPI: GistAPI;
+
+export default GistAPI;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Response body for rate-limit/get */
+export type RateLimitGetResponse = RateLimitOverview;
+
+/** Response body for users/get-authenticated */
+export type UsersGetAuthenticatedResponse = PrivateUser | PublicUser;
+
+/** Query parameters for gists/list */
+export interface GistsListParams {
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list */
+export type GistsListResponse = BaseGist[];
+
+/** Query parameters for gists/list-public */
+export interface GistsListPublicParams {
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-public */
+export type GistsListPublicResponse = BaseGist[];
+
+/** Query parameters for gists/list-starred */
+export interface GistsListStarredParams {
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-starred */
+export type GistsListStarredResponse = BaseGist[];
+
+/** Query parameters for gists/list-for-user */
+export interface GistsListForUserParams {
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-for-user */
+export type GistsListForUserResponse = BaseGist[];
+
+/** Response body for gists/get */
+export type GistsGetResponse = GistSimple;
+
+/** Response body for gists/get-revision */
+export type GistsGetRevisionResponse = GistSimple;
+
+/** Request body for gists/create */
+export interface GistsCreateRequest {
+  /** Description of the gist */
+  description?: string;
+  /** Names and content for the files that make up the gist */
+  files: {
+    [key: string]: {
+      /** Content of the file */
+      content: string;
+    };
+  };
+  public?: boolean | 'true' | 'false';
+}
+
+/** Response body for gists/create */
+export type GistsCreateResponse = GistSimple;
+
+/** Request body for gists/update */
+export type GistsUpdateRequest = {
+  /** The description of the gist. */
+  description?: string;
+  /** The gist files to be updated, renamed, or deleted. Each `key` must match the current filename */
+  files?: {
+    [key: string]: {
+      /** The new content of the file. */
+      content?: string;
+      /** The new filename for the file. */
+      filename?: string | null;
+    } | null;
+  };
+} | null;
+
+/** Response body for gists/update */
+export type GistsUpdateResponse = GistSimple;
+
+/** Response body for gists/fork */
+export type GistsForkResponse = BaseGist;
+
+/** Query parameters for gists/list-forks */
+export interface GistsListForksParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-forks */
+export type GistsListForksResponse = GistSimple[];
+
+/** Query parameters for gists/list-comments */
+export interface GistsListCommentsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-comments */
+export type GistsListCommentsResponse = GistComment[];
+
+/** Response body for gists/get-comment */
+export type GistsGetCommentResponse = GistComment;
+
+/** Request body for gists/create-comment */
+export interface GistsCreateCommentRequest {
+  /** The comment text. */
+  body: string;
+}
+
+/** Response body for gists/create-comment */
+export type GistsCreateCommentResponse = GistComment;
+
+/** Request body for gists/update-comment */
+export interface GistsUpdateCommentRequest {
+  /** The comment text. */
+  body: string;
+}
+
+/** Response body for gists/update-comment */
+export type GistsUpdateCommentResponse = GistComment;
+
+/** Query parameters for gists/list-commits */
+export interface GistsListCommitsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for gists/list-commits */
+export type GistsListCommitsResponse = GistCommit[];
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Rate Limit Overview */
+export interface RateLimitOverview {
+  resources: {
+    core: RateLimit;
+    graphql?: RateLimit;
+    search: RateLimit;
+    code_search?: RateLimit;
+    source_import?: RateLimit;
+    integration_manifest?: RateLimit;
+    code_scanning_upload?: RateLimit;
+    actions_runner_registration?: RateLimit;
+    scim?: RateLimit;
+    dependency_snapshots?: RateLimit;
+    dependency_sbom?: RateLimit;
+    code_scanning_autofix?: RateLimit;
+  };
+  rate: RateLimit;
+}
+
+/** Rate Limit */
+export interface RateLimit {
+  limit: number;
+  remaining: number;
+  reset: number;
+  used: number;
+}
+
+/** Private User */
+export interface PrivateUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  private_gists: number;
+  total_private_repos: number;
+  owned_private_repos: number;
+  disk_usage: number;
+  collaborators: number;
+  two_factor_authentication: boolean;
+  plan?: {
+    collaborators: number;
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  business_plus?: boolean;
+  ldap_dn?: string;
+}
+
+/** Public User */
+export interface PublicUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  plan?: {
+    collaborators: number;
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  private_gists?: number;
+  total_private_repos?: number;
+  owned_private_repos?: number;
+  disk_usage?: number;
+  collaborators?: number;
+}
+
+/** Base Gist */
+export interface BaseGist {
+  url: string;
+  forks_url: string;
+  commits_url: string;
+  id: string;
+  node_id: string;
+  git_pull_url: string;
+  git_push_url: string;
+  html_url: string;
+  files: {
+    [key: string]: {
+      filename?: string;
+      type?: string;
+      language?: string;
+      raw_url?: string;
+      size?: number;
+      /** The encoding used for `content`. Currently, `"utf-8"` and `"base64"` are supported. */
+      encoding?: string;
+    };
+  };
+  public: boolean;
+  created_at: string;
+  updated_at: string;
+  description: string | null;
+  comments: number;
+  comments_enabled?: boolean;
+  user: NullableSimpleUser;
+  comments_url: string;
+  owner?: SimpleUser;
+  truncated?: boolean;
+  forks?: any[];
+  history?: any[];
+}
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** Gist Simple */
+export interface GistSimple {
+  /** @deprecated */
+  forks?: {
+    id?: string;
+    url?: string;
+    user?: PublicUser;
+    created_at?: string;
+    updated_at?: string;
+  }[] | null;
+  /** @deprecated */
+  history?: GistHistory[] | null;
+  /** Gist */
+  fork_of?: {
     url: string;
     forks_url: string;
     commits_url: string;
+    id: string;
+    node_id: string;
     git_pull_url: string;
     git_push_url: string;
     html_url: string;
-    files: Record<string, GistFile>;
+    files: {
+      [key: string]: {
+        filename?: string;
+        type?: string;
+        language?: string;
+        raw_url?: string;
+        size?: number;
+      };
+    };
     public: boolean;
     created_at: string;
     updated_at: string;
     description: string | null;
     comments: number;
     comments_enabled?: boolean;
-    user: GistUser | null;
+    user: NullableSimpleUser;
     comments_url: string;
-    owner?: GistUser;
+    owner?: NullableSimpleUser;
     truncated?: boolean;
     forks?: any[];
-    history?: GistHistory[];
-  }
-  
-  export interface GistComment {
-    id: number;
-    node_id: string;
-    url: string;
-    body: string;
-    user: GistUser | null;
-    created_at: string;
-    updated_at: string;
-    author_association: string;
-  }
-  
-  export interface GistCommit {
-    url: string;
-    version: string;
-    user: GistUser | null;
-    change_status: {
-      total: number;
-      additions: number;
-      deletions: number;
-    };
-    committed_at: string;
-  }
-  
-  export interface GistHistory {
-    user: GistUser | null;
-    version: string;
-    committed_at: string;
-    change_status: {
-      total: number;
-      additions: number;
-      deletions: number;
-    };
-    url: string;
-  }
-  
-  export interface CreateGistInput {
-    description?: string;
-    public?: boolean;
-    files: Record<string, { content: string }>;
-  }
-  
-  export interface UpdateGistInput {
-    description?: string;
-    files?: Record<string, { content?: string; filename?: string } | null>;
-  }
-  
-  export interface PaginationOptions {
-    per_page?: number;
-    page?: number;
-    since?: string;
-  }
-  
-  export interface ClientOptions {
-    token?: string;
-    baseURL?: string;
-    timeout?: number;
-    retryAttempts?: number;
-    retryDelay?: number;
-  }
-  
-  export class GistAPIError extends Error {
-    statusCode: number;
-    response?: any;
-  }
-  
-  export class AuthenticationError extends GistAPIError {}
-  export class RateLimitError extends GistAPIError {
-    resetTime: number;
-    limit: number;
-    remaining: number;
-  }
-  export class ValidationError extends GistAPIError {
-    errors: any[];
-  }
-  export class NotFoundError extends GistAPIError {}
-  export class ForbiddenError extends GistAPIError {}
-  
-  export class AuthManager {
-    constructor(options?: ClientOptions);
-    loadToken(): string | undefined;
-    getHeaders(additionalHeaders?: Record<string, string>): Record<string, string>;
-    isAuthenticated(): boolean;
-    requireAuth(): void;
-  }
-  
-  export class ConfigManager {
-    load(): Record<string, any>;
-    save(config: Record<string, any>): boolean;
-    get(key: string): any;
-    set(key: string, value: any): boolean;
-    delete(key: string): boolean;
-    clear(): boolean;
-  }
-  
-  export class GistsEndpoint {
-    list(options?: PaginationOptions): Promise<Gist[]>;
-    listPublic(options?: PaginationOptions): Promise<Gist[]>;
-    listStarred(options?: PaginationOptions): Promise<Gist[]>;
-    listForUser(username: string, options?: PaginationOptions): Promise<Gist[]>;
-    get(gistId: string, options?: { raw?: boolean; base64?: boolean }): Promise<Gist>;
-    getRevision(gistId: string, sha: string, options?: { raw?: boolean; base64?: boolean }): Promise<Gist>;
-    create(data: CreateGistInput): Promise<Gist>;
-    update(gistId: string, data: UpdateGistInput): Promise<Gist>;
-    delete(gistId: string): Promise<boolean>;
-    fork(gistId: string): Promise<Gist>;
-    listForks(gistId: string, options?: PaginationOptions): Promise<Gist[]>;
-    iterate(options?: PaginationOptions): AsyncIterableIterator<Gist>;
-    iteratePublic(options?: PaginationOptions): AsyncIterableIterator<Gist>;
-  }
-  
-  export class CommentsEndpoint {
-    list(gistId: string, options?: PaginationOptions): Promise<GistComment[]>;
-    get(gistId: string, commentId: number, options?: { raw?: boolean; base64?: boolean }): Promise<GistComment>;
-    create(gistId: string, data: { body: string }): Promise<GistComment>;
-    update(gistId: string, commentId: number, data: { body: string }): Promise<GistComment>;
-    delete(gistId: string, commentId: number): Promise<boolean>;
-    iterate(gistId: string, options?: PaginationOptions): AsyncIterableIterator<GistComment>;
-  }
-  
-  export class CommitsEndpoint {
-    list(gistId: string, options?: PaginationOptions): Promise<GistCommit[]>;
-    get(gistId: string, sha: string): Promise<Gist>;
-    iterate(gistId: string, options?: PaginationOptions): AsyncIterableIterator<GistCommit>;
-    getStats(gistId: string): Promise<{
-      totalCommits: number;
-      totalAdditions: number;
-      totalDeletions: number;
-      totalChanges: number;
-      commits: any[];
-    }>;
-  }
-  
-  export class ForksEndpoint {
-    list(gistId: string, options?: PaginationOptions): Promise<Gist[]>;
-    create(gistId: string): Promise<Gist>;
-    iterate(gistId: string, options?: PaginationOptions): AsyncIterableIterator<Gist>;
-  }
-  
-  export class StarsEndpoint {
-    check(gistId: string): Promise<boolean>;
-    add(gistId: string): Promise<boolean>;
-    remove(gistId: string): Promise<boolean>;
-    list(options?: PaginationOptions): Promise<Gist[]>;
-    toggle(gistId: string): Promise<boolean>;
-  }
-  
-  export default class GistAPI {
-    constructor(options?: ClientOptions);
-    gists: GistsEndpoint;
-    comments: CommentsEndpoint;
-    commits: CommitsEndpoint;
-    forks: ForksEndpoint;
-    stars: StarsEndpoint;
-    getRateLimit(): Promise<any>;
-    getUser(): Promise<any>;
-    withOptions(options: ClientOptions): GistAPI;
-  }
-  
-  export const gistAPI: GistAPI;
-  export { GistAPI };
-}
\ No newline at end of file
+    history?: any[];
+  } | null;
+  url?: string;
+  forks_url?: string;
+  commits_url?: string;
+  id?: string;
+  node_id?: string;
+  git_pull_url?: string;
+  git_push_url?: string;
+  html_url?: string;
+  files?: {
+    [key: string]: {
+      filename?: string;
+      type?: string;
+      language?: string;
+      raw_url?: string;
+      size?: number;
+      truncated?: boolean;
+      content?: string;
+      /** The encoding used for `content`. Currently, `"utf-8"` and `"base64"` are supported. */
+      encoding?: string;
+    } | null;
+  };
+  public?: boolean;
+  created_at?: string;
+  updated_at?: string;
+  description?: string | null;
+  comments?: number;
+  comments_enabled?: boolean;
+  user?: string | null;
+  comments_url?: string;
+  owner?: SimpleUser;
+  truncated?: boolean;
+}
+
+/** Gist History */
+export interface GistHistory {
+  user?: NullableSimpleUser;
+  version?: string;
+  committed_at?: string;
+  change_status?: {
+    total?: number;
+    additions?: number;
+    deletions?: number;
+  };
+  url?: string;
+}
+
+/** A comment made to a gist. */
+export interface GistComment {
+  id: number;
+  node_id: string;
+  url: string;
+  /** The comment text. */
+  body: string;
+  user: NullableSimpleUser;
+  created_at: string;
+  updated_at: string;
+  author_association: AuthorAssociation;
+}
+
+/** How the author is associated with the repository. */
+export type AuthorAssociation = 'COLLABORATOR' | 'CONTRIBUTOR' | 'FIRST_TIMER' | 'FIRST_TIME_CONTRIBUTOR' | 'MANNEQUIN' | 'MEMBER' | 'NONE' | 'OWNER';
+
+/** Gist Commit */
+export interface GistCommit {
+  url: string;
+  version: string;
+  user: NullableSimpleUser;
+  change_status: {
+    total?: number;
+    additions?: number;
+    deletions?: number;
+  };
+  committed_at: string;
+}
@@ -0,0 +1,145 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-gist, see `gh-typegen`
+ *
+ * The client, endpoints and utilities live in lib/, which is not part of
+ * this tree, so they are declared here against the operations they call.
+ */
+const MEDIA_OPTIONS = '{ raw?: boolean; base64?: boolean }';
+
+export default {
+  name: '@thinkeloquent/github-sdk-gist',
+  description: 'GitHub Gist API SDK and CLI',
+  entry: 'index.mjs',
+  response: 'data',
+  declarations: `/** Gist client configuration */
+export interface ClientOptions {
+  token?: string;
+  baseURL?: string;
+  timeout?: number;
+  retryAttempts?: number;
+  retryDelay?: number;
+}
+
+/** Page options for list endpoints */
+export interface PaginationOptions {
+  per_page?: number;
+  page?: number;
+  since?: string;
+}
+
+// lib/utils/errors.mjs
+
+export class GistAPIError extends Error {
+  statusCode: number;
+  response?: any;
+}
+
+export class AuthenticationError extends GistAPIError {}
+
+export class RateLimitError extends GistAPIError {
+  resetTime: number;
+  limit: number;
+  remaining: number;
+}
+
+export class ValidationError extends GistAPIError {
+  errors: any[];
+}
+
+export class NotFoundError extends GistAPIError {}
+
+export class ForbiddenError extends GistAPIError {}`,
+  virtual: {
+    GistClient: {
+      description: 'HTTP client shared by the endpoints',
+      constructorParams: 'options?: ClientOptions',
+      properties: { auth: 'AuthManager' },
+      methods: {
+        get: { params: 'path: string, options?: Record<string, any>', returns: 'Promise<{ data: any; headers: Record<string, string>; status: number }>' }
+      }
+    },
+    AuthManager: {
+      constructorParams: 'options?: ClientOptions',
+      methods: {
+        loadToken: { returns: 'string | undefined' },
+        getHeaders: { params: 'additionalHeaders?: Record<string, string>', returns: 'Record<string, string>' },
+        isAuthenticated: { returns: 'boolean' },
+        requireAuth: { returns: 'void' }
+      }
+    },
+    ConfigManager: {
+      methods: {
+        load: { returns: 'Record<string, any>' },
+        save: { params: 'config: Record<string, any>', returns: 'boolean' },
+        get: { params: 'key: string', returns: 'any' },
+        set: { params: 'key: string, value: any', returns: 'boolean' },
+        delete: { params: 'key: string', returns: 'boolean' },
+        clear: { returns: 'boolean' }
+      }
+    },
+    GistsEndpoint: {
+      constructorParams: 'client: GistClient',
+      methods: {
+        list: { operation: 'gists/list', params: 'options?: $Params' },
+        listPublic: { operation: 'gists/list-public', params: 'options?: $Params' },
+        listStarred: { operation: 'gists/list-starred', params: 'options?: $Params' },
+        listForUser: { operation: 'gists/list-for-user', params: 'username: string, options?: $Params' },
+        get: { operation: 'gists/get', params: `gistId: string, options?: ${MEDIA_OPTIONS}` },
+        getRevision: { operation: 'gists/get-revision', params: `gistId: string, sha: string, options?: ${MEDIA_OPTIONS}` },
+        create: 'gists/create',
+        update: 'gists/update',
+        delete: { operation: 'gists/delete', returns: 'Promise<boolean>' },
+        fork: 'gists/fork',
+        listForks: { operation: 'gists/list-forks', params: 'gistId: string, options?: $Params' },
+        iterate: { operation: 'gists/list', params: 'options?: $Params', returns: 'AsyncIterableIterator<$Response[number]>' },
+        iteratePublic: { operation: 'gists/list-public', params: 'options?: $Params', returns: 'AsyncIterableIterator<$Response[number]>' }
+      }
+    },
+    CommentsEndpoint: {
+      constructorParams: 'client: GistClient',
+      methods: {
+        list: 'gists/list-comments',
+        get: { operation: 'gists/get-comment', params: `gistId: string, commentId: number, options?: ${MEDIA_OPTIONS}` },
+        create: 'gists/create-comment',
+        update: 'gists/update-comment',
+        delete: { operation: 'gists/delete-comment', returns: 'Promise<boolean>' },
+        iterate: { operation: 'gists/list-comments', params: 'gistId: string, options?: $Params', returns: 'AsyncIterableIterator<$Response[number]>' }
+      }
+    },
+    CommitsEndpoint: {
+      constructorParams: 'client: GistClient',
+      methods: {
+        list: 'gists/list-commits',
+        get: { operation: 'gists/get-revision', params: 'gistId: string, sha: string' },
+        iterate: { operation: 'gists/list-commits', params: 'gistId: string, options?: $Params', returns: 'AsyncIterableIterator<$Response[number]>' },
+        getStats: {
+          description: 'Totals over every commit of a gist',
+          params: 'gistId: string',
+          returns: 'Promise<{ totalCommits: number; totalAdditions: number; totalDeletions: number; totalChanges: number; commits: any[] }>'
+        }
+      }
+    },
+    ForksEndpoint: {
+      constructorParams: 'client: GistClient',
+      methods: {
+        list: 'gists/list-forks',
+        create: 'gists/fork',
+        iterate: { operation: 'gists/list-forks', params: 'gistId: string, options?: $Params', returns: 'AsyncIterableIterator<$Response[number]>' }
+      }
+    },
+    StarsEndpoint: {
+      constructorParams: 'client: GistClient',
+      methods: {
+        check: { operation: 'gists/check-is-starred', returns: 'Promise<boolean>' },
+        add: { operation: 'gists/star', returns: 'Promise<boolean>' },
+        remove: { operation: 'gists/unstar', returns: 'Promise<boolean>' },
+        list: { operation: 'gists/list-starred', params: 'options?: $Params' },
+        toggle: { description: 'Star the gist when it is not starred, unstar it otherwise', params: 'gistId: string', returns: 'Promise<boolean>' }
+      }
+    }
+  },
+  operations: {
+    'GistAPI.getRateLimit': 'rate-limit/get',
+    'GistAPI.getUser': 'users/get-authenticated'
+  }
+};
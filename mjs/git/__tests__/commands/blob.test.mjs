@@ -156,9 +156,7 @@ describe('BlobCommands', () => {
         'utf-8'
       );
       expect(formatOutput).toHaveBeenCalledWith(
-        { sha: 'abc123' },
-        false
-      );
+        { sha: 'abc123' }, options);
     });
 
     it('should create blob from file with utf-8 encoding', async () => {
@@ -208,9 +206,7 @@ describe('BlobCommands', () => {
         'base64'
       );
       expect(formatOutput).toHaveBeenCalledWith(
-        { sha: 'ghi789' },
-        true
-      );
+        { sha: 'ghi789' }, options);
     });
 
     it('should error when neither content nor file is provided', async () => {
@@ -300,7 +296,7 @@ describe('BlobCommands', () => {
         'test-repo',
         'abc123'
       );
-      expect(formatOutput).toHaveBeenCalledWith(blobData, false);
+      expect(formatOutput).toHaveBeenCalledWith(blobData, options);
     });
 
     it('should get blob and save to file with base64 encoding', async () => {
@@ -370,7 +366,7 @@ describe('BlobCommands', () => {
 
       await getAction(options);
 
-      expect(formatOutput).toHaveBeenCalledWith(blobData, true);
+      expect(formatOutput).toHaveBeenCalledWith(blobData, options);
     });
 
     it('should handle API errors', async () => {
@@ -89,7 +89,7 @@ describe('CommitCommands', () => {
         null,
         null
       );
-      expect(formatOutput).toHaveBeenCalledWith({ sha: 'commit123' }, false);
+      expect(formatOutput).toHaveBeenCalledWith({ sha: 'commit123' }, options);
     });
 
     it('should create commit with parents', async () => {
@@ -115,7 +115,7 @@ describe('CommitCommands', () => {
         null,
         null
       );
-      expect(formatOutput).toHaveBeenCalledWith({ sha: 'merge123' }, true);
+      expect(formatOutput).toHaveBeenCalledWith({ sha: 'merge123' }, options);
     });
 
     it('should create commit with author details', async () => {
@@ -264,7 +264,7 @@ describe('CommitCommands', () => {
         'test-repo',
         'commit123'
       );
-      expect(formatOutput).toHaveBeenCalledWith(commitData, false);
+      expect(formatOutput).toHaveBeenCalledWith(commitData, options);
     });
 
     it('should output as JSON when flag is set', async () => {
@@ -284,7 +284,7 @@ describe('CommitCommands', () => {
 
       await getAction(options);
 
-      expect(formatOutput).toHaveBeenCalledWith(commitData, true);
+      expect(formatOutput).toHaveBeenCalledWith(commitData, options);
     });
 
     it('should handle API errors', async () => {
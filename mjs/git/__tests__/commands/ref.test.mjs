@@ -119,7 +119,7 @@ describe('RefCommands', () => {
         'test-repo',
         'heads/main'
       );
-      expect(formatOutput).toHaveBeenCalledWith(refData, true);
+      expect(formatOutput).toHaveBeenCalledWith(refData, options);
     });
 
     it('should handle not found errors', async () => {
@@ -163,7 +163,7 @@ describe('TagCommands', () => {
         'test-repo',
         'tag123'
       );
-      expect(formatOutput).toHaveBeenCalledWith(tagData, true);
+      expect(formatOutput).toHaveBeenCalledWith(tagData, options);
     });
 
     it('should handle not found errors', async () => {
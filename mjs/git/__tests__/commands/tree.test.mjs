@@ -95,7 +95,7 @@ describe('TreeCommands', () => {
         [{ path: 'new.txt', mode: '100644', type: 'blob', content: 'new content' }],
         'base-tree-123'
       );
-      expect(formatOutput).toHaveBeenCalledWith({ sha: 'tree456', tree: [] }, true);
+      expect(formatOutput).toHaveBeenCalledWith({ sha: 'tree456', tree: [] }, options);
     });
 
     it('should handle invalid JSON', async () => {
@@ -186,7 +186,6 @@ describe('TreeCommands', () => {
         truncated: false
       };
       mockClient.getTree.mockResolvedValue(treeData);
-      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
 
       await getAction(options);
 
@@ -196,9 +195,7 @@ describe('TreeCommands', () => {
         'tree456',
         true
       );
-      expect(consoleSpy).toHaveBeenCalledWith(JSON.stringify(treeData, null, 2));
-      
-      consoleSpy.mockRestore();
+      expect(formatOutput).toHaveBeenCalledWith(treeData, options);
     });
 
     it('should handle not found errors', async () => {
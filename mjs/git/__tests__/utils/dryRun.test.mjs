@@ -0,0 +1,75 @@
+import { jest, describe, it, expect } from '@jest/globals';
+import { applyDryRun, DryRun, OperationIndex, loadSpecs, resolveRef } from '@thinkeloquent/github-sdk-core';
+import { GIT_WRITES } from '../../utils/dryRun.mjs';
+
+describe('GIT_WRITES', () => {
+  const fakeClient = () => ({
+    updateRef: jest.fn(async () => ({ ref: 'refs/heads/main' })),
+    getRef: jest.fn(async () => ({ ref: 'refs/heads/main', object: { sha: 'abc123' } }))
+  });
+
+  it('should print a forced ref update instead of sending the PATCH', async () => {
+    const log = jest.fn();
+    const client = fakeClient();
+    const updateRef = client.updateRef;
+    applyDryRun(client, GIT_WRITES, { dryRun: { log }, baseUrl: 'https://ghe.example.com/api/v3' });
+
+    await client.updateRef('octocat', 'Hello-World', 'refs/heads/main', 'def456', true);
+
+    expect(updateRef).not.toHaveBeenCalled();
+    expect(log).toHaveBeenCalledWith(
+      '[dry-run] PATCH https://ghe.example.com/api/v3/repos/octocat/Hello-World/git/refs/heads/main\n' +
+      JSON.stringify({ sha: 'def456', force: true }, null, 2)
+    );
+  });
+
+  it('should leave reads alone', async () => {
+    const client = fakeClient();
+    applyDryRun(client, GIT_WRITES, { dryRun: { log: false } });
+
+    await expect(client.getRef('octocat', 'Hello-World', 'heads/main')).resolves.toEqual({
+      ref: 'refs/heads/main',
+      object: { sha: 'abc123' }
+    });
+  });
+});
+
+// Arguments of each write method, in the order commands/ passes them
+const WRITE_CALLS = {
+  createBlob: ['octocat', 'Hello-World', 'Hello', 'utf-8'],
+  createCommit: ['octocat', 'Hello-World', 'Initial', 'tree123', ['abc123'], { name: 'Mona', email: 'mona@example.com' }],
+  createRef: ['octocat', 'Hello-World', 'refs/heads/feature', 'abc123'],
+  updateRef: ['octocat', 'Hello-World', 'heads/feature', 'def456', true],
+  deleteRef: ['octocat', 'Hello-World', 'refs/heads/feature'],
+  createTag: ['octocat', 'Hello-World', 'v1.0.0', 'Release', 'abc123', 'commit', { name: 'Mona', email: 'mona@example.com' }],
+  createTree: ['octocat', 'Hello-World', [{ path: 'README.md', mode: '100644', type: 'blob', sha: 'abc123' }], 'tree123']
+};
+
+describe('GIT_WRITES against the OpenAPI spec', () => {
+  const index = new OperationIndex(loadSpecs({ groups: ['git'] }));
+
+  it('should cover every write operation of the Git database API', () => {
+    const writes = index.operations.filter(operation => operation.method !== 'GET').map(operation => operation.operationId);
+    expect(Object.keys(GIT_WRITES).map(name => {
+      const { method, path } = GIT_WRITES[name](null, ...WRITE_CALLS[name]);
+      return index.match(method, path).operation.operationId;
+    }).sort()).toEqual(writes.sort());
+  });
+
+  it.each(Object.keys(GIT_WRITES))('should plan %s with the path and body of its operation', async name => {
+    const dryRun = new DryRun({ log: false });
+    const client = applyDryRun({ [name]: jest.fn() }, GIT_WRITES, { dryRun });
+
+    await client[name](...WRITE_CALLS[name]);
+
+    const [{ method, url, body }] = dryRun.plan;
+    const { operation, params } = index.match(method, new URL(url).pathname);
+    expect(params).toMatchObject({ owner: 'octocat', repo: 'Hello-World' });
+    if (operation.path.includes('{ref}')) {
+      expect(params.ref).toBe('heads/feature');
+    }
+
+    const schema = resolveRef(operation.doc, resolveRef(operation.doc, operation.operation.requestBody)?.content['application/json'].schema);
+    expect(Object.keys(body ?? {}).filter(key => !(key in schema.properties))).toEqual([]);
+  });
+});
@@ -43,6 +43,18 @@ describe('formatOutput', () => {
     });
   });
 
+  describe('Output options', () => {
+    it('should print the requested format with only the selected fields', () => {
+      formatOutput({ sha: 'abc123', message: 'test', author: { name: 'John' } }, { output: 'yaml', fields: 'sha,author.name' });
+      expect(consoleLogSpy).toHaveBeenCalledWith('sha: abc123\nauthor:\n  name: John');
+    });
+
+    it('should filter with a jq expression', () => {
+      formatOutput({ parents: [{ sha: '1' }, { sha: '2' }] }, { jq: '.parents[].sha' });
+      expect(consoleLogSpy).toHaveBeenCalledWith('1\n2');
+    });
+  });
+
   describe('Pretty print output', () => {
     it('should print SHA when present', () => {
       formatOutput({ sha: 'abc123' });
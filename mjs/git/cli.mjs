@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { Command } from 'commander';
 import { config } from 'dotenv';
 import { BlobCommands } from './commands/blob.mjs';
 import { CommitCommands } from './commands/commit.mjs';
@@ -8,39 +8,105 @@ import { RefCommands } from './commands/ref.mjs';
 import { TagCommands } from './commands/tag.mjs';
 import { TreeCommands } from './commands/tree.mjs';
 import { GitHubClient } from './lib/client.mjs';
+import { GIT_WRITES } from './utils/dryRun.mjs';
+import {
+  resolveToken,
+  resolveBaseUrl,
+  registerLoginCommand,
+  registerProfilesCommand,
+  registerCompletionCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  applyDryRun,
+  selectProfile,
+  isMainModule,
+  COMPLETION_COMMANDS
+} from '@thinkeloquent/github-sdk-core';
 
-config();
+/**
+ * Build the program and run it. Commands are registered with a client built
+ * from the global options, so the program is built per run.
+ *
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  config();
 
-const client = new GitHubClient({
-  token: process.env.GITHUB_TOKEN,
-  baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com'
-});
+  const program = new Command();
+  program
+    .name(name || 'github-git')
+    .description('GitHub Git API CLI')
+    .version('1.0.0')
+    .option('-t, --token <token>', 'GitHub API token (default: GITHUB_TOKEN)')
+    .option('--api-url <url>', 'GitHub API base URL', process.env.GITHUB_API_URL || 'https://api.github.com');
 
-program
-  .name('github-git')
-  .description('GitHub Git API CLI')
-  .version('1.0.0')
-  .option('-t, --token <token>', 'GitHub API token', process.env.GITHUB_TOKEN)
-  .option('--api-url <url>', 'GitHub API base URL', 'https://api.github.com');
+  addProfileOption(program);
+  addDryRunOption(program);
 
-// Blob commands
-const blobCmd = program.command('blob').description('Manage Git blobs');
-new BlobCommands(client).register(blobCmd);
+  // Global options are needed before the commands exist to build the client
+  const { operands } = program.parseOptions(argv.slice(2));
+  const managesProfiles = ['login', 'profiles', ...COMPLETION_COMMANDS].includes(operands[0]);
+  const globalOpts = program.opts();
 
-// Commit commands
-const commitCmd = program.command('commit').description('Manage Git commits');
-new CommitCommands(client).register(commitCmd);
+  let credential = null;
+  let baseUrl = globalOpts.apiUrl;
+  if (!managesProfiles) {
+    await selectProfile(globalOpts);
+    try {
+      credential = resolveToken({ token: globalOpts.token, baseUrl });
+      baseUrl = resolveBaseUrl(program, 'apiUrl');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
-// Reference commands
-const refCmd = program.command('ref').description('Manage Git references');
-new RefCommands(client).register(refCmd);
+  const client = applyDryRun(new GitHubClient({
+    token: credential?.token,
+    baseUrl
+  }), GIT_WRITES, { baseUrl });
 
-// Tag commands
-const tagCmd = program.command('tag').description('Manage Git tags');
-new TagCommands(client).register(tagCmd);
+  // Blob commands
+  const blobCmd = program.command('blob').description('Manage Git blobs');
+  new BlobCommands(client).register(blobCmd);
 
-// Tree commands
-const treeCmd = program.command('tree').description('Manage Git trees');
-new TreeCommands(client).register(treeCmd);
+  // Commit commands
+  const commitCmd = program.command('commit').description('Manage Git commits');
+  new CommitCommands(client).register(commitCmd);
 
-program.parse();
\ No newline at end of file
+  // Reference commands
+  const refCmd = program.command('ref').description('Manage Git references');
+  new RefCommands(client).register(refCmd);
+
+  // Tag commands
+  const tagCmd = program.command('tag').description('Manage Git tags');
+  new TagCommands(client).register(tagCmd);
+
+  // Tree commands
+  const treeCmd = program.command('tree').description('Manage Git trees');
+  new TreeCommands(client).register(treeCmd);
+
+  // `-o` is taken by --owner, so the format only has a long flag here
+  for (const group of [blobCmd, commitCmd, refCmd, tagCmd, treeCmd]) {
+    for (const command of group.commands) {
+      command.option('--output <format>', 'Output format (json, yaml, csv, ndjson, table, text)');
+      addOutputOptions(command);
+    }
+  }
+
+  // Login command
+  registerLoginCommand(program, { scopes: ['repo'] });
+  registerProfilesCommand(program);
+  registerCompletionCommand(program);
+
+  await program.parseAsync(argv);
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
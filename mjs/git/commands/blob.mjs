@@ -40,7 +40,7 @@ export class BlobCommands {
             options.encoding
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error creating blob:', error.message);
           process.exit(1);
@@ -71,7 +71,7 @@ export class BlobCommands {
             await fs.writeFile(options.save, content);
             console.log(`Blob saved to ${options.save}`);
           } else {
-            formatOutput(result, options.json);
+            formatOutput(result, options);
           }
         } catch (error) {
           console.error('Error getting blob:', error.message);
@@ -52,7 +52,7 @@ export class CommitCommands {
             committer
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error creating commit:', error.message);
           process.exit(1);
@@ -74,7 +74,7 @@ export class CommitCommands {
             options.sha
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error getting commit:', error.message);
           process.exit(1);
@@ -1,3 +1,4 @@
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { formatOutput } from '../utils/format.mjs';
 
 export class RefCommands {
@@ -23,7 +24,7 @@ export class RefCommands {
             options.sha
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error creating reference:', error.message);
           process.exit(1);
@@ -45,7 +46,7 @@ export class RefCommands {
             options.ref
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error getting reference:', error.message);
           process.exit(1);
@@ -67,7 +68,7 @@ export class RefCommands {
             options.ref
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error listing references:', error.message);
           process.exit(1);
@@ -93,7 +94,7 @@ export class RefCommands {
             options.force
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error updating reference:', error.message);
           process.exit(1);
@@ -115,8 +116,8 @@ export class RefCommands {
             options.ref
           );
 
-          if (options.json) {
-            console.log(JSON.stringify(result, null, 2));
+          if (isMachineOutput(options)) {
+            formatOutput(result, options);
           } else {
             console.log('Reference deleted successfully');
           }
@@ -41,7 +41,7 @@ export class TagCommands {
             tagger
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error creating tag:', error.message);
           process.exit(1);
@@ -63,7 +63,7 @@ export class TagCommands {
             options.sha
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error getting tag:', error.message);
           process.exit(1);
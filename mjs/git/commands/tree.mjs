@@ -1,3 +1,4 @@
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { formatOutput } from '../utils/format.mjs';
 
 export class TreeCommands {
@@ -30,7 +31,7 @@ export class TreeCommands {
             options.baseTree
           );
 
-          formatOutput(result, options.json);
+          formatOutput(result, options);
         } catch (error) {
           console.error('Error creating tree:', error.message);
           process.exit(1);
@@ -54,8 +55,8 @@ export class TreeCommands {
             options.recursive
           );
 
-          if (options.json) {
-            console.log(JSON.stringify(result, null, 2));
+          if (isMachineOutput(options)) {
+            formatOutput(result, options);
           } else {
             console.log(`Tree SHA: ${result.sha}`);
             console.log(`Truncated: ${result.truncated}`);
@@ -4,6 +4,7 @@ export default {
     '^(\\.{1,2}/.*)\\.js$': '$1'
   },
   transform: {},
+  setupFiles: ['<rootDir>/__tests__/setup.mjs'],
   testMatch: [
     '**/__tests__/**/*.test.mjs'
   ],
@@ -0,0 +1,55 @@
+/**
+ * Requests the Git client's write methods send, so dry runs can plan them
+ * instead (see core's applyDryRun)
+ *
+ * The client lives in lib/, outside this tree. Argument orders follow the
+ * calls in commands/ and each request is a write operation of the spec's git
+ * group; __tests__/utils/dryRun.test.mjs checks both against the OpenAPI spec.
+ */
+
+/**
+ * Git database endpoint of a repository
+ */
+function gitPath(owner, repo) {
+  return `/repos/${owner}/${repo}/git`;
+}
+
+/**
+ * Reference path without the leading `refs/`, as the refs endpoints take it
+ */
+function refPath(ref) {
+  return ref.replace(/^refs\//, '');
+}
+
+/**
+ * Write method name → the request it sends
+ */
+export const GIT_WRITES = {
+  createBlob: (client, owner, repo, content, encoding = 'utf-8') => ({
+    method: 'POST',
+    path: `${gitPath(owner, repo)}/blobs`,
+    body: { content, encoding }
+  }),
+  createCommit: (client, owner, repo, message, tree, parents, author, committer) => ({
+    method: 'POST',
+    path: `${gitPath(owner, repo)}/commits`,
+    body: { message, tree, parents, ...(author && { author }), ...(committer && { committer }) }
+  }),
+  createRef: (client, owner, repo, ref, sha) => ({ method: 'POST', path: `${gitPath(owner, repo)}/refs`, body: { ref, sha } }),
+  updateRef: (client, owner, repo, ref, sha, force = false) => ({
+    method: 'PATCH',
+    path: `${gitPath(owner, repo)}/refs/${refPath(ref)}`,
+    body: { sha, force }
+  }),
+  deleteRef: (client, owner, repo, ref) => ({ method: 'DELETE', path: `${gitPath(owner, repo)}/refs/${refPath(ref)}` }),
+  createTag: (client, owner, repo, tag, message, object, type, tagger) => ({
+    method: 'POST',
+    path: `${gitPath(owner, repo)}/tags`,
+    body: { tag, message, object, type, ...(tagger && { tagger }) }
+  }),
+  createTree: (client, owner, repo, tree, baseTree) => ({
+    method: 'POST',
+    path: `${gitPath(owner, repo)}/trees`,
+    body: { tree, ...(baseTree && { base_tree: baseTree }) }
+  })
+};
@@ -1,7 +1,23 @@
-export function formatOutput(data, asJson = false) {
-  if (asJson) {
-    console.log(JSON.stringify(data, null, 2));
-  } else if (data) {
+import { writeOutput } from '@thinkeloquent/github-sdk-core';
+
+/**
+ * Print a Git object
+ *
+ * @param {*} data - API result
+ * @param {boolean|Object} [options] - Parsed command options (`json`, `output`,
+ *   `fields`, `jq`, `template`), or `true` for JSON
+ */
+export function formatOutput(data, options = false) {
+  writeOutput(data, options && typeof options === 'object' ? options : { json: options }, {
+    text: (value) => {
+      printObject(value);
+      return '';
+    }
+  }, 'text');
+}
+
+function printObject(data) {
+  if (data) {
     // Pretty print based on data type
     if (data.sha) {
       console.log(`SHA: ${data.sha}`);
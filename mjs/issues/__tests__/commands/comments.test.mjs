@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { applyDryRun } from '@thinkeloquent/github-sdk-core';
+import { ISSUE_WRITES } from '../../utils/dryRun.mjs';
+
+const prompt = jest.fn();
+jest.unstable_mockModule('inquirer', () => ({ default: { prompt } }));
+
+const { default: commentsCommand } = await import('../../commands/comments.mjs');
+
+describe('comments delete', () => {
+  let stderr;
+
+  const fakeClient = () => ({
+    owner: 'octocat',
+    repo: 'Hello-World',
+    deleteComment: jest.fn(async () => undefined)
+  });
+
+  beforeEach(() => {
+    prompt.mockReset();
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_DRY_RUN;
+    jest.restoreAllMocks();
+  });
+
+  it('should print the DELETE without asking on a dry run', async () => {
+    process.env.GITHUB_DRY_RUN = '1';
+    const client = fakeClient();
+    const deleteComment = client.deleteComment;
+    applyDryRun(client, ISSUE_WRITES);
+
+    await commentsCommand.execute(client, { action: 'delete', comment: 99 });
+
+    expect(prompt).not.toHaveBeenCalled();
+    expect(deleteComment).not.toHaveBeenCalled();
+    const printed = stderr.mock.calls.map(([text]) => String(text)).join('');
+    expect(printed).toContain('[dry-run] DELETE https://api.github.com/repos/octocat/Hello-World/issues/comments/99\n');
+  });
+
+  it('should ask before deleting otherwise', async () => {
+    prompt.mockResolvedValue({ delete: false });
+    const client = fakeClient();
+    const deleteComment = client.deleteComment;
+    applyDryRun(client, ISSUE_WRITES);
+
+    await commentsCommand.execute(client, { action: 'delete', comment: 99 });
+
+    expect(prompt).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'confirm',
+      message: 'Are you sure you want to delete comment #99?'
+    }));
+    expect(deleteComment).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('Cancelled');
+  });
+});
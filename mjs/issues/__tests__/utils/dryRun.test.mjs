@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import { applyDryRun, DryRun, OperationIndex, loadSpecs, resolveRef } from '@thinkeloquent/github-sdk-core';
+import { ISSUE_WRITES } from '../../utils/dryRun.mjs';
+import typegen from '../../types/typegen.config.mjs';
+
+describe('Dry run', () => {
+  const fakeClient = () => ({
+    owner: 'octocat',
+    repo: 'Hello-World',
+    setLabels: jest.fn(async () => []),
+    listLabelsOnIssue: jest.fn(async () => [{ name: 'bug' }])
+  });
+
+  it('should print labels set instead of sending the PUT', async () => {
+    const log = jest.fn();
+    const client = fakeClient();
+    const setLabels = client.setLabels;
+    applyDryRun(client, ISSUE_WRITES, { dryRun: { log } });
+
+    await client.setLabels(7, ['bug', 'good first issue']);
+
+    expect(setLabels).not.toHaveBeenCalled();
+    expect(log).toHaveBeenCalledWith(
+      '[dry-run] PUT https://api.github.com/repos/octocat/Hello-World/issues/7/labels\n' +
+      JSON.stringify({ labels: ['bug', 'good first issue'] }, null, 2)
+    );
+  });
+
+  it('should still send reads', async () => {
+    const client = fakeClient();
+    applyDryRun(client, ISSUE_WRITES, { dryRun: { log: false } });
+
+    await expect(client.listLabelsOnIssue(7)).resolves.toEqual([{ name: 'bug' }]);
+  });
+});
+
+// Arguments of each write method, in the order types/index.d.ts declares them
+const WRITE_CALLS = {
+  create: [{ title: 'Bug', labels: ['bug'] }],
+  update: [7, { state: 'closed' }],
+  lock: [7, 'resolved'],
+  unlock: [7],
+  createComment: [7, 'Thanks'],
+  updateComment: [99, 'Edited'],
+  deleteComment: [99],
+  createLabel: [{ name: 'good first issue', color: '7057ff' }],
+  updateLabel: ['good first issue', { color: 'ffffff' }],
+  addLabels: [7, ['bug']],
+  setLabels: [7, ['bug']],
+  removeLabel: [7, 'good first issue'],
+  removeAllLabels: [7],
+  addAssignees: [7, ['hubot']],
+  removeAssignees: [7, ['hubot']],
+  createMilestone: [{ title: 'v1' }],
+  updateMilestone: [3, { state: 'closed' }],
+  deleteMilestone: [3]
+};
+
+describe('ISSUE_WRITES', () => {
+  const index = new OperationIndex(loadSpecs({ groups: ['issues'] }));
+  const writeOperations = Object.fromEntries(Object.entries(typegen.virtual.IssuesClient.methods)
+    .map(([name, method]) => [name, index.get(typeof method === 'string' ? method : method.operation)])
+    .filter(([, operation]) => operation && operation.method !== 'GET'));
+
+  it('should cover every write method of the client', () => {
+    expect(Object.keys(ISSUE_WRITES).sort()).toEqual(Object.keys(writeOperations).sort());
+  });
+
+  it.each(Object.keys(ISSUE_WRITES))('should plan the request of the %s operation', async name => {
+    const dryRun = new DryRun({ log: false });
+    const client = applyDryRun({ owner: 'octocat', repo: 'Hello-World', [name]: jest.fn() }, ISSUE_WRITES, { dryRun });
+
+    await client[name](...WRITE_CALLS[name]);
+
+    const [{ method, url, body }] = dryRun.plan;
+    const { operation, params } = index.match(method, new URL(url).pathname);
+    expect(operation.operationId).toBe(writeOperations[name].operationId);
+    // Path parameters come from the arguments, so a swapped order shows up here
+    const values = ['octocat', 'Hello-World', ...WRITE_CALLS[name].filter(arg => typeof arg !== 'object').map(String)];
+    expect(Object.values(params).map(decodeURIComponent).filter(value => !values.includes(value))).toEqual([]);
+
+    const schema = resolveRef(operation.doc, resolveRef(operation.doc, operation.operation.requestBody)?.content['application/json'].schema);
+    expect(Object.keys(body ?? {}).filter(key => schema?.properties && !(key in schema.properties))).toEqual([]);
+  });
+});
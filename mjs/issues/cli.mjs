@@ -4,12 +4,22 @@
  * GitHub Issues CLI
  */
 
-import { program } from 'commander';
+import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import { createClient } from './index.mjs';
 import { loadConfig, resolveRepository, initConfig } from './lib/config.mjs';
 import { getAuth } from './lib/auth.mjs';
+import {
+  resolveToken,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  isMainModule,
+  registerCompletionCommand
+} from '@thinkeloquent/github-sdk-core';
 import { formatOutput, formatError, formatSuccess } from './utils/format.mjs';
 
 // Import commands
@@ -25,6 +35,8 @@ import milestonesCommand from './commands/milestones.mjs';
 // Version from package.json
 const VERSION = '1.0.0';
 
+const program = new Command();
+
 // Configure program
 program
   .name('gh-issues')
@@ -32,9 +44,13 @@ program
   .version(VERSION)
   .option('-r, --repo <owner/repo>', 'Repository (owner/repo format)')
   .option('-t, --token <token>', 'GitHub authentication token')
-  .option('-o, --output <format>', 'Output format (json, table, text)', 'text')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table, text)', 'text')
   .option('--no-color', 'Disable colored output')
-  .option('--config', 'Show configuration')
+  .option('--config', 'Show configuration');
+
+addOutputOptions(program);
+addDryRunOption(program);
+addProfileOption(program)
   .hook('preAction', (thisCommand) => {
     // Global pre-action hook
     if (thisCommand.opts().noColor) {
@@ -269,7 +285,7 @@ program
         `https://api.github.com/search/issues?q=${encodeURIComponent(searchQuery)}&sort=${options.sort || ''}&order=${options.order}`,
         {
           headers: {
-            'Authorization': `token ${getAuth()}`,
+            'Authorization': `token ${resolveAuth(globalOpts)?.token}`,
             'Accept': 'application/vnd.github.v3+json'
           }
         }
@@ -319,6 +335,14 @@ async function executeCommand(commandModule, options) {
   }
 }
 
+// Helper function to resolve a token: --token, selected profile, environment, stored default profile
+function resolveAuth(options, baseUrl) {
+  return resolveToken({
+    token: options.token || (process.env.GITHUB_PROFILE ? undefined : getAuth()),
+    baseUrl
+  });
+}
+
 // Helper function to get configured client
 async function getConfiguredClient(options) {
   const config = await loadConfig();
@@ -330,18 +354,47 @@ async function getConfiguredClient(options) {
     // Repository might not be needed for some commands
   }
   
+  const credential = resolveAuth(options, config.baseUrl);
+  
   return createClient({
-    auth: options.token || getAuth(),
+    auth: credential?.token,
     ...repoInfo,
     ...config,
+    ...(credential?.profile && { baseUrl: credential.baseUrl }),
     ...options
   });
 }
 
-// Parse arguments
-program.parse(process.argv);
+// Login command
+registerLoginCommand(program, { scopes: ['repo'] });
+registerProfilesCommand(program);
+registerCompletionCommand(program);
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  // Parse arguments
+  await program.parseAsync(argv);
+
+  // Show help if no command provided
+  if (!argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
 
-// Show help if no command provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-}
\ No newline at end of file
+export { program };
+export default program;
\ No newline at end of file
@@ -4,6 +4,7 @@
 
 import ora from 'ora';
 import inquirer from 'inquirer';
+import { isDryRun } from '@thinkeloquent/github-sdk-core';
 import { formatComment, formatError, formatSuccess, formatWarning } from '../utils/format.mjs';
 
 export default {
@@ -142,16 +143,19 @@ async function deleteComment(client, options) {
     throw new Error('Comment ID is required. Use -c <id>');
   }
   
-  const confirm = await inquirer.prompt({
-    type: 'confirm',
-    name: 'delete',
-    message: `Are you sure you want to delete comment #${options.comment}?`,
-    default: false
-  });
-  
-  if (!confirm.delete) {
-    console.log('Cancelled');
-    return;
+  // A dry run deletes nothing, so there is nothing to confirm
+  if (!isDryRun()) {
+    const confirm = await inquirer.prompt({
+      type: 'confirm',
+      name: 'delete',
+      message: `Are you sure you want to delete comment #${options.comment}?`,
+      default: false
+    });
+    
+    if (!confirm.delete) {
+      console.log('Cancelled');
+      return;
+    }
   }
   
   const spinner = ora('Deleting comment...').start();
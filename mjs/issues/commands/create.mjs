@@ -4,7 +4,7 @@
 
 import ora from 'ora';
 import inquirer from 'inquirer';
-import { formatIssue, formatError, formatSuccess } from '../utils/format.mjs';
+import { formatOutput, formatError, formatSuccess } from '../utils/format.mjs';
 
 export default {
   async execute(client, options) {
@@ -68,7 +68,7 @@ export default {
     try {
       const issue = await client.create(issueData);
       spinner.succeed(formatSuccess(`Issue #${issue.number} created`));
-      console.log(formatIssue(issue, options.output || 'text'));
+      console.log(formatOutput(issue, options));
     } catch (error) {
       spinner.fail();
       throw error;
@@ -3,7 +3,7 @@
  */
 
 import ora from 'ora';
-import { formatIssue, formatComment, formatError, formatSuccess } from '../utils/format.mjs';
+import { formatOutput, formatComment, formatError, formatSuccess } from '../utils/format.mjs';
 
 export default {
   async execute(client, options) {
@@ -15,7 +15,7 @@ export default {
       spinner.succeed(`Found issue #${issue.number}`);
       
       // Display issue
-      console.log(formatIssue(issue, options.output || 'text'));
+      console.log(formatOutput(issue, options));
       
       // Fetch and display comments if requested
       if (options.comments && issue.comments > 0) {
@@ -3,6 +3,7 @@
  */
 
 import ora from 'ora';
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { formatOutput, formatError, formatWarning } from '../utils/format.mjs';
 import { collectAllPages } from '../utils/pagination.mjs';
 
@@ -77,7 +78,8 @@ export default {
       
       spinner.succeed(`Found ${issues.length} issue${issues.length !== 1 ? 's' : ''}`);
       
-      if (issues.length === 0) {
+      const machine = isMachineOutput(options);
+      if (issues.length === 0 && !machine) {
         console.log(formatWarning('No issues found matching the criteria'));
         return;
       }
@@ -85,7 +87,7 @@ export default {
       console.log(formatOutput(issues, options));
       
       // Show pagination info if not fetching all
-      if (!options.all && issues.length === listOptions.per_page) {
+      if (!machine && !options.all && issues.length === listOptions.per_page) {
         console.log(formatWarning('\nMore results may be available. Use --all to fetch all pages.'));
       }
       
@@ -3,7 +3,7 @@
  */
 
 import ora from 'ora';
-import { formatIssue, formatError, formatSuccess } from '../utils/format.mjs';
+import { formatOutput, formatError, formatSuccess } from '../utils/format.mjs';
 
 export default {
   async execute(client, options) {
@@ -33,7 +33,7 @@ export default {
     try {
       const issue = await client.update(options.number, updateData);
       spinner.succeed(formatSuccess(`Issue #${issue.number} updated`));
-      console.log(formatIssue(issue, options.output || 'text'));
+      console.log(formatOutput(issue, options));
     } catch (error) {
       spinner.fail();
       throw error;
@@ -10,6 +10,8 @@ import IssuesClient from './lib/client.mjs';
 import RateLimitedIssuesClient from './lib/rateLimitedClient.mjs';
 import { getAuth } from './lib/auth.mjs';
 import { loadConfig, resolveRepository } from './lib/config.mjs';
+import { applyDryRun } from '@thinkeloquent/github-sdk-core';
+import { ISSUE_WRITES } from './utils/dryRun.mjs';
 
 // Export main classes and utilities
 export { IssuesClient };
@@ -28,6 +30,7 @@ export * as format from './utils/format.mjs';
  * @param {string} [options.owner] - Default repository owner
  * @param {string} [options.repo] - Default repository name
  * @param {boolean} [options.enableRateLimiting] - Enable rate limiting (default: true in production)
+ * @param {boolean|Object} [options.dryRun] - Plan write requests instead of sending them (default: GITHUB_DRY_RUN)
  * @returns {IssuesClient} Issues client instance
  */
 export function createClient(options = {}) {
@@ -42,11 +45,11 @@ export function createClient(options = {}) {
   };
   
   // Use rate-limited client by default unless explicitly disabled
-  if (options.enableRateLimiting !== false && process.env.NODE_ENV !== 'test') {
-    return new RateLimitedIssuesClient(clientOptions);
-  }
+  const client = options.enableRateLimiting !== false && process.env.NODE_ENV !== 'test'
+    ? new RateLimitedIssuesClient(clientOptions)
+    : new IssuesClient(clientOptions);
   
-  return new IssuesClient(clientOptions);
+  return applyDryRun(client, ISSUE_WRITES, { dryRun: options.dryRun, baseUrl: clientOptions.baseUrl });
 }
 
 /**
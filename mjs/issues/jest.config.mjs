@@ -1,6 +1,7 @@
 export default {
   testEnvironment: 'node',
   transform: {},
+  setupFiles: ['<rootDir>/jest.setup.mjs'],
   moduleFileExtensions: ['mjs', 'js', 'json'],
   testMatch: [
     '**/__tests__/**/*.mjs',
@@ -16,6 +17,7 @@ export default {
     '!**/coverage/**',
     '!**/__tests__/**',
     '!**/examples/**',
-    '!jest.config.mjs'
+    '!jest.config.mjs',
+    '!jest.setup.mjs'
   ]
 };
\ No newline at end of file
@@ -0,0 +1,5 @@
+/**
+ * @fileoverview Test setup: writes the tests send stay out of the user's audit log
+ */
+
+process.env.GITHUB_AUDIT_LOG = 'off';
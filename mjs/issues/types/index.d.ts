@@ -0,0 +1,1910 @@
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-issues
+ * GitHub Issues API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+/** Issues client configuration */
+export interface IssuesClientOptions {
+  /** GitHub token (default: GITHUB_TOKEN) */
+  auth?: string;
+  /** Base URL for GitHub API */
+  baseUrl?: string;
+  /** Default repository owner */
+  owner?: string;
+  /** Default repository name */
+  repo?: string;
+  /** Use RateLimitedIssuesClient (default: true outside tests) */
+  enableRateLimiting?: boolean;
+  [key: string]: any;
+}
+
+/** Issues, comments, labels, assignees and milestones of the configured repository */
+export class IssuesClient {
+  constructor(options?: IssuesClientOptions);
+  owner: string;
+  repo: string;
+  /**
+   * List issues assigned to the authenticated user
+   * `GET /issues`
+   * @see https://docs.github.com/rest/issues/issues#list-issues-assigned-to-the-authenticated-user
+   */
+  list(options?: IssuesListParams & { includePagination?: boolean }): Promise<IssuesListResponse>;
+  /**
+   * List repository issues
+   * `GET /repos/{owner}/{repo}/issues`
+   * @see https://docs.github.com/rest/issues/issues#list-repository-issues
+   */
+  listForRepo(options?: IssuesListForRepoParams & { includePagination?: boolean }): Promise<IssuesListForRepoResponse>;
+  /**
+   * List organization issues assigned to the authenticated user
+   * `GET /orgs/{org}/issues`
+   * @see https://docs.github.com/rest/issues/issues#list-organization-issues-assigned-to-the-authenticated-user
+   */
+  listForOrg(org: string, options?: IssuesListForOrgParams & { includePagination?: boolean }): Promise<IssuesListForOrgResponse>;
+  /**
+   * Get an issue
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}`
+   * @see https://docs.github.com/rest/issues/issues#get-an-issue
+   */
+  get(issueNumber: number): Promise<IssuesGetResponse>;
+  /**
+   * Create an issue
+   * `POST /repos/{owner}/{repo}/issues`
+   * @see https://docs.github.com/rest/issues/issues#create-an-issue
+   */
+  create(data: IssuesCreateRequest): Promise<IssuesCreateResponse>;
+  /**
+   * Update an issue
+   * `PATCH /repos/{owner}/{repo}/issues/{issue_number}`
+   * @see https://docs.github.com/rest/issues/issues#update-an-issue
+   */
+  update(issueNumber: number, data?: IssuesUpdateRequest): Promise<IssuesUpdateResponse>;
+  /**
+   * Lock an issue
+   * `PUT /repos/{owner}/{repo}/issues/{issue_number}/lock`
+   * @see https://docs.github.com/rest/issues/issues#lock-an-issue
+   */
+  lock(issueNumber: number, lockReason?: IssuesLockRequest["lock_reason"] | null): Promise<void>;
+  /**
+   * Unlock an issue
+   * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/lock`
+   * @see https://docs.github.com/rest/issues/issues#unlock-an-issue
+   */
+  unlock(issueNumber: number): Promise<void>;
+  /**
+   * List issue comments
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}/comments`
+   * @see https://docs.github.com/rest/issues/comments#list-issue-comments
+   */
+  listComments(issueNumber: number, options?: IssuesListCommentsParams & { includePagination?: boolean }): Promise<IssuesListCommentsResponse>;
+  /**
+   * Get an issue comment
+   * `GET /repos/{owner}/{repo}/issues/comments/{comment_id}`
+   * @see https://docs.github.com/rest/issues/comments#get-an-issue-comment
+   */
+  getComment(commentId: number): Promise<IssuesGetCommentResponse>;
+  /**
+   * Create an issue comment
+   * `POST /repos/{owner}/{repo}/issues/{issue_number}/comments`
+   * @see https://docs.github.com/rest/issues/comments#create-an-issue-comment
+   */
+  createComment(issueNumber: number, body: string): Promise<IssuesCreateCommentResponse>;
+  /**
+   * Update an issue comment
+   * `PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}`
+   * @see https://docs.github.com/rest/issues/comments#update-an-issue-comment
+   */
+  updateComment(commentId: number, body: string): Promise<IssuesUpdateCommentResponse>;
+  /**
+   * Delete an issue comment
+   * `DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}`
+   * @see https://docs.github.com/rest/issues/comments#delete-an-issue-comment
+   */
+  deleteComment(commentId: number): Promise<void>;
+  /**
+   * List labels for a repository
+   * `GET /repos/{owner}/{repo}/labels`
+   * @see https://docs.github.com/rest/issues/labels#list-labels-for-a-repository
+   */
+  listLabelsForRepo(options?: IssuesListLabelsForRepoParams): Promise<IssuesListLabelsForRepoResponse>;
+  /**
+   * List labels for an issue
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}/labels`
+   * @see https://docs.github.com/rest/issues/labels#list-labels-for-an-issue
+   */
+  listLabelsOnIssue(issueNumber: number, options?: IssuesListLabelsOnIssueParams): Promise<IssuesListLabelsOnIssueResponse>;
+  /**
+   * Create a label
+   * `POST /repos/{owner}/{repo}/labels`
+   * @see https://docs.github.com/rest/issues/labels#create-a-label
+   */
+  createLabel(data: IssuesCreateLabelRequest): Promise<IssuesCreateLabelResponse>;
+  /**
+   * Update a label
+   * `PATCH /repos/{owner}/{repo}/labels/{name}`
+   * @see https://docs.github.com/rest/issues/labels#update-a-label
+   */
+  updateLabel(name: string, data?: IssuesUpdateLabelRequest): Promise<IssuesUpdateLabelResponse>;
+  /**
+   * Add labels to an issue
+   * `POST /repos/{owner}/{repo}/issues/{issue_number}/labels`
+   * @see https://docs.github.com/rest/issues/labels#add-labels-to-an-issue
+   */
+  addLabels(issueNumber: number, labels: string[]): Promise<IssuesAddLabelsResponse>;
+  /**
+   * Set labels for an issue
+   * `PUT /repos/{owner}/{repo}/issues/{issue_number}/labels`
+   * @see https://docs.github.com/rest/issues/labels#set-labels-for-an-issue
+   */
+  setLabels(issueNumber: number, labels: string[]): Promise<IssuesSetLabelsResponse>;
+  /**
+   * Remove a label from an issue
+   * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}`
+   * @see https://docs.github.com/rest/issues/labels#remove-a-label-from-an-issue
+   */
+  removeLabel(issueNumber: number, name: string): Promise<IssuesRemoveLabelResponse>;
+  /**
+   * Remove all labels from an issue
+   * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels`
+   * @see https://docs.github.com/rest/issues/labels#remove-all-labels-from-an-issue
+   */
+  removeAllLabels(issueNumber: number): Promise<void>;
+  /**
+   * List assignees
+   * `GET /repos/{owner}/{repo}/assignees`
+   * @see https://docs.github.com/rest/issues/assignees#list-assignees
+   */
+  listAssignees(options?: IssuesListAssigneesParams): Promise<IssuesListAssigneesResponse>;
+  /**
+   * Check if a user can be assigned
+   * `GET /repos/{owner}/{repo}/assignees/{assignee}`
+   * @see https://docs.github.com/rest/issues/assignees#check-if-a-user-can-be-assigned
+   */
+  checkAssignee(assignee: string): Promise<boolean>;
+  /**
+   * Add assignees to an issue
+   * `POST /repos/{owner}/{repo}/issues/{issue_number}/assignees`
+   * @see https://docs.github.com/rest/issues/assignees#add-assignees-to-an-issue
+   */
+  addAssignees(issueNumber: number, assignees: string[]): Promise<IssuesAddAssigneesResponse>;
+  /**
+   * Remove assignees from an issue
+   * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/assignees`
+   * @see https://docs.github.com/rest/issues/assignees#remove-assignees-from-an-issue
+   */
+  removeAssignees(issueNumber: number, assignees: string[]): Promise<IssuesRemoveAssigneesResponse>;
+  /**
+   * List issue events
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}/events`
+   * @see https://docs.github.com/rest/issues/events#list-issue-events
+   */
+  listEvents(issueNumber: number, options?: IssuesListEventsParams): Promise<IssuesListEventsResponse>;
+  /**
+   * List timeline events for an issue
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}/timeline`
+   * @see https://docs.github.com/rest/issues/timeline#list-timeline-events-for-an-issue
+   */
+  listTimelineEvents(issueNumber: number, options?: IssuesListEventsForTimelineParams): Promise<IssuesListEventsForTimelineResponse>;
+  /**
+   * List milestones
+   * `GET /repos/{owner}/{repo}/milestones`
+   * @see https://docs.github.com/rest/issues/milestones#list-milestones
+   */
+  listMilestones(options?: IssuesListMilestonesParams): Promise<IssuesListMilestonesResponse>;
+  /**
+   * Create a milestone
+   * `POST /repos/{owner}/{repo}/milestones`
+   * @see https://docs.github.com/rest/issues/milestones#create-a-milestone
+   */
+  createMilestone(data: IssuesCreateMilestoneRequest): Promise<IssuesCreateMilestoneResponse>;
+  /**
+   * Update a milestone
+   * `PATCH /repos/{owner}/{repo}/milestones/{milestone_number}`
+   * @see https://docs.github.com/rest/issues/milestones#update-a-milestone
+   */
+  updateMilestone(milestoneNumber: number, data?: IssuesUpdateMilestoneRequest): Promise<IssuesUpdateMilestoneResponse>;
+  /**
+   * Delete a milestone
+   * `DELETE /repos/{owner}/{repo}/milestones/{milestone_number}`
+   * @see https://docs.github.com/rest/issues/milestones#delete-a-milestone
+   */
+  deleteMilestone(milestoneNumber: number): Promise<void>;
+}
+
+/** IssuesClient that queues requests to stay within the rate limit */
+export class RateLimitedIssuesClient extends IssuesClient {
+  constructor(options?: IssuesClientOptions);
+}
+
+export const getAuth: any;
+
+export const loadConfig: any;
+
+export const saveConfig: any;
+
+export const initConfig: any;
+
+export const resolveRepository: any;
+
+export namespace format {
+  /** Format issue for display */
+  export function formatIssue(issue: Record<string, any>, format?: string): string;
+
+  /** Format issue as text */
+  export function formatIssueText(issue: Record<string, any>): string;
+
+  /** Format issues as table */
+  export function formatIssueTable(issues: any[]): string;
+
+  /** Format issue comment */
+  export function formatComment(comment: Record<string, any>): string;
+
+  /** Format label with color */
+  export function formatLabel(label: Record<string, any> | string): string;
+
+  /** Format milestone */
+  export function formatMilestone(milestone: Record<string, any>): string;
+
+  /** Format error for display */
+  export function formatError(error: Error): string;
+
+  /** Format success message */
+  export function formatSuccess(message: string): string;
+
+  /** Format warning message */
+  export function formatWarning(message: string): string;
+
+  /** Format date */
+  export function formatDate(dateStr: string, relative?: boolean): string;
+
+  /** Get state icon */
+  export function getStateIcon(state: string): string;
+
+  /** Truncate string */
+  export function truncate(str: string, length: number): string;
+
+  /**
+   * Format output based on options. `table` and `text` keep the issue
+   * layouts; everything else comes from the shared output engine.
+   */
+  export function formatOutput(data: any, options?: { output?: string; fields?: string; jq?: string; template?: string; [key: string]: any }): string;
+}
+
+/** Base API Error */
+export class ApiError extends Error {
+  constructor(message: any, statusCode?: any, details?: any);
+  statusCode: any;
+  details: any;
+}
+
+/** Authentication Error */
+export class AuthError extends ApiError {
+  constructor(message?: any);
+}
+
+/** Validation Error */
+export class ValidationError extends ApiError {
+  constructor(message: any, errors?: any, details?: any);
+  errors: any;
+}
+
+/** Rate Limit Error */
+export class RateLimitError extends ApiError {
+  constructor(message?: any, resetTime?: any);
+  resetTime: any;
+  resetDate: Date;
+  minutesUntilReset: any;
+}
+
+/** Not Found Error */
+export class NotFoundError extends ApiError {
+  constructor(resource?: any);
+}
+
+/** Permission Error */
+export class PermissionError extends ApiError {
+  constructor(message?: any);
+}
+
+/** Conflict Error */
+export class ConflictError extends ApiError {
+  constructor(message?: any);
+}
+
+/** Network Error */
+export class NetworkError extends ApiError {
+  constructor(message?: any);
+}
+
+/** Paginate through API results */
+export function paginate(fetchFunction: (...args: any[]) => any, options?: Record<string, any>, maxPages?: number): AsyncGenerator<any>;
+
+/** Collect all pages into a single array */
+export function collectAllPages(fetchFunction: (...args: any[]) => any, options?: Record<string, any>, maxItems?: number): Promise<any[]>;
+
+/** Create a new GitHub Issues client */
+export function createClient(options?: { auth?: string; baseUrl?: string; owner?: string; repo?: string; enableRateLimiting?: boolean; dryRun?: boolean | Record<string, any>; [key: string]: any }): IssuesClient;
+
+/** List issues */
+export function listIssues(options?: Record<string, any>): Promise<any[]>;
+
+/**
+ * Get a specific issue
+ *
+ * `GET /repos/{owner}/{repo}/issues/{issue_number}`
+ * @see https://docs.github.com/rest/issues/issues#get-an-issue
+ */
+export function getIssue(owner: string, repo: string, issueNumber: number, options?: Record<string, any>): Promise<IssuesGetResponse>;
+
+/**
+ * Create a new issue
+ *
+ * `POST /repos/{owner}/{repo}/issues`
+ * @see https://docs.github.com/rest/issues/issues#create-an-issue
+ */
+export function createIssue(owner: string, repo: string, data: IssuesCreateRequest, options?: Record<string, any>): Promise<IssuesCreateResponse>;
+
+/**
+ * Update an issue
+ *
+ * `PATCH /repos/{owner}/{repo}/issues/{issue_number}`
+ * @see https://docs.github.com/rest/issues/issues#update-an-issue
+ */
+export function updateIssue(owner: string, repo: string, issueNumber: number, data: IssuesUpdateRequest, options?: Record<string, any>): Promise<IssuesUpdateResponse>;
+
+/**
+ * Close an issue
+ *
+ * `PATCH /repos/{owner}/{repo}/issues/{issue_number}`
+ * @see https://docs.github.com/rest/issues/issues#update-an-issue
+ */
+export function closeIssue(owner: string, repo: string, issueNumber: number, options?: Record<string, any>): Promise<IssuesUpdateResponse>;
+
+/**
+ * Reopen an issue
+ *
+ * `PATCH /repos/{owner}/{repo}/issues/{issue_number}`
+ * @see https://docs.github.com/rest/issues/issues#update-an-issue
+ */
+export function reopenIssue(owner: string, repo: string, issueNumber: number, options?: Record<string, any>): Promise<IssuesUpdateResponse>;
+
+/**
+ * Add a comment to an issue
+ *
+ * `POST /repos/{owner}/{repo}/issues/{issue_number}/comments`
+ * @see https://docs.github.com/rest/issues/comments#create-an-issue-comment
+ */
+export function addComment(owner: string, repo: string, issueNumber: number, body: IssuesCreateCommentRequest["body"], options?: Record<string, any>): Promise<IssuesCreateCommentResponse>;
+
+/**
+ * Update a comment
+ *
+ * `PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}`
+ * @see https://docs.github.com/rest/issues/comments#update-an-issue-comment
+ */
+export function updateComment(owner: string, repo: string, commentId: number, body: IssuesUpdateCommentRequest["body"], options?: Record<string, any>): Promise<IssuesUpdateCommentResponse>;
+
+/**
+ * Delete a comment
+ *
+ * `DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}`
+ * @see https://docs.github.com/rest/issues/comments#delete-an-issue-comment
+ */
+export function deleteComment(owner: string, repo: string, commentId: number, options?: Record<string, any>): Promise<void>;
+
+/**
+ * Add labels to an issue
+ *
+ * `POST /repos/{owner}/{repo}/issues/{issue_number}/labels`
+ * @see https://docs.github.com/rest/issues/labels#add-labels-to-an-issue
+ */
+export function addLabels(owner: string, repo: string, issueNumber: number, labels: string[], options?: Record<string, any>): Promise<IssuesAddLabelsResponse>;
+
+/**
+ * Remove a label from an issue
+ *
+ * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}`
+ * @see https://docs.github.com/rest/issues/labels#remove-a-label-from-an-issue
+ */
+export function removeLabel(owner: string, repo: string, issueNumber: number, label: string, options?: Record<string, any>): Promise<IssuesRemoveLabelResponse>;
+
+/**
+ * Add assignees to an issue
+ *
+ * `POST /repos/{owner}/{repo}/issues/{issue_number}/assignees`
+ * @see https://docs.github.com/rest/issues/assignees#add-assignees-to-an-issue
+ */
+export function addAssignees(owner: string, repo: string, issueNumber: number, assignees: IssuesAddAssigneesRequest["assignees"], options?: Record<string, any>): Promise<IssuesAddAssigneesResponse>;
+
+/**
+ * Remove assignees from an issue
+ *
+ * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/assignees`
+ * @see https://docs.github.com/rest/issues/assignees#remove-assignees-from-an-issue
+ */
+export function removeAssignees(owner: string, repo: string, issueNumber: number, assignees: IssuesRemoveAssigneesRequest["assignees"], options?: Record<string, any>): Promise<IssuesRemoveAssigneesResponse>;
+
+/**
+ * Lock an issue
+ *
+ * `PUT /repos/{owner}/{repo}/issues/{issue_number}/lock`
+ * @see https://docs.github.com/rest/issues/issues#lock-an-issue
+ */
+export function lockIssue(owner: string, repo: string, issueNumber: number, lockReason?: IssuesLockRequest["lock_reason"], options?: Record<string, any>): Promise<void>;
+
+/**
+ * Unlock an issue
+ *
+ * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/lock`
+ * @see https://docs.github.com/rest/issues/issues#unlock-an-issue
+ */
+export function unlockIssue(owner: string, repo: string, issueNumber: number, options?: Record<string, any>): Promise<void>;
+
+declare const _default: {
+  createClient: typeof createClient;
+  IssuesClient: typeof IssuesClient;
+  RateLimitedIssuesClient: typeof RateLimitedIssuesClient;
+  listIssues: typeof listIssues;
+  getIssue: typeof getIssue;
+  createIssue: typeof createIssue;
+  updateIssue: typeof updateIssue;
+  closeIssue: typeof closeIssue;
+  reopenIssue: typeof reopenIssue;
+  addComment: typeof addComment;
+  updateComment: typeof updateComment;
+  deleteComment: typeof deleteComment;
+  addLabels: typeof addLabels;
+  removeLabel: typeof removeLabel;
+  addAssignees: typeof addAssignees;
+  removeAssignees: typeof removeAssignees;
+  lockIssue: typeof lockIssue;
+  unlockIssue: typeof unlockIssue;
+};
+
+export default _default;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Query parameters for issues/list */
+export interface IssuesListParams {
+  /** Indicates which sorts of issues to return. `assigned` means issues assigned to you. `created` means issues created by you. `mentioned` means issues mentioning you. `subscribed` means issues you're subscribed to updates for. `all` or `repos` means all issues you can see, regardless of participation or creation. */
+  filter?: 'assigned' | 'created' | 'mentioned' | 'subscribed' | 'repos' | 'all';
+  /** Indicates the state of the issues to return. */
+  state?: 'open' | 'closed' | 'all';
+  /** A list of comma separated label names. Example: `bug,ui,@high` */
+  labels?: string;
+  /** What to sort results by. */
+  sort?: 'created' | 'updated' | 'comments';
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  collab?: boolean;
+  orgs?: boolean;
+  owned?: boolean;
+  pulls?: boolean;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list */
+export type IssuesListResponse = Issue[];
+
+/** Query parameters for issues/list-for-repo */
+export interface IssuesListForRepoParams {
+  /** If an `integer` is passed, it should refer to a milestone by its `number` field. If the string `*` is passed, issues with any milestone are accepted. If the string `none` is passed, issues without milestones are returned. */
+  milestone?: string;
+  /** Indicates the state of the issues to return. */
+  state?: 'open' | 'closed' | 'all';
+  /** Can be the name of a user. Pass in `none` for issues with no assigned user, and `*` for issues assigned to any user. */
+  assignee?: string;
+  /** Can be the name of an issue type. If the string `*` is passed, issues with any type are accepted. If the string `none` is passed, issues without type are returned. */
+  type?: string;
+  /** The user that created the issue. */
+  creator?: string;
+  /** A user that's mentioned in the issue. */
+  mentioned?: string;
+  /** A list of comma separated label names. Example: `bug,ui,@high` */
+  labels?: string;
+  /** What to sort results by. */
+  sort?: 'created' | 'updated' | 'comments';
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-for-repo */
+export type IssuesListForRepoResponse = Issue[];
+
+/** Query parameters for issues/list-for-org */
+export interface IssuesListForOrgParams {
+  /** Indicates which sorts of issues to return. `assigned` means issues assigned to you. `created` means issues created by you. `mentioned` means issues mentioning you. `subscribed` means issues you're subscribed to updates for. `all` or `repos` means all issues you can see, regardless of participation or creation. */
+  filter?: 'assigned' | 'created' | 'mentioned' | 'subscribed' | 'repos' | 'all';
+  /** Indicates the state of the issues to return. */
+  state?: 'open' | 'closed' | 'all';
+  /** A list of comma separated label names. Example: `bug,ui,@high` */
+  labels?: string;
+  /** Can be the name of an issue type. */
+  type?: string;
+  /** What to sort results by. */
+  sort?: 'created' | 'updated' | 'comments';
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-for-org */
+export type IssuesListForOrgResponse = Issue[];
+
+/** Response body for issues/get */
+export type IssuesGetResponse = Issue;
+
+/** Request body for issues/create */
+export interface IssuesCreateRequest {
+  /** The title of the issue. */
+  title: string | number;
+  /** The contents of the issue. */
+  body?: string;
+  /** Login for the user that this issue should be assigned to. _NOTE: Only users with push access can set the assignee for new issues. The assignee is silently dropped otherwise. **This field is closing down.**_ */
+  assignee?: string | null;
+  milestone?: string | number | null;
+  /** Labels to associate with this issue. _NOTE: Only users with push access can set labels for new issues. Labels are silently dropped otherwise._ */
+  labels?: (string | {
+    id?: number;
+    name?: string;
+    description?: string | null;
+    color?: string | null;
+  })[];
+  /** Logins for Users to assign to this issue. _NOTE: Only users with push access can set assignees for new issues. Assignees are silently dropped otherwise._ */
+  assignees?: string[];
+  /** The name of the issue type to associate with this issue. _NOTE: Only users with push access can set the type for new issues. The type is silently dropped otherwise._ */
+  type?: string | null;
+}
+
+/** Response body for issues/create */
+export type IssuesCreateResponse = Issue;
+
+/** Request body for issues/update */
+export interface IssuesUpdateRequest {
+  /** The title of the issue. */
+  title?: string | number | null;
+  /** The contents of the issue. */
+  body?: string | null;
+  /** Username to assign to this issue. **This field is closing down.** */
+  assignee?: string | null;
+  /** The open or closed state of the issue. */
+  state?: 'open' | 'closed';
+  /** The reason for the state change. Ignored unless `state` is changed. */
+  state_reason?: 'completed' | 'not_planned' | 'duplicate' | 'reopened' | null;
+  milestone?: string | number | null;
+  /** Labels to associate with this issue. Pass one or more labels to _replace_ the set of labels on this issue. Send an empty array (`[]`) to clear all labels from the issue. Only users with push access can set labels for issues. Without push access to the repository, label changes are silently dropped. */
+  labels?: (string | {
+    id?: number;
+    name?: string;
+    description?: string | null;
+    color?: string | null;
+  })[];
+  /** Usernames to assign to this issue. Pass one or more user logins to _replace_ the set of assignees on this issue. Send an empty array (`[]`) to clear all assignees from the issue. Only users with push access can set assignees for new issues. Without push access to the repository, assignee changes are silently dropped. */
+  assignees?: string[];
+  /** The name of the issue type to associate with this issue or use `null` to remove the current issue type. Only users with push access can set the type for issues. Without push access to the repository, type changes are silently dropped. */
+  type?: string | null;
+}
+
+/** Response body for issues/update */
+export type IssuesUpdateResponse = Issue;
+
+/** Request body for issues/lock */
+export type IssuesLockRequest = {
+  /** The reason for locking the issue or pull request conversation. Lock will fail if you don't use one of these reasons: */
+  lock_reason?: 'off-topic' | 'too heated' | 'resolved' | 'spam';
+} | null;
+
+/** Query parameters for issues/list-comments */
+export interface IssuesListCommentsParams {
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-comments */
+export type IssuesListCommentsResponse = IssueComment[];
+
+/** Response body for issues/get-comment */
+export type IssuesGetCommentResponse = IssueComment;
+
+/** Request body for issues/create-comment */
+export interface IssuesCreateCommentRequest {
+  /** The contents of the comment. */
+  body: string;
+}
+
+/** Response body for issues/create-comment */
+export type IssuesCreateCommentResponse = IssueComment;
+
+/** Request body for issues/update-comment */
+export interface IssuesUpdateCommentRequest {
+  /** The contents of the comment. */
+  body: string;
+}
+
+/** Response body for issues/update-comment */
+export type IssuesUpdateCommentResponse = IssueComment;
+
+/** Query parameters for issues/list-labels-for-repo */
+export interface IssuesListLabelsForRepoParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-labels-for-repo */
+export type IssuesListLabelsForRepoResponse = Label[];
+
+/** Query parameters for issues/list-labels-on-issue */
+export interface IssuesListLabelsOnIssueParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-labels-on-issue */
+export type IssuesListLabelsOnIssueResponse = Label[];
+
+/** Request body for issues/create-label */
+export interface IssuesCreateLabelRequest {
+  /** The name of the label. Emoji can be added to label names, using either native emoji or colon-style markup. For example, typing `:strawberry:` will render the emoji !:strawberry:. For a full list of available emoji and codes, see "Emoji cheat sheet." */
+  name: string;
+  /** The hexadecimal color code for the label, without the leading `#`. */
+  color?: string;
+  /** A short description of the label. Must be 100 characters or fewer. */
+  description?: string;
+}
+
+/** Response body for issues/create-label */
+export type IssuesCreateLabelResponse = Label;
+
+/** Request body for issues/update-label */
+export interface IssuesUpdateLabelRequest {
+  /** The new name of the label. Emoji can be added to label names, using either native emoji or colon-style markup. For example, typing `:strawberry:` will render the emoji !:strawberry:. For a full list of available emoji and codes, see "Emoji cheat sheet." */
+  new_name?: string;
+  /** The hexadecimal color code for the label, without the leading `#`. */
+  color?: string;
+  /** A short description of the label. Must be 100 characters or fewer. */
+  description?: string;
+}
+
+/** Response body for issues/update-label */
+export type IssuesUpdateLabelResponse = Label;
+
+/** Request body for issues/add-labels */
+export type IssuesAddLabelsRequest = {
+  /** The names of the labels to add to the issue's existing labels. You can pass an empty array to remove all labels. Alternatively, you can pass a single label as a `string` or an `array` of labels directly, but GitHub recommends passing an object with the `labels` key. You can also replace all of the labels for an issue. For more information, see "Set labels for an issue." */
+  labels?: string[];
+} | string[] | {
+  labels?: {
+    name: string;
+  }[];
+} | {
+  name: string;
+}[] | string;
+
+/** Response body for issues/add-labels */
+export type IssuesAddLabelsResponse = Label[];
+
+/** Request body for issues/set-labels */
+export type IssuesSetLabelsRequest = {
+  /** The names of the labels to set for the issue. The labels you set replace any existing labels. You can pass an empty array to remove all labels. Alternatively, you can pass a single label as a `string` or an `array` of labels directly, but GitHub recommends passing an object with the `labels` key. You can also add labels to the existing labels for an issue. For more information, see "Add labels to an issue." */
+  labels?: string[];
+} | string[] | {
+  labels?: {
+    name: string;
+  }[];
+} | {
+  name: string;
+}[] | string;
+
+/** Response body for issues/set-labels */
+export type IssuesSetLabelsResponse = Label[];
+
+/** Response body for issues/remove-label */
+export type IssuesRemoveLabelResponse = Label[];
+
+/** Query parameters for issues/list-assignees */
+export interface IssuesListAssigneesParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-assignees */
+export type IssuesListAssigneesResponse = SimpleUser[];
+
+/** Request body for issues/add-assignees */
+export interface IssuesAddAssigneesRequest {
+  /** Usernames of people to assign this issue to. _NOTE: Only users with push access can add assignees to an issue. Assignees are silently ignored otherwise._ */
+  assignees?: string[];
+}
+
+/** Response body for issues/add-assignees */
+export type IssuesAddAssigneesResponse = Issue;
+
+/** Request body for issues/remove-assignees */
+export interface IssuesRemoveAssigneesRequest {
+  /** Usernames of assignees to remove from an issue. _NOTE: Only users with push access can remove assignees from an issue. Assignees are silently ignored otherwise._ */
+  assignees?: string[];
+}
+
+/** Response body for issues/remove-assignees */
+export type IssuesRemoveAssigneesResponse = Issue;
+
+/** Query parameters for issues/list-events */
+export interface IssuesListEventsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-events */
+export type IssuesListEventsResponse = IssueEventForIssue[];
+
+/** Query parameters for issues/list-events-for-timeline */
+export interface IssuesListEventsForTimelineParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-events-for-timeline */
+export type IssuesListEventsForTimelineResponse = TimelineIssueEvents[];
+
+/** Query parameters for issues/list-milestones */
+export interface IssuesListMilestonesParams {
+  /** The state of the milestone. Either `open`, `closed`, or `all`. */
+  state?: 'open' | 'closed' | 'all';
+  /** What to sort results by. Either `due_on` or `completeness`. */
+  sort?: 'due_on' | 'completeness';
+  /** The direction of the sort. Either `asc` or `desc`. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for issues/list-milestones */
+export type IssuesListMilestonesResponse = Milestone[];
+
+/** Request body for issues/create-milestone */
+export interface IssuesCreateMilestoneRequest {
+  /** The title of the milestone. */
+  title: string;
+  /** The state of the milestone. Either `open` or `closed`. */
+  state?: 'open' | 'closed';
+  /** A description of the milestone. */
+  description?: string;
+  /** The milestone due date. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  due_on?: string;
+}
+
+/** Response body for issues/create-milestone */
+export type IssuesCreateMilestoneResponse = Milestone;
+
+/** Request body for issues/update-milestone */
+export interface IssuesUpdateMilestoneRequest {
+  /** The title of the milestone. */
+  title?: string;
+  /** The state of the milestone. Either `open` or `closed`. */
+  state?: 'open' | 'closed';
+  /** A description of the milestone. */
+  description?: string;
+  /** The milestone due date. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  due_on?: string;
+}
+
+/** Response body for issues/update-milestone */
+export type IssuesUpdateMilestoneResponse = Milestone;
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Issues are a great way to keep track of tasks, enhancements, and bugs for your projects. */
+export interface Issue {
+  id: number;
+  node_id: string;
+  /** URL for the issue */
+  url: string;
+  repository_url: string;
+  labels_url: string;
+  comments_url: string;
+  events_url: string;
+  html_url: string;
+  /** Number uniquely identifying the issue within its repository */
+  number: number;
+  /** State of the issue; either 'open' or 'closed' */
+  state: string;
+  /** The reason for the current state */
+  state_reason?: 'completed' | 'reopened' | 'not_planned' | 'duplicate' | null;
+  /** Title of the issue */
+  title: string;
+  /** Contents of the issue */
+  body?: string | null;
+  user: NullableSimpleUser;
+  /** Labels to associate with this issue; pass one or more label names to replace the set of labels on this issue; send an empty array to clear all labels from the issue; note that the labels are silently dropped for users without push access to the repository */
+  labels: (string | {
+    id?: number;
+    node_id?: string;
+    url?: string;
+    name?: string;
+    description?: string | null;
+    color?: string | null;
+    default?: boolean;
+  })[];
+  assignee: NullableSimpleUser;
+  assignees?: SimpleUser[] | null;
+  milestone: NullableMilestone;
+  locked: boolean;
+  active_lock_reason?: string | null;
+  comments: number;
+  pull_request?: {
+    merged_at?: string | null;
+    diff_url: string | null;
+    html_url: string | null;
+    patch_url: string | null;
+    url: string | null;
+  };
+  closed_at: string | null;
+  created_at: string;
+  updated_at: string;
+  draft?: boolean;
+  closed_by?: NullableSimpleUser;
+  body_html?: string;
+  body_text?: string;
+  timeline_url?: string;
+  type?: IssueType;
+  repository?: Repository;
+  performed_via_github_app?: NullableIntegration;
+  author_association: AuthorAssociation;
+  reactions?: ReactionRollup;
+  sub_issues_summary?: SubIssuesSummary;
+  issue_dependencies_summary?: IssueDependenciesSummary;
+  issue_field_values?: IssueFieldValue[];
+}
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** A collection of related issues and pull requests. */
+export type NullableMilestone = {
+  url: string;
+  html_url: string;
+  labels_url: string;
+  id: number;
+  node_id: string;
+  /** The number of the milestone. */
+  number: number;
+  /** The state of the milestone. */
+  state: 'open' | 'closed';
+  /** The title of the milestone. */
+  title: string;
+  description: string | null;
+  creator: NullableSimpleUser;
+  open_issues: number;
+  closed_issues: number;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  due_on: string | null;
+} | null;
+
+/** The type of issue. */
+export type IssueType = {
+  /** The unique identifier of the issue type. */
+  id: number;
+  /** The node identifier of the issue type. */
+  node_id: string;
+  /** The name of the issue type. */
+  name: string;
+  /** The description of the issue type. */
+  description: string | null;
+  /** The color of the issue type. */
+  color?: 'gray' | 'blue' | 'green' | 'yellow' | 'orange' | 'red' | 'pink' | 'purple' | null;
+  /** The time the issue type created. */
+  created_at?: string;
+  /** The time the issue type last updated. */
+  updated_at?: string;
+  /** The enabled state of the issue type. */
+  is_enabled?: boolean;
+} | null;
+
+/** A repository on GitHub. */
+export interface Repository {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+}
+
+/** License Simple */
+export type NullableLicenseSimple = {
+  key: string;
+  name: string;
+  url: string | null;
+  spdx_id: string | null;
+  node_id: string;
+  html_url?: string;
+} | null;
+
+/** GitHub apps are a new way to extend GitHub. They can be installed directly on organizations and user accounts and granted access to specific repositories. They come with granular permissions and built-in webhooks. GitHub apps are first class actors within GitHub. */
+export type NullableIntegration = {
+  /** Unique identifier of the GitHub app */
+  id: number;
+  /** The slug name of the GitHub app */
+  slug?: string;
+  node_id: string;
+  client_id?: string;
+  owner: SimpleUser | Enterprise;
+  /** The name of the GitHub app */
+  name: string;
+  description: string | null;
+  external_url: string;
+  html_url: string;
+  created_at: string;
+  updated_at: string;
+  /** The set of permissions for the GitHub app */
+  permissions: {
+    issues?: string;
+    checks?: string;
+    metadata?: string;
+    contents?: string;
+    deployments?: string;
+    [key: string]: any;
+  };
+  /** The list of events for the GitHub app. Note that the `installation_target`, `security_advisory`, and `meta` events are not included because they are global events and not specific to an installation. */
+  events: string[];
+  /** The number of installations associated with the GitHub app. Only returned when the integration is requesting details about itself. */
+  installations_count?: number;
+} | null;
+
+/** An enterprise on GitHub. */
+export interface Enterprise {
+  /** A short description of the enterprise. */
+  description?: string | null;
+  html_url: string;
+  /** The enterprise's website URL. */
+  website_url?: string | null;
+  /** Unique identifier of the enterprise */
+  id: number;
+  node_id: string;
+  /** The name of the enterprise. */
+  name: string;
+  /** The slug url identifier for the enterprise. */
+  slug: string;
+  created_at: string | null;
+  updated_at: string | null;
+  avatar_url: string;
+}
+
+/** How the author is associated with the repository. */
+export type AuthorAssociation = 'COLLABORATOR' | 'CONTRIBUTOR' | 'FIRST_TIMER' | 'FIRST_TIME_CONTRIBUTOR' | 'MANNEQUIN' | 'MEMBER' | 'NONE' | 'OWNER';
+
+/** Reaction Rollup */
+export interface ReactionRollup {
+  url: string;
+  total_count: number;
+  "+1": number;
+  "-1": number;
+  laugh: number;
+  confused: number;
+  heart: number;
+  hooray: number;
+  eyes: number;
+  rocket: number;
+}
+
+/** Sub-issues Summary */
+export interface SubIssuesSummary {
+  total: number;
+  completed: number;
+  percent_completed: number;
+}
+
+/** Issue Dependencies Summary */
+export interface IssueDependenciesSummary {
+  blocked_by: number;
+  blocking: number;
+  total_blocked_by: number;
+  total_blocking: number;
+}
+
+/** A value assigned to an issue field */
+export interface IssueFieldValue {
+  /** Unique identifier for the issue field. */
+  issue_field_id: number;
+  node_id: string;
+  /** The data type of the issue field */
+  data_type: 'text' | 'single_select' | 'number' | 'date';
+  /** The value of the issue field */
+  value: string | number | null;
+  /** Details about the selected option (only present for single_select fields) */
+  single_select_option?: {
+    /** Unique identifier for the option. */
+    id: number;
+    /** The name of the option */
+    name: string;
+    /** The color of the option */
+    color: string;
+  } | null;
+}
+
+/** Comments provide a way for people to collaborate on an issue. */
+export interface IssueComment {
+  /** Unique identifier of the issue comment */
+  id: number;
+  node_id: string;
+  /** URL for the issue comment */
+  url: string;
+  /** Contents of the issue comment */
+  body?: string;
+  body_text?: string;
+  body_html?: string;
+  html_url: string;
+  user: NullableSimpleUser;
+  created_at: string;
+  updated_at: string;
+  issue_url: string;
+  author_association: AuthorAssociation;
+  performed_via_github_app?: NullableIntegration;
+  reactions?: ReactionRollup;
+}
+
+/** Color-coded labels help you categorize and filter your issues (just like labels in Gmail). */
+export interface Label {
+  /** Unique identifier for the label. */
+  id: number;
+  node_id: string;
+  /** URL for the label */
+  url: string;
+  /** The name of the label. */
+  name: string;
+  /** Optional description of the label, such as its purpose. */
+  description: string | null;
+  /** 6-character hex code, without the leading #, identifying the color */
+  color: string;
+  /** Whether this label comes by default in a new repository. */
+  default: boolean;
+}
+
+/** Issue Event for Issue */
+export type IssueEventForIssue = LabeledIssueEvent | UnlabeledIssueEvent | AssignedIssueEvent | UnassignedIssueEvent | MilestonedIssueEvent | DemilestonedIssueEvent | RenamedIssueEvent | ReviewRequestedIssueEvent | ReviewRequestRemovedIssueEvent | ReviewDismissedIssueEvent | LockedIssueEvent | AddedToProjectIssueEvent | MovedColumnInProjectIssueEvent | RemovedFromProjectIssueEvent | ConvertedNoteToIssueIssueEvent;
+
+/** Labeled Issue Event */
+export interface LabeledIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  label: {
+    name: string;
+    color: string;
+  };
+}
+
+/** Unlabeled Issue Event */
+export interface UnlabeledIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  label: {
+    name: string;
+    color: string;
+  };
+}
+
+/** Assigned Issue Event */
+export interface AssignedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: Integration;
+  assignee: SimpleUser;
+  assigner: SimpleUser;
+}
+
+/** GitHub apps are a new way to extend GitHub. They can be installed directly on organizations and user accounts and granted access to specific repositories. They come with granular permissions and built-in webhooks. GitHub apps are first class actors within GitHub. */
+export type Integration = {
+  /** Unique identifier of the GitHub app */
+  id: number;
+  /** The slug name of the GitHub app */
+  slug?: string;
+  node_id: string;
+  client_id?: string;
+  owner: SimpleUser | Enterprise;
+  /** The name of the GitHub app */
+  name: string;
+  description: string | null;
+  external_url: string;
+  html_url: string;
+  created_at: string;
+  updated_at: string;
+  /** The set of permissions for the GitHub app */
+  permissions: {
+    issues?: string;
+    checks?: string;
+    metadata?: string;
+    contents?: string;
+    deployments?: string;
+    [key: string]: any;
+  };
+  /** The list of events for the GitHub app. Note that the `installation_target`, `security_advisory`, and `meta` events are not included because they are global events and not specific to an installation. */
+  events: string[];
+  /** The number of installations associated with the GitHub app. Only returned when the integration is requesting details about itself. */
+  installations_count?: number;
+} | null;
+
+/** Unassigned Issue Event */
+export interface UnassignedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  assignee: SimpleUser;
+  assigner: SimpleUser;
+}
+
+/** Milestoned Issue Event */
+export interface MilestonedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  milestone: {
+    title: string;
+  };
+}
+
+/** Demilestoned Issue Event */
+export interface DemilestonedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  milestone: {
+    title: string;
+  };
+}
+
+/** Renamed Issue Event */
+export interface RenamedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  rename: {
+    from: string;
+    to: string;
+  };
+}
+
+/** Review Requested Issue Event */
+export interface ReviewRequestedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  review_requester: SimpleUser;
+  requested_team?: Team;
+  requested_reviewer?: SimpleUser;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface Team {
+  id: number;
+  node_id: string;
+  name: string;
+  slug: string;
+  description: string | null;
+  privacy?: string;
+  notification_setting?: string;
+  permission: string;
+  permissions?: {
+    pull: boolean;
+    triage: boolean;
+    push: boolean;
+    maintain: boolean;
+    admin: boolean;
+  };
+  url: string;
+  html_url: string;
+  members_url: string;
+  repositories_url: string;
+  parent: NullableTeamSimple;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export type NullableTeamSimple = {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  members_url: string;
+  /** Name of the team */
+  name: string;
+  /** Description of the team */
+  description: string | null;
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  /** The level of privacy this team should have */
+  privacy?: string;
+  /** The notification setting the team has set */
+  notification_setting?: string;
+  html_url: string;
+  repositories_url: string;
+  slug: string;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+} | null;
+
+/** Review Request Removed Issue Event */
+export interface ReviewRequestRemovedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  review_requester: SimpleUser;
+  requested_team?: Team;
+  requested_reviewer?: SimpleUser;
+}
+
+/** Review Dismissed Issue Event */
+export interface ReviewDismissedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  dismissed_review: {
+    state: string;
+    review_id: number;
+    dismissal_message: string | null;
+    dismissal_commit_id?: string;
+  };
+}
+
+/** Locked Issue Event */
+export interface LockedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  lock_reason: string | null;
+}
+
+/** Added to Project Issue Event */
+export interface AddedToProjectIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  project_card?: {
+    id: number;
+    url: string;
+    project_id: number;
+    project_url: string;
+    column_name: string;
+    previous_column_name?: string;
+  };
+}
+
+/** Moved Column in Project Issue Event */
+export interface MovedColumnInProjectIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  project_card?: {
+    id: number;
+    url: string;
+    project_id: number;
+    project_url: string;
+    column_name: string;
+    previous_column_name?: string;
+  };
+}
+
+/** Removed from Project Issue Event */
+export interface RemovedFromProjectIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  project_card?: {
+    id: number;
+    url: string;
+    project_id: number;
+    project_url: string;
+    column_name: string;
+    previous_column_name?: string;
+  };
+}
+
+/** Converted Note to Issue Issue Event */
+export interface ConvertedNoteToIssueIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: Integration;
+  project_card?: {
+    id: number;
+    url: string;
+    project_id: number;
+    project_url: string;
+    column_name: string;
+    previous_column_name?: string;
+  };
+}
+
+/** Timeline Event */
+export type TimelineIssueEvents = LabeledIssueEvent | UnlabeledIssueEvent | MilestonedIssueEvent | DemilestonedIssueEvent | RenamedIssueEvent | ReviewRequestedIssueEvent | ReviewRequestRemovedIssueEvent | ReviewDismissedIssueEvent | LockedIssueEvent | AddedToProjectIssueEvent | MovedColumnInProjectIssueEvent | RemovedFromProjectIssueEvent | ConvertedNoteToIssueIssueEvent | TimelineCommentEvent | TimelineCrossReferencedEvent | TimelineCommittedEvent | TimelineReviewedEvent | TimelineLineCommentedEvent | TimelineCommitCommentedEvent | TimelineAssignedIssueEvent | TimelineUnassignedIssueEvent | StateChangeIssueEvent;
+
+/** Timeline Comment Event */
+export interface TimelineCommentEvent {
+  event: string;
+  actor: SimpleUser;
+  /** Unique identifier of the issue comment */
+  id: number;
+  node_id: string;
+  /** URL for the issue comment */
+  url: string;
+  /** Contents of the issue comment */
+  body?: string;
+  body_text?: string;
+  body_html?: string;
+  html_url: string;
+  user: SimpleUser;
+  created_at: string;
+  updated_at: string;
+  issue_url: string;
+  author_association: AuthorAssociation;
+  performed_via_github_app?: NullableIntegration;
+  reactions?: ReactionRollup;
+}
+
+/** Timeline Cross Referenced Event */
+export interface TimelineCrossReferencedEvent {
+  event: string;
+  actor?: SimpleUser;
+  created_at: string;
+  updated_at: string;
+  source: {
+    type?: string;
+    issue?: Issue;
+  };
+}
+
+/** Timeline Committed Event */
+export interface TimelineCommittedEvent {
+  event?: string;
+  /** SHA for the commit */
+  sha: string;
+  node_id: string;
+  url: string;
+  /** Identifying information for the git-user */
+  author: {
+    /** Timestamp of the commit */
+    date: string;
+    /** Git email address of the user */
+    email: string;
+    /** Name of the git user */
+    name: string;
+  };
+  /** Identifying information for the git-user */
+  committer: {
+    /** Timestamp of the commit */
+    date: string;
+    /** Git email address of the user */
+    email: string;
+    /** Name of the git user */
+    name: string;
+  };
+  /** Message describing the purpose of the commit */
+  message: string;
+  tree: {
+    /** SHA for the commit */
+    sha: string;
+    url: string;
+  };
+  parents: {
+    /** SHA for the commit */
+    sha: string;
+    url: string;
+    html_url: string;
+  }[];
+  verification: {
+    verified: boolean;
+    reason: string;
+    signature: string | null;
+    payload: string | null;
+    verified_at: string | null;
+  };
+  html_url: string;
+}
+
+/** Timeline Reviewed Event */
+export interface TimelineReviewedEvent {
+  event: string;
+  /** Unique identifier of the review */
+  id: number;
+  node_id: string;
+  user: SimpleUser;
+  /** The text of the review. */
+  body: string | null;
+  state: string;
+  html_url: string;
+  pull_request_url: string;
+  _links: {
+    html: {
+      href: string;
+    };
+    pull_request: {
+      href: string;
+    };
+  };
+  submitted_at?: string;
+  updated_at?: string | null;
+  /** A commit SHA for the review. */
+  commit_id: string;
+  body_html?: string;
+  body_text?: string;
+  author_association: AuthorAssociation;
+}
+
+/** Timeline Line Commented Event */
+export interface TimelineLineCommentedEvent {
+  event?: string;
+  node_id?: string;
+  comments?: PullRequestReviewComment[];
+}
+
+/** Pull Request Review Comments are comments on a portion of the Pull Request's diff. */
+export interface PullRequestReviewComment {
+  /** URL for the pull request review comment */
+  url: string;
+  /** The ID of the pull request review to which the comment belongs. */
+  pull_request_review_id: number | null;
+  /** The ID of the pull request review comment. */
+  id: number;
+  /** The node ID of the pull request review comment. */
+  node_id: string;
+  /** The diff of the line that the comment refers to. */
+  diff_hunk: string;
+  /** The relative path of the file to which the comment applies. */
+  path: string;
+  /** The line index in the diff to which the comment applies. This field is closing down; use `line` instead. */
+  position?: number;
+  /** The index of the original line in the diff to which the comment applies. This field is closing down; use `original_line` instead. */
+  original_position?: number;
+  /** The SHA of the commit to which the comment applies. */
+  commit_id: string;
+  /** The SHA of the original commit to which the comment applies. */
+  original_commit_id: string;
+  /** The comment ID to reply to. */
+  in_reply_to_id?: number;
+  user: SimpleUser;
+  /** The text of the comment. */
+  body: string;
+  created_at: string;
+  updated_at: string;
+  /** HTML URL for the pull request review comment. */
+  html_url: string;
+  /** URL for the pull request that the review comment belongs to. */
+  pull_request_url: string;
+  author_association: AuthorAssociation;
+  _links: {
+    self: {
+      href: string;
+    };
+    html: {
+      href: string;
+    };
+    pull_request: {
+      href: string;
+    };
+  };
+  /** The first line of the range for a multi-line comment. */
+  start_line?: number | null;
+  /** The first line of the range for a multi-line comment. */
+  original_start_line?: number | null;
+  /** The side of the first line of the range for a multi-line comment. */
+  start_side?: 'LEFT' | 'RIGHT' | null;
+  /** The line of the blob to which the comment applies. The last line of the range for a multi-line comment */
+  line?: number;
+  /** The line of the blob to which the comment applies. The last line of the range for a multi-line comment */
+  original_line?: number;
+  /** The side of the diff to which the comment applies. The side of the last line of the range for a multi-line comment */
+  side?: 'LEFT' | 'RIGHT';
+  /** The level at which the comment is targeted, can be a diff line or a file. */
+  subject_type?: 'line' | 'file';
+  reactions?: ReactionRollup;
+  body_html?: string;
+  body_text?: string;
+}
+
+/** Timeline Commit Commented Event */
+export interface TimelineCommitCommentedEvent {
+  event?: string;
+  node_id?: string;
+  commit_id?: string;
+  comments?: CommitComment[];
+}
+
+/** Commit Comment */
+export interface CommitComment {
+  html_url: string;
+  url: string;
+  id: number;
+  node_id: string;
+  body: string;
+  path: string | null;
+  position: number | null;
+  line: number | null;
+  commit_id: string;
+  user: NullableSimpleUser;
+  created_at: string;
+  updated_at: string;
+  author_association: AuthorAssociation;
+  reactions?: ReactionRollup;
+}
+
+/** Timeline Assigned Issue Event */
+export interface TimelineAssignedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  assignee: SimpleUser;
+}
+
+/** Timeline Unassigned Issue Event */
+export interface TimelineUnassignedIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  assignee: SimpleUser;
+}
+
+/** State Change Issue Event */
+export interface StateChangeIssueEvent {
+  id: number;
+  node_id: string;
+  url: string;
+  actor: SimpleUser;
+  event: string;
+  commit_id: string | null;
+  commit_url: string | null;
+  created_at: string;
+  performed_via_github_app: NullableIntegration;
+  state_reason?: string | null;
+}
+
+/** A collection of related issues and pull requests. */
+export interface Milestone {
+  url: string;
+  html_url: string;
+  labels_url: string;
+  id: number;
+  node_id: string;
+  /** The number of the milestone. */
+  number: number;
+  /** The state of the milestone. */
+  state: 'open' | 'closed';
+  /** The title of the milestone. */
+  title: string;
+  description: string | null;
+  creator: NullableSimpleUser;
+  open_issues: number;
+  closed_issues: number;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  due_on: string | null;
+}
@@ -0,0 +1,91 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-issues, see `gh-typegen`
+ *
+ * The client lives in lib/, which is not part of this tree, so its methods
+ * are declared here against the operations they call.
+ */
+const LIST_OPTIONS = '$Params & { includePagination?: boolean }';
+
+export default {
+  name: '@thinkeloquent/github-sdk-issues',
+  description: 'GitHub Issues API SDK and CLI',
+  entry: 'index.mjs',
+  response: 'data',
+  declarations: `/** Issues client configuration */
+export interface IssuesClientOptions {
+  /** GitHub token (default: GITHUB_TOKEN) */
+  auth?: string;
+  /** Base URL for GitHub API */
+  baseUrl?: string;
+  /** Default repository owner */
+  owner?: string;
+  /** Default repository name */
+  repo?: string;
+  /** Use RateLimitedIssuesClient (default: true outside tests) */
+  enableRateLimiting?: boolean;
+  [key: string]: any;
+}`,
+  virtual: {
+    IssuesClient: {
+      description: 'Issues, comments, labels, assignees and milestones of the configured repository',
+      constructorParams: 'options?: IssuesClientOptions',
+      properties: { owner: 'string', repo: 'string' },
+      bound: ['owner', 'repo'],
+      methods: {
+        list: { operation: 'issues/list', params: `options?: ${LIST_OPTIONS}` },
+        listForRepo: { operation: 'issues/list-for-repo', params: `options?: ${LIST_OPTIONS}` },
+        listForOrg: { operation: 'issues/list-for-org', params: `org: string, options?: ${LIST_OPTIONS}` },
+        get: 'issues/get',
+        create: 'issues/create',
+        update: 'issues/update',
+        lock: { operation: 'issues/lock', params: 'issueNumber: number, lockReason?: $Request["lock_reason"] | null' },
+        unlock: 'issues/unlock',
+        listComments: { operation: 'issues/list-comments', params: `issueNumber: number, options?: ${LIST_OPTIONS}` },
+        getComment: 'issues/get-comment',
+        createComment: { operation: 'issues/create-comment', params: 'issueNumber: number, body: string' },
+        updateComment: { operation: 'issues/update-comment', params: 'commentId: number, body: string' },
+        deleteComment: 'issues/delete-comment',
+        listLabelsForRepo: 'issues/list-labels-for-repo',
+        listLabelsOnIssue: 'issues/list-labels-on-issue',
+        createLabel: 'issues/create-label',
+        updateLabel: 'issues/update-label',
+        addLabels: { operation: 'issues/add-labels', params: 'issueNumber: number, labels: string[]' },
+        setLabels: { operation: 'issues/set-labels', params: 'issueNumber: number, labels: string[]' },
+        removeLabel: 'issues/remove-label',
+        removeAllLabels: 'issues/remove-all-labels',
+        listAssignees: 'issues/list-assignees',
+        checkAssignee: { operation: 'issues/check-user-can-be-assigned', returns: 'Promise<boolean>' },
+        addAssignees: { operation: 'issues/add-assignees', params: 'issueNumber: number, assignees: string[]' },
+        removeAssignees: { operation: 'issues/remove-assignees', params: 'issueNumber: number, assignees: string[]' },
+        listEvents: 'issues/list-events',
+        listTimelineEvents: 'issues/list-events-for-timeline',
+        listMilestones: 'issues/list-milestones',
+        createMilestone: 'issues/create-milestone',
+        updateMilestone: 'issues/update-milestone',
+        deleteMilestone: 'issues/delete-milestone'
+      }
+    },
+    RateLimitedIssuesClient: {
+      description: 'IssuesClient that queues requests to stay within the rate limit',
+      extends: 'IssuesClient',
+      constructorParams: 'options?: IssuesClientOptions'
+    }
+  },
+  // Quick access functions create a client and call one method on it
+  operations: {
+    getIssue: 'issues/get',
+    createIssue: 'issues/create',
+    updateIssue: 'issues/update',
+    closeIssue: 'issues/update',
+    reopenIssue: 'issues/update',
+    addComment: 'issues/create-comment',
+    updateComment: 'issues/update-comment',
+    deleteComment: 'issues/delete-comment',
+    addLabels: 'issues/add-labels',
+    removeLabel: 'issues/remove-label',
+    addAssignees: 'issues/add-assignees',
+    removeAssignees: 'issues/remove-assignees',
+    lockIssue: 'issues/lock',
+    unlockIssue: 'issues/unlock'
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Requests the issues client's write methods send, so dry runs can plan
+ * them instead (see core's applyDryRun)
+ *
+ * The client lives in lib/, outside this tree. Argument orders follow
+ * types/index.d.ts and each request is the operation types/typegen.config.mjs
+ * names for the method; __tests__/utils/dryRun.test.mjs checks both against
+ * the OpenAPI spec.
+ */
+
+/**
+ * Endpoint of the client's repository
+ */
+function repoPath(client) {
+  return `/repos/${client.owner}/${client.repo}`;
+}
+
+/**
+ * Write method name → the request it sends
+ */
+export const ISSUE_WRITES = {
+  create: (client, data) => ({ method: 'POST', path: `${repoPath(client)}/issues`, body: data }),
+  update: (client, issueNumber, data) => ({ method: 'PATCH', path: `${repoPath(client)}/issues/${issueNumber}`, body: data }),
+  lock: (client, issueNumber, lockReason) => ({
+    method: 'PUT',
+    path: `${repoPath(client)}/issues/${issueNumber}/lock`,
+    body: lockReason ? { lock_reason: lockReason } : null
+  }),
+  unlock: (client, issueNumber) => ({ method: 'DELETE', path: `${repoPath(client)}/issues/${issueNumber}/lock` }),
+  createComment: (client, issueNumber, body) => ({ method: 'POST', path: `${repoPath(client)}/issues/${issueNumber}/comments`, body: { body } }),
+  updateComment: (client, commentId, body) => ({ method: 'PATCH', path: `${repoPath(client)}/issues/comments/${commentId}`, body: { body } }),
+  deleteComment: (client, commentId) => ({ method: 'DELETE', path: `${repoPath(client)}/issues/comments/${commentId}` }),
+  createLabel: (client, data) => ({ method: 'POST', path: `${repoPath(client)}/labels`, body: data }),
+  updateLabel: (client, name, data) => ({ method: 'PATCH', path: `${repoPath(client)}/labels/${encodeURIComponent(name)}`, body: data }),
+  addLabels: (client, issueNumber, labels) => ({ method: 'POST', path: `${repoPath(client)}/issues/${issueNumber}/labels`, body: { labels } }),
+  setLabels: (client, issueNumber, labels) => ({ method: 'PUT', path: `${repoPath(client)}/issues/${issueNumber}/labels`, body: { labels } }),
+  removeLabel: (client, issueNumber, name) => ({
+    method: 'DELETE',
+    path: `${repoPath(client)}/issues/${issueNumber}/labels/${encodeURIComponent(name)}`
+  }),
+  removeAllLabels: (client, issueNumber) => ({ method: 'DELETE', path: `${repoPath(client)}/issues/${issueNumber}/labels` }),
+  addAssignees: (client, issueNumber, assignees) => ({ method: 'POST', path: `${repoPath(client)}/issues/${issueNumber}/assignees`, body: { assignees } }),
+  removeAssignees: (client, issueNumber, assignees) => ({ method: 'DELETE', path: `${repoPath(client)}/issues/${issueNumber}/assignees`, body: { assignees } }),
+  createMilestone: (client, data) => ({ method: 'POST', path: `${repoPath(client)}/milestones`, body: data }),
+  updateMilestone: (client, milestoneNumber, data) => ({ method: 'PATCH', path: `${repoPath(client)}/milestones/${milestoneNumber}`, body: data }),
+  deleteMilestone: (client, milestoneNumber) => ({ method: 'DELETE', path: `${repoPath(client)}/milestones/${milestoneNumber}` })
+};
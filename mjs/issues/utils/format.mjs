@@ -4,6 +4,7 @@
 
 import chalk from 'chalk';
 import { table } from 'table';
+import { renderOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Format issue for display
@@ -261,27 +262,32 @@ export function truncate(str, length) {
 }
 
 /**
- * Format output based on options
+ * Format output based on options. `table` and `text` keep the issue
+ * layouts; everything else comes from the shared output engine.
  * @param {*} data - Data to format
  * @param {Object} options - Format options
+ * @param {string} [options.output='text'] - json, yaml, csv, ndjson, table or text
+ * @param {string} [options.fields] - Comma-separated fields to keep
+ * @param {string} [options.jq] - jq expression
+ * @param {string} [options.template] - Output template
  * @returns {string} Formatted output
  */
 export function formatOutput(data, options = {}) {
-  if (options.output === 'json' || options.json) {
-    return JSON.stringify(data, null, 2);
-  }
-  
-  if (Array.isArray(data)) {
-    if (data.length === 0) {
-      return chalk.gray('No results found');
+  const human = (format) => (value) => {
+    if (!Array.isArray(value)) {
+      return formatIssue(value, format);
     }
-    
-    if (options.output === 'table') {
-      return formatIssueTable(data);
+    if (value.length === 0) {
+      return chalk.gray('No results found');
     }
-    
-    return data.map(item => formatIssue(item, options.output || 'text')).join('\n\n');
-  }
-  
-  return formatIssue(data, options.output || 'text');
+    return format === 'table' ? formatIssueTable(value) : value.map(item => formatIssue(item, format)).join('\n\n');
+  };
+
+  return renderOutput(data, {
+    format: options.json ? 'json' : options.output || 'text',
+    fields: options.fields,
+    jq: options.jq,
+    template: options.template,
+    renderers: { table: human('table'), text: human('text') }
+  });
 }
\ No newline at end of file
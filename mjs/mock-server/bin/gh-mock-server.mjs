@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Start the mock GitHub API server
+ */
+
+import { Command } from 'commander';
+import { createMockServer, CORE_GROUPS } from '../src/server.mjs';
+
+const program = new Command();
+
+program
+  .name('gh-mock-server')
+  .description('Serve a local mock of the GitHub REST API from the OpenAPI specs')
+  .version('1.0.0')
+  .option('-p, --port <port>', 'Port to listen on', (value) => parseInt(value, 10), 3000)
+  .option('-H, --host <host>', 'Interface to bind', '127.0.0.1')
+  .option('-g, --groups <groups>', 'Comma-separated spec groups to serve, or "all"', CORE_GROUPS.join(','))
+  .option('--spec-dir <dir>', 'Directory of <group>.yaml specs (default: GITHUB_OPENAPI_DIR or docs/)')
+  .option('--login <login>', 'Login of the authenticated user', 'octocat')
+  .option('--token <token>', 'Reject requests that do not carry this token')
+  .option('--no-seed', 'Start with an empty store instead of the spec examples')
+  .option('-q, --quiet', 'Do not log requests')
+  .action(async (options) => {
+    const server = createMockServer({
+      groups: options.groups === 'all' ? undefined : options.groups.split(',').map(group => group.trim()),
+      specDir: options.specDir,
+      login: options.login,
+      token: options.token,
+      seed: options.seed,
+      logger: options.quiet ? undefined : (line) => console.log(line)
+    });
+
+    const url = await server.listen(options.port, options.host);
+    console.log(`Mock GitHub API listening on ${url} (${server.index.operations.length} operations)`);
+    console.log(`Point a CLI at it with --base-url ${url} and any token`);
+
+    const shutdown = () => server.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
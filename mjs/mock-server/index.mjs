@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Mock GitHub REST API server built from the OpenAPI specs in docs/
+ * @module @github-api/mock-server
+ * @version 1.0.0
+ */
+
+import { MockServer, createMockServer, CORE_GROUPS } from './src/server.mjs';
+import { MockStore, slugify } from './src/store.mjs';
+import { HANDLERS, MockHttpError, paginate } from './src/handlers.mjs';
+import { exampleResponse, sampleFromSchema, completeExample, successResponse } from './src/examples.mjs';
+
+/**
+ * Default export - MockServer class
+ */
+export default MockServer;
+
+export {
+  // Server
+  MockServer,
+  createMockServer,
+  CORE_GROUPS,
+
+  // State
+  MockStore,
+  slugify,
+  HANDLERS,
+  MockHttpError,
+  paginate,
+
+  // Examples
+  exampleResponse,
+  sampleFromSchema,
+  completeExample,
+  successResponse
+};
@@ -0,0 +1,25 @@
+/**
+ * Jest configuration for ES modules
+ */
+
+export default {
+  testEnvironment: 'node',
+  transform: {},
+  testMatch: [
+    '<rootDir>/tests/**/*.test.mjs'
+  ],
+  setupFiles: ['<rootDir>/tests/setup.mjs'],
+  collectCoverageFrom: [
+    'src/**/*.mjs',
+    '!**/node_modules/**'
+  ],
+  coverageDirectory: 'coverage',
+  testTimeout: 30000,
+  clearMocks: true,
+  restoreMocks: true,
+  verbose: true,
+  testPathIgnorePatterns: [
+    '/node_modules/',
+    '/coverage/'
+  ]
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Example responses taken from, or synthesized out of, the OpenAPI specs
+ * @module examples
+ */
+
+import { resolveRef } from '@thinkeloquent/github-sdk-core/openapi';
+
+// Deep enough for full repositories (repo → owner → ...), shallow enough to stop on cycles
+const MAX_DEPTH = 8;
+
+const FORMAT_SAMPLES = {
+  'date-time': '2011-01-26T19:01:12Z',
+  'date': '2011-01-26',
+  'uri': 'https://api.github.com',
+  'email': 'octocat@github.com',
+  'uuid': '00000000-0000-0000-0000-000000000000'
+};
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Build a value that satisfies a schema, preferring the spec's own `example`s
+ * @param {Object} doc - OpenAPI document the schema belongs to
+ * @param {Object} schema - Schema or `$ref`
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*}
+ */
+export function sampleFromSchema(doc, schema, depth = 0) {
+  const resolved = resolveRef(doc, schema);
+
+  if (!resolved || depth > MAX_DEPTH) {
+    return null;
+  }
+  if (resolved.example !== undefined) {
+    return clone(resolved.example);
+  }
+  if (resolved.default !== undefined) {
+    return clone(resolved.default);
+  }
+  if (resolved.enum) {
+    return resolved.enum[0];
+  }
+  if (resolved.allOf) {
+    return Object.assign({}, ...resolved.allOf.map(part => sampleFromSchema(doc, part, depth + 1)));
+  }
+  if (resolved.oneOf || resolved.anyOf) {
+    return sampleFromSchema(doc, (resolved.oneOf || resolved.anyOf)[0], depth + 1);
+  }
+
+  switch (resolved.type || (resolved.properties ? 'object' : undefined)) {
+    case 'object': {
+      const result = {};
+      for (const [name, property] of Object.entries(resolved.properties || {})) {
+        result[name] = sampleFromSchema(doc, property, depth + 1);
+      }
+      return result;
+    }
+    case 'array':
+      return depth >= MAX_DEPTH ? [] : [sampleFromSchema(doc, resolved.items || {}, depth + 1)];
+    case 'string':
+      return FORMAT_SAMPLES[resolved.format] || 'string';
+    case 'integer':
+    case 'number':
+      return resolved.minimum ?? 1;
+    case 'boolean':
+      return false;
+    default:
+      return resolved.nullable ? null : {};
+  }
+}
+
+/**
+ * Fill in required properties that a documented example leaves out. GitHub's
+ * examples predate some schema changes (e.g. `language` on repositories),
+ * and served responses should pass schema validation.
+ *
+ * @param {Object} doc - OpenAPI document the schema belongs to
+ * @param {Object} schema - Schema or `$ref`
+ * @param {*} value - Example value, completed in place
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} The completed value
+ */
+export function completeExample(doc, schema, value, depth = 0) {
+  const resolved = resolveRef(doc, schema);
+
+  if (!resolved || value === null || typeof value !== 'object' || depth > MAX_DEPTH) {
+    return value;
+  }
+
+  for (const part of resolved.allOf || []) {
+    completeExample(doc, part, value, depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.items) {
+      value.forEach(item => completeExample(doc, resolved.items, item, depth + 1));
+    }
+    return value;
+  }
+
+  const properties = resolved.properties || {};
+  for (const name of resolved.required || []) {
+    if (value[name] === undefined) {
+      const property = resolveRef(doc, properties[name]);
+      value[name] = property?.nullable ? null : sampleFromSchema(doc, properties[name] || {}, depth + 1);
+    }
+  }
+  for (const [name, property] of Object.entries(properties)) {
+    if (value[name] !== undefined) {
+      completeExample(doc, property, value[name], depth + 1);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Pick the success response an operation documents
+ * @param {Object} entry - Operation from the OperationIndex
+ * @returns {{ status: number, response: Object }|null}
+ */
+export function successResponse(entry) {
+  const statuses = Object.keys(entry.operation.responses || {})
+    .filter(status => /^2\d\d$/.test(status))
+    .sort();
+
+  if (statuses.length === 0) {
+    return null;
+  }
+
+  return {
+    status: Number(statuses[0]),
+    response: resolveRef(entry.doc, entry.operation.responses[statuses[0]])
+  };
+}
+
+/**
+ * Example response for an operation: the first documented example, or a
+ * value generated from the response schema
+ *
+ * @param {Object} entry - Operation from the OperationIndex
+ * @returns {{ status: number, body: *, contentType: string|null }}
+ */
+export function exampleResponse(entry) {
+  const success = successResponse(entry);
+  if (!success) {
+    return { status: 200, body: null, contentType: null };
+  }
+
+  const { status, response } = success;
+  const content = response.content || {};
+  const contentType = content['application/json'] ? 'application/json' : Object.keys(content)[0];
+
+  if (!contentType) {
+    return { status, body: null, contentType: null };
+  }
+
+  const media = content[contentType];
+  const named = Object.values(media.examples || {})[0];
+  let body;
+
+  if (named) {
+    body = completeExample(entry.doc, media.schema, clone(resolveRef(entry.doc, named).value));
+  } else if (media.example !== undefined) {
+    body = completeExample(entry.doc, media.schema, clone(media.example));
+  } else {
+    body = sampleFromSchema(entry.doc, media.schema || {});
+  }
+
+  return { status, body, contentType };
+}
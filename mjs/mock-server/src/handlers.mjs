@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Stateful handlers for repos, issues, pulls, gists and teams, keyed by operationId
+ * @module handlers
+ */
+
+import { slugify } from './store.mjs';
+
+/**
+ * An error response, rendered as GitHub's `{ message, documentation_url, errors }` body
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {Array<Object>} [errors] - Validation errors
+   */
+  constructor(status, message, errors) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const notFound = () => new MockHttpError(404, 'Not Found');
+
+function alreadyExists(resource, field, message) {
+  return new MockHttpError(422, 'Validation Failed', [{ resource, code: 'already_exists', field, message }]);
+}
+
+/**
+ * Slice a list by `per_page`/`page` and build the matching Link header
+ * @param {Object} context - Handler context
+ * @param {Array} items - Full result set
+ * @returns {{ body: Array, headers: Object }}
+ */
+export function paginate(context, items) {
+  const perPage = Math.min(Math.max(parseInt(context.query.get('per_page'), 10) || 30, 1), 100);
+  const page = Math.max(parseInt(context.query.get('page'), 10) || 1, 1);
+  const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+  const headers = {};
+
+  const pageUrl = (number) => {
+    const url = new URL(context.url);
+    url.searchParams.set('per_page', String(perPage));
+    url.searchParams.set('page', String(number));
+    return url.toString();
+  };
+
+  const links = [];
+  if (page < lastPage) {
+    links.push(`<${pageUrl(page + 1)}>; rel="next"`, `<${pageUrl(lastPage)}>; rel="last"`);
+  }
+  if (page > 1) {
+    links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(page - 1)}>; rel="prev"`);
+  }
+  if (links.length) {
+    headers.link = links.join(', ');
+  }
+
+  return { body: items.slice((page - 1) * perPage, page * perPage), headers };
+}
+
+function filterState(context, items) {
+  const state = context.query.get('state') || 'open';
+  return state === 'all' ? items : items.filter(item => item.state === state);
+}
+
+function requireRepo(store, { owner, repo }) {
+  const record = store.getRepo(owner, repo);
+  if (!record) {
+    throw notFound();
+  }
+  return record;
+}
+
+function touch(store, record) {
+  record.updated_at = store.now();
+  return record;
+}
+
+function createRepo(store, owner, body, ownerType) {
+  if (store.getRepo(owner, body.name)) {
+    throw alreadyExists('Repository', 'name', 'name already exists on this account');
+  }
+  return { status: 201, body: store.createRepo(owner, body, ownerType) };
+}
+
+function setClosed(store, record, state) {
+  if (state && state !== record.state) {
+    record.state = state;
+    record.closed_at = state === 'closed' ? store.now() : null;
+  }
+}
+
+/**
+ * Handlers receive `{ store, params, query, body, url }` and return
+ * `{ status, body, headers }`. Operations without a handler are answered
+ * with the spec example.
+ */
+export const HANDLERS = {
+  // Repositories
+  'repos/create-for-authenticated-user': ({ store, body }) => createRepo(store, store.login, body, 'User'),
+
+  'repos/create-in-org': ({ store, params, body }) => createRepo(store, params.org, body, 'Organization'),
+
+  'repos/get': ({ store, params }) => ({ body: requireRepo(store, params) }),
+
+  'repos/update': ({ store, params, body }) => {
+    const record = requireRepo(store, params);
+    if (body.name && body.name !== record.name) {
+      if (store.getRepo(record.owner.login, body.name)) {
+        throw alreadyExists('Repository', 'name', 'name already exists on this account');
+      }
+      store.deleteRepo(record.owner.login, record.name);
+      record.full_name = `${record.owner.login}/${body.name}`;
+    }
+    Object.assign(record, body);
+    store.putRepo(touch(store, record));
+    return { body: record };
+  },
+
+  'repos/delete': ({ store, params }) => {
+    if (!store.deleteRepo(params.owner, params.repo)) {
+      throw notFound();
+    }
+    return { status: 204 };
+  },
+
+  'repos/list-for-authenticated-user': (context) => paginate(context, context.store.listRepos(context.store.login)),
+
+  'repos/list-for-user': (context) => paginate(context, context.store.listRepos(context.params.username)),
+
+  'repos/list-for-org': (context) => paginate(context, context.store.listRepos(context.params.org)),
+
+  // Issues
+  'issues/create': ({ store, params, body }) => {
+    const repo = requireRepo(store, params);
+    const record = store.createNumbered('issue', repo, store.nextNumber(params.owner, params.repo));
+
+    Object.assign(record, {
+      title: String(body.title),
+      body: body.body ?? null,
+      labels: (body.labels || []).map(label => (typeof label === 'string' ? { name: label } : label)),
+      assignees: (body.assignees || (body.assignee ? [body.assignee] : [])).map(login => ({ login }))
+    });
+    record.assignee = record.assignees[0] || null;
+    repo.open_issues_count += 1;
+
+    return { status: 201, body: store.putIssue(params.owner, params.repo, record) };
+  },
+
+  'issues/get': ({ store, params }) => {
+    requireRepo(store, params);
+    const record = store.getIssue(params.owner, params.repo, params.issue_number);
+    if (!record) {
+      throw notFound();
+    }
+    return { body: record };
+  },
+
+  'issues/update': ({ store, params, body }) => {
+    requireRepo(store, params);
+    const record = store.getIssue(params.owner, params.repo, params.issue_number);
+    if (!record) {
+      throw notFound();
+    }
+
+    const { state, labels, ...fields } = body;
+    Object.assign(record, fields);
+    setClosed(store, record, state);
+    if (labels) {
+      record.labels = labels.map(label => (typeof label === 'string' ? { name: label } : label));
+    }
+    return { body: touch(store, record) };
+  },
+
+  'issues/list-for-repo': (context) => {
+    requireRepo(context.store, context.params);
+    const items = context.store.listIssues(context.params.owner, context.params.repo);
+    return paginate(context, filterState(context, items));
+  },
+
+  // Pull requests
+  'pulls/create': ({ store, params, body }) => {
+    const repo = requireRepo(store, params);
+    const record = store.createNumbered('pull', repo, store.nextNumber(params.owner, params.repo));
+
+    Object.assign(record, {
+      title: String(body.title ?? ''),
+      body: body.body ?? null,
+      draft: !!body.draft,
+      merged: false,
+      merged_at: null,
+      mergeable: true,
+      head: { ...record.head, ref: body.head, label: body.head },
+      base: { ...record.base, ref: body.base, label: `${repo.owner.login}:${body.base}` }
+    });
+
+    return { status: 201, body: store.putPull(params.owner, params.repo, record) };
+  },
+
+  'pulls/get': ({ store, params }) => {
+    requireRepo(store, params);
+    const record = store.getPull(params.owner, params.repo, params.pull_number);
+    if (!record) {
+      throw notFound();
+    }
+    return { body: record };
+  },
+
+  'pulls/update': ({ store, params, body }) => {
+    requireRepo(store, params);
+    const record = store.getPull(params.owner, params.repo, params.pull_number);
+    if (!record) {
+      throw notFound();
+    }
+
+    const { state, base, ...fields } = body;
+    Object.assign(record, fields);
+    setClosed(store, record, state);
+    if (base) {
+      record.base = { ...record.base, ref: base };
+    }
+    return { body: touch(store, record) };
+  },
+
+  'pulls/list': (context) => {
+    requireRepo(context.store, context.params);
+    const items = context.store.listPulls(context.params.owner, context.params.repo);
+    return paginate(context, filterState(context, items));
+  },
+
+  'pulls/merge': ({ store, params }) => {
+    requireRepo(store, params);
+    const record = store.getPull(params.owner, params.repo, params.pull_number);
+    if (!record) {
+      throw notFound();
+    }
+    if (record.merged || record.state !== 'open') {
+      throw new MockHttpError(405, 'Pull Request is not mergeable');
+    }
+
+    const sha = record.head?.sha || '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+    Object.assign(record, { merged: true, merged_at: store.now(), merged_by: { login: store.login } });
+    setClosed(store, record, 'closed');
+    return { body: { sha, merged: true, message: 'Pull Request successfully merged' } };
+  },
+
+  // Gists
+  'gists/create': ({ store, body }) => ({ status: 201, body: store.createGist(body) }),
+
+  'gists/get': ({ store, params }) => {
+    const record = store.getGist(params.gist_id);
+    if (!record) {
+      throw notFound();
+    }
+    return { body: record };
+  },
+
+  'gists/update': ({ store, params, body }) => {
+    const record = store.getGist(params.gist_id);
+    if (!record) {
+      throw notFound();
+    }
+    if (body.description !== undefined) {
+      record.description = body.description;
+    }
+    store.setGistFiles(record, body.files || {});
+    return { body: touch(store, record) };
+  },
+
+  'gists/delete': ({ store, params }) => {
+    if (!store.deleteGist(params.gist_id)) {
+      throw notFound();
+    }
+    return { status: 204 };
+  },
+
+  'gists/list': (context) => paginate(context, context.store.listGists(context.store.login)),
+
+  // Teams
+  'teams/create': ({ store, params, body }) => {
+    if (store.getTeam(params.org, slugify(body.name))) {
+      throw alreadyExists('Team', 'name', 'Name must be unique for this org');
+    }
+    return { status: 201, body: store.createTeam(params.org, body) };
+  },
+
+  'teams/get-by-name': ({ store, params }) => {
+    const record = store.getTeam(params.org, params.team_slug);
+    if (!record) {
+      throw notFound();
+    }
+    return { body: record };
+  },
+
+  'teams/update-in-org': ({ store, params, body }) => {
+    const record = store.getTeam(params.org, params.team_slug);
+    if (!record) {
+      throw notFound();
+    }
+    store.deleteTeam(params.org, record.slug);
+    Object.assign(record, body);
+    if (body.name) {
+      record.slug = slugify(body.name);
+    }
+    store.putTeam(params.org, touch(store, record));
+    return { body: record };
+  },
+
+  'teams/delete-in-org': ({ store, params }) => {
+    if (!store.deleteTeam(params.org, params.team_slug)) {
+      throw notFound();
+    }
+    return { status: 204 };
+  },
+
+  'teams/list': (context) => paginate(context, context.store.listTeams(context.params.org))
+};
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Local stand-in for the GitHub REST API served from the OpenAPI specs
+ * @module server
+ */
+
+import http from 'http';
+import { loadSpecs, OperationIndex, resolveRef } from '@thinkeloquent/github-sdk-core/openapi';
+import { exampleResponse } from './examples.mjs';
+import { MockStore } from './store.mjs';
+import { HANDLERS, MockHttpError } from './handlers.mjs';
+
+/**
+ * Spec groups holding the stateful resources; enough for most package tests
+ */
+export const CORE_GROUPS = ['repos', 'issues', 'pulls', 'gists', 'teams'];
+
+const DOCUMENTATION_URL = 'https://docs.github.com/rest';
+
+// GitHub Enterprise Server style base URLs (`http://host/api/v3`) work too
+const GHES_PREFIX = '/api/v3';
+
+const RATE_LIMIT = 5000;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Top-level required fields of an operation's JSON request body that are missing
+ */
+function missingFields(entry, body) {
+  const requestBody = resolveRef(entry.doc, entry.operation.requestBody);
+  const schema = resolveRef(entry.doc, requestBody?.content?.['application/json']?.schema);
+
+  if (!schema?.required || !body || typeof body !== 'object' || Array.isArray(body)) {
+    return [];
+  }
+  return schema.required.filter(field => body[field] === undefined);
+}
+
+/**
+ * Mock GitHub API server. Every operation in the loaded specs answers with
+ * its documented example; repositories, issues, pull requests, gists and
+ * teams are kept in a {@link MockStore} so create → get → list round-trips
+ * behave like the real API.
+ *
+ * @example
+ * const server = createMockServer();
+ * const url = await server.listen(0);
+ * const client = new RepoClient({ token: 'test', baseUrl: url });
+ * await client.repositories.create({ name: 'demo' });
+ * await server.close();
+ */
+export class MockServer {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.groups] - Spec groups to serve (default: all)
+   * @param {string} [options.specDir] - Directory of `<group>.yaml` specs
+   * @param {boolean} [options.seed=true] - Start with the spec examples as existing records
+   * @param {string} [options.login='octocat'] - Login of the authenticated user
+   * @param {string} [options.token] - Only accept requests carrying this token
+   * @param {Function} [options.logger] - Called with one line per request
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.index = new OperationIndex(loadSpecs({ dir: options.specDir, groups: options.groups }));
+    this.store = new MockStore({ index: this.index, login: options.login, seed: options.seed });
+    this.requests = 0;
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        this.send(response, 500, { message: error.message, documentation_url: DOCUMENTATION_URL });
+      });
+    });
+  }
+
+  /**
+   * Base URL clients should use, available once listening
+   * @type {string|null}
+   */
+  get url() {
+    const address = this.server.address();
+    if (!address || typeof address === 'string') {
+      return null;
+    }
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}`;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port, 0 for a random free one
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<string>} Base URL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Serve one request
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async handle(request, response) {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const pathname = url.pathname.startsWith(GHES_PREFIX) ? url.pathname.slice(GHES_PREFIX.length) || '/' : url.pathname;
+    const method = request.method.toUpperCase();
+    this.requests += 1;
+
+    const finish = (status, body, headers, operationId) => {
+      this.options.logger?.(`${method} ${url.pathname}${url.search} → ${status}${operationId ? ` (${operationId})` : ''}`);
+      this.send(response, status, body, headers, method === 'HEAD');
+    };
+
+    if (this.options.token && !(request.headers.authorization || '').includes(this.options.token)) {
+      return finish(401, { message: 'Bad credentials', documentation_url: DOCUMENTATION_URL });
+    }
+
+    const match = this.index.match(method, pathname) || (method === 'HEAD' && this.index.match('GET', pathname));
+    if (!match) {
+      return finish(404, { message: 'Not Found', documentation_url: DOCUMENTATION_URL });
+    }
+
+    const { operation: entry, params } = match;
+    const raw = await readBody(request);
+    let body = {};
+
+    if (raw) {
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return finish(400, { message: 'Problems parsing JSON', documentation_url: DOCUMENTATION_URL }, {}, entry.operationId);
+      }
+    }
+
+    const missing = missingFields(entry, body);
+    if (missing.length) {
+      return finish(422, {
+        message: 'Validation Failed',
+        errors: missing.map(field => ({ resource: entry.operationId.split('/')[0], code: 'missing_field', field })),
+        documentation_url: DOCUMENTATION_URL
+      }, {}, entry.operationId);
+    }
+
+    const handler = HANDLERS[entry.operationId];
+    if (!handler) {
+      const example = exampleResponse(entry);
+      return finish(example.status, example.body, example.contentType ? { 'content-type': example.contentType } : {}, entry.operationId);
+    }
+
+    try {
+      const result = handler({ store: this.store, params, query: url.searchParams, body, url: url.toString() });
+      return finish(result.status || 200, result.body ?? null, result.headers, entry.operationId);
+    } catch (error) {
+      if (!(error instanceof MockHttpError)) {
+        throw error;
+      }
+      return finish(error.status, {
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        documentation_url: DOCUMENTATION_URL
+      }, {}, entry.operationId);
+    }
+  }
+
+  /**
+   * Write a response with GitHub's usual headers
+   */
+  send(response, status, body, headers = {}, headOnly = false) {
+    const { 'content-type': contentType = 'application/json', ...extra } = headers;
+    const hasBody = body !== null && body !== undefined && ![204, 304].includes(status);
+    const payload = !hasBody ? '' : (typeof body === 'string' ? body : JSON.stringify(body));
+
+    response.writeHead(status, {
+      ...(hasBody && { 'content-type': contentType.includes('json') ? `${contentType}; charset=utf-8` : contentType }),
+      'x-github-media-type': 'github.v3; format=json',
+      'x-oauth-scopes': 'repo, gist, read:org, user',
+      'x-ratelimit-limit': String(RATE_LIMIT),
+      'x-ratelimit-remaining': String(Math.max(RATE_LIMIT - this.requests, 0)),
+      'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+      'x-ratelimit-used': String(this.requests),
+      'x-ratelimit-resource': 'core',
+      ...extra
+    });
+    response.end(headOnly ? undefined : payload);
+  }
+}
+
+/**
+ * Create a mock server
+ * @param {Object} [options] - See {@link MockServer}
+ * @returns {MockServer}
+ */
+export function createMockServer(options = {}) {
+  return new MockServer(options);
+}
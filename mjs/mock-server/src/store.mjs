@@ -0,0 +1,360 @@
+/**
+ * @fileoverview In-memory state for the resources the mock server keeps between requests
+ * @module store
+ */
+
+import crypto from 'crypto';
+import { exampleResponse } from './examples.mjs';
+
+// Operations whose example response is the shape of a stored record
+const TEMPLATES = {
+  repo: 'repos/get',
+  issue: 'issues/get',
+  pull: 'pulls/get',
+  gist: 'gists/get',
+  team: 'teams/get-by-name'
+};
+
+/**
+ * Team slug for a team name
+ * @param {string} name - Team name
+ * @returns {string}
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function key(...parts) {
+  return parts.join('/').toLowerCase();
+}
+
+/**
+ * Replace every occurrence of a string inside a JSON-compatible value
+ */
+function rewrite(value, from, to) {
+  if (!from || from === to) {
+    return value;
+  }
+  return JSON.parse(JSON.stringify(value).split(from).join(to));
+}
+
+/**
+ * Repositories, issues, pull requests, gists and teams created through the
+ * mock server. Records start from the spec's example for the matching
+ * `get` operation, so everything the store returns has the documented shape.
+ */
+export class MockStore {
+  /**
+   * @param {Object} options
+   * @param {import('@thinkeloquent/github-sdk-core/openapi').OperationIndex} options.index - Loaded operations
+   * @param {string} [options.login='octocat'] - Login of the authenticated user
+   * @param {boolean} [options.seed=true] - Start with the spec examples as existing records
+   */
+  constructor(options) {
+    this.index = options.index;
+    this.login = options.login || 'octocat';
+    this.reset(options.seed !== false);
+  }
+
+  /**
+   * Drop all state
+   * @param {boolean} [seed=true] - Re-add the spec examples
+   */
+  reset(seed = true) {
+    this.repos = new Map();
+    this.issues = new Map();
+    this.pulls = new Map();
+    this.gists = new Map();
+    this.teams = new Map();
+    this.numbers = new Map();
+    this.lastId = 1000;
+
+    if (seed) {
+      this.seed();
+    }
+  }
+
+  /**
+   * A fresh copy of the example record for a resource type
+   * @param {string} type - repo, issue, pull, gist or team
+   * @returns {Object|null}
+   */
+  template(type) {
+    const entry = this.index.get(TEMPLATES[type]);
+    return entry ? exampleResponse(entry).body : null;
+  }
+
+  nextId() {
+    this.lastId += 1;
+    return this.lastId;
+  }
+
+  /**
+   * Next issue/pull request number in a repository (the two share a sequence)
+   */
+  nextNumber(owner, repo) {
+    const repoKey = key(owner, repo);
+    const next = (this.numbers.get(repoKey) || 0) + 1;
+    this.numbers.set(repoKey, next);
+    return next;
+  }
+
+  now() {
+    return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // Repositories
+
+  getRepo(owner, repo) {
+    return this.repos.get(key(owner, repo)) || null;
+  }
+
+  listRepos(owner) {
+    return [...this.repos.values()].filter(repo => repo.owner.login.toLowerCase() === owner.toLowerCase());
+  }
+
+  createRepo(owner, fields, ownerType = 'User') {
+    const template = this.template('repo');
+    const record = rewrite(template, template.full_name, `${owner}/${fields.name}`);
+    const timestamp = this.now();
+
+    Object.assign(record, fields, {
+      id: this.nextId(),
+      name: fields.name,
+      full_name: `${owner}/${fields.name}`,
+      owner: { ...record.owner, login: owner, type: ownerType },
+      private: !!fields.private,
+      visibility: fields.visibility || (fields.private ? 'private' : 'public'),
+      fork: false,
+      stargazers_count: 0,
+      watchers_count: 0,
+      forks_count: 0,
+      open_issues_count: 0,
+      created_at: timestamp,
+      updated_at: timestamp,
+      pushed_at: timestamp
+    });
+
+    this.putRepo(record);
+    return record;
+  }
+
+  putRepo(record) {
+    this.repos.set(key(record.owner.login, record.name), record);
+    return record;
+  }
+
+  deleteRepo(owner, repo) {
+    const repoKey = key(owner, repo);
+    for (const map of [this.issues, this.pulls]) {
+      map.delete(repoKey);
+    }
+    return this.repos.delete(repoKey);
+  }
+
+  // Issues and pull requests
+
+  getIssue(owner, repo, number) {
+    return this.issues.get(key(owner, repo))?.get(Number(number)) || null;
+  }
+
+  listIssues(owner, repo) {
+    return [...(this.issues.get(key(owner, repo))?.values() || [])];
+  }
+
+  putIssue(owner, repo, record) {
+    const repoKey = key(owner, repo);
+    if (!this.issues.has(repoKey)) {
+      this.issues.set(repoKey, new Map());
+    }
+    this.issues.get(repoKey).set(record.number, record);
+    this.numbers.set(repoKey, Math.max(this.numbers.get(repoKey) || 0, record.number));
+    return record;
+  }
+
+  getPull(owner, repo, number) {
+    return this.pulls.get(key(owner, repo))?.get(Number(number)) || null;
+  }
+
+  listPulls(owner, repo) {
+    return [...(this.pulls.get(key(owner, repo))?.values() || [])];
+  }
+
+  putPull(owner, repo, record) {
+    const repoKey = key(owner, repo);
+    if (!this.pulls.has(repoKey)) {
+      this.pulls.set(repoKey, new Map());
+    }
+    this.pulls.get(repoKey).set(record.number, record);
+    this.numbers.set(repoKey, Math.max(this.numbers.get(repoKey) || 0, record.number));
+    return record;
+  }
+
+  /**
+   * Build an issue or pull request record for a repository
+   * @param {string} type - issue or pull
+   * @param {Object} repo - Stored repository
+   * @param {number} number - Issue/pull request number
+   */
+  createNumbered(type, repo, number) {
+    const template = this.template(type);
+    const pathName = type === 'pull' ? 'pulls' : 'issues';
+    let record = rewrite(template, `/${pathName}/${template.number}`, `/${pathName}/${number}`);
+    record = rewrite(record, template.base?.repo?.full_name || 'octocat/Hello-World', repo.full_name);
+    const timestamp = this.now();
+
+    return Object.assign(record, {
+      id: this.nextId(),
+      number,
+      state: 'open',
+      locked: false,
+      comments: 0,
+      user: { ...record.user, login: this.login },
+      assignee: null,
+      assignees: [],
+      milestone: null,
+      created_at: timestamp,
+      updated_at: timestamp,
+      closed_at: null
+    });
+  }
+
+  // Gists
+
+  getGist(id) {
+    return this.gists.get(id) || null;
+  }
+
+  listGists(owner) {
+    return [...this.gists.values()].filter(gist => gist.owner?.login === owner);
+  }
+
+  createGist(fields) {
+    const template = this.template('gist');
+    const id = crypto.randomBytes(10).toString('hex');
+    const record = rewrite(template, template.id, id);
+    const timestamp = this.now();
+
+    Object.assign(record, {
+      id,
+      description: fields.description ?? null,
+      public: fields.public === true || fields.public === 'true',
+      owner: { ...record.owner, login: this.login },
+      files: {},
+      comments: 0,
+      history: [],
+      forks: [],
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    this.setGistFiles(record, fields.files || {});
+
+    this.gists.set(id, record);
+    return record;
+  }
+
+  /**
+   * Apply a `files` object from a create/update request; `null` removes a file
+   */
+  setGistFiles(record, files) {
+    for (const [filename, file] of Object.entries(files)) {
+      if (file === null) {
+        delete record.files[filename];
+        continue;
+      }
+
+      const name = file.filename || filename;
+      const content = file.content ?? record.files[filename]?.content ?? '';
+      delete record.files[filename];
+      record.files[name] = {
+        filename: name,
+        type: 'text/plain',
+        language: null,
+        raw_url: `https://gist.githubusercontent.com/${this.login}/${record.id}/raw/${name}`,
+        size: Buffer.byteLength(content),
+        truncated: false,
+        content
+      };
+    }
+  }
+
+  deleteGist(id) {
+    return this.gists.delete(id);
+  }
+
+  // Teams
+
+  getTeam(org, slug) {
+    return this.teams.get(key(org, slug)) || null;
+  }
+
+  listTeams(org) {
+    return [...this.teams.values()].filter(team => team.organization?.login?.toLowerCase() === org.toLowerCase());
+  }
+
+  createTeam(org, fields) {
+    const template = this.template('team');
+    const slug = slugify(fields.name);
+    const record = rewrite(template, `/teams/${template.slug}`, `/teams/${slug}`);
+    const timestamp = this.now();
+
+    Object.assign(record, {
+      id: this.nextId(),
+      name: fields.name,
+      slug,
+      description: fields.description ?? null,
+      privacy: fields.privacy || 'secret',
+      notification_setting: fields.notification_setting || 'notifications_enabled',
+      permission: fields.permission || 'pull',
+      parent: null,
+      members_count: 0,
+      repos_count: 0,
+      organization: { ...record.organization, login: org },
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    this.putTeam(org, record);
+    return record;
+  }
+
+  putTeam(org, record) {
+    this.teams.set(key(org, record.slug), record);
+    return record;
+  }
+
+  deleteTeam(org, slug) {
+    return this.teams.delete(key(org, slug));
+  }
+
+  /**
+   * Start from the spec examples: octocat/Hello-World with an issue and a
+   * pull request, one gist and one team
+   */
+  seed() {
+    const repo = this.template('repo');
+    if (repo) {
+      this.putRepo(repo);
+
+      const [owner, name] = repo.full_name.split('/');
+      const issue = this.template('issue');
+      if (issue) {
+        this.putIssue(owner, name, issue);
+      }
+      const pull = this.template('pull');
+      if (pull) {
+        this.putPull(owner, name, pull);
+      }
+    }
+
+    const gist = this.template('gist');
+    if (gist) {
+      this.gists.set(gist.id, gist);
+    }
+
+    const team = this.template('team');
+    if (team) {
+      this.putTeam(team.organization?.login || 'github', team);
+    }
+  }
+}
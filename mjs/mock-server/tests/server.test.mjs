@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests for the mock GitHub API server
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { Transport } from '@thinkeloquent/github-sdk-core';
+import { createMockServer, CORE_GROUPS } from '../src/server.mjs';
+
+describe('MockServer', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = createMockServer({ groups: CORE_GROUPS });
+    const baseUrl = await server.listen(0);
+    api = new Transport({ baseUrl, auth: 'test-token', retries: 0 });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('round-trips repositories through create, get, list, update and delete', async () => {
+    const created = await api.post('/user/repos', { name: 'mock-demo', description: 'Made by a test', private: true });
+    expect(created.status).toBe(201);
+    expect(created.data).toMatchObject({ name: 'mock-demo', full_name: 'octocat/mock-demo', private: true });
+    expect(created.data.html_url).toBe('https://github.com/octocat/mock-demo');
+
+    const fetched = await api.get('/repos/octocat/mock-demo');
+    expect(fetched.data.id).toBe(created.data.id);
+
+    const listed = await api.get('/user/repos');
+    expect(listed.data.map(repo => repo.name)).toEqual(expect.arrayContaining(['Hello-World', 'mock-demo']));
+
+    const updated = await api.patch('/repos/octocat/mock-demo', { description: 'Changed' });
+    expect(updated.data.description).toBe('Changed');
+
+    expect((await api.delete('/repos/octocat/mock-demo')).status).toBe(204);
+    await expect(api.get('/repos/octocat/mock-demo')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('numbers issues and pull requests per repository and filters by state', async () => {
+    await api.post('/orgs/acme/repos', { name: 'widgets' });
+
+    const issue = await api.post('/repos/acme/widgets/issues', { title: 'Broken', labels: ['bug'] });
+    const pull = await api.post('/repos/acme/widgets/pulls', { title: 'Fix', head: 'fix', base: 'main' });
+    expect(issue.data).toMatchObject({ number: 1, state: 'open', labels: [{ name: 'bug' }] });
+    expect(pull.data).toMatchObject({ number: 2, head: { ref: 'fix' }, base: { ref: 'main' } });
+    expect(pull.data.url).toContain('/repos/acme/widgets/pulls/2');
+
+    await api.patch('/repos/acme/widgets/issues/1', { state: 'closed' });
+    expect((await api.get('/repos/acme/widgets/issues')).data).toEqual([]);
+    expect((await api.get('/repos/acme/widgets/issues', { params: { state: 'closed' } })).data).toHaveLength(1);
+
+    const merged = await api.put('/repos/acme/widgets/pulls/2/merge', {});
+    expect(merged.data.merged).toBe(true);
+    await expect(api.put('/repos/acme/widgets/pulls/2/merge', {})).rejects.toMatchObject({ status: 405 });
+
+    await expect(api.post('/repos/acme/missing/issues', { title: 'x' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('keeps gists and teams', async () => {
+    const gist = await api.post('/gists', { description: 'notes', files: { 'a.md': { content: 'hello' } } });
+    expect(gist.data.files['a.md']).toMatchObject({ content: 'hello', size: 5 });
+
+    await api.patch(`/gists/${gist.data.id}`, { files: { 'a.md': null, 'b.md': { content: 'bye' } } });
+    expect(Object.keys((await api.get(`/gists/${gist.data.id}`)).data.files)).toEqual(['b.md']);
+
+    const team = await api.post('/orgs/acme/teams', { name: 'Core Reviewers' });
+    expect(team.data.slug).toBe('core-reviewers');
+    expect((await api.get('/orgs/acme/teams')).data.map(t => t.slug)).toEqual(['core-reviewers']);
+    await expect(api.post('/orgs/acme/teams', { name: 'Core Reviewers' })).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('paginates stored lists with Link headers', async () => {
+    for (let i = 0; i < 5; i++) {
+      await api.post('/orgs/paged/repos', { name: `repo-${i}` });
+    }
+
+    const first = await api.get('/orgs/paged/repos', { params: { per_page: 2 } });
+    expect(first.data).toHaveLength(2);
+    expect(first.pagination.next).toContain('page=2');
+
+    const all = [];
+    for await (const repo of api.paginate('/orgs/paged/repos', { params: { per_page: 2 } })) {
+      all.push(repo.name);
+    }
+    expect(all).toHaveLength(5);
+  });
+
+  test('answers operations without state from the spec examples', async () => {
+    const branches = await api.get('/repos/octocat/Hello-World/branches');
+    expect(branches.data[0]).toHaveProperty('commit.sha');
+
+    const readme = await api.get('/repos/octocat/Hello-World/readme');
+    expect(readme.data).toHaveProperty('content');
+  });
+
+  test('serves responses that pass strict spec validation', async () => {
+    const strict = new Transport({ baseUrl: server.url, auth: 'test-token', retries: 0, validate: { mode: 'strict', groups: CORE_GROUPS } });
+
+    await expect(strict.get('/repos/octocat/Hello-World')).resolves.toMatchObject({ status: 200 });
+    await expect(strict.get('/repos/octocat/Hello-World/branches')).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('rejects unknown routes, bad JSON and missing required fields like GitHub', async () => {
+    await expect(api.get('/nope/not-here')).rejects.toMatchObject({ status: 404 });
+    await expect(api.post('/user/repos', {})).rejects.toMatchObject({
+      status: 422,
+      errors: [{ code: 'missing_field', field: 'name' }]
+    });
+
+    const response = await fetch(`${server.url}/user/repos`, { method: 'POST', body: '{not json' });
+    expect(response.status).toBe(400);
+  });
+
+  test('serves GitHub Enterprise style /api/v3 URLs and rate limit headers', async () => {
+    const response = await fetch(`${server.url}/api/v3/repos/octocat/Hello-World`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-ratelimit-limit')).toBe('5000');
+  });
+
+  test('requires the configured token', async () => {
+    const locked = createMockServer({ groups: ['gists'], token: 'secret' });
+    const baseUrl = await locked.listen(0);
+
+    try {
+      expect((await fetch(`${baseUrl}/gists`)).status).toBe(401);
+      expect((await fetch(`${baseUrl}/gists`, { headers: { authorization: 'Bearer secret' } })).status).toBe(200);
+    } finally {
+      await locked.close();
+    }
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { fileURLToPath } from 'url';
+
+const git = {
+  status: jest.fn(),
+  addRemote: jest.fn(),
+  fetch: jest.fn(),
+  checkout: jest.fn()
+};
+const openLocalClone = jest.fn();
+
+// An absolute path, since moduleNameMapper resolves relative ones from __tests__
+jest.unstable_mockModule(fileURLToPath(new URL('../../utils/localGit.mjs', import.meta.url)), () => ({ openLocalClone }));
+
+const { default: checkoutCommand } = await import('../../commands/checkout.mjs');
+
+const repo = (fullName, extra = {}) => ({
+  full_name: fullName,
+  owner: { login: fullName.split('/')[0] },
+  clone_url: `https://github.com/${fullName}.git`,
+  ssh_url: `git@github.com:${fullName}.git`,
+  ...extra
+});
+
+const remote = (name, url) => ({ name, refs: { fetch: url, push: url } });
+
+const forkPR = (head = repo('alice/Hello-World')) => global.createPullRequest({
+  head: { ref: 'feature', sha: 'abc123', repo: head },
+  base: { ref: 'main', repo: repo('octocat/Hello-World') }
+});
+
+describe('checkout command', () => {
+  let client;
+
+  const localClone = ({ clean = true, remotes = [remote('origin', 'https://github.com/octocat/Hello-World.git')] } = {}) => {
+    git.status.mockResolvedValue({ status: { isClean: () => clean }, remotes });
+  };
+
+  beforeEach(() => {
+    openLocalClone.mockResolvedValue(git);
+    git.addRemote.mockResolvedValue({ added: true });
+    git.fetch.mockResolvedValue({});
+    git.checkout.mockResolvedValue({ created: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client = global.createFakeClient();
+  });
+
+  test('checks out a branch of the same repository from its remote', async () => {
+    localClone({ remotes: [remote('upstream', 'git@github.com:octocat/Hello-World.git')] });
+    client.get.mockResolvedValue(global.createPullRequest({
+      head: { ref: 'feature', sha: 'abc123', repo: repo('octocat/Hello-World') },
+      base: { ref: 'main', repo: repo('octocat/Hello-World') }
+    }));
+
+    const result = await checkoutCommand(client, { number: 7 });
+
+    expect(git.addRemote).not.toHaveBeenCalled();
+    expect(git.fetch).toHaveBeenCalledWith('.', {
+      remote: 'upstream',
+      refspecs: ['+refs/heads/feature:refs/remotes/upstream/feature']
+    });
+    expect(git.checkout).toHaveBeenCalledWith('.', 'feature', {
+      startPoint: 'upstream/feature',
+      force: undefined,
+      track: { remote: 'upstream', merge: 'refs/heads/feature' }
+    });
+    expect(result).toEqual({
+      number: 7,
+      title: 'Change 7',
+      branch: 'feature',
+      remote: 'upstream',
+      ref: 'refs/heads/feature',
+      created: true
+    });
+  });
+
+  test('adds a fork as a remote over the base remote\'s protocol with --add-remote', async () => {
+    localClone({ remotes: [remote('origin', 'git@github.com:octocat/Hello-World.git')] });
+    client.get.mockResolvedValue(forkPR());
+
+    await checkoutCommand(client, { number: 7, addRemote: true });
+
+    expect(git.addRemote).toHaveBeenCalledWith('.', 'alice', 'git@github.com:alice/Hello-World.git');
+    expect(git.fetch).toHaveBeenCalledWith('.', {
+      remote: 'alice',
+      refspecs: ['+refs/heads/feature:refs/remotes/alice/feature']
+    });
+    expect(git.checkout).toHaveBeenCalledWith('.', 'alice-feature', {
+      startPoint: 'alice/feature',
+      force: undefined,
+      track: { remote: 'alice', merge: 'refs/heads/feature' }
+    });
+  });
+
+  test('fetches a fork from a remote that already points at it', async () => {
+    localClone({
+      remotes: [
+        remote('origin', 'https://github.com/octocat/Hello-World.git'),
+        remote('alices-fork', 'https://github.com/alice/Hello-World')
+      ]
+    });
+    client.get.mockResolvedValue(forkPR());
+
+    const result = await checkoutCommand(client, { number: 7, addRemote: true });
+
+    expect(git.addRemote).not.toHaveBeenCalled();
+    expect(git.fetch).toHaveBeenCalledWith('.', {
+      remote: 'alices-fork',
+      refspecs: ['+refs/heads/feature:refs/remotes/alices-fork/feature']
+    });
+    expect(result).toMatchObject({ branch: 'alice-feature', remote: 'alices-fork', ref: 'refs/heads/feature' });
+  });
+
+  test('falls back to refs/pull/<number>/head when the fork was deleted', async () => {
+    localClone();
+    client.get.mockResolvedValue(forkPR(null));
+
+    const result = await checkoutCommand(client, { number: 7, addRemote: true });
+
+    expect(console.warn).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('fork of PR #7 was deleted'));
+    expect(git.addRemote).not.toHaveBeenCalled();
+    expect(git.fetch).toHaveBeenCalledWith('.', {
+      remote: 'origin',
+      refspecs: ['+refs/pull/7/head:refs/remotes/origin/pr/7']
+    });
+    expect(git.checkout).toHaveBeenCalledWith('.', 'pr-7', {
+      startPoint: 'origin/pr/7',
+      force: undefined,
+      track: { remote: 'origin', merge: 'refs/pull/7/head' }
+    });
+    expect(result).toMatchObject({ branch: 'pr-7', remote: 'origin', ref: 'refs/pull/7/head' });
+  });
+
+  test('refuses to run with local changes unless forced', async () => {
+    localClone({ clean: false });
+    client.get.mockResolvedValue(forkPR());
+
+    await expect(checkoutCommand(client, { number: 7 })).rejects.toThrow('You have local changes');
+    expect(git.fetch).not.toHaveBeenCalled();
+    expect(git.checkout).not.toHaveBeenCalled();
+
+    await checkoutCommand(client, { number: 7, force: true });
+
+    expect(git.checkout).toHaveBeenCalledWith('.', 'alice-feature', expect.objectContaining({ force: true }));
+  });
+});
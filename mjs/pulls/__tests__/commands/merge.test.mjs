@@ -0,0 +1,15 @@
+import { describe, test, expect } from '@jest/globals';
+import mergeCommand from '../../commands/merge.mjs';
+
+describe('merge command', () => {
+  test('refuses a --timeout or --interval that is not a positive number before polling', async () => {
+    const client = global.createFakeClient();
+
+    await expect(mergeCommand(client, { number: 7, whenReady: true, confirm: true, timeout: 'soon', interval: '10' }))
+      .rejects.toThrow('--timeout must be a positive number of minutes, got "soon"');
+    await expect(mergeCommand(client, { number: 7, whenReady: true, confirm: true, timeout: '30', interval: '0' }))
+      .rejects.toThrow('--interval must be a positive number of seconds, got "0"');
+    expect(client.get).not.toHaveBeenCalled();
+    expect(client.merge).not.toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,7 @@
-import { beforeEach, afterEach } from '@jest/globals';
+import { jest, beforeEach, afterEach } from '@jest/globals';
+
+// Keep the writes tests send out of the user's audit log
+process.env.GITHUB_AUDIT_LOG = 'off';
 
 // Make sure we don't make real HTTP requests during tests
 beforeEach(() => {
@@ -102,4 +105,36 @@ global.mockFile = {
   deletions: 5,
   changes: 15,
   patch: '@@ -1,3 +1,3 @@\n-old\n+new'
-};
\ No newline at end of file
+};
+
+// Pull request as the client returns it; overrides replace whole fields
+global.createPullRequest = (overrides = {}) => {
+  const number = overrides.number ?? 7;
+  return {
+    number,
+    title: `Change ${number}`,
+    body: null,
+    state: 'open',
+    merged: false,
+    draft: false,
+    mergeable: true,
+    mergeable_state: 'clean',
+    head: { ref: 'feature', sha: 'abc123' },
+    base: { ref: 'main' },
+    html_url: `https://github.com/octocat/Hello-World/pull/${number}`,
+    ...overrides
+  };
+};
+
+// Pull request client for octocat/Hello-World whose methods are mocks; pass
+// the methods a test needs to answer differently
+global.createFakeClient = (methods = {}) => ({
+  auth: 'token',
+  baseUrl: 'https://api.github.com',
+  validateRepo: () => ({ owner: 'octocat', repo: 'Hello-World' }),
+  get: jest.fn(async number => global.createPullRequest({ number })),
+  listReviews: jest.fn(async () => []),
+  request: jest.fn(async () => ({})),
+  merge: jest.fn(async () => ({ sha: 'merged-sha', merged: true, message: 'Pull Request successfully merged' })),
+  ...methods
+});
@@ -0,0 +1,193 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { checkMergeReadiness, waitAndMerge } from '../../utils/autoMerge.mjs';
+import { ApiError, MergeAbortedError } from '../../utils/errors.mjs';
+
+const pullRequest = global.createPullRequest;
+
+const passingRun = { name: 'build', status: 'completed', conclusion: 'success' };
+
+/**
+ * Client answering each poll from the next snapshot; the last one repeats
+ */
+function fakeClient(snapshots, { merge } = {}) {
+  let poll = -1;
+  const current = () => snapshots[Math.min(poll, snapshots.length - 1)];
+
+  return global.createFakeClient({
+    get: jest.fn(async () => {
+      poll++;
+      return pullRequest(current().pr);
+    }),
+    listReviews: jest.fn(async () => current().reviews || []),
+    request: jest.fn(async (method, path) => path.includes('/check-runs')
+      ? { check_runs: current().checkRuns || [] }
+      : { state: 'success', statuses: current().statuses || [] }),
+    ...(merge && { merge })
+  });
+}
+
+describe('checkMergeReadiness', () => {
+  test('is ready when every reported check passed and nobody objects', () => {
+    const readiness = checkMergeReadiness({
+      pr: pullRequest(),
+      statuses: [{ context: 'ci/lint', state: 'success' }],
+      checkRuns: [passingRun, { name: 'docs', status: 'completed', conclusion: 'skipped' }],
+      reviews: [{ user: { login: 'alice' }, state: 'APPROVED' }]
+    });
+
+    expect(readiness.status).toBe('ready');
+    expect(readiness.checks.map(check => check.name)).toEqual(['ci/lint', 'build', 'docs']);
+  });
+
+  test('waits for pending checks, missing required contexts and mergeability', () => {
+    const readiness = checkMergeReadiness({
+      pr: pullRequest({ mergeable: null, mergeable_state: 'unknown' }),
+      checkRuns: [{ name: 'build', status: 'in_progress', conclusion: null }, { name: 'flaky', status: 'completed', conclusion: 'failure' }],
+      requiredContexts: ['build', 'deploy/preview']
+    });
+
+    expect(readiness.status).toBe('waiting');
+    expect(readiness.pending).toEqual([
+      'check build',
+      'required check deploy/preview to report',
+      'GitHub to compute mergeability'
+    ]);
+  });
+
+  test('aborts with a reason for failed checks, requested changes and conflicts', () => {
+    expect(checkMergeReadiness({
+      pr: pullRequest(),
+      statuses: [{ context: 'ci/test', state: 'error' }]
+    })).toMatchObject({ status: 'aborted', reason: 'check_failed', message: 'Check failed: ci/test' });
+
+    expect(checkMergeReadiness({
+      pr: pullRequest(),
+      reviews: [
+        { user: { login: 'alice' }, state: 'APPROVED' },
+        { user: { login: 'bob' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'bob' }, state: 'COMMENTED' }
+      ]
+    })).toMatchObject({ status: 'aborted', reason: 'changes_requested', message: 'Changes requested by @bob' });
+
+    expect(checkMergeReadiness({
+      pr: pullRequest({ mergeable: false, mergeable_state: 'dirty' })
+    })).toMatchObject({ status: 'aborted', reason: 'conflict' });
+  });
+
+  test('a later approval or dismissal lifts requested changes', () => {
+    const readiness = checkMergeReadiness({
+      pr: pullRequest(),
+      reviews: [
+        { user: { login: 'bob' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'bob' }, state: 'DISMISSED' }
+      ],
+      requireApproval: true
+    });
+
+    expect(readiness).toMatchObject({ status: 'waiting', pending: ['an approving review'] });
+  });
+});
+
+describe('waitAndMerge', () => {
+  test('polls until the required checks pass, then merges the checked head', async () => {
+    const client = fakeClient([
+      { pr: { mergeable: null }, checkRuns: [{ name: 'build', status: 'queued' }] },
+      { checkRuns: [{ name: 'build', status: 'in_progress' }, { name: 'optional', status: 'completed', conclusion: 'failure' }] },
+      { checkRuns: [passingRun, { name: 'optional', status: 'completed', conclusion: 'failure' }] }
+    ]);
+    const onPoll = jest.fn();
+
+    const result = await waitAndMerge(client, 7, {
+      method: 'squash',
+      interval: 1,
+      requiredContexts: ['build'],
+      onPoll
+    });
+
+    expect(result).toMatchObject({ sha: 'merged-sha', attempts: 3 });
+    expect(onPoll.mock.calls.map(([readiness]) => readiness.status)).toEqual(['waiting', 'waiting', 'ready']);
+    expect(client.request).toHaveBeenCalledWith('GET', '/repos/octocat/Hello-World/commits/abc123/check-runs?per_page=100&page=1');
+    expect(client.merge).toHaveBeenCalledWith(7, { merge_method: 'squash', sha: 'abc123' });
+  });
+
+  test('reads required contexts from branch protection once per base branch', async () => {
+    const repoClient = { branches: { getRequiredStatusCheckContexts: jest.fn(async () => ['build']) } };
+    const client = fakeClient([
+      { checkRuns: [] },
+      { checkRuns: [passingRun] }
+    ]);
+
+    await waitAndMerge(client, 7, { interval: 1, repoClient });
+
+    expect(repoClient.branches.getRequiredStatusCheckContexts).toHaveBeenCalledTimes(1);
+    expect(repoClient.branches.getRequiredStatusCheckContexts).toHaveBeenCalledWith('octocat', 'Hello-World', 'main');
+    expect(client.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('gates on every reported check when the branch is unprotected', async () => {
+    const repoClient = { branches: { getRequiredStatusCheckContexts: jest.fn(async () => { throw new ApiError('Branch not protected', 404); }) } };
+    const client = fakeClient([{ checkRuns: [passingRun, { name: 'lint', status: 'completed', conclusion: 'timed_out' }] }]);
+
+    await expect(waitAndMerge(client, 7, { interval: 1, repoClient })).rejects.toMatchObject({
+      name: 'MergeAbortedError',
+      reason: 'check_failed',
+      message: 'Check failed: lint'
+    });
+    expect(client.merge).not.toHaveBeenCalled();
+  });
+
+  test('reads every page of reviews', async () => {
+    const client = fakeClient([{ checkRuns: [passingRun] }]);
+    const approvals = Array.from({ length: 100 }, (_, i) => ({ user: { login: `reviewer${i}` }, state: 'APPROVED' }));
+    client.listReviews.mockImplementation(async (number, { page }) => (page === 1 ? approvals : [{ user: { login: 'bob' }, state: 'CHANGES_REQUESTED' }]));
+
+    await expect(waitAndMerge(client, 7, { interval: 1, requiredContexts: ['build'] })).rejects.toMatchObject({
+      reason: 'changes_requested',
+      message: 'Changes requested by @bob'
+    });
+    expect(client.listReviews).toHaveBeenCalledWith(7, { page: 2, per_page: 100 });
+    expect(client.merge).not.toHaveBeenCalled();
+  });
+
+  test('reads every page of statuses and check runs', async () => {
+    const repoClient = { branches: { getRequiredStatusCheckContexts: jest.fn(async () => { throw new ApiError('Branch not protected', 404); }) } };
+    const client = fakeClient([{}]);
+    const passing = Array.from({ length: 100 }, (_, i) => ({ ...passingRun, name: `build-${i}` }));
+    client.request.mockImplementation(async (method, path) => {
+      const page = Number(new URL(path, 'https://api.github.com').searchParams.get('page'));
+      return path.includes('/check-runs')
+        ? { check_runs: page === 1 ? passing : [{ name: 'e2e', status: 'completed', conclusion: 'failure' }] }
+        : { state: 'success', statuses: page === 1 ? passing.map(run => ({ context: run.name, state: 'success' })) : [] };
+    });
+
+    await expect(waitAndMerge(client, 7, { interval: 1, repoClient })).rejects.toMatchObject({
+      reason: 'check_failed',
+      message: 'Check failed: e2e'
+    });
+    expect(client.request).toHaveBeenCalledWith('GET', '/repos/octocat/Hello-World/commits/abc123/status?per_page=100&page=2');
+    expect(client.merge).not.toHaveBeenCalled();
+  });
+
+  test('keeps polling when the merge is refused because the head moved on', async () => {
+    const merge = jest.fn()
+      .mockRejectedValueOnce(new ApiError('Head branch was modified', 409))
+      .mockResolvedValueOnce({ sha: 'merged-sha', merged: true });
+    const client = fakeClient([{ checkRuns: [passingRun] }], { merge });
+
+    const result = await waitAndMerge(client, 7, { interval: 1, requiredContexts: ['build'] });
+
+    expect(result.attempts).toBe(2);
+    expect(merge).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the timeout with what it was still waiting for', async () => {
+    const client = fakeClient([{ checkRuns: [{ name: 'build', status: 'in_progress' }] }]);
+
+    const error = await waitAndMerge(client, 7, { interval: 5, timeout: 12, requiredContexts: ['build'] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(MergeAbortedError);
+    expect(error.reason).toBe('timeout');
+    expect(error.message).toMatch(/waiting for check build$/);
+    expect(error.data.status).toBe('waiting');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { parsePatch, parseUnifiedDiff, fetchPullRequestDiff, wordDiff, pairHunkLines, filterFiles } from '../../utils/diff.mjs';
+import { renderFileDiff, renderDiff, languageFor, highlightSyntax } from '../../utils/diffRender.mjs';
+
+const PATCH = [
+  '@@ -1,4 +1,4 @@ function total(items) {',
+  ' const tax = 0.2;',
+  '-const total = count * 2;',
+  '+const total = count * 3;',
+  ' return total;',
+  '-// old',
+  '\\ No newline at end of file'
+].join('\n');
+
+const FULL_DIFF = `diff --git a/src/app.js b/src/app.js
+index 83db48f..bf269f4 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,2 +1,1 @@
+-const a = 1;
++const a = 2;
+--- not a header
+diff --git a/docs/old.md b/docs/new.md
+similarity index 100%
+rename from docs/old.md
+rename to docs/new.md
+diff --git a/logo.png b/logo.png
+new file mode 100644
+index 0000000..e69de29
+Binary files /dev/null and b/logo.png differ
+diff --git a/gone.txt b/gone.txt
+deleted file mode 100644
+--- a/gone.txt
++++ /dev/null
+@@ -1 +0,0 @@
+-bye
+`;
+
+describe('parsing', () => {
+  test('parsePatch numbers each line on its side and skips the no-newline marker', () => {
+    const [hunk] = parsePatch(PATCH);
+
+    expect(hunk).toMatchObject({ oldStart: 1, oldLines: 4, newStart: 1, newLines: 4, section: 'function total(items) {' });
+    expect(hunk.lines.map(line => [line.type, line.oldLine, line.newLine])).toEqual([
+      ['context', 1, 1],
+      ['del', 2, null],
+      ['add', null, 2],
+      ['context', 3, 3],
+      ['del', 4, null]
+    ]);
+  });
+
+  test('parseUnifiedDiff splits a whole diff into files like the files API returns', () => {
+    const files = parseUnifiedDiff(FULL_DIFF);
+
+    expect(files.map(({ filename, status, additions, deletions, binary }) => ({ filename, status, additions, deletions, binary }))).toEqual([
+      { filename: 'src/app.js', status: 'modified', additions: 1, deletions: 2, binary: false },
+      { filename: 'docs/new.md', status: 'renamed', additions: 0, deletions: 0, binary: false },
+      { filename: 'logo.png', status: 'added', additions: 0, deletions: 0, binary: true },
+      { filename: 'gone.txt', status: 'removed', additions: 0, deletions: 1, binary: false }
+    ]);
+    expect(files[1].previous_filename).toBe('docs/old.md');
+    expect(parsePatch(files[0].patch)[0].lines.map(line => line.content)).toEqual(['const a = 1;', 'const a = 2;', '-- not a header']);
+    expect(files[2].patch).toBeUndefined();
+  });
+
+  test('fetchPullRequestDiff asks for the diff media type', async () => {
+    const transport = { get: jest.fn(async () => ({ data: FULL_DIFF })) };
+    const client = { validateRepo: () => ({ owner: 'octocat', repo: 'Hello-World' }) };
+
+    await expect(fetchPullRequestDiff(client, 7, { transport })).resolves.toBe(FULL_DIFF);
+    expect(transport.get).toHaveBeenCalledWith('/repos/octocat/Hello-World/pulls/7', {
+      headers: { Accept: 'application/vnd.github.diff' }
+    });
+  });
+});
+
+describe('word diff', () => {
+  test('marks only the words that changed', () => {
+    expect(wordDiff('const total = count * 2;', 'const total = count * 3;')).toEqual({ old: [[22, 23]], new: [[22, 23]] });
+    expect(wordDiff('return a;', 'return a + b;')).toEqual({ old: [], new: [[8, 12]] });
+  });
+
+  test('leaves rewritten lines unmarked', () => {
+    expect(wordDiff('import fs from "fs";', 'export default 42')).toEqual({ old: [], new: [] });
+  });
+
+  test('pairs each removed line with the added line that replaced it', () => {
+    const rows = pairHunkLines(parsePatch(PATCH)[0]);
+
+    expect(rows.map(row => [row.type, row.left?.oldLine ?? null, row.right?.newLine ?? null])).toEqual([
+      ['context', 1, 1],
+      ['change', 2, 2],
+      ['context', 3, 3],
+      ['change', 4, null]
+    ]);
+    expect(rows[1].rightRanges).toEqual([[22, 23]]);
+  });
+});
+
+describe('filterFiles', () => {
+  const files = ['src/app.js', 'src/lib/util.mjs', 'test/app.test.js', 'README.md'].map(filename => ({ filename }));
+  const names = globs => filterFiles(files, globs).map(file => file.filename);
+
+  test('matches globs against paths, and bare globs against file names', () => {
+    expect(names(['src/**/*.{js,mjs}'])).toEqual(['src/app.js', 'src/lib/util.mjs']);
+    expect(names(['*.js'])).toEqual(['src/app.js', 'test/app.test.js']);
+    expect(names(['src/'])).toEqual(['src/app.js', 'src/lib/util.mjs']);
+    expect(names(['**', '!*.test.js', '!README.md'])).toEqual(['src/app.js', 'src/lib/util.mjs']);
+  });
+});
+
+describe('rendering', () => {
+  const file = { filename: 'src/total.js', status: 'modified', additions: 1, deletions: 2, changes: 3, patch: PATCH };
+
+  test('renders a unified view with both line numbers', () => {
+    expect(renderFileDiff(file, { color: false })).toEqual([
+      '▾ src/total.js (modified) +1 -2',
+      '@@ -1,4 +1,4 @@ function total(items) {',
+      '1 1 │  const tax = 0.2;',
+      '2   │ -const total = count * 2;',
+      '  2 │ +const total = count * 3;',
+      '3 3 │  return total;',
+      '4   │ -// old'
+    ]);
+  });
+
+  test('renders a side-by-side view fitted to the width', () => {
+    const lines = renderFileDiff(file, { view: 'split', width: 53, color: false });
+
+    expect(lines.slice(2)).toEqual([
+      '1  const tax = 0.2;       │ 1  const tax = 0.2;',
+      '2 -const total = count *… │ 2 +const total = count *…',
+      '3  return total;          │ 3  return total;',
+      '4 -// old                 │'
+    ]);
+  });
+
+  test('collapses binary files and renames without changes', () => {
+    expect(renderDiff([
+      { filename: 'logo.png', status: 'added', changes: 0 },
+      { filename: 'docs/new.md', previous_filename: 'docs/old.md', status: 'renamed', changes: 0 },
+      { filename: 'huge.json', status: 'modified', additions: 9000, changes: 9000 }
+    ], { color: false }).split('\n\n')).toEqual([
+      '▸ logo.png (added) +0 -0 — binary file not shown',
+      '▸ docs/old.md → docs/new.md (renamed) +0 -0 — renamed without changes',
+      '▸ huge.json (modified) +9000 -0 — diff too large to show; try --full'
+    ]);
+  });
+
+  test('colors code by the language its extension names', () => {
+    expect(languageFor('src/app.tsx')).toBe('javascript');
+    expect(languageFor('Dockerfile')).toBe('shell');
+    expect(languageFor('notes.txt')).toBeNull();
+    expect(highlightSyntax('return "x" + 42; // done', 'javascript')).toEqual([
+      { text: 'return', style: 'keyword' },
+      { text: ' ', style: null },
+      { text: '"x"', style: 'string' },
+      { text: ' + ', style: null },
+      { text: '42', style: 'number' },
+      { text: '; ', style: null },
+      { text: '// done', style: 'comment' }
+    ]);
+  });
+});
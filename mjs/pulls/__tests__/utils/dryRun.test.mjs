@@ -0,0 +1,84 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { applyDryRun, DryRun, OperationIndex, loadSpecs, resolveRef } from '@thinkeloquent/github-sdk-core';
+import { PULL_WRITES } from '../../utils/dryRun.mjs';
+import typegen from '../../types/typegen.config.mjs';
+import mergeCommand from '../../commands/merge.mjs';
+
+describe('dry run', () => {
+  let stderr;
+
+  beforeEach(() => {
+    process.env.GITHUB_DRY_RUN = '1';
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_DRY_RUN;
+    jest.restoreAllMocks();
+  });
+
+  test('gh-pr merge prints the merge instead of sending the PUT', async () => {
+    const client = global.createFakeClient();
+    const merge = client.merge;
+    const request = client.request;
+    applyDryRun(client, PULL_WRITES);
+
+    await mergeCommand(client, { number: 42, method: 'squash' });
+
+    expect(merge).not.toHaveBeenCalled();
+    expect(request).not.toHaveBeenCalledWith('PUT', expect.anything(), expect.anything());
+    const printed = stderr.mock.calls.map(([text]) => text).join('');
+    expect(printed).toContain('PUT https://api.github.com/repos/octocat/Hello-World/pulls/42/merge');
+    expect(printed).toContain('"merge_method": "squash"');
+  });
+
+  test('sends writes again once the dry run is off', async () => {
+    delete process.env.GITHUB_DRY_RUN;
+    const client = global.createFakeClient();
+    const merge = client.merge;
+    applyDryRun(client, PULL_WRITES);
+
+    await client.merge(42, { merge_method: 'rebase' });
+
+    expect(merge).toHaveBeenCalledWith(42, { merge_method: 'rebase' });
+  });
+});
+
+// Arguments of each write method, in the order types/index.d.ts declares them
+const WRITE_CALLS = {
+  create: [{ title: 'Change', head: 'feature', base: 'main' }],
+  update: [42, { title: 'Renamed' }],
+  merge: [42, { merge_method: 'squash' }],
+  updateBranch: [42, { expected_head_sha: 'abc123' }],
+  requestReviewers: [42, { reviewers: ['hubot'] }],
+  removeRequestedReviewers: [42, { reviewers: ['hubot'] }],
+  createReview: [42, { event: 'APPROVE' }],
+  createReviewComment: [42, { body: 'Nit', commit_id: 'abc123', path: 'README.md', line: 1 }]
+};
+
+describe('PULL_WRITES', () => {
+  const index = new OperationIndex(loadSpecs({ groups: ['pulls'] }));
+  const writeOperations = Object.fromEntries(Object.entries(typegen.virtual.PullRequestClient.methods)
+    .map(([name, method]) => [name, index.get(typeof method === 'string' ? method : method.operation)])
+    .filter(([, operation]) => operation && operation.method !== 'GET'));
+
+  test('covers every write method of the client', () => {
+    expect(Object.keys(PULL_WRITES).sort()).toEqual(Object.keys(writeOperations).sort());
+  });
+
+  test.each(Object.keys(PULL_WRITES))('%s plans the request of its operation', async name => {
+    const dryRun = new DryRun({ log: false });
+    const client = applyDryRun({ ...global.createFakeClient(), [name]: jest.fn() }, PULL_WRITES, { dryRun });
+
+    await client[name](...WRITE_CALLS[name]);
+
+    const [{ method, url, body }] = dryRun.plan;
+    const { operation, params } = index.match(method, new URL(url).pathname);
+    expect(operation.operationId).toBe(writeOperations[name].operationId);
+    expect(params).toEqual({ owner: 'octocat', repo: 'Hello-World', ...(operation.path.includes('{pull_number}') && { pull_number: '42' }) });
+
+    const schema = resolveRef(operation.doc, resolveRef(operation.doc, operation.operation.requestBody)?.content['application/json'].schema);
+    expect(Object.keys(body).filter(key => !(key in schema.properties))).toEqual([]);
+  });
+});
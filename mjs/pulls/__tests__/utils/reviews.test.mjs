@@ -0,0 +1,153 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { parseReviewFile, parseDiffHunks, validateReviewComments } from '../../utils/reviewFile.mjs';
+import {
+  createReviewWithComments,
+  addPendingReviewComments,
+  submitPendingReview,
+  discardPendingReview
+} from '../../utils/reviews.mjs';
+import { NotFoundError, ValidationError } from '../../utils/errors.mjs';
+
+// New lines 10-15 and 41-43; old lines 10-14 and 40-43
+const PATCH = [
+  '@@ -10,5 +10,6 @@ export function parse(text) {',
+  '   const lines = text.split("\\n");',
+  '-  let count = 0;',
+  '+  let count = 1;',
+  '+  let total = 0;',
+  '   for (const line of lines) {',
+  '     count++;',
+  '   }',
+  '@@ -40,4 +41,3 @@ export function render() {',
+  '   return [',
+  '-    header,',
+  '-    body',
+  '+    body',
+  '   ];',
+  '\\ No newline at end of file'
+].join('\n');
+
+const FILES = [
+  { filename: 'src/parse.js', status: 'modified', patch: PATCH },
+  { filename: 'logo.png', status: 'added' }
+];
+
+function fakeClient({ reviews = [], files = FILES } = {}) {
+  return global.createFakeClient({
+    listFiles: jest.fn(async (number, { page }) => (page === 1 ? files : [])),
+    listReviews: jest.fn(async (number, { page }) => (page === 1 ? reviews : [])),
+    createReview: jest.fn(async (number, data) => ({ id: 1, state: data.event ? 'COMMENTED' : 'PENDING' })),
+    request: jest.fn(async () => ({ id: 5, state: 'APPROVED' }))
+  });
+}
+
+describe('parseReviewFile', () => {
+  test('reads a YAML review with a summary and turns suggestions into suggestion blocks', () => {
+    const review = parseReviewFile([
+      'event: request_changes',
+      'body: A couple of things',
+      'comments:',
+      '  - path: src/parse.js',
+      '    line: 11',
+      '    body: Why start at one?',
+      '    suggestion: "  let count = 0;"',
+      '  - path: src/parse.js',
+      '    start_line: 10',
+      '    line: 12',
+      '    side: left',
+      '    body: This loop was fine'
+    ].join('\n'));
+
+    expect(review.event).toBe('REQUEST_CHANGES');
+    expect(review.body).toBe('A couple of things');
+    expect(review.comments).toEqual([
+      { path: 'src/parse.js', line: 11, side: 'RIGHT', body: 'Why start at one?\n```suggestion\n  let count = 0;\n```' },
+      { path: 'src/parse.js', line: 12, side: 'LEFT', start_line: 10, start_side: 'LEFT', body: 'This loop was fine' }
+    ]);
+  });
+
+  test('accepts a bare JSON list of comments and rejects unknown events', () => {
+    expect(parseReviewFile('[{"path": "a.js", "line": 1, "body": "Nit"}]', 'json').comments).toHaveLength(1);
+    expect(() => parseReviewFile('event: MERGE\ncomments: []')).toThrow('Unknown review event "MERGE"');
+    expect(() => parseReviewFile('comments: nope')).toThrow('list of comments');
+  });
+});
+
+describe('validateReviewComments', () => {
+  test('maps hunk lines to the side they can be commented on', () => {
+    const [first, second] = parseDiffHunks(PATCH);
+
+    expect([...first.right]).toEqual([10, 11, 12, 13, 14, 15]);
+    expect([...first.left]).toEqual([10, 11, 12, 13, 14]);
+    expect([...second.right]).toEqual([41, 42, 43]);
+    expect([...second.left]).toEqual([40, 41, 42, 43]);
+  });
+
+  test('accepts comments inside a hunk and explains each one outside it', () => {
+    const comments = parseReviewFile([
+      '- { path: src/parse.js, line: 12, body: ok }',
+      '- { path: src/parse.js, start_line: 41, line: 43, body: ok, suggestion: "    body" }',
+      '- { path: src/parse.js, line: 30, body: too far }',
+      '- { path: src/parse.js, start_line: 14, line: 42, body: spans hunks }',
+      '- { path: src/parse.js, line: 11, side: LEFT, body: no, suggestion: x }',
+      '- { path: logo.png, line: 1, body: binary }',
+      '- { path: README.md, line: 1, body: untouched }'
+    ].join('\n')).comments;
+
+    expect(validateReviewComments(comments, FILES)).toEqual([
+      { field: 'comments[2] src/parse.js:30', message: 'line 30 (RIGHT) is outside the diff; RIGHT lines in the diff: 10-15, 41-43' },
+      { field: 'comments[3] src/parse.js:42', message: expect.stringContaining('start_line 14 (RIGHT) is not in the same diff hunk') },
+      { field: 'comments[4] src/parse.js:11', message: 'suggestions can only be made on the RIGHT side' },
+      { field: 'comments[5] logo.png:1', message: 'file has no diff to comment on (binary or too large)' },
+      { field: 'comments[6] README.md:1', message: 'file is not changed in this pull request' }
+    ]);
+  });
+});
+
+describe('reviews', () => {
+  const comment = { path: 'src/parse.js', line: 12, side: 'RIGHT', body: 'Nit' };
+
+  test('createReviewWithComments pins the review to the checked head commit', async () => {
+    const client = fakeClient();
+
+    await createReviewWithComments(client, 7, { event: 'COMMENT', body: 'Looks good', comments: [comment] });
+
+    expect(client.createReview).toHaveBeenCalledWith(7, {
+      commit_id: 'abc123',
+      event: 'COMMENT',
+      body: 'Looks good',
+      comments: [comment]
+    });
+  });
+
+  test('createReviewWithComments sends nothing when a comment misses the diff', async () => {
+    const client = fakeClient();
+
+    const error = await createReviewWithComments(client, 7, { comments: [{ ...comment, line: 99 }] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.getErrorMessages()).toEqual([expect.stringMatching(/^comments\[0\] src\/parse\.js:99: line 99/)]);
+    expect(client.createReview).not.toHaveBeenCalled();
+  });
+
+  test('adds threads to, submits and discards the pending review', async () => {
+    const client = fakeClient({ reviews: [{ id: 4, state: 'APPROVED' }, { id: 5, node_id: 'PRR_5', state: 'PENDING' }] });
+    const graphql = { query: jest.fn(async () => ({ addPullRequestReviewThread: { thread: { id: 'T_1' } } })) };
+
+    await addPendingReviewComments(client, 7, [comment, { ...comment, start_line: 10, start_side: 'RIGHT' }], { graphql });
+    await submitPendingReview(client, 7, { event: 'APPROVE' });
+    await discardPendingReview(client, 7);
+
+    expect(graphql.query).toHaveBeenCalledTimes(2);
+    expect(graphql.query.mock.calls[0][1]).toEqual({
+      review: 'PRR_5', path: 'src/parse.js', body: 'Nit', line: 12, side: 'RIGHT', startLine: null, startSide: null
+    });
+    expect(graphql.query.mock.calls[1][1]).toMatchObject({ startLine: 10, startSide: 'RIGHT' });
+    expect(client.request).toHaveBeenCalledWith('POST', '/repos/octocat/Hello-World/pulls/7/reviews/5/events', { event: 'APPROVE' });
+    expect(client.request).toHaveBeenCalledWith('DELETE', '/repos/octocat/Hello-World/pulls/7/reviews/5');
+  });
+
+  test('pending review operations need a pending review', async () => {
+    await expect(submitPendingReview(fakeClient(), 7)).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { renderStackSection, parseStack, withStackSection, createStack, loadStack, syncStack } from '../../utils/stack.mjs';
+
+function pullRequest(number, branch, base, overrides = {}) {
+  return global.createPullRequest({ number, head: { ref: branch }, base: { ref: base }, ...overrides });
+}
+
+/**
+ * Client over an in-memory set of pull requests
+ */
+function fakeClient(prs = [], reviews = {}) {
+  const byNumber = new Map(prs.map(pr => [pr.number, pr]));
+  let next = 100;
+
+  return global.createFakeClient({
+    request: jest.fn(async (method, path) => (path.includes('/commits/')
+      ? { commit: { message: `Work on ${path.split('/commits/')[1]}\n\nDetails` } }
+      : { default_branch: 'main' })),
+    list: jest.fn(async ({ head }) => [...byNumber.values()].filter(pr => `octocat:${pr.head.ref}` === head && pr.state === 'open')),
+    get: jest.fn(async number => byNumber.get(number)),
+    create: jest.fn(async ({ title, head, base, draft }) => {
+      const pr = pullRequest(next++, head, base, { title, draft });
+      byNumber.set(pr.number, pr);
+      return pr;
+    }),
+    update: jest.fn(async (number, data) => {
+      const pr = byNumber.get(number);
+      if (data.base) pr.base = { ref: data.base };
+      if (data.body !== undefined) pr.body = data.body;
+      return pr;
+    }),
+    listReviews: jest.fn(async number => reviews[number] || [])
+  });
+}
+
+const STACK = { base: 'main', pulls: [12, 13, 14] };
+
+describe('stack section', () => {
+  test('lists the stack for readers and keeps the metadata in a comment', () => {
+    expect(renderStackSection(STACK, 13)).toBe([
+      '<!-- gh-pr-stack {"base":"main","pulls":[12,13,14]} -->',
+      '---',
+      '',
+      '**Stack** into `main`, merging bottom first:',
+      '',
+      '1. #12',
+      '2. #13 ← this pull request',
+      '3. #14',
+      '',
+      '<!-- /gh-pr-stack -->'
+    ].join('\n'));
+  });
+
+  test('replaces the section of a body instead of adding another', () => {
+    const body = withStackSection('Adds the parser.', STACK, 12);
+    const grown = withStackSection(body, { base: 'main', pulls: [12, 13, 14, 15] }, 12);
+
+    expect(grown.startsWith('Adds the parser.\n\n<!-- gh-pr-stack ')).toBe(true);
+    expect(grown.match(/gh-pr-stack \{/g)).toHaveLength(1);
+    expect(parseStack(grown)).toEqual({ base: 'main', pulls: [12, 13, 14, 15] });
+  });
+
+  test('ignores bodies without a stack or with broken metadata', () => {
+    expect(parseStack(null)).toBeNull();
+    expect(parseStack('Just a description')).toBeNull();
+    expect(parseStack('<!-- gh-pr-stack {"base":"main","pulls":["12"]} -->\n<!-- /gh-pr-stack -->')).toBeNull();
+  });
+});
+
+describe('createStack', () => {
+  test('bases each pull request on the branch before it and records the stack in every body', async () => {
+    const existing = pullRequest(12, 'parser', 'develop', { body: 'Adds the parser.' });
+    const client = fakeClient([existing]);
+
+    const stack = await createStack(client, ['parser', 'lexer', 'docs'], { draft: true });
+
+    expect(stack.base).toBe('main');
+    expect(stack.pulls.map(({ number, branch, base, created }) => ({ number, branch, base, created }))).toEqual([
+      { number: 12, branch: 'parser', base: 'main', created: false },
+      { number: 100, branch: 'lexer', base: 'parser', created: true },
+      { number: 101, branch: 'docs', base: 'lexer', created: true }
+    ]);
+    expect(client.create).toHaveBeenCalledWith({ title: 'Work on lexer', head: 'lexer', base: 'parser', draft: true });
+    expect(client.update).toHaveBeenCalledWith(12, { base: 'main' });
+
+    for (const number of [12, 100, 101]) {
+      expect(parseStack((await client.get(number)).body)).toEqual({ base: 'main', pulls: [12, 100, 101] });
+    }
+    expect((await client.get(12)).body.startsWith('Adds the parser.')).toBe(true);
+  });
+
+  test('refuses a branch listed twice', async () => {
+    await expect(createStack(fakeClient(), ['parser', 'lexer', 'parser'])).rejects.toThrow('Branch parser is listed more than once');
+  });
+});
+
+describe('loadStack and syncStack', () => {
+  const body = number => withStackSection('', STACK, number);
+  const stackedPulls = () => [
+    pullRequest(12, 'parser', 'main', { state: 'closed', merged: true, body: body(12) }),
+    pullRequest(13, 'lexer', 'parser', { body: body(13) }),
+    pullRequest(14, 'docs', 'lexer', { draft: true, body: body(14) })
+  ];
+
+  test('rebuilds the stack from any of its pull requests, with review and merge state', async () => {
+    const client = fakeClient(stackedPulls(), {
+      13: [
+        { user: { login: 'alice' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'alice' }, state: 'APPROVED' }
+      ]
+    });
+
+    const stack = await loadStack(client, 14);
+
+    expect(stack.pulls.map(({ number, state, review, base, expectedBase }) => ({ number, state, review, base, expectedBase }))).toEqual([
+      { number: 12, state: 'merged', review: null, base: 'main', expectedBase: null },
+      { number: 13, state: 'open', review: 'approved', base: 'parser', expectedBase: 'main' },
+      { number: 14, state: 'draft', review: 'review_required', base: 'lexer', expectedBase: 'lexer' }
+    ]);
+    expect(client.listReviews).not.toHaveBeenCalledWith(12, expect.anything());
+  });
+
+  test('retargets pull requests whose base merged', async () => {
+    const client = fakeClient(stackedPulls());
+
+    const stack = await syncStack(client, 12);
+
+    expect(stack.changes).toEqual([{ number: 13, from: 'parser', to: 'main' }]);
+    expect(client.update).toHaveBeenCalledTimes(1);
+    expect(client.update).toHaveBeenCalledWith(13, { base: 'main' });
+  });
+
+  test('only reports the retargets on a dry run', async () => {
+    const client = fakeClient(stackedPulls());
+
+    const stack = await syncStack(client, 13, { dryRun: true });
+
+    expect(stack.changes).toEqual([{ number: 13, from: 'parser', to: 'main' }]);
+    expect(client.update).not.toHaveBeenCalled();
+  });
+
+  test('says so when the pull request is not part of a stack', async () => {
+    await expect(loadStack(fakeClient([pullRequest(7, 'fix', 'main')]), 7)).rejects.toThrow('Pull request #7 is not part of a stack');
+  });
+});
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
@@ -8,6 +8,19 @@ import inquirer from 'inquirer';
 import { createClient } from './index.mjs';
 import { loadConfig, resolveRepository, initConfig } from './lib/config.mjs';
 import { getAuth } from './lib/auth.mjs';
+import {
+  resolveToken,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  isMachineOutput,
+  isMainModule,
+  registerCompletionCommand,
+  readCompletionCache,
+  writeCompletionCache
+} from '@thinkeloquent/github-sdk-core';
 import { formatOutput, formatError } from './utils/format.mjs';
 import { collectAllPages } from './utils/pagination.mjs';
 
@@ -17,14 +30,19 @@ import getCommand from './commands/get.mjs';
 import createCommand from './commands/create.mjs';
 import updateCommand from './commands/update.mjs';
 import mergeCommand from './commands/merge.mjs';
+import checkoutCommand from './commands/checkout.mjs';
 import reviewCommand from './commands/review.mjs';
 import commentsCommand from './commands/comments.mjs';
 import filesCommand from './commands/files.mjs';
+import diffCommand from './commands/diff.mjs';
+import { stackCreateCommand, stackStatusCommand, stackSyncCommand } from './commands/stack.mjs';
 import searchCommand from './commands/search.mjs';
 
 // Version from package.json
 const VERSION = '1.0.0';
 
+const program = new Command();
+
 // Configure program
 program
   .name('gh-pr')
@@ -32,9 +50,13 @@ program
   .version(VERSION)
   .option('-r, --repo <owner/repo>', 'Repository (owner/repo format)')
   .option('-t, --token <token>', 'GitHub authentication token')
-  .option('-o, --output <format>', 'Output format (json, table, text)', 'table')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table, text)', 'table')
   .option('--no-color', 'Disable colored output')
-  .option('--config', 'Show configuration')
+  .option('--config', 'Show configuration');
+
+addOutputOptions(program);
+addDryRunOption(program);
+addProfileOption(program)
   .hook('preAction', (thisCommand) => {
     // Global pre-action hook
     if (thisCommand.opts().noColor) {
@@ -55,9 +77,20 @@ program
   .option('-l, --limit <number>', 'Maximum number of results', parseInt)
   .option('--all', 'Fetch all pages')
   .action(async (options) => {
-    await executeCommand(listCommand, options);
+    await executeCommand(listAndRemember, options);
   });
 
+/**
+ * List pull requests and cache their numbers for `<number>` completion
+ */
+async function listAndRemember(client, options) {
+  const pulls = await listCommand(client, options);
+  if (Array.isArray(pulls)) {
+    writeCompletionCache(['pulls', options.owner, options.repo], pulls.map(pr => ({ value: String(pr.number), description: pr.title })));
+  }
+  return pulls;
+}
+
 // Get single pull request
 program
   .command('get <number>')
@@ -107,10 +140,26 @@ program
   .option('--title <title>', 'Merge commit title')
   .option('--message <message>', 'Merge commit message')
   .option('--confirm', 'Skip confirmation prompt')
+  .option('--when-ready', 'Wait for checks and reviews to pass, then merge')
+  .option('--timeout <minutes>', 'Give up waiting after this many minutes', '30')
+  .option('--interval <seconds>', 'First delay between checks, backing off to a minute', '10')
+  .option('--require-approval', 'Also wait for an approving review')
   .action(async (number, options) => {
     await executeCommand(mergeCommand, { number: parseInt(number), ...options });
   });
 
+// Checkout pull request
+program
+  .command('checkout <number>')
+  .alias('co')
+  .description('Check out a pull request in the local clone')
+  .option('-b, --branch <name>', 'Local branch name (default: the head branch)')
+  .option('--add-remote', 'Add a fork as a remote instead of fetching refs/pull/<number>/head')
+  .option('-f, --force', 'Reset the branch and discard local changes')
+  .action(async (number, options) => {
+    await executeCommand(checkoutCommand, { number: parseInt(number), ...options });
+  });
+
 // Review commands
 program
   .command('review <number>')
@@ -119,6 +168,10 @@ program
   .option('--request-changes', 'Request changes')
   .option('--comment <comment>', 'Add a comment')
   .option('-i, --interactive', 'Interactive mode')
+  .option('-f, --file <path>', 'Inline comments from a YAML or JSON review file')
+  .option('--pending', 'Start a pending review, or add the comments to yours')
+  .option('--submit', 'Submit your pending review')
+  .option('--discard', 'Delete your pending review')
   .action(async (number, options) => {
     await executeCommand(reviewCommand, { number: parseInt(number), ...options });
   });
@@ -136,7 +189,6 @@ program
 // Files command
 program
   .command('files <number>')
-  .alias('diff')
   .description('Show changed files in a pull request')
   .option('--names-only', 'Show only file names')
   .option('--stats', 'Show file statistics')
@@ -144,6 +196,48 @@ program
     await executeCommand(filesCommand, { number: parseInt(number), ...options });
   });
 
+// Diff command
+program
+  .command('diff <number>')
+  .description('Show the changes of a pull request')
+  .option('-s, --split', 'Side-by-side view')
+  .option('-w, --width <columns>', 'Width of the side-by-side view (default: terminal width)')
+  .option('-p, --path <glob...>', 'Only files matching these globs; prefix with ! to exclude')
+  .option('--full', 'Fetch the whole diff, including files too large for the files API')
+  .option('--no-pager', 'Print without a pager')
+  .action(async (number, options) => {
+    // The pager needs the terminal to itself
+    await executeCommand(diffCommand, { number: parseInt(number), ...options }, { spinner: false });
+  });
+
+// Stack commands
+const stackCmd = program
+  .command('stack')
+  .description('Manage stacks of dependent pull requests');
+
+stackCmd
+  .command('create <branches...>')
+  .description('Open a pull request for each branch, based on the branch before it')
+  .option('-b, --base <branch>', 'Branch the bottom pull request merges into (default: the default branch)')
+  .option('--draft', 'Open new pull requests as drafts')
+  .action(async (branches, options) => {
+    await executeCommand(stackCreateCommand, { branches, ...options });
+  });
+
+stackCmd
+  .command('status <number>')
+  .description('Show the stack a pull request belongs to, with review and merge state')
+  .action(async (number, options) => {
+    await executeCommand(stackStatusCommand, { number: parseInt(number), ...options }, { spinner: false });
+  });
+
+stackCmd
+  .command('sync <number>')
+  .description('Retarget the pull requests of a stack after one below them merged')
+  .action(async (number, options) => {
+    await executeCommand(stackSyncCommand, { number: parseInt(number), ...options });
+  });
+
 // Search command
 program
   .command('search <query>')
@@ -237,8 +331,10 @@ program
  * Execute command with error handling
  * @param {Function} commandFunc - Command function to execute
  * @param {Object} options - Command options
+ * @param {Object} [settings]
+ * @param {boolean} [settings.spinner=true] - Show a spinner while the command runs
  */
-async function executeCommand(commandFunc, options) {
+async function executeCommand(commandFunc, options, settings = {}) {
   const globalOpts = program.opts();
   const config = loadConfig();
   
@@ -260,8 +356,22 @@ async function executeCommand(commandFunc, options) {
   mergedOptions.owner = owner;
   mergedOptions.repo = repo;
   
-  // Get authentication
-  const auth = mergedOptions.token || getAuth();
+  // Get authentication: --token, selected profile, config file or environment, stored default profile
+  const explicitToken = globalOpts.token || options.token;
+  let credential;
+  try {
+    credential = resolveToken({
+      token: explicitToken || (process.env.GITHUB_PROFILE ? undefined : config.token || getAuth()),
+      baseUrl: mergedOptions.baseUrl
+    });
+  } catch (error) {
+    console.error(chalk.red('✗'), error.message);
+    process.exit(1);
+  }
+  const auth = credential?.token;
+  if (credential?.profile) {
+    mergedOptions.baseUrl = credential.baseUrl;
+  }
   if (!auth) {
     console.warn(chalk.yellow('⚠'), 'No authentication token found. API rate limits will apply.');
   }
@@ -271,7 +381,7 @@ async function executeCommand(commandFunc, options) {
   const client = createClient(mergedOptions);
   
   // Show spinner for long operations
-  const spinner = mergedOptions.output === 'json' ? null : ora('Loading...').start();
+  const spinner = settings.spinner === false || isMachineOutput(mergedOptions) ? null : ora('Loading...').start();
   
   try {
     const result = await commandFunc(client, mergedOptions);
@@ -281,7 +391,10 @@ async function executeCommand(commandFunc, options) {
     // Format and display output
     if (result !== undefined) {
       const formatted = formatOutput(result, mergedOptions.output || 'table', {
-        colorize: !mergedOptions.noColor
+        colorize: !mergedOptions.noColor,
+        fields: mergedOptions.fields,
+        jq: mergedOptions.jq,
+        template: mergedOptions.template
       });
       console.log(formatted);
     }
@@ -292,10 +405,44 @@ async function executeCommand(commandFunc, options) {
   }
 }
 
-// Parse arguments
-program.parse(process.argv);
+// Login command
+registerLoginCommand(program, { scopes: ['repo', 'read:org'] });
+registerProfilesCommand(program);
+registerCompletionCommand(program, {
+  hooks: {
+    // Numbers from the last `list` in the repository
+    number: ({ options }) => {
+      const { owner, repo } = resolveRepository({ ...loadConfig(), ...options });
+      return owner && repo ? readCompletionCache(['pulls', owner, repo]) : [];
+    }
+  }
+});
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  // Parse arguments
+  await program.parseAsync(argv);
+
+  // Show help if no command provided
+  if (!argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
 
-// Show help if no command provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-}
\ No newline at end of file
+export { program };
+export default program;
\ No newline at end of file
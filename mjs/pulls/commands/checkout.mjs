@@ -0,0 +1,103 @@
+/**
+ * Checkout pull request command
+ */
+
+import chalk from 'chalk';
+import { openLocalClone } from '../utils/localGit.mjs';
+
+/**
+ * Find the remote pointing at a repository, over HTTPS or SSH
+ */
+function findRemote(remotes, fullName) {
+  const escaped = fullName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`[/:]${escaped}(\\.git)?/?$`, 'i');
+  return remotes.find(remote => pattern.test(remote.refs.fetch || ''));
+}
+
+/**
+ * Work out what to fetch and which branch to create for a pull request
+ */
+function planCheckout(pr, { baseRemote, baseUrl, forkRemote, addRemote }) {
+  const number = pr.number;
+  const head = pr.head;
+  const sameRepo = head.repo && head.repo.full_name === pr.base.repo.full_name;
+
+  if (sameRepo) {
+    return {
+      branch: head.ref,
+      remote: baseRemote,
+      refspec: `+refs/heads/${head.ref}:refs/remotes/${baseRemote}/${head.ref}`,
+      startPoint: `${baseRemote}/${head.ref}`,
+      merge: `refs/heads/${head.ref}`
+    };
+  }
+
+  if ((addRemote || forkRemote) && head.repo) {
+    const owner = head.repo.owner.login;
+    const remote = forkRemote || owner;
+    return {
+      branch: `${owner}-${head.ref}`,
+      remote,
+      // Same protocol as the base repository's remote; an existing remote is used as it is
+      url: forkRemote ? undefined : baseUrl?.startsWith('git@') ? head.repo.ssh_url : head.repo.clone_url,
+      refspec: `+refs/heads/${head.ref}:refs/remotes/${remote}/${head.ref}`,
+      startPoint: `${remote}/${head.ref}`,
+      merge: `refs/heads/${head.ref}`
+    };
+  }
+
+  // GitHub keeps refs/pull/<n>/head on the base repository, even for deleted forks
+  return {
+    branch: head.repo ? `${head.repo.owner.login}-${head.ref}` : `pr-${number}`,
+    remote: baseRemote,
+    refspec: `+refs/pull/${number}/head:refs/remotes/${baseRemote}/pr/${number}`,
+    startPoint: `${baseRemote}/pr/${number}`,
+    merge: `refs/pull/${number}/head`
+  };
+}
+
+export default async function checkoutCommand(client, options) {
+  const pr = await client.get(options.number);
+
+  const git = await openLocalClone();
+  const local = await git.status('.');
+
+  if (!options.force && !local.status.isClean()) {
+    throw new Error('You have local changes that checkout would overwrite. Commit or stash them, or use --force');
+  }
+
+  const base = findRemote(local.remotes, pr.base.repo.full_name);
+  if (!pr.head.repo && options.addRemote) {
+    console.warn(chalk.yellow('⚠'), `The fork of PR #${pr.number} was deleted; fetching refs/pull/${pr.number}/head instead`);
+  }
+
+  const plan = planCheckout(pr, {
+    baseRemote: base?.name || 'origin',
+    baseUrl: base?.refs.fetch,
+    forkRemote: pr.head.repo && findRemote(local.remotes, pr.head.repo.full_name)?.name,
+    addRemote: options.addRemote
+  });
+  const branch = options.branch || plan.branch;
+
+  if (plan.url) {
+    await git.addRemote('.', plan.remote, plan.url);
+  }
+  await git.fetch('.', { remote: plan.remote, refspecs: [plan.refspec] });
+
+  const result = await git.checkout('.', branch, {
+    startPoint: plan.startPoint,
+    force: options.force,
+    track: { remote: plan.remote, merge: plan.merge }
+  });
+
+  console.log(chalk.green('✓'), `Checked out PR #${pr.number} on ${result.created ? 'new ' : ''}branch ${branch}`);
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    branch,
+    remote: plan.remote,
+    ref: plan.merge,
+    created: result.created
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Diff command - show the changes of a pull request
+ */
+
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
+import { collectAllPages } from '../utils/pagination.mjs';
+import { parsePatch, parseUnifiedDiff, fetchPullRequestDiff, filterFiles } from '../utils/diff.mjs';
+import { renderDiff } from '../utils/diffRender.mjs';
+import { page } from '../utils/pager.mjs';
+
+export default async function diffCommand(client, options) {
+  let files;
+  if (options.full) {
+    files = parseUnifiedDiff(await fetchPullRequestDiff(client, options.number));
+  } else {
+    files = await collectAllPages(
+      pageNumber => client.listFiles(options.number, { page: pageNumber, per_page: 100 }),
+      { perPage: 100 }
+    );
+  }
+
+  if (options.path?.length) {
+    files = filterFiles(files, options.path);
+  }
+
+  // -o json and friends get the parsed hunks instead of a rendering
+  if (isMachineOutput(options)) {
+    return files.map(file => ({ ...file, hunks: parsePatch(file.patch) }));
+  }
+
+  await page(renderDiff(files, {
+    view: options.split ? 'split' : 'unified',
+    width: options.width ? parseInt(options.width, 10) : process.stdout.columns,
+    color: options.color
+  }), { pager: options.pager });
+
+  return undefined;
+}
@@ -4,8 +4,25 @@
 
 import inquirer from 'inquirer';
 import chalk from 'chalk';
+import { isDryRun } from '@thinkeloquent/github-sdk-core';
+import { waitAndMerge } from '../utils/autoMerge.mjs';
+
+/**
+ * Positive number of an option, or an error naming the option
+ */
+function positiveNumber(value, flag, unit) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive number of ${unit}, got "${value}"`);
+  }
+  return number;
+}
 
 export default async function mergeCommand(client, options) {
+  // Bad values would leave --when-ready polling forever
+  const timeout = options.whenReady ? positiveNumber(options.timeout, '--timeout', 'minutes') : null;
+  const interval = options.whenReady ? positiveNumber(options.interval, '--interval', 'seconds') : null;
+  
   // Get PR details first
   const pr = await client.get(options.number);
   
@@ -13,16 +30,20 @@ export default async function mergeCommand(client, options) {
     throw new Error(`Pull request #${pr.number} is not open (state: ${pr.state})`);
   }
   
-  if (pr.mergeable === false) {
+  // --when-ready reports conflicts itself, after waiting for GitHub to compute them
+  if (!options.whenReady && pr.mergeable === false) {
     throw new Error(`Pull request #${pr.number} cannot be merged (conflicts or checks failing)`);
   }
   
-  // Confirm merge unless --confirm flag is set
-  if (!options.confirm) {
+  // Confirm merge unless --confirm flag is set; a dry run sends nothing to confirm
+  if (!options.confirm && !isDryRun()) {
     console.log(`\nAbout to merge PR #${pr.number}: ${pr.title}`);
     console.log(`  From: ${pr.head.label}`);
     console.log(`  Into: ${pr.base.label}`);
     console.log(`  Method: ${options.method || 'merge'}`);
+    if (options.whenReady) {
+      console.log('  When: checks pass and reviews allow it');
+    }
     
     const { proceed } = await inquirer.prompt([
       {
@@ -48,7 +69,31 @@ export default async function mergeCommand(client, options) {
   if (options.message) mergeOptions.commit_message = options.message;
   
   // Perform merge
-  const result = await client.merge(options.number, mergeOptions);
+  let result;
+  if (options.whenReady) {
+    let lastMessage = null;
+    result = await waitAndMerge(client, options.number, {
+      method: mergeOptions.merge_method,
+      commitTitle: mergeOptions.commit_title,
+      commitMessage: mergeOptions.commit_message,
+      timeout: timeout * 60 * 1000,
+      interval: interval * 1000,
+      requireApproval: options.requireApproval,
+      onPoll: readiness => {
+        if (readiness.status === 'waiting' && readiness.message !== lastMessage) {
+          console.log(chalk.yellow('⏳'), readiness.message);
+        }
+        lastMessage = readiness.message;
+      }
+    });
+  } else {
+    result = await client.merge(options.number, mergeOptions);
+  }
+  
+  if (isDryRun()) {
+    console.log(chalk.yellow('⚑'), `Dry run: pull request #${pr.number} was not merged`);
+    return result;
+  }
   
   console.log(chalk.green('✓'), `Pull request #${pr.number} merged successfully`);
   console.log(`  SHA: ${result.sha}`);
@@ -3,8 +3,79 @@
  */
 
 import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { loadReviewFile } from '../utils/reviewFile.mjs';
+import {
+  createReviewWithComments,
+  findPendingReview,
+  addPendingReviewComments,
+  submitPendingReview,
+  discardPendingReview
+} from '../utils/reviews.mjs';
+
+/**
+ * Review event picked on the command line, if any
+ */
+function eventFromFlags(options) {
+  if (options.approve) return 'APPROVE';
+  if (options.requestChanges) return 'REQUEST_CHANGES';
+  return undefined;
+}
+
+/**
+ * Multi-comment and pending reviews: --file, --pending, --submit, --discard
+ */
+async function reviewFromFile(client, options) {
+  const number = options.number;
+
+  if (options.discard) {
+    const review = await discardPendingReview(client, number);
+    console.log(chalk.green('✓'), `Discarded your pending review on PR #${number}`);
+    return review;
+  }
+
+  const file = options.file ? loadReviewFile(options.file) : { comments: [] };
+  const body = options.comment ?? file.body;
+
+  if (options.pending) {
+    if (eventFromFlags(options)) {
+      throw new Error('A pending review has no verdict yet; leave out --approve/--request-changes, or use --submit');
+    }
+    const pending = await findPendingReview(client, number);
+    if (pending) {
+      await addPendingReviewComments(client, number, file.comments);
+      console.log(chalk.green('✓'), `Added ${file.comments.length} comment(s) to your pending review on PR #${number}`);
+      return pending;
+    }
+    const review = await createReviewWithComments(client, number, { body, comments: file.comments });
+    console.log(chalk.green('✓'), `Started a pending review on PR #${number} with ${file.comments.length} comment(s)`);
+    console.log(`  Submit it with: gh-pr review ${number} --submit [--approve | --request-changes]`);
+    return review;
+  }
+
+  const event = eventFromFlags(options) || file.event || 'COMMENT';
+
+  if (options.submit) {
+    if (file.comments.length > 0) {
+      await addPendingReviewComments(client, number, file.comments);
+    }
+    const review = await submitPendingReview(client, number, { event, body });
+    console.log(chalk.green('✓'), `Pending review submitted for PR #${number}`);
+    console.log(`  Status: ${event}`);
+    return review;
+  }
+
+  const review = await createReviewWithComments(client, number, { event, body, comments: file.comments });
+  console.log(chalk.green('✓'), `Review submitted for PR #${number} with ${file.comments.length} comment(s)`);
+  console.log(`  Status: ${event}`);
+  return review;
+}
 
 export default async function reviewCommand(client, options) {
+  if (options.file || options.pending || options.submit || options.discard) {
+    return reviewFromFile(client, options);
+  }
+
   let reviewData = {};
   
   if (options.interactive) {
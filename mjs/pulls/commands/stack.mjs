@@ -0,0 +1,80 @@
+/**
+ * Stack commands - create, show and sync stacks of dependent pull requests
+ */
+
+import chalk from 'chalk';
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
+import { createStack, loadStack, syncStack } from '../utils/stack.mjs';
+
+const STATE_STYLES = {
+  merged: chalk.magenta,
+  closed: chalk.red,
+  draft: chalk.gray,
+  open: chalk.green
+};
+
+const REVIEW_LABELS = {
+  approved: chalk.green('approved'),
+  changes_requested: chalk.red('changes requested'),
+  review_required: chalk.yellow('review required')
+};
+
+/**
+ * Print the chain bottom first, pointing at the pull request asked about
+ */
+function printStack(stack, current) {
+  console.log(`Stack into ${chalk.bold(stack.base)}, merging bottom first:`);
+  for (const entry of stack.pulls) {
+    const marker = entry.number === current ? chalk.cyan('→') : ' ';
+    const details = [STATE_STYLES[entry.state](entry.state)];
+    if (entry.review) {
+      details.push(REVIEW_LABELS[entry.review]);
+    }
+    if (entry.expectedBase && entry.base !== entry.expectedBase) {
+      details.push(chalk.yellow(`based on ${entry.base}, run gh-pr stack sync`));
+    }
+    console.log(`${marker} #${entry.number} ${entry.title} ${chalk.dim(`(${entry.branch})`)}  ${details.join(' · ')}`);
+  }
+}
+
+export async function stackCreateCommand(client, options) {
+  const stack = await createStack(client, options.branches, { base: options.base, draft: options.draft });
+
+  if (isMachineOutput(options)) {
+    return stack;
+  }
+
+  for (const entry of stack.pulls) {
+    const action = entry.created ? 'created' : 'added to the stack';
+    console.log(chalk.green('✓'), `Pull request #${entry.number} ${action}: ${entry.branch} → ${entry.base}  ${chalk.dim(entry.url)}`);
+  }
+  return undefined;
+}
+
+export async function stackStatusCommand(client, options) {
+  const stack = await loadStack(client, options.number);
+
+  if (isMachineOutput(options)) {
+    return stack;
+  }
+
+  printStack(stack, options.number);
+  return undefined;
+}
+
+export async function stackSyncCommand(client, options) {
+  const stack = await syncStack(client, options.number, { dryRun: options.dryRun });
+
+  if (isMachineOutput(options)) {
+    return stack;
+  }
+
+  if (stack.changes.length === 0) {
+    console.log(chalk.green('✓'), 'Every pull request of the stack is based on the right branch');
+  }
+  for (const change of stack.changes) {
+    const verb = options.dryRun ? 'Would retarget' : 'Retargeted';
+    console.log(chalk.green('✓'), `${verb} #${change.number} from ${change.from} to ${change.to}`);
+  }
+  return undefined;
+}
@@ -4,6 +4,8 @@ import PullRequestClient from './lib/client.mjs';
 import RateLimitedPullRequestClient from './lib/rateLimitedClient.mjs';
 import { getAuth } from './lib/auth.mjs';
 import { loadConfig } from './lib/config.mjs';
+import { applyDryRun } from '@thinkeloquent/github-sdk-core';
+import { PULL_WRITES } from './utils/dryRun.mjs';
 
 export { PullRequestClient };
 export { RateLimitedPullRequestClient };
@@ -12,7 +14,19 @@ export { loadConfig } from './lib/config.mjs';
 export * as types from './lib/types.mjs';
 export * as utils from './utils/format.mjs';
 export { paginate } from './utils/pagination.mjs';
-export { ApiError, AuthError, ValidationError, RateLimitError } from './utils/errors.mjs';
+export { ApiError, AuthError, ValidationError, RateLimitError, MergeAbortedError } from './utils/errors.mjs';
+export { waitAndMerge, checkMergeReadiness, WAIT_AND_MERGE_DEFAULTS } from './utils/autoMerge.mjs';
+export { parseReviewFile, loadReviewFile, parseDiffHunks, validateReviewComments, REVIEW_EVENTS } from './utils/reviewFile.mjs';
+export {
+  createReviewWithComments,
+  findPendingReview,
+  addPendingReviewComments,
+  submitPendingReview,
+  discardPendingReview
+} from './utils/reviews.mjs';
+export { parsePatch, parseUnifiedDiff, fetchPullRequestDiff, wordDiff, filterFiles } from './utils/diff.mjs';
+export { renderDiff, renderFileDiff, languageFor } from './utils/diffRender.mjs';
+export { createStack, loadStack, syncStack, parseStack } from './utils/stack.mjs';
 
 /**
  * Create a new GitHub Pull Request client
@@ -22,6 +36,7 @@ export { ApiError, AuthError, ValidationError, RateLimitError } from './utils/er
  * @param {string} [options.owner] - Default repository owner
  * @param {string} [options.repo] - Default repository name
  * @param {boolean} [options.enableRateLimiting] - Enable rate limiting (default: true in production)
+ * @param {boolean|Object} [options.dryRun] - Plan write requests instead of sending them (default: GITHUB_DRY_RUN)
  * @returns {PullRequestClient} Pull Request client instance
  */
 export function createClient(options = {}) {
@@ -37,11 +52,11 @@ export function createClient(options = {}) {
   };
   
   // Use rate-limited client by default unless explicitly disabled
-  if (options.enableRateLimiting !== false && process.env.NODE_ENV !== 'test') {
-    return new RateLimitedPullRequestClient(clientOptions);
-  }
+  const client = options.enableRateLimiting !== false && process.env.NODE_ENV !== 'test'
+    ? new RateLimitedPullRequestClient(clientOptions)
+    : new PullRequestClient(clientOptions);
   
-  return new PullRequestClient(clientOptions);
+  return applyDryRun(client, PULL_WRITES, { dryRun: options.dryRun, baseUrl: clientOptions.baseUrl });
 }
 
 /**
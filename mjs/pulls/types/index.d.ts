@@ -0,0 +1,1519 @@
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-pulls
+ * GitHub Pull Requests API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+/** Pull request client configuration */
+export interface PullRequestClientOptions {
+  /** GitHub token (default: GITHUB_TOKEN) */
+  auth?: string | null;
+  /** Base URL for GitHub API */
+  baseUrl?: string;
+  /** Default repository owner */
+  owner?: string;
+  /** Default repository name */
+  repo?: string;
+  /** Use RateLimitedPullRequestClient (default: true outside tests) */
+  enableRateLimiting?: boolean;
+}
+
+/** Pull requests, reviews and review comments of the configured repository */
+export class PullRequestClient {
+  constructor(options?: PullRequestClientOptions);
+  baseUrl: string;
+  auth: string | null | undefined;
+  owner: string | undefined;
+  repo: string | undefined;
+  /** Send a request to the API and resolve to the response body */
+  request(method: string, path: string, data?: any): Promise<any>;
+  /** The repository to act on, throwing when owner or repo is missing */
+  validateRepo(override?: { owner?: string; repo?: string }): { owner: string; repo: string };
+  /**
+   * List pull requests
+   * `GET /repos/{owner}/{repo}/pulls`
+   * @see https://docs.github.com/rest/pulls/pulls#list-pull-requests
+   */
+  list(options?: PullsListParams): Promise<PullsListResponse>;
+  /**
+   * List pull requests
+   * `GET /repos/{owner}/{repo}/pulls`
+   * @see https://docs.github.com/rest/pulls/pulls#list-pull-requests
+   */
+  listAll(options?: PullsListParams): AsyncGenerator<PullsListResponse[number]>;
+  /**
+   * Get a pull request
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}`
+   * @see https://docs.github.com/rest/pulls/pulls#get-a-pull-request
+   */
+  get(pullNumber: number, options?: Record<string, any>): Promise<PullsGetResponse>;
+  /**
+   * Create a pull request
+   * `POST /repos/{owner}/{repo}/pulls`
+   * @see https://docs.github.com/rest/pulls/pulls#create-a-pull-request
+   */
+  create(data: PullsCreateRequest): Promise<PullsCreateResponse>;
+  /**
+   * Update a pull request
+   * `PATCH /repos/{owner}/{repo}/pulls/{pull_number}`
+   * @see https://docs.github.com/rest/pulls/pulls#update-a-pull-request
+   */
+  update(pullNumber: number, data?: PullsUpdateRequest): Promise<PullsUpdateResponse>;
+  /**
+   * Merge a pull request
+   * `PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge`
+   * @see https://docs.github.com/rest/pulls/pulls#merge-a-pull-request
+   */
+  merge(pullNumber: number, data?: PullsMergeRequest): Promise<PullsMergeResponse>;
+  /**
+   * Check if a pull request has been merged
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}/merge`
+   * @see https://docs.github.com/rest/pulls/pulls#check-if-a-pull-request-has-been-merged
+   */
+  isMerged(pullNumber: number): Promise<boolean>;
+  /**
+   * List commits on a pull request
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}/commits`
+   * @see https://docs.github.com/rest/pulls/pulls#list-commits-on-a-pull-request
+   */
+  listCommits(pullNumber: number, options?: PullsListCommitsParams): Promise<PullsListCommitsResponse>;
+  /**
+   * List pull requests files
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}/files`
+   * @see https://docs.github.com/rest/pulls/pulls#list-pull-requests-files
+   */
+  listFiles(pullNumber: number, options?: PullsListFilesParams): Promise<PullsListFilesResponse>;
+  /**
+   * List reviews for a pull request
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews`
+   * @see https://docs.github.com/rest/pulls/reviews#list-reviews-for-a-pull-request
+   */
+  listReviews(pullNumber: number, options?: PullsListReviewsParams): Promise<PullsListReviewsResponse>;
+  /**
+   * Create a review for a pull request
+   * `POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews`
+   * @see https://docs.github.com/rest/pulls/reviews#create-a-review-for-a-pull-request
+   */
+  createReview(pullNumber: number, data?: PullsCreateReviewRequest): Promise<PullsCreateReviewResponse>;
+  /**
+   * List review comments on a pull request
+   * `GET /repos/{owner}/{repo}/pulls/{pull_number}/comments`
+   * @see https://docs.github.com/rest/pulls/comments#list-review-comments-on-a-pull-request
+   */
+  listReviewComments(pullNumber: number, options?: PullsListReviewCommentsParams): Promise<PullsListReviewCommentsResponse>;
+  /**
+   * Create a review comment for a pull request
+   * `POST /repos/{owner}/{repo}/pulls/{pull_number}/comments`
+   * @see https://docs.github.com/rest/pulls/comments#create-a-review-comment-for-a-pull-request
+   */
+  createReviewComment(pullNumber: number, data: PullsCreateReviewCommentRequest): Promise<PullsCreateReviewCommentResponse>;
+  /**
+   * Request reviewers for a pull request
+   * `POST /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers`
+   * @see https://docs.github.com/rest/pulls/review-requests#request-reviewers-for-a-pull-request
+   */
+  requestReviewers(pullNumber: number, data?: PullsRequestReviewersRequest): Promise<PullsRequestReviewersResponse>;
+  /**
+   * Remove requested reviewers from a pull request
+   * `DELETE /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers`
+   * @see https://docs.github.com/rest/pulls/review-requests#remove-requested-reviewers-from-a-pull-request
+   */
+  removeRequestedReviewers(pullNumber: number, data: PullsRemoveRequestedReviewersRequest): Promise<PullsRemoveRequestedReviewersResponse>;
+  /**
+   * Update a pull request branch
+   * `PUT /repos/{owner}/{repo}/pulls/{pull_number}/update-branch`
+   * @see https://docs.github.com/rest/pulls/pulls#update-a-pull-request-branch
+   */
+  updateBranch(pullNumber: number, data?: PullsUpdateBranchRequest): Promise<PullsUpdateBranchResponse>;
+  /**
+   * Search issues and pull requests
+   * `GET /search/issues`
+   * @see https://docs.github.com/rest/search/search#search-issues-and-pull-requests
+   */
+  search(query: string, options?: Omit<SearchIssuesAndPullRequestsParams, "q">): Promise<SearchIssuesAndPullRequestsResponse>;
+  /** Rate limit headers seen on the last response */
+  getRateLimitStatus(): Record<string, any>;
+}
+
+/** PullRequestClient that queues requests to stay within the rate limit */
+export class RateLimitedPullRequestClient extends PullRequestClient {
+  constructor(options?: PullRequestClientOptions);
+}
+
+export const getAuth: any;
+
+export const loadConfig: any;
+
+export const types: any;
+
+export namespace utils {
+  /** Format date string */
+  export function formatDate(dateString: string, relative?: boolean): string;
+
+  /** Format pull request state with color */
+  export function formatState(state: string, colorize?: boolean): string;
+
+  /** Format pull request for display */
+  export function formatPullRequest(pr: Record<string, any>, options?: Record<string, any>): string;
+
+  /** Format pull request as table row */
+  export function formatPullRequestRow(pr: Record<string, any>): any[];
+
+  /** Create table for pull requests */
+  export function createPullRequestTable(pullRequests: any[], options?: Record<string, any>): string;
+
+  /** Format review state */
+  export function formatReviewState(state: string, colorize?: boolean): string;
+
+  /** Format file changes */
+  export function formatFileChanges(files: any[], options?: Record<string, any>): string;
+
+  /** Format JSON output */
+  export function formatJson(data: any, pretty?: boolean): string;
+
+  /**
+   * Format output based on format type. `table` and `text` keep the pull
+   * request layouts; yaml, csv, ndjson and the `fields`, `jq` and `template`
+   * options come from the shared output engine.
+   */
+  export function formatOutput(data: any, format?: string, options?: { fields?: string; jq?: string; template?: string; [key: string]: any }): string;
+
+  /** Truncate text */
+  export function truncate(text: string, maxLength: number, suffix?: string): string;
+
+  /** Format URL for display */
+  export function formatUrl(url: string, colorize?: boolean): string;
+}
+
+/** Paginate through all results */
+export function paginate(fetcher: (...args: any[]) => any, options?: { maxPages?: number; perPage?: number; [key: string]: any }): AsyncGenerator<any>;
+
+/** Base API Error */
+export class ApiError extends Error {
+  constructor(message: any, status?: any, data?: any);
+  status: any;
+  data: any;
+}
+
+/** Authentication Error */
+export class AuthError extends ApiError {
+  constructor(message: any, data?: any);
+}
+
+/** Validation Error */
+export class ValidationError extends ApiError {
+  constructor(message: any, errors?: any, data?: any);
+  errors: any;
+  /** Get formatted error messages */
+  getErrorMessages(): string[];
+}
+
+/** Rate Limit Error */
+export class RateLimitError extends ApiError {
+  constructor(message: any, resetTime?: any, data?: any);
+  resetTime: any;
+  /** Get time until rate limit resets */
+  getTimeUntilReset(): number;
+}
+
+/** Merge Aborted Error */
+export class MergeAbortedError extends ApiError {
+  constructor(message: any, reason: any, readiness?: any);
+  reason: any;
+}
+
+/**
+ * Wait until a pull request's checks pass and its reviews allow it, then merge
+ * it. Polls the combined status, check runs and reviews of the head commit,
+ * backing off from `interval` to `maxInterval`. Only the contexts branch
+ * protection requires gate the merge when there are any; otherwise every
+ * reported check must pass.
+ *
+ * Aborts with a MergeAbortedError whose `reason` is one of `check_failed`,
+ * `changes_requested`, `conflict`, `draft`, `not_open` or `timeout`.
+ */
+export function waitAndMerge(client: Record<string, any>, pullNumber: number, options?: { method?: string; commitTitle?: string; commitMessage?: string; timeout?: number; interval?: number; maxInterval?: number; requireApproval?: boolean; requiredContexts?: string[]; repoClient?: Record<string, any>; onPoll?: (...args: any[]) => any; [key: string]: any }): Promise<Record<string, any>>;
+
+/**
+ * Decide whether a pull request can be merged now, should be waited on, or
+ * never will be without someone stepping in
+ */
+export function checkMergeReadiness(state: { pr: Record<string, any>; reviews?: Record<string, any>[]; statuses?: Record<string, any>[]; checkRuns?: Record<string, any>[]; requiredContexts?: string[] | null; requireApproval?: boolean; [key: string]: any }): { status: 'ready' | 'waiting' | 'aborted'; reason: string | null; message: string; pending: string[]; checks: Record<string, any>[] };
+
+/** Defaults for waitAndMerge() */
+export const WAIT_AND_MERGE_DEFAULTS: Record<string, any>;
+
+/**
+ * Parse a review file. It is either a list of comments, or an object with
+ * optional `event` and `body` and a `comments` list. Each comment has `path`,
+ * `line`, optional `start_line`, `side` and `start_side`, and a `body`;
+ * `suggestion` appends a ```suggestion block replacing the commented lines.
+ */
+export function parseReviewFile(text: string, format?: string): { event: string | undefined; body: string | undefined; comments: Record<string, any>[] };
+
+/** Read a review file; `.json` files are parsed as JSON, anything else as YAML */
+export function loadReviewFile(file: string): { event: string | undefined; body: string | undefined; comments: Record<string, any>[] };
+
+/**
+ * Hunks of a unified diff patch with the lines a review comment can be left
+ * on: `left` holds old-file lines (removed or context), `right` new-file
+ * lines (added or context)
+ */
+export function parseDiffHunks(patch: string): { header: string; left: Set<number>; right: Set<number> }[];
+
+/**
+ * Check review comments against the files of a pull request: each must name
+ * a changed file and lines inside one of its diff hunks, on the side given.
+ */
+export function validateReviewComments(comments: Record<string, any>[], files: Record<string, any>[]): { field: string; message: string }[];
+
+/** Review events a review file can ask for */
+export const REVIEW_EVENTS: any[];
+
+/**
+ * Create a review with inline comments, after checking them against the diff.
+ * Without an `event` the review stays pending until submitPendingReview().
+ */
+export function createReviewWithComments(client: Record<string, any>, pullNumber: number, review?: { event?: string; body?: string; comments?: Record<string, any>[]; [key: string]: any }): Promise<Record<string, any>>;
+
+/**
+ * The authenticated user's pending review; pending reviews are only visible
+ * to their author
+ */
+export function findPendingReview(client: Record<string, any>, pullNumber: number): Promise<Record<string, any> | null>;
+
+/**
+ * Add inline comments to the authenticated user's pending review, after
+ * checking them against the diff
+ */
+export function addPendingReviewComments(client: Record<string, any>, pullNumber: number, comments: Record<string, any>[], options?: { graphql?: any; [key: string]: any }): Promise<Record<string, any>>;
+
+/** Submit the authenticated user's pending review */
+export function submitPendingReview(client: Record<string, any>, pullNumber: number, options?: { event?: string; body?: string; [key: string]: any }): Promise<Record<string, any>>;
+
+/** Delete the authenticated user's pending review and its comments */
+export function discardPendingReview(client: Record<string, any>, pullNumber: number): Promise<Record<string, any>>;
+
+/** Parse the `patch` of a pull request file into hunks of numbered lines */
+export function parsePatch(patch: string): { header: string; oldStart: number; oldLines: number; newStart: number; newLines: number; section: string; lines: { type: 'context' | 'add' | 'del'; content: string; oldLine: number | null; newLine: number | null }[] }[];
+
+/**
+ * Split a whole unified diff (the `application/vnd.github.diff` media type)
+ * into files shaped like the ones listFiles() returns: `filename`, `status`,
+ * `previous_filename`, `additions`, `deletions`, `changes` and `patch`, plus
+ * `binary`.
+ */
+export function parseUnifiedDiff(text: string): Record<string, any>[];
+
+/**
+ * Fetch a pull request as one unified diff, which also covers files whose
+ * `patch` listFiles() leaves out for being too large
+ *
+ * `GET /repos/{owner}/{repo}/pulls/{pull_number}`
+ * @see https://docs.github.com/rest/pulls/pulls#get-a-pull-request
+ */
+export function fetchPullRequestDiff(client: Record<string, any>, pullNumber: number, options?: { transport?: any; [key: string]: any }): Promise<string>;
+
+/**
+ * Character ranges that differ between a removed line and the line that
+ * replaced it, compared word by word. Both sides come back empty when the
+ * lines have too little in common for word highlighting to help.
+ */
+export function wordDiff(oldText: string, newText: string): { old: any[]; new: any[] };
+
+/**
+ * Keep the files whose path matches any of the globs and none of the
+ * `!`-negated ones. Globs without a `/` match the file name in any
+ * directory; a trailing `/` matches everything below a directory.
+ */
+export function filterFiles(files: Record<string, any>[], globs: string[]): Record<string, any>[];
+
+/** Render the diffs of several files, with a blank line between files */
+export function renderDiff(files: Record<string, any>[], options?: Record<string, any>): string;
+
+/**
+ * Render the diff of one pull request file. Binary files, renames without
+ * changes and files whose patch GitHub left out collapse to their header.
+ */
+export function renderFileDiff(file: Record<string, any>, options?: { view?: string; width?: number; color?: boolean; [key: string]: any }): string[];
+
+/** Language of a file for syntax colors, by extension or well-known file name */
+export function languageFor(filename: string): string | null;
+
+/**
+ * Open a stack of pull requests from branches, bottom first: the first is
+ * based on `base`, each of the others on the branch before it. A branch that
+ * already has an open pull request keeps it, retargeted when its base is
+ * wrong; new ones are titled after the branch's latest commit. Every pull
+ * request's body then gets the stack section.
+ */
+export function createStack(client: Record<string, any>, branches: string[], options?: { base?: string; draft?: boolean; [key: string]: any }): Promise<{ base: string; pulls: Record<string, any>[] }>;
+
+/**
+ * Rebuild a stack from any of its pull requests, with each one's state and
+ * review decision. Open pull requests get `expectedBase`: the branch of the
+ * nearest pull request below them that is not merged, or the stack's base.
+ */
+export function loadStack(client: Record<string, any>, pullNumber: number): Promise<{ base: string; pulls: Record<string, any>[] }>;
+
+/**
+ * Retarget the open pull requests of a stack whose base is no longer right,
+ * usually because the one below them merged
+ */
+export function syncStack(client: Record<string, any>, pullNumber: number, options?: { dryRun?: boolean; [key: string]: any }): Promise<{ base: string; pulls: Record<string, any>[]; changes: { number: number; from: string; to: string }[] }>;
+
+/** Read the stack metadata from a pull request body */
+export function parseStack(body: string | null): { base: string; pulls: number[] } | null;
+
+/** Create a new GitHub Pull Request client */
+export function createClient(options?: { auth?: string; baseUrl?: string; owner?: string; repo?: string; enableRateLimiting?: boolean; dryRun?: boolean | Record<string, any>; [key: string]: any }): PullRequestClient;
+
+/**
+ * List pull requests
+ *
+ * `GET /repos/{owner}/{repo}/pulls`
+ * @see https://docs.github.com/rest/pulls/pulls#list-pull-requests
+ */
+export function listPullRequests(owner: string, repo: string, options?: PullsListParams): Promise<PullsListResponse>;
+
+/**
+ * Get a specific pull request
+ *
+ * `GET /repos/{owner}/{repo}/pulls/{pull_number}`
+ * @see https://docs.github.com/rest/pulls/pulls#get-a-pull-request
+ */
+export function getPullRequest(owner: string, repo: string, pullNumber: number): Promise<PullsGetResponse>;
+
+/**
+ * Create a new pull request
+ *
+ * `POST /repos/{owner}/{repo}/pulls`
+ * @see https://docs.github.com/rest/pulls/pulls#create-a-pull-request
+ */
+export function createPullRequest(owner: string, repo: string, data: PullsCreateRequest): Promise<PullsCreateResponse>;
+
+/**
+ * Update a pull request
+ *
+ * `PATCH /repos/{owner}/{repo}/pulls/{pull_number}`
+ * @see https://docs.github.com/rest/pulls/pulls#update-a-pull-request
+ */
+export function updatePullRequest(owner: string, repo: string, pullNumber: number, data: PullsUpdateRequest): Promise<PullsUpdateResponse>;
+
+/**
+ * Merge a pull request
+ *
+ * `PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge`
+ * @see https://docs.github.com/rest/pulls/pulls#merge-a-pull-request
+ */
+export function mergePullRequest(owner: string, repo: string, pullNumber: number, options?: Record<string, any>): Promise<PullsMergeResponse>;
+
+/**
+ * Close a pull request
+ *
+ * `PATCH /repos/{owner}/{repo}/pulls/{pull_number}`
+ * @see https://docs.github.com/rest/pulls/pulls#update-a-pull-request
+ */
+export function closePullRequest(owner: string, repo: string, pullNumber: number): Promise<PullsUpdateResponse>;
+
+/**
+ * Reopen a pull request
+ *
+ * `PATCH /repos/{owner}/{repo}/pulls/{pull_number}`
+ * @see https://docs.github.com/rest/pulls/pulls#update-a-pull-request
+ */
+export function reopenPullRequest(owner: string, repo: string, pullNumber: number): Promise<PullsUpdateResponse>;
+
+declare const _default: {
+  createClient: typeof createClient;
+  listPullRequests: typeof listPullRequests;
+  getPullRequest: typeof getPullRequest;
+  createPullRequest: typeof createPullRequest;
+  updatePullRequest: typeof updatePullRequest;
+  mergePullRequest: typeof mergePullRequest;
+  closePullRequest: typeof closePullRequest;
+  reopenPullRequest: typeof reopenPullRequest;
+};
+
+export default _default;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Query parameters for pulls/list */
+export interface PullsListParams {
+  /** Either `open`, `closed`, or `all` to filter by state. */
+  state?: 'open' | 'closed' | 'all';
+  /** Filter pulls by head user or head organization and branch name in the format of `user:ref-name` or `organization:ref-name`. For example: `github:new-script-format` or `octocat:test-branch`. */
+  head?: string;
+  /** Filter pulls by base branch name. Example: `gh-pages`. */
+  base?: string;
+  /** What to sort results by. `popularity` will sort by the number of comments. `long-running` will sort by date created and will limit the results to pull requests that have been open for more than a month and have had activity within the past month. */
+  sort?: 'created' | 'updated' | 'popularity' | 'long-running';
+  /** The direction of the sort. Default: `desc` when sort is `created` or sort is not specified, otherwise `asc`. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for pulls/list */
+export type PullsListResponse = PullRequestSimple[];
+
+/** Response body for pulls/get */
+export type PullsGetResponse = PullRequest;
+
+/** Request body for pulls/create */
+export interface PullsCreateRequest {
+  /** The title of the new pull request. Required unless `issue` is specified. */
+  title?: string;
+  /** The name of the branch where your changes are implemented. For cross-repository pull requests in the same network, namespace `head` with a user like this: `username:branch`. */
+  head: string;
+  /** The name of the repository where the changes in the pull request were made. This field is required for cross-repository pull requests if both repositories are owned by the same organization. */
+  head_repo?: string;
+  /** The name of the branch you want the changes pulled into. This should be an existing branch on the current repository. You cannot submit a pull request to one repository that requests a merge to a base of another repository. */
+  base: string;
+  /** The contents of the pull request. */
+  body?: string;
+  /** Indicates whether maintainers can modify the pull request. */
+  maintainer_can_modify?: boolean;
+  /** Indicates whether the pull request is a draft. See "Draft Pull Requests" in the GitHub Help documentation to learn more. */
+  draft?: boolean;
+  /** An issue in the repository to convert to a pull request. The issue title, body, and comments will become the title, body, and comments on the new pull request. Required unless `title` is specified. */
+  issue?: number;
+}
+
+/** Response body for pulls/create */
+export type PullsCreateResponse = PullRequest;
+
+/** Request body for pulls/update */
+export interface PullsUpdateRequest {
+  /** The title of the pull request. */
+  title?: string;
+  /** The contents of the pull request. */
+  body?: string;
+  /** State of this Pull Request. Either `open` or `closed`. */
+  state?: 'open' | 'closed';
+  /** The name of the branch you want your changes pulled into. This should be an existing branch on the current repository. You cannot update the base branch on a pull request to point to another repository. */
+  base?: string;
+  /** Indicates whether maintainers can modify the pull request. */
+  maintainer_can_modify?: boolean;
+}
+
+/** Response body for pulls/update */
+export type PullsUpdateResponse = PullRequest;
+
+/** Request body for pulls/merge */
+export type PullsMergeRequest = {
+  /** Title for the automatic commit message. */
+  commit_title?: string;
+  /** Extra detail to append to automatic commit message. */
+  commit_message?: string;
+  /** SHA that pull request head must match to allow merge. */
+  sha?: string;
+  /** The merge method to use. */
+  merge_method?: 'merge' | 'squash' | 'rebase';
+} | null;
+
+/** Response body for pulls/merge */
+export type PullsMergeResponse = PullRequestMergeResult;
+
+/** Query parameters for pulls/list-commits */
+export interface PullsListCommitsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for pulls/list-commits */
+export type PullsListCommitsResponse = Commit[];
+
+/** Query parameters for pulls/list-files */
+export interface PullsListFilesParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for pulls/list-files */
+export type PullsListFilesResponse = DiffEntry[];
+
+/** Query parameters for pulls/list-reviews */
+export interface PullsListReviewsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for pulls/list-reviews */
+export type PullsListReviewsResponse = PullRequestReview[];
+
+/** Request body for pulls/create-review */
+export interface PullsCreateReviewRequest {
+  /** The SHA of the commit that needs a review. Not using the latest commit SHA may render your review comment outdated if a subsequent commit modifies the line you specify as the `position`. Defaults to the most recent commit in the pull request when you do not specify a value. */
+  commit_id?: string;
+  /** **Required** when using `REQUEST_CHANGES` or `COMMENT` for the `event` parameter. The body text of the pull request review. */
+  body?: string;
+  /** The review action you want to perform. The review actions include: `APPROVE`, `REQUEST_CHANGES`, or `COMMENT`. By leaving this blank, you set the review action state to `PENDING`, which means you will need to submit the pull request review when you are ready. */
+  event?: 'APPROVE' | 'REQUEST_CHANGES' | 'COMMENT';
+  /** Use the following table to specify the location, destination, and contents of the draft review comment. */
+  comments?: {
+    /** The relative path to the file that necessitates a review comment. */
+    path: string;
+    /** The position in the diff where you want to add a review comment. Note this value is not the same as the line number in the file. The `position` value equals the number of lines down from the first "@@" hunk header in the file you want to add a comment. The line just below the "@@" line is position 1, the next line is position 2, and so on. The position in the diff continues to increase through lines of whitespace and additional hunks until the beginning of a new file. */
+    position?: number;
+    /** Text of the review comment. */
+    body: string;
+    line?: number;
+    side?: string;
+    start_line?: number;
+    start_side?: string;
+  }[];
+}
+
+/** Response body for pulls/create-review */
+export type PullsCreateReviewResponse = PullRequestReview;
+
+/** Query parameters for pulls/list-review-comments */
+export interface PullsListReviewCommentsParams {
+  /** The property to sort the results by. */
+  sort?: 'created' | 'updated';
+  /** The direction to sort results. Ignored without `sort` parameter. */
+  direction?: 'asc' | 'desc';
+  /** Only show results that were last updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for pulls/list-review-comments */
+export type PullsListReviewCommentsResponse = PullRequestReviewComment[];
+
+/** Request body for pulls/create-review-comment */
+export interface PullsCreateReviewCommentRequest {
+  /** The text of the review comment. */
+  body: string;
+  /** The SHA of the commit needing a comment. Not using the latest commit SHA may render your comment outdated if a subsequent commit modifies the line you specify as the `position`. */
+  commit_id: string;
+  /** The relative path to the file that necessitates a comment. */
+  path: string;
+  /**
+   * **This parameter is closing down. Use `line` instead**. The position in the diff where you want to add a review comment. Note this value is not the same as the line number in the file. The position value equals the number of lines down from the first "@@" hunk header in the file you want to add a comment. The line just below the "@@" line is position 1, the next line is position 2, and so on. The position in the diff continues to increase through lines of whitespace and additional hunks until the beginning of a new file.
+   * @deprecated
+   */
+  position?: number;
+  /** In a split diff view, the side of the diff that the pull request's changes appear on. Can be `LEFT` or `RIGHT`. Use `LEFT` for deletions that appear in red. Use `RIGHT` for additions that appear in green or unchanged lines that appear in white and are shown for context. For a multi-line comment, side represents whether the last line of the comment range is a deletion or addition. For more information, see "Diff view options" in the GitHub Help documentation. */
+  side?: 'LEFT' | 'RIGHT';
+  /** **Required unless using `subject_type:file`**. The line of the blob in the pull request diff that the comment applies to. For a multi-line comment, the last line of the range that your comment applies to. */
+  line?: number;
+  /** **Required when using multi-line comments unless using `in_reply_to`**. The `start_line` is the first line in the pull request diff that your multi-line comment applies to. To learn more about multi-line comments, see "Commenting on a pull request" in the GitHub Help documentation. */
+  start_line?: number;
+  /** **Required when using multi-line comments unless using `in_reply_to`**. The `start_side` is the starting side of the diff that the comment applies to. Can be `LEFT` or `RIGHT`. To learn more about multi-line comments, see "Commenting on a pull request" in the GitHub Help documentation. See `side` in this table for additional context. */
+  start_side?: 'LEFT' | 'RIGHT' | 'side';
+  /** The ID of the review comment to reply to. To find the ID of a review comment with "List review comments on a pull request". When specified, all parameters other than `body` in the request body are ignored. */
+  in_reply_to?: number;
+  /** The level at which the comment is targeted. */
+  subject_type?: 'line' | 'file';
+}
+
+/** Response body for pulls/create-review-comment */
+export type PullsCreateReviewCommentResponse = PullRequestReviewComment;
+
+/** Request body for pulls/request-reviewers */
+export type PullsRequestReviewersRequest = any;
+
+/** Response body for pulls/request-reviewers */
+export type PullsRequestReviewersResponse = PullRequestSimple;
+
+/** Request body for pulls/remove-requested-reviewers */
+export interface PullsRemoveRequestedReviewersRequest {
+  /** An array of user `login`s that will be removed. */
+  reviewers: string[];
+  /** An array of team `slug`s that will be removed. */
+  team_reviewers?: string[];
+}
+
+/** Response body for pulls/remove-requested-reviewers */
+export type PullsRemoveRequestedReviewersResponse = PullRequestSimple;
+
+/** Request body for pulls/update-branch */
+export type PullsUpdateBranchRequest = {
+  /** The expected SHA of the pull request's HEAD ref. This is the most recent commit on the pull request's branch. If the expected SHA does not match the pull request's HEAD, you will receive a `422 Unprocessable Entity` status. You can use the "List commits" endpoint to find the most recent commit SHA. Default: SHA of the pull request's current HEAD ref. */
+  expected_head_sha?: string;
+} | null;
+
+/** Response body for pulls/update-branch */
+export type PullsUpdateBranchResponse = {
+  message?: string;
+  url?: string;
+};
+
+/** Query parameters for search/issues-and-pull-requests */
+export interface SearchIssuesAndPullRequestsParams {
+  /** The query contains one or more search keywords and qualifiers. Qualifiers allow you to limit your search to specific areas of GitHub. The REST API supports the same qualifiers as the web interface for GitHub. To learn more about the format of the query, see Constructing a search query. See "Searching issues and pull requests" for a detailed list of qualifiers. */
+  q: string;
+  /** Sorts the results of your query by the number of `comments`, `reactions`, `reactions-+1`, `reactions--1`, `reactions-smile`, `reactions-thinking_face`, `reactions-heart`, `reactions-tada`, or `interactions`. You can also sort results by how recently the items were `created` or `updated`, Default: best match */
+  sort?: 'comments' | 'reactions' | 'reactions-+1' | 'reactions--1' | 'reactions-smile' | 'reactions-thinking_face' | 'reactions-heart' | 'reactions-tada' | 'interactions' | 'created' | 'updated';
+  /** Determines whether the first search result returned is the highest number of matches (`desc`) or lowest number of matches (`asc`). This parameter is ignored unless you provide `sort`. */
+  order?: 'desc' | 'asc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** Set to `true` to use advanced search. */
+  advanced_search?: string;
+}
+
+/** Response body for search/issues-and-pull-requests */
+export type SearchIssuesAndPullRequestsResponse = {
+  total_count: number;
+  incomplete_results: boolean;
+  items: IssueSearchResultItem[];
+};
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Pull Request Simple */
+export interface PullRequestSimple {
+  url: string;
+  id: number;
+  node_id: string;
+  html_url: string;
+  diff_url: string;
+  patch_url: string;
+  issue_url: string;
+  commits_url: string;
+  review_comments_url: string;
+  review_comment_url: string;
+  comments_url: string;
+  statuses_url: string;
+  number: number;
+  state: string;
+  locked: boolean;
+  title: string;
+  user: NullableSimpleUser;
+  body: string | null;
+  labels: {
+    id: number;
+    node_id: string;
+    url: string;
+    name: string;
+    description: string;
+    color: string;
+    default: boolean;
+  }[];
+  milestone: NullableMilestone;
+  active_lock_reason?: string | null;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  merged_at: string | null;
+  merge_commit_sha: string | null;
+  assignee: NullableSimpleUser;
+  assignees?: SimpleUser[] | null;
+  requested_reviewers?: SimpleUser[] | null;
+  requested_teams?: Team[] | null;
+  head: {
+    label: string;
+    ref: string;
+    repo: Repository;
+    sha: string;
+    user: NullableSimpleUser;
+  };
+  base: {
+    label: string;
+    ref: string;
+    repo: Repository;
+    sha: string;
+    user: NullableSimpleUser;
+  };
+  _links: {
+    comments: Link;
+    commits: Link;
+    statuses: Link;
+    html: Link;
+    issue: Link;
+    review_comments: Link;
+    review_comment: Link;
+    self: Link;
+  };
+  author_association: AuthorAssociation;
+  auto_merge: AutoMerge;
+  /** Indicates whether or not the pull request is a draft. */
+  draft?: boolean;
+}
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A collection of related issues and pull requests. */
+export type NullableMilestone = {
+  url: string;
+  html_url: string;
+  labels_url: string;
+  id: number;
+  node_id: string;
+  /** The number of the milestone. */
+  number: number;
+  /** The state of the milestone. */
+  state: 'open' | 'closed';
+  /** The title of the milestone. */
+  title: string;
+  description: string | null;
+  creator: NullableSimpleUser;
+  open_issues: number;
+  closed_issues: number;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  due_on: string | null;
+} | null;
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface Team {
+  id: number;
+  node_id: string;
+  name: string;
+  slug: string;
+  description: string | null;
+  privacy?: string;
+  notification_setting?: string;
+  permission: string;
+  permissions?: {
+    pull: boolean;
+    triage: boolean;
+    push: boolean;
+    maintain: boolean;
+    admin: boolean;
+  };
+  url: string;
+  html_url: string;
+  members_url: string;
+  repositories_url: string;
+  parent: NullableTeamSimple;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export type NullableTeamSimple = {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  members_url: string;
+  /** Name of the team */
+  name: string;
+  /** Description of the team */
+  description: string | null;
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  /** The level of privacy this team should have */
+  privacy?: string;
+  /** The notification setting the team has set */
+  notification_setting?: string;
+  html_url: string;
+  repositories_url: string;
+  slug: string;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+} | null;
+
+/** A repository on GitHub. */
+export interface Repository {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+}
+
+/** License Simple */
+export type NullableLicenseSimple = {
+  key: string;
+  name: string;
+  url: string | null;
+  spdx_id: string | null;
+  node_id: string;
+  html_url?: string;
+} | null;
+
+/** Hypermedia Link */
+export interface Link {
+  href: string;
+}
+
+/** How the author is associated with the repository. */
+export type AuthorAssociation = 'COLLABORATOR' | 'CONTRIBUTOR' | 'FIRST_TIMER' | 'FIRST_TIME_CONTRIBUTOR' | 'MANNEQUIN' | 'MEMBER' | 'NONE' | 'OWNER';
+
+/** The status of auto merging a pull request. */
+export type AutoMerge = {
+  enabled_by: SimpleUser;
+  /** The merge method to use. */
+  merge_method: 'merge' | 'squash' | 'rebase';
+  /** Title for the merge commit message. */
+  commit_title: string;
+  /** Commit message for the merge commit. */
+  commit_message: string;
+} | null;
+
+/** Pull requests let you tell others about changes you've pushed to a repository on GitHub. Once a pull request is sent, interested parties can review the set of changes, discuss potential modifications, and even push follow-up commits if necessary. */
+export interface PullRequest {
+  url: string;
+  id: number;
+  node_id: string;
+  html_url: string;
+  diff_url: string;
+  patch_url: string;
+  issue_url: string;
+  commits_url: string;
+  review_comments_url: string;
+  review_comment_url: string;
+  comments_url: string;
+  statuses_url: string;
+  /** Number uniquely identifying the pull request within its repository. */
+  number: number;
+  /** State of this Pull Request. Either `open` or `closed`. */
+  state: 'open' | 'closed';
+  locked: boolean;
+  /** The title of the pull request. */
+  title: string;
+  user: SimpleUser;
+  body: string | null;
+  labels: {
+    id: number;
+    node_id: string;
+    url: string;
+    name: string;
+    description: string | null;
+    color: string;
+    default: boolean;
+  }[];
+  milestone: NullableMilestone;
+  active_lock_reason?: string | null;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  merged_at: string | null;
+  merge_commit_sha: string | null;
+  assignee: NullableSimpleUser;
+  assignees?: SimpleUser[] | null;
+  requested_reviewers?: SimpleUser[] | null;
+  requested_teams?: TeamSimple[] | null;
+  head: {
+    label: string;
+    ref: string;
+    repo: Repository;
+    sha: string;
+    user: SimpleUser;
+  };
+  base: {
+    label: string;
+    ref: string;
+    repo: Repository;
+    sha: string;
+    user: SimpleUser;
+  };
+  _links: {
+    comments: Link;
+    commits: Link;
+    statuses: Link;
+    html: Link;
+    issue: Link;
+    review_comments: Link;
+    review_comment: Link;
+    self: Link;
+  };
+  author_association: AuthorAssociation;
+  auto_merge: AutoMerge;
+  /** Indicates whether or not the pull request is a draft. */
+  draft?: boolean;
+  merged: boolean;
+  mergeable: boolean | null;
+  rebaseable?: boolean | null;
+  mergeable_state: string;
+  merged_by: NullableSimpleUser;
+  comments: number;
+  review_comments: number;
+  /** Indicates whether maintainers can modify the pull request. */
+  maintainer_can_modify: boolean;
+  commits: number;
+  additions: number;
+  deletions: number;
+  changed_files: number;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface TeamSimple {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  members_url: string;
+  /** Name of the team */
+  name: string;
+  /** Description of the team */
+  description: string | null;
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  /** The level of privacy this team should have */
+  privacy?: string;
+  /** The notification setting the team has set */
+  notification_setting?: string;
+  html_url: string;
+  repositories_url: string;
+  slug: string;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+}
+
+/** Pull Request Merge Result */
+export interface PullRequestMergeResult {
+  sha: string;
+  merged: boolean;
+  message: string;
+}
+
+/** Commit */
+export interface Commit {
+  url: string;
+  sha: string;
+  node_id: string;
+  html_url: string;
+  comments_url: string;
+  commit: {
+    url: string;
+    author: NullableGitUser;
+    committer: NullableGitUser;
+    message: string;
+    comment_count: number;
+    tree: {
+      sha: string;
+      url: string;
+    };
+    verification?: Verification;
+  };
+  author: SimpleUser | EmptyObject | null;
+  committer: SimpleUser | EmptyObject | null;
+  parents: {
+    sha: string;
+    url: string;
+    html_url?: string;
+  }[];
+  stats?: {
+    additions?: number;
+    deletions?: number;
+    total?: number;
+  };
+  files?: DiffEntry[];
+}
+
+/** Metaproperties for Git author/committer information. */
+export type NullableGitUser = {
+  name?: string;
+  email?: string;
+  date?: string;
+} | null;
+
+/** Verification */
+export interface Verification {
+  verified: boolean;
+  reason: string;
+  payload: string | null;
+  signature: string | null;
+  verified_at: string | null;
+}
+
+/** An object without any properties. */
+export interface EmptyObject {}
+
+/** Diff Entry */
+export interface DiffEntry {
+  sha: string;
+  filename: string;
+  status: 'added' | 'removed' | 'modified' | 'renamed' | 'copied' | 'changed' | 'unchanged';
+  additions: number;
+  deletions: number;
+  changes: number;
+  blob_url: string;
+  raw_url: string;
+  contents_url: string;
+  patch?: string;
+  previous_filename?: string;
+}
+
+/** Pull Request Reviews are reviews on pull requests. */
+export interface PullRequestReview {
+  /** Unique identifier of the review */
+  id: number;
+  node_id: string;
+  user: NullableSimpleUser;
+  /** The text of the review. */
+  body: string;
+  state: string;
+  html_url: string;
+  pull_request_url: string;
+  _links: {
+    html: {
+      href: string;
+    };
+    pull_request: {
+      href: string;
+    };
+  };
+  submitted_at?: string;
+  /** A commit SHA for the review. If the commit object was garbage collected or forcibly deleted, then it no longer exists in Git and this value will be `null`. */
+  commit_id: string | null;
+  body_html?: string;
+  body_text?: string;
+  author_association: AuthorAssociation;
+}
+
+/** Pull Request Review Comments are comments on a portion of the Pull Request's diff. */
+export interface PullRequestReviewComment {
+  /** URL for the pull request review comment */
+  url: string;
+  /** The ID of the pull request review to which the comment belongs. */
+  pull_request_review_id: number | null;
+  /** The ID of the pull request review comment. */
+  id: number;
+  /** The node ID of the pull request review comment. */
+  node_id: string;
+  /** The diff of the line that the comment refers to. */
+  diff_hunk: string;
+  /** The relative path of the file to which the comment applies. */
+  path: string;
+  /** The line index in the diff to which the comment applies. This field is closing down; use `line` instead. */
+  position?: number;
+  /** The index of the original line in the diff to which the comment applies. This field is closing down; use `original_line` instead. */
+  original_position?: number;
+  /** The SHA of the commit to which the comment applies. */
+  commit_id: string;
+  /** The SHA of the original commit to which the comment applies. */
+  original_commit_id: string;
+  /** The comment ID to reply to. */
+  in_reply_to_id?: number;
+  user: SimpleUser;
+  /** The text of the comment. */
+  body: string;
+  created_at: string;
+  updated_at: string;
+  /** HTML URL for the pull request review comment. */
+  html_url: string;
+  /** URL for the pull request that the review comment belongs to. */
+  pull_request_url: string;
+  author_association: AuthorAssociation;
+  _links: {
+    self: {
+      href: string;
+    };
+    html: {
+      href: string;
+    };
+    pull_request: {
+      href: string;
+    };
+  };
+  /** The first line of the range for a multi-line comment. */
+  start_line?: number | null;
+  /** The first line of the range for a multi-line comment. */
+  original_start_line?: number | null;
+  /** The side of the first line of the range for a multi-line comment. */
+  start_side?: 'LEFT' | 'RIGHT' | null;
+  /** The line of the blob to which the comment applies. The last line of the range for a multi-line comment */
+  line?: number;
+  /** The line of the blob to which the comment applies. The last line of the range for a multi-line comment */
+  original_line?: number;
+  /** The side of the diff to which the comment applies. The side of the last line of the range for a multi-line comment */
+  side?: 'LEFT' | 'RIGHT';
+  /** The level at which the comment is targeted, can be a diff line or a file. */
+  subject_type?: 'line' | 'file';
+  reactions?: ReactionRollup;
+  body_html?: string;
+  body_text?: string;
+}
+
+/** Reaction Rollup */
+export interface ReactionRollup {
+  url: string;
+  total_count: number;
+  "+1": number;
+  "-1": number;
+  laugh: number;
+  confused: number;
+  heart: number;
+  hooray: number;
+  eyes: number;
+  rocket: number;
+}
+
+/** Issue Search Result Item */
+export interface IssueSearchResultItem {
+  url: string;
+  repository_url: string;
+  labels_url: string;
+  comments_url: string;
+  events_url: string;
+  html_url: string;
+  id: number;
+  node_id: string;
+  number: number;
+  title: string;
+  locked: boolean;
+  active_lock_reason?: string | null;
+  assignees?: SimpleUser[] | null;
+  user: NullableSimpleUser;
+  labels: {
+    id?: number;
+    node_id?: string;
+    url?: string;
+    name?: string;
+    color?: string;
+    default?: boolean;
+    description?: string | null;
+  }[];
+  sub_issues_summary?: SubIssuesSummary;
+  issue_dependencies_summary?: IssueDependenciesSummary;
+  issue_field_values?: IssueFieldValue[];
+  state: string;
+  state_reason?: string | null;
+  assignee: NullableSimpleUser;
+  milestone: NullableMilestone;
+  comments: number;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+  text_matches?: SearchResultTextMatches;
+  pull_request?: {
+    merged_at?: string | null;
+    diff_url: string | null;
+    html_url: string | null;
+    patch_url: string | null;
+    url: string | null;
+  };
+  body?: string;
+  score: number;
+  author_association: AuthorAssociation;
+  draft?: boolean;
+  repository?: Repository;
+  body_html?: string;
+  body_text?: string;
+  timeline_url?: string;
+  type?: IssueType;
+  performed_via_github_app?: NullableIntegration;
+  reactions?: ReactionRollup;
+}
+
+/** Sub-issues Summary */
+export interface SubIssuesSummary {
+  total: number;
+  completed: number;
+  percent_completed: number;
+}
+
+/** Issue Dependencies Summary */
+export interface IssueDependenciesSummary {
+  blocked_by: number;
+  blocking: number;
+  total_blocked_by: number;
+  total_blocking: number;
+}
+
+/** A value assigned to an issue field */
+export interface IssueFieldValue {
+  /** Unique identifier for the issue field. */
+  issue_field_id: number;
+  node_id: string;
+  /** The data type of the issue field */
+  data_type: 'text' | 'single_select' | 'number' | 'date';
+  /** The value of the issue field */
+  value: string | number | null;
+  /** Details about the selected option (only present for single_select fields) */
+  single_select_option?: {
+    /** Unique identifier for the option. */
+    id: number;
+    /** The name of the option */
+    name: string;
+    /** The color of the option */
+    color: string;
+  } | null;
+}
+
+/** Search Result Text Matches */
+export type SearchResultTextMatches = {
+  object_url?: string;
+  object_type?: string | null;
+  property?: string;
+  fragment?: string;
+  matches?: {
+    text?: string;
+    indices?: number[];
+  }[];
+}[];
+
+/** The type of issue. */
+export type IssueType = {
+  /** The unique identifier of the issue type. */
+  id: number;
+  /** The node identifier of the issue type. */
+  node_id: string;
+  /** The name of the issue type. */
+  name: string;
+  /** The description of the issue type. */
+  description: string | null;
+  /** The color of the issue type. */
+  color?: 'gray' | 'blue' | 'green' | 'yellow' | 'orange' | 'red' | 'pink' | 'purple' | null;
+  /** The time the issue type created. */
+  created_at?: string;
+  /** The time the issue type last updated. */
+  updated_at?: string;
+  /** The enabled state of the issue type. */
+  is_enabled?: boolean;
+} | null;
+
+/** GitHub apps are a new way to extend GitHub. They can be installed directly on organizations and user accounts and granted access to specific repositories. They come with granular permissions and built-in webhooks. GitHub apps are first class actors within GitHub. */
+export type NullableIntegration = {
+  /** Unique identifier of the GitHub app */
+  id: number;
+  /** The slug name of the GitHub app */
+  slug?: string;
+  node_id: string;
+  client_id?: string;
+  owner: SimpleUser | Enterprise;
+  /** The name of the GitHub app */
+  name: string;
+  description: string | null;
+  external_url: string;
+  html_url: string;
+  created_at: string;
+  updated_at: string;
+  /** The set of permissions for the GitHub app */
+  permissions: {
+    issues?: string;
+    checks?: string;
+    metadata?: string;
+    contents?: string;
+    deployments?: string;
+    [key: string]: any;
+  };
+  /** The list of events for the GitHub app. Note that the `installation_target`, `security_advisory`, and `meta` events are not included because they are global events and not specific to an installation. */
+  events: string[];
+  /** The number of installations associated with the GitHub app. Only returned when the integration is requesting details about itself. */
+  installations_count?: number;
+} | null;
+
+/** An enterprise on GitHub. */
+export interface Enterprise {
+  /** A short description of the enterprise. */
+  description?: string | null;
+  html_url: string;
+  /** The enterprise's website URL. */
+  website_url?: string | null;
+  /** Unique identifier of the enterprise */
+  id: number;
+  node_id: string;
+  /** The name of the enterprise. */
+  name: string;
+  /** The slug url identifier for the enterprise. */
+  slug: string;
+  created_at: string | null;
+  updated_at: string | null;
+  avatar_url: string;
+}
@@ -0,0 +1,81 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-pulls, see `gh-typegen`
+ *
+ * The client lives in lib/, which is not part of this tree, so its methods
+ * are declared here against the operations they call.
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-pulls',
+  description: 'GitHub Pull Requests API SDK and CLI',
+  entry: 'index.mjs',
+  response: 'data',
+  declarations: `/** Pull request client configuration */
+export interface PullRequestClientOptions {
+  /** GitHub token (default: GITHUB_TOKEN) */
+  auth?: string | null;
+  /** Base URL for GitHub API */
+  baseUrl?: string;
+  /** Default repository owner */
+  owner?: string;
+  /** Default repository name */
+  repo?: string;
+  /** Use RateLimitedPullRequestClient (default: true outside tests) */
+  enableRateLimiting?: boolean;
+}`,
+  virtual: {
+    PullRequestClient: {
+      description: 'Pull requests, reviews and review comments of the configured repository',
+      constructorParams: 'options?: PullRequestClientOptions',
+      properties: { baseUrl: 'string', auth: 'string | null | undefined', owner: 'string | undefined', repo: 'string | undefined' },
+      bound: ['owner', 'repo'],
+      methods: {
+        request: {
+          description: 'Send a request to the API and resolve to the response body',
+          params: 'method: string, path: string, data?: any',
+          returns: 'Promise<any>'
+        },
+        validateRepo: {
+          description: 'The repository to act on, throwing when owner or repo is missing',
+          params: 'override?: { owner?: string; repo?: string }',
+          returns: '{ owner: string; repo: string }'
+        },
+        list: 'pulls/list',
+        listAll: { operation: 'pulls/list', params: 'options?: $Params', returns: 'AsyncGenerator<$Response[number]>' },
+        get: { operation: 'pulls/get', params: 'pullNumber: number, options?: Record<string, any>' },
+        create: 'pulls/create',
+        update: 'pulls/update',
+        merge: 'pulls/merge',
+        isMerged: { operation: 'pulls/check-if-merged', returns: 'Promise<boolean>' },
+        listCommits: 'pulls/list-commits',
+        listFiles: 'pulls/list-files',
+        listReviews: 'pulls/list-reviews',
+        createReview: 'pulls/create-review',
+        listReviewComments: 'pulls/list-review-comments',
+        createReviewComment: 'pulls/create-review-comment',
+        requestReviewers: 'pulls/request-reviewers',
+        removeRequestedReviewers: 'pulls/remove-requested-reviewers',
+        updateBranch: 'pulls/update-branch',
+        search: { operation: 'search/issues-and-pull-requests', params: 'query: string, options?: Omit<$Params, "q">' },
+        getRateLimitStatus: {
+          description: 'Rate limit headers seen on the last response',
+          returns: 'Record<string, any>'
+        }
+      }
+    },
+    RateLimitedPullRequestClient: {
+      description: 'PullRequestClient that queues requests to stay within the rate limit',
+      extends: 'PullRequestClient',
+      constructorParams: 'options?: PullRequestClientOptions'
+    }
+  },
+  // Quick access functions create a client and call one method on it
+  operations: {
+    listPullRequests: 'pulls/list',
+    getPullRequest: 'pulls/get',
+    createPullRequest: 'pulls/create',
+    updatePullRequest: 'pulls/update',
+    mergePullRequest: 'pulls/merge',
+    closePullRequest: 'pulls/update',
+    reopenPullRequest: 'pulls/update'
+  }
+};
@@ -0,0 +1,264 @@
+/**
+ * Wait for a pull request's checks and reviews, then merge it
+ */
+
+import { computeBackoff, sleep } from '@thinkeloquent/github-sdk-core';
+import { ApiError, MergeAbortedError } from './errors.mjs';
+import { collectAllPages } from './pagination.mjs';
+
+/**
+ * Defaults for waitAndMerge()
+ */
+export const WAIT_AND_MERGE_DEFAULTS = {
+  method: 'merge',
+  timeout: 30 * 60 * 1000,
+  interval: 10 * 1000,
+  maxInterval: 60 * 1000
+};
+
+// Check run conclusions that do not block a merge
+const PASSING_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+/**
+ * Latest state of each status context and check run, keyed by name
+ */
+function collectChecks(statuses, checkRuns) {
+  const checks = new Map();
+
+  for (const status of statuses) {
+    const state = status.state === 'success' ? 'success' : status.state === 'pending' ? 'pending' : 'failure';
+    checks.set(status.context, { name: status.context, state, url: status.target_url || null });
+  }
+
+  for (const run of checkRuns) {
+    let state = 'pending';
+    if (run.status === 'completed') {
+      state = PASSING_CONCLUSIONS.includes(run.conclusion) ? 'success' : 'failure';
+    }
+    checks.set(run.name, { name: run.name, state, conclusion: run.conclusion || null, url: run.html_url || null });
+  }
+
+  return checks;
+}
+
+/**
+ * Latest deciding review of each reviewer; comments do not change a verdict
+ *
+ * @param {Object[]} reviews - Reviews of a pull request, oldest first
+ * @returns {Map<string, string>} APPROVED, CHANGES_REQUESTED or DISMISSED by reviewer login
+ */
+export function collectReviews(reviews) {
+  const verdicts = new Map();
+
+  for (const review of reviews) {
+    if (!review.user || !['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+      continue;
+    }
+    verdicts.set(review.user.login, review.state);
+  }
+
+  return verdicts;
+}
+
+/**
+ * Decide whether a pull request can be merged now, should be waited on, or
+ * never will be without someone stepping in
+ *
+ * @param {Object} state - What the API reported
+ * @param {Object} state.pr - The pull request
+ * @param {Object[]} [state.reviews] - Its reviews
+ * @param {Object[]} [state.statuses] - Commit statuses of the head commit
+ * @param {Object[]} [state.checkRuns] - Check runs of the head commit
+ * @param {string[]|null} [state.requiredContexts] - Contexts branch protection requires; without them every reported check must pass
+ * @param {boolean} [state.requireApproval=false] - Wait for at least one approving review
+ * @returns {{ status: 'ready'|'waiting'|'aborted', reason: string|null, message: string, pending: string[], checks: Object[] }}
+ */
+export function checkMergeReadiness({ pr, reviews = [], statuses = [], checkRuns = [], requiredContexts = null, requireApproval = false }) {
+  const checks = collectChecks(statuses, checkRuns);
+  const gated = requiredContexts && requiredContexts.length > 0
+    ? requiredContexts.map(name => checks.get(name) || { name, state: 'missing', url: null })
+    : [...checks.values()];
+
+  const result = (status, reason, message, pending = []) => ({ status, reason, message, pending, checks: gated });
+  const aborted = (reason, message) => result('aborted', reason, message);
+
+  if (pr.merged) {
+    return aborted('not_open', `Pull request #${pr.number} is already merged`);
+  }
+  if (pr.state !== 'open') {
+    return aborted('not_open', `Pull request #${pr.number} is ${pr.state}`);
+  }
+  if (pr.draft) {
+    return aborted('draft', `Pull request #${pr.number} is a draft`);
+  }
+  if (pr.mergeable === false || pr.mergeable_state === 'dirty') {
+    return aborted('conflict', `Pull request #${pr.number} has conflicts with ${pr.base.ref}`);
+  }
+
+  const failed = gated.filter(check => check.state === 'failure');
+  if (failed.length > 0) {
+    const names = failed.map(check => check.name).join(', ');
+    return aborted('check_failed', `Check${failed.length > 1 ? 's' : ''} failed: ${names}`);
+  }
+
+  const verdicts = collectReviews(reviews);
+  const blocking = [...verdicts].filter(([, state]) => state === 'CHANGES_REQUESTED').map(([login]) => `@${login}`);
+  if (blocking.length > 0) {
+    return aborted('changes_requested', `Changes requested by ${blocking.join(', ')}`);
+  }
+
+  const pending = [];
+  for (const check of gated) {
+    if (check.state === 'pending') {
+      pending.push(`check ${check.name}`);
+    } else if (check.state === 'missing') {
+      pending.push(`required check ${check.name} to report`);
+    }
+  }
+  if (requireApproval && ![...verdicts.values()].includes('APPROVED')) {
+    pending.push('an approving review');
+  }
+  if (pr.mergeable === null || pr.mergeable === undefined || pr.mergeable_state === 'unknown') {
+    pending.push('GitHub to compute mergeability');
+  } else if (pr.mergeable_state === 'behind') {
+    pending.push(`the head branch to be brought up to date with ${pr.base.ref}`);
+  } else if (pr.mergeable_state === 'blocked' && pending.length === 0) {
+    pending.push('branch protection requirements');
+  }
+
+  if (pending.length > 0) {
+    return result('waiting', null, `Waiting for ${pending.join(', ')}`, pending);
+  }
+  return result('ready', null, `Pull request #${pr.number} is ready to merge`);
+}
+
+/**
+ * Contexts branch protection requires on a branch, or null when the branch is
+ * unprotected or its protection cannot be read
+ */
+async function loadRequiredContexts(client, { owner, repo }, branch, options) {
+  if (options.requiredContexts) {
+    return options.requiredContexts;
+  }
+
+  try {
+    let repoClient = options.repoClient;
+    if (!repoClient) {
+      const { createClient } = await import('@thinkeloquent/github-sdk-repos');
+      repoClient = createClient({ token: client.auth, baseUrl: client.baseUrl });
+    }
+    return await repoClient.branches.getRequiredStatusCheckContexts(owner, repo, branch);
+  } catch {
+    // 404 for unprotected branches, 403 without admin access: every reported check gates instead
+    return null;
+  }
+}
+
+/**
+ * Wait until a pull request's checks pass and its reviews allow it, then merge
+ * it. Polls the combined status, check runs and reviews of the head commit,
+ * backing off from `interval` to `maxInterval`. Only the contexts branch
+ * protection requires gate the merge when there are any; otherwise every
+ * reported check must pass.
+ *
+ * Aborts with a MergeAbortedError whose `reason` is one of `check_failed`,
+ * `changes_requested`, `conflict`, `draft`, `not_open` or `timeout`.
+ *
+ * @example
+ * ```javascript
+ * import { createClient, waitAndMerge } from '@github-api/pulls';
+ *
+ * const client = createClient({ owner: 'octocat', repo: 'Hello-World' });
+ * const result = await waitAndMerge(client, 42, { method: 'squash', timeout: 15 * 60 * 1000 });
+ * console.log(`Merged as ${result.sha}`);
+ * ```
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} [options]
+ * @param {string} [options.method='merge'] - Merge method (merge, squash, rebase)
+ * @param {string} [options.commitTitle] - Merge commit title
+ * @param {string} [options.commitMessage] - Merge commit message
+ * @param {number} [options.timeout=1800000] - Give up after this many milliseconds
+ * @param {number} [options.interval=10000] - First delay between polls (ms)
+ * @param {number} [options.maxInterval=60000] - Longest delay between polls (ms)
+ * @param {boolean} [options.requireApproval=false] - Wait for at least one approving review
+ * @param {string[]} [options.requiredContexts] - Contexts to wait for instead of the branch protection ones
+ * @param {Object} [options.repoClient] - RepoClient to read branch protection with (default: one for the same token)
+ * @param {Function} [options.onPoll] - Called with each readiness check and the attempt number
+ * @returns {Promise<Object>} The merge result, with `attempts` and `waited` (ms)
+ * @throws {MergeAbortedError} When the pull request cannot be merged or the timeout passes
+ */
+export async function waitAndMerge(client, pullNumber, options = {}) {
+  const settings = { ...WAIT_AND_MERGE_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  const target = client.validateRepo();
+  const repoPath = `/repos/${target.owner}/${target.repo}`;
+  const startedAt = Date.now();
+  const requiredContexts = new Map();
+
+  for (let attempt = 1; ; attempt++) {
+    const pr = await client.get(pullNumber);
+    const sha = pr.head.sha;
+
+    if (!requiredContexts.has(pr.base.ref)) {
+      requiredContexts.set(pr.base.ref, await loadRequiredContexts(client, target, pr.base.ref, settings));
+    }
+
+    // Without required contexts every reported check gates the merge, so none may be missed
+    const [reviews, statuses, checkRuns] = await Promise.all([
+      collectAllPages(page => client.listReviews(pullNumber, { page, per_page: 100 }), { perPage: 100 }),
+      collectAllPages(async page => (await client.request('GET', `${repoPath}/commits/${sha}/status?per_page=100&page=${page}`))?.statuses, { perPage: 100 }),
+      collectAllPages(async page => (await client.request('GET', `${repoPath}/commits/${sha}/check-runs?per_page=100&page=${page}`))?.check_runs, { perPage: 100 })
+    ]);
+
+    let readiness = checkMergeReadiness({
+      pr,
+      reviews,
+      statuses,
+      checkRuns,
+      requiredContexts: requiredContexts.get(pr.base.ref),
+      requireApproval: settings.requireApproval
+    });
+    settings.onPoll?.(readiness, attempt);
+
+    if (readiness.status === 'aborted') {
+      throw new MergeAbortedError(readiness.message, readiness.reason, readiness);
+    }
+
+    if (readiness.status === 'ready') {
+      const data = { merge_method: settings.method, sha };
+      if (settings.commitTitle) data.commit_title = settings.commitTitle;
+      if (settings.commitMessage) data.commit_message = settings.commitMessage;
+
+      try {
+        const result = await client.merge(pullNumber, data);
+        return { ...result, attempts: attempt, waited: Date.now() - startedAt };
+      } catch (error) {
+        // 405: not mergeable after all, 409: head moved on; look again
+        if (!(error instanceof ApiError) || ![405, 409].includes(error.status)) {
+          throw error;
+        }
+        readiness = { ...readiness, status: 'waiting', message: error.message, pending: [error.message] };
+      }
+    }
+
+    const delay = computeBackoff(attempt, {
+      baseDelay: settings.interval,
+      maxDelay: Math.max(settings.interval, settings.maxInterval)
+    });
+    if (Date.now() - startedAt + delay > settings.timeout) {
+      const minutes = Math.round(settings.timeout / 60000);
+      throw new MergeAbortedError(
+        `Timed out after ${minutes} minute(s) waiting for ${readiness.pending.join(', ')}`,
+        'timeout',
+        readiness
+      );
+    }
+    await sleep(delay);
+  }
+}
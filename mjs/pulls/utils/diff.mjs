@@ -0,0 +1,318 @@
+/**
+ * Diff parsing: per-file patches, whole unified diffs, word-level changes
+ * and path globs
+ */
+
+import { Transport } from '@thinkeloquent/github-sdk-core';
+
+// Below this share of unchanged characters a line pair is a rewrite, not an edit
+const WORD_DIFF_MIN_SIMILARITY = 0.3;
+
+// Token pairs compared at most per line pair; longer lines are not word-diffed
+const WORD_DIFF_MAX_CELLS = 40000;
+
+/**
+ * Parse the `patch` of a pull request file into hunks of numbered lines
+ *
+ * @param {string} patch - Unified diff hunks of one file
+ * @returns {Array<{ header: string, oldStart: number, oldLines: number, newStart: number, newLines: number, section: string, lines: Array<{ type: 'context'|'add'|'del', content: string, oldLine: number|null, newLine: number|null }> }>}
+ */
+export function parsePatch(patch) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const text of (patch || '').split('\n')) {
+    const header = text.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+    if (header) {
+      oldLine = parseInt(header[1], 10);
+      newLine = parseInt(header[3], 10);
+      hunk = {
+        header: text,
+        oldStart: oldLine,
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: newLine,
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        section: header[5] || '',
+        lines: []
+      };
+      hunks.push(hunk);
+      continue;
+    }
+
+    // Lines past the counts the header announced are not part of the hunk
+    const complete = hunk && oldLine >= hunk.oldStart + hunk.oldLines && newLine >= hunk.newStart + hunk.newLines;
+    if (!hunk || complete || text.startsWith('\\')) {
+      continue;
+    }
+
+    const content = text.slice(1).replace(/\r$/, '');
+    if (text.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content, oldLine: null, newLine: newLine++ });
+    } else if (text.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content, oldLine: oldLine++, newLine: null });
+    } else {
+      hunk.lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Path after the `a/` or `b/` prefix of a diff header, null for /dev/null
+ */
+function diffPath(value) {
+  const path = value.replace(/\t.*$/, '').replace(/^"(.*)"$/, '$1');
+  if (path === '/dev/null') {
+    return null;
+  }
+  return path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Split a whole unified diff (the `application/vnd.github.diff` media type)
+ * into files shaped like the ones listFiles() returns: `filename`, `status`,
+ * `previous_filename`, `additions`, `deletions`, `changes` and `patch`, plus
+ * `binary`.
+ *
+ * @param {string} text - Output of `git diff`
+ * @returns {Object[]} Files
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let patch = null;
+
+  const finish = () => {
+    if (file) {
+      file.patch = patch.length > 0 ? patch.join('\n') : undefined;
+      file.changes = file.additions + file.deletions;
+      files.push(file);
+    }
+  };
+
+  for (const line of (text || '').split('\n')) {
+    const start = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (start) {
+      finish();
+      file = { filename: start[2], status: 'modified', additions: 0, deletions: 0, changes: 0, binary: false };
+      patch = [];
+      continue;
+    }
+    if (!file) {
+      continue;
+    }
+
+    if (patch.length > 0 && !line.startsWith('@@')) {
+      // Inside the hunks every line is diff content
+      if (line.startsWith('+')) file.additions++;
+      if (line.startsWith('-')) file.deletions++;
+      patch.push(line);
+    } else if (line.startsWith('@@')) {
+      patch.push(line);
+    } else if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'removed';
+    } else if (line.startsWith('rename from ') || line.startsWith('copy from ')) {
+      file.status = line.startsWith('rename') ? 'renamed' : 'copied';
+      file.previous_filename = line.replace(/^(rename|copy) from /, '');
+    } else if (line.startsWith('rename to ') || line.startsWith('copy to ')) {
+      file.filename = line.replace(/^(rename|copy) to /, '');
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    } else if (line.startsWith('+++ ')) {
+      const path = diffPath(line.slice(4));
+      if (path) file.filename = path;
+    }
+  }
+  finish();
+
+  return files;
+}
+
+/**
+ * Fetch a pull request as one unified diff, which also covers files whose
+ * `patch` listFiles() leaves out for being too large
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} [options]
+ * @param {Transport} [options.transport] - Transport to send the request with (default: one for the client's token)
+ * @returns {Promise<string>} The diff
+ */
+export async function fetchPullRequestDiff(client, pullNumber, options = {}) {
+  const { owner, repo } = client.validateRepo();
+  const transport = options.transport || new Transport({ auth: client.auth, baseUrl: client.baseUrl });
+  const response = await transport.get(`/repos/${owner}/${repo}/pulls/${pullNumber}`, {
+    headers: { Accept: 'application/vnd.github.diff' }
+  });
+  return response.data || '';
+}
+
+/**
+ * Split a line into words, runs of whitespace and single punctuation marks
+ */
+function tokenize(text) {
+  return text.match(/[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu) || [];
+}
+
+/**
+ * Character ranges that differ between a removed line and the line that
+ * replaced it, compared word by word. Both sides come back empty when the
+ * lines have too little in common for word highlighting to help.
+ *
+ * @param {string} oldText - Removed line
+ * @param {string} newText - Added line
+ * @returns {{ old: Array<[number, number]>, new: Array<[number, number]> }} Half-open [start, end) ranges
+ */
+export function wordDiff(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const none = { old: [], new: [] };
+
+  if (a.length * b.length > WORD_DIFF_MAX_CELLS) {
+    return none;
+  }
+
+  // Longest common subsequence of tokens
+  const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ranges = { old: [], new: [] };
+  const mark = (list, start, end) => {
+    const last = list[list.length - 1];
+    if (last && last[1] === start) {
+      last[1] = end;
+    } else {
+      list.push([start, end]);
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  let oldOffset = 0;
+  let newOffset = 0;
+  let common = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      common += a[i].length;
+      oldOffset += a[i++].length;
+      newOffset += b[j++].length;
+    } else if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+      mark(ranges.new, newOffset, newOffset += b[j++].length);
+    } else {
+      mark(ranges.old, oldOffset, oldOffset += a[i++].length);
+    }
+  }
+
+  const longest = Math.max(oldText.length, newText.length);
+  return longest > 0 && common / longest < WORD_DIFF_MIN_SIMILARITY ? none : ranges;
+}
+
+/**
+ * Rows of a hunk for display: context lines on both sides, and each run of
+ * removed lines paired with the added lines that follow it, with the words
+ * that changed between each pair
+ *
+ * @param {Object} hunk - Hunk from parsePatch()
+ * @returns {Array<{ type: 'context'|'change', left: Object|null, right: Object|null, leftRanges: Array, rightRanges: Array }>}
+ */
+export function pairHunkLines(hunk) {
+  const rows = [];
+  const lines = hunk.lines;
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].type === 'context') {
+      rows.push({ type: 'context', left: lines[i], right: lines[i], leftRanges: [], rightRanges: [] });
+      i++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (i < lines.length && lines[i].type === 'del') removed.push(lines[i++]);
+    while (i < lines.length && lines[i].type === 'add') added.push(lines[i++]);
+
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] || null;
+      const right = added[k] || null;
+      const ranges = left && right ? wordDiff(left.content, right.content) : { old: [], new: [] };
+      rows.push({ type: 'change', left, right, leftRanges: ranges.old, rightRanges: ranges.new });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Regular expression for a path glob: `*` and `?` stay within a directory,
+ * `**` crosses directories and `{a,b}` picks alternatives
+ *
+ * @param {string} glob - Pattern, e.g. `src/**\/*.{js,mjs}`
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Keep the files whose path matches any of the globs and none of the
+ * `!`-negated ones. Globs without a `/` match the file name in any
+ * directory; a trailing `/` matches everything below a directory.
+ *
+ * @param {Object[]} files - Files with a `filename`
+ * @param {string[]} globs - Path globs
+ * @returns {Object[]} Matching files
+ */
+export function filterFiles(files, globs) {
+  const compile = glob => {
+    const pattern = glob.endsWith('/') ? `${glob}**` : glob;
+    const regexp = globToRegExp(pattern);
+    return pattern.includes('/')
+      ? path => regexp.test(path)
+      : path => regexp.test(path.slice(path.lastIndexOf('/') + 1));
+  };
+
+  const include = globs.filter(glob => !glob.startsWith('!')).map(compile);
+  const exclude = globs.filter(glob => glob.startsWith('!')).map(glob => compile(glob.slice(1)));
+
+  return files.filter(file => {
+    const paths = [file.filename, file.previous_filename].filter(Boolean);
+    const included = include.length === 0 || paths.some(path => include.some(test => test(path)));
+    return included && !paths.some(path => exclude.some(test => test(path)));
+  });
+}
@@ -0,0 +1,388 @@
+/**
+ * Terminal rendering of pull request diffs: unified or side-by-side, with
+ * word-level highlighting and syntax colors picked by file extension
+ */
+
+import chalk, { Chalk } from 'chalk';
+import { parsePatch, pairHunkLines } from './diff.mjs';
+
+const C_KEYWORDS = 'abstract auto bool boolean break byte case catch char class const continue default delete do double else enum extends extern final finally float for fun goto if implements import inline int interface internal long namespace new null nullptr object override package private protected public return short signed sizeof static struct super switch template this throw throws true false try typedef typename union unsigned using val var virtual void volatile when while';
+
+/**
+ * Syntax rules per language: keywords, line comment marker, block comments
+ * and string quotes. Highlighting works a line at a time, so strings and
+ * comments spanning lines are only recognised on their first line, apart
+ * from the ` * ` lines of doc comments.
+ */
+const LANGUAGES = {
+  javascript: {
+    extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'mts', 'cts', 'vue', 'svelte'],
+    keywords: 'as async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield',
+    lineComment: '//',
+    blockComment: true,
+    docComments: true,
+    quotes: '"\'`'
+  },
+  python: {
+    extensions: ['py', 'pyi'],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+    lineComment: '#',
+    quotes: '"\''
+  },
+  ruby: {
+    extensions: ['rb', 'rake', 'gemspec'],
+    keywords: 'alias and begin break case class def defined do else elsif end ensure false for if in module next nil not or redo require rescue retry return self super then true undef unless until when while yield',
+    lineComment: '#',
+    quotes: '"\''
+  },
+  go: {
+    extensions: ['go'],
+    keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+    lineComment: '//',
+    blockComment: true,
+    docComments: true,
+    quotes: '"\'`'
+  },
+  rust: {
+    extensions: ['rs'],
+    keywords: 'as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+    lineComment: '//',
+    blockComment: true,
+    docComments: true,
+    quotes: '"'
+  },
+  c: {
+    extensions: ['c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'cs', 'java', 'kt', 'kts', 'scala', 'swift', 'dart', 'php'],
+    keywords: C_KEYWORDS,
+    lineComment: '//',
+    blockComment: true,
+    docComments: true,
+    quotes: '"\''
+  },
+  shell: {
+    extensions: ['sh', 'bash', 'zsh', 'fish', 'ps1'],
+    files: ['Dockerfile', 'Makefile', '.gitignore', '.npmrc', '.env'],
+    keywords: 'case do done elif else esac exit export fi for function if in local readonly return set then unset until while FROM RUN CMD COPY ADD ENV ARG WORKDIR ENTRYPOINT EXPOSE',
+    lineComment: '#',
+    quotes: '"\''
+  },
+  yaml: {
+    extensions: ['yml', 'yaml', 'toml', 'ini'],
+    keywords: 'true false null yes no on off',
+    lineComment: '#',
+    quotes: '"\''
+  },
+  json: {
+    extensions: ['json', 'jsonc', 'json5'],
+    keywords: 'true false null',
+    lineComment: '//',
+    quotes: '"'
+  },
+  css: {
+    extensions: ['css', 'scss', 'sass', 'less'],
+    keywords: 'important inherit initial none auto',
+    blockComment: true,
+    quotes: '"\''
+  },
+  sql: {
+    extensions: ['sql'],
+    keywords: 'add alter and as asc by create delete desc distinct drop from group having in index inner insert into is join key left limit not null on or order outer primary references right select set table union update values where',
+    lineComment: '--',
+    quotes: '\'"',
+    ignoreCase: true
+  }
+};
+
+const SYNTAX_STYLES = {
+  keyword: c => c.magenta,
+  string: c => c.yellow,
+  number: c => c.cyan,
+  comment: c => c.gray
+};
+
+// Compiled tokenizers, by language name
+const tokenizers = new Map();
+
+/**
+ * Language of a file for syntax colors, by extension or well-known file name
+ *
+ * @param {string} filename - File path
+ * @returns {string|null} Language name, or null for plain text
+ */
+export function languageFor(filename) {
+  const name = filename.slice(filename.lastIndexOf('/') + 1);
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : null;
+
+  for (const [language, rules] of Object.entries(LANGUAGES)) {
+    if (rules.files?.includes(name) || (extension && rules.extensions.includes(extension))) {
+      return language;
+    }
+  }
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getTokenizer(language) {
+  if (!tokenizers.has(language)) {
+    const rules = LANGUAGES[language];
+    const parts = [];
+    if (rules.lineComment) parts.push(`(?<comment>${escapeRegExp(rules.lineComment)}.*)`);
+    if (rules.blockComment) parts.push('(?<block>/\\*.*?(?:\\*/|$))');
+    const quotes = [...rules.quotes].map(quote => `${quote}(?:[^${quote}\\\\]|\\\\.)*(?:${quote}|$)`);
+    parts.push(`(?<string>${quotes.join('|')})`);
+    parts.push('(?<number>\\b(?:0x[0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)');
+    parts.push('(?<word>[A-Za-z_$][\\w$]*)');
+
+    tokenizers.set(language, {
+      pattern: new RegExp(parts.join('|'), 'g'),
+      keywords: new Set(rules.keywords.split(' ').map(word => (rules.ignoreCase ? word.toLowerCase() : word))),
+      ignoreCase: Boolean(rules.ignoreCase),
+      docComments: Boolean(rules.docComments)
+    });
+  }
+  return tokenizers.get(language);
+}
+
+/**
+ * Split a line of code into segments with a syntax role
+ *
+ * @param {string} text - One line of code
+ * @param {string|null} language - Language from languageFor()
+ * @returns {Array<{ text: string, style: 'keyword'|'string'|'number'|'comment'|null }>}
+ */
+export function highlightSyntax(text, language) {
+  if (!language || !LANGUAGES[language]) {
+    return [{ text, style: null }];
+  }
+
+  const tokenizer = getTokenizer(language);
+  if (tokenizer.docComments && /^\s*(\/\*|\*\/|\*(\s|$))/.test(text)) {
+    return [{ text, style: 'comment' }];
+  }
+
+  const segments = [];
+  const push = (segment, style) => {
+    const last = segments[segments.length - 1];
+    if (last && last.style === style) {
+      last.text += segment;
+    } else if (segment) {
+      segments.push({ text: segment, style });
+    }
+  };
+
+  let offset = 0;
+  for (const match of text.matchAll(tokenizer.pattern)) {
+    push(text.slice(offset, match.index), null);
+    const { comment, block, string, number, word } = match.groups;
+
+    if (comment !== undefined || block !== undefined) {
+      push(match[0], 'comment');
+    } else if (string !== undefined) {
+      push(match[0], 'string');
+    } else if (number !== undefined) {
+      push(match[0], 'number');
+    } else {
+      const key = tokenizer.ignoreCase ? word.toLowerCase() : word;
+      push(match[0], tokenizer.keywords.has(key) ? 'keyword' : null);
+    }
+    offset = match.index + match[0].length;
+  }
+  push(text.slice(offset), null);
+
+  return segments.length > 0 ? segments : [{ text, style: null }];
+}
+
+/**
+ * Color a line: syntax colors over the line's base color, changed word ranges
+ * on a highlighted background
+ */
+function paint(c, text, language, ranges, base, highlight) {
+  let output = '';
+  let offset = 0;
+
+  for (const segment of highlightSyntax(text, language)) {
+    const style = segment.style ? SYNTAX_STYLES[segment.style](c) : base;
+    const end = offset + segment.text.length;
+
+    // Split the segment where changed ranges start and end
+    const cuts = new Set([offset, end]);
+    for (const [start, stop] of ranges) {
+      if (start > offset && start < end) cuts.add(start);
+      if (stop > offset && stop < end) cuts.add(stop);
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+
+    for (let k = 0; k < points.length - 1; k++) {
+      const piece = text.slice(points[k], points[k + 1]);
+      const changed = ranges.some(([start, stop]) => points[k] >= start && points[k] < stop);
+      output += changed ? highlight(style(piece)) : style(piece);
+    }
+    offset = end;
+  }
+
+  return output;
+}
+
+function expandTabs(text, size = 4) {
+  return text.replace(/\t/g, ' '.repeat(size));
+}
+
+/**
+ * Shorten a line to a width, clipping its changed ranges with it
+ */
+function fit(text, ranges, width) {
+  if (text.length <= width) {
+    return { text, ranges, padding: width - text.length };
+  }
+  const cut = Math.max(0, width - 1);
+  return {
+    text: `${text.slice(0, cut)}…`,
+    ranges: ranges.filter(([start]) => start < cut).map(([start, stop]) => [start, Math.min(stop, cut)]),
+    padding: 0
+  };
+}
+
+function fileHeader(c, file) {
+  const name = file.previous_filename && file.previous_filename !== file.filename
+    ? `${file.previous_filename} → ${file.filename}`
+    : file.filename;
+  const counts = `${c.green(`+${file.additions || 0}`)} ${c.red(`-${file.deletions || 0}`)}`;
+  return `${c.bold(name)} ${c.dim(`(${file.status || 'modified'})`)} ${counts}`;
+}
+
+/**
+ * Why a file is shown as a single line instead of its diff, if it is
+ */
+function collapsedReason(file) {
+  if (file.binary || (!file.patch && !file.changes)) {
+    return file.status === 'renamed' && !file.binary ? 'renamed without changes' : 'binary file not shown';
+  }
+  if (!file.patch) {
+    return 'diff too large to show; try --full';
+  }
+  return null;
+}
+
+function hunkHeader(c, hunk) {
+  const range = c.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+  return hunk.section ? `${range} ${c.dim(hunk.section)}` : range;
+}
+
+function lineStyles(c) {
+  return {
+    context: { sign: ' ', base: text => text, highlight: text => text },
+    del: { sign: c.red('-'), base: c.red, highlight: c.bgRed.black },
+    add: { sign: c.green('+'), base: c.green, highlight: c.bgGreen.black }
+  };
+}
+
+function renderUnified(c, hunks, language, gutter) {
+  const lines = [];
+  const styles = lineStyles(c);
+  const number = value => c.dim(value === null ? ' '.repeat(gutter) : String(value).padStart(gutter));
+
+  const emit = (line, ranges) => {
+    const style = styles[line.type];
+    const text = paint(c, expandTabs(line.content), language, ranges, style.base, style.highlight);
+    lines.push(`${number(line.oldLine)} ${number(line.newLine)} ${c.dim('│')} ${style.sign}${text}`);
+  };
+
+  for (const hunk of hunks) {
+    lines.push(hunkHeader(c, hunk));
+
+    const rows = pairHunkLines(hunk);
+    let i = 0;
+    while (i < rows.length) {
+      if (rows[i].type === 'context') {
+        emit(rows[i].left, []);
+        i++;
+        continue;
+      }
+      // Removed lines of a change block first, then the added ones
+      const block = [];
+      while (i < rows.length && rows[i].type === 'change') block.push(rows[i++]);
+      block.filter(row => row.left).forEach(row => emit(row.left, row.leftRanges));
+      block.filter(row => row.right).forEach(row => emit(row.right, row.rightRanges));
+    }
+  }
+
+  return lines;
+}
+
+function renderSplit(c, hunks, language, gutter, width) {
+  const lines = [];
+  const styles = lineStyles(c);
+  const column = Math.max(20, Math.floor((width - 3) / 2) - gutter - 2);
+
+  const side = (line, number, ranges, type) => {
+    if (!line) {
+      return ' '.repeat(gutter + 2 + column);
+    }
+    const style = styles[type];
+    const fitted = fit(expandTabs(line.content), ranges, column);
+    const text = paint(c, fitted.text, language, fitted.ranges, style.base, style.highlight);
+    return `${c.dim(String(number).padStart(gutter))} ${style.sign}${text}${' '.repeat(fitted.padding)}`;
+  };
+
+  for (const hunk of hunks) {
+    lines.push(hunkHeader(c, hunk));
+
+    for (const row of pairHunkLines(hunk)) {
+      const context = row.type === 'context';
+      const left = side(row.left, row.left?.oldLine, row.leftRanges, context ? 'context' : 'del');
+      const right = side(row.right, row.right?.newLine, row.rightRanges, context ? 'context' : 'add');
+      lines.push(`${left} ${c.dim('│')} ${right}`.trimEnd());
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Render the diff of one pull request file. Binary files, renames without
+ * changes and files whose patch GitHub left out collapse to their header.
+ *
+ * @param {Object} file - File from listFiles() or parseUnifiedDiff()
+ * @param {Object} [options]
+ * @param {string} [options.view='unified'] - 'unified' or 'split' (side by side)
+ * @param {number} [options.width=120] - Terminal width for the split view
+ * @param {boolean} [options.color=true] - Use ANSI colors
+ * @returns {string[]} Lines
+ */
+export function renderFileDiff(file, options = {}) {
+  const c = options.color === false ? new Chalk({ level: 0 }) : chalk;
+  const header = fileHeader(c, file);
+  const reason = collapsedReason(file);
+
+  if (reason) {
+    return [`${c.dim('▸')} ${header} ${c.dim(`— ${reason}`)}`];
+  }
+
+  const hunks = parsePatch(file.patch);
+  const language = languageFor(file.filename);
+  const highest = Math.max(1, ...hunks.map(hunk => Math.max(hunk.oldStart + hunk.oldLines, hunk.newStart + hunk.newLines)));
+  const gutter = String(highest).length;
+
+  const body = options.view === 'split'
+    ? renderSplit(c, hunks, language, gutter, options.width || 120)
+    : renderUnified(c, hunks, language, gutter);
+
+  return [`${c.dim('▾')} ${header}`, ...body];
+}
+
+/**
+ * Render the diffs of several files, with a blank line between files
+ *
+ * @param {Object[]} files - Files from listFiles() or parseUnifiedDiff()
+ * @param {Object} [options] - Options for renderFileDiff()
+ * @returns {string} The rendered diff
+ */
+export function renderDiff(files, options = {}) {
+  if (files.length === 0) {
+    return 'No files changed';
+  }
+  return files.map(file => renderFileDiff(file, options).join('\n')).join('\n\n');
+}
@@ -0,0 +1,35 @@
+/**
+ * Requests the pull request client's write methods send, so dry runs can
+ * plan them instead (see core's applyDryRun)
+ *
+ * The client lives in lib/, outside this tree. Argument orders follow
+ * types/index.d.ts and each request is the operation types/typegen.config.mjs
+ * names for the method; __tests__/utils/dryRun.test.mjs checks both against
+ * the OpenAPI spec.
+ */
+
+/**
+ * Pulls endpoint of the client's repository
+ */
+function pullsPath(client) {
+  const { owner, repo } = client.validateRepo();
+  return `/repos/${owner}/${repo}/pulls`;
+}
+
+/**
+ * Write method name → the request it sends
+ */
+export const PULL_WRITES = {
+  create: (client, data) => ({ method: 'POST', path: pullsPath(client), body: data }),
+  update: (client, pullNumber, data) => ({ method: 'PATCH', path: `${pullsPath(client)}/${pullNumber}`, body: data }),
+  merge: (client, pullNumber, data = {}) => ({
+    method: 'PUT',
+    path: `${pullsPath(client)}/${pullNumber}/merge`,
+    body: { merge_method: 'merge', ...data }
+  }),
+  updateBranch: (client, pullNumber, data) => ({ method: 'PUT', path: `${pullsPath(client)}/${pullNumber}/update-branch`, body: data }),
+  requestReviewers: (client, pullNumber, data) => ({ method: 'POST', path: `${pullsPath(client)}/${pullNumber}/requested_reviewers`, body: data }),
+  removeRequestedReviewers: (client, pullNumber, data) => ({ method: 'DELETE', path: `${pullsPath(client)}/${pullNumber}/requested_reviewers`, body: data }),
+  createReview: (client, pullNumber, data) => ({ method: 'POST', path: `${pullsPath(client)}/${pullNumber}/reviews`, body: data }),
+  createReviewComment: (client, pullNumber, data) => ({ method: 'POST', path: `${pullsPath(client)}/${pullNumber}/comments`, body: data })
+};
@@ -125,6 +125,17 @@ export class ConflictError extends ApiError {
   }
 }
 
+/**
+ * Merge Aborted Error
+ */
+export class MergeAbortedError extends ApiError {
+  constructor(message, reason, readiness = null) {
+    super(message, 0, readiness);
+    this.name = 'MergeAbortedError';
+    this.reason = reason;
+  }
+}
+
 /**
  * Handle API errors and throw appropriate error type
  * @param {Response} response - Fetch response
@@ -205,6 +216,7 @@ export default {
   NotFoundError,
   PermissionError,
   ConflictError,
+  MergeAbortedError,
   handleApiError,
   formatError
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { renderOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Format utilities for CLI output
@@ -225,33 +226,37 @@ export function formatJson(data, pretty = true) {
 }
 
 /**
- * Format output based on format type
+ * Format output based on format type. `table` and `text` keep the pull
+ * request layouts; yaml, csv, ndjson and the `fields`, `jq` and `template`
+ * options come from the shared output engine.
  * @param {*} data - Data to format
- * @param {string} format - Output format (json, table, text)
+ * @param {string} [format='text'] - Output format (json, yaml, csv, ndjson, table, text)
  * @param {Object} [options] - Format options
+ * @param {string} [options.fields] - Comma-separated fields to keep
+ * @param {string} [options.jq] - jq expression
+ * @param {string} [options.template] - Output template
  * @returns {string} Formatted output
  */
-export function formatOutput(data, format, options = {}) {
-  switch (format) {
-    case 'json':
-      return formatJson(data, options.pretty !== false);
-      
-    case 'table':
-      if (Array.isArray(data)) {
-        return createPullRequestTable(data, options);
+export function formatOutput(data, format = 'text', options = {}) {
+  return renderOutput(data, {
+    format,
+    fields: options.fields,
+    jq: options.jq,
+    template: options.template,
+    renderers: {
+      json: (value) => formatJson(value, options.pretty !== false),
+      table: (value) => (Array.isArray(value) ? createPullRequestTable(value, options) : formatJson(value, true)),
+      text: (value) => {
+        if (Array.isArray(value)) {
+          return value.map(pr => formatPullRequest(pr, options)).join('\n\n');
+        }
+        if (value && typeof value === 'object' && value.number) {
+          return formatPullRequest(value, { ...options, showCounts: true, showChanges: true });
+        }
+        return formatJson(value, true);
       }
-      return formatJson(data, true);
-      
-    case 'text':
-    default:
-      if (Array.isArray(data)) {
-        return data.map(pr => formatPullRequest(pr, options)).join('\n\n');
-      }
-      if (data && typeof data === 'object' && data.number) {
-        return formatPullRequest(data, { ...options, showCounts: true, showChanges: true });
-      }
-      return formatJson(data, true);
-  }
+    }
+  });
 }
 
 /**
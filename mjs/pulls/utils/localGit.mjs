@@ -0,0 +1,15 @@
+/**
+ * Git client for the clone in the working directory
+ */
+
+/**
+ * Open the clone gh-pr runs in. The clone package is loaded on first use so
+ * the other gh-pr commands don't pull in simple-git.
+ *
+ * @returns {Promise<import('@thinkeloquent/github-sdk-clone').GitClient>} Client whose repository `.` is the working directory
+ */
+export async function openLocalClone() {
+  const { GitClient } = await import('@thinkeloquent/github-sdk-clone');
+  // The clone in the working directory, not a managed repositories folder
+  return new GitClient({ baseDir: process.cwd(), configureCredentials: false });
+}
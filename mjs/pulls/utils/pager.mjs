@@ -0,0 +1,58 @@
+/**
+ * Show long output through a pager
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Pager command: GH_PAGER, then PAGER, then `less -FRX` (quit when the text
+ * fits on one screen, keep colors, leave the text on screen on exit)
+ *
+ * @returns {string|null} Command, or null when paging is turned off (`cat` or empty)
+ */
+export function pagerCommand() {
+  const command = process.env.GH_PAGER ?? process.env.PAGER ?? 'less -FRX';
+  return command.trim() === '' || command.trim() === 'cat' ? null : command;
+}
+
+/**
+ * Print text, through the pager when stdout is a terminal and the text is
+ * taller than it. Falls back to printing when the pager cannot be started.
+ *
+ * @param {string} text - Text to show
+ * @param {Object} [options]
+ * @param {boolean} [options.pager=true] - Allow paging
+ * @returns {Promise<void>} Resolves once the pager exits
+ */
+export function page(text, options = {}) {
+  const command = options.pager === false ? null : pagerCommand();
+  const rows = process.stdout.rows || 24;
+
+  if (!command || !process.stdout.isTTY || text.split('\n').length < rows) {
+    process.stdout.write(`${text}\n`);
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { LESS: 'FRX', ...process.env }
+    });
+
+    let done = false;
+    const finish = fallback => {
+      if (done) return;
+      done = true;
+      if (fallback) process.stdout.write(`${text}\n`);
+      resolve();
+    };
+
+    child.on('error', () => finish(true));
+    // 127: the shell found no such pager
+    child.on('close', code => finish(code === 127));
+    // Quitting the pager early closes its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${text}\n`);
+  });
+}
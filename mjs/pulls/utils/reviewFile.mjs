@@ -0,0 +1,190 @@
+/**
+ * Review files: YAML or JSON lists of inline comments, checked against a
+ * pull request's diff before they are sent
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parsePatch } from './diff.mjs';
+
+/**
+ * Review events a review file can ask for
+ */
+export const REVIEW_EVENTS = ['APPROVE', 'REQUEST_CHANGES', 'COMMENT'];
+
+const SIDES = ['LEFT', 'RIGHT'];
+
+/**
+ * Parse a review file. It is either a list of comments, or an object with
+ * optional `event` and `body` and a `comments` list. Each comment has `path`,
+ * `line`, optional `start_line`, `side` and `start_side`, and a `body`;
+ * `suggestion` appends a ```suggestion block replacing the commented lines.
+ *
+ * @param {string} text - File contents
+ * @param {string} [format='yaml'] - 'yaml' or 'json'
+ * @returns {{ event: string|undefined, body: string|undefined, comments: Object[] }}
+ * @throws {Error} When the file is not shaped like a review
+ */
+export function parseReviewFile(text, format = 'yaml') {
+  const data = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  const review = Array.isArray(data) ? { comments: data } : data;
+
+  if (!review || typeof review !== 'object' || !Array.isArray(review.comments ?? [])) {
+    throw new Error('A review file must be a list of comments, or an object with a `comments` list');
+  }
+  if (review.event !== undefined && !REVIEW_EVENTS.includes(String(review.event).toUpperCase())) {
+    throw new Error(`Unknown review event "${review.event}", expected one of: ${REVIEW_EVENTS.join(', ')}`);
+  }
+
+  const comments = review.comments ?? [];
+  if (comments.some(comment => comment === null || typeof comment !== 'object' || Array.isArray(comment))) {
+    throw new Error('Each review comment must be an object with path, line and body');
+  }
+
+  return {
+    event: review.event === undefined ? undefined : String(review.event).toUpperCase(),
+    body: review.body === undefined ? undefined : String(review.body),
+    comments: comments.map(normalizeComment)
+  };
+}
+
+/**
+ * Read a review file; `.json` files are parsed as JSON, anything else as YAML
+ *
+ * @param {string} file - Path to the review file
+ * @returns {{ event: string|undefined, body: string|undefined, comments: Object[] }}
+ */
+export function loadReviewFile(file) {
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml';
+  try {
+    return parseReviewFile(fs.readFileSync(file, 'utf8'), format);
+  } catch (error) {
+    throw new Error(`Cannot read review file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * A review file comment in the shape the API takes
+ */
+function normalizeComment(comment) {
+  const normalized = {
+    path: comment.path,
+    line: comment.line,
+    side: String(comment.side || 'RIGHT').toUpperCase(),
+    body: comment.body === undefined || comment.body === null ? '' : String(comment.body)
+  };
+
+  if (comment.start_line !== undefined && comment.start_line !== null) {
+    normalized.start_line = comment.start_line;
+    normalized.start_side = String(comment.start_side || normalized.side).toUpperCase();
+  }
+  if (comment.suggestion !== undefined && comment.suggestion !== null) {
+    const suggestion = String(comment.suggestion).replace(/\n$/, '');
+    normalized.body = [normalized.body, '```suggestion', suggestion, '```'].filter((part, i) => i > 0 || part).join('\n');
+  }
+
+  return normalized;
+}
+
+/**
+ * Hunks of a unified diff patch with the lines a review comment can be left
+ * on: `left` holds old-file lines (removed or context), `right` new-file
+ * lines (added or context)
+ *
+ * @param {string} patch - `patch` of a pull request file
+ * @returns {Array<{ header: string, left: Set<number>, right: Set<number> }>}
+ */
+export function parseDiffHunks(patch) {
+  return parsePatch(patch).map(hunk => ({
+    header: hunk.header,
+    left: new Set(hunk.lines.filter(line => line.type !== 'add').map(line => line.oldLine)),
+    right: new Set(hunk.lines.filter(line => line.type !== 'del').map(line => line.newLine))
+  }));
+}
+
+/**
+ * Line ranges of a set of line numbers, e.g. "10-14, 30-38"
+ */
+function describeLines(lines) {
+  const sorted = [...lines].sort((a, b) => a - b);
+  const ranges = [];
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+/**
+ * Check review comments against the files of a pull request: each must name
+ * a changed file and lines inside one of its diff hunks, on the side given.
+ *
+ * @param {Object[]} comments - Comments from parseReviewFile()
+ * @param {Object[]} files - Pull request files, as listFiles() returns them
+ * @returns {Array<{ field: string, message: string }>} One entry per problem, empty when every comment fits the diff
+ */
+export function validateReviewComments(comments, files) {
+  const byPath = new Map(files.map(file => [file.filename, file]));
+  const hunksByPath = new Map();
+  const errors = [];
+
+  comments.forEach((comment, index) => {
+    const field = `comments[${index}]${comment.path ? ` ${comment.path}:${comment.line}` : ''}`;
+    const problem = message => errors.push({ field, message });
+
+    if (!comment.path) {
+      return problem('path is required');
+    }
+    if (!Number.isInteger(comment.line) || comment.line < 1) {
+      return problem('line must be a positive line number');
+    }
+    if (!comment.body.trim()) {
+      return problem('body is required');
+    }
+    if (!SIDES.includes(comment.side) || (comment.start_side && !SIDES.includes(comment.start_side))) {
+      return problem('side must be LEFT or RIGHT');
+    }
+    if (comment.side === 'LEFT' && /^```suggestion\b/m.test(comment.body)) {
+      return problem('suggestions can only be made on the RIGHT side');
+    }
+
+    const file = byPath.get(comment.path);
+    if (!file) {
+      return problem('file is not changed in this pull request');
+    }
+    if (!file.patch) {
+      return problem('file has no diff to comment on (binary or too large)');
+    }
+
+    if (!hunksByPath.has(comment.path)) {
+      hunksByPath.set(comment.path, parseDiffHunks(file.patch));
+    }
+    const hunks = hunksByPath.get(comment.path);
+    const key = comment.side.toLowerCase();
+    const hunk = hunks.find(candidate => candidate[key].has(comment.line));
+    if (!hunk) {
+      const commentable = describeLines(hunks.flatMap(candidate => [...candidate[key]]));
+      return problem(`line ${comment.line} (${comment.side}) is outside the diff; ${comment.side} lines in the diff: ${commentable || 'none'}`);
+    }
+
+    if (comment.start_line !== undefined) {
+      if (!Number.isInteger(comment.start_line) || comment.start_line < 1) {
+        return problem('start_line must be a positive line number');
+      }
+      const startKey = comment.start_side.toLowerCase();
+      if (comment.start_side === comment.side && comment.start_line >= comment.line) {
+        return problem('start_line must come before line');
+      }
+      if (!hunk[startKey].has(comment.start_line)) {
+        return problem(`start_line ${comment.start_line} (${comment.start_side}) is not in the same diff hunk as line ${comment.line} (${hunk.header})`);
+      }
+    }
+  });
+
+  return errors;
+}
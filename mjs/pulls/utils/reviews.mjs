@@ -0,0 +1,167 @@
+/**
+ * Multi-comment reviews and pending reviews
+ */
+
+import { GraphQLClient } from '@thinkeloquent/github-sdk-core';
+import { NotFoundError, ValidationError } from './errors.mjs';
+import { collectAllPages } from './pagination.mjs';
+import { validateReviewComments } from './reviewFile.mjs';
+
+// The REST API cannot add comments to an existing review; GraphQL can
+const ADD_REVIEW_THREAD = `mutation($review: ID!, $path: String!, $body: String!, $line: Int!, $side: DiffSide, $startLine: Int, $startSide: DiffSide) {
+  addPullRequestReviewThread(input: { pullRequestReviewId: $review, path: $path, body: $body, line: $line, side: $side, startLine: $startLine, startSide: $startSide }) {
+    thread { id }
+  }
+}`;
+
+function reviewsPath(client, pullNumber) {
+  const { owner, repo } = client.validateRepo();
+  return `/repos/${owner}/${repo}/pulls/${pullNumber}/reviews`;
+}
+
+/**
+ * Check comments against the pull request's diff hunks
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object[]} comments - Comments from parseReviewFile()
+ * @returns {Promise<Object[]>} The comments, once every one fits the diff
+ * @throws {ValidationError} Listing each comment that does not
+ */
+export async function validateReviewCommentsForPull(client, pullNumber, comments) {
+  if (comments.length === 0) {
+    return comments;
+  }
+
+  const files = await collectAllPages(
+    page => client.listFiles(pullNumber, { page, per_page: 100 }),
+    { perPage: 100 }
+  );
+  const errors = validateReviewComments(comments, files);
+  if (errors.length > 0) {
+    throw new ValidationError(`Review comments do not fit the diff of PR #${pullNumber}`, errors);
+  }
+  return comments;
+}
+
+/**
+ * Create a review with inline comments, after checking them against the diff.
+ * Without an `event` the review stays pending until submitPendingReview().
+ *
+ * @example
+ * ```javascript
+ * import { createClient, loadReviewFile, createReviewWithComments } from '@github-api/pulls';
+ *
+ * const client = createClient({ owner: 'octocat', repo: 'Hello-World' });
+ * const { body, comments } = loadReviewFile('review.yaml');
+ * await createReviewWithComments(client, 42, { event: 'REQUEST_CHANGES', body, comments });
+ * ```
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} review
+ * @param {string} [review.event] - APPROVE, REQUEST_CHANGES or COMMENT; omit for a pending review
+ * @param {string} [review.body] - Review summary
+ * @param {Object[]} [review.comments] - Inline comments (path, line, start_line, side, start_side, body)
+ * @returns {Promise<Object>} The created review
+ * @throws {ValidationError} When a comment does not fit the diff
+ */
+export async function createReviewWithComments(client, pullNumber, { event, body, comments = [] } = {}) {
+  const pr = await client.get(pullNumber);
+  await validateReviewCommentsForPull(client, pullNumber, comments);
+
+  const data = { commit_id: pr.head.sha, comments };
+  if (event) data.event = event;
+  if (body) data.body = body;
+
+  return client.createReview(pullNumber, data);
+}
+
+/**
+ * The authenticated user's pending review; pending reviews are only visible
+ * to their author
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @returns {Promise<Object|null>} The pending review, or null
+ */
+export async function findPendingReview(client, pullNumber) {
+  const reviews = await collectAllPages(
+    page => client.listReviews(pullNumber, { page, per_page: 100 }),
+    { perPage: 100 }
+  );
+  return reviews.find(review => review.state === 'PENDING') || null;
+}
+
+async function requirePendingReview(client, pullNumber) {
+  const review = await findPendingReview(client, pullNumber);
+  if (!review) {
+    throw new NotFoundError(`You have no pending review on PR #${pullNumber}`);
+  }
+  return review;
+}
+
+/**
+ * Add inline comments to the authenticated user's pending review, after
+ * checking them against the diff
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object[]} comments - Inline comments (path, line, start_line, side, start_side, body)
+ * @param {Object} [options]
+ * @param {GraphQLClient} [options.graphql] - GraphQL client (default: one for the same token)
+ * @returns {Promise<Object>} The pending review
+ * @throws {NotFoundError} When there is no pending review
+ * @throws {ValidationError} When a comment does not fit the diff
+ */
+export async function addPendingReviewComments(client, pullNumber, comments, options = {}) {
+  const review = await requirePendingReview(client, pullNumber);
+  await validateReviewCommentsForPull(client, pullNumber, comments);
+
+  const graphql = options.graphql || new GraphQLClient({ auth: client.auth, baseUrl: client.baseUrl });
+  for (const comment of comments) {
+    await graphql.query(ADD_REVIEW_THREAD, {
+      review: review.node_id,
+      path: comment.path,
+      body: comment.body,
+      line: comment.line,
+      side: comment.side,
+      startLine: comment.start_line ?? null,
+      startSide: comment.start_line === undefined ? null : comment.start_side
+    });
+  }
+
+  return review;
+}
+
+/**
+ * Submit the authenticated user's pending review
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} [options]
+ * @param {string} [options.event='COMMENT'] - APPROVE, REQUEST_CHANGES or COMMENT
+ * @param {string} [options.body] - Review summary
+ * @returns {Promise<Object>} The submitted review
+ * @throws {NotFoundError} When there is no pending review
+ */
+export async function submitPendingReview(client, pullNumber, { event = 'COMMENT', body } = {}) {
+  const review = await requirePendingReview(client, pullNumber);
+  const data = { event };
+  if (body) data.body = body;
+
+  return client.request('POST', `${reviewsPath(client, pullNumber)}/${review.id}/events`, data);
+}
+
+/**
+ * Delete the authenticated user's pending review and its comments
+ *
+ * @param {Object} client - PullRequestClient for the repository
+ * @param {number} pullNumber - Pull request number
+ * @returns {Promise<Object>} The deleted review
+ * @throws {NotFoundError} When there is no pending review
+ */
+export async function discardPendingReview(client, pullNumber) {
+  const review = await requirePendingReview(client, pullNumber);
+  return client.request('DELETE', `${reviewsPath(client, pullNumber)}/${review.id}`);
+}
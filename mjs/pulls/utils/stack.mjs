@@ -0,0 +1,222 @@
+/**
+ * Stacks of dependent pull requests, each based on the branch of the one
+ * below it. The stack is recorded in every pull request's body, so anyone can
+ * rebuild it from any of its pull requests.
+ */
+
+import { collectAllPages } from './pagination.mjs';
+import { collectReviews } from './autoMerge.mjs';
+
+const SECTION_PATTERN = /\n*<!-- gh-pr-stack (\{.*?\}) -->[\s\S]*?<!-- \/gh-pr-stack -->\n*/;
+
+/**
+ * Stack section of a pull request body: the metadata in a comment, and the
+ * list of pull requests for readers
+ *
+ * @param {{ base: string, pulls: number[] }} stack - Branch the bottom pull request merges into, and the pull requests bottom first
+ * @param {number} current - Pull request the body belongs to
+ * @returns {string} Markdown
+ */
+export function renderStackSection(stack, current) {
+  return [
+    `<!-- gh-pr-stack ${JSON.stringify({ base: stack.base, pulls: stack.pulls })} -->`,
+    '---',
+    '',
+    `**Stack** into \`${stack.base}\`, merging bottom first:`,
+    '',
+    ...stack.pulls.map((number, index) => `${index + 1}. #${number}${number === current ? ' ← this pull request' : ''}`),
+    '',
+    '<!-- /gh-pr-stack -->'
+  ].join('\n');
+}
+
+/**
+ * Read the stack metadata from a pull request body
+ *
+ * @param {string|null} body - Pull request body
+ * @returns {{ base: string, pulls: number[] }|null} The stack, or null when the body has none
+ */
+export function parseStack(body) {
+  const match = SECTION_PATTERN.exec(body || '');
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const { base, pulls } = JSON.parse(match[1]);
+    if (typeof base !== 'string' || !Array.isArray(pulls) || pulls.length === 0 || !pulls.every(Number.isInteger)) {
+      return null;
+    }
+    return { base, pulls };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add the stack section to a pull request body, replacing the one it has
+ *
+ * @param {string|null} body - Pull request body
+ * @param {{ base: string, pulls: number[] }} stack - The stack
+ * @param {number} current - Pull request the body belongs to
+ * @returns {string} The new body
+ */
+export function withStackSection(body, stack, current) {
+  const text = (body || '').replace(SECTION_PATTERN, '\n').trim();
+  const section = renderStackSection(stack, current);
+  return text ? `${text}\n\n${section}` : section;
+}
+
+/**
+ * Where a pull request stands: merged, closed, draft or open
+ */
+function pullState(pr) {
+  if (pr.merged || pr.merged_at) return 'merged';
+  if (pr.state === 'closed') return 'closed';
+  return pr.draft ? 'draft' : 'open';
+}
+
+/**
+ * Review decision of an open pull request, like GitHub's reviewDecision
+ */
+function reviewDecision(reviews) {
+  const verdicts = [...collectReviews(reviews).values()];
+  if (verdicts.includes('CHANGES_REQUESTED')) return 'changes_requested';
+  if (verdicts.includes('APPROVED')) return 'approved';
+  return 'review_required';
+}
+
+/**
+ * One pull request of a stack
+ */
+function stackEntry(pr, reviews) {
+  const state = pullState(pr);
+  return {
+    number: pr.number,
+    title: pr.title,
+    branch: pr.head.ref,
+    base: pr.base.ref,
+    state,
+    review: state === 'open' || state === 'draft' ? reviewDecision(reviews) : null,
+    url: pr.html_url
+  };
+}
+
+/**
+ * Open a stack of pull requests from branches, bottom first: the first is
+ * based on `base`, each of the others on the branch before it. A branch that
+ * already has an open pull request keeps it, retargeted when its base is
+ * wrong; new ones are titled after the branch's latest commit. Every pull
+ * request's body then gets the stack section.
+ *
+ * @param {Object} client - Pull request client
+ * @param {string[]} branches - Head branches, bottom first
+ * @param {Object} [options]
+ * @param {string} [options.base] - Branch the bottom pull request merges into (default: the repository's default branch)
+ * @param {boolean} [options.draft=false] - Open new pull requests as drafts
+ * @returns {Promise<{ base: string, pulls: Object[] }>} The stack; each pull request has `created` set when it was opened now
+ */
+export async function createStack(client, branches, options = {}) {
+  if (branches.length === 0) {
+    throw new Error('A stack needs at least one branch');
+  }
+  const duplicate = branches.find((branch, index) => branches.indexOf(branch) !== index);
+  if (duplicate) {
+    throw new Error(`Branch ${duplicate} is listed more than once`);
+  }
+
+  const { owner, repo } = client.validateRepo();
+  const repoPath = `/repos/${owner}/${repo}`;
+  const base = options.base || (await client.request('GET', repoPath)).default_branch;
+
+  const pulls = [];
+  for (const [index, branch] of branches.entries()) {
+    const target = index === 0 ? base : branches[index - 1];
+    const [existing] = await client.list({ head: `${owner}:${branch}`, state: 'open' });
+
+    let pr;
+    if (existing) {
+      pr = existing.base.ref === target ? existing : await client.update(existing.number, { base: target });
+    } else {
+      const commit = await client.request('GET', `${repoPath}/commits/${branch}`);
+      pr = await client.create({
+        title: commit.commit.message.split('\n')[0],
+        head: branch,
+        base: target,
+        draft: Boolean(options.draft)
+      });
+    }
+    pulls.push({ pr, created: !existing });
+  }
+
+  const stack = { base, pulls: pulls.map(({ pr }) => pr.number) };
+  for (const { pr } of pulls) {
+    await client.update(pr.number, { body: withStackSection(pr.body, stack, pr.number) });
+  }
+
+  return { base, pulls: pulls.map(({ pr, created }) => ({ ...stackEntry(pr, []), created })) };
+}
+
+/**
+ * Rebuild a stack from any of its pull requests, with each one's state and
+ * review decision. Open pull requests get `expectedBase`: the branch of the
+ * nearest pull request below them that is not merged, or the stack's base.
+ *
+ * @param {Object} client - Pull request client
+ * @param {number} pullNumber - Any pull request of the stack
+ * @returns {Promise<{ base: string, pulls: Object[] }>} The stack, bottom first
+ * @throws {Error} When the pull request's body has no stack section
+ */
+export async function loadStack(client, pullNumber) {
+  const pr = await client.get(pullNumber);
+  const stack = parseStack(pr.body);
+  if (!stack) {
+    throw new Error(`Pull request #${pullNumber} is not part of a stack (its body has no stack section)`);
+  }
+
+  const prs = await Promise.all(stack.pulls.map(number => (number === pr.number ? pr : client.get(number))));
+  const pulls = await Promise.all(prs.map(async stacked => {
+    const state = pullState(stacked);
+    const reviews = state === 'open' || state === 'draft'
+      ? await collectAllPages(page => client.listReviews(stacked.number, { page, per_page: 100 }), { perPage: 100 })
+      : [];
+    return stackEntry(stacked, reviews);
+  }));
+
+  let below = stack.base;
+  for (const entry of pulls) {
+    entry.expectedBase = entry.state === 'open' || entry.state === 'draft' ? below : null;
+    if (entry.state !== 'merged') {
+      below = entry.branch;
+    }
+  }
+
+  return { base: stack.base, pulls };
+}
+
+/**
+ * Retarget the open pull requests of a stack whose base is no longer right,
+ * usually because the one below them merged
+ *
+ * @param {Object} client - Pull request client
+ * @param {number} pullNumber - Any pull request of the stack
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Work out the changes without making them
+ * @returns {Promise<{ base: string, pulls: Object[], changes: Array<{ number: number, from: string, to: string }> }>} The stack as it is now, and the retargets
+ */
+export async function syncStack(client, pullNumber, options = {}) {
+  const stack = await loadStack(client, pullNumber);
+  const changes = [];
+
+  for (const entry of stack.pulls) {
+    if (entry.expectedBase && entry.base !== entry.expectedBase) {
+      if (!options.dryRun) {
+        await client.update(entry.number, { base: entry.expectedBase });
+      }
+      changes.push({ number: entry.number, from: entry.base, to: entry.expectedBase });
+      entry.base = entry.expectedBase;
+    }
+  }
+
+  return { ...stack, changes };
+}
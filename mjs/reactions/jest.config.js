@@ -1,6 +1,7 @@
 export default {
   testEnvironment: 'node',
   transform: {},
+  setupFiles: ['<rootDir>/test/setup.mjs'],
   testMatch: ['**/test/**/*.test.mjs'],
   collectCoverageFrom: [
     'src/**/*.mjs',
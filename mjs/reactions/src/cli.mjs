@@ -12,6 +12,19 @@ import { dirname, join } from 'node:path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 
+import {
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  addAuditOption,
+  registerAuditCommand,
+  writeOutput,
+  isMachineOutput,
+  isMainModule,
+  registerCompletionCommand
+} from '@thinkeloquent/github-sdk-core';
 import { createClient } from './bootstrap.mjs';
 import { REACTION_CONTENT, RELEASE_REACTION_CONTENT } from './core/types.mjs';
 import { ErrorHandler } from './core/errors.mjs';
@@ -32,6 +45,10 @@ program
   .option('-v, --verbose', 'Enable verbose output')
   .option('--no-color', 'Disable colored output');
 
+addDryRunOption(program);
+addAuditOption(program);
+addProfileOption(program);
+
 // Helper functions
 function formatReactionEmoji(content) {
   const emojiMap = {
@@ -63,9 +80,9 @@ function displayTable(data) {
   console.table(reactions);
 }
 
-function displayOutput(data, format = 'table') {
-  if (format === 'json') {
-    console.log(JSON.stringify(data, null, 2));
+function displayOutput(data, options = {}) {
+  if (isMachineOutput(options)) {
+    writeOutput(data, options);
     return;
   }
 
@@ -81,7 +98,7 @@ program
   .command('list')
   .description('List reactions for various GitHub entities')
   .option('-t, --token <token>', 'GitHub personal access token')
-  .option('-o, --output <format>', 'Output format (json, table)', 'table')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)', 'table')
   .option('--per-page <number>', 'Results per page (max 100)', '30')
   .option('--page <number>', 'Page number to fetch', '1')
   .option('--all-pages', 'Fetch all pages automatically')
@@ -182,9 +199,9 @@ program
           throw new Error(`Unknown resource type: ${options.resource}`);
       }
       
-      displayOutput(result.data, options.output);
+      displayOutput(result.data, options);
       
-      if (options.output === 'table' && result.pagination) {
+      if (!isMachineOutput(options) && result.pagination) {
         console.log(`\nPage ${result.pagination.page} of ${result.pagination.totalPages || '?'}`);
         if (result.pagination.totalItems) {
           console.log(`Total items: ${result.pagination.totalItems}`);
@@ -205,7 +222,7 @@ program
   .command('create')
   .description('Create a reaction for a GitHub entity')
   .option('-t, --token <token>', 'GitHub personal access token')
-  .option('-o, --output <format>', 'Output format (json, table)', 'table')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)', 'table')
   .option('--owner <owner>', 'Repository owner (for repo resources)')
   .option('--repo <repo>', 'Repository name (for repo resources)')
   .option('--org <org>', 'Organization name (for team resources)')
@@ -296,8 +313,10 @@ program
           throw new Error(`Unknown resource type: ${options.resource}`);
       }
       
-      console.log(`✅ Reaction created successfully!`);
-      displayOutput(result, options.output);
+      if (!isMachineOutput(options)) {
+        console.log(`✅ Reaction created successfully!`);
+      }
+      displayOutput(result, options);
     } catch (error) {
       const handledError = ErrorHandler.handle(error);
       console.error(chalk.red(`Error: ${handledError.message}`));
@@ -412,6 +431,12 @@ program
     }
   });
 
+// Login command
+registerLoginCommand(program, { scopes: ['repo', 'read:discussion'] });
+registerProfilesCommand(program);
+registerAuditCommand(program);
+registerCompletionCommand(program);
+
 // Examples command
 program
   .command('examples')
@@ -431,13 +456,39 @@ program
     console.log(chalk.yellow('Delete a reaction:'));
     console.log('  github-reactions delete --resource issue --owner octocat --repo Hello-World --issue-number 1 --reaction-id 67890\n');
     
-    console.log(chalk.green('💡 Pro tip: Set your GitHub token via the GITHUB_TOKEN environment variable'));
+    console.log(chalk.green('💡 Pro tip: Run github-reactions login, or set the GITHUB_TOKEN environment variable'));
   });
 
-// Parse command line arguments
-program.parse(process.argv);
+// Output shaping options for every command that prints results
+for (const command of program.commands.filter(command => command.options.some(option => option.long === '--output'))) {
+  addOutputOptions(command);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  // Parse command line arguments
+  await program.parseAsync(argv);
+
+  // Show help if no command provided
+  if (!argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
 
-// Show help if no command provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-}
\ No newline at end of file
+export { program };
+export default program;
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { addOutputOptions, writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { ErrorHandler } from '../core/errors.mjs';
 
 export class BaseCommand {
@@ -19,11 +20,12 @@ export class BaseCommand {
   addCommonOptions() {
     this.program
       .option('-t, --token <token>', 'GitHub personal access token')
-      .option('-o, --output <format>', 'Output format (json, table)', 'table')
+      .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)', 'table')
       .option('--per-page <number>', 'Results per page (max 100)', '30')
       .option('--page <number>', 'Page number to fetch', '1')
       .option('--all-pages', 'Fetch all pages automatically')
       .option('-v, --verbose', 'Enable verbose output');
+    addOutputOptions(this.program);
 
     return this;
   }
@@ -55,11 +57,11 @@ export class BaseCommand {
   /**
    * Format and display output
    * @param {any} data - Data to display
-   * @param {string} format - Output format
+   * @param {Object} options - Parsed options (`output`, `fields`, `jq`, `template`)
    */
-  displayOutput(data, format = 'table') {
-    if (format === 'json') {
-      console.log(JSON.stringify(data, null, 2));
+  displayOutput(data, options = {}) {
+    if (isMachineOutput(options)) {
+      writeOutput(data, options);
       return;
     }
 
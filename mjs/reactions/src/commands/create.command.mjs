@@ -3,6 +3,7 @@
  * @module commands/create
  */
 
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { BaseCommand } from './base.command.mjs';
 import { createClient } from '../bootstrap.mjs';
 
@@ -104,7 +105,9 @@ export class CreateCommand extends BaseCommand {
         throw new Error(`Unknown resource type: ${options.resource}`);
     }
     
-    console.log(`✅ Reaction created successfully!`);
-    this.displayOutput(result, options.output);
+    if (!isMachineOutput(options)) {
+      console.log(`✅ Reaction created successfully!`);
+    }
+    this.displayOutput(result, options);
   }
 }
\ No newline at end of file
@@ -3,6 +3,7 @@
  * @module commands/list
  */
 
+import { isMachineOutput } from '@thinkeloquent/github-sdk-core';
 import { BaseCommand } from './base.command.mjs';
 import { createClient } from '../bootstrap.mjs';
 
@@ -111,9 +112,9 @@ export class ListCommand extends BaseCommand {
         throw new Error(`Unknown resource type: ${options.resource}`);
     }
     
-    this.displayOutput(result.data, options.output);
+    this.displayOutput(result.data, options);
     
-    if (options.output === 'table' && result.pagination) {
+    if (!isMachineOutput(options) && result.pagination) {
       console.log(`\nPage ${result.pagination.page} of ${result.pagination.totalPages || '?'}`);
       if (result.pagination.totalItems) {
         console.log(`Total items: ${result.pagination.totalItems}`);
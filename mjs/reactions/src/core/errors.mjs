@@ -3,7 +3,9 @@
  * @module core/errors
  */
 
-export class GitHubReactionsError extends Error {
+import { GitHubError } from '@thinkeloquent/github-sdk-core';
+
+export class GitHubReactionsError extends GitHubError {
   /**
    * @param {string} message - Error message
    * @param {string} [code='UNKNOWN_ERROR'] - Error code
@@ -11,10 +13,9 @@ export class GitHubReactionsError extends Error {
    * @param {*} [details] - Additional error details
    */
   constructor(message, code = 'UNKNOWN_ERROR', statusCode = 500, details = undefined) {
-    super(message);
+    super(message, { status: statusCode });
     this.name = this.constructor.name;
     this.code = code;
-    this.statusCode = statusCode;
     this.details = details;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -3,21 +3,33 @@
  * @module services/http
  */
 
+import { Transport, GitHubError, RateLimitError as TransportRateLimitError, TimeoutError as TransportTimeoutError } from '@thinkeloquent/github-sdk-core';
 import { ErrorHandler, TimeoutError, RateLimitError } from '../core/errors.mjs';
 
 export class HttpService {
   #config;
   #logger;
-  #baseHeaders;
+  #transport;
 
   constructor(config, logger) {
     this.#config = config;
     this.#logger = logger;
-    this.#baseHeaders = {
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': '@github-api/reactions',
-      'Authorization': `token ${config.token}`,
-    };
+    this.#transport = new Transport({
+      baseUrl: config.baseUrl,
+      timeout: config.timeout,
+      retries: config.retries,
+      accept: 'application/vnd.github.v3+json',
+      userAgent: '@github-api/reactions',
+      authScheme: 'token',
+      auth: config.token,
+      cassette: config.cassette,
+      validate: config.validate,
+      dryRun: config.dryRun,
+      audit: config.audit,
+      scheduler: config.scheduler,
+      instrumentation: config.instrumentation,
+      mapError: (error) => this.#toReactionsError(error),
+    });
   }
 
   /**
@@ -33,97 +45,44 @@ export class HttpService {
   async request(options) {
     const { method, url, headers = {}, body, timeout = this.#config.timeout } = options;
 
-    const fullUrl = url.startsWith('http') ? url : `${this.#config.baseUrl}${url}`;
-    
-    const requestOptions = {
-      method: method.toUpperCase(),
-      headers: { ...this.#baseHeaders, ...headers },
-    };
-
-    if (body) {
-      requestOptions.body = JSON.stringify(body);
-      requestOptions.headers['Content-Type'] = 'application/json';
-    }
-
-    this.#logger.debug(`${method.toUpperCase()} ${fullUrl}`, { body });
-
-    let attempt = 0;
-    const maxAttempts = this.#config.retries + 1;
-
-    while (attempt < maxAttempts) {
-      attempt++;
+    this.#logger.debug(`${method.toUpperCase()} ${url}`, { body });
 
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const response = await this.#transport.request({ method, url, headers, body, timeout });
 
-        const response = await fetch(fullUrl, {
-          ...requestOptions,
-          signal: controller.signal,
-        });
+    this.#logger.debug(`Response ${response.status}`, { url: response.url });
 
-        clearTimeout(timeoutId);
-
-        // Handle rate limiting
-        if (response.status === 429) {
-          const resetTime = parseInt(response.headers.get('x-ratelimit-reset'));
-          if (attempt < maxAttempts && resetTime) {
-            const waitTime = (resetTime * 1000) - Date.now() + 1000; // Add 1 second buffer
-            this.#logger.warn(`Rate limited, waiting ${waitTime}ms`);
-            await new Promise(resolve => setTimeout(resolve, Math.max(0, waitTime)));
-            continue;
-          }
-          throw new RateLimitError(resetTime);
-        }
-
-        let data;
-        const contentType = response.headers.get('content-type');
-        
-        if (contentType && contentType.includes('application/json')) {
-          data = await response.json();
-        } else {
-          data = await response.text();
-        }
-
-        if (!response.ok) {
-          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-          error.response = { status: response.status, data, headers: response.headers };
-          throw error;
-        }
-
-        const result = {
-          data,
-          status: response.status,
-          headers: Object.fromEntries(response.headers.entries()),
-          url: fullUrl,
-        };
-
-        this.#logger.debug(`Response ${response.status}`, { url: fullUrl });
-
-        return result;
+    return {
+      data: response.data,
+      status: response.status,
+      headers: response.headers,
+      url: response.url,
+    };
+  }
 
-      } catch (error) {
-        if (error.name === 'AbortError') {
-          const timeoutError = new TimeoutError(timeout);
-          if (attempt < maxAttempts && ErrorHandler.isRetryable(timeoutError)) {
-            this.#logger.warn(`Request timeout, retrying (${attempt}/${maxAttempts})`);
-            continue;
-          }
-          throw timeoutError;
-        }
+  /**
+   * Convert transport errors into reactions errors
+   * @param {Error} error - Transport error
+   * @returns {GitHubReactionsError}
+   */
+  #toReactionsError(error) {
+    // Secondary limits carry Retry-After rather than a reset time
+    if (error instanceof TransportRateLimitError) {
+      return new RateLimitError(error.retryAfter === null && error.reset
+        ? error.reset
+        : Math.ceil((Date.now() + error.getRetryAfter()) / 1000));
+    }
 
-        const handledError = ErrorHandler.handle(error);
-        
-        if (attempt < maxAttempts && ErrorHandler.isRetryable(handledError)) {
-          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000); // Exponential backoff
-          this.#logger.warn(`Request failed, retrying in ${delay}ms (${attempt}/${maxAttempts}): ${handledError.message}`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
+    if (error instanceof TransportTimeoutError) {
+      return new TimeoutError(error.timeout);
+    }
 
-        throw handledError;
-      }
+    if (error instanceof GitHubError && error.status) {
+      return ErrorHandler.handle({
+        response: { status: error.status, data: error.body, headers: error.headers },
+      });
     }
+
+    return ErrorHandler.handle(error.cause?.code ? error.cause : error);
   }
 
   /**
@@ -6,14 +6,17 @@
 import { promises as fs } from 'node:fs';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
+import { getStoredToken, resolveCredentials } from '@thinkeloquent/github-sdk-core';
 import { ConfigurationError } from '../core/errors.mjs';
 
 /**
  * Load configuration from various sources
  * @param {string} [configPath] - Path to config file
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.profile] - Stored credential profile (default: GITHUB_PROFILE)
  * @returns {Promise<Object>} Configuration object
  */
-export async function loadConfig(configPath) {
+export async function loadConfig(configPath, options = {}) {
   const config = {
     token: process.env.GITHUB_TOKEN,
     baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
@@ -57,6 +60,16 @@ export async function loadConfig(configPath) {
     }
   }
 
+  // A selected profile supplies both the host and the token
+  if (options.profile || process.env.GITHUB_PROFILE) {
+    const credential = resolveCredentials({ profile: options.profile });
+    config.baseUrl = credential.baseUrl;
+    config.token = credential.token;
+  } else if (!config.token) {
+    // Fall back to the shared credential store written by `login`
+    config.token = getStoredToken({ host: config.baseUrl }) || undefined;
+  }
+
   return config;
 }
 
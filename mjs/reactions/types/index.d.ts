@@ -0,0 +1,429 @@
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-reactions
+ * GitHub Reactions API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+export class ReactionsClient {
+  constructor(httpService: any, logger: any);
+  /**
+   * List reactions for a team discussion comment
+   *
+   * `GET /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-a-team-discussion-comment
+   */
+  listForTeamDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number, options?: ReactionsListForTeamDiscussionCommentInOrgParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for a team discussion comment
+   *
+   * `POST /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-a-team-discussion-comment
+   */
+  createForTeamDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number, options: ReactionsCreateForTeamDiscussionCommentInOrgRequest): Promise<ReactionsCreateForTeamDiscussionCommentInOrgResponse>;
+  /**
+   * Delete team discussion comment reaction
+   *
+   * `DELETE /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-team-discussion-comment-reaction
+   */
+  deleteForTeamDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for a team discussion
+   *
+   * `GET /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-a-team-discussion
+   */
+  listForTeamDiscussion(org: string, teamSlug: string, discussionNumber: number, options?: ReactionsListForTeamDiscussionInOrgParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for a team discussion
+   *
+   * `POST /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-a-team-discussion
+   */
+  createForTeamDiscussion(org: string, teamSlug: string, discussionNumber: number, options: ReactionsCreateForTeamDiscussionInOrgRequest): Promise<ReactionsCreateForTeamDiscussionInOrgResponse>;
+  /**
+   * Delete team discussion reaction
+   *
+   * `DELETE /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-team-discussion-reaction
+   */
+  deleteForTeamDiscussion(org: string, teamSlug: string, discussionNumber: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for a commit comment
+   *
+   * `GET /repos/{owner}/{repo}/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-a-commit-comment
+   */
+  listForCommitComment(owner: string, repo: string, commentId: number, options?: ReactionsListForCommitCommentParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for a commit comment
+   *
+   * `POST /repos/{owner}/{repo}/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-a-commit-comment
+   */
+  createForCommitComment(owner: string, repo: string, commentId: number, options: ReactionsCreateForCommitCommentRequest): Promise<ReactionsCreateForCommitCommentResponse>;
+  /**
+   * Delete a commit comment reaction
+   *
+   * `DELETE /repos/{owner}/{repo}/comments/{comment_id}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-a-commit-comment-reaction
+   */
+  deleteForCommitComment(owner: string, repo: string, commentId: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for an issue comment
+   *
+   * `GET /repos/{owner}/{repo}/issues/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-an-issue-comment
+   */
+  listForIssueComment(owner: string, repo: string, commentId: number, options?: ReactionsListForIssueCommentParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for an issue comment
+   *
+   * `POST /repos/{owner}/{repo}/issues/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-an-issue-comment
+   */
+  createForIssueComment(owner: string, repo: string, commentId: number, options: ReactionsCreateForIssueCommentRequest): Promise<ReactionsCreateForIssueCommentResponse>;
+  /**
+   * Delete an issue comment reaction
+   *
+   * `DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-an-issue-comment-reaction
+   */
+  deleteForIssueComment(owner: string, repo: string, commentId: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for an issue
+   *
+   * `GET /repos/{owner}/{repo}/issues/{issue_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-an-issue
+   */
+  listForIssue(owner: string, repo: string, issueNumber: number, options?: ReactionsListForIssueParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for an issue
+   *
+   * `POST /repos/{owner}/{repo}/issues/{issue_number}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-an-issue
+   */
+  createForIssue(owner: string, repo: string, issueNumber: number, options: ReactionsCreateForIssueRequest): Promise<ReactionsCreateForIssueResponse>;
+  /**
+   * Delete an issue reaction
+   *
+   * `DELETE /repos/{owner}/{repo}/issues/{issue_number}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-an-issue-reaction
+   */
+  deleteForIssue(owner: string, repo: string, issueNumber: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for a pull request review comment
+   *
+   * `GET /repos/{owner}/{repo}/pulls/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-a-pull-request-review-comment
+   */
+  listForPullRequestReviewComment(owner: string, repo: string, commentId: number, options?: ReactionsListForPullRequestReviewCommentParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for a pull request review comment
+   *
+   * `POST /repos/{owner}/{repo}/pulls/comments/{comment_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-a-pull-request-review-comment
+   */
+  createForPullRequestReviewComment(owner: string, repo: string, commentId: number, options: ReactionsCreateForPullRequestReviewCommentRequest): Promise<ReactionsCreateForPullRequestReviewCommentResponse>;
+  /**
+   * Delete a pull request comment reaction
+   *
+   * `DELETE /repos/{owner}/{repo}/pulls/comments/{comment_id}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-a-pull-request-comment-reaction
+   */
+  deleteForPullRequestComment(owner: string, repo: string, commentId: number, reactionId: number): Promise<void>;
+  /**
+   * List reactions for a release
+   *
+   * `GET /repos/{owner}/{repo}/releases/{release_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#list-reactions-for-a-release
+   */
+  listForRelease(owner: string, repo: string, releaseId: number, options?: ReactionsListForReleaseParams): Promise<Record<string, any>>;
+  /**
+   * Create reaction for a release
+   *
+   * `POST /repos/{owner}/{repo}/releases/{release_id}/reactions`
+   * @see https://docs.github.com/rest/reactions/reactions#create-reaction-for-a-release
+   */
+  createForRelease(owner: string, repo: string, releaseId: number, options: ReactionsCreateForReleaseRequest): Promise<ReactionsCreateForReleaseResponse>;
+  /**
+   * Delete a release reaction
+   *
+   * `DELETE /repos/{owner}/{repo}/releases/{release_id}/reactions/{reaction_id}`
+   * @see https://docs.github.com/rest/reactions/reactions#delete-a-release-reaction
+   */
+  deleteForRelease(owner: string, repo: string, releaseId: number, reactionId: number): Promise<void>;
+}
+
+/** Create a configured ReactionsClient instance */
+export function createClient(config?: Record<string, any>): Promise<ReactionsClient>;
+
+/** Simple container for manual dependency management */
+export class Container {
+  constructor();
+  services: Map<any, any>;
+  register(name: any, factory: any): any;
+  resolve(name: any): any;
+}
+
+export const REACTION_CONTENT: Record<string, any>;
+
+export const RELEASE_REACTION_CONTENT: Record<string, any>;
+
+export const Types: Record<string, any>;
+
+export class GitHubReactionsError extends Error {
+  constructor(message: string, code?: string, statusCode?: number, details?: any);
+  code: string;
+  details: any;
+  toJSON(): any;
+}
+
+export class ValidationError extends GitHubReactionsError {
+  constructor(message: any, details: any);
+}
+
+export class AuthenticationError extends GitHubReactionsError {
+  constructor(message?: any);
+}
+
+export class NotFoundError extends GitHubReactionsError {
+  constructor(resource: any, identifier: any);
+}
+
+export class ForbiddenError extends GitHubReactionsError {
+  constructor(message?: any);
+}
+
+export class RateLimitError extends GitHubReactionsError {
+  constructor(resetTime: any);
+}
+
+export class NetworkError extends GitHubReactionsError {
+  constructor(message: any, details: any);
+}
+
+export class TimeoutError extends GitHubReactionsError {
+  constructor(timeout: any);
+}
+
+export class ConfigurationError extends GitHubReactionsError {
+  constructor(message: any, details: any);
+}
+
+export class ErrorHandler {
+  /** Convert any error to a GitHubReactionsError */
+  static handle(error: any): GitHubReactionsError;
+  /** Check if an error is retryable */
+  static isRetryable(error: GitHubReactionsError): boolean;
+}
+
+/** Load configuration from various sources */
+export function loadConfig(configPath?: string, options?: { profile?: string; [key: string]: any }): Promise<Record<string, any>>;
+
+/** Create a Winston logger instance */
+export function createLogger(options?: { level?: string; console?: boolean; file?: string; [key: string]: any }): any;
+
+export default createClient;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Query parameters for reactions/list-for-team-discussion-comment-in-org */
+export interface ReactionsListForTeamDiscussionCommentInOrgParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to a team discussion comment. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-team-discussion-comment-in-org */
+export type ReactionsListForTeamDiscussionCommentInOrgResponse = Reaction[];
+
+/** Request body for reactions/create-for-team-discussion-comment-in-org */
+export interface ReactionsCreateForTeamDiscussionCommentInOrgRequest {
+  /** The reaction type to add to the team discussion comment. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-team-discussion-comment-in-org */
+export type ReactionsCreateForTeamDiscussionCommentInOrgResponse = Reaction;
+
+/** Query parameters for reactions/list-for-team-discussion-in-org */
+export interface ReactionsListForTeamDiscussionInOrgParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to a team discussion. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-team-discussion-in-org */
+export type ReactionsListForTeamDiscussionInOrgResponse = Reaction[];
+
+/** Request body for reactions/create-for-team-discussion-in-org */
+export interface ReactionsCreateForTeamDiscussionInOrgRequest {
+  /** The reaction type to add to the team discussion. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-team-discussion-in-org */
+export type ReactionsCreateForTeamDiscussionInOrgResponse = Reaction;
+
+/** Query parameters for reactions/list-for-commit-comment */
+export interface ReactionsListForCommitCommentParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to a commit comment. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-commit-comment */
+export type ReactionsListForCommitCommentResponse = Reaction[];
+
+/** Request body for reactions/create-for-commit-comment */
+export interface ReactionsCreateForCommitCommentRequest {
+  /** The reaction type to add to the commit comment. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-commit-comment */
+export type ReactionsCreateForCommitCommentResponse = Reaction;
+
+/** Query parameters for reactions/list-for-issue-comment */
+export interface ReactionsListForIssueCommentParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to an issue comment. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-issue-comment */
+export type ReactionsListForIssueCommentResponse = Reaction[];
+
+/** Request body for reactions/create-for-issue-comment */
+export interface ReactionsCreateForIssueCommentRequest {
+  /** The reaction type to add to the issue comment. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-issue-comment */
+export type ReactionsCreateForIssueCommentResponse = Reaction;
+
+/** Query parameters for reactions/list-for-issue */
+export interface ReactionsListForIssueParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to an issue. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-issue */
+export type ReactionsListForIssueResponse = Reaction[];
+
+/** Request body for reactions/create-for-issue */
+export interface ReactionsCreateForIssueRequest {
+  /** The reaction type to add to the issue. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-issue */
+export type ReactionsCreateForIssueResponse = Reaction;
+
+/** Query parameters for reactions/list-for-pull-request-review-comment */
+export interface ReactionsListForPullRequestReviewCommentParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to a pull request review comment. */
+  content?: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-pull-request-review-comment */
+export type ReactionsListForPullRequestReviewCommentResponse = Reaction[];
+
+/** Request body for reactions/create-for-pull-request-review-comment */
+export interface ReactionsCreateForPullRequestReviewCommentRequest {
+  /** The reaction type to add to the pull request review comment. */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-pull-request-review-comment */
+export type ReactionsCreateForPullRequestReviewCommentResponse = Reaction;
+
+/** Query parameters for reactions/list-for-release */
+export interface ReactionsListForReleaseParams {
+  /** Returns a single reaction type. Omit this parameter to list all reactions to a release. */
+  content?: '+1' | 'laugh' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for reactions/list-for-release */
+export type ReactionsListForReleaseResponse = Reaction[];
+
+/** Request body for reactions/create-for-release */
+export interface ReactionsCreateForReleaseRequest {
+  /** The reaction type to add to the release. */
+  content: '+1' | 'laugh' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+}
+
+/** Response body for reactions/create-for-release */
+export type ReactionsCreateForReleaseResponse = Reaction;
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Reactions to conversations provide a way to help people express their feelings more simply and effectively. */
+export interface Reaction {
+  id: number;
+  node_id: string;
+  user: NullableSimpleUser;
+  /** The reaction to use */
+  content: '+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes';
+  created_at: string;
+}
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
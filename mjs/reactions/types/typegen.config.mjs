@@ -0,0 +1,10 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-reactions, see `gh-typegen`
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-reactions',
+  description: 'GitHub Reactions API SDK and CLI',
+  entry: 'src/index.mjs',
+  // HttpService resolves to { data, status, headers, url }; methods unwrap `data`
+  response: 'data'
+};
@@ -13,8 +13,25 @@ import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
+import {
+  resolveToken,
+  resolveBaseUrl,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  addAuditOption,
+  registerAuditCommand,
+  registerCompletionCommand,
+  readCompletionCache,
+  writeCompletionCache,
+  isDryRun,
+  isMainModule
+} from '@thinkeloquent/github-sdk-core';
 import { RepoClient } from './src/client/RepoClient.mjs';
 import { RepoError, AuthError } from './src/utils/errors.mjs';
+import { WebhookReceiver } from './src/webhooks/receiver.mjs';
 import * as commands from './src/cli/commands/index.mjs';
 import { setupConfig, loadConfig } from './src/cli/config.mjs';
 
@@ -47,8 +64,14 @@ program
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-q, --quiet', 'Suppress output except errors')
   .option('--json', 'Output results as JSON')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)')
   .option('--no-color', 'Disable colored output');
 
+addOutputOptions(program);
+addDryRunOption(program);
+addAuditOption(program);
+addProfileOption(program);
+
 /**
  * Global error handler
  */
@@ -73,23 +96,40 @@ process.on('unhandledRejection', (reason, promise) => {
  */
 async function createClient(options = {}) {
   const globalOpts = program.opts();
-  const config = await loadConfig();
+  const config = await loadConfig({ profile: globalOpts.profile });
+  const baseUrl = resolveBaseUrl(program);
   
-  const token = options.token || globalOpts.token || config.token || process.env.GITHUB_TOKEN;
+  const token = options.token || globalOpts.token || config.token || resolveToken({ baseUrl })?.token;
   
   if (!token) {
-    throw new AuthError('GitHub token required. Set GITHUB_TOKEN environment variable or use --token option');
+    throw new AuthError('GitHub token required. Run `gh-repo login`, set GITHUB_TOKEN or use --token option');
   }
   
   return new RepoClient({
     token,
-    baseUrl: globalOpts.baseUrl,
+    baseUrl,
     timeout: parseInt(globalOpts.timeout),
-    rateLimiting: { enabled: !globalOpts.noRateLimit },
+    rateLimiting: { enabled: globalOpts.rateLimit !== false },
     verbose: globalOpts.verbose
   });
 }
 
+/**
+ * Cache listed repository names by owner for `<repo>` completion
+ */
+function rememberRepositories(repos) {
+  const byOwner = new Map();
+  for (const repo of repos) {
+    const owner = repo.owner?.login;
+    if (!owner) continue;
+    if (!byOwner.has(owner)) byOwner.set(owner, []);
+    byOwner.get(owner).push({ value: repo.name, description: repo.description || '' });
+  }
+  for (const [owner, names] of byOwner) {
+    writeCompletionCache(['repos', owner], names);
+  }
+}
+
 /**
  * Repository commands
  */
@@ -136,6 +176,7 @@ repoCmd
         : await client.repositories.listForAuthenticatedUser(options);
       
       spinner.succeed(`Found ${repos.length} repositories`);
+      rememberRepositories(repos);
       await commands.repositories.displayRepositoryList(repos, { ...program.opts(), ...options });
     } catch (error) {
       spinner.fail('Failed to fetch repositories');
@@ -185,7 +226,8 @@ repoCmd
   .description('Delete a repository')
   .option('--force', 'Skip confirmation prompt')
   .action(async (owner, repo, options) => {
-    if (!options.force) {
+    // Nothing is deleted in a dry run, so there is nothing to confirm
+    if (!options.force && !isDryRun()) {
       const { confirm } = await import('inquirer');
       const { shouldDelete } = await confirm({
         name: 'shouldDelete',
@@ -202,7 +244,7 @@ repoCmd
     const spinner = ora('Deleting repository...').start();
     try {
       const client = await createClient(options);
-      await client.repositories.delete(owner, repo);
+      await client.repositories.deleteRepo(owner, repo);
       
       spinner.succeed('Repository deleted successfully');
       console.log(chalk.green(`✓ Deleted repository: ${owner}/${repo}`));
@@ -267,6 +309,131 @@ collabCmd
     }
   });
 
+/**
+ * Webhook commands
+ */
+const webhookCmd = program
+  .command('webhook')
+  .alias('hook')
+  .description('Webhook commands');
+
+webhookCmd
+  .command('listen')
+  .description('Receive webhook deliveries and print each event as a JSON line')
+  .option('-p, --port <port>', 'Port to listen on', '3000')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--path <path>', 'Path deliveries are sent to', '/')
+  .option('--secret <secret>', 'Hook secret (default: GITHUB_WEBHOOK_SECRET)')
+  .option('--events <events>', 'Only print these events, e.g. push,pull_request.opened')
+  .action(async (options) => {
+    const secret = options.secret || process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error(chalk.red('Error:'), 'A hook secret is required. Use --secret or set GITHUB_WEBHOOK_SECRET');
+      process.exit(1);
+    }
+
+    const receiver = new WebhookReceiver({ secret });
+    const events = options.events ? options.events.split(',').map(event => event.trim()).filter(Boolean) : ['*'];
+    commands.webhooks.printEvents(receiver, events);
+
+    await receiver.listen(parseInt(options.port), { host: options.host, path: options.path });
+    const { port } = receiver.server.address();
+    // stdout carries only events, so status goes to stderr
+    console.error(chalk.green(`✓ Listening for webhook deliveries on http://${options.host}:${port}${options.path}`));
+
+    process.once('SIGINT', async () => {
+      await receiver.close();
+      process.exit(0);
+    });
+  });
+
+webhookCmd
+  .command('deliveries <owner> <repo> <hook-id>')
+  .description('List recent deliveries of a hook')
+  .option('--status <status>', 'Only deliveries that ended in success or failure')
+  .option('--since <time>', 'Only deliveries since a date or an age such as 24h')
+  .option('--limit <limit>', 'Limit number of results', '30')
+  .action(async (owner, repo, hookId, options) => {
+    const spinner = ora('Fetching deliveries...').start();
+    try {
+      const client = await createClient(options);
+      const deliveries = await client.webhooks.listAllDeliveries(owner, repo, hookId, {
+        status: options.status,
+        since: options.since,
+        limit: parseInt(options.limit)
+      });
+
+      spinner.succeed(`Found ${deliveries.length} deliveries`);
+      await commands.webhooks.displayDeliveryList(deliveries, { ...program.opts(), ...options });
+    } catch (error) {
+      spinner.fail('Failed to fetch deliveries');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhookCmd
+  .command('delivery <owner> <repo> <hook-id> <delivery-id>')
+  .description('Show the request and response of a delivery')
+  .action(async (owner, repo, hookId, deliveryId, options) => {
+    const spinner = ora('Fetching delivery...').start();
+    try {
+      const client = await createClient(options);
+      const delivery = await client.webhooks.getDelivery(owner, repo, hookId, deliveryId);
+
+      spinner.succeed('Delivery fetched successfully');
+      await commands.webhooks.displayDelivery(delivery, { ...program.opts(), ...options });
+    } catch (error) {
+      spinner.fail('Failed to fetch delivery');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhookCmd
+  .command('redeliver <owner> <repo> <hook-id> <delivery-id>')
+  .description('Send a delivery again')
+  .action(async (owner, repo, hookId, deliveryId, options) => {
+    const spinner = ora('Requesting redelivery...').start();
+    try {
+      const client = await createClient(options);
+      await client.webhooks.redeliver(owner, repo, hookId, deliveryId);
+
+      spinner.succeed(`Redelivery of ${deliveryId} requested`);
+    } catch (error) {
+      spinner.fail('Failed to redeliver');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+webhookCmd
+  .command('redeliver-failed <owner> <repo> <hook-id>')
+  .description('Send again every event whose latest delivery failed')
+  .requiredOption('--since <time>', 'Only deliveries since a date or an age such as 24h')
+  .action(async (owner, repo, hookId, options) => {
+    const spinner = ora('Finding failed deliveries...').start();
+    try {
+      const client = await createClient(options);
+      const { redelivered, failed } = await client.webhooks.redeliverFailed(owner, repo, hookId, { since: options.since });
+
+      spinner.succeed(`Redelivered ${redelivered.length} failed ${redelivered.length === 1 ? 'delivery' : 'deliveries'}`);
+      for (const delivery of redelivered) {
+        console.log(chalk.green(`✓ ${delivery.id} ${delivery.event}${delivery.action ? `.${delivery.action}` : ''}`));
+      }
+      for (const { delivery, error } of failed) {
+        console.error(chalk.red(`✗ ${delivery.id} ${delivery.event}: ${error.message}`));
+      }
+      if (failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail('Failed to redeliver');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Configuration commands
  */
@@ -292,14 +459,27 @@ configCmd
   .description('Show current configuration')
   .action(async () => {
     try {
-      const config = await loadConfig();
-      console.log(JSON.stringify(config, null, 2));
+      const config = await loadConfig({ profile: program.opts().profile });
+      console.log(JSON.stringify({ ...config, token: config.token ? '***' : null }, null, 2));
     } catch (error) {
       console.error(chalk.red('Failed to load configuration:'), error.message);
       process.exit(1);
     }
   });
 
+/**
+ * Login command
+ */
+registerLoginCommand(program, { scopes: ['repo', 'read:org'] });
+registerProfilesCommand(program);
+registerAuditCommand(program);
+registerCompletionCommand(program, {
+  hooks: {
+    // Names from the last `repo list` for that owner
+    repo: ({ args }) => (args.owner ? readCompletionCache(['repos', args.owner]) : [])
+  }
+});
+
 /**
  * Help command enhancement
  */
@@ -315,15 +495,23 @@ program
   });
 
 /**
- * Parse command line arguments and execute
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
  */
-async function main() {
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
   try {
-    await program.parseAsync(process.argv);
+    await program.parseAsync(argv);
   } catch (error) {
     if (error instanceof AuthError) {
       console.error(chalk.red('Authentication Error:'), error.message);
-      console.log(chalk.yellow('💡 Tip: Run `gh-repo config setup` to configure authentication'));
+      console.log(chalk.yellow('💡 Tip: Run `gh-repo login` or `gh-repo config setup` to configure authentication'));
     } else if (error instanceof RepoError) {
       console.error(chalk.red('Repository Error:'), error.message);
     } else {
@@ -336,9 +524,9 @@ async function main() {
   }
 }
 
-// Run CLI if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
 }
 
 export { program, createClient };
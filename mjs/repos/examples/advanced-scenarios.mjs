@@ -20,7 +20,7 @@ async function repositoryMigrationScenario() {
   
   const client = new RepoClient({
     token: process.env.GITHUB_TOKEN,
-    rateLimiting: { enabled: true, padding: 500 } // Extra padding for bulk operations
+    scheduler: { maxConcurrent: 2 } // Fewer requests in flight for bulk operations
   });
   
   const sourceOrg = 'source-org';
@@ -61,8 +61,8 @@ async function repositoryManagement() {
   });
   
   try {
-    // Create a test repository
-    const repoName = `test-repo-${Date.now()}`;
+    // Create a test repository (cassette replays need a stable name)
+    const repoName = process.env.GITHUB_CASSETTE ? 'test-repo-example' : `test-repo-${Date.now()}`;
     const newRepo = await client.repositories.create({
       name: repoName,
       description: 'Test repository created by SDK example',
@@ -284,8 +284,7 @@ async function advancedUsage() {
     token: process.env.GITHUB_TOKEN,
     timeout: 15000,
     rateLimiting: {
-      enabled: true,
-      padding: 200
+      enabled: true
     }
   });
   
@@ -332,13 +331,23 @@ async function advancedUsage() {
  * Main execution
  */
 async function main() {
-  if (!process.env.GITHUB_TOKEN) {
+  // Replaying a cassette needs no token or network:
+  // GITHUB_CASSETTE=examples/cassettes/sdk-usage.json node examples/sdk-usage.mjs
+  const replaying = process.env.GITHUB_CASSETTE && process.env.GITHUB_CASSETTE_MODE !== 'record';
+
+  if (!process.env.GITHUB_TOKEN && !replaying) {
     console.error('❌ GITHUB_TOKEN environment variable is required');
     console.log('Set your GitHub token:');
     console.log('export GITHUB_TOKEN=ghp_your_token_here');
+    console.log('or replay the recorded cassette: GITHUB_CASSETTE=examples/cassettes/sdk-usage.json');
     process.exit(1);
   }
-  
+
+  if (replaying && !process.env.GITHUB_TOKEN) {
+    // Recorded requests are matched without their Authorization header
+    process.env.GITHUB_TOKEN = `ghp_${'0'.repeat(36)}`;
+  }
+
   console.log('🎯 GitHub Repository SDK Examples');
   console.log('=====================================');
   
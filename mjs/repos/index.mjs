@@ -7,6 +7,8 @@
  */
 
 import { RepoClient } from './src/client/RepoClient.mjs';
+import { MemoryCacheStore, FileCacheStore } from './src/client/cache.mjs';
+import { AuthManager, AuthType } from './src/client/auth.mjs';
 import * as repositories from './src/api/repositories.mjs';
 import * as collaborators from './src/api/collaborators.mjs';
 import * as branches from './src/api/branches.mjs';
@@ -14,7 +16,8 @@ import * as tags from './src/api/tags.mjs';
 import * as webhooks from './src/api/webhooks.mjs';
 import * as security from './src/api/security.mjs';
 import * as rules from './src/api/rules.mjs';
-import { RepoError, AuthError, ValidationError, RateLimitError } from './src/utils/errors.mjs';
+import { RepoError, AuthError, ValidationError, RateLimitError, WebhookError } from './src/utils/errors.mjs';
+import { WebhookReceiver, WEBHOOK_DEFAULTS, signPayload, verifySignature } from './src/webhooks/receiver.mjs';
 import { paginate, paginateAll } from './src/utils/pagination.mjs';
 import { validateInput, validateRepository } from './src/utils/validation.mjs';
 
@@ -57,6 +60,14 @@ export {
   // Client
   RepoClient,
   
+  // Authentication
+  AuthManager,
+  AuthType,
+  
+  // Cache stores
+  MemoryCacheStore,
+  FileCacheStore,
+  
   // API modules
   repositories,
   collaborators,
@@ -66,11 +77,18 @@ export {
   security,
   rules,
   
+  // Webhook receiver
+  WebhookReceiver,
+  WEBHOOK_DEFAULTS,
+  signPayload,
+  verifySignature,
+  
   // Error classes
   RepoError,
   AuthError,
   ValidationError,
   RateLimitError,
+  WebhookError,
   
   // Utility functions
   paginate,
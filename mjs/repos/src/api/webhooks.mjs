@@ -3,7 +3,11 @@
  * @module api/webhooks
  */
 
+import { parseTime } from '@thinkeloquent/github-sdk-core';
 import { validateRepositoryName, validateUsername, validateWebhookConfig, validatePagination } from '../utils/validation.mjs';
+import { ValidationError } from '../utils/errors.mjs';
+
+const DELIVERY_STATUSES = ['success', 'failure'];
 
 export async function list(httpClient, owner, repo, options = {}) {
   validateUsername(owner);
@@ -71,4 +75,142 @@ export async function ping(httpClient, owner, repo, hookId) {
   validateRepositoryName(repo);
   
   return await httpClient.post(`/repos/${owner}/${repo}/hooks/${hookId}/pings`);
-}
\ No newline at end of file
+}
+
+/**
+ * List one page of a hook's deliveries, newest first. Deliveries page by
+ * cursor rather than page number; pass `nextCursor` back to get the next page.
+ *
+ * @param {Object} httpClient - HTTP client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} hookId - Hook ID
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'success' or 'failure'
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} [options.per_page] - Deliveries per page (max 100)
+ * @returns {Promise<{ deliveries: Object[], nextCursor: string|null }>}
+ */
+export async function listDeliveries(httpClient, owner, repo, hookId, options = {}) {
+  validateUsername(owner);
+  validateRepositoryName(repo);
+  validatePagination({ per_page: options.per_page });
+  if (options.status && !DELIVERY_STATUSES.includes(options.status)) {
+    throw new ValidationError(`Delivery status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 'status', options.status);
+  }
+  
+  const params = new URLSearchParams({ per_page: Math.min(options.per_page || 30, 100) });
+  if (options.status) params.set('status', options.status);
+  if (options.cursor) params.set('cursor', options.cursor);
+  
+  const response = await httpClient.send(`/repos/${owner}/${repo}/hooks/${hookId}/deliveries?${params.toString()}`);
+  const next = response.pagination?.next;
+  return {
+    deliveries: response.data || [],
+    nextCursor: next ? new URL(next).searchParams.get('cursor') : null
+  };
+}
+
+/**
+ * List deliveries across pages, newest first, stopping at `since` or `limit`
+ *
+ * @param {Object} httpClient - HTTP client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} hookId - Hook ID
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'success' or 'failure'
+ * @param {Date|string|number} [options.since] - Oldest delivery to include: a date or an age such as 24h
+ * @param {number} [options.limit] - Most deliveries to return
+ * @returns {Promise<Object[]>}
+ */
+export async function listAllDeliveries(httpClient, owner, repo, hookId, options = {}) {
+  const since = options.since ? parseTime(options.since) : null;
+  const limit = options.limit ?? Infinity;
+  const deliveries = [];
+  let cursor;
+  
+  do {
+    const page = await listDeliveries(httpClient, owner, repo, hookId, { status: options.status, cursor, per_page: 100 });
+    for (const delivery of page.deliveries) {
+      if (since && new Date(delivery.delivered_at) < since) {
+        return deliveries;
+      }
+      deliveries.push(delivery);
+      if (deliveries.length >= limit) {
+        return deliveries;
+      }
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  
+  return deliveries;
+}
+
+/**
+ * Get a delivery with its request and response headers and payloads
+ */
+export async function getDelivery(httpClient, owner, repo, hookId, deliveryId) {
+  validateUsername(owner);
+  validateRepositoryName(repo);
+  
+  return await httpClient.get(`/repos/${owner}/${repo}/hooks/${hookId}/deliveries/${deliveryId}`);
+}
+
+/**
+ * Ask GitHub to send a delivery again
+ */
+export async function redeliver(httpClient, owner, repo, hookId, deliveryId) {
+  validateUsername(owner);
+  validateRepositoryName(repo);
+  
+  await httpClient.post(`/repos/${owner}/${repo}/hooks/${hookId}/deliveries/${deliveryId}/attempts`);
+  return { id: deliveryId, message: 'Redelivery requested' };
+}
+
+/**
+ * Redeliver every event whose latest delivery since `since` failed.
+ *
+ * Redeliveries share their event's `guid`, so an event that failed and was
+ * then redelivered successfully is left alone, and an event that failed
+ * several times is sent once.
+ *
+ * @param {Object} httpClient - HTTP client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} hookId - Hook ID
+ * @param {Object} options
+ * @param {Date|string|number} options.since - Oldest delivery to consider: a date or an age such as 24h
+ * @returns {Promise<{ redelivered: Object[], failed: Object[] }>} Deliveries
+ *   redelivered, and `{ delivery, error }` for those GitHub refused
+ */
+export async function redeliverFailed(httpClient, owner, repo, hookId, options = {}) {
+  if (!options.since) {
+    throw new ValidationError('A since time is required to redeliver failed deliveries', 'since');
+  }
+  
+  const deliveries = await listAllDeliveries(httpClient, owner, repo, hookId, { since: options.since });
+  // Newest first, so the first delivery seen for an event is its latest
+  const latest = new Map();
+  for (const delivery of deliveries) {
+    if (!latest.has(delivery.guid)) {
+      latest.set(delivery.guid, delivery);
+    }
+  }
+  
+  const redelivered = [];
+  const failed = [];
+  for (const delivery of latest.values()) {
+    if (delivery.status_code >= 200 && delivery.status_code < 300) {
+      continue;
+    }
+    try {
+      await redeliver(httpClient, owner, repo, hookId, delivery.id);
+      redelivered.push(delivery);
+    } catch (error) {
+      failed.push({ delivery, error });
+    }
+  }
+  
+  return { redelivered, failed };
+}
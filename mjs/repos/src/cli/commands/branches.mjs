@@ -5,13 +5,14 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Display list of branches
  */
 export async function displayBranchList(branches, options = {}) {
-  if (options.json) {
-    console.log(JSON.stringify(branches, null, 2));
+  if (isMachineOutput(options)) {
+    writeOutput(branches, options);
     return;
   }
   
@@ -27,14 +28,14 @@ export async function displayBranchList(branches, options = {}) {
   });
   
   for (const branch of branches) {
-    const protected = branch.protected ? chalk.green('✓') : chalk.dim('✗');
+    const isProtected = branch.protected ? chalk.green('✓') : chalk.dim('✗');
     const sha = branch.commit.sha.substring(0, 8);
     const message = branch.commit.commit.message.split('\n')[0];
     const shortMessage = message.length > 35 ? message.substring(0, 32) + '...' : message;
     
     table.push([
       branch.name,
-      protected,
+      isProtected,
       chalk.dim(sha),
       shortMessage
     ]);
@@ -5,13 +5,14 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Display list of collaborators
  */
 export async function displayCollaboratorList(collaborators, options = {}) {
-  if (options.json) {
-    console.log(JSON.stringify(collaborators, null, 2));
+  if (isMachineOutput(options)) {
+    writeOutput(collaborators, options);
     return;
   }
   
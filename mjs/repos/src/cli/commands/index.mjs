@@ -6,9 +6,11 @@
 import * as repositories from './repositories.mjs';
 import * as branches from './branches.mjs';
 import * as collaborators from './collaborators.mjs';
+import * as webhooks from './webhooks.mjs';
 
 export {
   repositories,
   branches,
-  collaborators
+  collaborators,
+  webhooks
 };
\ No newline at end of file
@@ -5,13 +5,14 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
 
 /**
  * Display repository information
  */
 export async function displayRepository(repo, options = {}) {
-  if (options.json) {
-    console.log(JSON.stringify(repo, null, 2));
+  if (isMachineOutput(options)) {
+    writeOutput(repo, options);
     return;
   }
   
@@ -63,8 +64,8 @@ export async function displayRepository(repo, options = {}) {
  * Display list of repositories
  */
 export async function displayRepositoryList(repos, options = {}) {
-  if (options.json) {
-    console.log(JSON.stringify(repos, null, 2));
+  if (isMachineOutput(options)) {
+    writeOutput(repos, options);
     return;
   }
   
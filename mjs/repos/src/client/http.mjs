@@ -3,8 +3,11 @@
  * @module http
  */
 
+import crypto from 'crypto';
 import fetch from 'node-fetch';
-import { ErrorFactory, NetworkError, RateLimitError } from '../utils/errors.mjs';
+import { Transport, NetworkError as TransportNetworkError } from '@thinkeloquent/github-sdk-core';
+import { ErrorFactory, NetworkError } from '../utils/errors.mjs';
+import { ResponseCache, createCacheStore } from './cache.mjs';
 
 /**
  * Default configuration
@@ -16,9 +19,9 @@ const DEFAULT_CONFIG = {
   retryAttempts: 3,
   retryDelay: 1000,
   rateLimiting: {
-    enabled: true,
-    padding: 100 // ms padding between requests
-  }
+    enabled: true // Queue requests in the core scheduler
+  },
+  cache: false
 };
 
 /**
@@ -28,223 +31,107 @@ export class HTTPClient {
   constructor(options = {}) {
     this.config = { ...DEFAULT_CONFIG, ...options };
     this.authManager = options.authManager;
-    this.lastRequestTime = 0;
+    
+    // Retries, backoff and error classification live in the shared transport
+    this.transport = new Transport({
+      userAgent: this.config.userAgent,
+      retries: Math.max(0, this.config.retryAttempts - 1),
+      retryDelay: this.config.retryDelay,
+      auth: () => this.authManager?.getAuthHeader(),
+      fetch,
+      cassette: this.config.cassette,
+      validate: this.config.validate,
+      dryRun: this.config.dryRun,
+      audit: this.config.audit,
+      // The core scheduler queues requests within GitHub's limits; rateLimiting.enabled: false opts out
+      scheduler: this.config.scheduler ?? (this.config.rateLimiting?.enabled === false ? false : undefined),
+      instrumentation: this.config.instrumentation,
+      mapError: toRepoError
+    });
+    
+    // Opt-in conditional-request cache
+    const cacheStore = createCacheStore(this.config.cache);
+    this.cache = cacheStore ? new ResponseCache(cacheStore) : null;
   }
   
   /**
    * Make HTTP request
    */
   async request(endpoint, options = {}) {
-    const url = this.buildUrl(endpoint);
-    const requestOptions = this.buildRequestOptions(options);
-    
-    // Apply rate limiting
-    await this.applyRateLimit();
-    
-    // Retry logic
-    let lastError;
-    for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
-      try {
-        const response = await this.performRequest(url, requestOptions);
-        return await this.handleResponse(response);
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on certain errors
-        if (!this.shouldRetry(error, attempt)) {
-          throw error;
-        }
-        
-        // Calculate retry delay
-        const delay = this.calculateRetryDelay(error, attempt);
-        if (delay > 0) {
-          await this.sleep(delay);
-        }
-      }
-    }
-    
-    throw lastError;
+    const response = await this.send(endpoint, options);
+    return response.data;
   }
   
   /**
-   * Build full URL from endpoint
+   * Send request through the transport and return the full response
    */
-  buildUrl(endpoint) {
-    if (endpoint.startsWith('http')) {
-      return endpoint;
-    }
-    
-    const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
-    return `${this.config.baseUrl}${cleanEndpoint}`;
-  }
-  
-  /**
-   * Build request options
-   */
-  buildRequestOptions(options = {}) {
-    const requestOptions = {
-      method: options.method || 'GET',
-      headers: {
-        'Accept': 'application/vnd.github+json',
-        'User-Agent': this.config.userAgent,
-        'X-GitHub-Api-Version': '2022-11-28',
-        ...options.headers
-      },
+  async send(endpoint, options = {}) {
+    const method = options.method || 'GET';
+    const url = this.buildUrl(endpoint);
+    const scope = this.cache ? await this.credentialScope() : null;
+    const cached = this.cache && !options.noCache
+      ? await this.cache.lookup(method, url, scope)
+      : undefined;
+    
+    const response = await this.transport.request({
+      method,
+      url,
+      headers: { ...this.cache?.conditionalHeaders(cached), ...options.headers },
+      body: options.body,
       timeout: options.timeout || this.config.timeout
-    };
-    
-    // Add authentication
-    if (this.authManager) {
-      requestOptions.headers['Authorization'] = this.authManager.getAuthHeader();
-    }
-    
-    // Add body for POST/PUT/PATCH requests
-    if (options.body && ['POST', 'PUT', 'PATCH'].includes(requestOptions.method)) {
-      if (typeof options.body === 'object') {
-        requestOptions.body = JSON.stringify(options.body);
-        requestOptions.headers['Content-Type'] = 'application/json';
-      } else {
-        requestOptions.body = options.body;
-      }
-    }
-    
-    return requestOptions;
-  }
-  
-  /**
-   * Perform the actual HTTP request
-   */
-  async performRequest(url, options) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), options.timeout);
-      
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      return response;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new NetworkError(`Request timeout after ${options.timeout}ms`);
-      }
-      throw ErrorFactory.fromNetworkError(error, url);
-    }
-  }
-  
-  /**
-   * Handle HTTP response
-   */
-  async handleResponse(response) {
-    const contentType = response.headers.get('content-type') || '';
-    
-    // Parse response body
-    let body = null;
-    if (contentType.includes('application/json')) {
-      try {
-        body = await response.json();
-      } catch (error) {
-        // Response claimed to be JSON but wasn't parseable
-        body = await response.text();
-      }
-    } else if (response.headers.get('content-length') !== '0') {
-      body = await response.text();
-    }
-    
-    // Handle error responses
-    if (!response.ok) {
-      throw ErrorFactory.fromResponse(response, body);
-    }
+    });
     
     // Update rate limit tracking
     this.updateRateLimitInfo(response);
     
-    return body;
-  }
-  
-  /**
-   * Apply rate limiting
-   */
-  async applyRateLimit() {
-    if (!this.config.rateLimiting.enabled) {
-      return;
+    if (cached && response.status === 304) {
+      return this.cache.revalidated(cached, response);
     }
     
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.config.rateLimiting.padding) {
-      const delay = this.config.rateLimiting.padding - timeSinceLastRequest;
-      await this.sleep(delay);
+    if (this.cache) {
+      await this.cache.update(method, url, response, scope);
     }
     
-    this.lastRequestTime = Date.now();
-  }
-  
-  /**
-   * Update rate limit information from response headers
-   */
-  updateRateLimitInfo(response) {
-    const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
-    const rateLimitReset = response.headers.get('x-ratelimit-reset');
-    const rateLimitUsed = response.headers.get('x-ratelimit-used');
-    
-    if (rateLimitRemaining !== null) {
-      this.rateLimitRemaining = parseInt(rateLimitRemaining);
-      this.rateLimitReset = parseInt(rateLimitReset);
-      this.rateLimitUsed = parseInt(rateLimitUsed) || 0;
-    }
+    return response;
   }
   
   /**
-   * Check if request should be retried
+   * Scope of cache entries: the auth manager's credential scope, or a hash of
+   * the header a custom auth manager sends
    */
-  shouldRetry(error, attempt) {
-    // Don't retry on last attempt
-    if (attempt >= this.config.retryAttempts) {
-      return false;
+  async credentialScope() {
+    if (!this.authManager) {
+      return null;
     }
-    
-    // Retry on network errors
-    if (error instanceof NetworkError) {
-      return true;
-    }
-    
-    // Retry on rate limit errors
-    if (error instanceof RateLimitError) {
-      return true;
+    if (typeof this.authManager.getCredentialScope === 'function') {
+      return this.authManager.getCredentialScope();
     }
     
-    // Retry on 5xx errors
-    if (error.statusCode >= 500) {
-      return true;
-    }
-    
-    return false;
+    const header = await this.authManager.getAuthHeader();
+    return header ? crypto.createHash('sha256').update(header).digest('hex').slice(0, 16) : null;
   }
   
   /**
-   * Calculate retry delay
+   * Build full URL from endpoint
    */
-  calculateRetryDelay(error, attempt) {
-    // Rate limit errors have specific reset times
-    if (error instanceof RateLimitError && error.resetTime) {
-      const resetTime = new Date(error.resetTime * 1000);
-      const now = new Date();
-      return Math.max(0, resetTime.getTime() - now.getTime());
+  buildUrl(endpoint) {
+    if (endpoint.startsWith('http')) {
+      return endpoint;
     }
     
-    // Exponential backoff for other errors
-    return this.config.retryDelay * Math.pow(2, attempt - 1);
+    const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+    return `${this.config.baseUrl}${cleanEndpoint}`;
   }
   
   /**
-   * Sleep utility
+   * Update rate limit information from a transport response
    */
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  updateRateLimitInfo(response) {
+    if (response.rateLimit) {
+      this.rateLimitRemaining = response.rateLimit.remaining;
+      this.rateLimitReset = response.rateLimit.reset;
+      this.rateLimitUsed = response.rateLimit.used;
+    }
   }
   
   /**
@@ -271,25 +158,10 @@ export class HTTPClient {
   }
   
   async head(endpoint, options = {}) {
-    const url = this.buildUrl(endpoint);
-    const requestOptions = this.buildRequestOptions({ ...options, method: 'HEAD' });
-    
-    // Apply rate limiting
-    await this.applyRateLimit();
-    
-    // Perform request with proper header handling for HEAD
-    const response = await this.performRequest(url, requestOptions);
-    
-    if (!response.ok) {
-      const body = null; // HEAD requests don't have bodies
-      throw ErrorFactory.fromResponse(response, body);
-    }
-    
-    // Update rate limit tracking
-    this.updateRateLimitInfo(response);
+    const response = await this.send(endpoint, { ...options, method: 'HEAD' });
     
     // Return response object for HEAD requests so headers can be accessed
-    return response;
+    return response.raw;
   }
   
   /**
@@ -303,6 +175,22 @@ export class HTTPClient {
     };
   }
   
+  /**
+   * Get response cache hit/miss counts
+   */
+  getCacheStats() {
+    return this.cache ? { ...this.cache.stats } : null;
+  }
+  
+  /**
+   * Drop every cached response
+   */
+  async clearCache() {
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+  
   /**
    * Check if we're approaching rate limit
    */
@@ -311,6 +199,21 @@ export class HTTPClient {
   }
 }
 
+/**
+ * Convert shared transport errors into repos error classes
+ */
+function toRepoError(error) {
+  if (error instanceof TransportNetworkError) {
+    return new NetworkError(error.message, error.cause || error);
+  }
+  
+  if (error.response) {
+    return ErrorFactory.fromResponse(error.response, error.body);
+  }
+  
+  return error;
+}
+
 /**
  * Create HTTP client with default configuration
  */
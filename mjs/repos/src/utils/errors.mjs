@@ -3,15 +3,15 @@
  * @module errors
  */
 
+import { GitHubError } from '@thinkeloquent/github-sdk-core';
+
 /**
  * Base error class for repository operations
  */
-export class RepoError extends Error {
+export class RepoError extends GitHubError {
   constructor(message, statusCode = null, response = null) {
-    super(message);
+    super(message, { status: statusCode, response });
     this.name = 'RepoError';
-    this.statusCode = statusCode;
-    this.response = response;
     
     // Maintain proper stack trace (only available on V8)
     if (Error.captureStackTrace) {
@@ -109,6 +109,16 @@ export class ConflictError extends RepoError {
   }
 }
 
+/**
+ * Rejected webhook deliveries (bad signature, missing headers, unreadable payload)
+ */
+export class WebhookError extends RepoError {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+    this.name = 'WebhookError';
+  }
+}
+
 /**
  * GitHub API specific errors
  */
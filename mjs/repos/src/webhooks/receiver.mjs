@@ -0,0 +1,341 @@
+/**
+ * @fileoverview Webhook receiver: verifies GitHub's signature, drops
+ * duplicate deliveries and routes events to handlers
+ * @module webhooks/receiver
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { WebhookError } from '../utils/errors.mjs';
+
+/**
+ * Default receiver settings
+ */
+export const WEBHOOK_DEFAULTS = {
+  // Delivery IDs remembered for duplicate detection
+  maxDeliveries: 1000,
+  // GitHub caps payloads at 25 MB
+  maxPayloadSize: 25 * 1024 * 1024
+};
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - Delivery ID (`X-GitHub-Delivery`)
+ * @property {string} name - Event name (`X-GitHub-Event`), e.g. `pull_request`
+ * @property {string|null} action - Payload action, e.g. `opened`
+ * @property {Object} payload - Parsed payload
+ * @property {string|null} hookId - Hook that sent the delivery (`X-GitHub-Hook-ID`)
+ */
+
+/**
+ * Signature GitHub sends in `X-Hub-Signature-256` for a payload
+ *
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Hook secret
+ * @returns {string} `sha256=<hex digest>`
+ */
+export function signPayload(payload, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+}
+
+/**
+ * Check an `X-Hub-Signature-256` header against the payload, in constant time
+ *
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - Header value
+ * @param {string} secret - Hook secret
+ * @returns {boolean}
+ */
+export function verifySignature(payload, signature, secret) {
+  if (typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret));
+  const actual = Buffer.from(signature);
+  // The length is public (a fixed-size digest), so checking it first leaks nothing
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Case-insensitive header lookup in a plain object or a Headers instance
+ * @private
+ */
+function header(headers, name) {
+  if (typeof headers?.get === 'function') {
+    return headers.get(name);
+  }
+  const key = Object.keys(headers || {}).find(candidate => candidate.toLowerCase() === name);
+  const value = key === undefined ? null : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parse a JSON or form-encoded (`payload=`) delivery body
+ * @private
+ */
+function parsePayload(body, contentType) {
+  let text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  if (contentType?.startsWith('application/x-www-form-urlencoded')) {
+    text = new URLSearchParams(text).get('payload') ?? text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new WebhookError('Webhook payload is not valid JSON', 400);
+  }
+}
+
+/**
+ * Selectors an event is dispatched to: its name, its name and action, and `*`
+ * @param {WebhookEvent} event - Event
+ * @returns {string[]}
+ */
+export function eventKeys(event) {
+  return [event.name, event.action && `${event.name}.${event.action}`, '*'].filter(Boolean);
+}
+
+/**
+ * Whether an event matches any of a set of selectors
+ * @param {WebhookEvent} event - Event
+ * @param {Iterable<string>} selectors - `name`, `name.action` or `*` each
+ * @returns {boolean}
+ */
+export function matchesEvent(event, selectors) {
+  const wanted = new Set(selectors);
+  return eventKeys(event).some(key => wanted.has(key));
+}
+
+/**
+ * Receives GitHub webhook deliveries.
+ *
+ * Each delivery's `X-Hub-Signature-256` is verified against the secret,
+ * deliveries already seen are dropped, and the event goes to every handler
+ * registered for its name (`pull_request`), its name and action
+ * (`pull_request.opened`) or `*`.
+ *
+ * @example
+ * ```javascript
+ * import { WebhookReceiver } from '@github-api/repos';
+ *
+ * const receiver = new WebhookReceiver({ secret: process.env.GITHUB_WEBHOOK_SECRET });
+ * receiver.on('pull_request.opened', async ({ payload }) => {
+ *   console.log(`#${payload.number} opened: ${payload.pull_request.title}`);
+ * });
+ * await receiver.listen(3000);
+ * ```
+ */
+export class WebhookReceiver {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Hook secret
+   * @param {number} [options.maxDeliveries] - Delivery IDs remembered for duplicate detection
+   * @param {number} [options.maxPayloadSize] - Largest body the server accepts (bytes)
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('A webhook secret is required to verify deliveries');
+    }
+
+    this.secret = options.secret;
+    this.maxDeliveries = options.maxDeliveries ?? WEBHOOK_DEFAULTS.maxDeliveries;
+    this.maxPayloadSize = options.maxPayloadSize ?? WEBHOOK_DEFAULTS.maxPayloadSize;
+    this.handlers = new Map();
+    // Insertion-ordered, so the oldest delivery is forgotten first
+    this.deliveries = new Set();
+    this.server = null;
+  }
+
+  /**
+   * Register a handler
+   *
+   * @param {string} event - `name`, `name.action` or `*`
+   * @param {Function} handler - `(event: WebhookEvent) => Promise|void`
+   * @returns {WebhookReceiver} The receiver, for chaining
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for '${event}' must be a function`);
+    }
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  /**
+   * Remove a handler
+   *
+   * @param {string} event - Event the handler was registered for
+   * @param {Function} handler - Handler to remove
+   * @returns {WebhookReceiver} The receiver, for chaining
+   */
+  off(event, handler) {
+    const handlers = this.handlers.get(event)?.filter(registered => registered !== handler);
+    if (handlers?.length) {
+      this.handlers.set(event, handlers);
+    } else {
+      this.handlers.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Verify, parse and dispatch one delivery
+   *
+   * @param {Object} request
+   * @param {Object} request.headers - Request headers
+   * @param {string|Buffer} request.body - Raw request body, exactly as sent
+   * @returns {Promise<{ event: WebhookEvent, duplicate: boolean }>}
+   * @throws {WebhookError} When the delivery is rejected; `statusCode` is the HTTP status to answer with
+   */
+  async receive({ headers, body }) {
+    const name = header(headers, 'x-github-event');
+    const id = header(headers, 'x-github-delivery');
+    if (!name || !id) {
+      throw new WebhookError('Missing X-GitHub-Event or X-GitHub-Delivery header', 400);
+    }
+    if (!verifySignature(body, header(headers, 'x-hub-signature-256'), this.secret)) {
+      throw new WebhookError('Webhook signature does not match', 401);
+    }
+
+    const payload = parsePayload(body, header(headers, 'content-type'));
+    const event = {
+      id,
+      name,
+      action: payload?.action ?? null,
+      payload,
+      hookId: header(headers, 'x-github-hook-id')
+    };
+
+    if (this.deliveries.has(id)) {
+      return { event, duplicate: true };
+    }
+    this.remember(id);
+
+    try {
+      await this.dispatch(event);
+    } catch (error) {
+      // Let a redelivery through once the handler is fixed
+      this.deliveries.delete(id);
+      throw error;
+    }
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Call every handler registered for an event
+   *
+   * @param {WebhookEvent} event - Event
+   * @returns {Promise<void>}
+   */
+  async dispatch(event) {
+    const handlers = eventKeys(event).flatMap(key => this.handlers.get(key) || []);
+    await Promise.all(handlers.map(handler => handler(event)));
+  }
+
+  /**
+   * @private
+   */
+  remember(id) {
+    this.deliveries.add(id);
+    if (this.deliveries.size > this.maxDeliveries) {
+      this.deliveries.delete(this.deliveries.values().next().value);
+    }
+  }
+
+  /**
+   * Node request listener that feeds deliveries POSTed to `path` to the receiver
+   *
+   * @param {Object} [options]
+   * @param {string} [options.path] - Path deliveries are sent to (default: `/`)
+   * @param {Function} [options.onError] - Called with errors thrown by handlers
+   * @returns {Function} `(req, res) => void`
+   */
+  middleware({ path = '/', onError } = {}) {
+    return (req, res) => {
+      const reply = (statusCode, message) => {
+        res.writeHead(statusCode, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ message }));
+      };
+
+      if (new URL(req.url, 'http://localhost').pathname !== path) {
+        reply(404, 'Not Found');
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.setHeader('allow', 'POST');
+        reply(405, 'Method Not Allowed');
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxPayloadSize && !tooLarge) {
+          tooLarge = true;
+          reply(413, 'Payload Too Large');
+          req.destroy();
+        }
+        if (!tooLarge) {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', async () => {
+        if (tooLarge) return;
+        try {
+          const { duplicate } = await this.receive({ headers: req.headers, body: Buffer.concat(chunks) });
+          reply(duplicate ? 200 : 202, duplicate ? 'Duplicate delivery ignored' : 'Accepted');
+        } catch (error) {
+          if (error instanceof WebhookError) {
+            reply(error.statusCode, error.message);
+            return;
+          }
+          onError?.(error);
+          reply(500, 'Webhook handler failed');
+        }
+      });
+    };
+  }
+
+  /**
+   * Start an HTTP server for deliveries
+   *
+   * @param {number} [port] - Port (0 picks a free one)
+   * @param {Object} [options]
+   * @param {string} [options.host] - Interface to bind (default: all)
+   * @param {string} [options.path] - Path deliveries are sent to (default: `/`)
+   * @param {Function} [options.onError] - Called with errors thrown by handlers
+   * @returns {Promise<http.Server>} The listening server
+   */
+  listen(port = 3000, { host, ...options } = {}) {
+    this.server = http.createServer(this.middleware(options));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stop the server started by {@link WebhookReceiver#listen}
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve, reject) => {
+      if (!server) {
+        resolve();
+        return;
+      }
+      server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+}
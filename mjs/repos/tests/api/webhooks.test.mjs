@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Webhook delivery API tests
+ * @module tests/api/webhooks
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import nock from 'nock';
+import { HTTPClient } from '../../src/client/http.mjs';
+import * as webhooks from '../../src/api/webhooks.mjs';
+import { ValidationError } from '../../src/utils/errors.mjs';
+
+const API = 'https://api.github.com';
+const DELIVERIES = '/repos/octocat/Hello-World/hooks/12/deliveries';
+
+function delivery(id, guid, statusCode, deliveredAt, extra = {}) {
+  return { id, guid, status_code: statusCode, status: statusCode === 200 ? 'OK' : 'failed', delivered_at: deliveredAt, event: 'push', ...extra };
+}
+
+describe('webhook deliveries API', () => {
+  let httpClient;
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock.disableNetConnect();
+
+    httpClient = new HTTPClient({
+      baseUrl: API,
+      retryAttempts: 1,
+      authManager: {
+        getAuthHeader: () => 'Bearer test-token'
+      }
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  test('listDeliveries returns a page and the cursor of the next one', async () => {
+    nock(API)
+      .get(DELIVERIES)
+      .query({ per_page: 2, status: 'failure' })
+      .reply(200, [delivery(3, 'a', 500, '2024-05-01T10:00:00Z')], {
+        link: `<${API}${DELIVERIES}?per_page=2&status=failure&cursor=v1_2>; rel="next"`
+      });
+
+    const page = await webhooks.listDeliveries(httpClient, 'octocat', 'Hello-World', 12, { status: 'failure', per_page: 2 });
+
+    expect(page.deliveries.map(item => item.id)).toEqual([3]);
+    expect(page.nextCursor).toBe('v1_2');
+  });
+
+  test('listDeliveries rejects unknown statuses', async () => {
+    await expect(
+      webhooks.listDeliveries(httpClient, 'octocat', 'Hello-World', 12, { status: 'pending' })
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test('listAllDeliveries follows cursors and stops at since', async () => {
+    nock(API)
+      .get(DELIVERIES)
+      .query({ per_page: 100 })
+      .reply(200, [delivery(4, 'b', 200, '2024-05-03T00:00:00Z')], {
+        link: `<${API}${DELIVERIES}?per_page=100&cursor=c2>; rel="next"`
+      })
+      .get(DELIVERIES)
+      .query({ per_page: 100, cursor: 'c2' })
+      .reply(200, [delivery(3, 'a', 500, '2024-05-02T00:00:00Z'), delivery(2, 'z', 500, '2024-04-01T00:00:00Z')], {
+        link: `<${API}${DELIVERIES}?per_page=100&cursor=c3>; rel="next"`
+      });
+
+    const deliveries = await webhooks.listAllDeliveries(httpClient, 'octocat', 'Hello-World', 12, { since: '2024-05-01T00:00:00Z' });
+
+    expect(deliveries.map(item => item.id)).toEqual([4, 3]);
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('getDelivery and redeliver call the delivery endpoints', async () => {
+    nock(API)
+      .get(`${DELIVERIES}/3`)
+      .reply(200, delivery(3, 'a', 500, '2024-05-01T10:00:00Z', { request: { headers: {}, payload: {} }, response: { headers: {}, payload: 'boom' } }))
+      .post(`${DELIVERIES}/3/attempts`)
+      .reply(202, {});
+
+    const detail = await webhooks.getDelivery(httpClient, 'octocat', 'Hello-World', 12, 3);
+    expect(detail.response.payload).toBe('boom');
+
+    await expect(webhooks.redeliver(httpClient, 'octocat', 'Hello-World', 12, 3))
+      .resolves.toEqual({ id: 3, message: 'Redelivery requested' });
+  });
+
+  test('redeliverFailed sends each event whose latest delivery failed, once', async () => {
+    nock(API)
+      .get(DELIVERIES)
+      .query({ per_page: 100 })
+      .reply(200, [
+        // Event a failed, then its redelivery succeeded
+        delivery(6, 'a', 200, '2024-05-02T12:00:00Z', { redelivery: true }),
+        // Event b failed twice
+        delivery(5, 'b', 502, '2024-05-02T11:00:00Z', { redelivery: true }),
+        delivery(4, 'b', 0, '2024-05-02T10:00:00Z'),
+        delivery(3, 'a', 500, '2024-05-02T09:00:00Z'),
+        // Event c failed, but GitHub refuses to redeliver it
+        delivery(2, 'c', 404, '2024-05-02T08:00:00Z'),
+        delivery(1, 'd', 500, '2024-04-01T00:00:00Z')
+      ])
+      .post(`${DELIVERIES}/5/attempts`)
+      .reply(202, {})
+      .post(`${DELIVERIES}/2/attempts`)
+      .reply(422, { message: 'Delivery is too old' });
+
+    const result = await webhooks.redeliverFailed(httpClient, 'octocat', 'Hello-World', 12, { since: '2024-05-01T00:00:00Z' });
+
+    expect(result.redelivered.map(item => item.id)).toEqual([5]);
+    expect(result.failed.map(({ delivery }) => delivery.id)).toEqual([2]);
+    expect(result.failed[0].error.message).toBe('Delivery is too old');
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('redeliverFailed needs a since time', async () => {
+    await expect(webhooks.redeliverFailed(httpClient, 'octocat', 'Hello-World', 12)).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview GitHub App authentication tests
+ * @module tests/auth
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import nock from 'nock';
+import crypto from 'crypto';
+import { AuthManager, AuthType } from '../src/client/auth.mjs';
+import { RepoClient } from '../src/client/RepoClient.mjs';
+import { AuthError } from '../src/utils/errors.mjs';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+function decode(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString());
+}
+
+function installationToken(token, minutes = 60) {
+  return {
+    token,
+    expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+    permissions: { contents: 'read' }
+  };
+}
+
+describe('GitHub App authentication', () => {
+  beforeEach(() => {
+    nock.cleanAll();
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  test('signs an RS256 JWT with the app ID as issuer', () => {
+    const auth = new AuthManager({ appId: 12345, privateKey });
+    const jwt = auth.generateJWT();
+    const [header, payload, signature] = jwt.split('.');
+
+    expect(auth.authType).toBe(AuthType.GITHUB_APP);
+    expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(decode(payload).iss).toBe('12345');
+    expect(decode(payload).exp - decode(payload).iat).toBeLessThanOrEqual(600);
+
+    const valid = crypto.createVerify('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .verify(publicKey, Buffer.from(signature, 'base64url'));
+    expect(valid).toBe(true);
+
+    // Reused until close to expiry
+    expect(auth.generateJWT()).toBe(jwt);
+  });
+
+  test('uses the JWT for app-level calls', async () => {
+    const auth = new AuthManager({ appId: 1, privateKey });
+
+    await expect(auth.getAuthHeader()).resolves.toMatch(/^Bearer [\w-]+\.[\w-]+\.[\w-]+$/);
+  });
+
+  test('exchanges and caches installation tokens', async () => {
+    const scope = nock('https://api.github.com')
+      .post('/app/installations/99/access_tokens')
+      .matchHeader('authorization', /^Bearer /)
+      .once()
+      .reply(201, installationToken('ghs_first'));
+
+    const auth = new AuthManager({ appId: 1, privateKey, installationId: 99 });
+
+    const [a, b] = await Promise.all([auth.getAuthHeader(), auth.getAuthHeader()]);
+    const c = await auth.getAuthHeader();
+
+    expect(a).toBe('token ghs_first');
+    expect(b).toBe(a);
+    expect(c).toBe(a);
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('still exchanges installation tokens on a dry run', async () => {
+    const scope = nock('https://api.github.com')
+      .post('/app/installations/99/access_tokens')
+      .reply(201, installationToken('ghs_dry'));
+    process.env.GITHUB_DRY_RUN = '1';
+
+    try {
+      const auth = new AuthManager({ appId: 1, privateKey, installationId: 99 });
+      await expect(auth.getAuthHeader()).resolves.toBe('token ghs_dry');
+      expect(scope.isDone()).toBe(true);
+    } finally {
+      delete process.env.GITHUB_DRY_RUN;
+    }
+  });
+
+  test('refreshes installation tokens before they expire', async () => {
+    nock('https://api.github.com')
+      .post('/app/installations/99/access_tokens')
+      .reply(201, installationToken('ghs_old', 2))
+      .post('/app/installations/99/access_tokens')
+      .reply(201, installationToken('ghs_new'));
+
+    const auth = new AuthManager({ appId: 1, privateKey, installationId: 99 });
+
+    expect(await auth.getInstallationToken()).toBe('ghs_old');
+    expect(await auth.getInstallationToken()).toBe('ghs_new');
+  });
+
+  test('wraps token exchange failures in AuthError', async () => {
+    nock('https://api.github.com')
+      .post('/app/installations/99/access_tokens')
+      .reply(404, { message: 'Not Found' });
+
+    const auth = new AuthManager({ appId: 1, privateKey, installationId: 99 });
+
+    await expect(auth.getInstallationToken()).rejects.toBeInstanceOf(AuthError);
+  });
+
+  test('RepoClient switches between app and installation calls', async () => {
+    nock('https://api.github.com')
+      .get('/app/installations')
+      .matchHeader('authorization', /^Bearer /)
+      .reply(200, [{ id: 7 }])
+      .post('/app/installations/7/access_tokens')
+      .reply(201, installationToken('ghs_seven'))
+      .get('/repos/octocat/Hello-World')
+      .matchHeader('authorization', 'token ghs_seven')
+      .reply(200, { id: 1 });
+
+    const client = new RepoClient({
+      auth: { appId: 1, privateKey },
+      rateLimiting: { enabled: false }
+    });
+
+    const installations = await client.asApp().http.get('/app/installations');
+    const installed = client.asInstallation(installations[0].id);
+    const repo = await installed.repositories.get('octocat', 'Hello-World');
+
+    expect(repo).toEqual({ id: 1 });
+    expect(installed.auth.appState).toBe(client.auth.appState);
+  });
+
+  test('rejects installation switching for token auth', () => {
+    const client = new RepoClient({ token: 'ghp_test' });
+
+    expect(() => client.asInstallation(1)).toThrow(AuthError);
+  });
+});
+
+describe('credential scope', () => {
+  test('tells credentials apart without exposing them', () => {
+    const scope = new AuthManager({ token: 'ghp_one' }).getCredentialScope();
+
+    expect(scope).toMatch(/^[0-9a-f]{16}$/);
+    expect(new AuthManager({ token: 'ghp_one' }).getCredentialScope()).toBe(scope);
+    expect(new AuthManager({ token: 'ghp_two' }).getCredentialScope()).not.toBe(scope);
+    expect(new AuthManager({}).getCredentialScope()).toBeNull();
+  });
+
+  test('stays the same across installation token refreshes', () => {
+    const app = new AuthManager({ appId: 42, privateKey });
+    const installation = app.forInstallation(7);
+
+    expect(installation.getCredentialScope()).toBe(new AuthManager({ appId: 42, privateKey, installationId: 7 }).getCredentialScope());
+    expect(installation.getCredentialScope()).not.toBe(app.getCredentialScope());
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Conditional-request cache tests
+ * @module tests/cache
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import nock from 'nock';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RepoClient } from '../src/client/RepoClient.mjs';
+import { MemoryCacheStore, FileCacheStore, createCacheStore } from '../src/client/cache.mjs';
+
+describe('cache stores', () => {
+  test('memory store evicts least recently used entries', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+  });
+
+  test('file store persists entries between instances', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'repos-cache-'));
+    const file = path.join(dir, 'cache.json');
+
+    try {
+      await new FileCacheStore({ path: file }).set('GET /x', { etag: '"1"', data: { id: 1 } });
+
+      const entry = await new FileCacheStore({ path: file }).get('GET /x');
+      expect(entry).toEqual({ etag: '"1"', data: { id: 1 } });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('createCacheStore resolves store options', () => {
+    const custom = { get() {}, set() {}, delete() {}, clear() {} };
+
+    expect(createCacheStore(false)).toBeNull();
+    expect(createCacheStore(true)).toBeInstanceOf(MemoryCacheStore);
+    expect(createCacheStore({ store: 'file', path: '/tmp/x.json' })).toBeInstanceOf(FileCacheStore);
+    expect(createCacheStore({ store: custom })).toBe(custom);
+    expect(() => createCacheStore({ store: 'redis' })).toThrow('Unknown cache store');
+  });
+});
+
+describe('RepoClient cache option', () => {
+  let client;
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock.disableNetConnect();
+
+    client = new RepoClient({
+      token: 'test-token',
+      rateLimiting: { enabled: false },
+      cache: { store: 'memory' }
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  test('revalidates with If-None-Match and serves the cached body on 304', async () => {
+    const repo = { id: 1, full_name: 'octocat/Hello-World' };
+
+    nock('https://api.github.com')
+      .get('/repos/octocat/Hello-World')
+      .reply(200, repo, { ETag: '"abc"' })
+      .get('/repos/octocat/Hello-World')
+      .matchHeader('if-none-match', '"abc"')
+      .reply(304, '', { ETag: '"abc"' });
+
+    expect(await client.repositories.get('octocat', 'Hello-World')).toEqual(repo);
+    expect(await client.repositories.get('octocat', 'Hello-World')).toEqual(repo);
+
+    expect(nock.isDone()).toBe(true);
+    expect(client.getCacheStats()).toEqual({ hits: 1, misses: 1 });
+  });
+
+  test('sends If-Modified-Since for Last-Modified responses', async () => {
+    const modified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+    nock('https://api.github.com')
+      .get('/repos/octocat/Hello-World/branches')
+      .query(true)
+      .reply(200, [{ name: 'main' }], { 'Last-Modified': modified })
+      .get('/repos/octocat/Hello-World/branches')
+      .query(true)
+      .matchHeader('if-modified-since', modified)
+      .reply(200, [{ name: 'main' }, { name: 'dev' }], { 'Last-Modified': modified });
+
+    await client.branches.list('octocat', 'Hello-World');
+    const branches = await client.branches.list('octocat', 'Hello-World');
+
+    expect(branches).toHaveLength(2);
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('keeps entries of different tokens apart in a shared cache file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'repos-cache-'));
+    const cache = { store: 'file', path: path.join(dir, 'cache.json') };
+    const privateRepo = { id: 1, full_name: 'octocat/secret', private: true };
+
+    try {
+      nock('https://api.github.com')
+        .get('/repos/octocat/secret')
+        .matchHeader('authorization', 'Bearer token-a')
+        .reply(200, privateRepo, { ETag: '"abc"' });
+      nock('https://api.github.com', { badheaders: ['if-none-match'] })
+        .get('/repos/octocat/secret')
+        .matchHeader('authorization', 'Bearer token-b')
+        .reply(404, { message: 'Not Found' });
+
+      const owner = new RepoClient({ token: 'token-a', rateLimiting: { enabled: false }, cache });
+      const other = new RepoClient({ token: 'token-b', rateLimiting: { enabled: false }, cache });
+
+      expect(await owner.repositories.get('octocat', 'secret')).toEqual(privateRepo);
+      await expect(other.repositories.get('octocat', 'secret')).rejects.toMatchObject({ status: 404 });
+
+      expect(nock.isDone()).toBe(true);
+      expect(other.getCacheStats()).toEqual({ hits: 0, misses: 0 });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('does not send validators when the cache is disabled', async () => {
+    const uncached = new RepoClient({ token: 'test-token', rateLimiting: { enabled: false } });
+
+    nock('https://api.github.com', { badheaders: ['if-none-match'] })
+      .get('/repos/octocat/Hello-World')
+      .twice()
+      .reply(200, { id: 1 }, { ETag: '"abc"' });
+
+    await uncached.repositories.get('octocat', 'Hello-World');
+    await uncached.repositories.get('octocat', 'Hello-World');
+
+    expect(nock.isDone()).toBe(true);
+    expect(uncached.getCacheStats()).toBeNull();
+  });
+});
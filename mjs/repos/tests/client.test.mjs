@@ -59,6 +59,20 @@ describe('RepoClient', () => {
       expect(config.rateLimiting.enabled).toBe(false);
     });
     
+    test('should leave rate limiting to the core scheduler', () => {
+      const shared = new RepoClient({ token: 'test-token' });
+      const unscheduled = new RepoClient({ token: 'test-token', rateLimiting: { enabled: false } });
+      
+      // undefined picks the scheduler shared per credential, null sends requests straight away
+      expect(shared.http.transport.scheduler).toBeUndefined();
+      expect(unscheduled.http.transport.scheduler).toBeNull();
+      
+      unscheduled.updateConfig({ rateLimiting: { enabled: true } });
+      expect(unscheduled.http.transport.scheduler).toBeUndefined();
+      shared.updateConfig({ rateLimiting: { enabled: false } });
+      expect(shared.http.transport.scheduler).toBeNull();
+    });
+    
     test('should throw AuthError without token', () => {
       // Mock process.env to remove any GITHUB_TOKEN
       const originalEnv = process.env;
@@ -9,6 +9,9 @@ import dotenv from 'dotenv';
 // Load environment variables for testing
 dotenv.config({ path: '.env.test' });
 
+// Keep the writes tests send out of the user's audit log
+process.env.GITHUB_AUDIT_LOG = 'off';
+
 // Set default test timeout
 jest.setTimeout(30000);
 
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Webhook receiver tests
+ * @module tests/webhooks
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import http from 'http';
+import { WebhookReceiver, signPayload, verifySignature } from '../src/webhooks/receiver.mjs';
+import { WebhookError } from '../src/utils/errors.mjs';
+import { printEvents } from '../src/cli/commands/webhooks.mjs';
+
+const SECRET = 'It\'s a Secret to Everybody';
+
+function delivery(payload, { id = 'd-1', event = 'pull_request', secret = SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  return {
+    headers: {
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': id,
+      'X-Hub-Signature-256': signPayload(body, secret),
+      'Content-Type': 'application/json'
+    },
+    body
+  };
+}
+
+function post(port, { headers, body }, path = '/') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path, method: 'POST', headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('webhook signatures', () => {
+  test('signPayload matches the example in GitHub\'s documentation', () => {
+    expect(signPayload('Hello, World!', SECRET))
+      .toBe('sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17');
+  });
+
+  test('verifySignature rejects a wrong secret, a tampered body and a missing header', () => {
+    const signature = signPayload('{"action":"opened"}', SECRET);
+
+    expect(verifySignature('{"action":"opened"}', signature, SECRET)).toBe(true);
+    expect(verifySignature('{"action":"opened"}', signature, 'other')).toBe(false);
+    expect(verifySignature('{"action":"closed"}', signature, SECRET)).toBe(false);
+    expect(verifySignature('{"action":"opened"}', 'sha256=abc', SECRET)).toBe(false);
+    expect(verifySignature('{"action":"opened"}', undefined, SECRET)).toBe(false);
+  });
+});
+
+describe('WebhookReceiver', () => {
+  let receiver;
+
+  beforeEach(() => {
+    receiver = new WebhookReceiver({ secret: SECRET });
+  });
+
+  afterEach(async () => {
+    await receiver.close();
+  });
+
+  test('requires a secret', () => {
+    expect(() => new WebhookReceiver({})).toThrow('secret is required');
+  });
+
+  test('routes events by name, name.action and *', async () => {
+    const opened = jest.fn();
+    const any = jest.fn();
+    const closed = jest.fn();
+    const all = jest.fn();
+    receiver.on('pull_request.opened', opened).on('pull_request', any).on('pull_request.closed', closed).on('*', all);
+
+    const { event, duplicate } = await receiver.receive(delivery({ action: 'opened', number: 7 }));
+
+    expect(duplicate).toBe(false);
+    expect(event).toMatchObject({ id: 'd-1', name: 'pull_request', action: 'opened', payload: { number: 7 } });
+    expect(opened).toHaveBeenCalledWith(event);
+    expect(any).toHaveBeenCalledWith(event);
+    expect(all).toHaveBeenCalledWith(event);
+    expect(closed).not.toHaveBeenCalled();
+
+    receiver.off('*', all);
+    await receiver.receive(delivery({ action: 'opened' }, { id: 'd-2' }));
+    expect(all).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops duplicate deliveries, but not ones whose handlers failed', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('database down'))
+      .mockResolvedValue();
+    receiver.on('push', handler);
+    const push = delivery({ ref: 'refs/heads/main' }, { event: 'push' });
+
+    await expect(receiver.receive(push)).rejects.toThrow('database down');
+    await expect(receiver.receive(push)).resolves.toMatchObject({ duplicate: false });
+    await expect(receiver.receive(push)).resolves.toMatchObject({ duplicate: true });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('forgets the oldest deliveries past maxDeliveries', async () => {
+    receiver = new WebhookReceiver({ secret: SECRET, maxDeliveries: 2 });
+
+    for (const id of ['a', 'b', 'c']) {
+      await receiver.receive(delivery({}, { id, event: 'ping' }));
+    }
+
+    expect([...receiver.deliveries]).toEqual(['b', 'c']);
+    await expect(receiver.receive(delivery({}, { id: 'a', event: 'ping' }))).resolves.toMatchObject({ duplicate: false });
+  });
+
+  test('rejects unsigned, mis-signed and header-less deliveries', async () => {
+    const handler = jest.fn();
+    receiver.on('*', handler);
+
+    const forged = delivery({ action: 'opened' }, { secret: 'wrong' });
+    await expect(receiver.receive(forged)).rejects.toMatchObject({ name: 'WebhookError', statusCode: 401 });
+
+    const anonymous = delivery({});
+    delete anonymous.headers['X-GitHub-Event'];
+    await expect(receiver.receive(anonymous)).rejects.toThrow(WebhookError);
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('reads form-encoded deliveries', async () => {
+    const body = `payload=${encodeURIComponent(JSON.stringify({ zen: 'Keep it logically awesome.' }))}`;
+    const { event } = await receiver.receive({
+      headers: {
+        'x-github-event': 'ping',
+        'x-github-delivery': 'd-form',
+        'x-hub-signature-256': signPayload(body, SECRET),
+        'content-type': 'application/x-www-form-urlencoded'
+      },
+      body
+    });
+
+    expect(event.payload.zen).toBe('Keep it logically awesome.');
+  });
+
+  test('listen answers deliveries over HTTP', async () => {
+    const handler = jest.fn();
+    receiver.on('issues.opened', handler);
+    const server = await receiver.listen(0, { host: '127.0.0.1', path: '/hooks' });
+    const { port } = server.address();
+    const issue = delivery({ action: 'opened' }, { event: 'issues' });
+
+    await expect(post(port, issue, '/hooks')).resolves.toEqual({ status: 202, body: { message: 'Accepted' } });
+    await expect(post(port, issue, '/hooks')).resolves.toMatchObject({ status: 200 });
+    await expect(post(port, delivery({}, { id: 'd-9', secret: 'wrong' }), '/hooks')).resolves.toMatchObject({ status: 401 });
+    await expect(post(port, issue, '/')).resolves.toMatchObject({ status: 404 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('webhook listen', () => {
+  test('prints a delivery once when several --events selectors match it', async () => {
+    const receiver = new WebhookReceiver({ secret: SECRET });
+    printEvents(receiver, ['pull_request', 'pull_request.opened', '*']);
+
+    await receiver.receive(delivery({ action: 'opened', number: 7 }));
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({ id: 'd-1', event: 'pull_request', action: 'opened', payload: { number: 7 } });
+  });
+
+  test('prints only the selected events', async () => {
+    const receiver = new WebhookReceiver({ secret: SECRET });
+    printEvents(receiver, ['pull_request.opened', 'push']);
+
+    await receiver.receive(delivery({ action: 'closed' }, { id: 'd-2' }));
+    await receiver.receive(delivery({ ref: 'refs/heads/main' }, { id: 'd-3', event: 'push' }));
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({ id: 'd-3', event: 'push' });
+  });
+});
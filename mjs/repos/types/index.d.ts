@@ -1,660 +1,4846 @@
 /**
- * TypeScript definitions for @github-api/repos
+ * TypeScript definitions for @thinkeloquent/github-sdk-repos
  * GitHub Repository API client and CLI
  */
 
-declare module '@github-api/repos' {
-  // ============================================================================
-  // Core Types
-  // ============================================================================
-
-  export interface RepoClientOptions {
-    /** GitHub personal access token */
-    token?: string;
-    /** GitHub API base URL */
-    baseUrl?: string;
-    /** Request timeout in milliseconds */
-    timeout?: number;
-    /** Rate limiting configuration */
-    rateLimiting?: {
-      enabled?: boolean;
-      padding?: number;
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+/** `client.repositories`: the functions of src/api/repositories.mjs bound to the client */
+export interface RepositoriesAPI {
+  /**
+   * Get a repository
+   *
+   * `GET /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#get-a-repository
+   */
+  get(owner: string, repo: string): Promise<ReposGetResponse>;
+  /**
+   * List repositories for a user
+   *
+   * `GET /users/{username}/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-repositories-for-a-user
+   */
+  listForUser(username: string, options?: ReposListForUserParams): Promise<ReposListForUserResponse>;
+  /**
+   * List repositories for the authenticated user
+   *
+   * `GET /user/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-repositories-for-the-authenticated-user
+   */
+  listForAuthenticatedUser(options?: ReposListForAuthenticatedUserParams): Promise<ReposListForAuthenticatedUserResponse>;
+  /**
+   * List organization repositories
+   *
+   * `GET /orgs/{org}/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-organization-repositories
+   */
+  listForOrg(org: string, options?: ReposListForOrgParams): Promise<ReposListForOrgResponse>;
+  /**
+   * Create a repository for the authenticated user
+   *
+   * `POST /user/repos`
+   * @see https://docs.github.com/rest/repos/repos#create-a-repository-for-the-authenticated-user
+   */
+  create(repoData: ReposCreateForAuthenticatedUserRequest): Promise<ReposCreateForAuthenticatedUserResponse>;
+  /**
+   * Create a repository in an organization
+   *
+   * `POST /orgs/{org}/repos`
+   * @see https://docs.github.com/rest/repos/repos#create-an-organization-repository
+   */
+  createInOrg(org: string, repoData: ReposCreateInOrgRequest): Promise<ReposCreateInOrgResponse>;
+  /**
+   * Update a repository
+   *
+   * `PATCH /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#update-a-repository
+   */
+  update(owner: string, repo: string, updates: ReposUpdateRequest): Promise<ReposUpdateResponse>;
+  /**
+   * Delete a repository
+   *
+   * `DELETE /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#delete-a-repository
+   */
+  deleteRepo(owner: string, repo: string): Promise<any>;
+  /**
+   * Get repository topics
+   *
+   * `GET /repos/{owner}/{repo}/topics`
+   * @see https://docs.github.com/rest/repos/repos#get-all-repository-topics
+   */
+  getAllTopics(owner: string, repo: string): Promise<ReposGetAllTopicsResponse>;
+  /**
+   * Replace all repository topics
+   *
+   * `PUT /repos/{owner}/{repo}/topics`
+   * @see https://docs.github.com/rest/repos/repos#replace-all-repository-topics
+   */
+  replaceAllTopics(owner: string, repo: string, topics: ReposReplaceAllTopicsRequest["names"]): Promise<ReposReplaceAllTopicsResponse>;
+  /**
+   * Get repository languages
+   *
+   * `GET /repos/{owner}/{repo}/languages`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-languages
+   */
+  getLanguages(owner: string, repo: string): Promise<ReposListLanguagesResponse>;
+  /**
+   * Get repository contributors
+   *
+   * `GET /repos/{owner}/{repo}/contributors`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-contributors
+   */
+  getContributors(owner: string, repo: string, options?: ReposListContributorsParams): Promise<ReposListContributorsResponse>;
+  /** Get repository statistics */
+  getStats(owner: any, repo: any): Promise<any>;
+  /**
+   * Fork a repository
+   *
+   * `POST /repos/{owner}/{repo}/forks`
+   * @see https://docs.github.com/rest/repos/forks#create-a-fork
+   */
+  fork(owner: string, repo: string, options?: any): Promise<ReposCreateForkResponse>;
+  /**
+   * List forks of a repository
+   *
+   * `GET /repos/{owner}/{repo}/forks`
+   * @see https://docs.github.com/rest/repos/forks#list-forks
+   */
+  listForks(owner: string, repo: string, options?: ReposListForksParams): Promise<ReposListForksResponse>;
+  /**
+   * Transfer repository ownership
+   *
+   * `POST /repos/{owner}/{repo}/transfer`
+   * @see https://docs.github.com/rest/repos/repos#transfer-a-repository
+   */
+  transfer(owner: string, repo: string, newOwner: ReposTransferRequest["new_owner"], teamIds?: ReposTransferRequest["team_ids"]): Promise<ReposTransferResponse>;
+  /**
+   * Check if repository is starred by authenticated user
+   *
+   * `GET /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#check-if-a-repository-is-starred-by-the-authenticated-user
+   */
+  checkIfStarred(owner: string, repo: string): Promise<any>;
+  /**
+   * Star a repository
+   *
+   * `PUT /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#star-a-repository-for-the-authenticated-user
+   */
+  star(owner: string, repo: string): Promise<any>;
+  /**
+   * Unstar a repository
+   *
+   * `DELETE /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#unstar-a-repository-for-the-authenticated-user
+   */
+  unstar(owner: string, repo: string): Promise<any>;
+  /**
+   * Check if repository is watched by authenticated user
+   *
+   * `GET /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#get-a-repository-subscription
+   */
+  checkIfWatched(owner: string, repo: string): Promise<any>;
+  /**
+   * Watch a repository
+   *
+   * `PUT /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#set-a-repository-subscription
+   */
+  watch(owner: string, repo: string, subscribed?: ActivitySetRepoSubscriptionRequest["subscribed"], ignored?: ActivitySetRepoSubscriptionRequest["ignored"]): Promise<ActivitySetRepoSubscriptionResponse>;
+  /**
+   * Unwatch a repository
+   *
+   * `DELETE /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#delete-a-repository-subscription
+   */
+  unwatch(owner: string, repo: string): Promise<any>;
+  /** Generate repository name suggestions */
+  generateNameSuggestions(): any;
+}
+
+/** `client.collaborators`: the functions of src/api/collaborators.mjs bound to the client */
+export interface CollaboratorsAPI {
+  /**
+   * List repository collaborators
+   *
+   * `GET /repos/{owner}/{repo}/collaborators`
+   * @see https://docs.github.com/rest/collaborators/collaborators#list-repository-collaborators
+   */
+  list(owner: string, repo: string, options?: ReposListCollaboratorsParams): Promise<ReposListCollaboratorsResponse>;
+  /**
+   * Check if user is a collaborator
+   *
+   * `GET /repos/{owner}/{repo}/collaborators/{username}/permission`
+   * @see https://docs.github.com/rest/collaborators/collaborators#get-repository-permissions-for-a-user
+   */
+  checkPermissions(owner: string, repo: string, username: string): Promise<ReposGetCollaboratorPermissionLevelResponse>;
+  /**
+   * Add repository collaborator
+   *
+   * `PUT /repos/{owner}/{repo}/collaborators/{username}`
+   * @see https://docs.github.com/rest/collaborators/collaborators#add-a-repository-collaborator
+   */
+  add(owner: string, repo: string, username: string, options?: any): Promise<ReposAddCollaboratorResponse>;
+  /**
+   * Remove repository collaborator
+   *
+   * `DELETE /repos/{owner}/{repo}/collaborators/{username}`
+   * @see https://docs.github.com/rest/collaborators/collaborators#remove-a-repository-collaborator
+   */
+  remove(owner: string, repo: string, username: string): Promise<any>;
+  /**
+   * List repository invitations
+   *
+   * `GET /repos/{owner}/{repo}/invitations`
+   * @see https://docs.github.com/rest/collaborators/invitations#list-repository-invitations
+   */
+  listInvitations(owner: string, repo: string, options?: ReposListInvitationsParams): Promise<ReposListInvitationsResponse>;
+  /**
+   * Update repository invitation
+   *
+   * `PATCH /repos/{owner}/{repo}/invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#update-a-repository-invitation
+   */
+  updateInvitation(owner: string, repo: string, invitationId: number, permission: ReposUpdateInvitationRequest["permissions"]): Promise<ReposUpdateInvitationResponse>;
+  /**
+   * Delete repository invitation
+   *
+   * `DELETE /repos/{owner}/{repo}/invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#delete-a-repository-invitation
+   */
+  deleteInvitation(owner: string, repo: string, invitationId: number): Promise<any>;
+  /**
+   * List user's repository invitations
+   *
+   * `GET /user/repository_invitations`
+   * @see https://docs.github.com/rest/collaborators/invitations#list-repository-invitations-for-the-authenticated-user
+   */
+  listUserInvitations(options?: ReposListInvitationsForAuthenticatedUserParams): Promise<ReposListInvitationsForAuthenticatedUserResponse>;
+  /**
+   * Accept repository invitation
+   *
+   * `PATCH /user/repository_invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#accept-a-repository-invitation
+   */
+  acceptInvitation(invitationId: number): Promise<void>;
+  /**
+   * Decline repository invitation
+   *
+   * `DELETE /user/repository_invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#decline-a-repository-invitation
+   */
+  declineInvitation(invitationId: number): Promise<any>;
+  /** Get permission level for user */
+  getPermissionLevel(owner: any, repo: any, username: any): Promise<any>;
+  /** Check if user has specific permission */
+  hasPermission(owner: any, repo: any, username: any, requiredPermission: any): Promise<any>;
+  /** Bulk add collaborators */
+  bulkAdd(owner: any, repo: any, collaborators: any): Promise<any>;
+  /** Get collaborator statistics */
+  getStats(owner: any, repo: any): Promise<any>;
+  /** Create collaborator permission template */
+  createPermissionTemplate(): any;
+}
+
+/** `client.branches`: the functions of src/api/branches.mjs bound to the client */
+export interface BranchesAPI {
+  /**
+   * List repository branches
+   *
+   * `GET /repos/{owner}/{repo}/branches`
+   * @see https://docs.github.com/rest/branches/branches#list-branches
+   */
+  list(owner: string, repo: string, options?: ReposListBranchesParams): Promise<ReposListBranchesResponse>;
+  /**
+   * Get a specific branch
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}`
+   * @see https://docs.github.com/rest/branches/branches#get-a-branch
+   */
+  get(owner: string, repo: string, branch: string): Promise<ReposGetBranchResponse>;
+  /**
+   * Get branch protection
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-branch-protection
+   */
+  getProtection(owner: string, repo: string, branch: string): Promise<ReposGetBranchProtectionResponse>;
+  /**
+   * Update branch protection
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-branch-protection
+   */
+  updateProtection(owner: string, repo: string, branch: string, protection: ReposUpdateBranchProtectionRequest): Promise<ReposUpdateBranchProtectionResponse>;
+  /**
+   * Remove branch protection
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-branch-protection
+   */
+  removeProtection(owner: string, repo: string, branch: string): Promise<any>;
+  /**
+   * Get required status checks
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-status-checks-protection
+   */
+  getRequiredStatusChecks(owner: string, repo: string, branch: string): Promise<ReposGetStatusChecksProtectionResponse>;
+  /**
+   * Update required status checks
+   *
+   * `PATCH /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-status-check-protection
+   */
+  updateRequiredStatusChecks(owner: string, repo: string, branch: string, options: ReposUpdateStatusCheckProtectionRequest): Promise<ReposUpdateStatusCheckProtectionResponse>;
+  /**
+   * Remove required status checks
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-status-check-protection
+   */
+  removeRequiredStatusChecks(owner: string, repo: string, branch: string): Promise<any>;
+  /**
+   * Get required status check contexts
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-all-status-check-contexts
+   */
+  getRequiredStatusCheckContexts(owner: string, repo: string, branch: string): Promise<ReposGetAllStatusCheckContextsResponse>;
+  /**
+   * Add required status check contexts
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-status-check-contexts
+   */
+  addRequiredStatusCheckContexts(owner: string, repo: string, branch: string, contexts: ReposAddStatusCheckContextsRequest): Promise<ReposAddStatusCheckContextsResponse>;
+  /**
+   * Set required status check contexts
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-status-check-contexts
+   */
+  setRequiredStatusCheckContexts(owner: string, repo: string, branch: string, contexts: ReposSetStatusCheckContextsRequest): Promise<ReposSetStatusCheckContextsResponse>;
+  /**
+   * Remove required status check contexts
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-status-check-contexts
+   */
+  removeRequiredStatusCheckContexts(owner: string, repo: string, branch: string, contexts: any): Promise<ReposRemoveStatusCheckContextsResponse>;
+  /**
+   * Get pull request review protection
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-pull-request-review-protection
+   */
+  getPullRequestReviewProtection(owner: string, repo: string, branch: string): Promise<ReposGetPullRequestReviewProtectionResponse>;
+  /**
+   * Update pull request review protection
+   *
+   * `PATCH /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-pull-request-review-protection
+   */
+  updatePullRequestReviewProtection(owner: string, repo: string, branch: string, options: ReposUpdatePullRequestReviewProtectionRequest): Promise<ReposUpdatePullRequestReviewProtectionResponse>;
+  /**
+   * Remove pull request review protection
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-pull-request-review-protection
+   */
+  removePullRequestReviewProtection(owner: string, repo: string, branch: string): Promise<any>;
+  /**
+   * Get admin enforcement
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-admin-branch-protection
+   */
+  getAdminEnforcement(owner: string, repo: string, branch: string): Promise<ReposGetAdminBranchProtectionResponse>;
+  /**
+   * Add admin enforcement
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-admin-branch-protection
+   */
+  addAdminEnforcement(owner: string, repo: string, branch: string): Promise<ReposSetAdminBranchProtectionResponse>;
+  /**
+   * Remove admin enforcement
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-admin-branch-protection
+   */
+  removeAdminEnforcement(owner: string, repo: string, branch: string): Promise<any>;
+  /**
+   * Get restrictions (who can push to branch)
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-access-restrictions
+   */
+  getRestrictions(owner: string, repo: string, branch: string): Promise<ReposGetAccessRestrictionsResponse>;
+  /**
+   * Remove restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-access-restrictions
+   */
+  removeRestrictions(owner: string, repo: string, branch: string): Promise<any>;
+  /**
+   * Get user restrictions
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-users-with-access-to-the-protected-branch
+   */
+  getUserRestrictions(owner: string, repo: string, branch: string): Promise<ReposGetUsersWithAccessToProtectedBranchResponse>;
+  /**
+   * Add user restrictions
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-user-access-restrictions
+   */
+  addUserRestrictions(owner: string, repo: string, branch: string, users: ReposAddUserAccessRestrictionsRequest): Promise<ReposAddUserAccessRestrictionsResponse>;
+  /**
+   * Set user restrictions
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-user-access-restrictions
+   */
+  setUserRestrictions(owner: string, repo: string, branch: string, users: ReposSetUserAccessRestrictionsRequest): Promise<ReposSetUserAccessRestrictionsResponse>;
+  /**
+   * Remove user restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-user-access-restrictions
+   */
+  removeUserRestrictions(owner: string, repo: string, branch: string, users: any): Promise<ReposRemoveUserAccessRestrictionsResponse>;
+  /**
+   * Get team restrictions
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-teams-with-access-to-the-protected-branch
+   */
+  getTeamRestrictions(owner: string, repo: string, branch: string): Promise<ReposGetTeamsWithAccessToProtectedBranchResponse>;
+  /**
+   * Add team restrictions
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-team-access-restrictions
+   */
+  addTeamRestrictions(owner: string, repo: string, branch: string, teams: ReposAddTeamAccessRestrictionsRequest): Promise<ReposAddTeamAccessRestrictionsResponse>;
+  /**
+   * Set team restrictions
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-team-access-restrictions
+   */
+  setTeamRestrictions(owner: string, repo: string, branch: string, teams: ReposSetTeamAccessRestrictionsRequest): Promise<ReposSetTeamAccessRestrictionsResponse>;
+  /**
+   * Remove team restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-team-access-restrictions
+   */
+  removeTeamRestrictions(owner: string, repo: string, branch: string, teams: any): Promise<ReposRemoveTeamAccessRestrictionsResponse>;
+  /**
+   * Rename a branch
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/rename`
+   * @see https://docs.github.com/rest/branches/branches#rename-a-branch
+   */
+  rename(owner: string, repo: string, branch: string, newName: ReposRenameBranchRequest["new_name"]): Promise<ReposRenameBranchResponse>;
+  /**
+   * Merge a branch
+   *
+   * `POST /repos/{owner}/{repo}/merges`
+   * @see https://docs.github.com/rest/branches/branches#merge-a-branch
+   */
+  merge(owner: string, repo: string, options: ReposMergeRequest): Promise<ReposMergeResponse>;
+  /**
+   * Compare two commits/branches
+   *
+   * `GET /repos/{owner}/{repo}/compare/{basehead}`
+   * @see https://docs.github.com/rest/commits/commits#compare-two-commits
+   */
+  compare(owner: string, repo: string, base: string, head: string): Promise<ReposCompareCommitsResponse>;
+  /** Create a branch protection rule template */
+  createProtectionTemplate(): any;
+}
+
+/** `client.tags`: the functions of src/api/tags.mjs bound to the client */
+export interface TagsAPI {
+  /**
+   * List repository tags
+   *
+   * `GET /repos/{owner}/{repo}/tags`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-tags
+   */
+  list(owner: string, repo: string, options?: ReposListTagsParams): Promise<ReposListTagsResponse>;
+  /** Get a specific tag */
+  get(owner: any, repo: any, tag: any): Promise<any>;
+  /**
+   * Create a tag
+   *
+   * `POST /repos/{owner}/{repo}/git/tags`
+   * @see https://docs.github.com/rest/git/tags#create-a-tag-object
+   */
+  create(owner: string, repo: string, tagData: GitCreateTagRequest): Promise<GitCreateTagResponse>;
+  /**
+   * Create a lightweight tag (reference)
+   *
+   * `POST /repos/{owner}/{repo}/git/refs`
+   * @see https://docs.github.com/rest/git/refs#create-a-reference
+   */
+  createRef(owner: string, repo: string, tag: any, sha: GitCreateRefRequest["sha"]): Promise<GitCreateRefResponse>;
+  /**
+   * Delete a tag
+   *
+   * `DELETE /repos/{owner}/{repo}/git/refs/{ref}`
+   * @see https://docs.github.com/rest/git/refs#delete-a-reference
+   */
+  deleteTag(owner: string, repo: string, tag: any): Promise<any>;
+  /**
+   * Get tag protection rules
+   *
+   * `GET /repos/{owner}/{repo}/tags/protection`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---list-tag-protection-states-for-a-repository
+   * @deprecated
+   */
+  getProtection(owner: string, repo: string): Promise<ReposListTagProtectionResponse>;
+  /**
+   * Create tag protection rule
+   *
+   * `POST /repos/{owner}/{repo}/tags/protection`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---create-a-tag-protection-state-for-a-repository
+   * @deprecated
+   */
+  createProtection(owner: string, repo: string, pattern: ReposCreateTagProtectionRequest["pattern"]): Promise<ReposCreateTagProtectionResponse>;
+  /**
+   * Delete tag protection rule
+   *
+   * `DELETE /repos/{owner}/{repo}/tags/protection/{tag_protection_id}`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---delete-a-tag-protection-state-for-a-repository
+   * @deprecated
+   */
+  deleteProtection(owner: string, repo: string, tagProtectionId: number): Promise<any>;
+  /**
+   * List releases (which are typically associated with tags)
+   *
+   * `GET /repos/{owner}/{repo}/releases`
+   * @see https://docs.github.com/rest/releases/releases#list-releases
+   */
+  listReleases(owner: string, repo: string, options?: ReposListReleasesParams): Promise<ReposListReleasesResponse>;
+  /**
+   * Get a release by tag
+   *
+   * `GET /repos/{owner}/{repo}/releases/tags/{tag}`
+   * @see https://docs.github.com/rest/releases/releases#get-a-release-by-tag-name
+   */
+  getReleaseByTag(owner: string, repo: string, tag: string): Promise<ReposGetReleaseByTagResponse>;
+  /**
+   * Create a release from a tag
+   *
+   * `POST /repos/{owner}/{repo}/releases`
+   * @see https://docs.github.com/rest/releases/releases#create-a-release
+   */
+  createRelease(owner: string, repo: string, releaseData: ReposCreateReleaseRequest): Promise<ReposCreateReleaseResponse>;
+  /**
+   * Compare two tags
+   *
+   * `GET /repos/{owner}/{repo}/compare/{basehead}`
+   * @see https://docs.github.com/rest/commits/commits#compare-two-commits
+   */
+  compare(owner: string, repo: string, base: string, head: string): Promise<ReposCompareCommitsResponse>;
+  /**
+   * Get tag commit information
+   *
+   * `GET /repos/{owner}/{repo}/git/commits/{commit_sha}`
+   * @see https://docs.github.com/rest/git/commits#get-a-commit-object
+   */
+  getCommit(owner: string, repo: string, tag: any): Promise<GitGetCommitResponse>;
+  /** Get latest tag */
+  getLatest(owner: any, repo: any): Promise<any>;
+  /** Check if tag exists */
+  exists(owner: any, repo: any, tag: any): Promise<any>;
+  /** Get tags with pagination support */
+  getAllTags(owner: any, repo: any): Promise<any>;
+  /** Create semantic version tag */
+  createSemanticTag(owner: any, repo: any, version: any, sha: any, options?: any): Promise<any>;
+  /** Get next semantic version */
+  getNextSemanticVersion(increment?: any): any;
+  /** Sort tags by semantic version */
+  sortTagsBySemanticVersion(descending?: any): any;
+}
+
+/** `client.webhooks`: the functions of src/api/webhooks.mjs bound to the client */
+export interface WebhooksAPI {
+  /**
+   * `GET /repos/{owner}/{repo}/hooks`
+   * @see https://docs.github.com/rest/repos/webhooks#list-repository-webhooks
+   */
+  list(owner: string, repo: string, options?: ReposListWebhooksParams): Promise<ReposListWebhooksResponse>;
+  /**
+   * `GET /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#get-a-repository-webhook
+   */
+  get(owner: string, repo: string, hookId: number): Promise<ReposGetWebhookResponse>;
+  /**
+   * `POST /repos/{owner}/{repo}/hooks`
+   * @see https://docs.github.com/rest/repos/webhooks#create-a-repository-webhook
+   */
+  create(owner: string, repo: string, webhookData: ReposCreateWebhookRequest): Promise<ReposCreateWebhookResponse>;
+  /**
+   * `PATCH /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#update-a-repository-webhook
+   */
+  update(owner: string, repo: string, hookId: number, updates: ReposUpdateWebhookRequest): Promise<ReposUpdateWebhookResponse>;
+  /**
+   * `DELETE /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#delete-a-repository-webhook
+   */
+  deleteHook(owner: string, repo: string, hookId: number): Promise<any>;
+  /**
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/tests`
+   * @see https://docs.github.com/rest/repos/webhooks#test-the-push-repository-webhook
+   */
+  test(owner: string, repo: string, hookId: number): Promise<void>;
+  /**
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/pings`
+   * @see https://docs.github.com/rest/repos/webhooks#ping-a-repository-webhook
+   */
+  ping(owner: string, repo: string, hookId: number): Promise<void>;
+  /**
+   * List one page of a hook's deliveries, newest first. Deliveries page by
+   * cursor rather than page number; pass `nextCursor` back to get the next page.
+   */
+  listDeliveries(owner: string, repo: string, hookId: number, options?: { status?: string; cursor?: string; per_page?: number; [key: string]: any }): Promise<{ deliveries: Record<string, any>[]; nextCursor: string | null }>;
+  /** List deliveries across pages, newest first, stopping at `since` or `limit` */
+  listAllDeliveries(owner: string, repo: string, hookId: number, options?: { status?: string; since?: Date | string | number; limit?: number; [key: string]: any }): Promise<Record<string, any>[]>;
+  /**
+   * Get a delivery with its request and response headers and payloads
+   *
+   * `GET /repos/{owner}/{repo}/hooks/{hook_id}/deliveries/{delivery_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#get-a-delivery-for-a-repository-webhook
+   */
+  getDelivery(owner: string, repo: string, hookId: number, deliveryId: number): Promise<ReposGetWebhookDeliveryResponse>;
+  /**
+   * Ask GitHub to send a delivery again
+   *
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/deliveries/{delivery_id}/attempts`
+   * @see https://docs.github.com/rest/repos/webhooks#redeliver-a-delivery-for-a-repository-webhook
+   */
+  redeliver(owner: string, repo: string, hookId: number, deliveryId: number): Promise<any>;
+  /**
+   * Redeliver every event whose latest delivery since `since` failed.
+   *
+   * Redeliveries share their event's `guid`, so an event that failed and was
+   * then redelivered successfully is left alone, and an event that failed
+   * several times is sent once.
+   */
+  redeliverFailed(owner: string, repo: string, hookId: number, options?: { since: Date | string | number; [key: string]: any }): Promise<{ redelivered: Record<string, any>[]; failed: Record<string, any>[] }>;
+}
+
+/** `client.security`: the functions of src/api/security.mjs bound to the client */
+export interface SecurityAPI {
+  getSecurityAnalysis(owner: any, repo: any): Promise<any>;
+  updateSecurityAnalysis(owner: any, repo: any, settings: any): Promise<any>;
+  /**
+   * `GET /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#check-if-vulnerability-alerts-are-enabled-for-a-repository
+   */
+  getVulnerabilityAlerts(owner: string, repo: string): Promise<any>;
+  /**
+   * `PUT /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#enable-vulnerability-alerts
+   */
+  enableVulnerabilityAlerts(owner: string, repo: string): Promise<void>;
+  /**
+   * `DELETE /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#disable-vulnerability-alerts
+   */
+  disableVulnerabilityAlerts(owner: string, repo: string): Promise<any>;
+}
+
+/** `client.rules`: the functions of src/api/rules.mjs bound to the client */
+export interface RulesAPI {
+  /**
+   * `GET /repos/{owner}/{repo}/rulesets`
+   * @see https://docs.github.com/rest/repos/rules#get-all-repository-rulesets
+   */
+  listRulesets(owner: string, repo: string, options?: ReposGetRepoRulesetsParams): Promise<ReposGetRepoRulesetsResponse>;
+  /**
+   * `GET /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#get-a-repository-ruleset
+   */
+  getRuleset(owner: string, repo: string, rulesetId: number): Promise<ReposGetRepoRulesetResponse>;
+  /**
+   * `POST /repos/{owner}/{repo}/rulesets`
+   * @see https://docs.github.com/rest/repos/rules#create-a-repository-ruleset
+   */
+  createRuleset(owner: string, repo: string, rulesetData: ReposCreateRepoRulesetRequest): Promise<ReposCreateRepoRulesetResponse>;
+  /**
+   * `PUT /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#update-a-repository-ruleset
+   */
+  updateRuleset(owner: string, repo: string, rulesetId: number, updates: ReposUpdateRepoRulesetRequest): Promise<ReposUpdateRepoRulesetResponse>;
+  /**
+   * `DELETE /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#delete-a-repository-ruleset
+   */
+  deleteRuleset(owner: string, repo: string, rulesetId: number): Promise<any>;
+}
+
+export namespace repositories {
+  /**
+   * Get a repository
+   *
+   * `GET /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#get-a-repository
+   */
+  export function get(httpClient: any, owner: string, repo: string): Promise<ReposGetResponse>;
+
+  /**
+   * List repositories for a user
+   *
+   * `GET /users/{username}/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-repositories-for-a-user
+   */
+  export function listForUser(httpClient: any, username: string, options?: ReposListForUserParams): Promise<ReposListForUserResponse>;
+
+  /**
+   * List repositories for the authenticated user
+   *
+   * `GET /user/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-repositories-for-the-authenticated-user
+   */
+  export function listForAuthenticatedUser(httpClient: any, options?: ReposListForAuthenticatedUserParams): Promise<ReposListForAuthenticatedUserResponse>;
+
+  /**
+   * List organization repositories
+   *
+   * `GET /orgs/{org}/repos`
+   * @see https://docs.github.com/rest/repos/repos#list-organization-repositories
+   */
+  export function listForOrg(httpClient: any, org: string, options?: ReposListForOrgParams): Promise<ReposListForOrgResponse>;
+
+  /**
+   * Create a repository for the authenticated user
+   *
+   * `POST /user/repos`
+   * @see https://docs.github.com/rest/repos/repos#create-a-repository-for-the-authenticated-user
+   */
+  export function create(httpClient: any, repoData: ReposCreateForAuthenticatedUserRequest): Promise<ReposCreateForAuthenticatedUserResponse>;
+
+  /**
+   * Create a repository in an organization
+   *
+   * `POST /orgs/{org}/repos`
+   * @see https://docs.github.com/rest/repos/repos#create-an-organization-repository
+   */
+  export function createInOrg(httpClient: any, org: string, repoData: ReposCreateInOrgRequest): Promise<ReposCreateInOrgResponse>;
+
+  /**
+   * Update a repository
+   *
+   * `PATCH /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#update-a-repository
+   */
+  export function update(httpClient: any, owner: string, repo: string, updates: ReposUpdateRequest): Promise<ReposUpdateResponse>;
+
+  /**
+   * Delete a repository
+   *
+   * `DELETE /repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/repos/repos#delete-a-repository
+   */
+  export function deleteRepo(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * Get repository topics
+   *
+   * `GET /repos/{owner}/{repo}/topics`
+   * @see https://docs.github.com/rest/repos/repos#get-all-repository-topics
+   */
+  export function getAllTopics(httpClient: any, owner: string, repo: string): Promise<ReposGetAllTopicsResponse>;
+
+  /**
+   * Replace all repository topics
+   *
+   * `PUT /repos/{owner}/{repo}/topics`
+   * @see https://docs.github.com/rest/repos/repos#replace-all-repository-topics
+   */
+  export function replaceAllTopics(httpClient: any, owner: string, repo: string, topics: ReposReplaceAllTopicsRequest["names"]): Promise<ReposReplaceAllTopicsResponse>;
+
+  /**
+   * Get repository languages
+   *
+   * `GET /repos/{owner}/{repo}/languages`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-languages
+   */
+  export function getLanguages(httpClient: any, owner: string, repo: string): Promise<ReposListLanguagesResponse>;
+
+  /**
+   * Get repository contributors
+   *
+   * `GET /repos/{owner}/{repo}/contributors`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-contributors
+   */
+  export function getContributors(httpClient: any, owner: string, repo: string, options?: ReposListContributorsParams): Promise<ReposListContributorsResponse>;
+
+  /** Get repository statistics */
+  export function getStats(httpClient: any, owner: any, repo: any): Promise<any>;
+
+  /**
+   * Fork a repository
+   *
+   * `POST /repos/{owner}/{repo}/forks`
+   * @see https://docs.github.com/rest/repos/forks#create-a-fork
+   */
+  export function fork(httpClient: any, owner: string, repo: string, options?: any): Promise<ReposCreateForkResponse>;
+
+  /**
+   * List forks of a repository
+   *
+   * `GET /repos/{owner}/{repo}/forks`
+   * @see https://docs.github.com/rest/repos/forks#list-forks
+   */
+  export function listForks(httpClient: any, owner: string, repo: string, options?: ReposListForksParams): Promise<ReposListForksResponse>;
+
+  /**
+   * Transfer repository ownership
+   *
+   * `POST /repos/{owner}/{repo}/transfer`
+   * @see https://docs.github.com/rest/repos/repos#transfer-a-repository
+   */
+  export function transfer(httpClient: any, owner: string, repo: string, newOwner: ReposTransferRequest["new_owner"], teamIds?: ReposTransferRequest["team_ids"]): Promise<ReposTransferResponse>;
+
+  /**
+   * Check if repository is starred by authenticated user
+   *
+   * `GET /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#check-if-a-repository-is-starred-by-the-authenticated-user
+   */
+  export function checkIfStarred(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * Star a repository
+   *
+   * `PUT /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#star-a-repository-for-the-authenticated-user
+   */
+  export function star(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * Unstar a repository
+   *
+   * `DELETE /user/starred/{owner}/{repo}`
+   * @see https://docs.github.com/rest/activity/starring#unstar-a-repository-for-the-authenticated-user
+   */
+  export function unstar(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * Check if repository is watched by authenticated user
+   *
+   * `GET /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#get-a-repository-subscription
+   */
+  export function checkIfWatched(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * Watch a repository
+   *
+   * `PUT /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#set-a-repository-subscription
+   */
+  export function watch(httpClient: any, owner: string, repo: string, subscribed?: ActivitySetRepoSubscriptionRequest["subscribed"], ignored?: ActivitySetRepoSubscriptionRequest["ignored"]): Promise<ActivitySetRepoSubscriptionResponse>;
+
+  /**
+   * Unwatch a repository
+   *
+   * `DELETE /repos/{owner}/{repo}/subscription`
+   * @see https://docs.github.com/rest/activity/watching#delete-a-repository-subscription
+   */
+  export function unwatch(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /** Generate repository name suggestions */
+  export function generateNameSuggestions(baseName: any): any;
+}
+
+export namespace collaborators {
+  /**
+   * List repository collaborators
+   *
+   * `GET /repos/{owner}/{repo}/collaborators`
+   * @see https://docs.github.com/rest/collaborators/collaborators#list-repository-collaborators
+   */
+  export function list(httpClient: any, owner: string, repo: string, options?: ReposListCollaboratorsParams): Promise<ReposListCollaboratorsResponse>;
+
+  /**
+   * Check if user is a collaborator
+   *
+   * `GET /repos/{owner}/{repo}/collaborators/{username}/permission`
+   * @see https://docs.github.com/rest/collaborators/collaborators#get-repository-permissions-for-a-user
+   */
+  export function checkPermissions(httpClient: any, owner: string, repo: string, username: string): Promise<ReposGetCollaboratorPermissionLevelResponse>;
+
+  /**
+   * Add repository collaborator
+   *
+   * `PUT /repos/{owner}/{repo}/collaborators/{username}`
+   * @see https://docs.github.com/rest/collaborators/collaborators#add-a-repository-collaborator
+   */
+  export function add(httpClient: any, owner: string, repo: string, username: string, options?: any): Promise<ReposAddCollaboratorResponse>;
+
+  /**
+   * Remove repository collaborator
+   *
+   * `DELETE /repos/{owner}/{repo}/collaborators/{username}`
+   * @see https://docs.github.com/rest/collaborators/collaborators#remove-a-repository-collaborator
+   */
+  export function remove(httpClient: any, owner: string, repo: string, username: string): Promise<any>;
+
+  /**
+   * List repository invitations
+   *
+   * `GET /repos/{owner}/{repo}/invitations`
+   * @see https://docs.github.com/rest/collaborators/invitations#list-repository-invitations
+   */
+  export function listInvitations(httpClient: any, owner: string, repo: string, options?: ReposListInvitationsParams): Promise<ReposListInvitationsResponse>;
+
+  /**
+   * Update repository invitation
+   *
+   * `PATCH /repos/{owner}/{repo}/invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#update-a-repository-invitation
+   */
+  export function updateInvitation(httpClient: any, owner: string, repo: string, invitationId: number, permission: ReposUpdateInvitationRequest["permissions"]): Promise<ReposUpdateInvitationResponse>;
+
+  /**
+   * Delete repository invitation
+   *
+   * `DELETE /repos/{owner}/{repo}/invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#delete-a-repository-invitation
+   */
+  export function deleteInvitation(httpClient: any, owner: string, repo: string, invitationId: number): Promise<any>;
+
+  /**
+   * List user's repository invitations
+   *
+   * `GET /user/repository_invitations`
+   * @see https://docs.github.com/rest/collaborators/invitations#list-repository-invitations-for-the-authenticated-user
+   */
+  export function listUserInvitations(httpClient: any, options?: ReposListInvitationsForAuthenticatedUserParams): Promise<ReposListInvitationsForAuthenticatedUserResponse>;
+
+  /**
+   * Accept repository invitation
+   *
+   * `PATCH /user/repository_invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#accept-a-repository-invitation
+   */
+  export function acceptInvitation(httpClient: any, invitationId: number): Promise<void>;
+
+  /**
+   * Decline repository invitation
+   *
+   * `DELETE /user/repository_invitations/{invitation_id}`
+   * @see https://docs.github.com/rest/collaborators/invitations#decline-a-repository-invitation
+   */
+  export function declineInvitation(httpClient: any, invitationId: number): Promise<any>;
+
+  /** Get permission level for user */
+  export function getPermissionLevel(httpClient: any, owner: any, repo: any, username: any): Promise<any>;
+
+  /** Check if user has specific permission */
+  export function hasPermission(httpClient: any, owner: any, repo: any, username: any, requiredPermission: any): Promise<any>;
+
+  /** Bulk add collaborators */
+  export function bulkAdd(httpClient: any, owner: any, repo: any, collaborators: any): Promise<any>;
+
+  /** Get collaborator statistics */
+  export function getStats(httpClient: any, owner: any, repo: any): Promise<any>;
+
+  /** Create collaborator permission template */
+  export function createPermissionTemplate(level: any): any;
+}
+
+export namespace branches {
+  /**
+   * List repository branches
+   *
+   * `GET /repos/{owner}/{repo}/branches`
+   * @see https://docs.github.com/rest/branches/branches#list-branches
+   */
+  export function list(httpClient: any, owner: string, repo: string, options?: ReposListBranchesParams): Promise<ReposListBranchesResponse>;
+
+  /**
+   * Get a specific branch
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}`
+   * @see https://docs.github.com/rest/branches/branches#get-a-branch
+   */
+  export function get(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetBranchResponse>;
+
+  /**
+   * Get branch protection
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-branch-protection
+   */
+  export function getProtection(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetBranchProtectionResponse>;
+
+  /**
+   * Update branch protection
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-branch-protection
+   */
+  export function updateProtection(httpClient: any, owner: string, repo: string, branch: string, protection: ReposUpdateBranchProtectionRequest): Promise<ReposUpdateBranchProtectionResponse>;
+
+  /**
+   * Remove branch protection
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-branch-protection
+   */
+  export function removeProtection(httpClient: any, owner: string, repo: string, branch: string): Promise<any>;
+
+  /**
+   * Get required status checks
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-status-checks-protection
+   */
+  export function getRequiredStatusChecks(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetStatusChecksProtectionResponse>;
+
+  /**
+   * Update required status checks
+   *
+   * `PATCH /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-status-check-protection
+   */
+  export function updateRequiredStatusChecks(httpClient: any, owner: string, repo: string, branch: string, options: ReposUpdateStatusCheckProtectionRequest): Promise<ReposUpdateStatusCheckProtectionResponse>;
+
+  /**
+   * Remove required status checks
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-status-check-protection
+   */
+  export function removeRequiredStatusChecks(httpClient: any, owner: string, repo: string, branch: string): Promise<any>;
+
+  /**
+   * Get required status check contexts
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-all-status-check-contexts
+   */
+  export function getRequiredStatusCheckContexts(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetAllStatusCheckContextsResponse>;
+
+  /**
+   * Add required status check contexts
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-status-check-contexts
+   */
+  export function addRequiredStatusCheckContexts(httpClient: any, owner: string, repo: string, branch: string, contexts: ReposAddStatusCheckContextsRequest): Promise<ReposAddStatusCheckContextsResponse>;
+
+  /**
+   * Set required status check contexts
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-status-check-contexts
+   */
+  export function setRequiredStatusCheckContexts(httpClient: any, owner: string, repo: string, branch: string, contexts: ReposSetStatusCheckContextsRequest): Promise<ReposSetStatusCheckContextsResponse>;
+
+  /**
+   * Remove required status check contexts
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_status_checks/contexts`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-status-check-contexts
+   */
+  export function removeRequiredStatusCheckContexts(httpClient: any, owner: string, repo: string, branch: string, contexts: any): Promise<ReposRemoveStatusCheckContextsResponse>;
+
+  /**
+   * Get pull request review protection
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-pull-request-review-protection
+   */
+  export function getPullRequestReviewProtection(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetPullRequestReviewProtectionResponse>;
+
+  /**
+   * Update pull request review protection
+   *
+   * `PATCH /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#update-pull-request-review-protection
+   */
+  export function updatePullRequestReviewProtection(httpClient: any, owner: string, repo: string, branch: string, options: ReposUpdatePullRequestReviewProtectionRequest): Promise<ReposUpdatePullRequestReviewProtectionResponse>;
+
+  /**
+   * Remove pull request review protection
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/required_pull_request_reviews`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-pull-request-review-protection
+   */
+  export function removePullRequestReviewProtection(httpClient: any, owner: string, repo: string, branch: string): Promise<any>;
+
+  /**
+   * Get admin enforcement
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-admin-branch-protection
+   */
+  export function getAdminEnforcement(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetAdminBranchProtectionResponse>;
+
+  /**
+   * Add admin enforcement
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-admin-branch-protection
+   */
+  export function addAdminEnforcement(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposSetAdminBranchProtectionResponse>;
+
+  /**
+   * Remove admin enforcement
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/enforce_admins`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-admin-branch-protection
+   */
+  export function removeAdminEnforcement(httpClient: any, owner: string, repo: string, branch: string): Promise<any>;
+
+  /**
+   * Get restrictions (who can push to branch)
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-access-restrictions
+   */
+  export function getRestrictions(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetAccessRestrictionsResponse>;
+
+  /**
+   * Remove restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions`
+   * @see https://docs.github.com/rest/branches/branch-protection#delete-access-restrictions
+   */
+  export function removeRestrictions(httpClient: any, owner: string, repo: string, branch: string): Promise<any>;
+
+  /**
+   * Get user restrictions
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-users-with-access-to-the-protected-branch
+   */
+  export function getUserRestrictions(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetUsersWithAccessToProtectedBranchResponse>;
+
+  /**
+   * Add user restrictions
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-user-access-restrictions
+   */
+  export function addUserRestrictions(httpClient: any, owner: string, repo: string, branch: string, users: ReposAddUserAccessRestrictionsRequest): Promise<ReposAddUserAccessRestrictionsResponse>;
+
+  /**
+   * Set user restrictions
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-user-access-restrictions
+   */
+  export function setUserRestrictions(httpClient: any, owner: string, repo: string, branch: string, users: ReposSetUserAccessRestrictionsRequest): Promise<ReposSetUserAccessRestrictionsResponse>;
+
+  /**
+   * Remove user restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/users`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-user-access-restrictions
+   */
+  export function removeUserRestrictions(httpClient: any, owner: string, repo: string, branch: string, users: any): Promise<ReposRemoveUserAccessRestrictionsResponse>;
+
+  /**
+   * Get team restrictions
+   *
+   * `GET /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#get-teams-with-access-to-the-protected-branch
+   */
+  export function getTeamRestrictions(httpClient: any, owner: string, repo: string, branch: string): Promise<ReposGetTeamsWithAccessToProtectedBranchResponse>;
+
+  /**
+   * Add team restrictions
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#add-team-access-restrictions
+   */
+  export function addTeamRestrictions(httpClient: any, owner: string, repo: string, branch: string, teams: ReposAddTeamAccessRestrictionsRequest): Promise<ReposAddTeamAccessRestrictionsResponse>;
+
+  /**
+   * Set team restrictions
+   *
+   * `PUT /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#set-team-access-restrictions
+   */
+  export function setTeamRestrictions(httpClient: any, owner: string, repo: string, branch: string, teams: ReposSetTeamAccessRestrictionsRequest): Promise<ReposSetTeamAccessRestrictionsResponse>;
+
+  /**
+   * Remove team restrictions
+   *
+   * `DELETE /repos/{owner}/{repo}/branches/{branch}/protection/restrictions/teams`
+   * @see https://docs.github.com/rest/branches/branch-protection#remove-team-access-restrictions
+   */
+  export function removeTeamRestrictions(httpClient: any, owner: string, repo: string, branch: string, teams: any): Promise<ReposRemoveTeamAccessRestrictionsResponse>;
+
+  /**
+   * Rename a branch
+   *
+   * `POST /repos/{owner}/{repo}/branches/{branch}/rename`
+   * @see https://docs.github.com/rest/branches/branches#rename-a-branch
+   */
+  export function rename(httpClient: any, owner: string, repo: string, branch: string, newName: ReposRenameBranchRequest["new_name"]): Promise<ReposRenameBranchResponse>;
+
+  /**
+   * Merge a branch
+   *
+   * `POST /repos/{owner}/{repo}/merges`
+   * @see https://docs.github.com/rest/branches/branches#merge-a-branch
+   */
+  export function merge(httpClient: any, owner: string, repo: string, options: ReposMergeRequest): Promise<ReposMergeResponse>;
+
+  /**
+   * Compare two commits/branches
+   *
+   * `GET /repos/{owner}/{repo}/compare/{basehead}`
+   * @see https://docs.github.com/rest/commits/commits#compare-two-commits
+   */
+  export function compare(httpClient: any, owner: string, repo: string, base: string, head: string): Promise<ReposCompareCommitsResponse>;
+
+  /** Create a branch protection rule template */
+  export function createProtectionTemplate(options?: any): any;
+}
+
+export namespace tags {
+  /**
+   * List repository tags
+   *
+   * `GET /repos/{owner}/{repo}/tags`
+   * @see https://docs.github.com/rest/repos/repos#list-repository-tags
+   */
+  export function list(httpClient: any, owner: string, repo: string, options?: ReposListTagsParams): Promise<ReposListTagsResponse>;
+
+  /** Get a specific tag */
+  export function get(httpClient: any, owner: any, repo: any, tag: any): Promise<any>;
+
+  /**
+   * Create a tag
+   *
+   * `POST /repos/{owner}/{repo}/git/tags`
+   * @see https://docs.github.com/rest/git/tags#create-a-tag-object
+   */
+  export function create(httpClient: any, owner: string, repo: string, tagData: GitCreateTagRequest): Promise<GitCreateTagResponse>;
+
+  /**
+   * Create a lightweight tag (reference)
+   *
+   * `POST /repos/{owner}/{repo}/git/refs`
+   * @see https://docs.github.com/rest/git/refs#create-a-reference
+   */
+  export function createRef(httpClient: any, owner: string, repo: string, tag: any, sha: GitCreateRefRequest["sha"]): Promise<GitCreateRefResponse>;
+
+  /**
+   * Delete a tag
+   *
+   * `DELETE /repos/{owner}/{repo}/git/refs/{ref}`
+   * @see https://docs.github.com/rest/git/refs#delete-a-reference
+   */
+  export function deleteTag(httpClient: any, owner: string, repo: string, tag: any): Promise<any>;
+
+  /**
+   * Get tag protection rules
+   *
+   * `GET /repos/{owner}/{repo}/tags/protection`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---list-tag-protection-states-for-a-repository
+   * @deprecated
+   */
+  export function getProtection(httpClient: any, owner: string, repo: string): Promise<ReposListTagProtectionResponse>;
+
+  /**
+   * Create tag protection rule
+   *
+   * `POST /repos/{owner}/{repo}/tags/protection`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---create-a-tag-protection-state-for-a-repository
+   * @deprecated
+   */
+  export function createProtection(httpClient: any, owner: string, repo: string, pattern: ReposCreateTagProtectionRequest["pattern"]): Promise<ReposCreateTagProtectionResponse>;
+
+  /**
+   * Delete tag protection rule
+   *
+   * `DELETE /repos/{owner}/{repo}/tags/protection/{tag_protection_id}`
+   * @see https://docs.github.com/rest/repos/tags#closing-down---delete-a-tag-protection-state-for-a-repository
+   * @deprecated
+   */
+  export function deleteProtection(httpClient: any, owner: string, repo: string, tagProtectionId: number): Promise<any>;
+
+  /**
+   * List releases (which are typically associated with tags)
+   *
+   * `GET /repos/{owner}/{repo}/releases`
+   * @see https://docs.github.com/rest/releases/releases#list-releases
+   */
+  export function listReleases(httpClient: any, owner: string, repo: string, options?: ReposListReleasesParams): Promise<ReposListReleasesResponse>;
+
+  /**
+   * Get a release by tag
+   *
+   * `GET /repos/{owner}/{repo}/releases/tags/{tag}`
+   * @see https://docs.github.com/rest/releases/releases#get-a-release-by-tag-name
+   */
+  export function getReleaseByTag(httpClient: any, owner: string, repo: string, tag: string): Promise<ReposGetReleaseByTagResponse>;
+
+  /**
+   * Create a release from a tag
+   *
+   * `POST /repos/{owner}/{repo}/releases`
+   * @see https://docs.github.com/rest/releases/releases#create-a-release
+   */
+  export function createRelease(httpClient: any, owner: string, repo: string, releaseData: ReposCreateReleaseRequest): Promise<ReposCreateReleaseResponse>;
+
+  /**
+   * Compare two tags
+   *
+   * `GET /repos/{owner}/{repo}/compare/{basehead}`
+   * @see https://docs.github.com/rest/commits/commits#compare-two-commits
+   */
+  export function compare(httpClient: any, owner: string, repo: string, base: string, head: string): Promise<ReposCompareCommitsResponse>;
+
+  /**
+   * Get tag commit information
+   *
+   * `GET /repos/{owner}/{repo}/git/commits/{commit_sha}`
+   * @see https://docs.github.com/rest/git/commits#get-a-commit-object
+   */
+  export function getCommit(httpClient: any, owner: string, repo: string, tag: any): Promise<GitGetCommitResponse>;
+
+  /** Get latest tag */
+  export function getLatest(httpClient: any, owner: any, repo: any): Promise<any>;
+
+  /** Check if tag exists */
+  export function exists(httpClient: any, owner: any, repo: any, tag: any): Promise<any>;
+
+  /** Get tags with pagination support */
+  export function getAllTags(httpClient: any, owner: any, repo: any): Promise<any>;
+
+  /** Create semantic version tag */
+  export function createSemanticTag(httpClient: any, owner: any, repo: any, version: any, sha: any, options?: any): Promise<any>;
+
+  /** Get next semantic version */
+  export function getNextSemanticVersion(currentVersion: any, increment?: any): any;
+
+  /** Sort tags by semantic version */
+  export function sortTagsBySemanticVersion(tags: any, descending?: any): any;
+}
+
+export namespace webhooks {
+  /**
+   * `GET /repos/{owner}/{repo}/hooks`
+   * @see https://docs.github.com/rest/repos/webhooks#list-repository-webhooks
+   */
+  export function list(httpClient: any, owner: string, repo: string, options?: ReposListWebhooksParams): Promise<ReposListWebhooksResponse>;
+
+  /**
+   * `GET /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#get-a-repository-webhook
+   */
+  export function get(httpClient: any, owner: string, repo: string, hookId: number): Promise<ReposGetWebhookResponse>;
+
+  /**
+   * `POST /repos/{owner}/{repo}/hooks`
+   * @see https://docs.github.com/rest/repos/webhooks#create-a-repository-webhook
+   */
+  export function create(httpClient: any, owner: string, repo: string, webhookData: ReposCreateWebhookRequest): Promise<ReposCreateWebhookResponse>;
+
+  /**
+   * `PATCH /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#update-a-repository-webhook
+   */
+  export function update(httpClient: any, owner: string, repo: string, hookId: number, updates: ReposUpdateWebhookRequest): Promise<ReposUpdateWebhookResponse>;
+
+  /**
+   * `DELETE /repos/{owner}/{repo}/hooks/{hook_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#delete-a-repository-webhook
+   */
+  export function deleteHook(httpClient: any, owner: string, repo: string, hookId: number): Promise<any>;
+
+  /**
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/tests`
+   * @see https://docs.github.com/rest/repos/webhooks#test-the-push-repository-webhook
+   */
+  export function test(httpClient: any, owner: string, repo: string, hookId: number): Promise<void>;
+
+  /**
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/pings`
+   * @see https://docs.github.com/rest/repos/webhooks#ping-a-repository-webhook
+   */
+  export function ping(httpClient: any, owner: string, repo: string, hookId: number): Promise<void>;
+
+  /**
+   * List one page of a hook's deliveries, newest first. Deliveries page by
+   * cursor rather than page number; pass `nextCursor` back to get the next page.
+   */
+  export function listDeliveries(httpClient: Record<string, any>, owner: string, repo: string, hookId: number, options?: { status?: string; cursor?: string; per_page?: number; [key: string]: any }): Promise<{ deliveries: Record<string, any>[]; nextCursor: string | null }>;
+
+  /** List deliveries across pages, newest first, stopping at `since` or `limit` */
+  export function listAllDeliveries(httpClient: Record<string, any>, owner: string, repo: string, hookId: number, options?: { status?: string; since?: Date | string | number; limit?: number; [key: string]: any }): Promise<Record<string, any>[]>;
+
+  /**
+   * Get a delivery with its request and response headers and payloads
+   *
+   * `GET /repos/{owner}/{repo}/hooks/{hook_id}/deliveries/{delivery_id}`
+   * @see https://docs.github.com/rest/repos/webhooks#get-a-delivery-for-a-repository-webhook
+   */
+  export function getDelivery(httpClient: any, owner: string, repo: string, hookId: number, deliveryId: number): Promise<ReposGetWebhookDeliveryResponse>;
+
+  /**
+   * Ask GitHub to send a delivery again
+   *
+   * `POST /repos/{owner}/{repo}/hooks/{hook_id}/deliveries/{delivery_id}/attempts`
+   * @see https://docs.github.com/rest/repos/webhooks#redeliver-a-delivery-for-a-repository-webhook
+   */
+  export function redeliver(httpClient: any, owner: string, repo: string, hookId: number, deliveryId: number): Promise<any>;
+
+  /**
+   * Redeliver every event whose latest delivery since `since` failed.
+   *
+   * Redeliveries share their event's `guid`, so an event that failed and was
+   * then redelivered successfully is left alone, and an event that failed
+   * several times is sent once.
+   */
+  export function redeliverFailed(httpClient: Record<string, any>, owner: string, repo: string, hookId: number, options?: { since: Date | string | number; [key: string]: any }): Promise<{ redelivered: Record<string, any>[]; failed: Record<string, any>[] }>;
+}
+
+export namespace security {
+  export function getSecurityAnalysis(httpClient: any, owner: any, repo: any): Promise<any>;
+
+  export function updateSecurityAnalysis(httpClient: any, owner: any, repo: any, settings: any): Promise<any>;
+
+  /**
+   * `GET /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#check-if-vulnerability-alerts-are-enabled-for-a-repository
+   */
+  export function getVulnerabilityAlerts(httpClient: any, owner: string, repo: string): Promise<any>;
+
+  /**
+   * `PUT /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#enable-vulnerability-alerts
+   */
+  export function enableVulnerabilityAlerts(httpClient: any, owner: string, repo: string): Promise<void>;
+
+  /**
+   * `DELETE /repos/{owner}/{repo}/vulnerability-alerts`
+   * @see https://docs.github.com/rest/repos/repos#disable-vulnerability-alerts
+   */
+  export function disableVulnerabilityAlerts(httpClient: any, owner: string, repo: string): Promise<any>;
+}
+
+export namespace rules {
+  /**
+   * `GET /repos/{owner}/{repo}/rulesets`
+   * @see https://docs.github.com/rest/repos/rules#get-all-repository-rulesets
+   */
+  export function listRulesets(httpClient: any, owner: string, repo: string, options?: ReposGetRepoRulesetsParams): Promise<ReposGetRepoRulesetsResponse>;
+
+  /**
+   * `GET /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#get-a-repository-ruleset
+   */
+  export function getRuleset(httpClient: any, owner: string, repo: string, rulesetId: number): Promise<ReposGetRepoRulesetResponse>;
+
+  /**
+   * `POST /repos/{owner}/{repo}/rulesets`
+   * @see https://docs.github.com/rest/repos/rules#create-a-repository-ruleset
+   */
+  export function createRuleset(httpClient: any, owner: string, repo: string, rulesetData: ReposCreateRepoRulesetRequest): Promise<ReposCreateRepoRulesetResponse>;
+
+  /**
+   * `PUT /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#update-a-repository-ruleset
+   */
+  export function updateRuleset(httpClient: any, owner: string, repo: string, rulesetId: number, updates: ReposUpdateRepoRulesetRequest): Promise<ReposUpdateRepoRulesetResponse>;
+
+  /**
+   * `DELETE /repos/{owner}/{repo}/rulesets/{ruleset_id}`
+   * @see https://docs.github.com/rest/repos/rules#delete-a-repository-ruleset
+   */
+  export function deleteRuleset(httpClient: any, owner: string, repo: string, rulesetId: number): Promise<any>;
+}
+
+/** Create a new GitHub Repository API client */
+export function createClient(options?: { token: string; baseUrl?: string; rateLimiting?: Record<string, any>; timeout?: number; [key: string]: any }): RepoClient;
+
+/** Configuration options */
+export interface RepoClientOptions {
+  /** GitHub personal access token */
+  token?: string;
+  /** GitHub API base URL */
+  baseUrl?: string;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Rate limiting configuration */
+  rateLimiting?: Record<string, any>;
+  /** Authentication configuration */
+  auth?: Record<string, any>;
+  /** Conditional-request (ETag) cache, off by default */
+  cache?: boolean | Record<string, any>;
+  /** Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE) */
+  cassette?: string | Record<string, any>;
+  /** Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE) */
+  validate?: string;
+  /** Print write requests instead of sending them (default: GITHUB_DRY_RUN) */
+  dryRun?: boolean | Record<string, any>;
+  /** Log write requests to the audit log (default: GITHUB_AUDIT_LOG) */
+  audit?: boolean | string | Record<string, any>;
+  /** Request scheduler options, or `false` to opt out (default: shared per credential) */
+  scheduler?: boolean | Record<string, any>;
+  /** Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones */
+  instrumentation?: Record<string, any> | Record<string, any>[];
+  /** Enable verbose logging */
+  verbose?: boolean;
+  [key: string]: any;
+}
+
+/** Main GitHub Repository API Client */
+export class RepoClient {
+  /** Create a new repository client */
+  constructor(options?: RepoClientOptions);
+  auth: any;
+  http: any;
+  repositories: RepositoriesAPI;
+  collaborators: CollaboratorsAPI;
+  branches: BranchesAPI;
+  tags: TagsAPI;
+  webhooks: WebhooksAPI;
+  security: SecurityAPI;
+  rules: RulesAPI;
+  options: RepoClientOptions;
+  /** Set up authentication */
+  setupAuth(options: any): AuthManager;
+  /** Create API module with bound HTTP client */
+  createAPIModule(module: any): any;
+  /** Initialize client and validate authentication */
+  initialize(): Promise<void>;
+  /** Get authenticated user information */
+  getAuthenticatedUser(): Promise<any>;
+  /** Get current rate limit status */
+  getRateLimit(): Promise<any>;
+  /**
+   * Get a client for app-level calls (e.g. `/app/installations`),
+   * authenticated with the GitHub App JWT
+   */
+  asApp(): RepoClient;
+  /**
+   * Get a client that acts as a GitHub App installation. Installation
+   * tokens are shared with this client and refreshed before they expire.
+   */
+  asInstallation(installationId: any): RepoClient;
+  /** Get response cache hit/miss counts (null when caching is disabled) */
+  getCacheStats(): any;
+  /** Drop every cached response */
+  clearCache(): Promise<void>;
+  /** Test API connectivity */
+  ping(): Promise<any>;
+  /** Get client configuration */
+  getConfig(): any;
+  /** Update client configuration */
+  updateConfig(updates: any): void;
+  /** Create a paginated request helper */
+  paginate(method: any, ...args: any[]): any;
+  /** Destroy client and cleanup resources */
+  destroy(): void;
+}
+
+/** Authentication options */
+export interface AuthManagerOptions {
+  /** Personal access or OAuth token */
+  token?: string;
+  /** One of AuthType */
+  authType?: string;
+  /** GitHub App ID */
+  appId?: string | number;
+  /** GitHub App private key (PEM) */
+  privateKey?: string;
+  /** Installation to act as; app-level when omitted */
+  installationId?: string | number;
+  /** API base URL used for the installation token exchange */
+  baseUrl?: string;
+  [key: string]: any;
+}
+
+/** Authentication manager class */
+export class AuthManager {
+  constructor(options?: AuthManagerOptions);
+  token: AuthManagerOptions["token"];
+  authType: NonNullable<AuthManagerOptions["authType"]>;
+  appId: AuthManagerOptions["appId"];
+  privateKey: AuthManagerOptions["privateKey"];
+  installationId: AuthManagerOptions["installationId"];
+  baseUrl: NonNullable<AuthManagerOptions["baseUrl"]>;
+  appState: NonNullable<AuthManagerOptions["appState"]>;
+  /** Validate authentication configuration */
+  validate(): void;
+  /** Get authorization header value */
+  getAuthHeader(): Promise<any>;
+  /**
+   * Generate an RS256-signed JWT for GitHub App authentication.
+   * The JWT is reused until it is within a minute of expiring.
+   */
+  generateJWT(): any;
+  /**
+   * Get an installation access token, exchanging the app JWT when the
+   * cached token is missing or about to expire
+   */
+  getInstallationToken(installationId?: any): Promise<any>;
+  /**
+   * Exchange the app JWT for an installation access token
+   *
+   * `POST /app/installations/{installation_id}/access_tokens`
+   * @see https://docs.github.com/rest/apps/apps#create-an-installation-access-token-for-an-app
+   */
+  createInstallationToken(installationId: number): Promise<any>;
+  /**
+   * Short hash identifying the credential, stable across token refreshes: the
+   * token itself, or the app and installation for GitHub App authentication.
+   * Used to keep cached responses from one credential away from another.
+   */
+  getCredentialScope(): string | null;
+  /** Drop cached JWT and installation tokens */
+  invalidate(): void;
+  /** Create a manager for installation-level calls, sharing the token cache */
+  forInstallation(installationId: any): AuthManager;
+  /** Create a manager for app-level (JWT) calls, sharing the token cache */
+  forApp(): AuthManager;
+  /** Options shared by derived GitHub App managers */
+  toAppOptions(): any;
+  /**
+   * Get user information from token
+   *
+   * `GET /user`
+   * @see https://docs.github.com/rest/users/users#get-the-authenticated-user
+   */
+  getUserInfo(httpClient: any): Promise<UsersGetAuthenticatedResponse>;
+  /** Check if token has specific scopes */
+  checkScopes(httpClient: any, requiredScopes?: any): Promise<any>;
+  /**
+   * Get rate limit information
+   *
+   * `GET /rate_limit`
+   * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+   */
+  getRateLimit(httpClient: any): Promise<RateLimitGetResponse>;
+}
+
+/** Authentication types supported */
+export const AuthType: Record<string, any>;
+
+/** Store options */
+export interface MemoryCacheStoreOptions {
+  /** Maximum number of cached responses */
+  maxEntries?: number;
+  [key: string]: any;
+}
+
+/**
+ * In-memory LRU store
+ *
+ * Entries are kept in insertion order; reading an entry moves it to the end,
+ * and the oldest entry is evicted once `maxEntries` is exceeded.
+ */
+export class MemoryCacheStore {
+  constructor(options?: MemoryCacheStoreOptions);
+  maxEntries: NonNullable<MemoryCacheStoreOptions["maxEntries"]>;
+  entries: Map<any, any>;
+  get(key: any): Promise<any>;
+  set(key: any, entry: any): Promise<void>;
+  delete(key: any): Promise<void>;
+  clear(): Promise<void>;
+  readonly size: any;
+}
+
+/** Store options */
+export interface FileCacheStoreOptions {
+  /** Cache file (default: ~/.github-repos-cache.json) */
+  path?: string;
+  /** Maximum number of cached responses */
+  maxEntries?: number;
+  [key: string]: any;
+}
+
+/**
+ * On-disk JSON store
+ *
+ * All entries live in a single JSON file that is loaded on first use and
+ * rewritten after every change, so cached ETags survive between runs of
+ * scripts and CLI invocations.
+ */
+export class FileCacheStore {
+  constructor(options?: FileCacheStoreOptions);
+  path: NonNullable<FileCacheStoreOptions["path"]>;
+  memory: MemoryCacheStore;
+  loaded: any;
+  writing: any;
+  /** Load entries from disk once */
+  load(): Promise<any>;
+  /** Persist entries to disk, serializing concurrent writes */
+  save(): Promise<any>;
+  get(key: any): Promise<any>;
+  set(key: any, entry: any): Promise<void>;
+  delete(key: any): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface WebhookReceiverOptions {
+  /** Hook secret */
+  secret: string;
+  /** Delivery IDs remembered for duplicate detection */
+  maxDeliveries?: number;
+  /** Largest body the server accepts (bytes) */
+  maxPayloadSize?: number;
+  [key: string]: any;
+}
+
+/**
+ * Receives GitHub webhook deliveries.
+ *
+ * Each delivery's `X-Hub-Signature-256` is verified against the secret,
+ * deliveries already seen are dropped, and the event goes to every handler
+ * registered for its name (`pull_request`), its name and action
+ * (`pull_request.opened`) or `*`.
+ */
+export class WebhookReceiver {
+  constructor(options?: WebhookReceiverOptions);
+  secret: WebhookReceiverOptions["secret"];
+  maxDeliveries: NonNullable<WebhookReceiverOptions["maxDeliveries"]>;
+  maxPayloadSize: NonNullable<WebhookReceiverOptions["maxPayloadSize"]>;
+  handlers: Map<any, any>;
+  deliveries: Set<any>;
+  server: any;
+  /** Register a handler */
+  on(event: string, handler: (...args: any[]) => any): WebhookReceiver;
+  /** Remove a handler */
+  off(event: string, handler: (...args: any[]) => any): WebhookReceiver;
+  /** Verify, parse and dispatch one delivery */
+  receive(request: { headers: Record<string, any>; body: string | Buffer; [key: string]: any }): Promise<{ event: any; duplicate: boolean }>;
+  /** Call every handler registered for an event */
+  dispatch(event: any): Promise<void>;
+  remember(id: any): void;
+  /** Node request listener that feeds deliveries POSTed to `path` to the receiver */
+  middleware(options?: { path?: string; onError?: (...args: any[]) => any; [key: string]: any }): (...args: any[]) => any;
+  /** Start an HTTP server for deliveries */
+  listen(port?: number, options?: { host?: string; path?: string; onError?: (...args: any[]) => any; [key: string]: any }): Promise<any>;
+  /** Stop the server started by {@link WebhookReceiver#listen} */
+  close(): Promise<void>;
+}
+
+/** Default receiver settings */
+export const WEBHOOK_DEFAULTS: Record<string, any>;
+
+/** Signature GitHub sends in `X-Hub-Signature-256` for a payload */
+export function signPayload(payload: string | Buffer, secret: string): string;
+
+/** Check an `X-Hub-Signature-256` header against the payload, in constant time */
+export function verifySignature(payload: string | Buffer, signature: string, secret: string): boolean;
+
+/** Base error class for repository operations */
+export class RepoError extends Error {
+  constructor(message: any, statusCode?: any, response?: any);
+  /** Create error from HTTP response */
+  static fromResponse(response: any, body: any): RepoError;
+}
+
+/** Authentication related errors */
+export class AuthError extends RepoError {
+  constructor(message: any, statusCode?: any, response?: any);
+}
+
+/** Input validation errors */
+export class ValidationError extends RepoError {
+  constructor(message: any, field?: any, value?: any);
+  field: any;
+  value: any;
+}
+
+/** Rate limiting errors */
+export class RateLimitError extends RepoError {
+  constructor(message: any, resetTime?: any, remaining?: any);
+  resetTime: any;
+  remaining: any;
+}
+
+/** Rejected webhook deliveries (bad signature, missing headers, unreadable payload) */
+export class WebhookError extends RepoError {
+  constructor(message: any, statusCode?: any);
+}
+
+/** Get a single page of results */
+export function paginate(httpClient: any, endpoint: any, options?: any): Promise<any>;
+
+/** Paginate through all pages and collect results */
+export function paginateAll(httpClient: any, endpoint: any, options?: any): Promise<any>;
+
+/** Generic input validation */
+export function validateInput(value: any, rules: any): any;
+
+/** Validate repository data for creation/update */
+export function validateRepository(data: any): any;
+
+/** Convenience method to quickly get a repository */
+export function getRepository(owner: string, repo: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to list user repositories */
+export function listRepositories(username?: string, options?: Record<string, any>): Promise<any[]>;
+
+/** Convenience method to create a repository */
+export function createRepository(repoData: Record<string, any>, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Package metadata */
+export const packageInfo: Record<string, any>;
+
+export default RepoClient;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Response body for repos/get */
+export type ReposGetResponse = FullRepository;
+
+/** Query parameters for repos/list-for-user */
+export interface ReposListForUserParams {
+  /** Limit results to repositories of the specified type. */
+  type?: 'all' | 'owner' | 'member';
+  /** The property to sort the results by. */
+  sort?: 'created' | 'updated' | 'pushed' | 'full_name';
+  /** The order to sort by. Default: `asc` when using `full_name`, otherwise `desc`. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-for-user */
+export type ReposListForUserResponse = MinimalRepository[];
+
+/** Query parameters for repos/list-for-authenticated-user */
+export interface ReposListForAuthenticatedUserParams {
+  /** Limit results to repositories with the specified visibility. */
+  visibility?: 'all' | 'public' | 'private';
+  /** Comma-separated list of values. Can include: */
+  affiliation?: string;
+  /** Limit results to repositories of the specified type. Will cause a `422` error if used in the same request as **visibility** or **affiliation**. */
+  type?: 'all' | 'owner' | 'public' | 'private' | 'member';
+  /** The property to sort the results by. */
+  sort?: 'created' | 'updated' | 'pushed' | 'full_name';
+  /** The order to sort by. Default: `asc` when using `full_name`, otherwise `desc`. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** Only show repositories updated after the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  since?: string;
+  /** Only show repositories updated before the given time. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+  before?: string;
+}
+
+/** Response body for repos/list-for-authenticated-user */
+export type ReposListForAuthenticatedUserResponse = Repository[];
+
+/** Query parameters for repos/list-for-org */
+export interface ReposListForOrgParams {
+  /** Specifies the types of repositories you want returned. */
+  type?: 'all' | 'public' | 'private' | 'forks' | 'sources' | 'member';
+  /** The property to sort the results by. */
+  sort?: 'created' | 'updated' | 'pushed' | 'full_name';
+  /** The order to sort by. Default: `asc` when using `full_name`, otherwise `desc`. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-for-org */
+export type ReposListForOrgResponse = MinimalRepository[];
+
+/** Request body for repos/create-for-authenticated-user */
+export interface ReposCreateForAuthenticatedUserRequest {
+  /** The name of the repository. */
+  name: string;
+  /** A short description of the repository. */
+  description?: string;
+  /** A URL with more information about the repository. */
+  homepage?: string;
+  /** Whether the repository is private. */
+  private?: boolean;
+  /** Whether issues are enabled. */
+  has_issues?: boolean;
+  /** Whether projects are enabled. */
+  has_projects?: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki?: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** The id of the team that will be granted access to this repository. This is only valid when creating a repository in an organization. */
+  team_id?: number;
+  /** Whether the repository is initialized with a minimal README. */
+  auto_init?: boolean;
+  /** The desired language or platform to apply to the .gitignore. */
+  gitignore_template?: string;
+  /** The license keyword of the open source license for this repository. */
+  license_template?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Required when using `squash_merge_commit_message`. */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** Required when using `merge_commit_message`. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether downloads are enabled. */
+  has_downloads?: boolean;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+}
+
+/** Response body for repos/create-for-authenticated-user */
+export type ReposCreateForAuthenticatedUserResponse = FullRepository;
+
+/** Request body for repos/create-in-org */
+export interface ReposCreateInOrgRequest {
+  /** The name of the repository. */
+  name: string;
+  /** A short description of the repository. */
+  description?: string;
+  /** A URL with more information about the repository. */
+  homepage?: string;
+  /** Whether the repository is private. */
+  private?: boolean;
+  /** The visibility of the repository. */
+  visibility?: 'public' | 'private';
+  /** Either `true` to enable issues for this repository or `false` to disable them. */
+  has_issues?: boolean;
+  /** Either `true` to enable projects for this repository or `false` to disable them. **Note:** If you're creating a repository in an organization that has disabled repository projects, the default is `false`, and if you pass `true`, the API returns an error. */
+  has_projects?: boolean;
+  /** Either `true` to enable the wiki for this repository or `false` to disable it. */
+  has_wiki?: boolean;
+  /** Whether downloads are enabled. */
+  has_downloads?: boolean;
+  /** Either `true` to make this repo available as a template repository or `false` to prevent it. */
+  is_template?: boolean;
+  /** The id of the team that will be granted access to this repository. This is only valid when creating a repository in an organization. */
+  team_id?: number;
+  /** Pass `true` to create an initial commit with empty README. */
+  auto_init?: boolean;
+  /** Desired language or platform .gitignore template to apply. Use the name of the template without the extension. For example, "Haskell". */
+  gitignore_template?: string;
+  /** Choose an open source license template that best suits your needs, and then use the license keyword as the `license_template` string. For example, "mit" or "mpl-2.0". */
+  license_template?: string;
+  /** Either `true` to allow squash-merging pull requests, or `false` to prevent squash-merging. */
+  allow_squash_merge?: boolean;
+  /** Either `true` to allow merging pull requests with a merge commit, or `false` to prevent merging pull requests with merge commits. */
+  allow_merge_commit?: boolean;
+  /** Either `true` to allow rebase-merging pull requests, or `false` to prevent rebase-merging. */
+  allow_rebase_merge?: boolean;
+  /** Either `true` to allow auto-merge on pull requests, or `false` to disallow auto-merge. */
+  allow_auto_merge?: boolean;
+  /** Either `true` to allow automatically deleting head branches when pull requests are merged, or `false` to prevent automatic deletion. **The authenticated user must be an organization owner to set this property to `true`.** */
+  delete_branch_on_merge?: boolean;
+  /**
+   * Either `true` to allow squash-merge commits to use pull request title, or `false` to use commit message. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** Required when using `squash_merge_commit_message`. */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** Required when using `merge_commit_message`. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** The custom properties for the new repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** Response body for repos/create-in-org */
+export type ReposCreateInOrgResponse = FullRepository;
+
+/** Request body for repos/update */
+export interface ReposUpdateRequest {
+  /** The name of the repository. */
+  name?: string;
+  /** A short description of the repository. */
+  description?: string;
+  /** A URL with more information about the repository. */
+  homepage?: string;
+  /** Either `true` to make the repository private or `false` to make it public. Default: `false`. */
+  private?: boolean;
+  /** The visibility of the repository. */
+  visibility?: 'public' | 'private';
+  /** Specify which security and analysis features to enable or disable for the repository. */
+  security_and_analysis?: {
+    /** Use the `status` property to enable or disable GitHub Advanced Security for this repository. */
+    advanced_security?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+    /** Use the `status` property to enable or disable GitHub Code Security for this repository. */
+    code_security?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+    /** Use the `status` property to enable or disable secret scanning for this repository. For more information, see "About secret scanning." */
+    secret_scanning?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+    /** Use the `status` property to enable or disable secret scanning push protection for this repository. For more information, see "Protecting pushes with secret scanning." */
+    secret_scanning_push_protection?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+    /** Use the `status` property to enable or disable secret scanning AI detection for this repository. For more information, see "Responsible detection of generic secrets with AI." */
+    secret_scanning_ai_detection?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+    /** Use the `status` property to enable or disable secret scanning non-provider patterns for this repository. For more information, see "Supported secret scanning patterns." */
+    secret_scanning_non_provider_patterns?: {
+      /** Can be `enabled` or `disabled`. */
+      status?: string;
+    };
+  } | null;
+  /** Either `true` to enable issues for this repository or `false` to disable them. */
+  has_issues?: boolean;
+  /** Either `true` to enable projects for this repository or `false` to disable them. **Note:** If you're creating a repository in an organization that has disabled repository projects, the default is `false`, and if you pass `true`, the API returns an error. */
+  has_projects?: boolean;
+  /** Either `true` to enable the wiki for this repository or `false` to disable it. */
+  has_wiki?: boolean;
+  /** Either `true` to make this repo available as a template repository or `false` to prevent it. */
+  is_template?: boolean;
+  /** Updates the default branch for this repository. */
+  default_branch?: string;
+  /** Either `true` to allow squash-merging pull requests, or `false` to prevent squash-merging. */
+  allow_squash_merge?: boolean;
+  /** Either `true` to allow merging pull requests with a merge commit, or `false` to prevent merging pull requests with merge commits. */
+  allow_merge_commit?: boolean;
+  /** Either `true` to allow rebase-merging pull requests, or `false` to prevent rebase-merging. */
+  allow_rebase_merge?: boolean;
+  /** Either `true` to allow auto-merge on pull requests, or `false` to disallow auto-merge. */
+  allow_auto_merge?: boolean;
+  /** Either `true` to allow automatically deleting head branches when pull requests are merged, or `false` to prevent automatic deletion. */
+  delete_branch_on_merge?: boolean;
+  /** Either `true` to always allow a pull request head branch that is behind its base branch to be updated even if it is not required to be up to date before merging, or false otherwise. */
+  allow_update_branch?: boolean;
+  /**
+   * Either `true` to allow squash-merge commits to use pull request title, or `false` to use commit message. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** Required when using `squash_merge_commit_message`. */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** Required when using `merge_commit_message`. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to archive this repository. `false` will unarchive a previously archived repository. */
+  archived?: boolean;
+  /** Either `true` to allow private forks, or `false` to prevent private forks. */
+  allow_forking?: boolean;
+  /** Either `true` to require contributors to sign off on web-based commits, or `false` to not require contributors to sign off on web-based commits. */
+  web_commit_signoff_required?: boolean;
+}
+
+/** Response body for repos/update */
+export type ReposUpdateResponse = FullRepository;
+
+/** Query parameters for repos/get-all-topics */
+export interface ReposGetAllTopicsParams {
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+}
+
+/** Response body for repos/get-all-topics */
+export type ReposGetAllTopicsResponse = Topic;
+
+/** Request body for repos/replace-all-topics */
+export interface ReposReplaceAllTopicsRequest {
+  /** An array of topics to add to the repository. Pass one or more topics to _replace_ the set of existing topics. Send an empty array (`[]`) to clear all topics from the repository. **Note:** Topic `names` will be saved as lowercase. */
+  names: string[];
+}
+
+/** Response body for repos/replace-all-topics */
+export type ReposReplaceAllTopicsResponse = Topic;
+
+/** Response body for repos/list-languages */
+export type ReposListLanguagesResponse = Language;
+
+/** Query parameters for repos/list-contributors */
+export interface ReposListContributorsParams {
+  /** Set to `1` or `true` to include anonymous contributors in results. */
+  anon?: string;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-contributors */
+export type ReposListContributorsResponse = Contributor[];
+
+/** Request body for repos/create-fork */
+export type ReposCreateForkRequest = {
+  /** Optional parameter to specify the organization name if forking into an organization. */
+  organization?: string;
+  /** When forking from an existing repository, a new name for the fork. */
+  name?: string;
+  /** When forking from an existing repository, fork with only the default branch. */
+  default_branch_only?: boolean;
+} | null;
+
+/** Response body for repos/create-fork */
+export type ReposCreateForkResponse = FullRepository;
+
+/** Query parameters for repos/list-forks */
+export interface ReposListForksParams {
+  /** The sort order. `stargazers` will sort by star count. */
+  sort?: 'newest' | 'oldest' | 'stargazers' | 'watchers';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-forks */
+export type ReposListForksResponse = MinimalRepository[];
+
+/** Request body for repos/transfer */
+export interface ReposTransferRequest {
+  /** The username or organization name the repository will be transferred to. */
+  new_owner: string;
+  /** The new name to be given to the repository. */
+  new_name?: string;
+  /** ID of the team or teams to add to the repository. Teams can only be added to organization-owned repositories. */
+  team_ids?: number[];
+}
+
+/** Response body for repos/transfer */
+export type ReposTransferResponse = MinimalRepository;
+
+/** Response body for activity/get-repo-subscription */
+export type ActivityGetRepoSubscriptionResponse = RepositorySubscription;
+
+/** Request body for activity/set-repo-subscription */
+export interface ActivitySetRepoSubscriptionRequest {
+  /** Determines if notifications should be received from this repository. */
+  subscribed?: boolean;
+  /** Determines if all notifications should be blocked from this repository. */
+  ignored?: boolean;
+}
+
+/** Response body for activity/set-repo-subscription */
+export type ActivitySetRepoSubscriptionResponse = RepositorySubscription;
+
+/** Query parameters for repos/list-collaborators */
+export interface ReposListCollaboratorsParams {
+  /** Filter collaborators returned by their affiliation. `outside` means all outside collaborators of an organization-owned repository. `direct` means all collaborators with permissions to an organization-owned repository, regardless of organization membership status. `all` means all collaborators the authenticated user can see. */
+  affiliation?: 'outside' | 'direct' | 'all';
+  /** Filter collaborators by the permissions they have on the repository. If not specified, all collaborators will be returned. */
+  permission?: 'pull' | 'triage' | 'push' | 'maintain' | 'admin';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-collaborators */
+export type ReposListCollaboratorsResponse = Collaborator[];
+
+/** Response body for repos/get-collaborator-permission-level */
+export type ReposGetCollaboratorPermissionLevelResponse = RepositoryCollaboratorPermission;
+
+/** Request body for repos/add-collaborator */
+export interface ReposAddCollaboratorRequest {
+  /** The permission to grant the collaborator. **Only valid on organization-owned repositories.** We accept the following permissions to be set: `pull`, `triage`, `push`, `maintain`, `admin` and you can also specify a custom repository role name, if the owning organization has defined any. */
+  permission?: string;
+}
+
+/** Response body for repos/add-collaborator */
+export type ReposAddCollaboratorResponse = RepositoryInvitation;
+
+/** Query parameters for repos/list-invitations */
+export interface ReposListInvitationsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-invitations */
+export type ReposListInvitationsResponse = RepositoryInvitation[];
+
+/** Request body for repos/update-invitation */
+export interface ReposUpdateInvitationRequest {
+  /** The permissions that the associated user will have on the repository. Valid values are `read`, `write`, `maintain`, `triage`, and `admin`. */
+  permissions?: 'read' | 'write' | 'maintain' | 'triage' | 'admin';
+}
+
+/** Response body for repos/update-invitation */
+export type ReposUpdateInvitationResponse = RepositoryInvitation;
+
+/** Query parameters for repos/list-invitations-for-authenticated-user */
+export interface ReposListInvitationsForAuthenticatedUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-invitations-for-authenticated-user */
+export type ReposListInvitationsForAuthenticatedUserResponse = RepositoryInvitation[];
+
+/** Query parameters for repos/list-branches */
+export interface ReposListBranchesParams {
+  /** Setting to `true` returns only branches protected by branch protections or rulesets. When set to `false`, only unprotected branches are returned. Omitting this parameter returns all branches. */
+  protected?: boolean;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-branches */
+export type ReposListBranchesResponse = ShortBranch[];
+
+/** Response body for repos/get-branch */
+export type ReposGetBranchResponse = BranchWithProtection;
+
+/** Response body for repos/get-branch-protection */
+export type ReposGetBranchProtectionResponse = BranchProtection;
+
+/** Request body for repos/update-branch-protection */
+export interface ReposUpdateBranchProtectionRequest {
+  /** Require status checks to pass before merging. Set to `null` to disable. */
+  required_status_checks: {
+    /** Require branches to be up to date before merging. */
+    strict: boolean;
+    /**
+     * **Closing down notice**: The list of status checks to require in order to merge into this branch. If any of these checks have recently been set by a particular GitHub App, they will be required to come from that app in future for the branch to merge. Use `checks` instead of `contexts` for more fine-grained control.
+     * @deprecated
+     */
+    contexts: string[];
+    /** The list of status checks to require in order to merge into this branch. */
+    checks?: {
+      /** The name of the required check */
+      context: string;
+      /** The ID of the GitHub App that must provide this check. Omit this field to automatically select the GitHub App that has recently provided this check, or any app if it was not set by a GitHub App. Pass -1 to explicitly allow any app to set the status. */
+      app_id?: number;
+    }[];
+  } | null;
+  /** Enforce all configured restrictions for administrators. Set to `true` to enforce required status checks for repository administrators. Set to `null` to disable. */
+  enforce_admins: boolean | null;
+  /** Require at least one approving review on a pull request, before merging. Set to `null` to disable. */
+  required_pull_request_reviews: {
+    /** Specify which users, teams, and apps can dismiss pull request reviews. Pass an empty `dismissal_restrictions` object to disable. User and team `dismissal_restrictions` are only available for organization-owned repositories. Omit this parameter for personal repositories. */
+    dismissal_restrictions?: {
+      /** The list of user `login`s with dismissal access */
+      users?: string[];
+      /** The list of team `slug`s with dismissal access */
+      teams?: string[];
+      /** The list of app `slug`s with dismissal access */
+      apps?: string[];
+    };
+    /** Set to `true` if you want to automatically dismiss approving reviews when someone pushes a new commit. */
+    dismiss_stale_reviews?: boolean;
+    /** Blocks merging pull requests until code owners review them. */
+    require_code_owner_reviews?: boolean;
+    /** Specify the number of reviewers required to approve pull requests. Use a number between 1 and 6 or 0 to not require reviewers. */
+    required_approving_review_count?: number;
+    /** Whether the most recent push must be approved by someone other than the person who pushed it. Default: `false`. */
+    require_last_push_approval?: boolean;
+    /** Allow specific users, teams, or apps to bypass pull request requirements. */
+    bypass_pull_request_allowances?: {
+      /** The list of user `login`s allowed to bypass pull request requirements. */
+      users?: string[];
+      /** The list of team `slug`s allowed to bypass pull request requirements. */
+      teams?: string[];
+      /** The list of app `slug`s allowed to bypass pull request requirements. */
+      apps?: string[];
     };
-    /** Authentication configuration */
-    auth?: AuthConfig;
-    /** User agent string */
-    userAgent?: string;
-    /** Enable verbose logging */
-    verbose?: boolean;
-  }
-
-  export interface AuthConfig {
-    token?: string;
-    authType?: 'token' | 'github_app' | 'oauth';
-    appId?: string;
-    privateKey?: string;
-    installationId?: string;
-  }
-
-  // ============================================================================
-  // GitHub API Types (based on OpenAPI schema)
-  // ============================================================================
-
-  export interface SimpleUser {
-    name?: string | null;
-    email?: string | null;
-    login: string;
-    id: number;
-    node_id: string;
-    avatar_url: string;
-    gravatar_id: string | null;
+  } | null;
+  /** Restrict who can push to the protected branch. User, app, and team `restrictions` are only available for organization-owned repositories. Set to `null` to disable. */
+  restrictions: {
+    /** The list of user `login`s with push access */
+    users: string[];
+    /** The list of team `slug`s with push access */
+    teams: string[];
+    /** The list of app `slug`s with push access */
+    apps?: string[];
+  } | null;
+  /** Enforces a linear commit Git history, which prevents anyone from pushing merge commits to a branch. Set to `true` to enforce a linear commit history. Set to `false` to disable a linear commit Git history. Your repository must allow squash merging or rebase merging before you can enable a linear commit history. Default: `false`. For more information, see "Requiring a linear commit history" in the GitHub Help documentation. */
+  required_linear_history?: boolean;
+  /** Permits force pushes to the protected branch by anyone with write access to the repository. Set to `true` to allow force pushes. Set to `false` or `null` to block force pushes. Default: `false`. For more information, see "Enabling force pushes to a protected branch" in the GitHub Help documentation." */
+  allow_force_pushes?: boolean | null;
+  /** Allows deletion of the protected branch by anyone with write access to the repository. Set to `false` to prevent deletion of the protected branch. Default: `false`. For more information, see "Enabling force pushes to a protected branch" in the GitHub Help documentation. */
+  allow_deletions?: boolean;
+  /** If set to `true`, the `restrictions` branch protection settings which limits who can push will also block pushes which create new branches, unless the push is initiated by a user, team, or app which has the ability to push. Set to `true` to restrict new branch creation. Default: `false`. */
+  block_creations?: boolean;
+  /** Requires all conversations on code to be resolved before a pull request can be merged into a branch that matches this rule. Set to `false` to disable. Default: `false`. */
+  required_conversation_resolution?: boolean;
+  /** Whether to set the branch as read-only. If this is true, users will not be able to push to the branch. Default: `false`. */
+  lock_branch?: boolean;
+  /** Whether users can pull changes from upstream when the branch is locked. Set to `true` to allow fork syncing. Set to `false` to prevent fork syncing. Default: `false`. */
+  allow_fork_syncing?: boolean;
+}
+
+/** Response body for repos/update-branch-protection */
+export type ReposUpdateBranchProtectionResponse = ProtectedBranch;
+
+/** Response body for repos/get-status-checks-protection */
+export type ReposGetStatusChecksProtectionResponse = StatusCheckPolicy;
+
+/** Request body for repos/update-status-check-protection */
+export interface ReposUpdateStatusCheckProtectionRequest {
+  /** Require branches to be up to date before merging. */
+  strict?: boolean;
+  /**
+   * **Closing down notice**: The list of status checks to require in order to merge into this branch. If any of these checks have recently been set by a particular GitHub App, they will be required to come from that app in future for the branch to merge. Use `checks` instead of `contexts` for more fine-grained control.
+   * @deprecated
+   */
+  contexts?: string[];
+  /** The list of status checks to require in order to merge into this branch. */
+  checks?: {
+    /** The name of the required check */
+    context: string;
+    /** The ID of the GitHub App that must provide this check. Omit this field to automatically select the GitHub App that has recently provided this check, or any app if it was not set by a GitHub App. Pass -1 to explicitly allow any app to set the status. */
+    app_id?: number;
+  }[];
+}
+
+/** Response body for repos/update-status-check-protection */
+export type ReposUpdateStatusCheckProtectionResponse = StatusCheckPolicy;
+
+/** Response body for repos/get-all-status-check-contexts */
+export type ReposGetAllStatusCheckContextsResponse = string[];
+
+/** Request body for repos/add-status-check-contexts */
+export type ReposAddStatusCheckContextsRequest = {
+  /** The name of the status checks */
+  contexts: string[];
+} | string[];
+
+/** Response body for repos/add-status-check-contexts */
+export type ReposAddStatusCheckContextsResponse = string[];
+
+/** Request body for repos/set-status-check-contexts */
+export type ReposSetStatusCheckContextsRequest = {
+  /** The name of the status checks */
+  contexts: string[];
+} | string[];
+
+/** Response body for repos/set-status-check-contexts */
+export type ReposSetStatusCheckContextsResponse = string[];
+
+/** Request body for repos/remove-status-check-contexts */
+export type ReposRemoveStatusCheckContextsRequest = {
+  /** The name of the status checks */
+  contexts: string[];
+} | string[];
+
+/** Response body for repos/remove-status-check-contexts */
+export type ReposRemoveStatusCheckContextsResponse = string[];
+
+/** Response body for repos/get-pull-request-review-protection */
+export type ReposGetPullRequestReviewProtectionResponse = ProtectedBranchPullRequestReview;
+
+/** Request body for repos/update-pull-request-review-protection */
+export interface ReposUpdatePullRequestReviewProtectionRequest {
+  /** Specify which users, teams, and apps can dismiss pull request reviews. Pass an empty `dismissal_restrictions` object to disable. User and team `dismissal_restrictions` are only available for organization-owned repositories. Omit this parameter for personal repositories. */
+  dismissal_restrictions?: {
+    /** The list of user `login`s with dismissal access */
+    users?: string[];
+    /** The list of team `slug`s with dismissal access */
+    teams?: string[];
+    /** The list of app `slug`s with dismissal access */
+    apps?: string[];
+  };
+  /** Set to `true` if you want to automatically dismiss approving reviews when someone pushes a new commit. */
+  dismiss_stale_reviews?: boolean;
+  /** Blocks merging pull requests until code owners have reviewed. */
+  require_code_owner_reviews?: boolean;
+  /** Specifies the number of reviewers required to approve pull requests. Use a number between 1 and 6 or 0 to not require reviewers. */
+  required_approving_review_count?: number;
+  /** Whether the most recent push must be approved by someone other than the person who pushed it. Default: `false` */
+  require_last_push_approval?: boolean;
+  /** Allow specific users, teams, or apps to bypass pull request requirements. */
+  bypass_pull_request_allowances?: {
+    /** The list of user `login`s allowed to bypass pull request requirements. */
+    users?: string[];
+    /** The list of team `slug`s allowed to bypass pull request requirements. */
+    teams?: string[];
+    /** The list of app `slug`s allowed to bypass pull request requirements. */
+    apps?: string[];
+  };
+}
+
+/** Response body for repos/update-pull-request-review-protection */
+export type ReposUpdatePullRequestReviewProtectionResponse = ProtectedBranchPullRequestReview;
+
+/** Response body for repos/get-admin-branch-protection */
+export type ReposGetAdminBranchProtectionResponse = ProtectedBranchAdminEnforced;
+
+/** Response body for repos/set-admin-branch-protection */
+export type ReposSetAdminBranchProtectionResponse = ProtectedBranchAdminEnforced;
+
+/** Response body for repos/get-access-restrictions */
+export type ReposGetAccessRestrictionsResponse = BranchRestrictionPolicy;
+
+/** Response body for repos/get-users-with-access-to-protected-branch */
+export type ReposGetUsersWithAccessToProtectedBranchResponse = SimpleUser[];
+
+/** Request body for repos/add-user-access-restrictions */
+export interface ReposAddUserAccessRestrictionsRequest {
+  /** The username for users */
+  users: string[];
+}
+
+/** Response body for repos/add-user-access-restrictions */
+export type ReposAddUserAccessRestrictionsResponse = SimpleUser[];
+
+/** Request body for repos/set-user-access-restrictions */
+export interface ReposSetUserAccessRestrictionsRequest {
+  /** The username for users */
+  users: string[];
+}
+
+/** Response body for repos/set-user-access-restrictions */
+export type ReposSetUserAccessRestrictionsResponse = SimpleUser[];
+
+/** Request body for repos/remove-user-access-restrictions */
+export interface ReposRemoveUserAccessRestrictionsRequest {
+  /** The username for users */
+  users: string[];
+}
+
+/** Response body for repos/remove-user-access-restrictions */
+export type ReposRemoveUserAccessRestrictionsResponse = SimpleUser[];
+
+/** Response body for repos/get-teams-with-access-to-protected-branch */
+export type ReposGetTeamsWithAccessToProtectedBranchResponse = Team[];
+
+/** Request body for repos/add-team-access-restrictions */
+export type ReposAddTeamAccessRestrictionsRequest = {
+  /** The slug values for teams */
+  teams: string[];
+} | string[];
+
+/** Response body for repos/add-team-access-restrictions */
+export type ReposAddTeamAccessRestrictionsResponse = Team[];
+
+/** Request body for repos/set-team-access-restrictions */
+export type ReposSetTeamAccessRestrictionsRequest = {
+  /** The slug values for teams */
+  teams: string[];
+} | string[];
+
+/** Response body for repos/set-team-access-restrictions */
+export type ReposSetTeamAccessRestrictionsResponse = Team[];
+
+/** Request body for repos/remove-team-access-restrictions */
+export type ReposRemoveTeamAccessRestrictionsRequest = {
+  /** The slug values for teams */
+  teams: string[];
+} | string[];
+
+/** Response body for repos/remove-team-access-restrictions */
+export type ReposRemoveTeamAccessRestrictionsResponse = Team[];
+
+/** Request body for repos/rename-branch */
+export interface ReposRenameBranchRequest {
+  /** The new name of the branch. */
+  new_name: string;
+}
+
+/** Response body for repos/rename-branch */
+export type ReposRenameBranchResponse = BranchWithProtection;
+
+/** Request body for repos/merge */
+export interface ReposMergeRequest {
+  /** The name of the base branch that the head will be merged into. */
+  base: string;
+  /** The head to merge. This can be a branch name or a commit SHA1. */
+  head: string;
+  /** Commit message to use for the merge commit. If omitted, a default message will be used. */
+  commit_message?: string;
+}
+
+/** Response body for repos/merge */
+export type ReposMergeResponse = Commit;
+
+/** Query parameters for repos/compare-commits */
+export interface ReposCompareCommitsParams {
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+}
+
+/** Response body for repos/compare-commits */
+export type ReposCompareCommitsResponse = CommitComparison;
+
+/** Query parameters for repos/list-tags */
+export interface ReposListTagsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-tags */
+export type ReposListTagsResponse = Tag[];
+
+/** Request body for git/create-tag */
+export interface GitCreateTagRequest {
+  /** The tag's name. This is typically a version (e.g., "v0.0.1"). */
+  tag: string;
+  /** The tag message. */
+  message: string;
+  /** The SHA of the git object this is tagging. */
+  object: string;
+  /** The type of the object we're tagging. Normally this is a `commit` but it can also be a `tree` or a `blob`. */
+  type: 'commit' | 'tree' | 'blob';
+  /** An object with information about the individual creating the tag. */
+  tagger?: {
+    /** The name of the author of the tag */
+    name: string;
+    /** The email of the author of the tag */
+    email: string;
+    /** When this object was tagged. This is a timestamp in ISO 8601 format: `YYYY-MM-DDTHH:MM:SSZ`. */
+    date?: string;
+  };
+}
+
+/** Response body for git/create-tag */
+export type GitCreateTagResponse = GitTag;
+
+/** Request body for git/create-ref */
+export interface GitCreateRefRequest {
+  /** The name of the fully qualified reference (ie: `refs/heads/master`). If it doesn't start with 'refs' and have at least two slashes, it will be rejected. */
+  ref: string;
+  /** The SHA1 value for this reference. */
+  sha: string;
+}
+
+/** Response body for git/create-ref */
+export type GitCreateRefResponse = GitRef;
+
+/** Response body for repos/list-tag-protection */
+export type ReposListTagProtectionResponse = TagProtection[];
+
+/** Request body for repos/create-tag-protection */
+export interface ReposCreateTagProtectionRequest {
+  /** An optional glob pattern to match against when enforcing tag protection. */
+  pattern: string;
+}
+
+/** Response body for repos/create-tag-protection */
+export type ReposCreateTagProtectionResponse = TagProtection;
+
+/** Query parameters for repos/list-releases */
+export interface ReposListReleasesParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-releases */
+export type ReposListReleasesResponse = Release[];
+
+/** Response body for repos/get-release-by-tag */
+export type ReposGetReleaseByTagResponse = Release;
+
+/** Request body for repos/create-release */
+export interface ReposCreateReleaseRequest {
+  /** The name of the tag. */
+  tag_name: string;
+  /** Specifies the commitish value that determines where the Git tag is created from. Can be any branch or commit SHA. Unused if the Git tag already exists. Default: the repository's default branch. */
+  target_commitish?: string;
+  /** The name of the release. */
+  name?: string;
+  /** Text describing the contents of the tag. */
+  body?: string;
+  /** `true` to create a draft (unpublished) release, `false` to create a published one. */
+  draft?: boolean;
+  /** `true` to identify the release as a prerelease. `false` to identify the release as a full release. */
+  prerelease?: boolean;
+  /** If specified, a discussion of the specified category is created and linked to the release. The value must be a category that already exists in the repository. For more information, see "Managing categories for discussions in your repository." */
+  discussion_category_name?: string;
+  /** Whether to automatically generate the name and body for this release. If `name` is specified, the specified name will be used; otherwise, a name will be automatically generated. If `body` is specified, the body will be pre-pended to the automatically generated notes. */
+  generate_release_notes?: boolean;
+  /** Specifies whether this release should be set as the latest release for the repository. Drafts and prereleases cannot be set as latest. Defaults to `true` for newly published releases. `legacy` specifies that the latest release should be determined based on the release creation date and higher semantic version. */
+  make_latest?: 'true' | 'false' | 'legacy';
+}
+
+/** Response body for repos/create-release */
+export type ReposCreateReleaseResponse = Release;
+
+/** Response body for git/get-commit */
+export type GitGetCommitResponse = GitCommit;
+
+/** Query parameters for repos/list-webhooks */
+export interface ReposListWebhooksParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for repos/list-webhooks */
+export type ReposListWebhooksResponse = Hook[];
+
+/** Response body for repos/get-webhook */
+export type ReposGetWebhookResponse = Hook;
+
+/** Request body for repos/create-webhook */
+export type ReposCreateWebhookRequest = {
+  /** Use `web` to create a webhook. Default: `web`. This parameter only accepts the value `web`. */
+  name?: string;
+  /** Key/value pairs to provide settings for this webhook. */
+  config?: {
+    url?: WebhookConfigUrl;
+    content_type?: WebhookConfigContentType;
+    secret?: WebhookConfigSecret;
+    insecure_ssl?: WebhookConfigInsecureSsl;
+  };
+  /** Determines what events the hook is triggered for. */
+  events?: string[];
+  /** Determines if notifications are sent when the webhook is triggered. Set to `true` to send notifications. */
+  active?: boolean;
+} | null;
+
+/** Response body for repos/create-webhook */
+export type ReposCreateWebhookResponse = Hook;
+
+/** Request body for repos/update-webhook */
+export interface ReposUpdateWebhookRequest {
+  config?: WebhookConfig;
+  /** Determines what events the hook is triggered for. This replaces the entire array of events. */
+  events?: string[];
+  /** Determines a list of events to be added to the list of events that the Hook triggers for. */
+  add_events?: string[];
+  /** Determines a list of events to be removed from the list of events that the Hook triggers for. */
+  remove_events?: string[];
+  /** Determines if notifications are sent when the webhook is triggered. Set to `true` to send notifications. */
+  active?: boolean;
+}
+
+/** Response body for repos/update-webhook */
+export type ReposUpdateWebhookResponse = Hook;
+
+/** Response body for repos/get-webhook-delivery */
+export type ReposGetWebhookDeliveryResponse = HookDelivery;
+
+/** Response body for repos/redeliver-webhook-delivery */
+export type ReposRedeliverWebhookDeliveryResponse = Record<string, any>;
+
+/** Query parameters for repos/get-repo-rulesets */
+export interface ReposGetRepoRulesetsParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** Include rulesets configured at higher levels that apply to this repository */
+  includes_parents?: boolean;
+  /** A comma-separated list of rule targets to filter by. */
+  targets?: string;
+}
+
+/** Response body for repos/get-repo-rulesets */
+export type ReposGetRepoRulesetsResponse = RepositoryRuleset[];
+
+/** Query parameters for repos/get-repo-ruleset */
+export interface ReposGetRepoRulesetParams {
+  /** Include rulesets configured at higher levels that apply to this repository */
+  includes_parents?: boolean;
+}
+
+/** Response body for repos/get-repo-ruleset */
+export type ReposGetRepoRulesetResponse = RepositoryRuleset;
+
+/** Request body for repos/create-repo-ruleset */
+export interface ReposCreateRepoRulesetRequest {
+  /** The name of the ruleset. */
+  name: string;
+  /** The target of the ruleset */
+  target?: 'branch' | 'tag' | 'push';
+  enforcement: RepositoryRuleEnforcement;
+  /** The actors that can bypass the rules in this ruleset */
+  bypass_actors?: RepositoryRulesetBypassActor[];
+  conditions?: RepositoryRulesetConditions;
+  /** An array of rules within the ruleset. */
+  rules?: RepositoryRule[];
+}
+
+/** Response body for repos/create-repo-ruleset */
+export type ReposCreateRepoRulesetResponse = RepositoryRuleset;
+
+/** Request body for repos/update-repo-ruleset */
+export interface ReposUpdateRepoRulesetRequest {
+  /** The name of the ruleset. */
+  name?: string;
+  /** The target of the ruleset */
+  target?: 'branch' | 'tag' | 'push';
+  enforcement?: RepositoryRuleEnforcement;
+  /** The actors that can bypass the rules in this ruleset */
+  bypass_actors?: RepositoryRulesetBypassActor[];
+  conditions?: RepositoryRulesetConditions;
+  /** An array of rules within the ruleset. */
+  rules?: RepositoryRule[];
+}
+
+/** Response body for repos/update-repo-ruleset */
+export type ReposUpdateRepoRulesetResponse = RepositoryRuleset;
+
+/** Request body for apps/create-installation-access-token */
+export interface AppsCreateInstallationAccessTokenRequest {
+  /** List of repository names that the token should have access to */
+  repositories?: string[];
+  /** List of repository IDs that the token should have access to */
+  repository_ids?: number[];
+  permissions?: AppPermissions;
+}
+
+/** Response body for apps/create-installation-access-token */
+export type AppsCreateInstallationAccessTokenResponse = InstallationToken;
+
+/** Response body for users/get-authenticated */
+export type UsersGetAuthenticatedResponse = PrivateUser | PublicUser;
+
+/** Response body for rate-limit/get */
+export type RateLimitGetResponse = RateLimitOverview;
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Full Repository */
+export interface FullRepository {
+  id: number;
+  node_id: string;
+  name: string;
+  full_name: string;
+  owner: SimpleUser;
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  default_branch: string;
+  open_issues_count: number;
+  is_template?: boolean;
+  topics?: string[];
+  has_issues: boolean;
+  has_projects: boolean;
+  has_wiki: boolean;
+  has_pages: boolean;
+  has_downloads?: boolean;
+  has_discussions: boolean;
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string;
+  created_at: string;
+  updated_at: string;
+  permissions?: {
+    admin: boolean;
+    maintain?: boolean;
+    push: boolean;
+    triage?: boolean;
+    pull: boolean;
+  };
+  allow_rebase_merge?: boolean;
+  template_repository?: NullableRepository;
+  temp_clone_token?: string | null;
+  allow_squash_merge?: boolean;
+  allow_auto_merge?: boolean;
+  delete_branch_on_merge?: boolean;
+  allow_merge_commit?: boolean;
+  allow_update_branch?: boolean;
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  allow_forking?: boolean;
+  web_commit_signoff_required?: boolean;
+  subscribers_count: number;
+  network_count: number;
+  license: NullableLicenseSimple;
+  organization?: NullableSimpleUser;
+  parent?: Repository;
+  source?: Repository;
+  forks: number;
+  master_branch?: string;
+  open_issues: number;
+  watchers: number;
+  /** Whether anonymous git access is allowed. */
+  anonymous_access_enabled?: boolean;
+  code_of_conduct?: CodeOfConductSimple;
+  security_and_analysis?: SecurityAndAnalysis;
+  /** The custom properties that were defined for the repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** A repository on GitHub. */
+export type NullableRepository = {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+} | null;
+
+/** License Simple */
+export type NullableLicenseSimple = {
+  key: string;
+  name: string;
+  url: string | null;
+  spdx_id: string | null;
+  node_id: string;
+  html_url?: string;
+} | null;
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A repository on GitHub. */
+export interface Repository {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  owner: SimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /**
+   * Whether downloads are enabled.
+   * @deprecated
+   */
+  has_downloads: boolean;
+  /** Whether discussions are enabled. */
+  has_discussions?: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether or not a pull request head branch that is behind its base branch can always be updated even if it is not required to be up to date before merging. */
+  allow_update_branch?: boolean;
+  /**
+   * Whether a squash merge commit can use the pull request title as default. **This property is closing down. Please use `squash_merge_commit_title` instead.
+   * @deprecated
+   */
+  use_squash_pr_title_as_default?: boolean;
+  /** The default value for a squash merge commit title: */
+  squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
+  /** The default value for a squash merge commit message: */
+  squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
+  /** The default value for a merge commit title. */
+  merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
+  /** The default value for a merge commit message. */
+  merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+  starred_at?: string;
+  /** Whether anonymous git access is enabled for this repository */
+  anonymous_access_enabled?: boolean;
+  /** The status of the code search index for this repository */
+  code_search_index_status?: {
+    lexical_search_ok?: boolean;
+    lexical_commit_sha?: string;
+  };
+}
+
+/** Code of Conduct Simple */
+export interface CodeOfConductSimple {
+  url: string;
+  key: string;
+  name: string;
+  html_url: string | null;
+}
+
+export type SecurityAndAnalysis = {
+  /** Enable or disable GitHub Advanced Security for the repository. */
+  advanced_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  code_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  /** Enable or disable Dependabot security updates for the repository. */
+  dependabot_security_updates?: {
+    /** The enablement status of Dependabot security updates for the repository. */
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_push_protection?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_non_provider_patterns?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_ai_detection?: {
+    status?: 'enabled' | 'disabled';
+  };
+} | null;
+
+/** Minimal Repository */
+export interface MinimalRepository {
+  id: number;
+  node_id: string;
+  name: string;
+  full_name: string;
+  owner: SimpleUser;
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url?: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url?: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url?: string;
+  mirror_url?: string | null;
+  hooks_url: string;
+  svn_url?: string;
+  homepage?: string | null;
+  language?: string | null;
+  forks_count?: number;
+  stargazers_count?: number;
+  watchers_count?: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size?: number;
+  default_branch?: string;
+  open_issues_count?: number;
+  is_template?: boolean;
+  topics?: string[];
+  has_issues?: boolean;
+  has_projects?: boolean;
+  has_wiki?: boolean;
+  has_pages?: boolean;
+  has_downloads?: boolean;
+  has_discussions?: boolean;
+  archived?: boolean;
+  disabled?: boolean;
+  visibility?: string;
+  pushed_at?: string | null;
+  created_at?: string | null;
+  updated_at?: string | null;
+  permissions?: {
+    admin?: boolean;
+    maintain?: boolean;
+    push?: boolean;
+    triage?: boolean;
+    pull?: boolean;
+  };
+  role_name?: string;
+  temp_clone_token?: string;
+  delete_branch_on_merge?: boolean;
+  subscribers_count?: number;
+  network_count?: number;
+  code_of_conduct?: CodeOfConduct;
+  license?: {
+    key?: string;
+    name?: string;
+    spdx_id?: string;
+    url?: string;
+    node_id?: string;
+  } | null;
+  forks?: number;
+  open_issues?: number;
+  watchers?: number;
+  allow_forking?: boolean;
+  web_commit_signoff_required?: boolean;
+  security_and_analysis?: SecurityAndAnalysis;
+  /** The custom properties that were defined for the repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** Code Of Conduct */
+export interface CodeOfConduct {
+  key: string;
+  name: string;
+  url: string;
+  body?: string;
+  html_url: string | null;
+}
+
+/** A topic aggregates entities that are related to a subject. */
+export interface Topic {
+  names: string[];
+}
+
+/** Language */
+export interface Language {
+  [key: string]: number;
+}
+
+/** Contributor */
+export interface Contributor {
+  login?: string;
+  id?: number;
+  node_id?: string;
+  avatar_url?: string;
+  gravatar_id?: string | null;
+  url?: string;
+  html_url?: string;
+  followers_url?: string;
+  following_url?: string;
+  gists_url?: string;
+  starred_url?: string;
+  subscriptions_url?: string;
+  organizations_url?: string;
+  repos_url?: string;
+  events_url?: string;
+  received_events_url?: string;
+  type: string;
+  site_admin?: boolean;
+  contributions: number;
+  email?: string;
+  name?: string;
+  user_view_type?: string;
+}
+
+/** Repository invitations let you manage who you collaborate with. */
+export interface RepositorySubscription {
+  /** Determines if notifications should be received from this repository. */
+  subscribed: boolean;
+  /** Determines if all notifications should be blocked from this repository. */
+  ignored: boolean;
+  reason: string | null;
+  created_at: string;
+  url: string;
+  repository_url: string;
+}
+
+/** Collaborator */
+export interface Collaborator {
+  login: string;
+  id: number;
+  email?: string | null;
+  name?: string | null;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  permissions?: {
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+    admin: boolean;
+  };
+  role_name: string;
+  user_view_type?: string;
+}
+
+/** Repository Collaborator Permission */
+export interface RepositoryCollaboratorPermission {
+  permission: string;
+  role_name: string;
+  user: NullableCollaborator;
+}
+
+/** Collaborator */
+export type NullableCollaborator = {
+  login: string;
+  id: number;
+  email?: string | null;
+  name?: string | null;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  permissions?: {
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+    admin: boolean;
+  };
+  role_name: string;
+  user_view_type?: string;
+} | null;
+
+/** Repository invitations let you manage who you collaborate with. */
+export interface RepositoryInvitation {
+  /** Unique identifier of the repository invitation. */
+  id: number;
+  repository: MinimalRepository;
+  invitee: NullableSimpleUser;
+  inviter: NullableSimpleUser;
+  /** The permission associated with the invitation. */
+  permissions: 'read' | 'write' | 'admin' | 'triage' | 'maintain';
+  created_at: string;
+  /** Whether or not the invitation has expired */
+  expired?: boolean;
+  /** URL for the repository invitation */
+  url: string;
+  html_url: string;
+  node_id: string;
+}
+
+/** Short Branch */
+export interface ShortBranch {
+  name: string;
+  commit: {
+    sha: string;
     url: string;
-    html_url: string;
-    followers_url: string;
-    following_url: string;
-    gists_url: string;
-    starred_url: string;
-    subscriptions_url: string;
-    organizations_url: string;
-    repos_url: string;
-    events_url: string;
-    received_events_url: string;
-    type: string;
-    site_admin: boolean;
-    starred_at?: string;
-    user_view_type?: string;
-  }
+  };
+  protected: boolean;
+  protection?: BranchProtection;
+  protection_url?: string;
+}
 
-  export interface Repository {
-    id: number;
-    node_id: string;
-    name: string;
-    full_name: string;
-    owner: SimpleUser;
-    private: boolean;
-    html_url: string;
-    description: string | null;
-    fork: boolean;
+/** Branch Protection */
+export interface BranchProtection {
+  url?: string;
+  enabled?: boolean;
+  required_status_checks?: ProtectedBranchRequiredStatusCheck;
+  enforce_admins?: ProtectedBranchAdminEnforced;
+  required_pull_request_reviews?: ProtectedBranchPullRequestReview;
+  restrictions?: BranchRestrictionPolicy;
+  required_linear_history?: {
+    enabled?: boolean;
+  };
+  allow_force_pushes?: {
+    enabled?: boolean;
+  };
+  allow_deletions?: {
+    enabled?: boolean;
+  };
+  block_creations?: {
+    enabled?: boolean;
+  };
+  required_conversation_resolution?: {
+    enabled?: boolean;
+  };
+  name?: string;
+  protection_url?: string;
+  required_signatures?: {
     url: string;
-    archive_url: string;
-    assignees_url: string;
-    blobs_url: string;
-    branches_url: string;
-    collaborators_url: string;
-    comments_url: string;
-    commits_url: string;
-    compare_url: string;
-    contents_url: string;
-    contributors_url: string;
-    deployments_url: string;
-    downloads_url: string;
-    events_url: string;
-    forks_url: string;
-    git_commits_url: string;
-    git_refs_url: string;
-    git_tags_url: string;
-    git_url: string;
-    issue_comment_url: string;
-    issue_events_url: string;
-    issues_url: string;
-    keys_url: string;
-    labels_url: string;
-    languages_url: string;
-    merges_url: string;
-    milestones_url: string;
-    notifications_url: string;
-    pulls_url: string;
-    releases_url: string;
-    ssh_url: string;
-    stargazers_url: string;
-    statuses_url: string;
-    subscribers_url: string;
-    subscription_url: string;
-    tags_url: string;
-    teams_url: string;
-    trees_url: string;
-    clone_url: string;
-    mirror_url: string | null;
-    hooks_url: string;
-    svn_url: string;
-    homepage: string | null;
-    language: string | null;
-    forks_count: number;
-    stargazers_count: number;
-    watchers_count: number;
-    size: number;
-    default_branch: string;
-    open_issues_count: number;
-    is_template?: boolean;
-    topics?: string[];
-    has_issues: boolean;
-    has_projects: boolean;
-    has_wiki: boolean;
-    has_pages?: boolean;
-    has_downloads?: boolean;
-    has_discussions?: boolean;
-    archived: boolean;
-    disabled: boolean;
-    visibility?: string;
-    pushed_at: string | null;
-    created_at: string | null;
-    updated_at: string | null;
-    permissions?: {
-      admin: boolean;
-      maintain?: boolean;
-      push: boolean;
-      triage?: boolean;
-      pull: boolean;
+    enabled: boolean;
+  };
+  /** Whether to set the branch as read-only. If this is true, users will not be able to push to the branch. */
+  lock_branch?: {
+    enabled?: boolean;
+  };
+  /** Whether users can pull changes from upstream when the branch is locked. Set to `true` to allow fork syncing. Set to `false` to prevent fork syncing. */
+  allow_fork_syncing?: {
+    enabled?: boolean;
+  };
+}
+
+/** Protected Branch Required Status Check */
+export interface ProtectedBranchRequiredStatusCheck {
+  url?: string;
+  enforcement_level?: string;
+  contexts: string[];
+  checks: {
+    context: string;
+    app_id: number | null;
+  }[];
+  contexts_url?: string;
+  strict?: boolean;
+}
+
+/** Protected Branch Admin Enforced */
+export interface ProtectedBranchAdminEnforced {
+  url: string;
+  enabled: boolean;
+}
+
+/** Protected Branch Pull Request Review */
+export interface ProtectedBranchPullRequestReview {
+  url?: string;
+  dismissal_restrictions?: {
+    /** The list of users with review dismissal access. */
+    users?: SimpleUser[];
+    /** The list of teams with review dismissal access. */
+    teams?: Team[];
+    /** The list of apps with review dismissal access. */
+    apps?: Integration[];
+    url?: string;
+    users_url?: string;
+    teams_url?: string;
+  };
+  /** Allow specific users, teams, or apps to bypass pull request requirements. */
+  bypass_pull_request_allowances?: {
+    /** The list of users allowed to bypass pull request requirements. */
+    users?: SimpleUser[];
+    /** The list of teams allowed to bypass pull request requirements. */
+    teams?: Team[];
+    /** The list of apps allowed to bypass pull request requirements. */
+    apps?: Integration[];
+  };
+  dismiss_stale_reviews: boolean;
+  require_code_owner_reviews: boolean;
+  required_approving_review_count?: number;
+  /** Whether the most recent push must be approved by someone other than the person who pushed it. */
+  require_last_push_approval?: boolean;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface Team {
+  id: number;
+  node_id: string;
+  name: string;
+  slug: string;
+  description: string | null;
+  privacy?: string;
+  notification_setting?: string;
+  permission: string;
+  permissions?: {
+    pull: boolean;
+    triage: boolean;
+    push: boolean;
+    maintain: boolean;
+    admin: boolean;
+  };
+  url: string;
+  html_url: string;
+  members_url: string;
+  repositories_url: string;
+  parent: NullableTeamSimple;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export type NullableTeamSimple = {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  members_url: string;
+  /** Name of the team */
+  name: string;
+  /** Description of the team */
+  description: string | null;
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  /** The level of privacy this team should have */
+  privacy?: string;
+  /** The notification setting the team has set */
+  notification_setting?: string;
+  html_url: string;
+  repositories_url: string;
+  slug: string;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+} | null;
+
+/** GitHub apps are a new way to extend GitHub. They can be installed directly on organizations and user accounts and granted access to specific repositories. They come with granular permissions and built-in webhooks. GitHub apps are first class actors within GitHub. */
+export type Integration = {
+  /** Unique identifier of the GitHub app */
+  id: number;
+  /** The slug name of the GitHub app */
+  slug?: string;
+  node_id: string;
+  client_id?: string;
+  owner: SimpleUser | Enterprise;
+  /** The name of the GitHub app */
+  name: string;
+  description: string | null;
+  external_url: string;
+  html_url: string;
+  created_at: string;
+  updated_at: string;
+  /** The set of permissions for the GitHub app */
+  permissions: {
+    issues?: string;
+    checks?: string;
+    metadata?: string;
+    contents?: string;
+    deployments?: string;
+    [key: string]: any;
+  };
+  /** The list of events for the GitHub app. Note that the `installation_target`, `security_advisory`, and `meta` events are not included because they are global events and not specific to an installation. */
+  events: string[];
+  /** The number of installations associated with the GitHub app. Only returned when the integration is requesting details about itself. */
+  installations_count?: number;
+} | null;
+
+/** An enterprise on GitHub. */
+export interface Enterprise {
+  /** A short description of the enterprise. */
+  description?: string | null;
+  html_url: string;
+  /** The enterprise's website URL. */
+  website_url?: string | null;
+  /** Unique identifier of the enterprise */
+  id: number;
+  node_id: string;
+  /** The name of the enterprise. */
+  name: string;
+  /** The slug url identifier for the enterprise. */
+  slug: string;
+  created_at: string | null;
+  updated_at: string | null;
+  avatar_url: string;
+}
+
+/** Branch Restriction Policy */
+export interface BranchRestrictionPolicy {
+  url: string;
+  users_url: string;
+  teams_url: string;
+  apps_url: string;
+  users: {
+    login?: string;
+    id?: number;
+    node_id?: string;
+    avatar_url?: string;
+    gravatar_id?: string;
+    url?: string;
+    html_url?: string;
+    followers_url?: string;
+    following_url?: string;
+    gists_url?: string;
+    starred_url?: string;
+    subscriptions_url?: string;
+    organizations_url?: string;
+    repos_url?: string;
+    events_url?: string;
+    received_events_url?: string;
+    type?: string;
+    site_admin?: boolean;
+    user_view_type?: string;
+  }[];
+  teams: {
+    id?: number;
+    node_id?: string;
+    url?: string;
+    html_url?: string;
+    name?: string;
+    slug?: string;
+    description?: string | null;
+    privacy?: string;
+    notification_setting?: string;
+    permission?: string;
+    members_url?: string;
+    repositories_url?: string;
+    parent?: string | null;
+  }[];
+  apps: {
+    id?: number;
+    slug?: string;
+    node_id?: string;
+    owner?: {
+      login?: string;
+      id?: number;
+      node_id?: string;
+      url?: string;
+      repos_url?: string;
+      events_url?: string;
+      hooks_url?: string;
+      issues_url?: string;
+      members_url?: string;
+      public_members_url?: string;
+      avatar_url?: string;
+      description?: string;
+      gravatar_id?: string;
+      html_url?: string;
+      followers_url?: string;
+      following_url?: string;
+      gists_url?: string;
+      starred_url?: string;
+      subscriptions_url?: string;
+      organizations_url?: string;
+      received_events_url?: string;
+      type?: string;
+      site_admin?: boolean;
+      user_view_type?: string;
     };
-    allow_rebase_merge?: boolean;
-    temp_clone_token?: string;
-    allow_squash_merge?: boolean;
-    allow_auto_merge?: boolean;
-    delete_branch_on_merge?: boolean;
-    allow_update_branch?: boolean;
-    use_squash_pr_title_as_default?: boolean;
-    squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
-    squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
-    merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
-    merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
-    allow_merge_commit?: boolean;
-    allow_forking?: boolean;
-    web_commit_signoff_required?: boolean;
-    subscribers_count?: number;
-    network_count?: number;
-    license: License | null;
-    forks: number;
-    open_issues: number;
-    watchers: number;
-    master_branch?: string;
-    starred_at?: string;
-    anonymous_access_enabled?: boolean;
-  }
-
-  export interface License {
-    key: string;
-    name: string;
-    url: string | null;
-    spdx_id: string | null;
-    node_id: string;
+    name?: string;
+    client_id?: string;
+    description?: string;
+    external_url?: string;
     html_url?: string;
-  }
+    created_at?: string;
+    updated_at?: string;
+    permissions?: {
+      metadata?: string;
+      contents?: string;
+      issues?: string;
+      single_file?: string;
+    };
+    events?: string[];
+  }[];
+}
 
-  export interface Branch {
-    name: string;
-    protected: boolean;
-    commit: {
+/** Branch With Protection */
+export interface BranchWithProtection {
+  name: string;
+  commit: Commit;
+  _links: {
+    html: string;
+    self: string;
+  };
+  protected: boolean;
+  protection: BranchProtection;
+  protection_url: string;
+  pattern?: string;
+  required_approving_review_count?: number;
+}
+
+/** Commit */
+export interface Commit {
+  url: string;
+  sha: string;
+  node_id: string;
+  html_url: string;
+  comments_url: string;
+  commit: {
+    url: string;
+    author: NullableGitUser;
+    committer: NullableGitUser;
+    message: string;
+    comment_count: number;
+    tree: {
       sha: string;
       url: string;
-      commit: {
-        message: string;
-        author?: {
-          name: string;
-          email: string;
-          date: string;
-        };
-        committer?: {
-          name: string;
-          email: string;
-          date: string;
-        };
-      };
     };
-    protection_url?: string;
-  }
+    verification?: Verification;
+  };
+  author: SimpleUser | EmptyObject | null;
+  committer: SimpleUser | EmptyObject | null;
+  parents: {
+    sha: string;
+    url: string;
+    html_url?: string;
+  }[];
+  stats?: {
+    additions?: number;
+    deletions?: number;
+    total?: number;
+  };
+  files?: DiffEntry[];
+}
 
-  export interface BranchProtection {
-    required_status_checks: {
-      strict: boolean;
-      contexts: string[];
-    } | null;
-    enforce_admins: boolean;
-    required_pull_request_reviews: {
-      required_approving_review_count: number;
-      dismiss_stale_reviews: boolean;
-      require_code_owner_reviews: boolean;
-      require_last_push_approval?: boolean;
-      required_review_thread_resolution?: boolean;
-    } | null;
-    restrictions: {
+/** Metaproperties for Git author/committer information. */
+export type NullableGitUser = {
+  name?: string;
+  email?: string;
+  date?: string;
+} | null;
+
+/** Verification */
+export interface Verification {
+  verified: boolean;
+  reason: string;
+  payload: string | null;
+  signature: string | null;
+  verified_at: string | null;
+}
+
+/** An object without any properties. */
+export interface EmptyObject {}
+
+/** Diff Entry */
+export interface DiffEntry {
+  sha: string;
+  filename: string;
+  status: 'added' | 'removed' | 'modified' | 'renamed' | 'copied' | 'changed' | 'unchanged';
+  additions: number;
+  deletions: number;
+  changes: number;
+  blob_url: string;
+  raw_url: string;
+  contents_url: string;
+  patch?: string;
+  previous_filename?: string;
+}
+
+/** Branch protections protect branches */
+export interface ProtectedBranch {
+  url: string;
+  required_status_checks?: StatusCheckPolicy;
+  required_pull_request_reviews?: {
+    url: string;
+    dismiss_stale_reviews?: boolean;
+    require_code_owner_reviews?: boolean;
+    required_approving_review_count?: number;
+    /** Whether the most recent push must be approved by someone other than the person who pushed it. */
+    require_last_push_approval?: boolean;
+    dismissal_restrictions?: {
+      url: string;
+      users_url: string;
+      teams_url: string;
       users: SimpleUser[];
       teams: Team[];
-      apps: GitHubApp[];
-    } | null;
-    allow_force_pushes?: boolean;
-    allow_deletions?: boolean;
-    block_creations?: boolean;
-    required_conversation_resolution?: boolean;
-  }
-
-  export interface Team {
-    id: number;
-    node_id: string;
-    name: string;
-    slug: string;
-    description: string | null;
-    privacy?: string;
-    notification_setting?: string;
-    permission: string;
-    permissions?: {
-      pull: boolean;
-      triage: boolean;
-      push: boolean;
-      maintain: boolean;
-      admin: boolean;
+      apps?: Integration[];
     };
+    bypass_pull_request_allowances?: {
+      users: SimpleUser[];
+      teams: Team[];
+      apps?: Integration[];
+    };
+  };
+  required_signatures?: {
     url: string;
-    html_url: string;
-    members_url: string;
-    repositories_url: string;
-    parent?: Team | null;
-  }
+    enabled: boolean;
+  };
+  enforce_admins?: {
+    url: string;
+    enabled: boolean;
+  };
+  required_linear_history?: {
+    enabled: boolean;
+  };
+  allow_force_pushes?: {
+    enabled: boolean;
+  };
+  allow_deletions?: {
+    enabled: boolean;
+  };
+  restrictions?: BranchRestrictionPolicy;
+  required_conversation_resolution?: {
+    enabled?: boolean;
+  };
+  block_creations?: {
+    enabled: boolean;
+  };
+  /** Whether to set the branch as read-only. If this is true, users will not be able to push to the branch. */
+  lock_branch?: {
+    enabled?: boolean;
+  };
+  /** Whether users can pull changes from upstream when the branch is locked. Set to `true` to allow fork syncing. Set to `false` to prevent fork syncing. */
+  allow_fork_syncing?: {
+    enabled?: boolean;
+  };
+}
 
-  export interface GitHubApp {
-    id: number;
-    slug?: string;
-    node_id: string;
-    client_id?: string;
-    owner: SimpleUser;
-    name: string;
-    description: string | null;
-    external_url: string;
-    html_url: string;
-    created_at: string;
-    updated_at: string;
-    permissions: Record<string, string>;
-    events: string[];
-    installations_count?: number;
-  }
-
-  export interface Collaborator extends SimpleUser {
-    permissions?: {
-      admin: boolean;
-      maintain?: boolean;
-      push: boolean;
-      triage?: boolean;
-      pull: boolean;
-    };
-  }
+/** Status Check Policy */
+export interface StatusCheckPolicy {
+  url: string;
+  strict: boolean;
+  contexts: string[];
+  checks: {
+    context: string;
+    app_id: number | null;
+  }[];
+  contexts_url: string;
+}
+
+/** Commit Comparison */
+export interface CommitComparison {
+  url: string;
+  html_url: string;
+  permalink_url: string;
+  diff_url: string;
+  patch_url: string;
+  base_commit: Commit;
+  merge_base_commit: Commit;
+  status: 'diverged' | 'ahead' | 'behind' | 'identical';
+  ahead_by: number;
+  behind_by: number;
+  total_commits: number;
+  commits: Commit[];
+  files?: DiffEntry[];
+}
+
+/** Tag */
+export interface Tag {
+  name: string;
+  commit: {
+    sha: string;
+    url: string;
+  };
+  zipball_url: string;
+  tarball_url: string;
+  node_id: string;
+}
 
-  export interface Tag {
+/** Metadata for a Git tag */
+export interface GitTag {
+  node_id: string;
+  /** Name of the tag */
+  tag: string;
+  sha: string;
+  /** URL for the tag */
+  url: string;
+  /** Message describing the purpose of the tag */
+  message: string;
+  tagger: {
+    date: string;
+    email: string;
     name: string;
-    zipball_url: string;
-    tarball_url: string;
-    commit: {
-      sha: string;
-      url: string;
-    };
-    node_id: string;
-  }
+  };
+  object: {
+    sha: string;
+    type: string;
+    url: string;
+  };
+  verification?: Verification;
+}
+
+/** Git references within a repository */
+export interface GitRef {
+  ref: string;
+  node_id: string;
+  url: string;
+  object: {
+    type: string;
+    /** SHA for the reference */
+    sha: string;
+    url: string;
+  };
+}
 
-  export interface Webhook {
-    id: number;
+/** Tag protection */
+export interface TagProtection {
+  id?: number;
+  created_at?: string;
+  updated_at?: string;
+  enabled?: boolean;
+  pattern: string;
+}
+
+/** A release. */
+export interface Release {
+  url: string;
+  html_url: string;
+  assets_url: string;
+  upload_url: string;
+  tarball_url: string | null;
+  zipball_url: string | null;
+  id: number;
+  node_id: string;
+  /** The name of the tag. */
+  tag_name: string;
+  /** Specifies the commitish value that determines where the Git tag is created from. */
+  target_commitish: string;
+  name: string | null;
+  body?: string | null;
+  /** true to create a draft (unpublished) release, false to create a published one. */
+  draft: boolean;
+  /** Whether to identify the release as a prerelease or a full release. */
+  prerelease: boolean;
+  /** Whether or not the release is immutable. */
+  immutable?: boolean;
+  created_at: string;
+  published_at: string | null;
+  updated_at?: string | null;
+  author: SimpleUser;
+  assets: ReleaseAsset[];
+  body_html?: string;
+  body_text?: string;
+  mentions_count?: number;
+  /** The URL of the release discussion. */
+  discussion_url?: string;
+  reactions?: ReactionRollup;
+}
+
+/** Data related to a release. */
+export interface ReleaseAsset {
+  url: string;
+  browser_download_url: string;
+  id: number;
+  node_id: string;
+  /** The file name of the asset. */
+  name: string;
+  label: string | null;
+  /** State of the release asset. */
+  state: 'uploaded' | 'open';
+  content_type: string;
+  size: number;
+  digest: string | null;
+  download_count: number;
+  created_at: string;
+  updated_at: string;
+  uploader: NullableSimpleUser;
+}
+
+/** Reaction Rollup */
+export interface ReactionRollup {
+  url: string;
+  total_count: number;
+  "+1": number;
+  "-1": number;
+  laugh: number;
+  confused: number;
+  heart: number;
+  hooray: number;
+  eyes: number;
+  rocket: number;
+}
+
+/** Low-level Git commit operations within a repository */
+export interface GitCommit {
+  /** SHA for the commit */
+  sha: string;
+  node_id: string;
+  url: string;
+  /** Identifying information for the git-user */
+  author: {
+    /** Timestamp of the commit */
+    date: string;
+    /** Git email address of the user */
+    email: string;
+    /** Name of the git user */
     name: string;
-    active: boolean;
-    events: string[];
-    config: {
-      url: string;
-      content_type?: string;
-      secret?: string;
-      insecure_ssl?: string | number;
-    };
-    updated_at: string;
-    created_at: string;
+  };
+  /** Identifying information for the git-user */
+  committer: {
+    /** Timestamp of the commit */
+    date: string;
+    /** Git email address of the user */
+    email: string;
+    /** Name of the git user */
+    name: string;
+  };
+  /** Message describing the purpose of the commit */
+  message: string;
+  tree: {
+    /** SHA for the commit */
+    sha: string;
+    url: string;
+  };
+  parents: {
+    /** SHA for the commit */
+    sha: string;
     url: string;
-    test_url: string;
-    ping_url: string;
-    last_response?: {
-      code: number | null;
-      status: string;
-      message: string | null;
+    html_url: string;
+  }[];
+  verification: {
+    verified: boolean;
+    reason: string;
+    signature: string | null;
+    payload: string | null;
+    verified_at: string | null;
+  };
+  html_url: string;
+}
+
+/** Webhooks for repositories. */
+export interface Hook {
+  type: string;
+  /** Unique identifier of the webhook. */
+  id: number;
+  /** The name of a valid service, use 'web' for a webhook. */
+  name: string;
+  /** Determines whether the hook is actually triggered on pushes. */
+  active: boolean;
+  /** Determines what events the hook is triggered for. Default: ['push']. */
+  events: string[];
+  config: WebhookConfig;
+  updated_at: string;
+  created_at: string;
+  url: string;
+  test_url: string;
+  ping_url: string;
+  deliveries_url?: string;
+  last_response: HookResponse;
+}
+
+/** Configuration object of the webhook */
+export interface WebhookConfig {
+  url?: WebhookConfigUrl;
+  content_type?: WebhookConfigContentType;
+  secret?: WebhookConfigSecret;
+  insecure_ssl?: WebhookConfigInsecureSsl;
+}
+
+/** The URL to which the payloads will be delivered. */
+export type WebhookConfigUrl = string;
+
+/** The media type used to serialize the payloads. Supported values include `json` and `form`. The default is `form`. */
+export type WebhookConfigContentType = string;
+
+/** If provided, the `secret` will be used as the `key` to generate the HMAC hex digest value for delivery signature headers. */
+export type WebhookConfigSecret = string;
+
+export type WebhookConfigInsecureSsl = string | number;
+
+/** Hook Response */
+export interface HookResponse {
+  code: number | null;
+  status: string | null;
+  message: string | null;
+}
+
+/** Delivery made by a webhook. */
+export interface HookDelivery {
+  /** Unique identifier of the delivery. */
+  id: number;
+  /** Unique identifier for the event (shared with all deliveries for all webhooks that subscribe to this event). */
+  guid: string;
+  /** Time when the delivery was delivered. */
+  delivered_at: string;
+  /** Whether the delivery is a redelivery. */
+  redelivery: boolean;
+  /** Time spent delivering. */
+  duration: number;
+  /** Description of the status of the attempted delivery */
+  status: string;
+  /** Status code received when delivery was made. */
+  status_code: number;
+  /** The event that triggered the delivery. */
+  event: string;
+  /** The type of activity for the event that triggered the delivery. */
+  action: string | null;
+  /** The id of the GitHub App installation associated with this event. */
+  installation_id: number | null;
+  /** The id of the repository associated with this event. */
+  repository_id: number | null;
+  /** Time when the webhook delivery was throttled. */
+  throttled_at?: string | null;
+  /** The URL target of the delivery. */
+  url?: string;
+  request: {
+    /** The request headers sent with the webhook delivery. */
+    headers: {
+      [key: string]: any;
+    } | null;
+    /** The webhook payload. */
+    payload: {
+      [key: string]: any;
+    } | null;
+  };
+  response: {
+    /** The response headers received when the delivery was made. */
+    headers: {
+      [key: string]: any;
+    } | null;
+    /** The response payload received. */
+    payload: string | null;
+  };
+}
+
+/** A set of rules to apply when specified conditions are met. */
+export interface RepositoryRuleset {
+  /** The ID of the ruleset */
+  id: number;
+  /** The name of the ruleset */
+  name: string;
+  /** The target of the ruleset */
+  target?: 'branch' | 'tag' | 'push' | 'repository';
+  /** The type of the source of the ruleset */
+  source_type?: 'Repository' | 'Organization' | 'Enterprise';
+  /** The name of the source */
+  source: string;
+  enforcement: RepositoryRuleEnforcement;
+  /** The actors that can bypass the rules in this ruleset */
+  bypass_actors?: RepositoryRulesetBypassActor[];
+  /** The bypass type of the user making the API request for this ruleset. This field is only returned when */
+  current_user_can_bypass?: 'always' | 'pull_requests_only' | 'never';
+  node_id?: string;
+  _links?: {
+    self?: {
+      /** The URL of the ruleset */
+      href?: string;
     };
-  }
-
-  // ============================================================================
-  // Request/Response Types
-  // ============================================================================
-
-  export interface ListRepositoriesOptions {
-    type?: 'all' | 'owner' | 'member';
-    sort?: 'created' | 'updated' | 'pushed' | 'full_name';
-    direction?: 'asc' | 'desc';
-    page?: number;
-    per_page?: number;
-    visibility?: 'all' | 'public' | 'private';
-    affiliation?: string;
-  }
-
-  export interface CreateRepositoryData {
-    name: string;
-    description?: string;
-    homepage?: string;
-    private?: boolean;
-    visibility?: 'public' | 'private' | 'internal';
-    has_issues?: boolean;
-    has_projects?: boolean;
-    has_wiki?: boolean;
-    has_discussions?: boolean;
-    is_template?: boolean;
-    team_id?: number;
-    auto_init?: boolean;
-    gitignore_template?: string;
-    license_template?: string;
-    allow_squash_merge?: boolean;
-    allow_merge_commit?: boolean;
-    allow_rebase_merge?: boolean;
-    allow_auto_merge?: boolean;
-    delete_branch_on_merge?: boolean;
-    allow_update_branch?: boolean;
-    squash_merge_commit_title?: 'PR_TITLE' | 'COMMIT_OR_PR_TITLE';
-    squash_merge_commit_message?: 'PR_BODY' | 'COMMIT_MESSAGES' | 'BLANK';
-    merge_commit_title?: 'PR_TITLE' | 'MERGE_MESSAGE';
-    merge_commit_message?: 'PR_BODY' | 'PR_TITLE' | 'BLANK';
-    topics?: string[];
-  }
-
-  export interface UpdateRepositoryData {
-    name?: string;
-    description?: string;
-    homepage?: string;
-    private?: boolean;
-    visibility?: 'public' | 'private' | 'internal';
-    has_issues?: boolean;
-    has_projects?: boolean;
-    has_wiki?: boolean;
-    has_discussions?: boolean;
-    is_template?: boolean;
-    default_branch?: string;
-    allow_squash_merge?: boolean;
-    allow_merge_commit?: boolean;
-    allow_rebase_merge?: boolean;
-    allow_auto_merge?: boolean;
-    delete_branch_on_merge?: boolean;
-    allow_update_branch?: boolean;
-    archived?: boolean;
-    topics?: string[];
-  }
-
-  export interface ListBranchesOptions {
+    html?: {
+      /** The html URL of the ruleset */
+      href?: string;
+    } | null;
+  };
+  conditions?: RepositoryRulesetConditions | OrgRulesetConditions | null;
+  rules?: RepositoryRule[];
+  created_at?: string;
+  updated_at?: string;
+}
+
+/** The enforcement level of the ruleset. `evaluate` allows admins to test rules before enforcing them. Admins can view insights on the Rule Insights page (`evaluate` is only available with GitHub Enterprise). */
+export type RepositoryRuleEnforcement = 'disabled' | 'active' | 'evaluate';
+
+/** An actor that can bypass rules in a ruleset */
+export interface RepositoryRulesetBypassActor {
+  /** The ID of the actor that can bypass a ruleset. Required for `Integration`, `RepositoryRole`, and `Team` actor types. If `actor_type` is `OrganizationAdmin`, this should be `1`. If `actor_type` is `DeployKey`, this should be null. `OrganizationAdmin` is not applicable for personal repositories. */
+  actor_id?: number | null;
+  /** The type of actor that can bypass a ruleset. */
+  actor_type: 'Integration' | 'OrganizationAdmin' | 'RepositoryRole' | 'Team' | 'DeployKey';
+  /** When the specified actor can bypass the ruleset. `pull_request` means that an actor can only bypass rules on pull requests. `pull_request` is not applicable for the `DeployKey` actor type. Also, `pull_request` is only applicable to branch rulesets. */
+  bypass_mode?: 'always' | 'pull_request';
+}
+
+/** Parameters for a repository ruleset ref name condition */
+export interface RepositoryRulesetConditions {
+  ref_name?: {
+    /** Array of ref names or patterns to include. One of these patterns must match for the condition to pass. Also accepts `~DEFAULT_BRANCH` to include the default branch or `~ALL` to include all branches. */
+    include?: string[];
+    /** Array of ref names or patterns to exclude. The condition will not pass if any of these patterns match. */
+    exclude?: string[];
+  };
+}
+
+/** Conditions for an organization ruleset. */
+export type OrgRulesetConditions = RepositoryRulesetConditions & RepositoryRulesetConditionsRepositoryNameTarget | RepositoryRulesetConditions & RepositoryRulesetConditionsRepositoryIdTarget | RepositoryRulesetConditions & RepositoryRulesetConditionsRepositoryPropertyTarget;
+
+/** Parameters for a repository name condition */
+export interface RepositoryRulesetConditionsRepositoryNameTarget {
+  repository_name: {
+    /** Array of repository names or patterns to include. One of these patterns must match for the condition to pass. Also accepts `~ALL` to include all repositories. */
+    include?: string[];
+    /** Array of repository names or patterns to exclude. The condition will not pass if any of these patterns match. */
+    exclude?: string[];
+    /** Whether renaming of target repositories is prevented. */
     protected?: boolean;
-    page?: number;
-    per_page?: number;
-  }
+  };
+}
+
+/** Parameters for a repository ID condition */
+export interface RepositoryRulesetConditionsRepositoryIdTarget {
+  repository_id: {
+    /** The repository IDs that the ruleset applies to. One of these IDs must match for the condition to pass. */
+    repository_ids?: number[];
+  };
+}
+
+/** Parameters for a repository property condition */
+export interface RepositoryRulesetConditionsRepositoryPropertyTarget {
+  repository_property: {
+    /** The repository properties and values to include. All of these properties must match for the condition to pass. */
+    include?: RepositoryRulesetConditionsRepositoryPropertySpec[];
+    /** The repository properties and values to exclude. The condition will not pass if any of these properties match. */
+    exclude?: RepositoryRulesetConditionsRepositoryPropertySpec[];
+  };
+}
+
+/** Parameters for a targeting a repository property */
+export interface RepositoryRulesetConditionsRepositoryPropertySpec {
+  /** The name of the repository property to target */
+  name: string;
+  /** The values to match for the repository property */
+  property_values: string[];
+  /** The source of the repository property. Defaults to 'custom' if not specified. */
+  source?: 'custom' | 'system';
+}
+
+/** A repository rule. */
+export type RepositoryRule = RepositoryRuleCreation | RepositoryRuleUpdate | RepositoryRuleDeletion | RepositoryRuleRequiredLinearHistory | RepositoryRuleMergeQueue | RepositoryRuleRequiredDeployments | RepositoryRuleRequiredSignatures | RepositoryRulePullRequest | RepositoryRuleRequiredStatusChecks | RepositoryRuleNonFastForward | RepositoryRuleCommitMessagePattern | RepositoryRuleCommitAuthorEmailPattern | RepositoryRuleCommitterEmailPattern | RepositoryRuleBranchNamePattern | RepositoryRuleTagNamePattern | RepositoryRuleFilePathRestriction | RepositoryRuleMaxFilePathLength | RepositoryRuleFileExtensionRestriction | RepositoryRuleMaxFileSize | RepositoryRuleWorkflows | RepositoryRuleCodeScanning;
+
+/** Only allow users with bypass permission to create matching refs. */
+export interface RepositoryRuleCreation {
+  type: 'creation';
+}
+
+/** Only allow users with bypass permission to update matching refs. */
+export interface RepositoryRuleUpdate {
+  type: 'update';
+  parameters?: {
+    /** Branch can pull changes from its upstream repository */
+    update_allows_fetch_and_merge: boolean;
+  };
+}
+
+/** Only allow users with bypass permissions to delete matching refs. */
+export interface RepositoryRuleDeletion {
+  type: 'deletion';
+}
+
+/** Prevent merge commits from being pushed to matching refs. */
+export interface RepositoryRuleRequiredLinearHistory {
+  type: 'required_linear_history';
+}
+
+/** Merges must be performed via a merge queue. */
+export interface RepositoryRuleMergeQueue {
+  type: 'merge_queue';
+  parameters?: {
+    /** Maximum time for a required status check to report a conclusion. After this much time has elapsed, checks that have not reported a conclusion will be assumed to have failed */
+    check_response_timeout_minutes: number;
+    /** When set to ALLGREEN, the merge commit created by merge queue for each PR in the group must pass all required checks to merge. When set to HEADGREEN, only the commit at the head of the merge group, i.e. the commit containing changes from all of the PRs in the group, must pass its required checks to merge. */
+    grouping_strategy: 'ALLGREEN' | 'HEADGREEN';
+    /** Limit the number of queued pull requests requesting checks and workflow runs at the same time. */
+    max_entries_to_build: number;
+    /** The maximum number of PRs that will be merged together in a group. */
+    max_entries_to_merge: number;
+    /** Method to use when merging changes from queued pull requests. */
+    merge_method: 'MERGE' | 'SQUASH' | 'REBASE';
+    /** The minimum number of PRs that will be merged together in a group. */
+    min_entries_to_merge: number;
+    /** The time merge queue should wait after the first PR is added to the queue for the minimum group size to be met. After this time has elapsed, the minimum group size will be ignored and a smaller group will be merged. */
+    min_entries_to_merge_wait_minutes: number;
+  };
+}
+
+/** Choose which environments must be successfully deployed to before refs can be pushed into a ref that matches this rule. */
+export interface RepositoryRuleRequiredDeployments {
+  type: 'required_deployments';
+  parameters?: {
+    /** The environments that must be successfully deployed to before branches can be merged. */
+    required_deployment_environments: string[];
+  };
+}
+
+/** Commits pushed to matching refs must have verified signatures. */
+export interface RepositoryRuleRequiredSignatures {
+  type: 'required_signatures';
+}
 
-  export interface ListCollaboratorsOptions {
-    affiliation?: 'all' | 'direct' | 'outside';
-    page?: number;
-    per_page?: number;
-  }
+/** Require all commits be made to a non-target branch and submitted via a pull request before they can be merged. */
+export interface RepositoryRulePullRequest {
+  type: 'pull_request';
+  parameters?: {
+    /** Array of allowed merge methods. Allowed values include `merge`, `squash`, and `rebase`. At least one option must be enabled. */
+    allowed_merge_methods?: ('merge' | 'squash' | 'rebase')[];
+    /** Request Copilot code review for new pull requests automatically if the author has access to Copilot code review. */
+    automatic_copilot_code_review_enabled?: boolean;
+    /** New, reviewable commits pushed will dismiss previous pull request review approvals. */
+    dismiss_stale_reviews_on_push: boolean;
+    /** Require an approving review in pull requests that modify files that have a designated code owner. */
+    require_code_owner_review: boolean;
+    /** Whether the most recent reviewable push must be approved by someone other than the person who pushed it. */
+    require_last_push_approval: boolean;
+    /** The number of approving reviews that are required before a pull request can be merged. */
+    required_approving_review_count: number;
+    /** All conversations on code must be resolved before a pull request can be merged. */
+    required_review_thread_resolution: boolean;
+  };
+}
+
+/** Choose which status checks must pass before the ref is updated. When enabled, commits must first be pushed to another ref where the checks pass. */
+export interface RepositoryRuleRequiredStatusChecks {
+  type: 'required_status_checks';
+  parameters?: {
+    /** Allow repositories and branches to be created if a check would otherwise prohibit it. */
+    do_not_enforce_on_create?: boolean;
+    /** Status checks that are required. */
+    required_status_checks: RepositoryRuleParamsStatusCheckConfiguration[];
+    /** Whether pull requests targeting a matching branch must be tested with the latest code. This setting will not take effect unless at least one status check is enabled. */
+    strict_required_status_checks_policy: boolean;
+  };
+}
+
+/** Required status check */
+export interface RepositoryRuleParamsStatusCheckConfiguration {
+  /** The status check context name that must be present on the commit. */
+  context: string;
+  /** The optional integration ID that this status check must originate from. */
+  integration_id?: number;
+}
 
-  export interface AddCollaboratorOptions {
-    permission?: 'pull' | 'push' | 'admin' | 'maintain' | 'triage';
-  }
+/** Prevent users with push access from force pushing to refs. */
+export interface RepositoryRuleNonFastForward {
+  type: 'non_fast_forward';
+}
 
-  export interface CreateWebhookData {
+/** Parameters to be used for the commit_message_pattern rule */
+export interface RepositoryRuleCommitMessagePattern {
+  type: 'commit_message_pattern';
+  parameters?: {
+    /** How this rule will appear to users. */
     name?: string;
-    config: {
-      url: string;
-      content_type?: 'json' | 'form';
-      secret?: string;
-      insecure_ssl?: '0' | '1' | 0 | 1;
-    };
-    events?: string[];
-    active?: boolean;
-  }
+    /** If true, the rule will fail if the pattern matches. */
+    negate?: boolean;
+    /** The operator to use for matching. */
+    operator: 'starts_with' | 'ends_with' | 'contains' | 'regex';
+    /** The pattern to match with. */
+    pattern: string;
+  };
+}
 
-  export interface ForkOptions {
-    organization?: string;
+/** Parameters to be used for the commit_author_email_pattern rule */
+export interface RepositoryRuleCommitAuthorEmailPattern {
+  type: 'commit_author_email_pattern';
+  parameters?: {
+    /** How this rule will appear to users. */
     name?: string;
-    default_branch_only?: boolean;
-  }
-
-  export interface PaginationOptions {
-    page?: number;
-    per_page?: number;
-  }
-
-  // ============================================================================
-  // Error Types
-  // ============================================================================
-
-  export class RepoError extends Error {
-    name: 'RepoError';
-    statusCode: number | null;
-    response: any;
-    constructor(message: string, statusCode?: number, response?: any);
-    static fromResponse(response: any, body: any): RepoError;
-  }
-
-  export class AuthError extends RepoError {
-    name: 'AuthError';
-    constructor(message: string, statusCode?: number, response?: any);
-  }
-
-  export class ValidationError extends RepoError {
-    name: 'ValidationError';
-    field: string | null;
-    value: any;
-    constructor(message: string, field?: string, value?: any);
-  }
-
-  export class RateLimitError extends RepoError {
-    name: 'RateLimitError';
-    resetTime: number | null;
-    remaining: number | null;
-    constructor(message: string, resetTime?: number, remaining?: number);
-  }
-
-  export class NetworkError extends RepoError {
-    name: 'NetworkError';
-    originalError: Error | null;
-    constructor(message: string, originalError?: Error);
-  }
-
-  export class NotFoundError extends RepoError {
-    name: 'NotFoundError';
-    resource: string;
-    identifier: string | null;
-    constructor(resource: string, identifier?: string);
-  }
-
-  export class ForbiddenError extends RepoError {
-    name: 'ForbiddenError';
-    constructor(message?: string);
-  }
-
-  export class ConflictError extends RepoError {
-    name: 'ConflictError';
-    resource: string | null;
-    constructor(message: string, resource?: string);
-  }
-
-  export class GitHubAPIError extends RepoError {
-    name: 'GitHubAPIError';
-    errors: any[];
-    documentation_url?: string;
-    constructor(message: string, statusCode: number, response: any, errors?: any[]);
-    static fromGitHubResponse(response: any, body: any): GitHubAPIError;
-    isRateLimit(): boolean;
-    isForbidden(): boolean;
-    isNotFound(): boolean;
-  }
-
-  // ============================================================================
-  // API Interface Types
-  // ============================================================================
-
-  export interface RepositoriesAPI {
-    get(owner: string, repo: string): Promise<Repository>;
-    listForUser(username: string, options?: ListRepositoriesOptions): Promise<Repository[]>;
-    listForAuthenticatedUser(options?: ListRepositoriesOptions): Promise<Repository[]>;
-    listForOrg(org: string, options?: ListRepositoriesOptions): Promise<Repository[]>;
-    create(repoData: CreateRepositoryData): Promise<Repository>;
-    createInOrg(org: string, repoData: CreateRepositoryData): Promise<Repository>;
-    update(owner: string, repo: string, updates: UpdateRepositoryData): Promise<Repository>;
-    delete(owner: string, repo: string): Promise<{ message: string }>;
-    getAllTopics(owner: string, repo: string): Promise<{ names: string[] }>;
-    replaceAllTopics(owner: string, repo: string, topics: string[]): Promise<{ names: string[] }>;
-    getLanguages(owner: string, repo: string): Promise<Record<string, number>>;
-    getContributors(owner: string, repo: string, options?: PaginationOptions): Promise<any[]>;
-    getStats(owner: string, repo: string): Promise<any>;
-    fork(owner: string, repo: string, options?: ForkOptions): Promise<Repository>;
-    listForks(owner: string, repo: string, options?: PaginationOptions): Promise<Repository[]>;
-    transfer(owner: string, repo: string, newOwner: string, teamIds?: number[]): Promise<Repository>;
-    checkIfStarred(owner: string, repo: string): Promise<boolean>;
-    star(owner: string, repo: string): Promise<{ message: string }>;
-    unstar(owner: string, repo: string): Promise<{ message: string }>;
-    checkIfWatched(owner: string, repo: string): Promise<boolean>;
-    watch(owner: string, repo: string, subscribed?: boolean, ignored?: boolean): Promise<any>;
-    unwatch(owner: string, repo: string): Promise<{ message: string }>;
-    generateNameSuggestions(baseName: string): string[];
-  }
-
-  export interface BranchesAPI {
-    list(owner: string, repo: string, options?: ListBranchesOptions): Promise<Branch[]>;
-    get(owner: string, repo: string, branch: string): Promise<Branch>;
-    getProtection(owner: string, repo: string, branch: string): Promise<BranchProtection>;
-    updateProtection(owner: string, repo: string, branch: string, protection: Partial<BranchProtection>): Promise<BranchProtection>;
-    removeProtection(owner: string, repo: string, branch: string): Promise<{ message: string }>;
-    getRequiredStatusChecks(owner: string, repo: string, branch: string): Promise<any>;
-    updateRequiredStatusChecks(owner: string, repo: string, branch: string, options: any): Promise<any>;
-    removeRequiredStatusChecks(owner: string, repo: string, branch: string): Promise<{ message: string }>;
-    // ... other branch protection methods
-  }
-
-  export interface CollaboratorsAPI {
-    list(owner: string, repo: string, options?: ListCollaboratorsOptions): Promise<Collaborator[]>;
-    checkPermissions(owner: string, repo: string, username: string): Promise<{ permission: string; user: SimpleUser }>;
-    add(owner: string, repo: string, username: string, options?: AddCollaboratorOptions): Promise<any>;
-    remove(owner: string, repo: string, username: string): Promise<{ message: string }>;
-    listInvitations(owner: string, repo: string, options?: PaginationOptions): Promise<any[]>;
-    updateInvitation(owner: string, repo: string, invitationId: number, permission: string): Promise<any>;
-    deleteInvitation(owner: string, repo: string, invitationId: number): Promise<{ message: string }>;
-    listUserInvitations(options?: PaginationOptions): Promise<any[]>;
-    acceptInvitation(invitationId: number): Promise<any>;
-    declineInvitation(invitationId: number): Promise<{ message: string }>;
-    getPermissionLevel(owner: string, repo: string, username: string): Promise<string>;
-    hasPermission(owner: string, repo: string, username: string, requiredPermission: string): Promise<boolean>;
-    bulkAdd(owner: string, repo: string, collaborators: Array<{ username: string; permission?: string }>): Promise<any[]>;
-    getStats(owner: string, repo: string): Promise<any>;
-  }
-
-  export interface TagsAPI {
-    list(owner: string, repo: string, options?: PaginationOptions): Promise<Tag[]>;
-    get(owner: string, repo: string, tag: string): Promise<any>;
-    create(owner: string, repo: string, tagData: any): Promise<any>;
-    createRef(owner: string, repo: string, tag: string, sha: string): Promise<any>;
-    delete(owner: string, repo: string, tag: string): Promise<{ message: string }>;
-    getProtection(owner: string, repo: string): Promise<any[]>;
-    createProtection(owner: string, repo: string, pattern: string): Promise<any>;
-    deleteProtection(owner: string, repo: string, tagProtectionId: number): Promise<{ message: string }>;
-    listReleases(owner: string, repo: string, options?: PaginationOptions): Promise<any[]>;
-    getReleaseByTag(owner: string, repo: string, tag: string): Promise<any>;
-    createRelease(owner: string, repo: string, releaseData: any): Promise<any>;
-    compare(owner: string, repo: string, base: string, head: string): Promise<any>;
-    getCommit(owner: string, repo: string, tag: string): Promise<any>;
-    getLatest(owner: string, repo: string): Promise<Tag | null>;
-    exists(owner: string, repo: string, tag: string): Promise<boolean>;
-    getAllTags(owner: string, repo: string): Promise<Tag[]>;
-    createSemanticTag(owner: string, repo: string, version: string, sha: string, options?: any): Promise<any>;
-    getNextSemanticVersion(currentVersion: string, increment?: 'major' | 'minor' | 'patch'): string;
-    sortTagsBySemanticVersion(tags: Tag[], descending?: boolean): Tag[];
-  }
-
-  export interface WebhooksAPI {
-    list(owner: string, repo: string, options?: PaginationOptions): Promise<Webhook[]>;
-    get(owner: string, repo: string, hookId: number): Promise<Webhook>;
-    create(owner: string, repo: string, webhookData: CreateWebhookData): Promise<Webhook>;
-    update(owner: string, repo: string, hookId: number, updates: Partial<CreateWebhookData>): Promise<Webhook>;
-    delete(owner: string, repo: string, hookId: number): Promise<{ message: string }>;
-    test(owner: string, repo: string, hookId: number): Promise<any>;
-    ping(owner: string, repo: string, hookId: number): Promise<any>;
-  }
-
-  export interface SecurityAPI {
-    getSecurityAnalysis(owner: string, repo: string): Promise<any>;
-    updateSecurityAnalysis(owner: string, repo: string, settings: any): Promise<any>;
-    getVulnerabilityAlerts(owner: string, repo: string): Promise<{ enabled: boolean }>;
-    enableVulnerabilityAlerts(owner: string, repo: string): Promise<any>;
-    disableVulnerabilityAlerts(owner: string, repo: string): Promise<{ message: string }>;
-  }
-
-  export interface RulesAPI {
-    listRulesets(owner: string, repo: string, options?: PaginationOptions & { includes_parents?: boolean }): Promise<any[]>;
-    getRuleset(owner: string, repo: string, rulesetId: number): Promise<any>;
-    createRuleset(owner: string, repo: string, rulesetData: any): Promise<any>;
-    updateRuleset(owner: string, repo: string, rulesetId: number, updates: any): Promise<any>;
-    deleteRuleset(owner: string, repo: string, rulesetId: number): Promise<{ message: string }>;
-  }
-
-  // ============================================================================
-  // Main Client Class
-  // ============================================================================
-
-  export class RepoClient {
-    repositories: RepositoriesAPI;
-    branches: BranchesAPI;
-    collaborators: CollaboratorsAPI;
-    tags: TagsAPI;
-    webhooks: WebhooksAPI;
-    security: SecurityAPI;
-    rules: RulesAPI;
-
-    constructor(options: RepoClientOptions);
-    
-    initialize(): Promise<void>;
-    getAuthenticatedUser(): Promise<SimpleUser>;
-    getRateLimit(): Promise<any>;
-    ping(): Promise<{ success: boolean; message: string; rateLimit?: any; error?: string }>;
-    getConfig(): any;
-    updateConfig(updates: Partial<RepoClientOptions>): void;
-    
-    paginate<T>(method: (...args: any[]) => Promise<T[]>, ...args: any[]): {
-      [Symbol.asyncIterator](): AsyncIterableIterator<T>;
-      all(): Promise<T[]>;
-    };
-    
-    destroy(): void;
-  }
-
-  // ============================================================================
-  // Utility Functions
-  // ============================================================================
-
-  export function createClient(options?: RepoClientOptions): RepoClient;
-  export function getRepository(owner: string, repo: string, options?: RepoClientOptions): Promise<Repository>;
-  export function listRepositories(username?: string, options?: RepoClientOptions): Promise<Repository[]>;
-  export function createRepository(repoData: CreateRepositoryData, options?: RepoClientOptions): Promise<Repository>;
-
-  export function paginate<T>(httpClient: any, endpoint: string, options?: any): {
-    [Symbol.asyncIterator](): AsyncIterableIterator<T>;
-    all(limit?: number): Promise<T[]>;
-    first(count?: number): Promise<T | T[]>;
-  };
-  
-  export function paginateAll<T>(httpClient: any, endpoint: string, options?: any): Promise<T[]>;
-
-  export function validateInput(value: any, rules: any[]): boolean;
-  export function validateRepository(data: CreateRepositoryData): boolean;
-  export function validateRepositoryName(name: string): boolean;
-  export function validateUsername(username: string): boolean;
-  export function validateBranchName(branchName: string): boolean;
-  export function validateTagName(tagName: string): boolean;
-
-  // ============================================================================
-  // Package Info
-  // ============================================================================
-
-  export const packageInfo: {
+    /** If true, the rule will fail if the pattern matches. */
+    negate?: boolean;
+    /** The operator to use for matching. */
+    operator: 'starts_with' | 'ends_with' | 'contains' | 'regex';
+    /** The pattern to match with. */
+    pattern: string;
+  };
+}
+
+/** Parameters to be used for the committer_email_pattern rule */
+export interface RepositoryRuleCommitterEmailPattern {
+  type: 'committer_email_pattern';
+  parameters?: {
+    /** How this rule will appear to users. */
+    name?: string;
+    /** If true, the rule will fail if the pattern matches. */
+    negate?: boolean;
+    /** The operator to use for matching. */
+    operator: 'starts_with' | 'ends_with' | 'contains' | 'regex';
+    /** The pattern to match with. */
+    pattern: string;
+  };
+}
+
+/** Parameters to be used for the branch_name_pattern rule */
+export interface RepositoryRuleBranchNamePattern {
+  type: 'branch_name_pattern';
+  parameters?: {
+    /** How this rule will appear to users. */
+    name?: string;
+    /** If true, the rule will fail if the pattern matches. */
+    negate?: boolean;
+    /** The operator to use for matching. */
+    operator: 'starts_with' | 'ends_with' | 'contains' | 'regex';
+    /** The pattern to match with. */
+    pattern: string;
+  };
+}
+
+/** Parameters to be used for the tag_name_pattern rule */
+export interface RepositoryRuleTagNamePattern {
+  type: 'tag_name_pattern';
+  parameters?: {
+    /** How this rule will appear to users. */
+    name?: string;
+    /** If true, the rule will fail if the pattern matches. */
+    negate?: boolean;
+    /** The operator to use for matching. */
+    operator: 'starts_with' | 'ends_with' | 'contains' | 'regex';
+    /** The pattern to match with. */
+    pattern: string;
+  };
+}
+
+/** Prevent commits that include changes in specified file and folder paths from being pushed to the commit graph. This includes absolute paths that contain file names. */
+export interface RepositoryRuleFilePathRestriction {
+  type: 'file_path_restriction';
+  parameters?: {
+    /** The file paths that are restricted from being pushed to the commit graph. */
+    restricted_file_paths: string[];
+  };
+}
+
+/** Prevent commits that include file paths that exceed the specified character limit from being pushed to the commit graph. */
+export interface RepositoryRuleMaxFilePathLength {
+  type: 'max_file_path_length';
+  parameters?: {
+    /** The maximum amount of characters allowed in file paths. */
+    max_file_path_length: number;
+  };
+}
+
+/** Prevent commits that include files with specified file extensions from being pushed to the commit graph. */
+export interface RepositoryRuleFileExtensionRestriction {
+  type: 'file_extension_restriction';
+  parameters?: {
+    /** The file extensions that are restricted from being pushed to the commit graph. */
+    restricted_file_extensions: string[];
+  };
+}
+
+/** Prevent commits with individual files that exceed the specified limit from being pushed to the commit graph. */
+export interface RepositoryRuleMaxFileSize {
+  type: 'max_file_size';
+  parameters?: {
+    /** The maximum file size allowed in megabytes. This limit does not apply to Git Large File Storage (Git LFS). */
+    max_file_size: number;
+  };
+}
+
+/** Require all changes made to a targeted branch to pass the specified workflows before they can be merged. */
+export interface RepositoryRuleWorkflows {
+  type: 'workflows';
+  parameters?: {
+    /** Allow repositories and branches to be created if a check would otherwise prohibit it. */
+    do_not_enforce_on_create?: boolean;
+    /** Workflows that must pass for this rule to pass. */
+    workflows: RepositoryRuleParamsWorkflowFileReference[];
+  };
+}
+
+/** A workflow that must run for this rule to pass */
+export interface RepositoryRuleParamsWorkflowFileReference {
+  /** The path to the workflow file */
+  path: string;
+  /** The ref (branch or tag) of the workflow file to use */
+  ref?: string;
+  /** The ID of the repository where the workflow is defined */
+  repository_id: number;
+  /** The commit SHA of the workflow file to use */
+  sha?: string;
+}
+
+/** Choose which tools must provide code scanning results before the reference is updated. When configured, code scanning must be enabled and have results for both the commit and the reference being updated. */
+export interface RepositoryRuleCodeScanning {
+  type: 'code_scanning';
+  parameters?: {
+    /** Tools that must provide code scanning results for this rule to pass. */
+    code_scanning_tools: RepositoryRuleParamsCodeScanningTool[];
+  };
+}
+
+/** A tool that must provide code scanning results for this rule to pass. */
+export interface RepositoryRuleParamsCodeScanningTool {
+  /** The severity level at which code scanning results that raise alerts block a reference update. For more information on alert severity levels, see "About code scanning alerts." */
+  alerts_threshold: 'none' | 'errors' | 'errors_and_warnings' | 'all';
+  /** The severity level at which code scanning results that raise security alerts block a reference update. For more information on security severity levels, see "About code scanning alerts." */
+  security_alerts_threshold: 'none' | 'critical' | 'high_or_higher' | 'medium_or_higher' | 'all';
+  /** The name of a code scanning tool */
+  tool: string;
+}
+
+/** The permissions granted to the user access token. */
+export interface AppPermissions {
+  /** The level of permission to grant the access token for GitHub Actions workflows, workflow runs, and artifacts. */
+  actions?: 'read' | 'write';
+  /** The level of permission to grant the access token for repository creation, deletion, settings, teams, and collaborators creation. */
+  administration?: 'read' | 'write';
+  /** The level of permission to grant the access token for checks on code. */
+  checks?: 'read' | 'write';
+  /** The level of permission to grant the access token to create, edit, delete, and list Codespaces. */
+  codespaces?: 'read' | 'write';
+  /** The level of permission to grant the access token for repository contents, commits, branches, downloads, releases, and merges. */
+  contents?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage Dependabot secrets. */
+  dependabot_secrets?: 'read' | 'write';
+  /** The level of permission to grant the access token for deployments and deployment statuses. */
+  deployments?: 'read' | 'write';
+  /** The level of permission to grant the access token for managing repository environments. */
+  environments?: 'read' | 'write';
+  /** The level of permission to grant the access token for issues and related comments, assignees, labels, and milestones. */
+  issues?: 'read' | 'write';
+  /** The level of permission to grant the access token to search repositories, list collaborators, and access repository metadata. */
+  metadata?: 'read' | 'write';
+  /** The level of permission to grant the access token for packages published to GitHub Packages. */
+  packages?: 'read' | 'write';
+  /** The level of permission to grant the access token to retrieve Pages statuses, configuration, and builds, as well as create new builds. */
+  pages?: 'read' | 'write';
+  /** The level of permission to grant the access token for pull requests and related comments, assignees, labels, milestones, and merges. */
+  pull_requests?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and edit custom properties for a repository, when allowed by the property. */
+  repository_custom_properties?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage the post-receive hooks for a repository. */
+  repository_hooks?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage repository projects, columns, and cards. */
+  repository_projects?: 'read' | 'write' | 'admin';
+  /** The level of permission to grant the access token to view and manage secret scanning alerts. */
+  secret_scanning_alerts?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage repository secrets. */
+  secrets?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and manage security events like code scanning alerts. */
+  security_events?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage just a single file. */
+  single_file?: 'read' | 'write';
+  /** The level of permission to grant the access token for commit statuses. */
+  statuses?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage Dependabot alerts. */
+  vulnerability_alerts?: 'read' | 'write';
+  /** The level of permission to grant the access token to update GitHub Actions workflow files. */
+  workflows?: 'write';
+  /** The level of permission to grant the access token for organization teams and members. */
+  members?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage access to an organization. */
+  organization_administration?: 'read' | 'write';
+  /** The level of permission to grant the access token for custom repository roles management. */
+  organization_custom_roles?: 'read' | 'write';
+  /** The level of permission to grant the access token for custom organization roles management. */
+  organization_custom_org_roles?: 'read' | 'write';
+  /** The level of permission to grant the access token for custom property management. */
+  organization_custom_properties?: 'read' | 'write' | 'admin';
+  /** The level of permission to grant the access token for managing access to GitHub Copilot for members of an organization with a Copilot Business subscription. This property is in public preview and is subject to change. */
+  organization_copilot_seat_management?: 'write';
+  /** The level of permission to grant the access token to view and manage announcement banners for an organization. */
+  organization_announcement_banners?: 'read' | 'write';
+  /** The level of permission to grant the access token to view events triggered by an activity in an organization. */
+  organization_events?: 'read';
+  /** The level of permission to grant the access token to manage the post-receive hooks for an organization. */
+  organization_hooks?: 'read' | 'write';
+  /** The level of permission to grant the access token for viewing and managing fine-grained personal access token requests to an organization. */
+  organization_personal_access_tokens?: 'read' | 'write';
+  /** The level of permission to grant the access token for viewing and managing fine-grained personal access tokens that have been approved by an organization. */
+  organization_personal_access_token_requests?: 'read' | 'write';
+  /** The level of permission to grant the access token for viewing an organization's plan. */
+  organization_plan?: 'read';
+  /** The level of permission to grant the access token to manage organization projects and projects public preview (where available). */
+  organization_projects?: 'read' | 'write' | 'admin';
+  /** The level of permission to grant the access token for organization packages published to GitHub Packages. */
+  organization_packages?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage organization secrets. */
+  organization_secrets?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and manage GitHub Actions self-hosted runners available to an organization. */
+  organization_self_hosted_runners?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and manage users blocked by the organization. */
+  organization_user_blocking?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage team discussions and related comments. */
+  team_discussions?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage the email addresses belonging to a user. */
+  email_addresses?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage the followers belonging to a user. */
+  followers?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage git SSH keys. */
+  git_ssh_keys?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and manage GPG keys belonging to a user. */
+  gpg_keys?: 'read' | 'write';
+  /** The level of permission to grant the access token to view and manage interaction limits on a repository. */
+  interaction_limits?: 'read' | 'write';
+  /** The level of permission to grant the access token to manage the profile settings belonging to a user. */
+  profile?: 'write';
+  /** The level of permission to grant the access token to list and manage repositories a user is starring. */
+  starring?: 'read' | 'write';
+}
+
+/** Authentication token for a GitHub App installed on a user or org. */
+export interface InstallationToken {
+  token: string;
+  expires_at: string;
+  permissions?: AppPermissions;
+  repository_selection?: 'all' | 'selected';
+  repositories?: Repository[];
+  single_file?: string;
+  has_multiple_single_files?: boolean;
+  single_file_paths?: string[];
+}
+
+/** Private User */
+export interface PrivateUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  private_gists: number;
+  total_private_repos: number;
+  owned_private_repos: number;
+  disk_usage: number;
+  collaborators: number;
+  two_factor_authentication: boolean;
+  plan?: {
+    collaborators: number;
     name: string;
-    version: string;
-    description: string;
-    homepage: string;
+    space: number;
+    private_repos: number;
   };
+  business_plus?: boolean;
+  ldap_dn?: string;
+}
 
-  // ============================================================================
-  // Default Export
-  // ============================================================================
+/** Public User */
+export interface PublicUser {
+  login: string;
+  id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  created_at: string;
+  updated_at: string;
+  plan?: {
+    collaborators: number;
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  private_gists?: number;
+  total_private_repos?: number;
+  owned_private_repos?: number;
+  disk_usage?: number;
+  collaborators?: number;
+}
+
+/** Rate Limit Overview */
+export interface RateLimitOverview {
+  resources: {
+    core: RateLimit;
+    graphql?: RateLimit;
+    search: RateLimit;
+    code_search?: RateLimit;
+    source_import?: RateLimit;
+    integration_manifest?: RateLimit;
+    code_scanning_upload?: RateLimit;
+    actions_runner_registration?: RateLimit;
+    scim?: RateLimit;
+    dependency_snapshots?: RateLimit;
+    dependency_sbom?: RateLimit;
+    code_scanning_autofix?: RateLimit;
+  };
+  rate: RateLimit;
+}
 
-  export default RepoClient;
-}
\ No newline at end of file
+/** Rate Limit */
+export interface RateLimit {
+  limit: number;
+  remaining: number;
+  reset: number;
+  used: number;
+}
@@ -0,0 +1,25 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-repos, see `gh-typegen`
+ */
+const API_MODULES = ['repositories', 'collaborators', 'branches', 'tags', 'webhooks', 'security', 'rules'];
+
+const interfaceName = module => `${module[0].toUpperCase()}${module.slice(1)}API`;
+
+export default {
+  name: '@thinkeloquent/github-sdk-repos',
+  description: 'GitHub Repository API client and CLI',
+  entry: 'index.mjs',
+  // HTTPClient resolves to the response body
+  response: 'data',
+  // RepoClient binds its HTTP client as the first argument of every API function
+  interfaces: Object.fromEntries(API_MODULES.map(module => [interfaceName(module), {
+    description: `\`client.${module}\`: the functions of src/api/${module}.mjs bound to the client`,
+    source: `src/api/${module}.mjs`,
+    skip: 1
+  }])),
+  classes: {
+    RepoClient: {
+      properties: Object.fromEntries(API_MODULES.map(module => [module, interfaceName(module)]))
+    }
+  }
+};
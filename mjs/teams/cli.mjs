@@ -6,13 +6,33 @@ import ora from 'ora';
 import { table } from 'table';
 import inquirer from 'inquirer';
 import dotenv from 'dotenv';
+import {
+  resolveToken,
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  addAuditOption,
+  registerAuditCommand,
+  registerCompletionCommand,
+  readCompletionCache,
+  writeCompletionCache,
+  COMPLETION_COMMANDS,
+  isDryRun,
+  writeOutput,
+  isMachineOutput,
+  isMainModule
+} from '@thinkeloquent/github-sdk-core';
 import TeamsClient from './client.mjs';
 import { formatDate, formatError } from './utils/format.mjs';
 
 dotenv.config();
 
 const program = new Command();
-const client = new TeamsClient();
+
+// Created in the preAction hook once a token is resolved
+let client;
 
 program
   .name('github-teams')
@@ -20,14 +40,28 @@ program
   .version('1.0.0')
   .option('-t, --token <token>', 'GitHub personal access token')
   .option('-o, --org <org>', 'GitHub organization')
-  .hook('preAction', (thisCommand) => {
-    const token = thisCommand.opts().token || process.env.GITHUB_TOKEN;
-    if (!token) {
-      console.error(chalk.red('Error: GitHub token is required. Set GITHUB_TOKEN env var or use --token flag'));
+  .option('--output <format>', 'Output format (json, yaml, csv, ndjson, table)');
+
+addOutputOptions(program);
+addDryRunOption(program);
+addAuditOption(program);
+addProfileOption(program)
+  .hook('preAction', (thisCommand, actionCommand) => {
+    if (['login', 'audit', ...COMPLETION_COMMANDS].includes(actionCommand.name()) || actionCommand.parent?.name() === 'profiles') {
+      return;
+    }
+    let credential;
+    try {
+      credential = resolveToken({ token: thisCommand.opts().token });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    if (!credential?.token) {
+      console.error(chalk.red('Error: GitHub token is required. Run github-teams login, set GITHUB_TOKEN env var or use --token flag'));
       process.exit(1);
     }
-    client.token = token;
-    client.headers['Authorization'] = `Bearer ${token}`;
+    client = new TeamsClient({ token: credential.token, baseURL: credential.baseUrl });
   });
 
 const teams = program.command('teams').description('Manage teams');
@@ -51,6 +85,12 @@ teams
       });
       
       spinner.succeed('Teams fetched successfully');
+      writeCompletionCache(['teams', org], teams.map(team => ({ value: team.slug, description: team.name })));
+
+      if (isMachineOutput(program.opts())) {
+        writeOutput(teams, program.opts());
+        return;
+      }
       
       if (teams.length === 0) {
         console.log(chalk.yellow('No teams found'));
@@ -147,6 +187,11 @@ teams
       
       const team = await client.getTeam(org, teamSlug);
       spinner.succeed('Team details fetched successfully');
+
+      if (isMachineOutput(program.opts())) {
+        writeOutput(team, program.opts());
+        return;
+      }
       
       console.log(chalk.bold('\nTeam Details:'));
       console.log(`ID: ${team.id}`);
@@ -217,7 +262,7 @@ teams
       process.exit(1);
     }
     
-    if (!options.confirm) {
+    if (!options.confirm && !isDryRun()) {
       const answer = await inquirer.prompt([
         {
           type: 'confirm',
@@ -263,6 +308,11 @@ members
       });
       
       spinner.succeed('Members fetched successfully');
+
+      if (isMachineOutput(program.opts())) {
+        writeOutput(members, program.opts());
+        return;
+      }
       
       if (members.length === 0) {
         console.log(chalk.yellow('No members found'));
@@ -348,6 +398,11 @@ repos
       const repos = await client.listTeamRepos(org, teamSlug);
       
       spinner.succeed('Repositories fetched successfully');
+
+      if (isMachineOutput(program.opts())) {
+        writeOutput(repos, program.opts());
+        return;
+      }
       
       if (repos.length === 0) {
         console.log(chalk.yellow('No repositories found'));
@@ -418,7 +473,35 @@ repos
     }
   });
 
-// Only execute CLI when this file is run directly, not when imported
-if (import.meta.url === `file://${process.argv[1]}`) {
-  program.parse(process.argv);
-}
\ No newline at end of file
+registerLoginCommand(program, { scopes: ['read:org', 'write:org'] });
+registerProfilesCommand(program);
+registerAuditCommand(program);
+registerCompletionCommand(program, {
+  hooks: {
+    // Slugs from the last `teams list` for the organization
+    teamSlug: ({ options }) => (options.org ? readCompletionCache(['teams', options.org]) : [])
+  }
+});
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  await program.parseAsync(argv);
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
+
+export { program };
+export default program;
\ No newline at end of file
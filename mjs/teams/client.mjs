@@ -1,8 +1,22 @@
-import { request } from './utils/http.mjs';
+import { request, createTransport } from './utils/http.mjs';
 import { buildQueryString } from './utils/query.mjs';
 import { validateOptions } from './utils/validation.mjs';
 
 class TeamsClient {
+  /**
+   * @param {Object} options - Client configuration options
+   * @param {string} options.token - GitHub personal access token
+   * @param {string} [options.baseURL] - Base URL for GitHub API
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.retries] - Retries for failed requests
+   * @param {string|Object} [options.cassette] - Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE)
+   * @param {string} [options.validate] - Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE)
+   * @param {boolean|Object} [options.dryRun] - Print write requests instead of sending them (default: GITHUB_DRY_RUN)
+   * @param {boolean|string|Object} [options.audit] - Log write requests to the audit log (default: GITHUB_AUDIT_LOG)
+   * @param {boolean|Object} [options.scheduler] - Request scheduler options, or `false` to opt out (default: shared per credential)
+   * @param {Object|Object[]} [options.instrumentation] - Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones
+   */
   constructor(options = {}) {
     // Validate token requirement - be strict about requiring a token in options
     if (!options.token) {
@@ -26,12 +40,24 @@ class TeamsClient {
     if (this.token) {
       this.headers['Authorization'] = `Bearer ${this.token}`;
     }
+
+    this.transport = createTransport({
+      timeout: options.timeout,
+      retries: options.retries,
+      cassette: options.cassette,
+      validate: options.validate,
+      dryRun: options.dryRun,
+      audit: options.audit,
+      scheduler: options.scheduler,
+      instrumentation: options.instrumentation
+    });
   }
 
   async listTeams(org, options = {}) {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams${query}`,
       headers: this.headers
@@ -40,6 +66,7 @@ class TeamsClient {
 
   async createTeam(org, data) {
     return request({
+      transport: this.transport,
       method: 'POST',
       url: `${this.baseURL}/orgs/${org}/teams`,
       headers: this.headers,
@@ -52,6 +79,7 @@ class TeamsClient {
       throw new Error('Both org and team parameters are required');
     }
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}`,
       headers: this.headers
@@ -66,6 +94,7 @@ class TeamsClient {
       throw new Error('Data parameter is required');
     }
     return request({
+      transport: this.transport,
       method: 'PATCH',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}`,
       headers: this.headers,
@@ -78,6 +107,7 @@ class TeamsClient {
       throw new Error('Both org and team parameters are required');
     }
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}`,
       headers: this.headers
@@ -91,6 +121,7 @@ class TeamsClient {
     validateOptions(options, ['role', 'per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/members${query}`,
       headers: this.headers
@@ -105,6 +136,7 @@ class TeamsClient {
       throw new Error('Username parameter is required');
     }
     return request({
+      transport: this.transport,
       method: 'PUT',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/memberships/${username}`,
       headers: this.headers,
@@ -120,6 +152,7 @@ class TeamsClient {
       throw new Error('Username parameter is required');
     }
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/memberships/${username}`,
       headers: this.headers
@@ -134,6 +167,7 @@ class TeamsClient {
       throw new Error('Username parameter is required');
     }
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/memberships/${username}`,
       headers: this.headers
@@ -144,6 +178,7 @@ class TeamsClient {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/repos${query}`,
       headers: this.headers
@@ -152,6 +187,7 @@ class TeamsClient {
 
   async addTeamRepo(org, teamSlug, owner, repo, options = {}) {
     return request({
+      transport: this.transport,
       method: 'PUT',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/repos/${owner}/${repo}`,
       headers: this.headers,
@@ -161,6 +197,7 @@ class TeamsClient {
 
   async removeTeamRepo(org, teamSlug, owner, repo) {
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/repos/${owner}/${repo}`,
       headers: this.headers
@@ -169,6 +206,7 @@ class TeamsClient {
 
   async checkTeamRepo(org, teamSlug, owner, repo) {
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/repos/${owner}/${repo}`,
       headers: this.headers
@@ -179,6 +217,7 @@ class TeamsClient {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/projects${query}`,
       headers: {
@@ -190,6 +229,7 @@ class TeamsClient {
 
   async addTeamProject(org, teamSlug, projectId, options = {}) {
     return request({
+      transport: this.transport,
       method: 'PUT',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/projects/${projectId}`,
       headers: {
@@ -202,6 +242,7 @@ class TeamsClient {
 
   async removeTeamProject(org, teamSlug, projectId) {
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/projects/${projectId}`,
       headers: {
@@ -213,6 +254,7 @@ class TeamsClient {
 
   async checkTeamProject(org, teamSlug, projectId) {
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/projects/${projectId}`,
       headers: {
@@ -226,6 +268,7 @@ class TeamsClient {
     validateOptions(options, ['direction', 'per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions${query}`,
       headers: this.headers
@@ -234,6 +277,7 @@ class TeamsClient {
 
   async createTeamDiscussion(org, teamSlug, data) {
     return request({
+      transport: this.transport,
       method: 'POST',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions`,
       headers: this.headers,
@@ -243,6 +287,7 @@ class TeamsClient {
 
   async getTeamDiscussion(org, teamSlug, discussionNumber) {
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}`,
       headers: this.headers
@@ -251,6 +296,7 @@ class TeamsClient {
 
   async updateTeamDiscussion(org, teamSlug, discussionNumber, data) {
     return request({
+      transport: this.transport,
       method: 'PATCH',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}`,
       headers: this.headers,
@@ -260,6 +306,7 @@ class TeamsClient {
 
   async deleteTeamDiscussion(org, teamSlug, discussionNumber) {
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}`,
       headers: this.headers
@@ -270,6 +317,7 @@ class TeamsClient {
     validateOptions(options, ['direction', 'per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}/comments${query}`,
       headers: this.headers
@@ -278,6 +326,7 @@ class TeamsClient {
 
   async createDiscussionComment(org, teamSlug, discussionNumber, data) {
     return request({
+      transport: this.transport,
       method: 'POST',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}/comments`,
       headers: this.headers,
@@ -287,6 +336,7 @@ class TeamsClient {
 
   async getDiscussionComment(org, teamSlug, discussionNumber, commentNumber) {
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}/comments/${commentNumber}`,
       headers: this.headers
@@ -295,6 +345,7 @@ class TeamsClient {
 
   async updateDiscussionComment(org, teamSlug, discussionNumber, commentNumber, data) {
     return request({
+      transport: this.transport,
       method: 'PATCH',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}/comments/${commentNumber}`,
       headers: this.headers,
@@ -304,6 +355,7 @@ class TeamsClient {
 
   async deleteDiscussionComment(org, teamSlug, discussionNumber, commentNumber) {
     return request({
+      transport: this.transport,
       method: 'DELETE',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/discussions/${discussionNumber}/comments/${commentNumber}`,
       headers: this.headers
@@ -314,6 +366,7 @@ class TeamsClient {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/teams${query}`,
       headers: this.headers
@@ -324,6 +377,7 @@ class TeamsClient {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/users/${username}/teams${query}`,
       headers: this.headers
@@ -334,6 +388,7 @@ class TeamsClient {
     validateOptions(options, ['per_page', 'page']);
     const query = buildQueryString(options);
     return request({
+      transport: this.transport,
       method: 'GET',
       url: `${this.baseURL}/orgs/${org}/teams/${teamSlug}/invitations${query}`,
       headers: this.headers
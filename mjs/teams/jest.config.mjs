@@ -2,6 +2,7 @@ export default {
   testEnvironment: 'node',
   transform: {},
   moduleFileExtensions: ['mjs', 'js', 'json'],
+  setupFiles: ['<rootDir>/jest.setup.mjs'],
   testMatch: ['**/__tests__/**/*.mjs', '**/*.test.mjs', '**/*.spec.mjs'],
   collectCoverageFrom: [
     '*.mjs',
@@ -10,7 +11,8 @@ export default {
     'utils/**/*.mjs',
     '!node_modules/**',
     '!test*.mjs',
-    '!jest.config.mjs'
+    '!jest.config.mjs',
+    '!jest.setup.mjs'
   ],
   coverageReporters: ['text', 'text-summary', 'html'],
   verbose: true
@@ -0,0 +1,1095 @@
+/**
+ * TypeScript definitions for @thinkeloquent/github-sdk-teams
+ * GitHub Teams API SDK and CLI
+ */
+
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+export namespace models {
+  export const TeamSchema: Record<string, any>;
+
+  export const TeamFullSchema: Record<string, any>;
+
+  export const TeamDiscussionSchema: Record<string, any>;
+
+  export const TeamDiscussionCommentSchema: Record<string, any>;
+
+  export const TeamMembershipSchema: Record<string, any>;
+
+  export const TeamRepositorySchema: Record<string, any>;
+
+  export const TeamProjectSchema: Record<string, any>;
+
+  export const OrganizationInvitationSchema: Record<string, any>;
+
+  export const SimpleUserSchema: Record<string, any>;
+
+  export function validateTeam(data: any): any;
+
+  export function validateTeamFull(data: any): any;
+
+  export class Team {
+    constructor(data?: any);
+  }
+
+  export class TeamMember {
+    constructor(data?: any);
+  }
+
+  export function validateSchema(data: any, schema: any): any;
+}
+
+/** Client configuration options */
+interface TeamsClientOptions {
+  /** GitHub personal access token */
+  token: string;
+  /** Base URL for GitHub API */
+  baseURL?: string;
+  /** Extra request headers */
+  headers?: Record<string, any>;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Retries for failed requests */
+  retries?: number;
+  /** Record/replay cassette path or `{ path, mode }` (default: GITHUB_CASSETTE) */
+  cassette?: string | Record<string, any>;
+  /** Check requests and responses against the OpenAPI specs: 'warn' or 'strict' (default: GITHUB_VALIDATE) */
+  validate?: string;
+  /** Print write requests instead of sending them (default: GITHUB_DRY_RUN) */
+  dryRun?: boolean | Record<string, any>;
+  /** Log write requests to the audit log (default: GITHUB_AUDIT_LOG) */
+  audit?: boolean | string | Record<string, any>;
+  /** Request scheduler options, or `false` to opt out (default: shared per credential) */
+  scheduler?: boolean | Record<string, any>;
+  /** Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones */
+  instrumentation?: Record<string, any> | Record<string, any>[];
+  [key: string]: any;
+}
+
+declare class TeamsClient {
+  constructor(options?: TeamsClientOptions);
+  token: TeamsClientOptions["token"];
+  baseURL: NonNullable<TeamsClientOptions["baseURL"]>;
+  baseUrl: any;
+  headers: Record<string, any>;
+  transport: any;
+  /**
+   * `GET /orgs/{org}/teams`
+   * @see https://docs.github.com/rest/teams/teams#list-teams
+   */
+  listTeams(org: string, options?: TeamsListParams): Promise<TeamsListResponse>;
+  /**
+   * `POST /orgs/{org}/teams`
+   * @see https://docs.github.com/rest/teams/teams#create-a-team
+   */
+  createTeam(org: string, data: TeamsCreateRequest): Promise<TeamsCreateResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}`
+   * @see https://docs.github.com/rest/teams/teams#get-a-team-by-name
+   */
+  getTeam(org: string, teamSlug: string): Promise<TeamsGetByNameResponse>;
+  /**
+   * `PATCH /orgs/{org}/teams/{team_slug}`
+   * @see https://docs.github.com/rest/teams/teams#update-a-team
+   */
+  updateTeam(org: string, teamSlug: string, data: TeamsUpdateInOrgRequest): Promise<TeamsUpdateInOrgResponse>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}`
+   * @see https://docs.github.com/rest/teams/teams#delete-a-team
+   */
+  deleteTeam(org: string, teamSlug: string): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/members`
+   * @see https://docs.github.com/rest/teams/members#list-team-members
+   */
+  listTeamMembers(org: string, teamSlug: string, options?: TeamsListMembersInOrgParams): Promise<TeamsListMembersInOrgResponse>;
+  /**
+   * `PUT /orgs/{org}/teams/{team_slug}/memberships/{username}`
+   * @see https://docs.github.com/rest/teams/members#add-or-update-team-membership-for-a-user
+   */
+  addTeamMember(org: string, teamSlug: string, username: string, options?: TeamsAddOrUpdateMembershipForUserInOrgRequest): Promise<TeamsAddOrUpdateMembershipForUserInOrgResponse>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}/memberships/{username}`
+   * @see https://docs.github.com/rest/teams/members#remove-team-membership-for-a-user
+   */
+  removeTeamMember(org: string, teamSlug: string, username: string): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/memberships/{username}`
+   * @see https://docs.github.com/rest/teams/members#get-team-membership-for-a-user
+   */
+  getTeamMembership(org: string, teamSlug: string, username: string): Promise<TeamsGetMembershipForUserInOrgResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/repos`
+   * @see https://docs.github.com/rest/teams/teams#list-team-repositories
+   */
+  listTeamRepos(org: string, teamSlug: string, options?: TeamsListReposInOrgParams): Promise<TeamsListReposInOrgResponse>;
+  /**
+   * `PUT /orgs/{org}/teams/{team_slug}/repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/teams/teams#add-or-update-team-repository-permissions
+   */
+  addTeamRepo(org: string, teamSlug: string, owner: string, repo: string, options?: TeamsAddOrUpdateRepoPermissionsInOrgRequest): Promise<void>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}/repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/teams/teams#remove-a-repository-from-a-team
+   */
+  removeTeamRepo(org: string, teamSlug: string, owner: string, repo: string): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/repos/{owner}/{repo}`
+   * @see https://docs.github.com/rest/teams/teams#check-team-permissions-for-a-repository
+   */
+  checkTeamRepo(org: string, teamSlug: string, owner: string, repo: string): Promise<TeamsCheckPermissionsForRepoInOrgResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/projects`
+   * @see https://docs.github.com/rest/teams/teams#list-team-projects
+   * @deprecated
+   */
+  listTeamProjects(org: string, teamSlug: string, options?: TeamsListProjectsInOrgParams): Promise<TeamsListProjectsInOrgResponse>;
+  /**
+   * `PUT /orgs/{org}/teams/{team_slug}/projects/{project_id}`
+   * @see https://docs.github.com/rest/teams/teams#add-or-update-team-project-permissions
+   * @deprecated
+   */
+  addTeamProject(org: string, teamSlug: string, projectId: number, options?: TeamsAddOrUpdateProjectPermissionsInOrgRequest): Promise<void>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}/projects/{project_id}`
+   * @see https://docs.github.com/rest/teams/teams#remove-a-project-from-a-team
+   * @deprecated
+   */
+  removeTeamProject(org: string, teamSlug: string, projectId: number): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/projects/{project_id}`
+   * @see https://docs.github.com/rest/teams/teams#check-team-permissions-for-a-project
+   * @deprecated
+   */
+  checkTeamProject(org: string, teamSlug: string, projectId: number): Promise<TeamsCheckPermissionsForProjectInOrgResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/discussions`
+   * @see https://docs.github.com/rest/teams/discussions#list-discussions
+   */
+  listTeamDiscussions(org: string, teamSlug: string, options?: TeamsListDiscussionsInOrgParams): Promise<TeamsListDiscussionsInOrgResponse>;
+  /**
+   * `POST /orgs/{org}/teams/{team_slug}/discussions`
+   * @see https://docs.github.com/rest/teams/discussions#create-a-discussion
+   */
+  createTeamDiscussion(org: string, teamSlug: string, data: TeamsCreateDiscussionInOrgRequest): Promise<TeamsCreateDiscussionInOrgResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}`
+   * @see https://docs.github.com/rest/teams/discussions#get-a-discussion
+   */
+  getTeamDiscussion(org: string, teamSlug: string, discussionNumber: number): Promise<TeamsGetDiscussionInOrgResponse>;
+  /**
+   * `PATCH /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}`
+   * @see https://docs.github.com/rest/teams/discussions#update-a-discussion
+   */
+  updateTeamDiscussion(org: string, teamSlug: string, discussionNumber: number, data: TeamsUpdateDiscussionInOrgRequest): Promise<TeamsUpdateDiscussionInOrgResponse>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}`
+   * @see https://docs.github.com/rest/teams/discussions#delete-a-discussion
+   */
+  deleteTeamDiscussion(org: string, teamSlug: string, discussionNumber: number): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments`
+   * @see https://docs.github.com/rest/teams/discussion-comments#list-discussion-comments
+   */
+  listDiscussionComments(org: string, teamSlug: string, discussionNumber: number, options?: TeamsListDiscussionCommentsInOrgParams): Promise<TeamsListDiscussionCommentsInOrgResponse>;
+  /**
+   * `POST /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments`
+   * @see https://docs.github.com/rest/teams/discussion-comments#create-a-discussion-comment
+   */
+  createDiscussionComment(org: string, teamSlug: string, discussionNumber: number, data: TeamsCreateDiscussionCommentInOrgRequest): Promise<TeamsCreateDiscussionCommentInOrgResponse>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}`
+   * @see https://docs.github.com/rest/teams/discussion-comments#get-a-discussion-comment
+   */
+  getDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number): Promise<TeamsGetDiscussionCommentInOrgResponse>;
+  /**
+   * `PATCH /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}`
+   * @see https://docs.github.com/rest/teams/discussion-comments#update-a-discussion-comment
+   */
+  updateDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number, data: TeamsUpdateDiscussionCommentInOrgRequest): Promise<TeamsUpdateDiscussionCommentInOrgResponse>;
+  /**
+   * `DELETE /orgs/{org}/teams/{team_slug}/discussions/{discussion_number}/comments/{comment_number}`
+   * @see https://docs.github.com/rest/teams/discussion-comments#delete-a-discussion-comment
+   */
+  deleteDiscussionComment(org: string, teamSlug: string, discussionNumber: number, commentNumber: number): Promise<void>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/teams`
+   * @see https://docs.github.com/rest/teams/teams#list-child-teams
+   */
+  listChildTeams(org: string, teamSlug: string, options?: TeamsListChildInOrgParams): Promise<TeamsListChildInOrgResponse>;
+  listTeamsForUser(username: any, options?: any): Promise<any>;
+  /**
+   * `GET /orgs/{org}/teams/{team_slug}/invitations`
+   * @see https://docs.github.com/rest/teams/members#list-pending-team-invitations
+   */
+  listPendingInvitations(org: string, teamSlug: string, options?: TeamsListPendingInvitationsInOrgParams): Promise<TeamsListPendingInvitationsInOrgResponse>;
+}
+
+export function createClient(options?: any): TeamsClient;
+
+export const listTeams: TeamsClient["listTeams"];
+
+export const createTeam: TeamsClient["createTeam"];
+
+export const getTeam: TeamsClient["getTeam"];
+
+export const updateTeam: TeamsClient["updateTeam"];
+
+export const deleteTeam: TeamsClient["deleteTeam"];
+
+export const listTeamMembers: TeamsClient["listTeamMembers"];
+
+export const addTeamMember: TeamsClient["addTeamMember"];
+
+export const removeTeamMember: TeamsClient["removeTeamMember"];
+
+export const getTeamMembership: TeamsClient["getTeamMembership"];
+
+export const listTeamRepos: TeamsClient["listTeamRepos"];
+
+export const addTeamRepo: TeamsClient["addTeamRepo"];
+
+export const removeTeamRepo: TeamsClient["removeTeamRepo"];
+
+export const checkTeamRepo: TeamsClient["checkTeamRepo"];
+
+export const listTeamProjects: TeamsClient["listTeamProjects"];
+
+export const addTeamProject: TeamsClient["addTeamProject"];
+
+export const removeTeamProject: TeamsClient["removeTeamProject"];
+
+export const checkTeamProject: TeamsClient["checkTeamProject"];
+
+export const listTeamDiscussions: TeamsClient["listTeamDiscussions"];
+
+export const createTeamDiscussion: TeamsClient["createTeamDiscussion"];
+
+export const getTeamDiscussion: TeamsClient["getTeamDiscussion"];
+
+export const updateTeamDiscussion: TeamsClient["updateTeamDiscussion"];
+
+export const deleteTeamDiscussion: TeamsClient["deleteTeamDiscussion"];
+
+export const listDiscussionComments: TeamsClient["listDiscussionComments"];
+
+export const createDiscussionComment: TeamsClient["createDiscussionComment"];
+
+export const getDiscussionComment: TeamsClient["getDiscussionComment"];
+
+export const updateDiscussionComment: TeamsClient["updateDiscussionComment"];
+
+export const deleteDiscussionComment: TeamsClient["deleteDiscussionComment"];
+
+export const listChildTeams: TeamsClient["listChildTeams"];
+
+export const listTeamsForUser: TeamsClient["listTeamsForUser"];
+
+export const listPendingInvitations: TeamsClient["listPendingInvitations"];
+
+export default TeamsClient;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Query parameters for teams/list */
+export interface TeamsListParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list */
+export type TeamsListResponse = TeamSchema2[];
+
+/** Request body for teams/create */
+export interface TeamsCreateRequest {
+  /** The name of the team. */
+  name: string;
+  /** The description of the team. */
+  description?: string;
+  /** List GitHub usernames for organization members who will become team maintainers. */
+  maintainers?: string[];
+  /** The full name (e.g., "organization-name/repository-name") of repositories to add the team to. */
+  repo_names?: string[];
+  /** The level of privacy this team should have. The options are: */
+  privacy?: 'secret' | 'closed';
+  /** The notification setting the team has chosen. The options are: */
+  notification_setting?: 'notifications_enabled' | 'notifications_disabled';
+  /** **Closing down notice**. The permission that new repositories will be added to the team with when none is specified. */
+  permission?: 'pull' | 'push';
+  /** The ID of a team to set as the parent team. */
+  parent_team_id?: number;
+}
+
+/** Response body for teams/create */
+export type TeamsCreateResponse = TeamFull;
+
+/** Response body for teams/get-by-name */
+export type TeamsGetByNameResponse = TeamFull;
+
+/** Request body for teams/update-in-org */
+export interface TeamsUpdateInOrgRequest {
+  /** The name of the team. */
+  name?: string;
+  /** The description of the team. */
+  description?: string;
+  /** The level of privacy this team should have. Editing teams without specifying this parameter leaves `privacy` intact. When a team is nested, the `privacy` for parent teams cannot be `secret`. The options are: */
+  privacy?: 'secret' | 'closed';
+  /** The notification setting the team has chosen. Editing teams without specifying this parameter leaves `notification_setting` intact. The options are: */
+  notification_setting?: 'notifications_enabled' | 'notifications_disabled';
+  /** **Closing down notice**. The permission that new repositories will be added to the team with when none is specified. */
+  permission?: 'pull' | 'push' | 'admin';
+  /** The ID of a team to set as the parent team. */
+  parent_team_id?: number | null;
+}
+
+/** Response body for teams/update-in-org */
+export type TeamsUpdateInOrgResponse = TeamFull;
+
+/** Query parameters for teams/list-members-in-org */
+export interface TeamsListMembersInOrgParams {
+  /** Filters members returned by their role in the team. */
+  role?: 'member' | 'maintainer' | 'all';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-members-in-org */
+export type TeamsListMembersInOrgResponse = SimpleUser[];
+
+/** Request body for teams/add-or-update-membership-for-user-in-org */
+export interface TeamsAddOrUpdateMembershipForUserInOrgRequest {
+  /** The role that this user should have in the team. */
+  role?: 'member' | 'maintainer';
+}
+
+/** Response body for teams/add-or-update-membership-for-user-in-org */
+export type TeamsAddOrUpdateMembershipForUserInOrgResponse = TeamMembership;
+
+/** Response body for teams/get-membership-for-user-in-org */
+export type TeamsGetMembershipForUserInOrgResponse = TeamMembership;
+
+/** Query parameters for teams/list-repos-in-org */
+export interface TeamsListReposInOrgParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-repos-in-org */
+export type TeamsListReposInOrgResponse = MinimalRepository[];
+
+/** Request body for teams/add-or-update-repo-permissions-in-org */
+export interface TeamsAddOrUpdateRepoPermissionsInOrgRequest {
+  /** The permission to grant the team on this repository. We accept the following permissions to be set: `pull`, `triage`, `push`, `maintain`, `admin` and you can also specify a custom repository role name, if the owning organization has defined any. If no permission is specified, the team's `permission` attribute will be used to determine what permission to grant the team on this repository. */
+  permission?: string;
+}
+
+/** Response body for teams/check-permissions-for-repo-in-org */
+export type TeamsCheckPermissionsForRepoInOrgResponse = TeamRepository;
+
+/** Query parameters for teams/list-projects-in-org */
+export interface TeamsListProjectsInOrgParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-projects-in-org */
+export type TeamsListProjectsInOrgResponse = TeamProject[];
+
+/** Request body for teams/add-or-update-project-permissions-in-org */
+export type TeamsAddOrUpdateProjectPermissionsInOrgRequest = {
+  /** The permission to grant to the team for this project. Default: the team's `permission` attribute will be used to determine what permission to grant the team on this project. Note that, if you choose not to pass any parameters, you'll need to set `Content-Length` to zero when calling this endpoint. For more information, see "HTTP method." */
+  permission?: 'read' | 'write' | 'admin';
+} | null;
+
+/** Response body for teams/check-permissions-for-project-in-org */
+export type TeamsCheckPermissionsForProjectInOrgResponse = TeamProject;
+
+/** Query parameters for teams/list-discussions-in-org */
+export interface TeamsListDiscussionsInOrgParams {
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+  /** Pinned discussions only filter */
+  pinned?: string;
+}
+
+/** Response body for teams/list-discussions-in-org */
+export type TeamsListDiscussionsInOrgResponse = TeamDiscussion[];
+
+/** Request body for teams/create-discussion-in-org */
+export interface TeamsCreateDiscussionInOrgRequest {
+  /** The discussion post's title. */
+  title: string;
+  /** The discussion post's body text. */
+  body: string;
+  /** Private posts are only visible to team members, organization owners, and team maintainers. Public posts are visible to all members of the organization. Set to `true` to create a private post. */
+  private?: boolean;
+}
+
+/** Response body for teams/create-discussion-in-org */
+export type TeamsCreateDiscussionInOrgResponse = TeamDiscussion;
+
+/** Response body for teams/get-discussion-in-org */
+export type TeamsGetDiscussionInOrgResponse = TeamDiscussion;
+
+/** Request body for teams/update-discussion-in-org */
+export interface TeamsUpdateDiscussionInOrgRequest {
+  /** The discussion post's title. */
+  title?: string;
+  /** The discussion post's body text. */
+  body?: string;
+}
+
+/** Response body for teams/update-discussion-in-org */
+export type TeamsUpdateDiscussionInOrgResponse = TeamDiscussion;
+
+/** Query parameters for teams/list-discussion-comments-in-org */
+export interface TeamsListDiscussionCommentsInOrgParams {
+  /** The direction to sort the results by. */
+  direction?: 'asc' | 'desc';
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-discussion-comments-in-org */
+export type TeamsListDiscussionCommentsInOrgResponse = TeamDiscussionComment[];
+
+/** Request body for teams/create-discussion-comment-in-org */
+export interface TeamsCreateDiscussionCommentInOrgRequest {
+  /** The discussion comment's body text. */
+  body: string;
+}
+
+/** Response body for teams/create-discussion-comment-in-org */
+export type TeamsCreateDiscussionCommentInOrgResponse = TeamDiscussionComment;
+
+/** Response body for teams/get-discussion-comment-in-org */
+export type TeamsGetDiscussionCommentInOrgResponse = TeamDiscussionComment;
+
+/** Request body for teams/update-discussion-comment-in-org */
+export interface TeamsUpdateDiscussionCommentInOrgRequest {
+  /** The discussion comment's body text. */
+  body: string;
+}
+
+/** Response body for teams/update-discussion-comment-in-org */
+export type TeamsUpdateDiscussionCommentInOrgResponse = TeamDiscussionComment;
+
+/** Query parameters for teams/list-child-in-org */
+export interface TeamsListChildInOrgParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-child-in-org */
+export type TeamsListChildInOrgResponse = TeamSchema2[];
+
+/** Query parameters for teams/list-pending-invitations-in-org */
+export interface TeamsListPendingInvitationsInOrgParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for teams/list-pending-invitations-in-org */
+export type TeamsListPendingInvitationsInOrgResponse = OrganizationInvitation[];
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface TeamSchema2 {
+  id: number;
+  node_id: string;
+  name: string;
+  slug: string;
+  description: string | null;
+  privacy?: string;
+  notification_setting?: string;
+  permission: string;
+  permissions?: {
+    pull: boolean;
+    triage: boolean;
+    push: boolean;
+    maintain: boolean;
+    admin: boolean;
+  };
+  url: string;
+  html_url: string;
+  members_url: string;
+  repositories_url: string;
+  parent: NullableTeamSimple;
+}
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export type NullableTeamSimple = {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  members_url: string;
+  /** Name of the team */
+  name: string;
+  /** Description of the team */
+  description: string | null;
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  /** The level of privacy this team should have */
+  privacy?: string;
+  /** The notification setting the team has set */
+  notification_setting?: string;
+  html_url: string;
+  repositories_url: string;
+  slug: string;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+} | null;
+
+/** Groups of organization members that gives permissions on specified repositories. */
+export interface TeamFull {
+  /** Unique identifier of the team */
+  id: number;
+  node_id: string;
+  /** URL for the team */
+  url: string;
+  html_url: string;
+  /** Name of the team */
+  name: string;
+  slug: string;
+  description: string | null;
+  /** The level of privacy this team should have */
+  privacy?: 'closed' | 'secret';
+  /** The notification setting the team has set */
+  notification_setting?: 'notifications_enabled' | 'notifications_disabled';
+  /** Permission that the team will have for its repositories */
+  permission: string;
+  members_url: string;
+  repositories_url: string;
+  parent?: NullableTeamSimple;
+  members_count: number;
+  repos_count: number;
+  created_at: string;
+  updated_at: string;
+  organization: TeamOrganization;
+  /** Distinguished Name (DN) that team maps to within LDAP environment */
+  ldap_dn?: string;
+}
+
+/** Team Organization */
+export interface TeamOrganization {
+  login: string;
+  id: number;
+  node_id: string;
+  url: string;
+  repos_url: string;
+  events_url: string;
+  hooks_url: string;
+  issues_url: string;
+  members_url: string;
+  public_members_url: string;
+  avatar_url: string;
+  description: string | null;
+  name?: string;
+  company?: string;
+  blog?: string;
+  location?: string;
+  email?: string;
+  twitter_username?: string | null;
+  is_verified?: boolean;
+  has_organization_projects: boolean;
+  has_repository_projects: boolean;
+  public_repos: number;
+  public_gists: number;
+  followers: number;
+  following: number;
+  html_url: string;
+  created_at: string;
+  type: string;
+  total_private_repos?: number;
+  owned_private_repos?: number;
+  private_gists?: number | null;
+  disk_usage?: number | null;
+  collaborators?: number | null;
+  billing_email?: string | null;
+  plan?: {
+    name: string;
+    space: number;
+    private_repos: number;
+    filled_seats?: number;
+    seats?: number;
+  };
+  default_repository_permission?: string | null;
+  members_can_create_repositories?: boolean | null;
+  two_factor_requirement_enabled?: boolean | null;
+  members_allowed_repository_creation_type?: string;
+  members_can_create_public_repositories?: boolean;
+  members_can_create_private_repositories?: boolean;
+  members_can_create_internal_repositories?: boolean;
+  members_can_create_pages?: boolean;
+  members_can_create_public_pages?: boolean;
+  members_can_create_private_pages?: boolean;
+  members_can_fork_private_repositories?: boolean | null;
+  web_commit_signoff_required?: boolean;
+  updated_at: string;
+  archived_at: string | null;
+}
+
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+}
+
+/** Team Membership */
+export interface TeamMembership {
+  url: string;
+  /** The role of the user in the team. */
+  role: 'member' | 'maintainer';
+  /** The state of the user's membership in the team. */
+  state: 'active' | 'pending';
+}
+
+/** Minimal Repository */
+export interface MinimalRepository {
+  id: number;
+  node_id: string;
+  name: string;
+  full_name: string;
+  owner: SimpleUser;
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url?: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url?: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url?: string;
+  mirror_url?: string | null;
+  hooks_url: string;
+  svn_url?: string;
+  homepage?: string | null;
+  language?: string | null;
+  forks_count?: number;
+  stargazers_count?: number;
+  watchers_count?: number;
+  /** The size of the repository, in kilobytes. Size is calculated hourly. When a repository is initially created, the size is 0. */
+  size?: number;
+  default_branch?: string;
+  open_issues_count?: number;
+  is_template?: boolean;
+  topics?: string[];
+  has_issues?: boolean;
+  has_projects?: boolean;
+  has_wiki?: boolean;
+  has_pages?: boolean;
+  has_downloads?: boolean;
+  has_discussions?: boolean;
+  archived?: boolean;
+  disabled?: boolean;
+  visibility?: string;
+  pushed_at?: string | null;
+  created_at?: string | null;
+  updated_at?: string | null;
+  permissions?: {
+    admin?: boolean;
+    maintain?: boolean;
+    push?: boolean;
+    triage?: boolean;
+    pull?: boolean;
+  };
+  role_name?: string;
+  temp_clone_token?: string;
+  delete_branch_on_merge?: boolean;
+  subscribers_count?: number;
+  network_count?: number;
+  code_of_conduct?: CodeOfConduct;
+  license?: {
+    key?: string;
+    name?: string;
+    spdx_id?: string;
+    url?: string;
+    node_id?: string;
+  } | null;
+  forks?: number;
+  open_issues?: number;
+  watchers?: number;
+  allow_forking?: boolean;
+  web_commit_signoff_required?: boolean;
+  security_and_analysis?: SecurityAndAnalysis;
+  /** The custom properties that were defined for the repository. The keys are the custom property names, and the values are the corresponding custom property values. */
+  custom_properties?: {
+    [key: string]: any;
+  };
+}
+
+/** Code Of Conduct */
+export interface CodeOfConduct {
+  key: string;
+  name: string;
+  url: string;
+  body?: string;
+  html_url: string | null;
+}
+
+export type SecurityAndAnalysis = {
+  /** Enable or disable GitHub Advanced Security for the repository. */
+  advanced_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  code_security?: {
+    status?: 'enabled' | 'disabled';
+  };
+  /** Enable or disable Dependabot security updates for the repository. */
+  dependabot_security_updates?: {
+    /** The enablement status of Dependabot security updates for the repository. */
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_push_protection?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_non_provider_patterns?: {
+    status?: 'enabled' | 'disabled';
+  };
+  secret_scanning_ai_detection?: {
+    status?: 'enabled' | 'disabled';
+  };
+} | null;
+
+/** A team's access to a repository. */
+export interface TeamRepository {
+  /** Unique identifier of the repository */
+  id: number;
+  node_id: string;
+  /** The name of the repository. */
+  name: string;
+  full_name: string;
+  license: NullableLicenseSimple;
+  forks: number;
+  permissions?: {
+    admin: boolean;
+    pull: boolean;
+    triage?: boolean;
+    push: boolean;
+    maintain?: boolean;
+  };
+  role_name?: string;
+  owner: NullableSimpleUser;
+  /** Whether the repository is private or public. */
+  private: boolean;
+  html_url: string;
+  description: string | null;
+  fork: boolean;
+  url: string;
+  archive_url: string;
+  assignees_url: string;
+  blobs_url: string;
+  branches_url: string;
+  collaborators_url: string;
+  comments_url: string;
+  commits_url: string;
+  compare_url: string;
+  contents_url: string;
+  contributors_url: string;
+  deployments_url: string;
+  downloads_url: string;
+  events_url: string;
+  forks_url: string;
+  git_commits_url: string;
+  git_refs_url: string;
+  git_tags_url: string;
+  git_url: string;
+  issue_comment_url: string;
+  issue_events_url: string;
+  issues_url: string;
+  keys_url: string;
+  labels_url: string;
+  languages_url: string;
+  merges_url: string;
+  milestones_url: string;
+  notifications_url: string;
+  pulls_url: string;
+  releases_url: string;
+  ssh_url: string;
+  stargazers_url: string;
+  statuses_url: string;
+  subscribers_url: string;
+  subscription_url: string;
+  tags_url: string;
+  teams_url: string;
+  trees_url: string;
+  clone_url: string;
+  mirror_url: string | null;
+  hooks_url: string;
+  svn_url: string;
+  homepage: string | null;
+  language: string | null;
+  forks_count: number;
+  stargazers_count: number;
+  watchers_count: number;
+  size: number;
+  /** The default branch of the repository. */
+  default_branch: string;
+  open_issues_count: number;
+  /** Whether this repository acts as a template that can be used to generate new repositories. */
+  is_template?: boolean;
+  topics?: string[];
+  /** Whether issues are enabled. */
+  has_issues: boolean;
+  /** Whether projects are enabled. */
+  has_projects: boolean;
+  /** Whether the wiki is enabled. */
+  has_wiki: boolean;
+  has_pages: boolean;
+  /** Whether downloads are enabled. */
+  has_downloads: boolean;
+  /** Whether the repository is archived. */
+  archived: boolean;
+  /** Returns whether or not this repository disabled. */
+  disabled: boolean;
+  /** The repository visibility: public, private, or internal. */
+  visibility?: string;
+  pushed_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  /** Whether to allow rebase merges for pull requests. */
+  allow_rebase_merge?: boolean;
+  temp_clone_token?: string;
+  /** Whether to allow squash merges for pull requests. */
+  allow_squash_merge?: boolean;
+  /** Whether to allow Auto-merge to be used on pull requests. */
+  allow_auto_merge?: boolean;
+  /** Whether to delete head branches when pull requests are merged */
+  delete_branch_on_merge?: boolean;
+  /** Whether to allow merge commits for pull requests. */
+  allow_merge_commit?: boolean;
+  /** Whether to allow forking this repo */
+  allow_forking?: boolean;
+  /** Whether to require contributors to sign off on web-based commits */
+  web_commit_signoff_required?: boolean;
+  subscribers_count?: number;
+  network_count?: number;
+  open_issues: number;
+  watchers: number;
+  master_branch?: string;
+}
+
+/** License Simple */
+export type NullableLicenseSimple = {
+  key: string;
+  name: string;
+  url: string | null;
+  spdx_id: string | null;
+  node_id: string;
+  html_url?: string;
+} | null;
+
+/** A GitHub user. */
+export type NullableSimpleUser = {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
+} | null;
+
+/** A team's access to a project. */
+export interface TeamProject {
+  owner_url: string;
+  url: string;
+  html_url: string;
+  columns_url: string;
+  id: number;
+  node_id: string;
+  name: string;
+  body: string | null;
+  number: number;
+  state: string;
+  creator: SimpleUser;
+  created_at: string;
+  updated_at: string;
+  /** The organization permission for this project. Only present when owner is an organization. */
+  organization_permission?: string;
+  /** Whether the project is private or not. Only present when owner is an organization. */
+  private?: boolean;
+  permissions: {
+    read: boolean;
+    write: boolean;
+    admin: boolean;
+  };
+}
+
+/** A team discussion is a persistent record of a free-form conversation within a team. */
+export interface TeamDiscussion {
+  author: NullableSimpleUser;
+  /** The main text of the discussion. */
+  body: string;
+  body_html: string;
+  /** The current version of the body content. If provided, this update operation will be rejected if the given version does not match the latest version on the server. */
+  body_version: string;
+  comments_count: number;
+  comments_url: string;
+  created_at: string;
+  last_edited_at: string | null;
+  html_url: string;
+  node_id: string;
+  /** The unique sequence number of a team discussion. */
+  number: number;
+  /** Whether or not this discussion should be pinned for easy retrieval. */
+  pinned: boolean;
+  /** Whether or not this discussion should be restricted to team members and organization owners. */
+  private: boolean;
+  team_url: string;
+  /** The title of the discussion. */
+  title: string;
+  updated_at: string;
+  url: string;
+  reactions?: ReactionRollup;
+}
+
+/** Reaction Rollup */
+export interface ReactionRollup {
+  url: string;
+  total_count: number;
+  "+1": number;
+  "-1": number;
+  laugh: number;
+  confused: number;
+  heart: number;
+  hooray: number;
+  eyes: number;
+  rocket: number;
+}
+
+/** A reply to a discussion within a team. */
+export interface TeamDiscussionComment {
+  author: NullableSimpleUser;
+  /** The main text of the comment. */
+  body: string;
+  body_html: string;
+  /** The current version of the body content. If provided, this update operation will be rejected if the given version does not match the latest version on the server. */
+  body_version: string;
+  created_at: string;
+  last_edited_at: string | null;
+  discussion_url: string;
+  html_url: string;
+  node_id: string;
+  /** The unique sequence number of a team discussion comment. */
+  number: number;
+  updated_at: string;
+  url: string;
+  reactions?: ReactionRollup;
+}
+
+/** Organization Invitation */
+export interface OrganizationInvitation {
+  id: number;
+  login: string | null;
+  email: string | null;
+  role: string;
+  created_at: string;
+  failed_at?: string | null;
+  failed_reason?: string | null;
+  inviter: SimpleUser;
+  team_count: number;
+  node_id: string;
+  invitation_teams_url: string;
+  invitation_source?: string;
+}
@@ -0,0 +1,10 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-teams, see `gh-typegen`
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-teams',
+  description: 'GitHub Teams API SDK and CLI',
+  entry: 'index.mjs',
+  // utils/http request() resolves to the response body
+  response: 'data'
+};
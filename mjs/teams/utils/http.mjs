@@ -1,52 +1,53 @@
+import { Transport, GitHubError, RateLimitError } from '@thinkeloquent/github-sdk-core';
+
+/**
+ * Keep the historical teams error shape: `response` holds the parsed body
+ */
+export function toTeamsError(error) {
+  if (error instanceof GitHubError && error.status) {
+    error.response = error.body;
+    return error;
+  }
+
+  if (error instanceof GitHubError) {
+    const networkError = new Error(error.message);
+    networkError.original = error.cause || error;
+    return networkError;
+  }
+
+  return error;
+}
+
+export function createTransport(options = {}) {
+  return new Transport({
+    timeout: options.timeout,
+    retries: options.retries,
+    cassette: options.cassette,
+    validate: options.validate,
+    dryRun: options.dryRun,
+    audit: options.audit,
+    scheduler: options.scheduler,
+    instrumentation: options.instrumentation,
+    mapError: toTeamsError
+  });
+}
+
+const defaultTransport = createTransport();
+
 export async function request(options) {
-  const { method, url, headers, body } = options;
+  const { method, url, headers, body, transport = defaultTransport } = options;
   
-  const requestOptions = {
+  const response = await transport.request({
     method,
+    url,
     headers: {
       'Content-Type': 'application/json',
       ...headers
-    }
-  };
+    },
+    body: method !== 'GET' && method !== 'DELETE' ? body : undefined
+  });
   
-  if (body && method !== 'GET' && method !== 'DELETE') {
-    requestOptions.body = JSON.stringify(body);
-  }
-  
-  try {
-    const response = await fetch(url, requestOptions);
-    
-    if (response.status === 204) {
-      return null;
-    }
-    
-    const contentType = response.headers.get('content-type');
-    let data;
-    
-    if (contentType && contentType.includes('application/json')) {
-      data = await response.json();
-    } else {
-      data = await response.text();
-    }
-    
-    if (!response.ok) {
-      const error = new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
-      error.status = response.status;
-      error.response = data;
-      error.headers = Object.fromEntries(response.headers.entries());
-      throw error;
-    }
-    
-    return data;
-  } catch (error) {
-    if (error.status) {
-      throw error;
-    }
-    
-    const networkError = new Error(`Network error: ${error.message}`);
-    networkError.original = error;
-    throw networkError;
-  }
+  return response.data;
 }
 
 export function parseLink(linkHeader) {
@@ -82,9 +83,14 @@ export function handleRateLimit(headers) {
   const remaining = headers['x-ratelimit-remaining'];
   const reset = headers['x-ratelimit-reset'];
   
+  // Same error the transport throws, so callers can wait with getRetryAfter()
   if (remaining === '0') {
     const resetDate = new Date(reset * 1000);
-    throw new Error(`Rate limit exceeded. Resets at ${resetDate.toISOString()}`);
+    throw new RateLimitError(`Rate limit exceeded. Resets at ${resetDate.toISOString()}`, {
+      headers,
+      reset: parseInt(reset, 10),
+      resource: headers['x-ratelimit-resource']
+    });
   }
   
   return {
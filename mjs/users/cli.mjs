@@ -16,6 +16,20 @@ import { fileURLToPath } from 'url';
 import { UsersClient } from './src/client/UsersClient.mjs';
 import { UsersError, AuthError } from './src/utils/errors.mjs';
 import { getAuth } from './src/client/auth.mjs';
+import {
+  registerLoginCommand,
+  registerProfilesCommand,
+  addProfileOption,
+  addOutputOptions,
+  addDryRunOption,
+  addAuditOption,
+  registerAuditCommand,
+  writeOutput,
+  isMachineOutput,
+  resolveBaseUrl,
+  isMainModule,
+  registerCompletionCommand
+} from '@thinkeloquent/github-sdk-core';
 import { formatError, formatSuccess, formatInfo } from './src/utils/formatting.mjs';
 
 // Load environment variables
@@ -47,8 +61,14 @@ program
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-q, --quiet', 'Suppress output except errors')
   .option('--json', 'Output results as JSON')
+  .option('-o, --output <format>', 'Output format (json, yaml, csv, ndjson, table)')
   .option('--no-color', 'Disable colored output');
 
+addOutputOptions(program);
+addDryRunOption(program);
+addAuditOption(program);
+addProfileOption(program);
+
 /**
  * Global error handler
  */
@@ -57,7 +77,7 @@ function handleError(error, options = {}) {
 
   if (error instanceof AuthError) {
     console.error(formatError(`Authentication failed: ${error.message}`));
-    console.error(formatInfo('Set GITHUB_TOKEN environment variable or use --token option'));
+    console.error(formatInfo('Run gh-users login, set GITHUB_TOKEN or use --token option'));
     process.exit(1);
   } else if (error instanceof UsersError) {
     console.error(formatError(error.message));
@@ -78,7 +98,8 @@ function handleError(error, options = {}) {
  * Create client from options
  */
 function createClient(options) {
-  const token = options.token || getAuth();
+  const baseUrl = resolveBaseUrl(program);
+  const token = getAuth({ token: options.token, profile: options.profile, baseUrl });
   
   if (!token) {
     throw new AuthError('GitHub token is required. Set GITHUB_TOKEN environment variable or use --token option.');
@@ -86,10 +107,10 @@ function createClient(options) {
 
   return new UsersClient({
     token,
-    baseUrl: options.baseUrl,
+    baseUrl,
     timeout: parseInt(options.timeout),
     rateLimiting: {
-      enabled: !options.noRateLimit
+      enabled: options.rateLimit !== false
     }
   });
 }
@@ -116,8 +137,8 @@ profileCmd
       
       if (spinner) spinner.succeed('Profile retrieved');
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(user, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(user, globalOptions);
       } else {
         const { formatUser } = await import('./src/utils/formatting.mjs');
         console.log(formatUser(user));
@@ -165,8 +186,8 @@ profileCmd
       
       if (spinner) spinner.succeed('Profile updated');
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(user, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(user, globalOptions);
       } else {
         console.log(formatSuccess('Profile updated successfully!'));
         const { formatUser } = await import('./src/utils/formatting.mjs');
@@ -213,8 +234,8 @@ emailCmd
       
       if (spinner) spinner.succeed(`Found ${emails.length} email address${emails.length === 1 ? '' : 'es'}`);
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(emails, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(emails, globalOptions);
       } else {
         const { formatEmails } = await import('./src/utils/formatting.mjs');
         console.log(formatEmails(emails));
@@ -239,8 +260,8 @@ emailCmd
       
       if (spinner) spinner.succeed(`Added ${result.length} email address${result.length === 1 ? '' : 'es'}`);
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(result, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(result, globalOptions);
       } else {
         console.log(formatSuccess(`Successfully added ${result.length} email address${result.length === 1 ? '' : 'es'}!`));
         emails.forEach(email => console.log(`  + ${email}`));
@@ -266,7 +287,7 @@ emailCmd
       
       if (spinner) spinner.succeed(`Deleted ${emails.length} email address${emails.length === 1 ? '' : 'es'}`);
       
-      if (!globalOptions.json) {
+      if (!isMachineOutput(globalOptions)) {
         console.log(formatSuccess(`Successfully deleted ${emails.length} email address${emails.length === 1 ? '' : 'es'}!`));
         emails.forEach(email => console.log(`  - ${email}`));
       }
@@ -298,8 +319,8 @@ userCmd
       
       if (spinner) spinner.succeed(`Retrieved user ${username}`);
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(user, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(user, globalOptions);
       } else {
         const { formatUser } = await import('./src/utils/formatting.mjs');
         console.log(formatUser(user));
@@ -336,8 +357,8 @@ userCmd
       
       if (spinner) spinner.succeed(`Found ${users.length} users`);
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(users, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(users, globalOptions);
       } else {
         const { formatUserTable } = await import('./src/utils/formatting.mjs');
         console.log(formatUserTable(users));
@@ -376,8 +397,8 @@ contextCmd
       
       if (spinner) spinner.succeed(`Retrieved context for ${username}`);
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(context, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(context, globalOptions);
       } else {
         const { formatUserContext } = await import('./src/utils/formatting.mjs');
         console.log(formatUserContext(context));
@@ -405,8 +426,8 @@ program
       
       if (spinner) spinner.succeed('Authentication successful!');
       
-      if (globalOptions.json) {
-        console.log(JSON.stringify(rateLimit, null, 2));
+      if (isMachineOutput(globalOptions)) {
+        writeOutput(rateLimit, globalOptions);
       } else {
         console.log(formatSuccess('Authentication successful!'));
         console.log(formatInfo('Rate limit information:'));
@@ -421,6 +442,32 @@ program
   });
 
 /**
- * Parse and execute
+ * Login command
  */
-program.parse();
\ No newline at end of file
+registerLoginCommand(program, { scopes: ['read:user', 'user:email', 'user:follow'] });
+registerProfilesCommand(program);
+registerAuditCommand(program);
+registerCompletionCommand(program);
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments in process.argv form
+ * @param {Object} [options]
+ * @param {string} [options.name] - Program name shown in help (set when mounted by gh-api)
+ * @returns {Promise<void>}
+ */
+export async function run(argv = process.argv, { name } = {}) {
+  if (name) {
+    program.name(name);
+  }
+
+  await program.parseAsync(argv);
+}
+
+// Run CLI when executed directly, not when mounted by gh-api
+if (isMainModule(import.meta.url)) {
+  await run();
+}
+
+export { program };
+export default program;
\ No newline at end of file
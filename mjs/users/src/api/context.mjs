@@ -4,7 +4,9 @@
  */
 
 import { validateUsername } from '../utils/validation.mjs';
-import { NotFoundError, ValidationError, AuthError } from '../utils/errors.mjs';
+import { NotFoundError, ValidationError, AuthError, UsersError } from '../utils/errors.mjs';
+
+const VALID_SUBJECT_TYPES = ['repository', 'issue', 'pull_request', 'organization'];
 
 /**
  * Context API for user hovercard information
@@ -13,9 +15,11 @@ export class ContextAPI {
   /**
    * Create ContextAPI instance
    * @param {HttpClient} http - HTTP client instance
+   * @param {GraphQLClient} [graphql] - GraphQL client for compareContextAcrossSubjectsGraphQL
    */
-  constructor(http) {
+  constructor(http, graphql = null) {
     this.http = http;
+    this.graphql = graphql;
   }
 
   /**
@@ -59,9 +63,8 @@ export class ContextAPI {
     
     // Add subject context if provided
     if (options.subject_type) {
-      const validSubjectTypes = ['repository', 'issue', 'pull_request', 'organization'];
-      if (!validSubjectTypes.includes(options.subject_type)) {
-        throw new ValidationError(`Invalid subject_type. Must be one of: ${validSubjectTypes.join(', ')}`);
+      if (!VALID_SUBJECT_TYPES.includes(options.subject_type)) {
+        throw new ValidationError(`Invalid subject_type. Must be one of: ${VALID_SUBJECT_TYPES.join(', ')}`);
       }
       params.subject_type = options.subject_type;
       
@@ -284,6 +287,155 @@ export class ContextAPI {
       subjectsWithContext: results.filter(r => r.hasContext).length
     };
   }
+
+  /**
+   * Compare user context across different subjects over GraphQL, in at most
+   * two requests: one resolving repository and organization names to node
+   * IDs, one reading every hovercard.
+   *
+   * GraphQL hovercards take node IDs. Pass them as `nodeId`, or as `id` for
+   * issues and pull requests; repositories may use `owner/repo` and
+   * organizations their login. Numeric database IDs cannot be resolved and
+   * are reported as errors on their subject.
+   *
+   * @param {string} username - Username
+   * @param {Array<Object>} subjects - Array of subject objects with type and id (or nodeId)
+   * @returns {Promise<Object>} Comparison results, shaped like compareContextAcrossSubjects()
+   */
+  async compareContextAcrossSubjectsGraphQL(username, subjects) {
+    if (!validateUsername(username)) {
+      throw new ValidationError('Invalid username format');
+    }
+    if (!this.graphql) {
+      throw new UsersError('compareContextAcrossSubjectsGraphQL needs a GraphQL client; use UsersClient or pass one to ContextAPI');
+    }
+
+    const entries = subjects.map(subject => ({ subject, ...subjectReference(subject) }));
+    await this.resolveSubjectIds(entries.filter(entry => entry.lookup));
+
+    const pending = entries.filter(entry => entry.nodeId);
+    let hovercards = {};
+    let errors = [];
+
+    if (pending.length > 0) {
+      const declarations = pending.map((entry, i) => `$s${i}: ID!`).join(', ');
+      const fields = pending.map((entry, i) => `s${i}: hovercard(primarySubjectId: $s${i}) { contexts { message } }`).join('\n');
+      const variables = Object.fromEntries(pending.map((entry, i) => [`s${i}`, entry.nodeId]));
+
+      try {
+        const data = await this.graphql.query(
+          `query($login: String!, ${declarations}) {\n  user(login: $login) {\n${fields}\n  }\n}`,
+          { login: username, ...variables }
+        );
+        hovercards = data.user;
+      } catch (error) {
+        if (!error.data?.user) {
+          if (error.types?.includes('NOT_FOUND')) {
+            throw new NotFoundError(`User '${username}' not found or hovercard not available`);
+          }
+          throw error;
+        }
+        hovercards = error.data.user;
+        errors = error.errors;
+      }
+      pending.forEach((entry, i) => {
+        const failure = errors.find(e => e.path?.[1] === `s${i}`);
+        if (failure) {
+          entry.error = failure.message;
+        } else {
+          entry.contexts = hovercards[`s${i}`]?.contexts || [];
+        }
+      });
+    }
+
+    const results = entries.map(({ subject, contexts, error }) => (error || !contexts
+      ? { subject, hasContext: false, messageCount: 0, messages: [], error: error || 'Subject could not be resolved' }
+      : {
+        subject,
+        hasContext: contexts.length > 0,
+        messageCount: contexts.length,
+        messages: this.extractMessages({ contexts })
+      }));
+
+    return {
+      username,
+      subjects: results,
+      totalSubjects: results.length,
+      subjectsWithContext: results.filter(r => r.hasContext).length
+    };
+  }
+
+  /**
+   * Look up the node IDs of subjects given by name, in one request
+   * @param {Array<Object>} entries - Entries with a `lookup` of `{ type, owner?, name }`
+   * @private
+   */
+  async resolveSubjectIds(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const declarations = [];
+    const fields = [];
+    const variables = {};
+    entries.forEach(({ lookup }, i) => {
+      if (lookup.type === 'repository') {
+        declarations.push(`$o${i}: String!`, `$n${i}: String!`);
+        fields.push(`r${i}: repository(owner: $o${i}, name: $n${i}) { id }`);
+        variables[`o${i}`] = lookup.owner;
+      } else {
+        declarations.push(`$n${i}: String!`);
+        fields.push(`r${i}: organization(login: $n${i}) { id }`);
+      }
+      variables[`n${i}`] = lookup.name;
+    });
+
+    let data;
+    let errors = [];
+    try {
+      data = await this.graphql.query(`query(${declarations.join(', ')}) {\n${fields.join('\n')}\n}`, variables);
+    } catch (error) {
+      if (!error.data) {
+        throw error;
+      }
+      data = error.data;
+      errors = error.errors;
+    }
+
+    entries.forEach((entry, i) => {
+      entry.nodeId = data[`r${i}`]?.id || null;
+      if (!entry.nodeId) {
+        entry.error = errors.find(e => e.path?.[0] === `r${i}`)?.message || `Could not resolve ${entry.lookup.type} '${entry.subject.id}'`;
+      }
+    });
+  }
+}
+
+/**
+ * How a subject is identified over GraphQL
+ * @param {Object} subject - `{ type, id, nodeId? }`
+ * @returns {{ nodeId?: string, lookup?: Object, error?: string }}
+ */
+function subjectReference(subject) {
+  if (!VALID_SUBJECT_TYPES.includes(subject.type)) {
+    return { error: `Invalid subject_type. Must be one of: ${VALID_SUBJECT_TYPES.join(', ')}` };
+  }
+  if (subject.nodeId) {
+    return { nodeId: subject.nodeId };
+  }
+
+  const id = String(subject.id ?? '');
+  if (subject.type === 'repository' && id.includes('/')) {
+    const [owner, name] = id.split('/');
+    return { lookup: { type: 'repository', owner, name } };
+  }
+  if (/^\d+$/.test(id) || !id) {
+    return { error: `GraphQL needs a node ID for ${subject.type} '${id}'; pass nodeId or use compareContextAcrossSubjects` };
+  }
+  if (subject.type === 'organization' && !/^[A-Z]+_/.test(id)) {
+    return { lookup: { type: 'organization', name: id } };
+  }
+  return { nodeId: id };
 }
 
 /**
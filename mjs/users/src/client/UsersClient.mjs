@@ -3,6 +3,7 @@
  * @module UsersClient
  */
 
+import { GraphQLClient } from '@thinkeloquent/github-sdk-core';
 import { HttpClient } from './http.mjs';
 import { ProfileAPI } from '../api/profile.mjs';
 import { EmailsAPI } from '../api/emails.mjs';
@@ -21,18 +22,20 @@ export class UsersClient {
    * @param {string} options.token - GitHub personal access token
    * @param {string} [options.baseUrl='https://api.github.com'] - GitHub API base URL
    * @param {Object} [options.rateLimiting] - Rate limiting configuration
-   * @param {boolean} [options.rateLimiting.enabled=true] - Enable rate limiting
-   * @param {number} [options.rateLimiting.maxRequests=5000] - Maximum requests per hour
+   * @param {boolean} [options.rateLimiting.enabled=true] - Queue requests in the core scheduler; `false` is the same as `scheduler: false`
    * @param {number} [options.timeout=10000] - Request timeout in milliseconds
    * @param {Object} [options.headers] - Additional headers
+   * @param {boolean|Object} [options.dryRun] - Print write requests instead of sending them (default: GITHUB_DRY_RUN)
+   * @param {boolean|string|Object} [options.audit] - Log write requests to the audit log (default: GITHUB_AUDIT_LOG)
+   * @param {boolean|Object} [options.scheduler] - Request scheduler options, or `false` to opt out (default: shared per credential)
+   * @param {Object|Object[]} [options.instrumentation] - Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones
    */
   constructor(options = {}) {
     this.options = {
       baseUrl: 'https://api.github.com',
       timeout: 10000,
       rateLimiting: {
-        enabled: true,
-        maxRequests: 5000
+        enabled: true
       },
       ...options
     };
@@ -45,11 +48,14 @@ export class UsersClient {
     // Initialize HTTP client
     this.http = new HttpClient(this.options);
 
+    // GraphQL shares the REST transport, and with it the token and rate limits
+    this.graphql = new GraphQLClient({ transport: this.http.transport });
+
     // Initialize API modules
     this.profile = new ProfileAPI(this.http);
     this.emails = new EmailsAPI(this.http);
     this.discovery = new DiscoveryAPI(this.http);
-    this.context = new ContextAPI(this.http);
+    this.context = new ContextAPI(this.http, this.graphql);
   }
 
   /**
@@ -5,29 +5,31 @@
 
 import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
+import { resolveToken } from '@thinkeloquent/github-sdk-core';
 import { AuthError } from '../utils/errors.mjs';
 
 /**
  * Get GitHub authentication token from various sources
  * @param {Object} [options] - Authentication options
  * @param {string} [options.token] - Explicit token
+ * @param {string} [options.profile] - Stored credential profile (default: GITHUB_PROFILE)
+ * @param {string} [options.baseUrl] - API base URL, selects the stored credential's host
  * @returns {string|null} Authentication token
  */
 export function getAuth(options = {}) {
-  // 1. Check explicit token option
-  if (options.token) {
-    return options.token;
+  // 1-3. Explicit token, selected profile, environment variables, then the
+  // shared credential store written by `login`
+  const credential = resolveToken({
+    token: options.token,
+    profile: options.profile,
+    baseUrl: options.baseUrl,
+    env: ['GITHUB_TOKEN', 'GH_TOKEN', 'GITHUB_API_TOKEN']
+  });
+  if (credential?.token) {
+    return credential.token;
   }
 
-  // 2. Check environment variables
-  const envToken = process.env.GITHUB_TOKEN || 
-                   process.env.GH_TOKEN || 
-                   process.env.GITHUB_API_TOKEN;
-  if (envToken) {
-    return envToken;
-  }
-
-  // 3. Check GitHub CLI config (if available)
+  // 4. Check GitHub CLI config (if available)
   try {
     const ghConfigPath = join(process.env.HOME || process.env.USERPROFILE || '', '.config/gh/hosts.yml');
     if (existsSync(ghConfigPath)) {
@@ -41,7 +43,7 @@ export function getAuth(options = {}) {
     // Ignore errors reading gh config
   }
 
-  // 4. Check .env file in current directory
+  // 5. Check .env file in current directory
   try {
     const envPath = join(process.cwd(), '.env');
     if (existsSync(envPath)) {
@@ -4,7 +4,7 @@
  */
 
 import fetch from 'node-fetch';
-import { API_Rate_Limiter } from '@thinkeloquent/npm-api-rate-limiter';
+import { Transport, GitHubError, NetworkError, TimeoutError } from '@thinkeloquent/github-sdk-core';
 import { UsersError, AuthError, ValidationError, RateLimitError } from '../utils/errors.mjs';
 
 /**
@@ -20,23 +20,24 @@ export class HttpClient {
     this.token = options.token;
     this.timeout = options.timeout || 10000;
     this.userAgent = options.userAgent || '@github-api/users/1.0.0';
-    
-    // Default headers
-    this.headers = {
-      'Accept': 'application/vnd.github+json',
-      'Authorization': `Bearer ${this.token}`,
-      'User-Agent': this.userAgent,
-      'X-GitHub-Api-Version': '2022-11-28',
-      ...options.headers
-    };
-
-    // Setup rate limiting if enabled
-    if (options.rateLimiting && options.rateLimiting.enabled) {
-      this.rateLimiter = new API_Rate_Limiter('core', {
-        maxRequests: options.rateLimiting.maxRequests || 5000,
-        intervalMs: options.rateLimiting.window || 3600000 // 1 hour in ms
-      });
-    }
+    this.headers = { ...options.headers };
+
+    this.transport = new Transport({
+      baseUrl: this.baseUrl,
+      timeout: this.timeout,
+      userAgent: this.userAgent,
+      retries: options.retries ?? 0,
+      auth: () => this.token,
+      fetch,
+      cassette: options.cassette,
+      validate: options.validate,
+      dryRun: options.dryRun,
+      audit: options.audit,
+      // The core scheduler queues requests within GitHub's limits; rateLimiting.enabled: false opts out
+      scheduler: options.scheduler ?? (options.rateLimiting?.enabled === false ? false : undefined),
+      instrumentation: options.instrumentation,
+      mapError: (error) => this.handleError(error)
+    });
   }
 
   /**
@@ -47,35 +48,14 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async request(method, path, options = {}) {
-    const makeRequest = async () => {
-      const url = `${this.baseUrl}${path}`;
-      const requestOptions = {
-        method,
-        headers: { ...this.headers, ...options.headers },
-        timeout: this.timeout,
-        ...options
-      };
-
-      // Add body for POST/PUT/PATCH requests
-      if (options.body && ['POST', 'PUT', 'PATCH'].includes(method)) {
-        requestOptions.body = JSON.stringify(options.body);
-        requestOptions.headers['Content-Type'] = 'application/json';
-      }
-
-      const response = await fetch(url, requestOptions);
-      return await this.handleResponse(response);
-    };
-
-    // Apply rate limiting if enabled
-    if (this.rateLimiter) {
-      return await this.rateLimiter.schedule(makeRequest);
-    }
-
-    try {
-      return await makeRequest();
-    } catch (error) {
-      throw this.handleError(error);
-    }
+    const response = await this.transport.request({
+      method,
+      url: path,
+      params: options.params,
+      headers: { ...this.headers, ...options.headers },
+      body: options.body
+    });
+    return this.handleResponse(response);
   }
 
   /**
@@ -85,17 +65,6 @@ export class HttpClient {
    * @returns {Promise<Object>} Response data
    */
   async get(path, options = {}) {
-    // Convert query parameters to URL search params
-    if (options.params) {
-      const searchParams = new URLSearchParams();
-      Object.entries(options.params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          searchParams.append(key, value.toString());
-        }
-      });
-      path += `?${searchParams.toString()}`;
-    }
-
     return this.request('GET', path, options);
   }
 
@@ -143,63 +112,54 @@ export class HttpClient {
   }
 
   /**
-   * Handle HTTP response
-   * @param {Response} response - Fetch response object
-   * @returns {Promise<Object>} Parsed response data
+   * Decorate transport response data with pagination and rate limit info
+   * @param {Object} response - Normalized transport response
+   * @returns {Object} Response data
    */
-  async handleResponse(response) {
-    const contentType = response.headers.get('content-type');
-    
-    // Handle different content types
-    let data;
-    if (contentType && contentType.includes('application/json')) {
-      data = await response.json();
-    } else {
-      data = await response.text();
-    }
+  handleResponse(response) {
+    const { headers } = response;
+    const data = response.data ?? {};
 
-    // Handle error responses
-    if (!response.ok) {
-      throw this.createError(response, data);
+    if (typeof data !== 'object') {
+      return data;
     }
 
     // Add pagination info if present
-    const linkHeader = response.headers.get('link');
-    if (linkHeader) {
-      data._pagination = this.parseLinkHeader(linkHeader);
+    if (headers.link) {
+      data._pagination = this.parseLinkHeader(headers.link);
     }
 
     // Add rate limit info
     data._rateLimit = {
-      limit: parseInt(response.headers.get('x-ratelimit-limit') || '0'),
-      remaining: parseInt(response.headers.get('x-ratelimit-remaining') || '0'),
-      reset: new Date(parseInt(response.headers.get('x-ratelimit-reset') || '0') * 1000)
+      limit: parseInt(headers['x-ratelimit-limit'] || '0'),
+      remaining: parseInt(headers['x-ratelimit-remaining'] || '0'),
+      reset: new Date(parseInt(headers['x-ratelimit-reset'] || '0') * 1000)
     };
 
     return data;
   }
 
   /**
-   * Create appropriate error from response
-   * @param {Response} response - Fetch response object
+   * Create appropriate error from an API error
+   * @param {number} status - HTTP status code
    * @param {Object} data - Response data
    * @returns {Error} Appropriate error instance
    */
-  createError(response, data) {
-    const message = data.message || `HTTP ${response.status}: ${response.statusText}`;
+  createError(status, data) {
+    const message = data?.message || `HTTP ${status}`;
     
-    switch (response.status) {
+    switch (status) {
       case 401:
-        return new AuthError(message, response.status, data);
+        return new AuthError(message, status, data);
       case 403:
         if (message.toLowerCase().includes('rate limit')) {
-          return new RateLimitError(message, response.status, data);
+          return new RateLimitError(message, status, data);
         }
-        return new AuthError(message, response.status, data);
+        return new AuthError(message, status, data);
       case 422:
-        return new ValidationError(message, response.status, data);
+        return new ValidationError(message, status, data);
       default:
-        return new UsersError(message, response.status, data);
+        return new UsersError(message, status, data);
     }
   }
 
@@ -212,13 +172,17 @@ export class HttpClient {
     if (error instanceof UsersError) {
       return error;
     }
-    
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+
+    if (error instanceof TimeoutError) {
+      return new UsersError('Request timeout');
+    }
+
+    if (error instanceof NetworkError) {
       return new UsersError(`Network error: ${error.message}`);
     }
-    
-    if (error.name === 'AbortError' || error.code === 'ETIMEDOUT') {
-      return new UsersError('Request timeout');
+
+    if (error instanceof GitHubError && error.status) {
+      return this.createError(error.status, error.body);
     }
     
     return new UsersError(`Request failed: ${error.message}`);
@@ -250,15 +214,16 @@ export class HttpClient {
   updateConfig(options = {}) {
     if (options.token) {
       this.token = options.token;
-      this.headers['Authorization'] = `Bearer ${this.token}`;
     }
     
     if (options.baseUrl) {
       this.baseUrl = options.baseUrl;
+      this.transport.config.baseUrl = options.baseUrl;
     }
     
     if (options.timeout) {
       this.timeout = options.timeout;
+      this.transport.config.timeout = options.timeout;
     }
     
     if (options.headers) {
@@ -267,11 +232,7 @@ export class HttpClient {
   }
 
   /**
-   * Close the client and cleanup resources
+   * Close the client. The shared core transport holds nothing to release
    */
-  close() {
-    if (this.rateLimiter && this.rateLimiter.close) {
-      this.rateLimiter.close();
-    }
-  }
+  close() {}
 }
\ No newline at end of file
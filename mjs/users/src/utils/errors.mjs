@@ -3,10 +3,12 @@
  * @module errors
  */
 
+import { GitHubError } from '@thinkeloquent/github-sdk-core';
+
 /**
  * Base error class for GitHub Users API
  */
-export class UsersError extends Error {
+export class UsersError extends GitHubError {
   /**
    * Create a new UsersError
    * @param {string} message - Error message
@@ -14,9 +16,8 @@ export class UsersError extends Error {
    * @param {Object} [response] - API response data
    */
   constructor(message, status = null, response = null) {
-    super(message);
+    super(message, { status, body: response });
     this.name = 'UsersError';
-    this.status = status;
     this.response = response;
     
     // Maintain proper stack trace (V8 only)
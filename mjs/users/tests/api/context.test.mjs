@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests for the GraphQL-backed ContextAPI comparison
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { GraphQLError } from '@thinkeloquent/github-sdk-core';
+import { ContextAPI } from '../../src/api/context.mjs';
+import { NotFoundError, UsersError } from '../../src/utils/errors.mjs';
+
+function createGraphQL(...responses) {
+  return {
+    query: jest.fn(async () => {
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    })
+  };
+}
+
+describe('ContextAPI.compareContextAcrossSubjectsGraphQL', () => {
+  it('resolves names, then reads every hovercard in one request', async () => {
+    const graphql = createGraphQL(
+      { r0: { id: 'R_demo' }, r1: { id: 'O_github' } },
+      {
+        user: {
+          s0: { contexts: [{ message: 'Owns this repository' }] },
+          s1: { contexts: [] },
+          s2: { contexts: [{ message: 'Opened this pull request' }] }
+        }
+      }
+    );
+    const context = new ContextAPI({}, graphql);
+
+    const result = await context.compareContextAcrossSubjectsGraphQL('octocat', [
+      { type: 'repository', id: 'octocat/demo' },
+      { type: 'organization', id: 'github' },
+      { type: 'pull_request', id: 'PR_kwDOA' },
+      { type: 'issue', id: 1347 }
+    ]);
+
+    expect(graphql.query).toHaveBeenCalledTimes(2);
+    expect(graphql.query.mock.calls[0][1]).toEqual({ o0: 'octocat', n0: 'demo', n1: 'github' });
+    expect(graphql.query.mock.calls[1][1]).toEqual({ login: 'octocat', s0: 'R_demo', s1: 'O_github', s2: 'PR_kwDOA' });
+    expect(result.totalSubjects).toBe(4);
+    expect(result.subjectsWithContext).toBe(2);
+    expect(result.subjects[0]).toEqual({
+      subject: { type: 'repository', id: 'octocat/demo' },
+      hasContext: true,
+      messageCount: 1,
+      messages: ['Owns this repository']
+    });
+    expect(result.subjects[3].error).toMatch(/needs a node ID for issue '1347'/);
+  });
+
+  it('reports subjects that fail to resolve without failing the rest', async () => {
+    const graphql = createGraphQL(
+      new GraphQLError([{ type: 'NOT_FOUND', path: ['r0'], message: "Could not resolve to a Repository with the name 'octocat/nope'." }], {
+        data: { r0: null }
+      }),
+      { user: { s0: { contexts: [] } } }
+    );
+    const context = new ContextAPI({}, graphql);
+
+    const result = await context.compareContextAcrossSubjectsGraphQL('octocat', [
+      { type: 'repository', id: 'octocat/nope' },
+      { type: 'repository', nodeId: 'R_other' }
+    ]);
+
+    expect(result.subjects[0].error).toBe("Could not resolve to a Repository with the name 'octocat/nope'.");
+    expect(result.subjects[1]).toMatchObject({ hasContext: false, messageCount: 0 });
+    expect(result.subjects[1].error).toBeUndefined();
+  });
+
+  it('throws NotFoundError for an unknown user', async () => {
+    const graphql = createGraphQL(
+      new GraphQLError([{ type: 'NOT_FOUND', path: ['user'], message: "Could not resolve to a User with the login of 'ghost1'." }], {
+        data: { user: null }
+      })
+    );
+    const context = new ContextAPI({}, graphql);
+
+    await expect(context.compareContextAcrossSubjectsGraphQL('ghost1', [{ type: 'repository', nodeId: 'R_1' }]))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  it('needs a GraphQL client', async () => {
+    await expect(new ContextAPI({}).compareContextAcrossSubjectsGraphQL('octocat', []))
+      .rejects.toThrow(UsersError);
+  });
+});
@@ -5,6 +5,9 @@
 import { jest } from '@jest/globals';
 import nock from 'nock';
 
+// Keep the writes tests send out of the user's audit log
+process.env.GITHUB_AUDIT_LOG = 'off';
+
 // Setup test environment
 beforeEach(() => {
   // Clear any existing HTTP mocks
@@ -1,24 +1,476 @@
 /**
- * TypeScript definitions for @github-api/users
+ * TypeScript definitions for @thinkeloquent/github-sdk-users
+ * GitHub Users API SDK and CLI
  */
 
-// Main client and configuration types
-export interface ClientOptions {
+/**
+ * Generated from the OpenAPI specs and the package sources by `npm run types`.
+ * Do not edit by hand: change the sources or types/typegen.config.mjs instead.
+ */
+
+export namespace profile {
+  /** Profile API for authenticated user operations */
+  export class ProfileAPI {
+    /** Create ProfileAPI instance */
+    constructor(http: any);
+    http: any;
+    /**
+     * Get the authenticated user
+     * OAuth app tokens and personal access tokens need the `user` scope
+     * for the response to include private profile information.
+     *
+     * `GET /user`
+     * @see https://docs.github.com/rest/users/users#get-the-authenticated-user
+     */
+    getAuthenticated(options?: Record<string, any>): Promise<UsersGetAuthenticatedResponse>;
+    /**
+     * Update the authenticated user
+     * If your email is set to private and you send an `email` parameter,
+     * your privacy settings are still enforced.
+     *
+     * `PATCH /user`
+     * @see https://docs.github.com/rest/users/users#update-the-authenticated-user
+     */
+    updateAuthenticated(userData: { name?: string; email?: string; blog?: string; twitter_username?: string; company?: string; location?: string; hireable?: boolean; bio?: string; [key: string]: any }, options?: Record<string, any>): Promise<UsersUpdateAuthenticatedResponse>;
+    /**
+     * Get authenticated user's public profile information
+     * This method returns the same information as getAuthenticated() but filtered
+     * to only include publicly visible fields.
+     */
+    getPublicProfile(options?: Record<string, any>): Promise<Record<string, any>>;
+    /**
+     * Check if the authenticated user has specific permissions
+     *
+     * `GET /rate_limit`
+     * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+     */
+    checkPermissions(scopes?: string[]): Promise<Record<string, any>>;
+    /**
+     * Get user's plan information (if available)
+     * This is only available for certain token types and may return null
+     */
+    getPlan(options?: Record<string, any>): Promise<Record<string, any> | null>;
+    /**
+     * Get user's disk usage information (if available)
+     * This information is only available with certain scopes
+     */
+    getDiskUsage(options?: Record<string, any>): Promise<Record<string, any>>;
+  }
+
+  /** Get the authenticated user */
+  export function getAuthenticated(http: any, options?: Record<string, any>): Promise<Record<string, any>>;
+
+  /** Update the authenticated user */
+  export function updateAuthenticated(http: any, userData: Record<string, any>, options?: Record<string, any>): Promise<Record<string, any>>;
+}
+
+export namespace emails {
+  /** Emails API for authenticated user email management */
+  export class EmailsAPI {
+    /** Create EmailsAPI instance */
+    constructor(http: any);
+    http: any;
+    /**
+     * List email addresses for the authenticated user
+     * Lists all of a user's email addresses, and specifies which one is the
+     * user's primary email address. This endpoint requires the `user:email` scope.
+     *
+     * `GET /user/emails`
+     * @see https://docs.github.com/rest/users/emails#list-email-addresses-for-the-authenticated-user
+     */
+    list(options?: UsersListEmailsForAuthenticatedUserParams): Promise<any[]>;
+    /**
+     * Add an email address for the authenticated user
+     * This endpoint requires the `user` scope.
+     *
+     * `POST /user/emails`
+     * @see https://docs.github.com/rest/users/emails#add-an-email-address-for-the-authenticated-user
+     */
+    add(emails: string | string[], options?: Record<string, any>): Promise<any[]>;
+    /**
+     * Delete an email address for the authenticated user
+     * This endpoint requires the `user` scope.
+     *
+     * `DELETE /user/emails`
+     * @see https://docs.github.com/rest/users/emails#delete-an-email-address-for-the-authenticated-user
+     */
+    delete(emails: string | string[], options?: Record<string, any>): Promise<void>;
+    /** Get primary email address */
+    getPrimary(options?: Record<string, any>): Promise<Record<string, any> | null>;
+    /** Get all verified email addresses */
+    getVerified(options?: Record<string, any>): Promise<any[]>;
+    /** Get all unverified email addresses */
+    getUnverified(options?: Record<string, any>): Promise<any[]>;
+    /** Check if an email address exists for the authenticated user */
+    exists(email: string, options?: Record<string, any>): Promise<boolean>;
+    /** Get email statistics */
+    getStats(options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Bulk operation to add multiple emails with error handling */
+    bulkAdd(emails: string[], options?: { continueOnError?: boolean; [key: string]: any }): Promise<Record<string, any>>;
+    /** Bulk operation to delete multiple emails with error handling */
+    bulkDelete(emails: string[], options?: { continueOnError?: boolean; [key: string]: any }): Promise<Record<string, any>>;
+  }
+
+  /** List email addresses for the authenticated user */
+  export function list(http: any, options?: Record<string, any>): Promise<any[]>;
+
+  /** Add an email address for the authenticated user */
+  export function add(http: any, emails: string | string[], options?: Record<string, any>): Promise<any[]>;
+
+  /** Delete an email address for the authenticated user */
+  export function deleteEmails(http: any, emails: string | string[], options?: Record<string, any>): Promise<void>;
+}
+
+export namespace discovery {
+  /** Discovery API for public user operations */
+  export class DiscoveryAPI {
+    /** Create DiscoveryAPI instance */
+    constructor(http: any);
+    http: any;
+    /**
+     * List users
+     * Lists all users, in the order that they signed up on GitHub.
+     * This list includes personal user accounts and organization accounts.
+     *
+     * `GET /users`
+     * @see https://docs.github.com/rest/users/users#list-users
+     */
+    list(options?: UsersListParams): Promise<any[]>;
+    /**
+     * Get a user by username
+     * Provides publicly available information about someone with a GitHub account.
+     *
+     * `GET /users/{username}`
+     * @see https://docs.github.com/rest/users/users#get-a-user
+     */
+    getByUsername(username: string, options?: Record<string, any>): Promise<UsersGetByUsernameResponse>;
+    /**
+     * Get a user by ID
+     * Provides publicly available information about a GitHub user account.
+     * This method uses the user's durable ID instead of username.
+     *
+     * `GET /user/{account_id}`
+     * @see https://docs.github.com/rest/users/users#get-a-user-using-their-id
+     */
+    getById(accountId: number, options?: Record<string, any>): Promise<UsersGetByIdResponse>;
+    /**
+     * Search for users by various criteria
+     * This is a convenience method that uses the list endpoint with filtering
+     */
+    search(criteria?: { type?: string; minId?: number; maxId?: number; [key: string]: any }, options?: Record<string, any>): Promise<any[]>;
+    /** Check if a username exists */
+    exists(username: string, options?: Record<string, any>): Promise<boolean>;
+    /** Get user's public repositories count */
+    getPublicReposCount(username: string, options?: Record<string, any>): Promise<number>;
+    /** Get user's follower count */
+    getFollowerCount(username: string, options?: Record<string, any>): Promise<number>;
+    /** Get user's following count */
+    getFollowingCount(username: string, options?: Record<string, any>): Promise<number>;
+    /** Get multiple users by usernames */
+    getMultipleByUsername(usernames: string[], options?: { continueOnError?: boolean; [key: string]: any }): Promise<Record<string, any>>;
+    /** Get user statistics */
+    getStats(username: string, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Calculate account age in days */
+    calculateAccountAge(createdAt: string): number;
+    /** Get users by type (User or Organization) */
+    getByType(type: string, options?: Record<string, any>): Promise<any[]>;
+    /** Get users in ID range */
+    getByIdRange(minId: number, maxId: number, options?: Record<string, any>): Promise<any[]>;
+  }
+
+  /** List users */
+  export function list(http: any, options?: Record<string, any>): Promise<any[]>;
+
+  /** Get a user by username */
+  export function getByUsername(http: any, username: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+  /** Get a user by ID */
+  export function getById(http: any, accountId: number, options?: Record<string, any>): Promise<Record<string, any>>;
+}
+
+export namespace context {
+  /** Context API for user hovercard information */
+  export class ContextAPI {
+    /** Create ContextAPI instance */
+    constructor(http: any, graphql?: any);
+    http: any;
+    graphql: any;
+    /**
+     * Get contextual information for a user
+     * Provides hovercard information. You can find out more about someone in relation
+     * to their pull requests, issues, repositories, and organizations.
+     *
+     * The `subject_type` and `subject_id` parameters provide context for the person's
+     * hovercard, which returns more information than without the parameters.
+     *
+     * `GET /users/{username}/hovercard`
+     * @see https://docs.github.com/rest/users/users#get-contextual-information-for-a-user
+     */
+    getForUser(username: string, options?: UsersGetContextForUserParams): Promise<UsersGetContextForUserResponse>;
+    /** Get context for user in relation to a repository */
+    getForUserInRepository(username: string, repositoryId: string | number, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Get context for user in relation to an organization */
+    getForUserInOrganization(username: string, organizationId: string, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Get context for user in relation to an issue */
+    getForUserInIssue(username: string, issueId: string | number, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Get context for user in relation to a pull request */
+    getForUserInPullRequest(username: string, pullRequestId: string | number, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Get context for multiple users */
+    getForMultipleUsers(usernames: string[], options?: { subject_type?: string; subject_id?: string; continueOnError?: boolean; [key: string]: any }): Promise<Record<string, any>>;
+    /** Extract context messages from hovercard response */
+    extractMessages(hovercardResponse: Record<string, any>): string[];
+    /** Check if user has context in specific subject */
+    hasContextInSubject(username: string, subjectType: string, subjectId: string, options?: Record<string, any>): Promise<boolean>;
+    /** Get simplified context summary */
+    getSummary(username: string, options?: Record<string, any>): Promise<Record<string, any>>;
+    /** Compare user context across different subjects */
+    compareContextAcrossSubjects(username: string, subjects: Record<string, any>[], options?: Record<string, any>): Promise<Record<string, any>>;
+    /**
+     * Compare user context across different subjects over GraphQL, in at most
+     * two requests: one resolving repository and organization names to node
+     * IDs, one reading every hovercard.
+     *
+     * GraphQL hovercards take node IDs. Pass them as `nodeId`, or as `id` for
+     * issues and pull requests; repositories may use `owner/repo` and
+     * organizations their login. Numeric database IDs cannot be resolved and
+     * are reported as errors on their subject.
+     */
+    compareContextAcrossSubjectsGraphQL(username: string, subjects: Record<string, any>[]): Promise<Record<string, any>>;
+    /** Look up the node IDs of subjects given by name, in one request */
+    resolveSubjectIds(entries: Record<string, any>[]): Promise<void>;
+  }
+
+  /** Get contextual information for a user */
+  export function getForUser(http: any, username: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+  /** Get context for user in relation to a repository */
+  export function getForUserInRepository(http: any, username: string, repositoryId: string | number, options?: Record<string, any>): Promise<Record<string, any>>;
+
+  /** Get context for user in relation to an organization */
+  export function getForUserInOrganization(http: any, username: string, organizationId: string, options?: Record<string, any>): Promise<Record<string, any>>;
+}
+
+/** Create a new GitHub Users API client */
+export function createClient(options?: { token: string; baseUrl?: string; rateLimiting?: Record<string, any>; timeout?: number; [key: string]: any }): UsersClient;
+
+/** Configuration options */
+export interface UsersClientOptions {
+  /** GitHub personal access token */
   token: string;
+  /** GitHub API base URL */
   baseUrl?: string;
+  /** Rate limiting configuration */
+  rateLimiting?: Record<string, any>;
+  /** Request timeout in milliseconds */
   timeout?: number;
-  rateLimiting?: {
-    enabled?: boolean;
-    maxRequests?: number;
-    window?: number;
-  };
-  headers?: Record<string, string>;
+  /** Additional headers */
+  headers?: Record<string, any>;
+  /** Print write requests instead of sending them (default: GITHUB_DRY_RUN) */
+  dryRun?: boolean | Record<string, any>;
+  /** Log write requests to the audit log (default: GITHUB_AUDIT_LOG) */
+  audit?: boolean | string | Record<string, any>;
+  /** Request scheduler options, or `false` to opt out (default: shared per credential) */
+  scheduler?: boolean | Record<string, any>;
+  /** Request lifecycle hooks (onRequest, onResponse, onRetry, onRateLimit, onError), or `false` to opt out of the global ones */
+  instrumentation?: Record<string, any> | Record<string, any>[];
+  [key: string]: any;
 }
 
-// User data types
-export interface SimpleUser {
-  id: number;
+/**
+ * GitHub Users API Client
+ * Main client class that orchestrates all user-related operations
+ */
+export class UsersClient {
+  /** Create a new UsersClient instance */
+  constructor(options?: UsersClientOptions);
+  options: Record<string, any>;
+  http: any;
+  graphql: any;
+  profile: profile.ProfileAPI;
+  emails: emails.EmailsAPI;
+  discovery: discovery.DiscoveryAPI;
+  context: context.ContextAPI;
+  /**
+   * Test authentication and get rate limit status
+   *
+   * `GET /rate_limit`
+   * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+   */
+  testAuth(): Promise<RateLimitGetResponse>;
+  /**
+   * Get current rate limit status
+   *
+   * `GET /rate_limit`
+   * @see https://docs.github.com/rest/rate-limit/rate-limit#get-rate-limit-status-for-the-authenticated-user
+   */
+  getRateLimit(): Promise<RateLimitGetResponse>;
+  /** Update client configuration */
+  updateConfig(options?: Record<string, any>): void;
+  /** Close the client and cleanup resources */
+  close(): void;
+}
+
+/** Base error class for GitHub Users API */
+export class UsersError extends Error {
+  /** Create a new UsersError */
+  constructor(message: string, status?: number, response?: Record<string, any>);
+  response: Record<string, any>;
+  /** Convert error to JSON representation */
+  toJSON(): Record<string, any>;
+}
+
+/** Authentication-related error */
+export class AuthError extends UsersError {
+  constructor(message: any, status?: any, response?: any);
+}
+
+/** Validation-related error */
+export class ValidationError extends UsersError {
+  constructor(message: any, status?: any, response?: any);
+  errors: any;
+  /** Get validation errors */
+  getValidationErrors(): any[];
+  /** Get errors for a specific field */
+  getFieldErrors(field: string): any[];
+}
+
+/** Rate limit-related error */
+export class RateLimitError extends UsersError {
+  constructor(message: any, status?: any, response?: any);
+  resetTime: any;
+  limit: any;
+  remaining: any;
+  /** Get time until rate limit resets */
+  getTimeUntilReset(): number;
+  /** Get human-readable time until reset */
+  getTimeUntilResetString(): string;
+}
+
+/** Create pagination iterator */
+export function paginate(apiCall: (...args: any[]) => any, options?: Record<string, any>): AsyncIterator<any>;
+
+/** Collect all pages into a single array */
+export function paginateAll(apiCall: (...args: any[]) => any, options?: Record<string, any>): Promise<any[]>;
+
+/** Validate general input parameters */
+export function validateInput(value: any, name: string, rules?: Record<string, any>): void;
+
+/** Validate email address */
+export function validateEmail(email: string): boolean;
+
+/** Convenience method to get authenticated user */
+export function getAuthenticatedUser(options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to get user by username */
+export function getUser(username: string, options?: Record<string, any>): Promise<Record<string, any>>;
+
+/** Convenience method to list users */
+export function listUsers(options?: Record<string, any>): Promise<any[]>;
+
+/** Convenience method to list authenticated user's emails */
+export function listEmails(options?: Record<string, any>): Promise<any[]>;
+
+/** Package metadata */
+export const packageInfo: Record<string, any>;
+
+export default UsersClient;
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/** Response body for users/get-authenticated */
+export type UsersGetAuthenticatedResponse = PrivateUser | PublicUser;
+
+/** Request body for users/update-authenticated */
+export interface UsersUpdateAuthenticatedRequest {
+  /** The new name of the user. */
+  name?: string;
+  /** The publicly visible email address of the user. */
+  email?: string;
+  /** The new blog URL of the user. */
+  blog?: string;
+  /** The new Twitter username of the user. */
+  twitter_username?: string | null;
+  /** The new company of the user. */
+  company?: string;
+  /** The new location of the user. */
+  location?: string;
+  /** The new hiring availability of the user. */
+  hireable?: boolean;
+  /** The new short biography of the user. */
+  bio?: string;
+}
+
+/** Response body for users/update-authenticated */
+export type UsersUpdateAuthenticatedResponse = PrivateUser;
+
+/** Response body for rate-limit/get */
+export type RateLimitGetResponse = RateLimitOverview;
+
+/** Query parameters for users/list-emails-for-authenticated-user */
+export interface UsersListEmailsForAuthenticatedUserParams {
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+  /** The page number of the results to fetch. For more information, see "Using pagination in the REST API." */
+  page?: number;
+}
+
+/** Response body for users/list-emails-for-authenticated-user */
+export type UsersListEmailsForAuthenticatedUserResponse = Email[];
+
+/** Request body for users/add-email-for-authenticated-user */
+export type UsersAddEmailForAuthenticatedUserRequest = {
+  /** Adds one or more email addresses to your GitHub account. Must contain at least one email address. **Note:** Alternatively, you can pass a single email address or an `array` of emails addresses directly, but we recommend that you pass an object using the `emails` key. */
+  emails: string[];
+} | string[] | string;
+
+/** Response body for users/add-email-for-authenticated-user */
+export type UsersAddEmailForAuthenticatedUserResponse = Email[];
+
+/** Request body for users/delete-email-for-authenticated-user */
+export type UsersDeleteEmailForAuthenticatedUserRequest = {
+  /** Email addresses associated with the GitHub user account. */
+  emails: string[];
+} | string[] | string;
+
+/** Query parameters for users/list */
+export interface UsersListParams {
+  /** A user ID. Only return users with an ID greater than this ID. */
+  since?: number;
+  /** The number of results per page (max 100). For more information, see "Using pagination in the REST API." */
+  per_page?: number;
+}
+
+/** Response body for users/list */
+export type UsersListResponse = SimpleUser[];
+
+/** Response body for users/get-by-username */
+export type UsersGetByUsernameResponse = PrivateUser | PublicUser;
+
+/** Response body for users/get-by-id */
+export type UsersGetByIdResponse = PrivateUser | PublicUser;
+
+/** Query parameters for users/get-context-for-user */
+export interface UsersGetContextForUserParams {
+  /** Identifies which additional information you'd like to receive about the person's hovercard. Can be `organization`, `repository`, `issue`, `pull_request`. **Required** when using `subject_id`. */
+  subject_type?: 'organization' | 'repository' | 'issue' | 'pull_request';
+  /** Uses the ID for the `subject_type` you specified. **Required** when using `subject_type`. */
+  subject_id?: string;
+}
+
+/** Response body for users/get-context-for-user */
+export type UsersGetContextForUserResponse = Hovercard;
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/** Private User */
+export interface PrivateUser {
   login: string;
+  id: number;
+  user_view_type?: string;
   node_id: string;
   avatar_url: string;
   gravatar_id: string | null;
@@ -33,30 +485,23 @@ export interface SimpleUser {
   repos_url: string;
   events_url: string;
   received_events_url: string;
-  type: 'User' | 'Organization';
+  type: string;
   site_admin: boolean;
-  starred_at?: string;
-  user_view_type?: string;
-}
-
-export interface PublicUser extends SimpleUser {
   name: string | null;
   company: string | null;
   blog: string | null;
   location: string | null;
   email: string | null;
+  notification_email?: string | null;
   hireable: boolean | null;
   bio: string | null;
-  twitter_username: string | null;
+  twitter_username?: string | null;
   public_repos: number;
   public_gists: number;
   followers: number;
   following: number;
   created_at: string;
   updated_at: string;
-}
-
-export interface PrivateUser extends PublicUser {
   private_gists: number;
   total_private_repos: number;
   owned_private_repos: number;
@@ -64,255 +509,129 @@ export interface PrivateUser extends PublicUser {
   collaborators: number;
   two_factor_authentication: boolean;
   plan?: {
+    collaborators: number;
     name: string;
     space: number;
     private_repos: number;
-    collaborators: number;
   };
+  business_plus?: boolean;
+  ldap_dn?: string;
 }
 
-// Email types
-export interface Email {
-  email: string;
-  verified: boolean;
-  primary: boolean;
-  visibility: 'public' | 'private' | null;
-}
-
-export interface EmailStats {
-  total: number;
-  verified: number;
-  unverified: number;
-  primary: number;
-  public: number;
-  private: number;
-}
-
-// Context/Hovercard types
-export interface UserContext {
-  contexts: Array<{
-    message: string;
-    octicon?: string;
-  }>;
-}
-
-export interface UserContextSummary {
-  username: string;
-  hasContext: boolean;
-  messageCount: number;
-  messages: string[];
-  subjectType: string | null;
-  subjectId: string | null;
-}
-
-// Update types
-export interface UserUpdateData {
-  name?: string | null;
-  email?: string | null;
-  blog?: string | null;
-  company?: string | null;
-  location?: string | null;
-  hireable?: boolean | null;
-  bio?: string | null;
-  twitter_username?: string | null;
-}
-
-// Pagination types
-export interface PaginationOptions {
-  page?: number;
-  per_page?: number;
-  since?: number;
-}
-
-export interface PaginationInfo {
-  hasNext: boolean;
-  hasPrev: boolean;
-  nextUrl: string | null;
-  prevUrl: string | null;
-  firstUrl: string | null;
-  lastUrl: string | null;
-  totalCount: number | null;
-}
-
-// Search types
-export interface UserSearchCriteria {
-  type?: 'User' | 'Organization';
-  minId?: number;
-  maxId?: number;
-}
-
-export interface UserStats {
-  username: string;
-  name: string | null;
+/** Public User */
+export interface PublicUser {
+  login: string;
   id: number;
+  user_view_type?: string;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
   type: string;
-  siteAdmin: boolean;
-  publicRepos: number;
-  publicGists: number;
+  site_admin: boolean;
+  name: string | null;
+  company: string | null;
+  blog: string | null;
+  location: string | null;
+  email: string | null;
+  notification_email?: string | null;
+  hireable: boolean | null;
+  bio: string | null;
+  twitter_username?: string | null;
+  public_repos: number;
+  public_gists: number;
   followers: number;
   following: number;
-  accountAge: number | null;
-  lastActivity: string | null;
-  hasCompany: boolean;
-  hasLocation: boolean;
-  hasBlog: boolean;
-  hasBio: boolean;
-  hireable: boolean | null;
-}
-
-// Bulk operation results
-export interface BulkOperationResult<T> {
-  successful: T[];
-  failed: Array<{
-    email: string;
-    error: string;
-  }>;
-}
-
-export interface MultiUserResult<T> {
-  successful: T[];
-  failed: Array<{
-    username: string;
-    error: string;
-  }>;
-}
-
-// API Classes
-export declare class ProfileAPI {
-  constructor(http: any);
-  getAuthenticated(options?: any): Promise<PrivateUser>;
-  updateAuthenticated(userData: UserUpdateData, options?: any): Promise<PrivateUser>;
-  getPublicProfile(options?: any): Promise<PublicUser>;
-  getDiskUsage(options?: any): Promise<{
-    diskUsage: number;
-    privateRepos: number;
-    totalPrivateRepos: number;
+  created_at: string;
+  updated_at: string;
+  plan?: {
     collaborators: number;
-  }>;
-  getPlan(options?: any): Promise<any>;
-  checkPermissions(scopes?: string[]): Promise<any>;
-}
-
-export declare class EmailsAPI {
-  constructor(http: any);
-  list(options?: PaginationOptions): Promise<Email[]>;
-  add(emails: string | string[], options?: any): Promise<Email[]>;
-  delete(emails: string | string[], options?: any): Promise<void>;
-  getPrimary(options?: any): Promise<Email | null>;
-  getVerified(options?: any): Promise<Email[]>;
-  getUnverified(options?: any): Promise<Email[]>;
-  exists(email: string, options?: any): Promise<boolean>;
-  getStats(options?: any): Promise<EmailStats>;
-  bulkAdd(emails: string[], options?: any): Promise<BulkOperationResult<Email>>;
-  bulkDelete(emails: string[], options?: any): Promise<BulkOperationResult<string>>;
-}
-
-export declare class DiscoveryAPI {
-  constructor(http: any);
-  list(options?: PaginationOptions): Promise<SimpleUser[]>;
-  getByUsername(username: string, options?: any): Promise<PublicUser>;
-  getById(accountId: number, options?: any): Promise<PublicUser>;
-  search(criteria?: UserSearchCriteria, options?: PaginationOptions): Promise<SimpleUser[]>;
-  exists(username: string, options?: any): Promise<boolean>;
-  getStats(username: string, options?: any): Promise<UserStats>;
-  getMultipleByUsername(usernames: string[], options?: any): Promise<MultiUserResult<PublicUser>>;
-}
-
-export declare class ContextAPI {
-  constructor(http: any);
-  getForUser(username: string, options?: {
-    subject_type?: 'repository' | 'issue' | 'pull_request' | 'organization';
-    subject_id?: string;
-  }): Promise<UserContext>;
-  getForUserInRepository(username: string, repositoryId: string | number, options?: any): Promise<UserContext>;
-  getForUserInOrganization(username: string, organizationId: string, options?: any): Promise<UserContext>;
-  getForUserInIssue(username: string, issueId: string | number, options?: any): Promise<UserContext>;
-  getForUserInPullRequest(username: string, pullRequestId: string | number, options?: any): Promise<UserContext>;
-  getSummary(username: string, options?: any): Promise<UserContextSummary>;
-  getForMultipleUsers(usernames: string[], options?: any): Promise<MultiUserResult<UserContext>>;
-}
-
-// Main client class
-export declare class UsersClient {
-  profile: ProfileAPI;
-  emails: EmailsAPI;
-  discovery: DiscoveryAPI;
-  context: ContextAPI;
-
-  constructor(options: ClientOptions);
-  testAuth(): Promise<any>;
-  getRateLimit(): Promise<any>;
-  updateConfig(options: Partial<ClientOptions>): void;
-  close(): void;
-}
-
-// Factory function
-export declare function createClient(options: ClientOptions): UsersClient;
-
-// Convenience functions
-export declare function getAuthenticatedUser(options: ClientOptions): Promise<PrivateUser>;
-export declare function getUser(username: string, options: ClientOptions): Promise<PublicUser>;
-export declare function listUsers(options: ClientOptions & PaginationOptions): Promise<SimpleUser[]>;
-export declare function listEmails(options: ClientOptions): Promise<Email[]>;
-
-// Error classes
-export declare class UsersError extends Error {
-  status?: number;
-  response?: any;
-  constructor(message: string, status?: number, response?: any);
-  toJSON(): object;
-}
-
-export declare class AuthError extends UsersError {
-  constructor(message: string, status?: number, response?: any);
+    name: string;
+    space: number;
+    private_repos: number;
+  };
+  private_gists?: number;
+  total_private_repos?: number;
+  owned_private_repos?: number;
+  disk_usage?: number;
+  collaborators?: number;
 }
 
-export declare class ValidationError extends UsersError {
-  errors: any[];
-  constructor(message: string, status?: number, response?: any);
-  getValidationErrors(): any[];
-  getFieldErrors(field: string): any[];
+/** Rate Limit Overview */
+export interface RateLimitOverview {
+  resources: {
+    core: RateLimit;
+    graphql?: RateLimit;
+    search: RateLimit;
+    code_search?: RateLimit;
+    source_import?: RateLimit;
+    integration_manifest?: RateLimit;
+    code_scanning_upload?: RateLimit;
+    actions_runner_registration?: RateLimit;
+    scim?: RateLimit;
+    dependency_snapshots?: RateLimit;
+    dependency_sbom?: RateLimit;
+    code_scanning_autofix?: RateLimit;
+  };
+  rate: RateLimit;
 }
 
-export declare class RateLimitError extends UsersError {
-  resetTime: Date | null;
-  limit: number | null;
+/** Rate Limit */
+export interface RateLimit {
+  limit: number;
   remaining: number;
-  constructor(message: string, status?: number, response?: any);
-  getTimeUntilReset(): number;
-  getTimeUntilResetString(): string;
+  reset: number;
+  used: number;
 }
 
-export declare class NotFoundError extends UsersError {
-  constructor(message: string, status?: number, response?: any);
+/** Email */
+export interface Email {
+  email: string;
+  primary: boolean;
+  verified: boolean;
+  visibility: string | null;
 }
 
-export declare class ForbiddenError extends UsersError {
-  constructor(message: string, status?: number, response?: any);
+/** A GitHub user. */
+export interface SimpleUser {
+  name?: string | null;
+  email?: string | null;
+  login: string;
+  id: number;
+  node_id: string;
+  avatar_url: string;
+  gravatar_id: string | null;
+  url: string;
+  html_url: string;
+  followers_url: string;
+  following_url: string;
+  gists_url: string;
+  starred_url: string;
+  subscriptions_url: string;
+  organizations_url: string;
+  repos_url: string;
+  events_url: string;
+  received_events_url: string;
+  type: string;
+  site_admin: boolean;
+  starred_at?: string;
+  user_view_type?: string;
 }
 
-export declare class NetworkError extends UsersError {
-  originalError: Error | null;
-  constructor(message: string, originalError?: Error);
+/** Hovercard */
+export interface Hovercard {
+  contexts: {
+    message: string;
+    octicon: string;
+  }[];
 }
-
-// Utility functions
-export declare function validateEmail(email: string): boolean;
-export declare function validateUsername(username: string): boolean;
-export declare function validateUserId(userId: number | string): boolean;
-
-export declare function paginate<T>(apiCall: Function, options?: PaginationOptions): AsyncIterableIterator<T>;
-export declare function paginateAll<T>(apiCall: Function, options?: PaginationOptions & { maxRequests?: number }): Promise<T[]>;
-export declare function autoPaginate<T>(apiCall: Function, options?: PaginationOptions & { maxRequests?: number }): AsyncIterableIterator<T>;
-
-// Package info
-export declare const packageInfo: {
-  name: string;
-  version: string;
-  description: string;
-  homepage: string;
-};
-
-// Default export
-declare const _default: typeof UsersClient;
-export default _default;
\ No newline at end of file
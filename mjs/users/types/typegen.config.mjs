@@ -0,0 +1,10 @@
+/**
+ * Type generation for @thinkeloquent/github-sdk-users, see `gh-typegen`
+ */
+export default {
+  name: '@thinkeloquent/github-sdk-users',
+  description: 'GitHub Users API SDK and CLI',
+  entry: 'index.mjs',
+  // HttpClient#handleResponse resolves to the response body
+  response: 'data'
+};